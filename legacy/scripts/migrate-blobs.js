@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+// Move uploaded files out of rag_documents.file_data into the configured blob store
+// (STORAGE_DRIVER, see src/services/blobStore.js). Each document is copied, then its row
+// gets the storage key and file_data is cleared, so the script can be stopped and re-run.
+//
+// Usage: npm run storage:migrate -- [--dry-run] [--batch-size=20]
+
+require('dotenv').config();
+const { Readable } = require('stream');
+const dbConnection = require('../src/database/connection');
+const { getBlobStore, documentBlobKey, contentTypeFor } = require('../src/services/blobStore');
+
+function parseArgs(argv) {
+    const batchArg = argv.find(arg => arg.startsWith('--batch-size='));
+    return {
+        dryRun: argv.includes('--dry-run'),
+        batchSize: batchArg ? Math.max(1, parseInt(batchArg.split('=')[1]) || 20) : 20
+    };
+}
+
+async function migrateBlobs({ dryRun, batchSize }) {
+    const blobStore = getBlobStore();
+    const totals = { moved: 0, failed: 0, bytes: 0 };
+    let lastId = 0;
+
+    const pending = await dbConnection.query(
+        'SELECT COUNT(*) AS count, COALESCE(SUM(octet_length(file_data)), 0) AS bytes FROM rag_documents WHERE file_data IS NOT NULL AND storage_key IS NULL'
+    );
+    console.log(`📦 ${pending.rows[0].count} documents (${pending.rows[0].bytes} bytes) to move to ${blobStore.driver} storage${dryRun ? ' (dry run)' : ''}`);
+    if (dryRun) {
+        return totals;
+    }
+
+    for (;;) {
+        // Ids first, then one file at a time, so only one blob is in memory
+        const batch = await dbConnection.query(
+            `SELECT id, tenant_id, document_id, file_type FROM rag_documents
+             WHERE file_data IS NOT NULL AND storage_key IS NULL AND id > $1
+             ORDER BY id LIMIT $2`,
+            [lastId, batchSize]
+        );
+        if (batch.rows.length === 0) {
+            break;
+        }
+
+        for (const doc of batch.rows) {
+            lastId = doc.id;
+            const storageKey = documentBlobKey(doc.tenant_id, doc.document_id);
+            try {
+                const file = await dbConnection.query('SELECT file_data FROM rag_documents WHERE id = $1', [doc.id]);
+                const data = file.rows[0]?.file_data;
+                if (!data) {
+                    continue;
+                }
+
+                await blobStore.put(storageKey, Readable.from([data]), {
+                    size: data.length,
+                    contentType: contentTypeFor(doc.file_type)
+                });
+                await dbConnection.query(
+                    `UPDATE rag_documents
+                     SET storage_key = $1, file_data = NULL, file_size = COALESCE(file_size, $2)
+                     WHERE id = $3 AND storage_key IS NULL`,
+                    [storageKey, data.length, doc.id]
+                );
+
+                totals.moved++;
+                totals.bytes += data.length;
+                console.log(`   ✅ ${doc.document_id} (${data.length} bytes)`);
+            } catch (error) {
+                totals.failed++;
+                console.error(`   ❌ ${doc.document_id}: ${error.message}`);
+            }
+        }
+    }
+
+    return totals;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    try {
+        await dbConnection.connect();
+        const totals = await migrateBlobs(options);
+        if (!options.dryRun) {
+            console.log(`✅ Moved ${totals.moved} documents (${totals.bytes} bytes), ${totals.failed} failed`);
+        }
+        process.exitCode = totals.failed > 0 ? 1 : 0;
+    } catch (error) {
+        console.error('❌ Blob migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await dbConnection.close();
+    }
+}
+
+main();
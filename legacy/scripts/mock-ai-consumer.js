@@ -23,11 +23,8 @@ class MockAIConsumer {
             console.log('✅ Connected to RabbitMQ');
             console.log('📊 RabbitMQ Management UI: http://localhost:15672 (admin/admin)');
             
-            // Set prefetch count to process one message at a time
-            await this.rabbitMQ.channel.prefetch(1);
-            
-            // Start consuming chat requests
-            await this.rabbitMQ.channel.consume('chat.requests', this.handleChatRequest.bind(this));
+            // Consume chat requests one at a time (re-subscribed automatically after a reconnect)
+            await this.rabbitMQ.consume('chat.requests', this.handleChatRequest.bind(this), { prefetch: 1 });
             
             this.isRunning = true;
             console.log('🎧 Listening for chat requests on queue: chat.requests');
@@ -83,7 +80,7 @@ class MockAIConsumer {
             };
 
             // Publish response to chat.responses queue
-            await this.rabbitMQ.channel.publish(
+            await this.rabbitMQ.publishConfirmed(
                 'chat.exchange',
                 'chat.response',
                 Buffer.from(JSON.stringify(responseMessage)),
@@ -107,8 +104,8 @@ class MockAIConsumer {
             console.error('❌ Error processing chat request:', error);
             console.error('   Raw message:', message.content.toString());
             
-            // Reject and requeue the message
-            this.rabbitMQ.channel.nack(message, false, true);
+            // Retry after a delay, or dead-letter after too many attempts
+            await this.rabbitMQ.retryOrDeadLetter('chat.requests', message, error);
         }
     }
 
@@ -18,6 +18,8 @@ const routeService = require('./src/services/routeService');
 const ResolveWebhook = require('./src/utils/resolve-webhook');
 const { getRabbitMQInstance } = require('./src/services/rabbitmq');
 const ChatResponseConsumer = require('./src/consumers/chatResponseConsumer');
+const { getSSEHub } = require('./src/services/sseHub');
+const { getRateLimitStore } = require('./src/services/rateLimitStore');
 
 // Import middleware
 const setupSecurity = require('./src/middleware/security');
@@ -30,7 +32,7 @@ const {
   requireAdmin,
   requireAuth,
   requireAuthForFiles,
-  requireTenantAdmin
+  requirePermission
 } = require('./src/middleware/auth');
 const { 
   apiLimiter, 
@@ -56,7 +58,7 @@ app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'src/client/views'));
 
 // Initialize ResolveWebhook instance
-const resolveWebhook = new ResolveWebhook();
+const resolveWebhook = new ResolveWebhook(db);
 
 // Make db and resolveWebhook available to routes via app.locals
 app.locals.db = db;
@@ -165,11 +167,21 @@ app.get('/step2', pageRoutes['/step2']);
 app.get('/completion', pageRoutes['/completion']);
 app.get('/signin', pageRoutes['/signin']);
 
-// User management pages (tenant admin only)
-app.get('/users', requireAuth, requireTenantAdmin, (req, res) => {
+// User management pages (users:manage permission)
+app.get('/users', requireAuth, requirePermission('users:manage'), (req, res) => {
   res.render('users', { currentPage: 'users' });
 });
 
+// Signed-in user's sessions and security notices
+app.get('/sessions', requireAuth, (req, res) => {
+  res.render('sessions', { currentPage: 'sessions' });
+});
+
+// Tenant usage and billing statements (analytics:view permission)
+app.get('/usage', requireAuth, requirePermission('analytics:view'), (req, res) => {
+  res.render('usage', { currentPage: 'usage' });
+});
+
 // Password reset page (public)
 app.get('/auth/reset', (req, res) => {
   res.sendFile(path.join(__dirname, 'src/client/pages/reset-password.html'));
@@ -198,11 +210,51 @@ app.use('/api/documents', documentRouter);
 const knowledgeRouter = createKnowledgeRouter(db, sessions);
 app.use('/api', knowledgeRouter);
 
+// SCIM provisioning (tenant API key auth) - mounted before the users router, which requires a session
+const createScimRouter = require('./src/routes/scim');
+app.use('/scim/v2', apiLimiter, createScimRouter(db));
+
 // User management routes
 const createUsersRouter = require('./src/routes/users');
 const usersRouter = createUsersRouter(db);
 app.use('/', usersRouter);
 
+// Tenant settings routes
+const createTenantSettingsRouter = require('./src/routes/tenantSettings');
+app.use('/', createTenantSettingsRouter(db));
+
+// Tenant API key management routes
+const createApiKeysRouter = require('./src/routes/apiKeys');
+app.use('/', createApiKeysRouter(db));
+
+// Tenant role management routes
+const createRolesRouter = require('./src/routes/roles');
+app.use('/', createRolesRouter(db));
+
+// Document collections (folders) and who may read them
+const createCollectionsRouter = require('./src/routes/collections');
+app.use('/', createCollectionsRouter(db));
+
+// Websites crawled into the knowledge base on a schedule
+const createCrawlSourcesRouter = require('./src/routes/crawlSources');
+app.use('/', createCrawlSourcesRouter(db));
+
+// Tenant audit log routes
+const createAuditLogRouter = require('./src/routes/auditLog');
+app.use('/', createAuditLogRouter(db));
+
+// Own sessions and security notices
+const createSessionsRouter = require('./src/routes/sessions');
+app.use('/', createSessionsRouter(db));
+
+// Own two-factor authentication setup
+const createTwoFactorRouter = require('./src/routes/twoFactor');
+app.use('/', createTwoFactorRouter(db));
+
+// Tenant usage and billing statements
+const createUsageRouter = require('./src/routes/usage');
+app.use('/', createUsageRouter(db));
+
 // Admin Diagnostics routes
 app.use('/api/admin/diagnostics/pgvector', adminDiagnosticsRouter);
 
@@ -222,6 +274,17 @@ function gracefulShutdown(server) {
       console.log('HTTP server closed');
     });
     
+    // Open SSE streams would keep the HTTP server from closing
+    await getSSEHub().close();
+    await getRateLimitStore().close();
+    serverService.stopWebhookWorker();
+    serverService.stopAuditRetention();
+    serverService.stopUsageRollup();
+    serverService.stopUploadSweeper();
+    serverService.stopCrawlScheduler();
+    if (process.env.ENABLE_RABBITMQ_CHAT === 'true') {
+      await getRabbitMQInstance().disconnect();
+    }
     await db.close?.();
     console.log('Database connections closed');
     
@@ -235,6 +298,17 @@ function gracefulShutdown(server) {
       console.log('HTTP server closed');
     });
     
+    // Open SSE streams would keep the HTTP server from closing
+    await getSSEHub().close();
+    await getRateLimitStore().close();
+    serverService.stopWebhookWorker();
+    serverService.stopAuditRetention();
+    serverService.stopUsageRollup();
+    serverService.stopUploadSweeper();
+    serverService.stopCrawlScheduler();
+    if (process.env.ENABLE_RABBITMQ_CHAT === 'true') {
+      await getRabbitMQInstance().disconnect();
+    }
     await db.close?.();
     console.log('Database connections closed');
     
@@ -251,31 +325,42 @@ async function startServer() {
     // Initialize RabbitMQ if enabled
     if (process.env.ENABLE_RABBITMQ_CHAT === 'true') {
       console.log('[STARTUP] RabbitMQ chat enabled, connecting...');
+      const rabbitMQ = getRabbitMQInstance();
       try {
-        const rabbitMQ = getRabbitMQInstance();
         await rabbitMQ.connect();
         console.log('[STARTUP] ✅ RabbitMQ connected successfully');
-        
-        // Start chat response consumer for queue-based responses
-        if (process.env.RABBITMQ_RESPONSE_MODE === 'queue' || process.env.RABBITMQ_RESPONSE_MODE === 'hybrid') {
-          console.log('[STARTUP] Starting chat response consumer...');
+      } catch (rabbitError) {
+        console.error('[STARTUP] ❌ RabbitMQ connection failed:', rabbitError.message);
+        console.error('[STARTUP] App will continue and keep retrying the RabbitMQ connection in the background');
+        rabbitMQ.scheduleReconnect();
+      }
+
+      // Start chat response consumer for queue-based responses (subscribes once connected)
+      if (process.env.RABBITMQ_RESPONSE_MODE === 'queue' || process.env.RABBITMQ_RESPONSE_MODE === 'hybrid') {
+        console.log('[STARTUP] Starting chat response consumer...');
+        try {
           const chatResponseConsumer = new ChatResponseConsumer(db);
           await chatResponseConsumer.start();
           console.log('[STARTUP] ✅ Chat response consumer started');
+        } catch (consumerError) {
+          console.error('[STARTUP] ❌ Chat response consumer failed to start:', consumerError.message);
         }
-        
-      } catch (rabbitError) {
-        console.error('[STARTUP] ❌ RabbitMQ connection failed:', rabbitError.message);
-        console.error('[STARTUP] App will continue without RabbitMQ');
       }
     } else {
       console.log('[STARTUP] RabbitMQ chat disabled (ENABLE_RABBITMQ_CHAT=false)');
     }
     
+    // Connect the shared rate limit store before taking requests
+    getRateLimitStore();
+
     // Start listening
     const server = app.listen(PORT, () => {
       serverService.printStartupMessage(PORT);
       serverService.startWebhookWorker();
+      serverService.startAuditRetention();
+      serverService.startUsageRollup();
+      serverService.startUploadSweeper();
+      serverService.startCrawlScheduler();
       serverService.generateTenantTokens();
     });
 
@@ -591,6 +591,46 @@ function setupEventListeners() {
         dateRange.addEventListener('change', loadAnalyticsData);
     }
     
+    // Answer quality filters
+    const qualityDateRange = document.getElementById('qualityDateRange');
+    if (qualityDateRange) {
+        qualityDateRange.addEventListener('change', loadAnswerQualityData);
+    }
+    
+    const refreshQualityBtn = document.getElementById('refreshQualityBtn');
+    if (refreshQualityBtn) {
+        refreshQualityBtn.addEventListener('click', loadAnswerQualityData);
+    }
+    
+    // Tenant quotas
+    const refreshQuotasBtn = document.getElementById('refreshQuotasBtn');
+    if (refreshQuotasBtn) {
+        refreshQuotasBtn.addEventListener('click', loadTenantQuotas);
+    }
+    
+    const quotaTenantFilter = document.getElementById('quotaTenantFilter');
+    if (quotaTenantFilter) {
+        quotaTenantFilter.addEventListener('input', renderTenantQuotas);
+    }
+    
+    // Usage & billing
+    const usageMonth = document.getElementById('usageMonth');
+    if (usageMonth) {
+        usageMonth.value = new Date().toISOString().slice(0, 7);
+        usageMonth.addEventListener('change', loadUsageStatements);
+    }
+    
+    const usageButtons = {
+        refreshUsageBtn: loadUsageStatements,
+        rollupUsageBtn: rollupUsage,
+        exportUsageCsvBtn: () => exportUsage('csv'),
+        exportUsageStripeBtn: () => exportUsage('stripe'),
+        sendUsageStripeBtn: sendUsageToStripe
+    };
+    for (const [id, handler] of Object.entries(usageButtons)) {
+        document.getElementById(id)?.addEventListener('click', handler);
+    }
+    
     // Filters
     const triggerTypeFilter = document.getElementById('triggerTypeFilter');
     if (triggerTypeFilter) {
@@ -879,6 +919,15 @@ async function loadSectionData(section) {
         case 'analytics':
             await loadAnalyticsData();
             break;
+        case 'answer-quality':
+            await loadAnswerQualityData();
+            break;
+        case 'tenant-quotas':
+            await loadTenantQuotas();
+            break;
+        case 'usage-billing':
+            await loadUsageStatements();
+            break;
         case 'webhooks':
             await loadWebhooksData();
             break;
@@ -1055,6 +1104,349 @@ async function loadAnalyticsData() {
     }
 }
 
+// Load answer quality (feedback) analytics
+async function loadAnswerQualityData() {
+    const days = document.getElementById('qualityDateRange')?.value || '30';
+    const tenantId = document.getElementById('qualityTenantFilter')?.value.trim() || '';
+    
+    try {
+        const params = new URLSearchParams({
+            days: days,
+            ...(tenantId && { tenant_id: tenantId })
+        });
+        
+        const response = await fetch(`/api/admin/analytics/quality?${params}`, {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) throw new Error('Failed to load answer quality analytics');
+        
+        const data = await response.json();
+        renderAnswerQuality(data);
+        
+    } catch (error) {
+        console.error('Error loading answer quality analytics:', error);
+        showNotification('Failed to load answer quality analytics', 'error');
+    }
+}
+
+function renderAnswerQuality(data) {
+    const { summary, reasons, low_rated: lowRated, documents } = data;
+    
+    document.getElementById('qualityTotalCount').textContent = `Ratings: ${summary.total}`;
+    document.getElementById('qualityUpCount').textContent = `👍 ${summary.up}`;
+    document.getElementById('qualityDownCount').textContent = `👎 ${summary.down}`;
+    document.getElementById('qualitySatisfaction').textContent =
+        `Satisfaction: ${summary.satisfaction_rate !== null ? `${summary.satisfaction_rate}%` : 'N/A'}`;
+    
+    const reasonsContainer = document.getElementById('qualityReasons');
+    reasonsContainer.innerHTML = reasons.length === 0
+        ? '<p class="table-text-secondary">No negative feedback in this period</p>'
+        : reasons.map(item => `
+            <div class="env-status-item">
+                <span>${escapeHtml(item.reason.replace(/_/g, ' '))}</span>
+                <strong>${item.count}</strong>
+            </div>
+        `).join('');
+    
+    const documentsBody = document.getElementById('qualityDocumentsBody');
+    documentsBody.innerHTML = documents.length === 0
+        ? '<tr><td class="table-td" colspan="3">No documents linked to rated answers</td></tr>'
+        : documents.map(doc => `
+            <tr>
+                <td class="table-td" title="${escapeHtml(doc.document_id)}">${escapeHtml(doc.filename || doc.document_id)}</td>
+                <td class="table-td">${doc.down_answers}</td>
+                <td class="table-td">${doc.up_answers}</td>
+            </tr>
+        `).join('');
+    
+    const lowRatedBody = document.getElementById('qualityLowRatedBody');
+    lowRatedBody.innerHTML = lowRated.length === 0
+        ? '<tr><td class="table-td" colspan="5">No low-rated answers in this period</td></tr>'
+        : lowRated.map(item => {
+            const chunks = item.searches.flatMap(search => search.results || []);
+            const chunkList = chunks.length > 0
+                ? chunks.map(chunk => `${escapeHtml(chunk.document_id)} #${chunk.chunk_index ?? '-'} (${chunk.similarity !== null && chunk.similarity !== undefined ? Number(chunk.similarity).toFixed(2) : 'n/a'})`).join('<br>')
+                : (item.sources.length > 0
+                    ? item.sources.map(source => `${escapeHtml(source.filename || source.document_id)} #${source.chunk_index ?? '-'} (cited)`).join('<br>')
+                    : '<span class="table-text-secondary">No search logged</span>');
+            return `
+                <tr>
+                    <td class="table-td"><span class="table-text-secondary">${formatDateTime(item.created_at)}</span></td>
+                    <td class="table-td">${escapeHtml(truncateText(item.question || '', 160))}</td>
+                    <td class="table-td" title="${escapeHtml(item.answer)}">${escapeHtml(truncateText(item.answer, 200))}</td>
+                    <td class="table-td">
+                        <span class="table-status-badge table-status-error">${escapeHtml((item.reason || 'unspecified').replace(/_/g, ' '))}</span>
+                        ${item.comment ? `<div class="table-text-secondary">${escapeHtml(item.comment)}</div>` : ''}
+                    </td>
+                    <td class="table-td">${chunkList}</td>
+                </tr>
+            `;
+        }).join('');
+}
+
+// Load tenant plans and their consumption
+let tenantQuotaData = null;
+
+async function loadTenantQuotas() {
+    try {
+        const response = await fetch('/api/admin/tenants/quotas', {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) throw new Error('Failed to load tenant quotas');
+        
+        tenantQuotaData = await response.json();
+        renderTenantQuotas();
+        
+    } catch (error) {
+        console.error('Error loading tenant quotas:', error);
+        showNotification('Failed to load tenant quotas', 'error');
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '∞';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+// "used / limit" with a warning badge from 80% and an error badge at the limit
+function quotaCell(used, limit, format = value => value ?? '∞') {
+    const ratio = limit ? used / limit : 0;
+    const badge = limit === 0 || ratio >= 1 ? 'table-status-error' : ratio >= 0.8 ? 'table-status-text' : 'table-status-ready';
+    return `<td class="table-td"><span class="table-status-badge ${badge}">${format(used)} / ${format(limit)}</span></td>`;
+}
+
+function renderTenantQuotas() {
+    const body = document.getElementById('tenantQuotasBody');
+    if (!body || !tenantQuotaData) return;
+    
+    const filter = (document.getElementById('quotaTenantFilter')?.value || '').trim().toLowerCase();
+    const tenants = tenantQuotaData.tenants.filter(tenant =>
+        !filter ||
+        tenant.tenant_id.includes(filter) ||
+        (tenant.company_name || '').toLowerCase().includes(filter));
+    const planNames = Object.keys(tenantQuotaData.plans);
+    
+    body.innerHTML = tenants.length === 0
+        ? '<tr><td class="table-td" colspan="7">No tenants found</td></tr>'
+        : tenants.map(tenant => `
+            <tr>
+                <td class="table-td">
+                    ${escapeHtml(tenant.company_name || 'Unnamed tenant')}
+                    <div class="table-text-secondary">${escapeHtml(tenant.tenant_id)} · ${tenant.user_count} users</div>
+                </td>
+                <td class="table-td">
+                    <select onchange="updateTenantPlan('${tenant.tenant_id}', this.value)">
+                        ${planNames.map(name => `<option value="${name}" ${name === tenant.plan.name ? 'selected' : ''}>${escapeHtml(name)}</option>`).join('')}
+                    </select>
+                    ${tenant.plan.custom ? '<div class="table-text-secondary">Custom limits</div>' : ''}
+                </td>
+                ${quotaCell(tenant.usage.requests, tenant.plan.limits.requestsPerMinute)}
+                ${quotaCell(tenant.usage.messages, tenant.plan.limits.messagesPerDay)}
+                ${quotaCell(tenant.usage.searches, tenant.plan.limits.searchesPerDay)}
+                ${quotaCell(tenant.usage.documents, tenant.plan.limits.documentsPerMonth)}
+                ${quotaCell(tenant.usage.storageBytes, tenant.plan.limits.storageBytes, formatBytes)}
+            </tr>
+        `).join('');
+}
+
+async function updateTenantPlan(tenantId, plan) {
+    try {
+        const response = await fetch(`/api/admin/tenants/${tenantId}/plan`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ plan })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to update plan');
+        
+        showNotification(`Tenant moved to the ${plan} plan`, 'success');
+        await loadTenantQuotas();
+        
+    } catch (error) {
+        console.error('Error updating tenant plan:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// Load monthly usage statements and what was reported to Stripe
+let usageData = null;
+
+function selectedUsageMonth() {
+    return document.getElementById('usageMonth')?.value || new Date().toISOString().slice(0, 7);
+}
+
+async function loadUsageStatements() {
+    try {
+        const response = await fetch(`/api/admin/usage?month=${encodeURIComponent(selectedUsageMonth())}`, {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) throw new Error('Failed to load usage statements');
+        
+        usageData = await response.json();
+        renderUsageStatements();
+        
+    } catch (error) {
+        console.error('Error loading usage statements:', error);
+        showNotification('Failed to load usage statements', 'error');
+    }
+}
+
+function renderUsageStatements() {
+    const head = document.getElementById('usageStatementsHead');
+    const body = document.getElementById('usageStatementsBody');
+    if (!head || !body || !usageData) return;
+    
+    const metrics = Object.entries(usageData.metrics);
+    head.innerHTML = `
+        <tr>
+            <th class="table-th">Tenant</th>
+            ${metrics.map(([, metric]) => `<th class="table-th">${escapeHtml(metric.label)}</th>`).join('')}
+            <th class="table-th">Stripe</th>
+        </tr>
+    `;
+    
+    if (usageData.statements.length === 0) {
+        body.innerHTML = `<tr><td class="table-td" colspan="${metrics.length + 2}">No usage recorded for ${escapeHtml(usageData.month)}</td></tr>`;
+        return;
+    }
+    
+    body.innerHTML = usageData.statements.map(statement => {
+        const quantities = Object.fromEntries(statement.lines.map(line => [line.metric, line]));
+        const exports = usageData.exports.filter(record => record.tenant_id === statement.tenant_id);
+        const mapped = Object.keys(statement.billing.subscription_items).length;
+        const failed = exports.filter(record => record.status === 'failed');
+        const exportStatus = exports.length === 0
+            ? '<span class="table-text-secondary">Not sent</span>'
+            : failed.length > 0
+                ? `<span class="table-status-badge table-status-error" title="${escapeHtml(failed.map(record => `${record.metric}: ${record.error}`).join('\n'))}">${failed.length} failed</span>`
+                : `<span class="table-status-badge table-status-ready">Sent ${formatDateTime(exports[0].exported_at)}</span>`;
+        
+        return `
+            <tr>
+                <td class="table-td">
+                    ${escapeHtml(statement.company_name || 'Unnamed tenant')}
+                    <div class="table-text-secondary">${escapeHtml(statement.tenant_id)}</div>
+                </td>
+                ${metrics.map(([name, metric]) => {
+                    const quantity = quantities[name]?.quantity || 0;
+                    return `<td class="table-td">${metric.unit === 'bytes' ? formatBytes(quantity) : quantity.toLocaleString()}</td>`;
+                }).join('')}
+                <td class="table-td">
+                    ${exportStatus}
+                    <div class="table-text-secondary">${mapped} metric${mapped === 1 ? '' : 's'} mapped</div>
+                    <button class="btn-secondary" onclick="editTenantBilling('${statement.tenant_id}')">Edit</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+async function rollupUsage() {
+    try {
+        const response = await fetch('/api/admin/usage/rollup', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ days: 2 })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to roll up usage');
+        
+        showNotification('Usage rolled up', 'success');
+        await loadUsageStatements();
+        
+    } catch (error) {
+        console.error('Error rolling up usage:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+function exportUsage(format) {
+    window.location.href = `/api/admin/usage/export?month=${encodeURIComponent(selectedUsageMonth())}&format=${format}`;
+}
+
+async function sendUsageToStripe() {
+    const month = selectedUsageMonth();
+    if (!confirm(`Report usage for ${month} to Stripe? Quantities already sent for this month are replaced.`)) {
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/admin/usage/stripe', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ month })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Failed to report usage to Stripe');
+        
+        showNotification(data.failed > 0
+            ? `${data.failed} usage records failed, see the Stripe column`
+            : `Usage reported for ${data.results.length} tenants`, data.failed > 0 ? 'error' : 'success');
+        await loadUsageStatements();
+        
+    } catch (error) {
+        console.error('Error reporting usage to Stripe:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+// Map a tenant's metrics to Stripe subscription items, edited as JSON
+async function editTenantBilling(tenantId) {
+    const statement = usageData?.statements.find(s => s.tenant_id === tenantId);
+    const current = statement?.billing || { stripe_customer_id: null, subscription_items: {} };
+    const input = prompt(
+        `Stripe subscription items by metric (${Object.keys(usageData.metrics).join(', ')}):`,
+        JSON.stringify(current.subscription_items)
+    );
+    if (input === null) return;
+    
+    try {
+        let subscriptionItems;
+        try {
+            subscriptionItems = JSON.parse(input || '{}');
+        } catch (parseError) {
+            throw new Error('Enter a JSON object such as {"chat_messages": "si_..."}');
+        }
+        
+        const response = await fetch(`/api/admin/tenants/${tenantId}/billing`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ stripe_customer_id: current.stripe_customer_id, subscription_items: subscriptionItems })
+        });
+        
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.errors?.[0]?.msg || data.message || 'Failed to update billing');
+        
+        showNotification('Billing mapping saved', 'success');
+        await loadUsageStatements();
+        
+    } catch (error) {
+        console.error('Error updating tenant billing:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+function truncateText(text, maxLength) {
+    return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
 // Update analytics charts
 function updateAnalyticsCharts(data) {
     // Update action chart
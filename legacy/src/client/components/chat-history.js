@@ -24,6 +24,11 @@ class ChatHistoryManager {
         this.pendingChatLoad = null; // Track pending chat to load
         this.uiUpdateQueue = []; // Queue for UI updates to prevent flashing
         this.domLocked = false; // Lock to prevent any DOM manipulation during critical operations
+        this.searchQuery = ''; // Active sidebar search, empty when showing recent chats
+        this.searchTimer = null; // Debounce timer for search input
+        this.searchAbortController = null;
+        this.pendingJump = null; // { conversationId, offset } to scroll to once a search result loads
+        this.loadedMessageIds = []; // QuikChat msgids of the loaded conversation, in message order
         
         // Store global reference
         window.chatHistoryManagerInstance = this;
@@ -202,6 +207,9 @@ class ChatHistoryManager {
             // Create chat list container
             chatsList = document.createElement('div');
             chatsList.className = 'chats-list';
+            if (this.searchQuery) {
+                chatsList.style.display = 'none';
+            }
             chatsSection.appendChild(chatsList);
         }
 
@@ -433,9 +441,10 @@ class ChatHistoryManager {
     handleChatClickDebounced(conversationId, chatItem) {
         // Simple click handling - no complex debouncing
         
-        // 1. Same conversation already active - do nothing
+        // 1. Same conversation already active - only jump to a searched message
         if (this.currentConversationId === conversationId) {
             console.log('[Chat History] Same conversation already active');
+            this.applyPendingJump(conversationId);
             return;
         }
         
@@ -560,13 +569,22 @@ class ChatHistoryManager {
                     }
                     
                     // Load messages into chat
+                    this.loadedMessageIds = [];
                     if (data.messages && data.messages.length > 0) {
                         data.messages.forEach(msg => {
                             const alignment = msg.role === 'user' ? 'right' : 'left';
                             const author = msg.role === 'user' ? 'You' : 'Assistant';
-                            window.chatInstance.chat.messageAddNew(msg.message, author, alignment);
+                            const msgid = window.chatInstance.chat.messageAddNew(msg.message, author, alignment);
+                            this.loadedMessageIds.push(msgid);
+                            if (msg.sources && msg.sources.length > 0) {
+                                window.chatInstance.renderSources(msgid, msg.sources);
+                            }
+                            if (msg.role === 'assistant') {
+                                window.chatInstance.renderFeedback(msgid, msg.id, msg.feedback);
+                            }
                         });
                         console.log(`[Chat History] Loaded ${data.messages.length} messages`);
+                        this.applyPendingJump(conversationId);
                     } else {
                         // No messages in this conversation, show continuation message
                         window.chatInstance.chat.messageAddNew('Continue your conversation...', 'Assistant', 'left');
@@ -590,6 +608,7 @@ class ChatHistoryManager {
                     }, 500); // Reduced delay since we're being more selective
                 } else {
                     console.log(`[Chat History] Same conversation ${conversationId}, skipping reload`);
+                    this.applyPendingJump(conversationId);
                 }
             }
         } catch (error) {
@@ -622,6 +641,170 @@ class ChatHistoryManager {
         }
     }
 
+    setupSearch() {
+        const searchInput = document.querySelector('.left-sidebar .search-input');
+        if (!searchInput) {
+            return;
+        }
+        
+        searchInput.addEventListener('input', () => {
+            if (this.searchTimer) {
+                clearTimeout(this.searchTimer);
+            }
+            this.searchTimer = setTimeout(() => {
+                this.searchTimer = null;
+                this.searchConversations(searchInput.value.trim());
+            }, 300);
+        });
+        
+        searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                searchInput.value = '';
+                this.searchConversations('');
+            }
+        });
+    }
+
+    async searchConversations(query) {
+        if (this.isDestroyed) return;
+        
+        // Cancel the previous search so results can't arrive out of order
+        if (this.searchAbortController) {
+            this.searchAbortController.abort();
+            this.searchAbortController = null;
+        }
+        
+        this.searchQuery = query;
+        if (query.length < 2) {
+            this.renderSearchResults(null);
+            return;
+        }
+        
+        this.searchAbortController = new AbortController();
+        const { signal } = this.searchAbortController;
+        
+        try {
+            const response = await fetch(`/api/rag/conversations/search?q=${encodeURIComponent(query)}&limit=20`, {
+                headers: {
+                    'Authorization': `Bearer ${this.sessionToken}`
+                },
+                credentials: 'include',
+                signal
+            });
+            
+            if (!response.ok) {
+                throw new Error(`Search failed: ${response.status}`);
+            }
+            
+            const data = await response.json();
+            if (this.searchQuery === query) {
+                this.renderSearchResults(data.conversations || []);
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
+            console.error('[Chat History] Error searching conversations:', error);
+            this.showErrorMessage('Search failed. Please try again.');
+        } finally {
+            if (this.searchAbortController && this.searchAbortController.signal === signal) {
+                this.searchAbortController = null;
+            }
+        }
+    }
+
+    // Show search results in place of the recent chats list; null restores the list
+    renderSearchResults(results) {
+        const chatsSection = document.querySelector('.chats-section');
+        if (!chatsSection) return;
+        
+        const chatsList = chatsSection.querySelector('.chats-list');
+        let resultsContainer = chatsSection.querySelector('.chat-search-results');
+        
+        if (results === null) {
+            if (resultsContainer) {
+                resultsContainer.remove();
+            }
+            if (chatsList) {
+                chatsList.style.display = '';
+            }
+            return;
+        }
+        
+        if (chatsList) {
+            chatsList.style.display = 'none';
+        }
+        if (!resultsContainer) {
+            resultsContainer = document.createElement('div');
+            resultsContainer.className = 'chat-search-results';
+            chatsSection.appendChild(resultsContainer);
+        }
+        
+        if (results.length === 0) {
+            resultsContainer.innerHTML = '<div class="no-chats"><p>No matching chats</p></div>';
+            return;
+        }
+        
+        resultsContainer.innerHTML = '';
+        results.forEach(conv => {
+            const title = conv.title.length > 50 ? conv.title.substring(0, 47) + '...' : conv.title;
+            const match = conv.matches[0];
+            
+            const resultItem = document.createElement('div');
+            resultItem.className = 'chat-item chat-search-result';
+            resultItem.dataset.conversationId = conv.conversation_id;
+            resultItem.innerHTML = `
+                <div class="chat-item-content">
+                    <div class="chat-item-header">
+                        <div class="chat-item-title">${this.escapeHtml(title)}</div>
+                    </div>
+                    <div class="chat-search-snippet">${match.snippet_html}</div>
+                    <div class="chat-item-meta">
+                        <span class="chat-item-time">${this.formatTimestamp(match.created_at)}</span>
+                        <span class="chat-item-count">${conv.match_count} ${conv.match_count === 1 ? 'match' : 'matches'}</span>
+                    </div>
+                </div>
+            `;
+            
+            resultItem.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.pendingJump = { conversationId: conv.conversation_id, offset: match.message_offset };
+                this.handleChatClickDebounced(conv.conversation_id, resultItem);
+            });
+            
+            resultsContainer.appendChild(resultItem);
+        });
+    }
+
+    // Scroll to and briefly highlight the message a search result pointed at
+    applyPendingJump(conversationId) {
+        const jump = this.pendingJump;
+        if (!jump || jump.conversationId !== conversationId) {
+            return;
+        }
+        this.pendingJump = null;
+        
+        const msgid = this.loadedMessageIds[jump.offset];
+        const element = msgid !== undefined && window.chatInstance
+            ? window.chatInstance.chat.messageGetDOMObject(msgid)
+            : null;
+        if (!element) {
+            console.warn(`[Chat History] Matched message ${jump.offset} not found in conversation`);
+            return;
+        }
+        
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('chat-search-match');
+        setTimeout(() => element.classList.remove('chat-search-match'), 2500);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
     handleNewChat() {
         console.log('[Chat History] Creating new chat');
         this.currentConversationId = null;
@@ -753,6 +936,17 @@ class ChatHistoryManager {
         // Clear pending chat load
         this.pendingChatLoad = null;
         
+        // Cancel any search in flight
+        if (this.searchTimer) {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = null;
+        }
+        if (this.searchAbortController) {
+            this.searchAbortController.abort();
+            this.searchAbortController = null;
+        }
+        this.pendingJump = null;
+        
         // Reset loading flags
         this.isLoadingConversation = false;
         
@@ -814,6 +1008,9 @@ class ChatHistoryManager {
             newChatBtn.addEventListener('click', () => this.handleNewChat());
         }
         
+        // Set up conversation search in the sidebar
+        this.setupSearch();
+        
         // Start auto-refresh (which includes initial load)
         this.startAutoRefresh(30000); // Refresh every 30 seconds
         
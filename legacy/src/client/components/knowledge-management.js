@@ -7,6 +7,12 @@ class KnowledgeManagementGrid {
         this.viewMode = 'grid';
         this.documents = [];
         this.vectorStats = null;
+        // Folder tree: 'all', 'unfiled' or a collection_id is shown
+        this.collections = [];
+        this.canManageCollections = false;
+        this.currentCollection = 'all';
+        this.expandedCollections = new Set();
+        this.dragging = null;
         // Start initialization but show loading state first
         this.showLoadingState();
         this.init();
@@ -25,6 +31,7 @@ class KnowledgeManagementGrid {
     async init() {
         try {
             await this.loadDocuments();
+            await this.loadCollections();
             await this.loadVectorStats();
         } catch (error) {
             console.error('Error during initialization:', error);
@@ -66,6 +73,10 @@ class KnowledgeManagementGrid {
                 accuracy: 0, // To be implemented with analytics
                 lastModified: doc.updated_at || doc.created_at,
                 hasMarkdown: doc.has_markdown,
+                version: doc.version || 1,
+                versionCount: doc.version_count || 1,
+                pendingVersion: doc.pending_version || null,
+                collectionId: doc.collection_id || null,
                 progress: doc.status === 'processing' ? 50 : undefined
             })) : [];
             
@@ -78,6 +89,34 @@ class KnowledgeManagementGrid {
         }
     }
 
+    async loadCollections() {
+        try {
+            const tenantId = localStorage.getItem('userTenantId') || localStorage.getItem('tenantId');
+            if (!tenantId) {
+                return;
+            }
+            
+            const response = await fetch(`/api/tenants/${tenantId}/collections`, {
+                credentials: 'include'
+            });
+            
+            if (!response.ok) {
+                console.error('Failed to load collections:', response.statusText);
+                return;
+            }
+            
+            const data = await response.json();
+            this.collections = data.data || [];
+            this.canManageCollections = data.can_manage === true;
+            if (!['all', 'unfiled'].includes(this.currentCollection) &&
+                !this.collections.some(c => c.collection_id === this.currentCollection)) {
+                this.currentCollection = 'all';
+            }
+        } catch (error) {
+            console.error('Error loading collections:', error);
+        }
+    }
+
     async loadVectorStats() {
         try {
             const tenantId = localStorage.getItem('userTenantId') || localStorage.getItem('tenantId');
@@ -134,13 +173,15 @@ class KnowledgeManagementGrid {
                 const data = JSON.parse(event.data);
                 console.log('SSE update received:', data);
                 
-                if (data.type === 'document-uploaded' || data.type === 'processing-complete') {
+                if (data.type === 'document-uploaded' || data.type === 'processing-complete' || data.type === 'document-version' || data.type === 'crawl-completed') {
                     // Reload documents when changes occur
                     this.loadDocuments().then(() => {
                         this.loadVectorStats().then(() => {
                             this.render();
                         });
                     });
+                } else if (data.type === 'document-moved') {
+                    Promise.all([this.loadDocuments(), this.loadCollections()]).then(() => this.render());
                 }
             } catch (error) {
                 console.error('Error processing SSE message:', error);
@@ -161,14 +202,82 @@ class KnowledgeManagementGrid {
             <div class="data-grid-container">
                 ${this.renderHeader()}
                 ${this.renderStatsBar()}
-                ${this.renderToolbar()}
-                ${this.renderBulkActions()}
-                ${this.renderDataGrid()}
-                ${this.renderFooter()}
+                <div class="km-layout">
+                    ${this.renderFolderTree()}
+                    <div class="km-layout-main">
+                        ${this.renderToolbar()}
+                        ${this.renderBulkActions()}
+                        ${this.renderDataGrid()}
+                        ${this.renderFooter()}
+                    </div>
+                </div>
             </div>
         `;
     }
 
+    // Folders: documents are dragged onto a folder to move them, and folders onto another to nest them
+    renderFolderTree() {
+        const unfiledCount = this.documents.filter(doc => !doc.collectionId && !doc.id.startsWith('uploading-')).length;
+        const roots = this.collections.filter(c => !c.parent_id || !this.collections.some(p => p.collection_id === c.parent_id));
+        
+        return `
+            <nav class="km-folders">
+                <div class="km-folders-header">
+                    <span>Folders</span>
+                    ${this.canManageCollections ? `
+                        <button class="km-folder-action" title="New folder" onclick="kmGrid.showCollectionModal(null, ${this.isCollection(this.currentCollection) ? `'${this.currentCollection}'` : 'null'})">+</button>
+                    ` : ''}
+                </div>
+                <div class="km-folder ${this.currentCollection === 'all' ? 'active' : ''}" onclick="kmGrid.selectCollection('all')">
+                    <span class="km-folder-name">All documents</span>
+                    <span class="km-folder-count">${this.documents.length}</span>
+                </div>
+                <div class="km-folder km-folder-drop ${this.currentCollection === 'unfiled' ? 'active' : ''}"
+                     onclick="kmGrid.selectCollection('unfiled')"
+                     ondragover="kmGrid.handleFolderDragOver(event, null)"
+                     ondragleave="kmGrid.handleFolderDragLeave(event)"
+                     ondrop="kmGrid.handleFolderDrop(event, null)"
+                     title="Readable by everyone in the tenant">
+                    <span class="km-folder-name">Unfiled</span>
+                    <span class="km-folder-count">${unfiledCount}</span>
+                </div>
+                ${roots.map(collection => this.renderFolderNode(collection, 0)).join('')}
+            </nav>
+        `;
+    }
+
+    renderFolderNode(collection, depth) {
+        const children = this.collections.filter(c => c.parent_id === collection.collection_id);
+        const expanded = this.expandedCollections.has(collection.collection_id);
+        const id = collection.collection_id;
+        const members = collection.members
+            ? collection.members.map(m => (m.type === 'role' ? `role: ${m.member}` : m.member)).join(', ') || 'No members yet'
+            : '';
+        
+        return `
+            <div class="km-folder km-folder-drop ${this.currentCollection === id ? 'active' : ''}"
+                 style="padding-left: ${12 + depth * 16}px"
+                 onclick="kmGrid.selectCollection('${id}')"
+                 ${this.canManageCollections ? `draggable="true" ondragstart="kmGrid.handleFolderDragStart(event, '${id}')"` : ''}
+                 ondragover="kmGrid.handleFolderDragOver(event, '${id}')"
+                 ondragleave="kmGrid.handleFolderDragLeave(event)"
+                 ondrop="kmGrid.handleFolderDrop(event, '${id}')"
+                 title="${this.escapeHtml(members || collection.description || collection.name)}">
+                <span class="km-folder-toggle" onclick="event.stopPropagation(); kmGrid.toggleCollection('${id}')">${children.length > 0 ? (expanded ? '▾' : '▸') : ''}</span>
+                <span class="km-folder-name">${this.escapeHtml(collection.name)}</span>
+                <span class="km-folder-count">${this.documents.filter(doc => doc.collectionId === id).length}</span>
+                ${this.canManageCollections ? `
+                    <span class="km-folder-actions">
+                        <button class="km-folder-action" title="New subfolder" onclick="event.stopPropagation(); kmGrid.showCollectionModal(null, '${id}')">+</button>
+                        <button class="km-folder-action" title="Edit folder and members" onclick="event.stopPropagation(); kmGrid.showCollectionModal('${id}')">✎</button>
+                        <button class="km-folder-action" title="Delete folder" onclick="event.stopPropagation(); kmGrid.deleteCollection('${id}')">×</button>
+                    </span>
+                ` : ''}
+            </div>
+            ${expanded ? children.map(child => this.renderFolderNode(child, depth + 1)).join('') : ''}
+        `;
+    }
+
     renderHeader() {
         const uploadIcon = `
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -315,7 +424,8 @@ class KnowledgeManagementGrid {
     renderTableRow(doc) {
         const isSelected = this.selectedDocuments.has(doc.id);
         return `
-            <tr class="table-tr ${isSelected ? 'selected' : ''}" onclick="kmGrid.handleRowClick(event, '${doc.id}')">
+            <tr class="table-tr ${isSelected ? 'selected' : ''}" onclick="kmGrid.handleRowClick(event, '${doc.id}')"
+                ${doc.id.startsWith('uploading-') ? '' : `draggable="true" ondragstart="kmGrid.handleDocumentDragStart(event, '${doc.id}')" ondragend="kmGrid.handleDragEnd()"`}>
                 <td class="table-td table-td-checkbox">
                     <input type="checkbox" class="table-checkbox" ${isSelected ? 'checked' : ''} 
                            onclick="event.stopPropagation()" 
@@ -325,6 +435,8 @@ class KnowledgeManagementGrid {
                     <div class="table-link" style="display: flex; align-items: center; gap: 8px;">
                         <span style="flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${doc.name}</span>
                         <span class="table-type-badge" style="font-size: 10px; padding: 2px 6px; flex-shrink: 0;">${doc.type}</span>
+                        ${doc.versionCount > 1 ? `<span class="table-type-badge km-version-badge" title="${doc.versionCount} versions">v${doc.version}</span>` : ''}
+                        ${doc.pendingVersion ? `<span class="table-type-badge km-version-badge km-version-pending" title="Replaces v${doc.version} once processed">v${doc.pendingVersion} processing</span>` : ''}
                     </div>
                 </td>
                 <td class="table-td" style="width: 15%; min-width: 100px;">
@@ -341,6 +453,12 @@ class KnowledgeManagementGrid {
                                 <circle cx="12" cy="12" r="3"/>
                             </svg>
                         </button>
+                        <button class="table-action-btn" title="Version history" onclick="event.stopPropagation(); kmGrid.showVersionHistory('${doc.id}')">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <circle cx="12" cy="12" r="10"/>
+                                <polyline points="12 6 12 12 16 14"/>
+                            </svg>
+                        </button>
                         <button class="table-action-btn" title="Reprocess" onclick="event.stopPropagation(); kmGrid.reprocessDocument('${doc.id}')">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="23 4 23 10 17 10"/>
@@ -440,7 +558,10 @@ class KnowledgeManagementGrid {
             const matchesType = this.currentFilter.type === 'all' || doc.type === this.currentFilter.type;
             const matchesSearch = !this.currentFilter.search || 
                                   doc.name.toLowerCase().includes(this.currentFilter.search.toLowerCase());
-            return matchesStatus && matchesType && matchesSearch;
+            const matchesCollection = this.currentCollection === 'all'
+                || doc.id.startsWith('uploading-')
+                || (doc.collectionId || 'unfiled') === this.currentCollection;
+            return matchesStatus && matchesType && matchesSearch && matchesCollection;
         });
     }
 
@@ -521,6 +642,286 @@ class KnowledgeManagementGrid {
         this.render();
     }
 
+    isCollection(value) {
+        return value !== 'all' && value !== 'unfiled';
+    }
+
+    selectCollection(value) {
+        this.currentCollection = value;
+        this.selectedDocuments.clear();
+        // Show where the folder sits in the tree
+        let collection = this.collections.find(c => c.collection_id === value);
+        while (collection?.parent_id) {
+            this.expandedCollections.add(collection.parent_id);
+            collection = this.collections.find(c => c.collection_id === collection.parent_id);
+        }
+        this.render();
+    }
+
+    toggleCollection(collectionId) {
+        if (this.expandedCollections.has(collectionId)) {
+            this.expandedCollections.delete(collectionId);
+        } else {
+            this.expandedCollections.add(collectionId);
+        }
+        this.render();
+    }
+
+    // Dragging a selected row moves the whole selection
+    handleDocumentDragStart(event, docId) {
+        const ids = this.selectedDocuments.has(docId) ? [...this.selectedDocuments] : [docId];
+        this.dragging = { type: 'documents', ids };
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', ids.join(','));
+    }
+
+    handleFolderDragStart(event, collectionId) {
+        event.stopPropagation();
+        this.dragging = { type: 'collection', id: collectionId };
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', collectionId);
+    }
+
+    handleDragEnd() {
+        this.dragging = null;
+        this.container.querySelectorAll('.km-folder-drop.drag-over').forEach(el => el.classList.remove('drag-over'));
+    }
+
+    handleFolderDragOver(event, collectionId) {
+        if (!this.dragging || (this.dragging.type === 'collection' && !this.canMoveCollection(this.dragging.id, collectionId))) {
+            return;
+        }
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        event.currentTarget.classList.add('drag-over');
+    }
+
+    handleFolderDragLeave(event) {
+        event.currentTarget.classList.remove('drag-over');
+    }
+
+    async handleFolderDrop(event, collectionId) {
+        event.preventDefault();
+        const dragging = this.dragging;
+        this.handleDragEnd();
+        if (!dragging) return;
+
+        if (dragging.type === 'documents') {
+            await this.moveDocuments(dragging.ids, collectionId);
+        } else {
+            await this.moveCollection(dragging.id, collectionId);
+        }
+    }
+
+    // A folder can't be dropped onto itself, one of its subfolders or its current parent
+    canMoveCollection(collectionId, parentId) {
+        const collection = this.collections.find(c => c.collection_id === collectionId);
+        if (!collection || (collection.parent_id || null) === parentId) {
+            return false;
+        }
+        for (let id = parentId; id; id = this.collections.find(c => c.collection_id === id)?.parent_id) {
+            if (id === collectionId) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    async moveDocuments(docIds, collectionId) {
+        const ids = docIds.filter(id => (this.documents.find(d => d.id === id)?.collectionId || null) !== collectionId);
+        if (ids.length === 0) return;
+
+        const results = await Promise.allSettled(ids.map(async (docId) => {
+            const response = await fetch(`/api/rag/document/${docId}/collection`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ collection_id: collectionId })
+            });
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || response.statusText);
+            }
+        }));
+        const failed = results.filter(result => result.status === 'rejected');
+
+        this.selectedDocuments.clear();
+        await Promise.all([this.loadDocuments(), this.loadCollections()]);
+        await this.loadVectorStats();
+        this.render();
+
+        const target = collectionId ? this.collections.find(c => c.collection_id === collectionId)?.name : 'Unfiled';
+        if (failed.length > 0) {
+            this.showNotification(`Failed to move ${failed.length} of ${ids.length} documents: ${failed[0].reason.message}`, 'error');
+        } else {
+            this.showNotification(`Moved ${ids.length} document${ids.length > 1 ? 's' : ''} to ${target}`, 'success');
+        }
+    }
+
+    async moveCollection(collectionId, parentId) {
+        if (!this.canMoveCollection(collectionId, parentId)) return;
+        try {
+            await this.saveCollection(collectionId, { parent_id: parentId });
+            if (parentId) {
+                this.expandedCollections.add(parentId);
+            }
+            await this.loadCollections();
+            this.render();
+        } catch (error) {
+            this.showNotification(`Failed to move folder: ${error.message}`, 'error');
+        }
+    }
+
+    async saveCollection(collectionId, fields) {
+        const tenantId = localStorage.getItem('userTenantId') || localStorage.getItem('tenantId');
+        const response = await fetch(`/api/tenants/${tenantId}/collections${collectionId ? `/${collectionId}` : ''}`, {
+            method: collectionId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify(fields)
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.details?.[0]?.msg || data.error || response.statusText);
+        }
+        return data.collection;
+    }
+
+    async saveCollectionMembers(collectionId, members) {
+        const tenantId = localStorage.getItem('userTenantId') || localStorage.getItem('tenantId');
+        const response = await fetch(`/api/tenants/${tenantId}/collections/${collectionId}/members`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ members })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || response.statusText);
+        }
+    }
+
+    // Create a folder (inside parentId), or rename an existing one and set who may read it
+    showCollectionModal(collectionId, parentId = null) {
+        const collection = collectionId ? this.collections.find(c => c.collection_id === collectionId) : null;
+        const members = collection?.members || [];
+        const users = members.filter(m => m.type === 'user').map(m => m.member).join('\n');
+        const roles = members.filter(m => m.type === 'role').map(m => m.member).join(', ');
+        const parent = this.collections.find(c => c.collection_id === (collection ? collection.parent_id : parentId));
+
+        document.getElementById('collectionModal')?.remove();
+        const modalOverlay = document.createElement('div');
+        modalOverlay.id = 'collectionModal';
+        modalOverlay.className = 'km-version-overlay';
+        modalOverlay.innerHTML = `
+            <form class="km-version-modal km-collection-modal">
+                <div class="km-version-header">
+                    <div>
+                        <h2 class="km-version-title">${collection ? 'Edit Folder' : 'New Folder'}</h2>
+                        ${parent ? `<div class="km-version-subtitle">In ${this.escapeHtml(parent.name)}</div>` : ''}
+                    </div>
+                    <button type="button" class="km-version-close" data-action="close">×</button>
+                </div>
+                <div class="km-version-body">
+                    <label class="km-collection-label">
+                        Name
+                        <input class="km-collection-input" name="name" maxlength="100" required value="${this.escapeHtml(collection?.name || '')}">
+                    </label>
+                    <label class="km-collection-label">
+                        Description
+                        <input class="km-collection-input" name="description" maxlength="255" value="${this.escapeHtml(collection?.description || '')}">
+                    </label>
+                    <label class="km-collection-label">
+                        Users who may read it (one email per line)
+                        <textarea class="km-collection-input" name="users" rows="4">${this.escapeHtml(users)}</textarea>
+                    </label>
+                    <label class="km-collection-label">
+                        Roles who may read it (comma separated)
+                        <input class="km-collection-input" name="roles" placeholder="user, hr-team" value="${this.escapeHtml(roles)}">
+                    </label>
+                    <p class="km-collection-hint">Members also read the folders inside this one. Users who may manage collections read every folder.</p>
+                    <div class="km-collection-error" hidden></div>
+                    <div class="km-collection-footer">
+                        <button type="button" class="km-version-btn" data-action="close">Cancel</button>
+                        <button type="submit" class="km-version-btn km-collection-save">${collection ? 'Save' : 'Create'}</button>
+                    </div>
+                </div>
+            </form>
+        `;
+        document.body.appendChild(modalOverlay);
+
+        const form = modalOverlay.querySelector('form');
+        const close = () => {
+            modalOverlay.remove();
+            document.removeEventListener('keydown', escapeHandler);
+        };
+        const escapeHandler = (e) => {
+            if (e.key === 'Escape') {
+                close();
+            }
+        };
+        document.addEventListener('keydown', escapeHandler);
+        modalOverlay.addEventListener('click', (e) => {
+            if (e.target === modalOverlay || e.target.closest('[data-action="close"]')) {
+                close();
+            }
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const errorBox = form.querySelector('.km-collection-error');
+            const memberList = [
+                ...form.elements.users.value.split(/[\s,;]+/).filter(Boolean).map(member => ({ type: 'user', member })),
+                ...form.elements.roles.value.split(',').map(role => role.trim()).filter(Boolean).map(member => ({ type: 'role', member }))
+            ];
+            try {
+                const saved = await this.saveCollection(collectionId, {
+                    name: form.elements.name.value,
+                    description: form.elements.description.value || null,
+                    ...(!collection && { parent_id: parentId })
+                });
+                await this.saveCollectionMembers(saved.collection_id, memberList);
+                if (parentId) {
+                    this.expandedCollections.add(parentId);
+                }
+                close();
+                await this.loadCollections();
+                this.render();
+                this.showNotification(collection ? 'Folder saved' : `Folder ${saved.name} created`, 'success');
+            } catch (error) {
+                errorBox.textContent = error.message;
+                errorBox.hidden = false;
+            }
+        });
+        form.elements.name.focus();
+    }
+
+    async deleteCollection(collectionId) {
+        const collection = this.collections.find(c => c.collection_id === collectionId);
+        if (!collection || !confirm(`Delete the folder "${collection.name}"? It has to be empty.`)) {
+            return;
+        }
+        try {
+            const tenantId = localStorage.getItem('userTenantId') || localStorage.getItem('tenantId');
+            const response = await fetch(`/api/tenants/${tenantId}/collections/${collectionId}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || response.statusText);
+            }
+            if (this.currentCollection === collectionId) {
+                this.currentCollection = collection.parent_id || 'all';
+            }
+            await this.loadCollections();
+            this.render();
+            this.showNotification('Folder deleted', 'success');
+        } catch (error) {
+            this.showNotification(`Failed to delete folder: ${error.message}`, 'error');
+        }
+    }
+
     handleUpload() {
         // Create a file input element
         const input = document.createElement('input');
@@ -531,10 +932,13 @@ class KnowledgeManagementGrid {
         input.onchange = async (e) => {
             const file = e.target.files[0];
             if (!file) return;
-            
-            // Create FormData for file upload
-            const formData = new FormData();
-            formData.append('document', file);
+            // Files go into the folder being shown
+            const collectionId = this.isCollection(this.currentCollection) ? this.currentCollection : null;
+            // A file named like a listed document is only a new version of it if the user says so
+            const namesake = this.documents.find(d => d.name === file.name && !d.id.startsWith('uploading-'));
+            const replaces = namesake && confirm(`"${file.name}" is already in the knowledge base. Upload it as a new version of that document?\n\nCancel uploads it as a separate document.`)
+                ? namesake.id
+                : null;
             
             try {
                 // Show uploading indicator
@@ -549,22 +953,23 @@ class KnowledgeManagementGrid {
                     queries: 0,
                     accuracy: 0,
                     lastModified: new Date().toISOString(),
+                    collectionId,
                     progress: 0
                 };
                 this.documents.unshift(uploadingDoc);
                 this.render();
                 
-                const response = await fetch('/api/rag/upload-document', {
-                    method: 'POST',
-                    body: formData,
-                    credentials: 'include'
-                });
+                // Resumable uploads hash the file with Web Crypto, which browsers only offer over HTTPS (or localhost)
+                const result = window.crypto?.subtle
+                    ? await this.uploadResumable(file, collectionId, replaces)
+                    : await this.uploadDirect(file, collectionId, replaces);
                 
-                if (!response.ok) {
-                    throw new Error(`Upload failed: ${response.statusText}`);
+                if (!result) {
+                    // Cancelled
+                    this.documents = this.documents.filter(d => !d.id.startsWith('uploading-'));
+                    this.render();
+                    return;
                 }
-                
-                const result = await response.json();
                 console.log('Upload successful:', result);
                 
                 // Reload documents to show the new one
@@ -572,8 +977,14 @@ class KnowledgeManagementGrid {
                 await this.loadVectorStats();
                 this.render();
                 
-                // Show success message
-                this.showNotification('Document uploaded successfully', 'success');
+                // Show success message; a file already in the knowledge base becomes a new version of it
+                if (result.duplicate) {
+                    this.showNotification(`${file.name} is already in the knowledge base`, 'info');
+                } else if (result.version > 1) {
+                    this.showNotification(`Uploaded version ${result.version} of ${file.name}; it replaces the current version once processed`, 'success');
+                } else {
+                    this.showNotification('Document uploaded successfully', 'success');
+                }
             } catch (error) {
                 console.error('Upload error:', error);
                 this.showNotification('Failed to upload document: ' + error.message, 'error');
@@ -588,6 +999,99 @@ class KnowledgeManagementGrid {
         input.click();
     }
 
+    // Upload the whole file in one request
+    async uploadDirect(file, collectionId = null, replaces = null) {
+        const formData = new FormData();
+        if (collectionId) {
+            formData.append('collection_id', collectionId);
+        }
+        if (replaces) {
+            formData.append('replaces', replaces);
+        }
+        formData.append('document', file);
+        
+        const response = await fetch('/api/rag/upload-document', {
+            method: 'POST',
+            body: formData,
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `Upload failed: ${response.statusText}`);
+        }
+        
+        return response.json();
+    }
+
+    // Upload in parts with a progress panel that can pause, resume and cancel; resolves null when cancelled
+    async uploadResumable(file, collectionId = null, replaces = null) {
+        const [{ ResumableUpload }, { LoadingProgress }] = await Promise.all([
+            import('/components/resumable-upload.js'),
+            import('/components/loading-progress.js')
+        ]);
+        
+        const panel = document.createElement('div');
+        panel.className = 'km-upload-panel';
+        panel.innerHTML = `
+            <div class="km-upload-panel-title" title="${this.escapeHtml(file.name)}">${this.escapeHtml(file.name)}</div>
+            <div id="kmUploadProgress-${Date.now()}"></div>
+        `;
+        document.body.appendChild(panel);
+        
+        const upload = new ResumableUpload(file, {
+            collectionId,
+            replaces,
+            onPhase: (phase) => {
+                const steps = ['hash', 'upload', 'complete'];
+                steps.slice(0, steps.indexOf(phase)).forEach(step => progress.completeStep(step));
+                progress.startStep(phase);
+                if (phase === 'complete') {
+                    progress.setStepDetail('upload', this.formatFileSize(file.size));
+                }
+            },
+            onProgress: (phase, loaded, total) => {
+                const detail = phase === 'upload'
+                    ? `${this.formatFileSize(loaded)} of ${this.formatFileSize(total)}`
+                    : undefined;
+                progress.setStepProgress(phase, total ? (loaded / total) * 100 : 100, detail);
+            },
+            onPausedChange: (paused, reason) => {
+                const detail = reason === 'offline'
+                    ? 'Paused: connection lost, resuming when back online'
+                    : reason === 'failed' ? 'Paused: the server is not responding' : undefined;
+                progress.setPaused(paused, paused ? detail : undefined);
+            }
+        });
+        
+        const progress = new LoadingProgress({
+            containerId: panel.lastElementChild.id,
+            manual: true,
+            steps: [
+                { id: 'hash', label: 'Checking file' },
+                { id: 'upload', label: 'Uploading' },
+                { id: 'complete', label: 'Sending for processing' }
+            ],
+            onPause: () => upload.pause(),
+            onResume: () => upload.resume(),
+            onCancel: () => upload.cancel()
+        });
+        progress.start();
+        
+        try {
+            const result = await upload.start();
+            if (result) {
+                progress.completeStep('complete');
+            }
+            panel.remove();
+            return result;
+        } catch (error) {
+            progress.failStep(progress.config.steps[progress.currentStep].id, error.message);
+            setTimeout(() => panel.remove(), 5000);
+            throw error;
+        }
+    }
+
     async viewDocument(docId) {
         try {
             // Fetch document content from API
@@ -792,6 +1296,180 @@ class KnowledgeManagementGrid {
         }
     }
 
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    async showVersionHistory(docId) {
+        try {
+            const response = await fetch(`/api/rag/document/${docId}/versions`, {
+                credentials: 'include'
+            });
+            
+            if (!response.ok) {
+                throw new Error('Failed to load versions');
+            }
+            
+            const data = await response.json();
+            const doc = this.documents.find(d => d.id === docId);
+            
+            document.getElementById('versionHistoryModal')?.remove();
+            const modalOverlay = document.createElement('div');
+            modalOverlay.id = 'versionHistoryModal';
+            modalOverlay.className = 'km-version-overlay';
+            modalOverlay.innerHTML = `
+                <div class="km-version-modal">
+                    <div class="km-version-header">
+                        <div>
+                            <h2 class="km-version-title">Version History</h2>
+                            <div class="km-version-subtitle">${this.escapeHtml(doc ? doc.name : data.versions[0].original_filename)}</div>
+                        </div>
+                        <button class="km-version-close" data-action="close">×</button>
+                    </div>
+                    <div class="km-version-body">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th class="table-th">Version</th>
+                                    <th class="table-th">Status</th>
+                                    <th class="table-th">Uploaded</th>
+                                    <th class="table-th">Size</th>
+                                    <th class="table-th">Chunks</th>
+                                    <th class="table-th table-th-actions"></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${data.versions.map(version => this.renderVersionRow(version)).join('')}
+                            </tbody>
+                        </table>
+                        <div id="versionDiff"></div>
+                    </div>
+                </div>
+            `;
+            
+            document.body.appendChild(modalOverlay);
+            
+            const close = () => {
+                modalOverlay.remove();
+                document.removeEventListener('keydown', escapeHandler);
+            };
+            const escapeHandler = (e) => {
+                if (e.key === 'Escape') {
+                    close();
+                }
+            };
+            document.addEventListener('keydown', escapeHandler);
+            
+            modalOverlay.addEventListener('click', (e) => {
+                if (e.target === modalOverlay) {
+                    close();
+                    return;
+                }
+                const button = e.target.closest('[data-action]');
+                if (!button) return;
+                
+                const version = parseInt(button.dataset.version);
+                if (button.dataset.action === 'close') {
+                    close();
+                } else if (button.dataset.action === 'diff') {
+                    this.showVersionDiff(docId, version);
+                } else if (button.dataset.action === 'restore') {
+                    close();
+                    this.restoreVersion(docId, version);
+                }
+            });
+            
+        } catch (error) {
+            console.error('Error loading version history:', error);
+            this.showNotification('Failed to load version history', 'error');
+        }
+    }
+
+    renderVersionRow(version) {
+        const isReady = version.status === 'ready';
+        return `
+            <tr class="table-tr">
+                <td class="table-td table-td-primary">
+                    v${version.version}
+                    ${version.is_current ? '<span class="table-type-badge km-version-badge">Current</span>' : ''}
+                </td>
+                <td class="table-td">${this.renderStatus({ status: version.status, progress: 50 })}</td>
+                <td class="table-td">
+                    ${this.formatDate(version.created_at)}
+                    <div class="km-version-author">${this.escapeHtml(version.created_by)}</div>
+                </td>
+                <td class="table-td">${this.formatFileSize(version.file_size)}</td>
+                <td class="table-td">${version.vector_count}</td>
+                <td class="table-td table-td-actions">
+                    <div class="table-actions">
+                        ${version.version > 1 ? `<button class="km-version-btn" data-action="diff" data-version="${version.version}">Changes</button>` : ''}
+                        ${isReady && !version.is_current ? `<button class="km-version-btn" data-action="restore" data-version="${version.version}">Restore</button>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    async showVersionDiff(docId, version) {
+        const container = document.getElementById('versionDiff');
+        try {
+            const response = await fetch(`/api/rag/document/${docId}/diff?to=${version}`, {
+                credentials: 'include'
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                container.innerHTML = `<p class="km-version-empty">${this.escapeHtml(data.error || 'Failed to load changes')}</p>`;
+                return;
+            }
+            
+            const lines = data.diff.split('\n').filter(line => line && !line.startsWith('---') && !line.startsWith('+++'));
+            container.innerHTML = `
+                <h3 class="km-version-diff-title">
+                    Changes from v${data.from.version} to v${data.to.version}
+                    <span class="km-diff-added">+${data.additions}</span>
+                    <span class="km-diff-removed">-${data.deletions}</span>
+                </h3>
+                ${lines.length === 0 ? '<p class="km-version-empty">The processed content is identical</p>' : `
+                    <pre class="km-diff">${lines.map(line => {
+                        const lineClass = line.startsWith('@@') ? 'km-diff-hunk'
+                            : line.startsWith('+') ? 'km-diff-line-added'
+                            : line.startsWith('-') ? 'km-diff-line-removed' : '';
+                        return `<span class="${lineClass}">${this.escapeHtml(line)}</span>`;
+                    }).join('\n')}</pre>
+                `}
+            `;
+        } catch (error) {
+            console.error('Error loading diff:', error);
+            container.innerHTML = '<p class="km-version-empty">Failed to load changes</p>';
+        }
+    }
+
+    async restoreVersion(docId, version) {
+        try {
+            const response = await fetch(`/api/rag/document/${docId}/rollback`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ version })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Restore failed');
+            }
+            
+            await this.loadDocuments();
+            this.render();
+            this.showNotification(`Version ${result.version} restored`, 'success');
+        } catch (error) {
+            console.error('Restore error:', error);
+            this.showNotification(`Failed to restore version: ${error.message}`, 'error');
+        }
+    }
+
     async deleteDocument(docId) {
         this.showDeleteConfirmation(docId);
     }
@@ -811,7 +1489,7 @@ class KnowledgeManagementGrid {
                 </div>
                 <div class="modal-body">
                     <p class="delete-modal-text">
-                        Are you sure you want to delete "${docName}"? This will remove the document and all its associated vectors. This action cannot be undone.
+                        Are you sure you want to delete "${docName}"? This will remove the document${doc && doc.versionCount > 1 ? `, all ${doc.versionCount} of its versions` : ''} and all its associated vectors. This action cannot be undone.
                     </p>
                 </div>
                 <div class="modal-footer">
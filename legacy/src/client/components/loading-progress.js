@@ -1,6 +1,8 @@
 /**
  * Loading Progress Component
- * Shows animated progress steps during setup/loading processes
+ * Shows animated progress steps during setup/loading processes. Steps either run on
+ * timers (step.duration) or, with `manual: true`, are driven by the caller through
+ * startStep / setStepProgress / completeStep (e.g. the real progress of an upload).
  */
 
 export class LoadingProgress {
@@ -12,11 +14,17 @@ export class LoadingProgress {
             onStepComplete: config.onStepComplete || null,
             autoStart: config.autoStart || false,
             showCheckmarks: config.showCheckmarks !== false,
-            animateSteps: config.animateSteps !== false
+            animateSteps: config.animateSteps !== false,
+            manual: config.manual || false,
+            // Pause/resume and cancel buttons are shown when these are given
+            onPause: config.onPause || null,
+            onResume: config.onResume || null,
+            onCancel: config.onCancel || null
         };
         
         this.currentStep = 0;
         this.isRunning = false;
+        this.isPaused = false;
         this.completedSteps = new Set();
         
         this.init();
@@ -53,18 +61,43 @@ export class LoadingProgress {
                         <div class="pending-dot"></div>
                     </div>
                 </div>
-                <div class="step-label">${step.label}</div>
+                <div class="step-body">
+                    <div class="step-label">${step.label}</div>
+                    <div class="step-progress" style="display: none;">
+                        <div class="step-progress-fill"></div>
+                    </div>
+                    <div class="step-detail"></div>
+                </div>
             </div>
         `).join('');
         
+        const controlsHtml = (this.config.onPause || this.config.onCancel) ? `
+            <div class="progress-controls">
+                ${this.config.onPause ? '<button type="button" class="progress-control-btn" data-action="pause">Pause</button>' : ''}
+                ${this.config.onCancel ? '<button type="button" class="progress-control-btn" data-action="cancel">Cancel</button>' : ''}
+            </div>
+        ` : '';
+        
         this.container.innerHTML = `
             <div class="loading-progress-container">
                 ${stepsHtml}
+                ${controlsHtml}
             </div>
         `;
         
         // Store references to step elements
         this.stepElements = this.container.querySelectorAll('.progress-step');
+        
+        this.container.querySelector('[data-action="pause"]')?.addEventListener('click', () => {
+            if (this.isPaused) {
+                this.resume();
+            } else {
+                this.pause();
+            }
+        });
+        this.container.querySelector('[data-action="cancel"]')?.addEventListener('click', () => {
+            this.config.onCancel();
+        });
     }
 
     start() {
@@ -72,7 +105,9 @@ export class LoadingProgress {
         
         this.isRunning = true;
         this.currentStep = 0;
-        this.processNextStep();
+        if (!this.config.manual) {
+            this.processNextStep();
+        }
     }
 
     processNextStep() {
@@ -116,7 +151,7 @@ export class LoadingProgress {
         pending.style.display = 'none';
         
         // Remove all state classes
-        stepElement.classList.remove('loading', 'complete', 'pending');
+        stepElement.classList.remove('loading', 'complete', 'pending', 'error');
         
         switch(state) {
             case 'loading':
@@ -136,6 +171,12 @@ export class LoadingProgress {
                 stepElement.style.animation = '';
                 break;
                 
+            case 'error':
+                pending.style.display = 'block';
+                stepElement.classList.add('error');
+                stepElement.style.animation = '';
+                break;
+                
             case 'pending':
             default:
                 pending.style.display = 'block';
@@ -172,16 +213,101 @@ export class LoadingProgress {
     }
 
     pause() {
+        if (this.config.manual) {
+            this.setPaused(true);
+            this.config.onPause?.();
+            return;
+        }
         this.isRunning = false;
     }
 
     resume() {
+        if (this.config.manual) {
+            this.setPaused(false);
+            this.config.onResume?.();
+            return;
+        }
         if (!this.isRunning && this.currentStep < this.config.steps.length) {
             this.isRunning = true;
             this.processNextStep();
         }
     }
 
+    // Manual steps: reflect a pause without calling onPause/onResume (e.g. the connection dropped)
+    setPaused(paused, detail) {
+        this.isPaused = paused;
+        this.container.querySelector('.loading-progress-container')?.classList.toggle('paused', paused);
+        const button = this.container.querySelector('[data-action="pause"]');
+        if (button) {
+            button.textContent = paused ? 'Resume' : 'Pause';
+        }
+        const step = this.config.steps[this.currentStep];
+        if (step && detail !== undefined) {
+            this.setStepDetail(step.id, detail);
+        }
+    }
+
+    stepElement(stepId) {
+        return this.container.querySelector(`.progress-step[data-step-id="${stepId}"]`);
+    }
+
+    // Manual steps: mark a step as in progress
+    startStep(stepId) {
+        const element = this.stepElement(stepId);
+        if (!element) return;
+        this.currentStep = Number(element.dataset.stepIndex);
+        this.setStepState(element, 'loading');
+    }
+
+    /**
+     * Manual steps: show how far a step has got
+     * @param {string} stepId
+     * @param {number} percent - 0-100
+     * @param {string} [detail] - Text under the bar, e.g. "12 MB of 80 MB"
+     */
+    setStepProgress(stepId, percent, detail) {
+        const element = this.stepElement(stepId);
+        if (!element) return;
+        const bar = element.querySelector('.step-progress');
+        bar.style.display = 'block';
+        bar.querySelector('.step-progress-fill').style.width = `${Math.max(0, Math.min(100, percent))}%`;
+        if (detail !== undefined) {
+            this.setStepDetail(stepId, detail);
+        }
+    }
+
+    setStepDetail(stepId, detail) {
+        const element = this.stepElement(stepId);
+        if (element) {
+            element.querySelector('.step-detail').textContent = detail || '';
+        }
+    }
+
+    // Manual steps: finish a step; finishing the last one completes the progress
+    completeStep(stepId) {
+        const element = this.stepElement(stepId);
+        if (!element) return;
+        const index = Number(element.dataset.stepIndex);
+        this.setStepState(element, 'complete');
+        this.completedSteps.add(stepId);
+        if (this.config.onStepComplete) {
+            this.config.onStepComplete(this.config.steps[index], index);
+        }
+        if (this.completedSteps.size === this.config.steps.length) {
+            this.complete();
+        }
+    }
+
+    // Manual steps: show that a step failed
+    failStep(stepId, message) {
+        const element = this.stepElement(stepId);
+        if (!element) return;
+        this.isRunning = false;
+        this.setStepState(element, 'error');
+        this.setStepDetail(stepId, message);
+        this.container.querySelector('.progress-controls')?.remove();
+    }
+
     // Get current progress percentage
     getProgress() {
         return (this.completedSteps.size / this.config.steps.length) * 100;
@@ -216,6 +342,61 @@ export function injectProgressAnimations() {
             100% { transform: rotate(360deg); }
         }
         
+        .step-progress {
+            height: 4px;
+            margin-top: 6px;
+            background: rgba(0, 102, 255, 0.15);
+            border-radius: 2px;
+            overflow: hidden;
+        }
+        
+        .step-progress-fill {
+            width: 0;
+            height: 100%;
+            background: #0066ff;
+            transition: width 0.2s ease;
+        }
+        
+        .paused .step-progress-fill {
+            background: #f5a623;
+        }
+        
+        .step-detail {
+            font-size: 12px;
+            opacity: 0.7;
+            margin-top: 4px;
+        }
+        
+        .step-detail:empty {
+            display: none;
+        }
+        
+        .progress-step.error .pending-dot {
+            background: #ff3333;
+        }
+        
+        .progress-step.error .step-detail {
+            color: #ff3333;
+            opacity: 1;
+        }
+        
+        .progress-controls {
+            display: flex;
+            gap: 8px;
+            justify-content: flex-end;
+            margin-top: 12px;
+        }
+        
+        .progress-control-btn {
+            padding: 4px 12px;
+            border: 1px solid rgba(0, 102, 255, 0.4);
+            border-radius: 4px;
+            background: transparent;
+            color: inherit;
+            cursor: pointer;
+            font-size: 12px;
+        }
+        
         .mini-spinner {
             width: 16px;
             height: 16px;
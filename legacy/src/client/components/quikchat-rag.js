@@ -6,6 +6,8 @@ class QuikChatRAG {
         this.conversationId = null;
         this.chat = null;
         this.sessionToken = this.getSessionToken();
+        // Assistant replies currently streaming in, keyed by message_id
+        this.streamingMessages = {};
     }
 
     getSessionToken() {
@@ -193,8 +195,16 @@ class QuikChatRAG {
         
         console.log('[SSE] 🔌 Attempting to connect SSE for conversation:', this.conversationId);
         
-        // Create new SSE connection
-        const sseUrl = `/api/rag/chat-stream/${this.conversationId}`;
+        // Create new SSE connection. A new EventSource doesn't send Last-Event-ID, so pass the
+        // last seen event id explicitly to have missed events replayed
+        let sseUrl = `/api/rag/chat-stream/${this.conversationId}`;
+        if (this.lastEventConversationId !== this.conversationId) {
+            this.lastEventId = null;
+            this.lastEventConversationId = this.conversationId;
+        }
+        if (this.lastEventId) {
+            sseUrl += `?lastEventId=${encodeURIComponent(this.lastEventId)}`;
+        }
         console.log('[SSE] 📡 SSE URL:', sseUrl);
         
         try {
@@ -227,6 +237,9 @@ class QuikChatRAG {
         
         this.eventSource.onmessage = (event) => {
             console.log('[SSE] 📨 Received SSE message:', event.data);
+            if (event.lastEventId) {
+                this.lastEventId = event.lastEventId;
+            }
             
             let data;
             try {
@@ -253,7 +266,11 @@ class QuikChatRAG {
                         // Add test indicator if it's a test message
                         const displayText = data.is_test ? `🧪 [TEST] ${messageText}` : messageText;
                         console.log('[SSE] 📝 Adding message to chat:', displayText);
-                        this.chat.messageAddNew(displayText, 'Assistant', 'left');
+                        const msgid = this.chat.messageAddNew(displayText, 'Assistant', 'left');
+                        this.renderSources(msgid, data.sources);
+                        if (data.message_id && !data.is_test) {
+                            this.renderFeedback(msgid, data.message_id);
+                        }
                         
                         // Emit event for chat history to update
                         window.dispatchEvent(new CustomEvent('rag-conversation-updated', {
@@ -266,13 +283,7 @@ class QuikChatRAG {
                     } else {
                         console.warn('[SSE] ⚠️ No message text found in SSE data');
                     }
-                    
-                    // Sources are available in data.sources but not displayed in chat
-                    // to avoid cluttering the conversation
-                    // if (data.sources && data.sources.length > 0) {
-                    //     const sourcesText = 'Sources: ' + data.sources.join(', ');
-                    //     this.chat.messageAddNew(sourcesText, 'System', 'left');
-                    // }
+
                 } else {
                     console.error('[SSE] ❌ Chat instance not available');
                 }
@@ -285,6 +296,23 @@ class QuikChatRAG {
             }
         };
         
+        // Streamed replies arrive as typed events
+        ['message.reasoning', 'message.delta', 'message.completed'].forEach(eventName => {
+            this.eventSource.addEventListener(eventName, (event) => {
+                if (event.lastEventId) {
+                    this.lastEventId = event.lastEventId;
+                }
+                let data;
+                try {
+                    data = JSON.parse(event.data);
+                } catch (error) {
+                    console.error(`[SSE] ❌ Failed to parse ${eventName} event:`, error);
+                    return;
+                }
+                this.handleStreamEvent(eventName, data);
+            });
+        });
+        
         this.eventSource.onerror = (error) => {
             console.error('%c❌ SSE connection error', 'color: #f44336; font-weight: bold', error);
             
@@ -336,6 +364,231 @@ class QuikChatRAG {
         };
     }
 
+    handleStreamEvent(eventName, data) {
+        if (!this.chat || data.conversation_id !== this.conversationId) {
+            return;
+        }
+        
+        let stream = this.streamingMessages[data.message_id];
+        if (!stream) {
+            stream = this.streamingMessages[data.message_id] = { msgid: null, reasoning: [] };
+        }
+        
+        if (eventName === 'message.reasoning') {
+            // Show the latest reasoning step in the thinking indicator until the answer starts
+            stream.reasoning.push(data.content);
+            const loadingText = this.currentLoadingIndicator?.querySelector('.loading-text');
+            if (loadingText && stream.msgid === null) {
+                loadingText.textContent = data.content.length > 120 ? `${data.content.substring(0, 117)}...` : data.content;
+            }
+        } else if (eventName === 'message.delta') {
+            if (stream.msgid === null) {
+                this.removeLoadingIndicator(this.chat);
+                stream.msgid = this.chat.messageAddNew('', 'Assistant', 'left');
+            }
+            this.chat.messageAppendContent(stream.msgid, data.content);
+            this.chat.messageScrollToBottom?.();
+        } else if (eventName === 'message.completed') {
+            this.removeLoadingIndicator(this.chat);
+            
+            // The completed text is authoritative (covers deltas missed during a reconnect)
+            if (stream.msgid !== null) {
+                this.chat.messageReplaceContent(stream.msgid, data.message);
+            } else {
+                stream.msgid = this.chat.messageAddNew(data.message, 'Assistant', 'left');
+            }
+            this.renderSources(stream.msgid, data.sources);
+            this.renderFeedback(stream.msgid, data.message_id);
+            delete this.streamingMessages[data.message_id];
+            
+            window.dispatchEvent(new CustomEvent('rag-conversation-updated', {
+                detail: {
+                    conversationId: this.conversationId,
+                    messageType: 'assistant',
+                    message: data.message
+                }
+            }));
+        }
+    }
+
+    // Show the documents an answer cites as chips under the message; a chip opens the document
+    renderSources(msgid, sources) {
+        if (!this.chat || msgid === null || msgid === undefined || !Array.isArray(sources) || sources.length === 0) {
+            return;
+        }
+        const messageElement = this.chat.messageGetDOMObject(msgid);
+        if (!messageElement) {
+            return;
+        }
+        
+        // One chip per document, in citation order
+        const documents = [];
+        sources.forEach(source => {
+            if (!source || !source.document_id) return;
+            const existing = documents.find(doc => doc.document_id === source.document_id);
+            if (existing) {
+                if (source.snippet) existing.snippets.push(source.snippet);
+            } else {
+                documents.push({
+                    document_id: source.document_id,
+                    filename: source.filename || 'Document',
+                    available: source.available !== false,
+                    snippets: source.snippet ? [source.snippet] : []
+                });
+            }
+        });
+        if (documents.length === 0) {
+            return;
+        }
+        
+        messageElement.querySelector('.chat-sources')?.remove();
+        const container = document.createElement('div');
+        container.className = 'chat-sources';
+        
+        documents.forEach(doc => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'chat-source-chip';
+            chip.textContent = doc.filename;
+            chip.title = doc.available ? (doc.snippets.join('\n\n') || doc.filename) : 'This document has been deleted';
+            chip.disabled = !doc.available;
+            chip.addEventListener('click', () => this.openSource(doc.document_id));
+            container.appendChild(chip);
+        });
+        
+        messageElement.appendChild(container);
+    }
+    
+    // Thumbs up/down under an answer. messageRef is the message's id or its chat request message_id.
+    renderFeedback(msgid, messageRef, current = null) {
+        if (!this.chat || msgid === null || msgid === undefined || !messageRef) {
+            return;
+        }
+        const messageElement = this.chat.messageGetDOMObject(msgid);
+        if (!messageElement) {
+            return;
+        }
+        
+        messageElement.querySelector('.chat-feedback')?.remove();
+        const container = document.createElement('div');
+        container.className = 'chat-feedback';
+        container.innerHTML = `
+            <button type="button" class="chat-feedback-btn" data-rating="up" title="Helpful" aria-label="Helpful">👍</button>
+            <button type="button" class="chat-feedback-btn" data-rating="down" title="Not helpful" aria-label="Not helpful">👎</button>
+            <span class="chat-feedback-status"></span>
+        `;
+        messageElement.appendChild(container);
+        
+        let rating = current?.rating || null;
+        const status = container.querySelector('.chat-feedback-status');
+        const showRating = () => {
+            container.querySelectorAll('.chat-feedback-btn').forEach(button => {
+                button.classList.toggle('active', button.dataset.rating === rating);
+            });
+        };
+        showRating();
+        
+        container.querySelectorAll('.chat-feedback-btn').forEach(button => {
+            button.addEventListener('click', async () => {
+                container.querySelector('.chat-feedback-form')?.remove();
+                
+                // Clicking the current rating withdraws it
+                if (button.dataset.rating === rating) {
+                    if (await this.sendFeedback(messageRef, null)) {
+                        rating = null;
+                        status.textContent = '';
+                        showRating();
+                    }
+                    return;
+                }
+                
+                if (button.dataset.rating === 'up') {
+                    if (await this.sendFeedback(messageRef, { rating: 'up' })) {
+                        rating = 'up';
+                        status.textContent = 'Thanks for the feedback';
+                        showRating();
+                    }
+                    return;
+                }
+                
+                this.showFeedbackForm(container, async (reason, comment) => {
+                    if (await this.sendFeedback(messageRef, { rating: 'down', reason, comment })) {
+                        rating = 'down';
+                        status.textContent = 'Thanks, this helps us improve';
+                        showRating();
+                        return true;
+                    }
+                    return false;
+                });
+            });
+        });
+    }
+    
+    showFeedbackForm(container, onSubmit) {
+        const form = document.createElement('form');
+        form.className = 'chat-feedback-form';
+        form.innerHTML = `
+            <select name="reason" required>
+                <option value="">What was wrong?</option>
+                <option value="incorrect">Incorrect</option>
+                <option value="incomplete">Incomplete</option>
+                <option value="irrelevant_sources">Wrong or irrelevant sources</option>
+                <option value="outdated">Outdated</option>
+                <option value="unclear">Hard to understand</option>
+                <option value="other">Other</option>
+            </select>
+            <textarea name="comment" rows="2" maxlength="2000" placeholder="Tell us more (optional)"></textarea>
+            <div class="chat-feedback-actions">
+                <button type="button" class="chat-feedback-cancel">Cancel</button>
+                <button type="submit" class="chat-feedback-submit">Send</button>
+            </div>
+        `;
+        form.querySelector('.chat-feedback-cancel').addEventListener('click', () => form.remove());
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const submitButton = form.querySelector('.chat-feedback-submit');
+            submitButton.disabled = true;
+            const sent = await onSubmit(form.reason.value, form.comment.value.trim() || null);
+            if (sent) {
+                form.remove();
+            } else {
+                submitButton.disabled = false;
+            }
+        });
+        container.appendChild(form);
+    }
+    
+    // POST a rating, or DELETE it when feedback is null
+    async sendFeedback(messageRef, feedback) {
+        try {
+            const response = await fetch(`/api/rag/messages/${encodeURIComponent(messageRef)}/feedback`, {
+                method: feedback ? 'POST' : 'DELETE',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.sessionToken}`
+                },
+                credentials: 'include',
+                ...(feedback ? { body: JSON.stringify(feedback) } : {})
+            });
+            if (!response.ok) {
+                throw new Error(`Feedback API error: ${response.status}`);
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to send feedback:', error);
+            return false;
+        }
+    }
+    
+    openSource(documentId) {
+        // Use the dashboard's document viewer when it is available
+        if (typeof window.viewDocument === 'function') {
+            window.viewDocument(documentId);
+        } else {
+            window.open(`/api/rag/document/${encodeURIComponent(documentId)}/view`, '_blank');
+        }
+    }
+
     async loadConversationHistory() {
         if (!this.conversationId) return [];
         
@@ -0,0 +1,289 @@
+/**
+ * Resumable Upload
+ * Uploads a file to /api/rag/uploads in numbered parts, each checked with its SHA-256.
+ * A dropped connection only costs the part in flight, and an upload of the same file
+ * picks up where it stopped (the session ID is kept in localStorage until it completes).
+ */
+
+const STORAGE_PREFIX = 'km-upload:';
+
+function uploadError(message, status, details = {}) {
+    const error = new Error(message);
+    Object.assign(error, details);
+    error.status = status;
+    return error;
+}
+
+async function sha256Hex(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export class ResumableUpload {
+    /**
+     * @param {File} file
+     * @param {Object} [options]
+     * @param {string} [options.replaces] - Document the upload is a new version of
+     * @param {string} [options.collectionId] - Collection to file a new document in
+     * @param {Function} [options.onPhase] - (phase) for 'hash', 'upload' and 'complete'
+     * @param {Function} [options.onProgress] - (phase, loaded, total) in bytes
+     * @param {Function} [options.onPausedChange] - (paused, reason) also when paused by a lost connection
+     */
+    constructor(file, options = {}) {
+        this.file = file;
+        this.options = {
+            baseUrl: options.baseUrl || '/api/rag/uploads',
+            replaces: options.replaces || null,
+            collectionId: options.collectionId || null,
+            maxRetries: options.maxRetries ?? 5,
+            onPhase: options.onPhase || (() => {}),
+            onProgress: options.onProgress || (() => {}),
+            onPausedChange: options.onPausedChange || (() => {})
+        };
+
+        this.session = null;
+        this.paused = false;
+        this.cancelled = false;
+        this.xhr = null;
+        this.resumeWaiter = null;
+        this.storageKey = `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+        this.handleOnline = () => this.resume();
+    }
+
+    /**
+     * Run the upload
+     * @returns {Promise<Object|null>} The upload-document response, or null when cancelled
+     */
+    async start() {
+        try {
+            this.options.onPhase('hash');
+            const sha256 = await sha256Hex(this.file);
+            this.options.onProgress('hash', this.file.size, this.file.size);
+
+            this.session = await this.resumeSession(sha256) || await this.createSession(sha256);
+            if (this.cancelled) {
+                await this.cancel();
+                return null;
+            }
+            localStorage.setItem(this.storageKey, this.session.upload_id);
+
+            this.options.onPhase('upload');
+            await this.uploadParts(this.session.parts_received);
+
+            this.options.onPhase('complete');
+            let result;
+            try {
+                result = await this.request('POST', `/${this.session.upload_id}/complete`);
+            } catch (error) {
+                // Parts the server lost track of are sent once more
+                if (error.status !== 409 || !error.missing_parts) {
+                    throw error;
+                }
+                await this.uploadParts(this.partNumbers().filter(n => !error.missing_parts.includes(n)));
+                result = await this.request('POST', `/${this.session.upload_id}/complete`);
+            }
+            localStorage.removeItem(this.storageKey);
+            return result;
+        } catch (error) {
+            if (this.cancelled) {
+                return null;
+            }
+            // The session is gone server-side (completed, discarded or expired)
+            if (error.status === 404 || error.status === 422) {
+                localStorage.removeItem(this.storageKey);
+            }
+            throw error;
+        } finally {
+            window.removeEventListener('online', this.handleOnline);
+        }
+    }
+
+    pause(reason = null) {
+        if (this.paused || this.cancelled) {
+            return;
+        }
+        this.paused = true;
+        this.xhr?.abort();
+        this.options.onPausedChange(true, reason);
+    }
+
+    resume() {
+        if (!this.paused || this.cancelled) {
+            return;
+        }
+        this.paused = false;
+        this.options.onPausedChange(false, null);
+        this.resumeWaiter?.();
+        this.resumeWaiter = null;
+    }
+
+    async cancel() {
+        this.cancelled = true;
+        this.xhr?.abort();
+        this.resumeWaiter?.();
+        localStorage.removeItem(this.storageKey);
+        if (this.session) {
+            await this.request('DELETE', `/${this.session.upload_id}`).catch(() => {});
+        }
+    }
+
+    // An unfinished session for the same file, from an earlier attempt
+    async resumeSession(sha256) {
+        const uploadId = localStorage.getItem(this.storageKey);
+        if (!uploadId) {
+            return null;
+        }
+        try {
+            const session = await this.request('GET', `/${uploadId}`);
+            if (session.status === 'uploading' && session.sha256 === sha256) {
+                return session;
+            }
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+        }
+        localStorage.removeItem(this.storageKey);
+        return null;
+    }
+
+    createSession(sha256) {
+        return this.request('POST', '', {
+            filename: this.file.name,
+            file_size: this.file.size,
+            sha256,
+            ...(this.options.replaces && { replaces: this.options.replaces }),
+            ...(this.options.collectionId && { collection_id: this.options.collectionId })
+        });
+    }
+
+    partNumbers() {
+        return Array.from({ length: this.session.total_parts }, (_, index) => index + 1);
+    }
+
+    partBlob(partNumber) {
+        const start = (partNumber - 1) * this.session.part_size;
+        return this.file.slice(start, Math.min(start + this.session.part_size, this.file.size));
+    }
+
+    async uploadParts(received) {
+        const done = new Set(received);
+        let uploaded = this.partNumbers()
+            .filter(n => done.has(n))
+            .reduce((total, n) => total + this.partBlob(n).size, 0);
+        this.options.onProgress('upload', uploaded, this.file.size);
+
+        for (const partNumber of this.partNumbers()) {
+            if (done.has(partNumber)) {
+                continue;
+            }
+            await this.sendPart(partNumber, loaded => this.options.onProgress('upload', uploaded + loaded, this.file.size));
+            uploaded += this.partBlob(partNumber).size;
+            this.options.onProgress('upload', uploaded, this.file.size);
+        }
+    }
+
+    // Send one part, retrying with backoff; after maxRetries the upload pauses until resumed
+    async sendPart(partNumber, onPartProgress) {
+        const blob = this.partBlob(partNumber);
+        const sha256 = await sha256Hex(blob);
+        let attempts = 0;
+
+        for (;;) {
+            if (this.paused) {
+                await new Promise(resolve => { this.resumeWaiter = resolve; });
+            }
+            if (this.cancelled) {
+                throw uploadError('Upload cancelled', 0);
+            }
+
+            try {
+                return await this.putPart(partNumber, blob, sha256, onPartProgress);
+            } catch (error) {
+                if (this.cancelled) {
+                    throw error;
+                }
+                if (this.paused) {
+                    continue;
+                }
+                // A corrupted part (422) or a busy server is worth another try; other client errors are not
+                const retryable = !error.status || error.status >= 500 || error.status === 422 || error.status === 429;
+                if (!retryable) {
+                    throw error;
+                }
+                onPartProgress(0);
+                if (!navigator.onLine) {
+                    window.addEventListener('online', this.handleOnline, { once: true });
+                    this.pause('offline');
+                    continue;
+                }
+                attempts++;
+                if (attempts > this.options.maxRetries) {
+                    attempts = 0;
+                    this.pause('failed');
+                    continue;
+                }
+                await delay(error.retryAfter ? error.retryAfter * 1000 : Math.min(30000, 1000 * 2 ** attempts));
+            }
+        }
+    }
+
+    // XMLHttpRequest rather than fetch, for upload progress events
+    putPart(partNumber, blob, sha256, onPartProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            this.xhr = xhr;
+            xhr.open('PUT', `${this.options.baseUrl}/${this.session.upload_id}/parts/${partNumber}`);
+            xhr.withCredentials = true;
+            xhr.setRequestHeader('Content-Type', 'application/octet-stream');
+            xhr.setRequestHeader('X-Content-SHA256', sha256);
+            xhr.upload.onprogress = (event) => onPartProgress(event.loaded);
+            xhr.onload = () => {
+                this.xhr = null;
+                let body = {};
+                try {
+                    body = JSON.parse(xhr.responseText);
+                } catch (error) {
+                    // Non-JSON error page
+                }
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(body);
+                } else {
+                    reject(uploadError(body.error || `Part ${partNumber} failed (${xhr.status})`, xhr.status, {
+                        retryAfter: parseInt(xhr.getResponseHeader('Retry-After')) || null
+                    }));
+                }
+            };
+            xhr.onerror = () => {
+                this.xhr = null;
+                reject(uploadError('Connection lost', 0));
+            };
+            xhr.onabort = () => {
+                this.xhr = null;
+                reject(uploadError('Upload paused', 0));
+            };
+            xhr.send(blob);
+        });
+    }
+
+    async request(method, path, body) {
+        const response = await fetch(`${this.options.baseUrl}${path}`, {
+            method,
+            credentials: 'include',
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw uploadError(data.error || `Upload failed: ${response.statusText}`, response.status, {
+                missing_parts: data.missing_parts,
+                retryAfter: parseInt(response.headers.get('Retry-After')) || null
+            });
+        }
+        return data;
+    }
+}
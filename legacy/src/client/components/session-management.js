@@ -0,0 +1,583 @@
+class SessionManagement {
+    constructor() {
+        this.sessions = [];
+        this.notices = [];
+        this.unreadNotices = 0;
+        this.twoFactor = null;
+
+        this.init();
+    }
+
+    async init() {
+        this.renderContainer();
+        await this.loadSessions();
+        await this.loadTwoFactor();
+        await this.loadNotices();
+    }
+
+    renderContainer() {
+        const container = document.getElementById('sessionsContainer');
+        container.innerHTML = `
+            <div class="data-grid-container">
+                <div class="data-grid-header">
+                    <div>
+                        <h1 class="data-grid-title">Your Sessions</h1>
+                        <p class="table-text-secondary sessions-subtitle">
+                            Devices signed in to your account. Sign out any you don't recognise and change your password.
+                        </p>
+                    </div>
+                    <button class="action-btn action-btn-secondary action-btn-medium" onclick="sessionManagement.revokeAllSessions()">
+                        <span class="action-btn-text">Sign out everywhere</span>
+                    </button>
+                </div>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th class="table-th">Device</th>
+                                <th class="table-th">IP Address</th>
+                                <th class="table-th">Signed In</th>
+                                <th class="table-th">Last Activity</th>
+                                <th class="table-th table-th-actions">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody id="sessionsTableBody">
+                            <!-- Sessions will be rendered here -->
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <!-- Two-Factor Authentication -->
+            <div class="data-grid-container security-notices-section">
+                <div class="data-grid-header">
+                    <h2 class="data-grid-title">Two-Factor Authentication</h2>
+                </div>
+                <div id="twoFactorContent" class="two-factor-content">
+                    <!-- Two-factor status will be rendered here -->
+                </div>
+            </div>
+
+            <!-- Security Notices -->
+            <div class="data-grid-container security-notices-section">
+                <div class="data-grid-header">
+                    <h2 class="data-grid-title">
+                        Security Notices
+                        <span id="unreadNoticesBadge" class="status-badge status-locked" style="display: none;"></span>
+                    </h2>
+                    <button id="markNoticesReadBtn" class="action-btn action-btn-secondary action-btn-small" onclick="sessionManagement.markNoticesRead()" style="display: none;">
+                        <span class="action-btn-text">Mark all read</span>
+                    </button>
+                </div>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th class="table-th">Time</th>
+                                <th class="table-th">Notice</th>
+                                <th class="table-th">Device</th>
+                                <th class="table-th">IP Address</th>
+                            </tr>
+                        </thead>
+                        <tbody id="noticesTableBody">
+                            <!-- Notices will be rendered here -->
+                        </tbody>
+                    </table>
+                    <div id="noticesEmptyState" class="table-empty-state" style="display: none;">
+                        <h3 class="table-empty-title">No security notices</h3>
+                        <p class="table-empty-subtitle">Sign-ins from new devices or locations and account lockouts show up here</p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        this.addStyles();
+    }
+
+    async loadSessions() {
+        try {
+            const response = await fetch('/api/sessions', {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load sessions');
+            }
+
+            const data = await response.json();
+            this.sessions = data.data;
+            this.renderSessions();
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            this.showToast('Failed to load sessions', 'error');
+        }
+    }
+
+    renderSessions() {
+        const tbody = document.getElementById('sessionsTableBody');
+        tbody.innerHTML = this.sessions.map(session => `
+            <tr class="table-tr">
+                <td class="table-td table-td-primary">
+                    <span class="table-link" title="${this.escapeHtml(session.user_agent)}">${this.escapeHtml(session.device)}</span>
+                    ${session.current ? '<span class="status-badge status-active">This device</span>' : ''}
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary">${this.escapeHtml(session.ip_address || 'Unknown')}</span>
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary">${new Date(session.created_at).toLocaleString()}</span>
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary">${new Date(session.last_activity_at).toLocaleString()}</span>
+                </td>
+                <td class="table-td table-td-actions">
+                    <div class="table-actions">
+                        <button class="table-action-btn ${session.current ? '' : 'table-action-btn-danger'}" title="Sign out" onclick="sessionManagement.revokeSession('${session.id}')">
+                            <span class="action-btn-text">Sign out</span>
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async revokeSession(sessionId) {
+        const session = this.sessions.find(s => s.id === sessionId);
+        if (session && session.current && !confirm('Sign out of this device?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/sessions/${sessionId}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to sign out session');
+            }
+
+            if (data.current) {
+                this.signedOut();
+                return;
+            }
+
+            await this.loadSessions();
+            this.showToast('Session signed out', 'success');
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async revokeAllSessions() {
+        if (!confirm('Sign out of every device, including this one?')) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/sessions', {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to sign out everywhere');
+            }
+
+            this.signedOut();
+        } catch (error) {
+            console.error('Error revoking sessions:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    signedOut() {
+        localStorage.clear();
+        window.location.href = '/signin';
+    }
+
+    async loadTwoFactor() {
+        try {
+            const response = await fetch('/api/two-factor', {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load two-factor status');
+            }
+
+            this.twoFactor = await response.json();
+            this.renderTwoFactor();
+        } catch (error) {
+            console.error('Error loading two-factor status:', error);
+            this.showToast('Failed to load two-factor status', 'error');
+        }
+    }
+
+    renderTwoFactor(setup = null) {
+        const content = document.getElementById('twoFactorContent');
+        const status = this.twoFactor;
+
+        if (setup) {
+            content.innerHTML = `
+                <p class="table-text-secondary">
+                    Add this key to an authenticator app (Google Authenticator, 1Password, Authy...), then enter the 6-digit code it shows.
+                </p>
+                <div class="two-factor-secret">${this.escapeHtml(setup.secret.match(/.{1,4}/g).join(' '))}</div>
+                <p><a href="${this.escapeHtml(setup.otpauth_uri)}" class="table-link">Open in authenticator app</a></p>
+                <form id="twoFactorEnableForm" class="two-factor-form">
+                    <input type="text" id="twoFactorEnableCode" class="data-grid-search-input" placeholder="123456" autocomplete="one-time-code" inputmode="numeric" required>
+                    <button type="submit" class="action-btn action-btn-primary action-btn-small">
+                        <span class="action-btn-text">Turn on</span>
+                    </button>
+                    <button type="button" class="action-btn action-btn-secondary action-btn-small" onclick="sessionManagement.renderTwoFactor()">
+                        <span class="action-btn-text">Cancel</span>
+                    </button>
+                </form>
+            `;
+            document.getElementById('twoFactorEnableForm').addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.enableTwoFactor(document.getElementById('twoFactorEnableCode').value.trim());
+            });
+            return;
+        }
+
+        if (!status.enabled) {
+            content.innerHTML = `
+                <p class="table-text-secondary">
+                    Two-factor authentication is off. Turn it on to require a code from your phone when you sign in.
+                    ${status.required ? '<strong>Your organization requires it: you will be asked to set it up at your next sign-in.</strong>' : ''}
+                </p>
+                <button class="action-btn action-btn-primary action-btn-medium" onclick="sessionManagement.startTwoFactorSetup()">
+                    <span class="action-btn-text">Set up two-factor authentication</span>
+                </button>
+            `;
+            return;
+        }
+
+        content.innerHTML = `
+            <p class="table-text-secondary">
+                <span class="status-badge status-active" style="margin-left: 0;">On</span>
+                since ${new Date(status.enabled_at).toLocaleDateString()}.
+                ${status.recovery_codes_remaining} recovery code${status.recovery_codes_remaining === 1 ? '' : 's'} left.
+            </p>
+            <div class="two-factor-form">
+                <button class="action-btn action-btn-secondary action-btn-small" onclick="sessionManagement.regenerateRecoveryCodes()">
+                    <span class="action-btn-text">New recovery codes</span>
+                </button>
+                ${status.required ? '' : `
+                    <button class="action-btn action-btn-secondary action-btn-small" onclick="sessionManagement.disableTwoFactor()">
+                        <span class="action-btn-text">Turn off</span>
+                    </button>
+                `}
+            </div>
+        `;
+    }
+
+    async startTwoFactorSetup() {
+        try {
+            const response = await fetch('/api/two-factor/setup', {
+                method: 'POST',
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to start two-factor setup');
+            }
+
+            this.renderTwoFactor(data);
+        } catch (error) {
+            console.error('Error starting two-factor setup:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async enableTwoFactor(code) {
+        try {
+            const response = await fetch('/api/two-factor/enable', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ code })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to turn on two-factor authentication');
+            }
+
+            this.twoFactor = data;
+            this.renderTwoFactor();
+            this.showRecoveryCodesModal(data.recovery_codes);
+            this.showToast('Two-factor authentication is on', 'success');
+        } catch (error) {
+            console.error('Error enabling two-factor authentication:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async regenerateRecoveryCodes() {
+        const code = prompt('Enter a code from your authenticator app to create new recovery codes. Your old codes will stop working.');
+        if (!code) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/two-factor/recovery-codes', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ code: code.trim() })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to create recovery codes');
+            }
+
+            this.twoFactor = data;
+            this.renderTwoFactor();
+            this.showRecoveryCodesModal(data.recovery_codes);
+        } catch (error) {
+            console.error('Error regenerating recovery codes:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async disableTwoFactor() {
+        const code = prompt('Enter a code from your authenticator app (or a recovery code) to turn off two-factor authentication.');
+        if (!code) {
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/two-factor', {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ code: code.trim() })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to turn off two-factor authentication');
+            }
+
+            this.twoFactor = data;
+            this.renderTwoFactor();
+            this.showToast('Two-factor authentication is off', 'success');
+        } catch (error) {
+            console.error('Error disabling two-factor authentication:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    showRecoveryCodesModal(codes) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.style.cssText = 'position: fixed; inset: 0; background: rgba(0, 0, 0, 0.5); display: flex; align-items: center; justify-content: center; z-index: 1000;';
+        modal.innerHTML = `
+            <div class="modal-content" style="background: white; border-radius: 12px; padding: 24px; max-width: 480px; width: 90%;">
+                <h2 style="color: #374151; margin-bottom: 16px;">Recovery Codes</h2>
+                <p style="color: #6b7280; margin-bottom: 16px;">
+                    Save these codes somewhere safe. Each one signs you in once if you lose your authenticator app.
+                    They won't be shown again.
+                </p>
+                <div class="recovery-codes">
+                    ${codes.map(code => `<span>${this.escapeHtml(code)}</span>`).join('')}
+                </div>
+                <div style="display: flex; justify-content: flex-end;">
+                    <button onclick="this.closest('.modal-overlay').remove()"
+                            class="action-btn action-btn-primary action-btn-medium">
+                        <span class="action-btn-text">I've saved them</span>
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    }
+
+    async loadNotices() {
+        try {
+            const response = await fetch('/api/security-notices', {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load security notices');
+            }
+
+            const data = await response.json();
+            this.notices = data.data;
+            this.unreadNotices = data.unread;
+            this.renderNotices();
+        } catch (error) {
+            console.error('Error loading security notices:', error);
+            this.showToast('Failed to load security notices', 'error');
+        }
+    }
+
+    noticeLabel(notice) {
+        switch (notice.type) {
+            case 'new_device':
+                return 'Sign-in from a new device';
+            case 'new_ip':
+                return 'Sign-in from a new location (IP address)';
+            case 'account_locked':
+                return `Account locked after failed sign-in attempts${notice.metadata?.locked_until ? ` until ${new Date(notice.metadata.locked_until).toLocaleString()}` : ''}`;
+            default:
+                return notice.type;
+        }
+    }
+
+    renderNotices() {
+        const tbody = document.getElementById('noticesTableBody');
+        const emptyState = document.getElementById('noticesEmptyState');
+        const badge = document.getElementById('unreadNoticesBadge');
+
+        badge.style.display = this.unreadNotices > 0 ? 'inline-block' : 'none';
+        badge.textContent = `${this.unreadNotices} new`;
+        document.getElementById('markNoticesReadBtn').style.display = this.unreadNotices > 0 ? 'inline-flex' : 'none';
+
+        if (this.notices.length === 0) {
+            tbody.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        tbody.innerHTML = this.notices.map(notice => `
+            <tr class="table-tr ${notice.read_at ? '' : 'notice-unread'}">
+                <td class="table-td">
+                    <span class="table-text-secondary">${new Date(notice.created_at).toLocaleString()}</span>
+                </td>
+                <td class="table-td">${this.escapeHtml(this.noticeLabel(notice))}</td>
+                <td class="table-td">
+                    <span class="table-text-secondary">${this.escapeHtml(notice.device)}</span>
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary">${this.escapeHtml(notice.ip_address || 'Unknown')}</span>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async markNoticesRead() {
+        try {
+            const response = await fetch('/api/security-notices/read', {
+                method: 'POST',
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to update security notices');
+            }
+
+            await this.loadNotices();
+        } catch (error) {
+            console.error('Error marking notices read:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .sessions-subtitle {
+                margin-top: 4px;
+                font-size: 14px;
+            }
+            .security-notices-section {
+                margin-top: 32px;
+            }
+            .status-badge {
+                padding: 4px 8px;
+                border-radius: 4px;
+                font-size: 12px;
+                font-weight: 500;
+                margin-left: 8px;
+            }
+            .status-active {
+                background: #d4f4dd;
+                color: #22c55e;
+            }
+            .status-locked {
+                background: #fee2e2;
+                color: #b91c1c;
+            }
+            .two-factor-content p {
+                margin-bottom: 12px;
+                font-size: 14px;
+            }
+            .two-factor-form {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+            .two-factor-form input {
+                width: 140px;
+            }
+            .two-factor-secret,
+            .recovery-codes {
+                font-family: 'Courier New', monospace;
+                background: #f8f9fa;
+                border: 1px solid #e1e1e1;
+                border-radius: 6px;
+                padding: 10px 12px;
+                margin-bottom: 12px;
+                user-select: all;
+            }
+            .two-factor-secret {
+                display: inline-block;
+                font-size: 15px;
+                letter-spacing: 1px;
+            }
+            .recovery-codes {
+                display: grid;
+                grid-template-columns: repeat(2, 1fr);
+                gap: 6px 16px;
+                margin-bottom: 16px;
+            }
+            .notice-unread td {
+                font-weight: 500;
+                background: #fffbeb;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toastContainer');
+        const toast = document.createElement('div');
+        toast.style.cssText = `
+            background: ${type === 'success' ? '#10B981' : type === 'error' ? '#EF4444' : '#3B82F6'};
+            color: white;
+            padding: 12px 20px;
+            border-radius: 8px;
+            margin-bottom: 10px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        `;
+        toast.textContent = message;
+        container.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 3000);
+    }
+}
+
+// Make it globally available
+window.SessionManagement = SessionManagement;
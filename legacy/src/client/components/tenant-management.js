@@ -11,14 +11,30 @@ class TenantManagement {
         this.users = [];
         this.totalUsers = 0;
         this.selectedUsers = new Set();
+        this.roles = [];
+        this.permissions = [];
+        this.apiKeys = [];
+        this.apiKeyScopes = [];
+        this.auditEvents = [];
+        this.auditActions = [];
+        this.auditFilters = { action: '', actor: '', from: '', to: '' };
+        this.auditOffset = 0;
+        this.auditPageSize = 50;
+        this.auditTotal = 0;
+        this.sso = null;
         
         this.init();
     }
 
     async init() {
         this.renderContainer();
+        await this.loadRoles();
         await this.loadUsers();
         this.attachEventListeners();
+        await this.loadSecuritySettings();
+        await this.loadApiKeys();
+        await this.loadAuditLog();
+        await this.loadAuditSettings();
     }
 
     renderContainer() {
@@ -28,9 +44,14 @@ class TenantManagement {
                 <!-- Header -->
                 <div class="data-grid-header">
                     <h1 class="data-grid-title">Tenant Management</h1>
-                    <button class="action-btn action-btn-primary action-btn-medium" onclick="tenantManagement.showAddUserModal()">
-                        <span class="action-btn-text">Add User</span>
-                    </button>
+                    <div style="display: flex; gap: 8px;">
+                        <button class="action-btn action-btn-secondary action-btn-medium" onclick="tenantManagement.showImportUsersModal()">
+                            <span class="action-btn-text">Import Users</span>
+                        </button>
+                        <button class="action-btn action-btn-primary action-btn-medium" onclick="tenantManagement.showAddUserModal()">
+                            <span class="action-btn-text">Add User</span>
+                        </button>
+                    </div>
                 </div>
 
                 <!-- Toolbar -->
@@ -146,6 +167,166 @@ class TenantManagement {
                 </div>
             </div>
 
+            <!-- Sign-in Security (settings:edit) -->
+            <div id="securitySettingsSection" class="data-grid-container security-settings-section" style="display: none;">
+                <div class="data-grid-header">
+                    <h2 class="data-grid-title">Sign-in Security</h2>
+                </div>
+                <label class="security-setting">
+                    <input type="checkbox" id="requireTwoFactor" onchange="tenantManagement.saveSecuritySettings()">
+                    <span>
+                        Require two-factor authentication for all users
+                        <span class="table-text-secondary role-description">Users without it set up enroll at their next sign-in</span>
+                    </span>
+                </label>
+                <div class="sso-setting">
+                    <div>
+                        <div>Single sign-on</div>
+                        <span id="ssoStatus" class="table-text-secondary role-description">Not configured</span>
+                    </div>
+                    <div class="table-actions">
+                        <button class="action-btn action-btn-secondary action-btn-small" onclick="tenantManagement.showSsoModal()">
+                            <span class="action-btn-text">Configure</span>
+                        </button>
+                        <button id="removeSsoBtn" class="action-btn action-btn-secondary action-btn-small" onclick="tenantManagement.removeSso()" style="display: none;">
+                            <span class="action-btn-text">Remove</span>
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Roles -->
+            <div class="data-grid-container roles-section">
+                <div class="data-grid-header">
+                    <h2 class="data-grid-title">Roles</h2>
+                    <button class="action-btn action-btn-primary action-btn-medium" onclick="tenantManagement.showRoleModal()">
+                        <span class="action-btn-text">Create Role</span>
+                    </button>
+                </div>
+                <p class="api-keys-help">
+                    A role is a named set of permissions. Built-in roles can't be changed;
+                    custom roles can be assigned to users like the built-in ones.
+                </p>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th class="table-th">Role</th>
+                                <th class="table-th">Permissions</th>
+                                <th class="table-th">Users</th>
+                                <th class="table-th">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody id="rolesTableBody">
+                            <!-- Roles will be rendered here -->
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <!-- API Keys -->
+            <div class="data-grid-container api-keys-section">
+                <div class="data-grid-header">
+                    <h2 class="data-grid-title">API Keys</h2>
+                    <button class="action-btn action-btn-primary action-btn-medium" onclick="tenantManagement.showCreateApiKeyModal()">
+                        <span class="action-btn-text">Create API Key</span>
+                    </button>
+                </div>
+                <p class="api-keys-help">
+                    Keys give programs access to this tenant's knowledge and chat APIs.
+                    Send them as <code>Authorization: Bearer rslv_...</code>.
+                </p>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th class="table-th">Name</th>
+                                <th class="table-th">Key</th>
+                                <th class="table-th">Scopes</th>
+                                <th class="table-th">Status</th>
+                                <th class="table-th">Expires</th>
+                                <th class="table-th">Last Used</th>
+                                <th class="table-th">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody id="apiKeysTableBody">
+                            <!-- API keys will be rendered here -->
+                        </tbody>
+                    </table>
+                    <div id="apiKeysEmptyState" class="table-empty-state" style="display: none;">
+                        <h3 class="table-empty-title">No API keys</h3>
+                        <p class="table-empty-subtitle">Create a key to call the APIs from scripts and integrations</p>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Audit Log -->
+            <div id="auditLogSection" class="data-grid-container audit-log-section">
+                <div class="data-grid-header">
+                    <h2 class="data-grid-title">Audit Log</h2>
+                    <div style="display: flex; gap: 8px;">
+                        <button class="action-btn action-btn-secondary action-btn-medium" onclick="tenantManagement.exportAuditLog('csv')">
+                            <span class="action-btn-text">Export CSV</span>
+                        </button>
+                        <button class="action-btn action-btn-secondary action-btn-medium" onclick="tenantManagement.exportAuditLog('json')">
+                            <span class="action-btn-text">Export JSON</span>
+                        </button>
+                    </div>
+                </div>
+                <div class="data-grid-toolbar">
+                    <div class="data-grid-toolbar-left">
+                        <select id="auditActionFilter" class="data-grid-filter-select">
+                            <option value="">All Actions</option>
+                        </select>
+                        <input type="text" id="auditActorFilter" class="data-grid-search-input audit-filter-input" placeholder="Actor email...">
+                        <input type="date" id="auditFromFilter" class="data-grid-filter-select" title="From">
+                        <input type="date" id="auditToFilter" class="data-grid-filter-select" title="To">
+                    </div>
+                    <div class="audit-retention">
+                        <label for="auditRetentionDays">Keep events for</label>
+                        <input type="number" id="auditRetentionDays" class="data-grid-filter-select audit-retention-input">
+                        <span>days</span>
+                        <button class="action-btn action-btn-secondary action-btn-small" onclick="tenantManagement.saveAuditRetention()">
+                            <span class="action-btn-text">Save</span>
+                        </button>
+                    </div>
+                </div>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th class="table-th">Time</th>
+                                <th class="table-th">Action</th>
+                                <th class="table-th">Actor</th>
+                                <th class="table-th">Target</th>
+                                <th class="table-th">Changes</th>
+                                <th class="table-th">IP</th>
+                            </tr>
+                        </thead>
+                        <tbody id="auditTableBody">
+                            <!-- Audit events will be rendered here -->
+                        </tbody>
+                    </table>
+                    <div id="auditEmptyState" class="table-empty-state" style="display: none;">
+                        <h3 class="table-empty-title">No audit events</h3>
+                        <p class="table-empty-subtitle">Nothing matches these filters</p>
+                    </div>
+                </div>
+                <div class="data-grid-footer">
+                    <div class="data-grid-footer-info">
+                        Showing <span id="auditShowingFrom">0</span>-<span id="auditShowingTo">0</span> of <span id="auditTotalCount">0</span> events
+                    </div>
+                    <div class="data-grid-pagination">
+                        <button id="auditPrevPage" onclick="tenantManagement.changeAuditPage(-1)" class="data-grid-pagination-btn">
+                            Previous
+                        </button>
+                        <button id="auditNextPage" onclick="tenantManagement.changeAuditPage(1)" class="data-grid-pagination-btn">
+                            Next
+                        </button>
+                    </div>
+                </div>
+            </div>
+
             <!-- Modals will be appended here -->
         `;
 
@@ -188,6 +369,11 @@ class TenantManagement {
                 background: #fee2e2;
                 color: #ef4444;
             }
+            .status-locked {
+                background: #fee2e2;
+                color: #b91c1c;
+                margin-left: 4px;
+            }
             .modal-overlay {
                 position: fixed;
                 top: 0;
@@ -213,6 +399,93 @@ class TenantManagement {
             .action-btn {
                 margin-right: 4px;
             }
+            .security-settings-section,
+            .roles-section,
+            .api-keys-section,
+            .audit-log-section {
+                margin-top: 32px;
+            }
+            .security-setting {
+                display: flex;
+                align-items: flex-start;
+                gap: 10px;
+                color: #374151;
+                font-size: 14px;
+                cursor: pointer;
+            }
+            .security-setting input {
+                margin-top: 3px;
+            }
+            .sso-setting {
+                display: flex;
+                align-items: center;
+                justify-content: space-between;
+                gap: 16px;
+                margin-top: 16px;
+                padding-top: 16px;
+                border-top: 1px solid #e1e1e1;
+                color: #374151;
+                font-size: 14px;
+            }
+            .status-two-factor {
+                background: #e0f2fe;
+                color: #0369a1;
+                margin-left: 4px;
+            }
+            .audit-filter-input {
+                width: 200px;
+            }
+            .audit-retention {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                color: #6b7280;
+                font-size: 14px;
+            }
+            .audit-retention-input {
+                width: 90px;
+            }
+            .audit-action {
+                font-family: monospace;
+                font-size: 12px;
+                color: #374151;
+            }
+            .audit-changes {
+                font-size: 12px;
+                color: #6b7280;
+                max-width: 320px;
+                word-break: break-word;
+            }
+            .role-description {
+                display: block;
+                margin-top: 2px;
+                font-size: 12px;
+            }
+            .api-keys-help {
+                color: #6b7280;
+                font-size: 14px;
+                margin: 0 0 16px;
+            }
+            .api-key-prefix {
+                font-family: monospace;
+                font-size: 12px;
+                color: #374151;
+            }
+            .scope-badge,
+            .permission-badge {
+                display: inline-block;
+                padding: 2px 6px;
+                margin: 0 4px 4px 0;
+                border-radius: 4px;
+                font-size: 11px;
+                background: #e0ecff;
+                color: #0066FF;
+            }
+            .status-revoked,
+            .status-expired {
+                background: #f3f4f6;
+                color: #6b7280;
+            }
         `;
         document.head.appendChild(style);
     }
@@ -273,13 +546,19 @@ class TenantManagement {
                 </td>
                 <td class="table-td">
                     <span class="role-badge ${user.role === 'tenant-admin' ? 'role-admin' : 'role-user'}">
-                        ${user.role === 'tenant-admin' ? 'Admin' : 'User'}
+                        ${this.roleLabel(user.role)}
                     </span>
                 </td>
                 <td class="table-td">
                     <span class="status-badge status-${user.status}">
                         ${user.status.charAt(0).toUpperCase() + user.status.slice(1)}
                     </span>
+                    ${user.lockedUntil ? `
+                        <span class="status-badge status-locked" title="Locked until ${new Date(user.lockedUntil).toLocaleString()}">Locked</span>
+                    ` : ''}
+                    ${user.twoFactorEnabled ? `
+                        <span class="status-badge status-two-factor" title="Two-factor authentication is on">2FA</span>
+                    ` : ''}
                 </td>
                 <td class="table-td">
                     <span class="table-text-secondary">
@@ -294,6 +573,16 @@ class TenantManagement {
                         <button class="table-action-btn" title="Reset Password" onclick="tenantManagement.resetPassword(${user.id})">
                             <span class="action-btn-text">Reset</span>
                         </button>
+                        ${user.lockedUntil ? `
+                            <button class="table-action-btn" title="Unlock" onclick="tenantManagement.unlockUser(${user.id})">
+                                <span class="action-btn-text">Unlock</span>
+                            </button>
+                        ` : ''}
+                        ${user.twoFactorEnabled ? `
+                            <button class="table-action-btn" title="Reset two-factor authentication" onclick="tenantManagement.resetTwoFactor(${user.id})">
+                                <span class="action-btn-text">Reset 2FA</span>
+                            </button>
+                        ` : ''}
                         ${user.status === 'active' ? 
                             `<button class="table-action-btn" title="Disable" onclick="tenantManagement.disableUser(${user.id})"><span class="action-btn-text">Disable</span></button>` :
                             `<button class="table-action-btn" title="Enable" onclick="tenantManagement.enableUser(${user.id})"><span class="action-btn-text">Enable</span></button>`
@@ -466,8 +755,7 @@ class TenantManagement {
                         <select name="role" required
                                 style="width: 100%; padding: 10px; background: white; border: 1px solid #e1e1e1;
                                        border-radius: 6px; color: #374151;">
-                            <option value="user">User</option>
-                            <option value="tenant-admin">Tenant Admin</option>
+                            ${this.roleOptions('user')}
                         </select>
                     </div>
                     <div style="margin-bottom: 24px;">
@@ -535,6 +823,168 @@ class TenantManagement {
         }
     }
 
+    showImportUsersModal() {
+        this.importCsv = null;
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 720px;">
+                <h2 style="color: #374151; margin-bottom: 8px;">Import Users</h2>
+                <p style="color: #6b7280; margin-bottom: 24px; font-size: 14px;">
+                    Upload a CSV file whose first row names the columns: <code>email</code>, and optionally
+                    <code>name</code> and <code>role</code>. Check the file first; nothing is created until you import.
+                </p>
+                <form id="importUsersForm">
+                    <div style="margin-bottom: 16px;">
+                        <label style="display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;">CSV file</label>
+                        <input type="file" name="file" accept=".csv,text/csv" required
+                               style="width: 100%; padding: 10px; background: white; border: 1px solid #e1e1e1;
+                                      border-radius: 6px; color: #374151;">
+                    </div>
+                    <div style="margin-bottom: 16px;">
+                        <label style="display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;">Role for rows without one</label>
+                        <select name="default_role"
+                                style="width: 100%; padding: 10px; background: white; border: 1px solid #e1e1e1;
+                                       border-radius: 6px; color: #374151;">
+                            ${this.roleOptions('user')}
+                        </select>
+                    </div>
+                    <div style="margin-bottom: 24px;">
+                        <label style="display: flex; align-items: center; color: #6b7280; cursor: pointer;">
+                            <input type="checkbox" name="invite" checked style="margin-right: 8px;">
+                            Invite users to set their own password
+                        </label>
+                    </div>
+                    <div id="importUsersReport" style="margin-bottom: 24px;"></div>
+                    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                        <button type="button" onclick="this.closest('.modal-overlay').remove()"
+                                class="action-btn action-btn-secondary action-btn-medium">
+                            <span class="action-btn-text">Close</span>
+                        </button>
+                        <button type="submit" id="importUsersCheck"
+                                class="action-btn action-btn-secondary action-btn-medium">
+                            <span class="action-btn-text">Check File</span>
+                        </button>
+                        <button type="button" id="importUsersSubmit" disabled
+                                class="action-btn action-btn-primary action-btn-medium">
+                            <span class="action-btn-text">Import</span>
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        const form = document.getElementById('importUsersForm');
+        const options = () => ({
+            default_role: form.elements.default_role.value,
+            invite: form.elements.invite.checked
+        });
+
+        form.elements.file.addEventListener('change', () => {
+            this.importCsv = null;
+            document.getElementById('importUsersSubmit').disabled = true;
+            document.getElementById('importUsersReport').innerHTML = '';
+        });
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const file = form.elements.file.files[0];
+            if (!file) {
+                return;
+            }
+            this.importCsv = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsText(file);
+            });
+            const report = await this.importUsers({ csv: this.importCsv, dry_run: true, ...options() });
+            document.getElementById('importUsersSubmit').disabled = !report || report.valid === 0;
+        });
+
+        document.getElementById('importUsersSubmit').addEventListener('click', async (e) => {
+            e.currentTarget.disabled = true;
+            document.getElementById('importUsersCheck').disabled = true;
+            const report = await this.importUsers({ csv: this.importCsv, dry_run: false, ...options() });
+            if (report) {
+                await this.loadUsers();
+                this.showToast(`Imported ${report.created} of ${report.total} users`, report.failed ? 'info' : 'success');
+            }
+        });
+    }
+
+    async importUsers(options) {
+        const container = document.getElementById('importUsersReport');
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/users/import`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify(options)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to import users');
+            }
+
+            container.innerHTML = this.renderImportReport(data);
+            return data;
+        } catch (error) {
+            console.error('Error importing users:', error);
+            container.innerHTML = `<p style="color: #dc2626; font-size: 14px;">${this.escapeHtml(error.message)}</p>`;
+            return null;
+        }
+    }
+
+    renderImportReport(report) {
+        const summary = report.dryRun
+            ? `${report.valid} of ${report.total} users are ready to import${report.failed ? `; ${report.failed} rows have problems and will be skipped` : ''}.`
+            : `${report.created} of ${report.total} users imported${report.failed ? `; ${report.failed} rows failed` : ''}.`;
+        const statusColors = { valid: '#059669', created: '#059669', error: '#dc2626' };
+        const statusLabels = { valid: 'Ready', created: 'Created', error: 'Error' };
+
+        return `
+            <p style="color: #374151; margin-bottom: 12px; font-size: 14px;">${summary}</p>
+            <div style="max-height: 280px; overflow-y: auto; border: 1px solid #e1e1e1; border-radius: 6px;">
+                <table style="width: 100%; border-collapse: collapse; font-size: 13px;">
+                    <thead>
+                        <tr style="background: #f8f9fa; color: #6b7280; text-align: left;">
+                            <th style="padding: 8px;">Row</th>
+                            <th style="padding: 8px;">Email</th>
+                            <th style="padding: 8px;">Role</th>
+                            <th style="padding: 8px;">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.rows.map(row => `
+                            <tr style="border-top: 1px solid #e1e1e1; color: #374151;">
+                                <td style="padding: 8px;">${row.row}</td>
+                                <td style="padding: 8px;">${this.escapeHtml(row.email || '')}</td>
+                                <td style="padding: 8px;">${this.escapeHtml(row.role)}</td>
+                                <td style="padding: 8px; color: ${statusColors[row.status]};">
+                                    ${statusLabels[row.status]}
+                                    ${row.errors ? `<div style="color: #6b7280;">${row.errors.map(error => this.escapeHtml(error)).join('<br>')}</div>` : ''}
+                                    ${row.resetLink ? `
+                                        <button type="button" class="action-btn action-btn-secondary action-btn-small"
+                                                onclick="navigator.clipboard.writeText('${row.resetLink}'); tenantManagement.showToast('Link copied!', 'success')">
+                                            <span class="action-btn-text">Copy invite link</span>
+                                        </button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
     async resetPassword(userId) {
         try {
             const response = await fetch(`/api/tenants/${this.tenantId}/users/${userId}/reset-password`, {
@@ -556,6 +1006,53 @@ class TenantManagement {
         }
     }
 
+    async unlockUser(userId) {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/users/${userId}/unlock`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to unlock user');
+            }
+
+            this.showToast('Account unlocked', 'success');
+            this.loadUsers();
+        } catch (error) {
+            console.error('Error unlocking user:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async resetTwoFactor(userId) {
+        const user = this.users.find(u => u.id === userId);
+        if (!confirm(`Reset two-factor authentication for ${user ? user.email : 'this user'}? They will be signed out everywhere and can sign in with just their password until they set it up again.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/users/${userId}/reset-two-factor`, {
+                method: 'POST',
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to reset two-factor authentication');
+            }
+
+            this.showToast('Two-factor authentication reset', 'success');
+            this.loadUsers();
+        } catch (error) {
+            console.error('Error resetting two-factor authentication:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
     showResetLinkModal(link, expiresAt) {
         const modal = document.createElement('div');
         modal.className = 'modal-overlay';
@@ -676,6 +1173,949 @@ class TenantManagement {
         }
     }
 
+    async loadRoles() {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/roles`, {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load roles');
+            }
+
+            const data = await response.json();
+            this.roles = data.data;
+            this.permissions = data.permissions;
+            this.renderRoles();
+        } catch (error) {
+            console.error('Error loading roles:', error);
+            this.showToast('Failed to load roles', 'error');
+        }
+    }
+
+    renderRoles() {
+        const roleFilter = document.getElementById('roleFilter');
+        roleFilter.innerHTML = `<option value="">All Roles</option>${this.roleOptions(this.roleFilter)}`;
+
+        const tbody = document.getElementById('rolesTableBody');
+        tbody.innerHTML = this.roles.map(role => `
+            <tr class="table-tr">
+                <td class="table-td table-td-primary">
+                    <span class="table-link">${this.escapeHtml(this.roleLabel(role.name))}</span>
+                    <span class="table-text-secondary role-description">${this.escapeHtml(role.description)}</span>
+                </td>
+                <td class="table-td">
+                    ${role.permissions.length
+                        ? role.permissions.map(permission => `<span class="permission-badge">${permission}</span>`).join('')
+                        : '<span class="table-text-secondary">None</span>'}
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary">${role.user_count}</span>
+                </td>
+                <td class="table-td table-td-actions">
+                    ${role.built_in ? '<span class="table-text-secondary">Built-in</span>' : `
+                    <div class="table-actions">
+                        <button class="table-action-btn" title="Edit" onclick="tenantManagement.showRoleModal('${role.name}')">
+                            <span class="action-btn-text">Edit</span>
+                        </button>
+                        <button class="table-action-btn table-action-btn-danger" title="Delete" onclick="tenantManagement.deleteRole('${role.name}')">
+                            <span class="action-btn-text">Delete</span>
+                        </button>
+                    </div>`}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    roleLabel(name) {
+        const labels = { 'tenant-admin': 'Admin', 'user': 'User' };
+        return labels[name] || this.escapeHtml(name);
+    }
+
+    roleOptions(selected) {
+        const roles = this.roles.length ? this.roles : [{ name: 'user' }, { name: 'tenant-admin' }];
+        return roles.map(role => `
+            <option value="${role.name}" ${role.name === selected ? 'selected' : ''}>${this.roleLabel(role.name)}</option>
+        `).join('');
+    }
+
+    // Create a role, or edit the description and permissions of an existing custom role
+    showRoleModal(roleName) {
+        const role = roleName ? this.roles.find(r => r.name === roleName) : null;
+        const permissionLabels = {
+            'knowledge:write': 'Upload and ingest knowledge',
+            'knowledge:delete': 'Delete documents and vectors',
+            'chat:use': 'Use the chat',
+            'users:manage': 'Manage users and roles',
+            'analytics:view': 'View analytics and answer quality',
+            'settings:edit': 'Edit tenant settings and API keys',
+            'audit:view': 'View and export the audit log',
+            'collections:manage': 'Manage collections and read every collection',
+            'crawler:manage': 'Manage web crawler sources'
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h2 style="color: #374151; margin-bottom: 24px;">${role ? 'Edit Role' : 'Create Role'}</h2>
+                <form id="roleForm">
+                    <div style="margin-bottom: 16px;">
+                        <label style="display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;">Name</label>
+                        <input type="text" name="name" required pattern="[a-z][a-z0-9\\-]{1,48}[a-z0-9]" maxlength="50"
+                               placeholder="e.g. knowledge-editor" ${role ? `value="${role.name}" disabled` : ''}
+                               style="width: 100%; padding: 10px; background: white; border: 1px solid #e1e1e1;
+                                      border-radius: 6px; color: #374151;">
+                    </div>
+                    <div style="margin-bottom: 16px;">
+                        <label style="display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;">Description</label>
+                        <input type="text" name="description" maxlength="255" value="${this.escapeHtml(role ? role.description : '')}"
+                               style="width: 100%; padding: 10px; background: white; border: 1px solid #e1e1e1;
+                                      border-radius: 6px; color: #374151;">
+                    </div>
+                    <div style="margin-bottom: 24px;">
+                        <label style="display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;">Permissions</label>
+                        ${this.permissions.map(permission => `
+                            <label style="display: flex; align-items: center; color: #374151; font-size: 14px; margin-bottom: 6px; cursor: pointer;">
+                                <input type="checkbox" name="permissions" value="${permission}" style="margin-right: 8px;"
+                                       ${role && role.permissions.includes(permission) ? 'checked' : ''}>
+                                ${permissionLabels[permission] || permission}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                        <button type="button" onclick="this.closest('.modal-overlay').remove()"
+                                class="action-btn action-btn-secondary action-btn-medium">
+                            <span class="action-btn-text">Cancel</span>
+                        </button>
+                        <button type="submit"
+                                class="action-btn action-btn-primary action-btn-medium">
+                            <span class="action-btn-text">${role ? 'Save Role' : 'Create Role'}</span>
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('roleForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const roleData = {
+                description: formData.get('description'),
+                permissions: formData.getAll('permissions')
+            };
+            if (!role) {
+                roleData.name = formData.get('name');
+            }
+            const saved = await this.saveRole(role ? role.name : null, roleData);
+            if (saved) {
+                modal.remove();
+            }
+        });
+    }
+
+    async saveRole(roleName, roleData) {
+        try {
+            const url = roleName
+                ? `/api/tenants/${this.tenantId}/roles/${encodeURIComponent(roleName)}`
+                : `/api/tenants/${this.tenantId}/roles`;
+            const response = await fetch(url, {
+                method: roleName ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify(roleData)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.details?.[0]?.msg || data.error || 'Failed to save role');
+            }
+
+            await this.loadRoles();
+            this.showToast(roleName ? 'Role updated' : 'Role created', 'success');
+            return true;
+        } catch (error) {
+            console.error('Error saving role:', error);
+            this.showToast(error.message, 'error');
+            return false;
+        }
+    }
+
+    async deleteRole(roleName) {
+        if (!confirm(`Delete the role "${roleName}"?`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/roles/${encodeURIComponent(roleName)}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to delete role');
+            }
+
+            await this.loadRoles();
+            this.showToast('Role deleted', 'success');
+        } catch (error) {
+            console.error('Error deleting role:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async loadApiKeys() {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/api-keys`, {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load API keys');
+            }
+
+            const data = await response.json();
+            this.apiKeys = data.data;
+            this.apiKeyScopes = data.scopes;
+            this.renderApiKeys();
+        } catch (error) {
+            console.error('Error loading API keys:', error);
+            this.showToast('Failed to load API keys', 'error');
+        }
+    }
+
+    renderApiKeys() {
+        const tbody = document.getElementById('apiKeysTableBody');
+        const emptyState = document.getElementById('apiKeysEmptyState');
+
+        if (this.apiKeys.length === 0) {
+            tbody.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        tbody.innerHTML = this.apiKeys.map(key => `
+            <tr class="table-tr">
+                <td class="table-td table-td-primary">
+                    <span class="table-link">${this.escapeHtml(key.name)}</span>
+                </td>
+                <td class="table-td">
+                    <span class="api-key-prefix">${key.key_prefix}…</span>
+                </td>
+                <td class="table-td">
+                    ${key.scopes.map(scope => `<span class="scope-badge">${scope}</span>`).join('')}
+                </td>
+                <td class="table-td">
+                    <span class="status-badge status-${key.status}">
+                        ${key.status.charAt(0).toUpperCase() + key.status.slice(1)}
+                    </span>
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary">
+                        ${key.expires_at ? new Date(key.expires_at).toLocaleDateString() : 'Never'}
+                    </span>
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary">
+                        ${key.last_used ? new Date(key.last_used).toLocaleString() : 'Never'}
+                    </span>
+                </td>
+                <td class="table-td table-td-actions">
+                    ${key.status === 'active' ? `
+                    <div class="table-actions">
+                        <button class="table-action-btn" title="Rotate" onclick="tenantManagement.showRotateApiKeyModal(${key.id})">
+                            <span class="action-btn-text">Rotate</span>
+                        </button>
+                        <button class="table-action-btn table-action-btn-danger" title="Revoke" onclick="tenantManagement.revokeApiKey(${key.id})">
+                            <span class="action-btn-text">Revoke</span>
+                        </button>
+                    </div>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    showCreateApiKeyModal() {
+        const scopeLabels = {
+            'read-knowledge': 'Read knowledge - list and view documents',
+            'write-knowledge': 'Write knowledge - upload, ingest and delete documents',
+            'chat': 'Chat - send messages and read conversations',
+            'scim': 'SCIM - provision users and assign roles from your identity provider',
+            'admin': 'Admin - everything above plus tenant-wide vector maintenance'
+        };
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h2 style="color: #374151; margin-bottom: 24px;">Create API Key</h2>
+                <form id="createApiKeyForm">
+                    <div style="margin-bottom: 16px;">
+                        <label style="display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;">Name</label>
+                        <input type="text" name="name" required maxlength="100" placeholder="e.g. Confluence sync"
+                               style="width: 100%; padding: 10px; background: white; border: 1px solid #e1e1e1;
+                                      border-radius: 6px; color: #374151;">
+                    </div>
+                    <div style="margin-bottom: 16px;">
+                        <label style="display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;">Scopes</label>
+                        ${this.apiKeyScopes.map(scope => `
+                            <label style="display: flex; align-items: center; color: #374151; font-size: 14px; margin-bottom: 6px; cursor: pointer;">
+                                <input type="checkbox" name="scopes" value="${scope}" style="margin-right: 8px;">
+                                ${scopeLabels[scope] || scope}
+                            </label>
+                        `).join('')}
+                    </div>
+                    <div style="margin-bottom: 24px;">
+                        <label style="display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;">Expires</label>
+                        <select name="expires_in_days"
+                                style="width: 100%; padding: 10px; background: white; border: 1px solid #e1e1e1;
+                                       border-radius: 6px; color: #374151;">
+                            <option value="30">In 30 days</option>
+                            <option value="90" selected>In 90 days</option>
+                            <option value="365">In 1 year</option>
+                            <option value="">Never</option>
+                        </select>
+                    </div>
+                    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                        <button type="button" onclick="this.closest('.modal-overlay').remove()"
+                                class="action-btn action-btn-secondary action-btn-medium">
+                            <span class="action-btn-text">Cancel</span>
+                        </button>
+                        <button type="submit"
+                                class="action-btn action-btn-primary action-btn-medium">
+                            <span class="action-btn-text">Create Key</span>
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('createApiKeyForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const scopes = formData.getAll('scopes');
+            if (scopes.length === 0) {
+                this.showToast('Select at least one scope', 'error');
+                return;
+            }
+            const expiresInDays = formData.get('expires_in_days');
+            const created = await this.createApiKey({
+                name: formData.get('name'),
+                scopes,
+                expires_in_days: expiresInDays ? parseInt(expiresInDays) : null
+            });
+            if (created) {
+                modal.remove();
+            }
+        });
+    }
+
+    async createApiKey(keyData) {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/api-keys`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify(keyData)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.details?.[0]?.msg || data.error || 'Failed to create API key');
+            }
+
+            this.showNewApiKeyModal(data.key, data.data);
+            await this.loadApiKeys();
+            return true;
+        } catch (error) {
+            console.error('Error creating API key:', error);
+            this.showToast(error.message, 'error');
+            return false;
+        }
+    }
+
+    showRotateApiKeyModal(keyId) {
+        const key = this.apiKeys.find(k => k.id === keyId);
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h2 style="color: #374151; margin-bottom: 16px;">Rotate API Key</h2>
+                <p style="color: #6b7280; margin-bottom: 16px;">
+                    A new key with the same scopes replaces <strong>${this.escapeHtml(key ? key.name : 'this key')}</strong>.
+                    Update your integrations with the new key before the old one stops working.
+                </p>
+                <form id="rotateApiKeyForm">
+                    <div style="margin-bottom: 24px;">
+                        <label style="display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;">Old key stops working</label>
+                        <select name="grace_period_hours"
+                                style="width: 100%; padding: 10px; background: white; border: 1px solid #e1e1e1;
+                                       border-radius: 6px; color: #374151;">
+                            <option value="0">Immediately</option>
+                            <option value="1">In 1 hour</option>
+                            <option value="24" selected>In 24 hours</option>
+                            <option value="168">In 7 days</option>
+                        </select>
+                    </div>
+                    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                        <button type="button" onclick="this.closest('.modal-overlay').remove()"
+                                class="action-btn action-btn-secondary action-btn-medium">
+                            <span class="action-btn-text">Cancel</span>
+                        </button>
+                        <button type="submit"
+                                class="action-btn action-btn-primary action-btn-medium">
+                            <span class="action-btn-text">Rotate Key</span>
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('rotateApiKeyForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            modal.remove();
+            await this.rotateApiKey(keyId, parseInt(formData.get('grace_period_hours')));
+        });
+    }
+
+    async rotateApiKey(keyId, gracePeriodHours) {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/api-keys/${keyId}/rotate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ grace_period_hours: gracePeriodHours })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to rotate API key');
+            }
+
+            this.showNewApiKeyModal(data.key, data.data);
+            await this.loadApiKeys();
+        } catch (error) {
+            console.error('Error rotating API key:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async revokeApiKey(keyId) {
+        const key = this.apiKeys.find(k => k.id === keyId);
+        if (!confirm(`Revoke the API key "${key ? key.name : keyId}"? Integrations using it will stop working immediately.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/api-keys/${keyId}`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                const data = await response.json();
+                throw new Error(data.error || 'Failed to revoke API key');
+            }
+
+            await this.loadApiKeys();
+            this.showToast('API key revoked', 'success');
+        } catch (error) {
+            console.error('Error revoking API key:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // The plain key is only available right after it is created or rotated
+    showNewApiKeyModal(key, apiKey) {
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content">
+                <h2 style="color: #374151; margin-bottom: 16px;">API Key Created</h2>
+                <p style="color: #6b7280; margin-bottom: 16px;">
+                    Copy the key for <strong>${this.escapeHtml(apiKey.name)}</strong> now. It won't be shown again.
+                    ${apiKey.expires_at ? `It expires on ${new Date(apiKey.expires_at).toLocaleDateString()}.` : ''}
+                </p>
+                <div style="display: flex; gap: 8px; margin-bottom: 16px;">
+                    <input type="text" value="${key}" readonly id="newApiKeyValue"
+                           style="flex: 1; padding: 10px; background: #f8f9fa; border: 1px solid #e1e1e1;
+                                  border-radius: 6px; color: #0066FF; font-family: monospace; font-size: 12px;">
+                    <button onclick="navigator.clipboard.writeText(document.getElementById('newApiKeyValue').value); tenantManagement.showToast('Key copied!', 'success')"
+                            class="action-btn action-btn-secondary action-btn-small">
+                        <span class="action-btn-text">Copy</span>
+                    </button>
+                </div>
+                <div style="display: flex; justify-content: flex-end;">
+                    <button onclick="this.closest('.modal-overlay').remove()"
+                            class="action-btn action-btn-primary action-btn-medium">
+                        <span class="action-btn-text">Done</span>
+                    </button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+    }
+
+    auditQuery() {
+        const params = new URLSearchParams();
+        if (this.auditFilters.action) params.set('action', this.auditFilters.action);
+        if (this.auditFilters.actor) params.set('actor', this.auditFilters.actor);
+        if (this.auditFilters.from) params.set('from', new Date(this.auditFilters.from).toISOString());
+        // Include the whole "to" day
+        if (this.auditFilters.to) params.set('to', new Date(`${this.auditFilters.to}T23:59:59.999`).toISOString());
+        return params;
+    }
+
+    async loadAuditLog() {
+        try {
+            const params = this.auditQuery();
+            params.set('limit', this.auditPageSize);
+            params.set('offset', this.auditOffset);
+
+            const response = await fetch(`/api/tenants/${this.tenantId}/audit-log?${params}`, {
+                credentials: 'include'
+            });
+
+            // Users without audit:view don't get the section
+            if (response.status === 403) {
+                document.getElementById('auditLogSection').style.display = 'none';
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('Failed to load audit log');
+            }
+
+            const data = await response.json();
+            this.auditEvents = data.data;
+            this.auditTotal = data.pagination.total;
+            if (this.auditActions.length === 0) {
+                this.auditActions = data.actions;
+                this.setupAuditFilters();
+            }
+            this.renderAuditLog();
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            this.showToast('Failed to load audit log', 'error');
+        }
+    }
+
+    setupAuditFilters() {
+        const select = document.getElementById('auditActionFilter');
+        const groups = [...new Set(this.auditActions.map(action => action.split('.')[0]))];
+        select.innerHTML = `
+            <option value="">All Actions</option>
+            ${groups.map(group => `
+                <optgroup label="${group}">
+                    <option value="${group}.">All ${group} events</option>
+                    ${this.auditActions.filter(action => action.startsWith(`${group}.`)).map(action => `
+                        <option value="${action}">${action}</option>
+                    `).join('')}
+                </optgroup>
+            `).join('')}
+        `;
+        select.value = this.auditFilters.action;
+
+        select.addEventListener('change', (e) => {
+            this.auditFilters.action = e.target.value;
+            this.auditOffset = 0;
+            this.loadAuditLog();
+        });
+
+        let actorTimeout;
+        document.getElementById('auditActorFilter').addEventListener('input', (e) => {
+            clearTimeout(actorTimeout);
+            actorTimeout = setTimeout(() => {
+                this.auditFilters.actor = e.target.value.trim();
+                this.auditOffset = 0;
+                this.loadAuditLog();
+            }, 300);
+        });
+
+        for (const [id, field] of [['auditFromFilter', 'from'], ['auditToFilter', 'to']]) {
+            document.getElementById(id).addEventListener('change', (e) => {
+                this.auditFilters[field] = e.target.value;
+                this.auditOffset = 0;
+                this.loadAuditLog();
+            });
+        }
+    }
+
+    renderAuditLog() {
+        const tbody = document.getElementById('auditTableBody');
+        const emptyState = document.getElementById('auditEmptyState');
+
+        document.getElementById('auditShowingFrom').textContent = this.auditTotal ? this.auditOffset + 1 : 0;
+        document.getElementById('auditShowingTo').textContent = this.auditOffset + this.auditEvents.length;
+        document.getElementById('auditTotalCount').textContent = this.auditTotal;
+        document.getElementById('auditPrevPage').disabled = this.auditOffset === 0;
+        document.getElementById('auditNextPage').disabled = this.auditOffset + this.auditEvents.length >= this.auditTotal;
+
+        if (this.auditEvents.length === 0) {
+            tbody.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        tbody.innerHTML = this.auditEvents.map(event => `
+            <tr class="table-tr">
+                <td class="table-td">
+                    <span class="table-text-secondary">${new Date(event.created_at).toLocaleString()}</span>
+                </td>
+                <td class="table-td">
+                    <span class="audit-action">${this.escapeHtml(event.action)}</span>
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary">
+                        ${this.escapeHtml(event.actor_email || 'Unknown')}
+                        ${event.actor_type === 'api_key' ? `<span class="scope-badge">API key ${event.api_key_id}</span>` : ''}
+                    </span>
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary">
+                        ${event.target_type ? this.escapeHtml(`${event.target_type} ${event.target_id || ''}`) : ''}
+                    </span>
+                </td>
+                <td class="table-td">
+                    <div class="audit-changes">${this.formatAuditChanges(event.changes)}</div>
+                </td>
+                <td class="table-td">
+                    <span class="table-text-secondary" title="${this.escapeHtml(event.user_agent)}">${this.escapeHtml(event.ip_address)}</span>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    formatAuditChanges(changes) {
+        if (!changes) {
+            return '';
+        }
+        const format = value => value === null ? '∅' : this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
+        return Object.entries(changes)
+            .map(([field, change]) => `<strong>${this.escapeHtml(field)}</strong>: ${format(change.before)} → ${format(change.after)}`)
+            .join('<br>');
+    }
+
+    changeAuditPage(direction) {
+        const offset = this.auditOffset + direction * this.auditPageSize;
+        if (offset < 0 || offset >= this.auditTotal) {
+            return;
+        }
+        this.auditOffset = offset;
+        this.loadAuditLog();
+    }
+
+    // Downloads go through the browser so large exports aren't held in memory here
+    exportAuditLog(format) {
+        const params = this.auditQuery();
+        params.set('format', format);
+        const link = document.createElement('a');
+        link.href = `/api/tenants/${this.tenantId}/audit-log/export?${params}`;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    async loadSecuritySettings() {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/settings/security`, {
+                credentials: 'include'
+            });
+
+            // Shown to users with settings:edit only
+            if (!response.ok) {
+                return;
+            }
+
+            const data = await response.json();
+            document.getElementById('requireTwoFactor').checked = data.require_two_factor;
+            document.getElementById('securitySettingsSection').style.display = '';
+            await this.loadSso();
+        } catch (error) {
+            console.error('Error loading security settings:', error);
+        }
+    }
+
+    async loadSso() {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/settings/sso`, {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load single sign-on settings');
+            }
+
+            this.sso = await response.json();
+            this.renderSsoStatus();
+        } catch (error) {
+            console.error('Error loading SSO settings:', error);
+        }
+    }
+
+    renderSsoStatus() {
+        const status = document.getElementById('ssoStatus');
+        if (!this.sso.configured) {
+            status.textContent = 'Not configured. Users of your email domains can sign in through your identity provider (OpenID Connect).';
+        } else {
+            status.textContent = `${this.sso.enabled ? 'On' : 'Off'}: ${this.sso.issuer} for ${this.sso.allowed_domains.join(', ')}`;
+        }
+        document.getElementById('removeSsoBtn').style.display = this.sso.configured ? '' : 'none';
+    }
+
+    // Configure the tenant's OIDC provider; role mapping is one "claim value = role" per line
+    showSsoModal() {
+        const sso = this.sso || { configured: false };
+        const mapping = Object.entries(sso.role_mapping || {}).map(([value, role]) => `${value} = ${role}`).join('\n');
+        const inputStyle = `width: 100%; padding: 10px; background: white; border: 1px solid #e1e1e1;
+                            border-radius: 6px; color: #374151;`;
+        const labelStyle = 'display: block; color: #6b7280; margin-bottom: 8px; font-size: 14px;';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-overlay';
+        modal.innerHTML = `
+            <div class="modal-content" style="max-width: 560px;">
+                <h2 style="color: #374151; margin-bottom: 8px;">Single Sign-On</h2>
+                <p class="api-keys-help" style="margin-bottom: 16px;">
+                    Register this redirect URI with your identity provider:
+                    <code>${this.escapeHtml(sso.redirect_uri || '')}</code>
+                </p>
+                <form id="ssoForm">
+                    <div style="margin-bottom: 16px;">
+                        <label style="${labelStyle}">Issuer URL</label>
+                        <input type="url" name="issuer" required placeholder="https://login.example.com/realms/acme"
+                               value="${this.escapeHtml(sso.issuer || '')}" style="${inputStyle}">
+                    </div>
+                    <div style="margin-bottom: 16px;">
+                        <label style="${labelStyle}">Client ID</label>
+                        <input type="text" name="client_id" required maxlength="255"
+                               value="${this.escapeHtml(sso.client_id || '')}" style="${inputStyle}">
+                    </div>
+                    <div style="margin-bottom: 16px;">
+                        <label style="${labelStyle}">Client secret</label>
+                        <input type="password" name="client_secret" autocomplete="new-password"
+                               placeholder="${sso.client_secret_set ? 'Leave empty to keep the current secret' : 'Leave empty for a public client'}"
+                               style="${inputStyle}">
+                    </div>
+                    <div style="margin-bottom: 16px;">
+                        <label style="${labelStyle}">Allowed email domains (comma separated)</label>
+                        <input type="text" name="allowed_domains" required placeholder="example.com"
+                               value="${this.escapeHtml((sso.allowed_domains || []).join(', '))}" style="${inputStyle}">
+                    </div>
+                    <div style="margin-bottom: 16px;">
+                        <label style="${labelStyle}">Default role for new users</label>
+                        <select name="default_role" style="${inputStyle}">
+                            ${this.roleOptions(sso.default_role || 'user')}
+                        </select>
+                    </div>
+                    <div style="margin-bottom: 16px;">
+                        <label style="${labelStyle}">Role claim (optional)</label>
+                        <input type="text" name="role_claim" placeholder="groups or realm_access.roles"
+                               value="${this.escapeHtml(sso.role_claim || '')}" style="${inputStyle}">
+                    </div>
+                    <div style="margin-bottom: 16px;">
+                        <label style="${labelStyle}">Role mapping, one per line (claim value = role)</label>
+                        <textarea name="role_mapping" rows="3" placeholder="kb-admins = tenant-admin"
+                                  style="${inputStyle} font-family: 'Courier New', monospace;">${this.escapeHtml(mapping)}</textarea>
+                    </div>
+                    <div style="margin-bottom: 24px;">
+                        <label style="display: flex; align-items: center; color: #374151; font-size: 14px; cursor: pointer;">
+                            <input type="checkbox" name="enabled" style="margin-right: 8px;" ${sso.configured && !sso.enabled ? '' : 'checked'}>
+                            Enabled
+                        </label>
+                    </div>
+                    <div style="display: flex; gap: 12px; justify-content: flex-end;">
+                        <button type="button" onclick="this.closest('.modal-overlay').remove()"
+                                class="action-btn action-btn-secondary action-btn-medium">
+                            <span class="action-btn-text">Cancel</span>
+                        </button>
+                        <button type="submit"
+                                class="action-btn action-btn-primary action-btn-medium">
+                            <span class="action-btn-text">Save</span>
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+
+        document.getElementById('ssoForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const roleMapping = {};
+            for (const line of formData.get('role_mapping').split('\n')) {
+                const separator = line.lastIndexOf('=');
+                if (separator > 0) {
+                    roleMapping[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+                }
+            }
+            const settings = {
+                issuer: formData.get('issuer').trim(),
+                client_id: formData.get('client_id').trim(),
+                allowed_domains: formData.get('allowed_domains').split(',').map(domain => domain.trim()).filter(Boolean),
+                default_role: formData.get('default_role'),
+                role_claim: formData.get('role_claim').trim() || null,
+                role_mapping: roleMapping,
+                enabled: formData.get('enabled') === 'on'
+            };
+            if (formData.get('client_secret')) {
+                settings.client_secret = formData.get('client_secret');
+            }
+            if (await this.saveSso(settings)) {
+                modal.remove();
+            }
+        });
+    }
+
+    async saveSso(settings) {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/settings/sso`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify(settings)
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.details ? data.details[0].msg : (data.error || 'Failed to save single sign-on settings'));
+            }
+
+            this.sso = data;
+            this.renderSsoStatus();
+            this.showToast('Single sign-on settings saved', 'success');
+            return true;
+        } catch (error) {
+            console.error('Error saving SSO settings:', error);
+            this.showToast(error.message, 'error');
+            return false;
+        }
+    }
+
+    async removeSso() {
+        if (!confirm('Remove single sign-on? Users who signed in with SSO keep their accounts and can reset a password to sign in.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/settings/sso`, {
+                method: 'DELETE',
+                credentials: 'include'
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to remove single sign-on');
+            }
+
+            this.sso = data;
+            this.renderSsoStatus();
+            this.showToast('Single sign-on removed', 'success');
+        } catch (error) {
+            console.error('Error removing SSO settings:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async saveSecuritySettings() {
+        const checkbox = document.getElementById('requireTwoFactor');
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/settings/security`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'include',
+                body: JSON.stringify({ require_two_factor: checkbox.checked })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to save security settings');
+            }
+
+            this.showToast(data.require_two_factor ? 'Two-factor authentication is now required' : 'Two-factor authentication is now optional', 'success');
+        } catch (error) {
+            console.error('Error saving security settings:', error);
+            checkbox.checked = !checkbox.checked;
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async loadAuditSettings() {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/audit-log/settings`, {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                return;
+            }
+
+            const data = await response.json();
+            const input = document.getElementById('auditRetentionDays');
+            input.value = data.retention_days;
+            input.min = data.min_retention_days;
+            input.max = data.max_retention_days;
+        } catch (error) {
+            console.error('Error loading audit log settings:', error);
+        }
+    }
+
+    async saveAuditRetention() {
+        const retentionDays = parseInt(document.getElementById('auditRetentionDays').value);
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/audit-log/settings`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                credentials: 'include',
+                body: JSON.stringify({ retention_days: retentionDays })
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.details?.[0]?.msg || data.error || 'Failed to save retention');
+            }
+
+            this.showToast(`Audit events are kept for ${data.retention_days} days`, 'success');
+            this.auditOffset = 0;
+            await this.loadAuditLog();
+        } catch (error) {
+            console.error('Error saving audit retention:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
     showToast(message, type = 'info') {
         const container = document.getElementById('toastContainer');
         const toast = document.createElement('div');
@@ -0,0 +1,289 @@
+class UsageOverview {
+    constructor(tenantId) {
+        this.tenantId = tenantId;
+        this.month = new Date().toISOString().slice(0, 7);
+        this.usage = null;
+
+        this.init();
+    }
+
+    async init() {
+        this.renderContainer();
+        await this.loadUsage();
+    }
+
+    renderContainer() {
+        const container = document.getElementById('usageContainer');
+        container.innerHTML = `
+            <div class="data-grid-container">
+                <div class="data-grid-header">
+                    <div>
+                        <h1 class="data-grid-title">Usage</h1>
+                        <p class="table-text-secondary usage-subtitle">
+                            What your organization used this month. Totals are updated every hour.
+                        </p>
+                    </div>
+                    <div class="usage-toolbar">
+                        <input type="month" id="usageMonth" class="data-grid-search-input" value="${this.month}">
+                        <button class="action-btn action-btn-secondary action-btn-medium" onclick="usageOverview.exportCsv()">
+                            <span class="action-btn-text">Download CSV</span>
+                        </button>
+                    </div>
+                </div>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th class="table-th">Metric</th>
+                                <th class="table-th">Quantity</th>
+                                <th class="table-th">How it's counted</th>
+                            </tr>
+                        </thead>
+                        <tbody id="usageStatementBody">
+                            <!-- Statement lines will be rendered here -->
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <!-- Plan limits -->
+            <div class="data-grid-container usage-section">
+                <div class="data-grid-header">
+                    <h2 class="data-grid-title">Plan Limits <span id="usagePlanBadge" class="status-badge status-active"></span></h2>
+                </div>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th class="table-th">Limit</th>
+                                <th class="table-th">Used</th>
+                                <th class="table-th">Allowed</th>
+                            </tr>
+                        </thead>
+                        <tbody id="usageLimitsBody">
+                            <!-- Plan limits will be rendered here -->
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <!-- Daily usage -->
+            <div class="data-grid-container usage-section">
+                <div class="data-grid-header">
+                    <h2 class="data-grid-title">Daily Usage</h2>
+                </div>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead id="usageDailyHead"></thead>
+                        <tbody id="usageDailyBody">
+                            <!-- Daily usage will be rendered here -->
+                        </tbody>
+                    </table>
+                    <div id="usageDailyEmptyState" class="table-empty-state" style="display: none;">
+                        <h3 class="table-empty-title">No usage recorded</h3>
+                        <p class="table-empty-subtitle">Chat messages, searches and processed documents show up here</p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('usageMonth').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.month = e.target.value;
+                this.loadUsage();
+            }
+        });
+
+        this.addStyles();
+    }
+
+    async loadUsage() {
+        try {
+            const response = await fetch(`/api/tenants/${this.tenantId}/usage?month=${encodeURIComponent(this.month)}`, {
+                credentials: 'include'
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to load usage');
+            }
+
+            this.usage = await response.json();
+            this.renderStatement();
+            this.renderLimits();
+            this.renderDaily();
+        } catch (error) {
+            console.error('Error loading usage:', error);
+            this.showToast('Failed to load usage', 'error');
+        }
+    }
+
+    formatQuantity(quantity, unit) {
+        if (unit === 'bytes') {
+            return this.formatBytes(quantity);
+        }
+        return `${Number(quantity).toLocaleString()} ${unit}`;
+    }
+
+    formatBytes(bytes) {
+        if (!bytes) {
+            return '0 B';
+        }
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+    }
+
+    aggregationLabel(aggregation) {
+        switch (aggregation) {
+            case 'average':
+                return 'Average of daily snapshots';
+            case 'distinct':
+                return 'Distinct users who signed in or used a metered feature';
+            default:
+                return 'Total for the month';
+        }
+    }
+
+    renderStatement() {
+        const { statement, metrics } = this.usage;
+        document.getElementById('usageStatementBody').innerHTML = statement.lines.map(line => `
+            <tr class="table-tr">
+                <td class="table-td table-td-primary">${this.escapeHtml(metrics[line.metric]?.label || line.metric)}</td>
+                <td class="table-td">${this.escapeHtml(this.formatQuantity(line.quantity, line.unit))}</td>
+                <td class="table-td">
+                    <span class="table-text-secondary">${this.escapeHtml(this.aggregationLabel(line.aggregation))}</span>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    renderLimits() {
+        const { plan, quota_usage: used } = this.usage;
+        document.getElementById('usagePlanBadge').textContent = plan.name;
+
+        const rows = [
+            ['Chat messages per day', used.messages, plan.limits.messagesPerDay],
+            ['Vector searches per day', used.searches, plan.limits.searchesPerDay],
+            ['Documents per 30 days', used.documents, plan.limits.documentsPerMonth],
+            ['API requests per minute', used.requests, plan.limits.requestsPerMinute]
+        ].map(([label, count, limit]) => [label, Number(count).toLocaleString(), limit === null ? 'Unlimited' : Number(limit).toLocaleString()]);
+        rows.push([
+            'Storage',
+            this.formatBytes(used.storageBytes),
+            plan.limits.storageBytes === null ? 'Unlimited' : this.formatBytes(plan.limits.storageBytes)
+        ]);
+
+        document.getElementById('usageLimitsBody').innerHTML = rows.map(([label, count, limit]) => `
+            <tr class="table-tr">
+                <td class="table-td table-td-primary">${this.escapeHtml(label)}</td>
+                <td class="table-td">${this.escapeHtml(count)}</td>
+                <td class="table-td"><span class="table-text-secondary">${this.escapeHtml(limit)}</span></td>
+            </tr>
+        `).join('');
+    }
+
+    renderDaily() {
+        const { daily, metrics } = this.usage;
+        const head = document.getElementById('usageDailyHead');
+        const tbody = document.getElementById('usageDailyBody');
+        const emptyState = document.getElementById('usageDailyEmptyState');
+
+        if (daily.length === 0) {
+            head.innerHTML = '';
+            tbody.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        const days = new Map();
+        for (const row of daily) {
+            if (!days.has(row.day)) {
+                days.set(row.day, {});
+            }
+            days.get(row.day)[row.metric] = row.quantity;
+        }
+        const metricNames = Object.keys(metrics);
+
+        emptyState.style.display = 'none';
+        head.innerHTML = `
+            <tr>
+                <th class="table-th">Day</th>
+                ${metricNames.map(metric => `<th class="table-th">${this.escapeHtml(metrics[metric].label)}</th>`).join('')}
+            </tr>
+        `;
+        tbody.innerHTML = [...days.entries()].map(([day, values]) => `
+            <tr class="table-tr">
+                <td class="table-td table-td-primary">${this.escapeHtml(day)}</td>
+                ${metricNames.map(metric => `
+                    <td class="table-td">
+                        <span class="table-text-secondary">${metrics[metric].unit === 'bytes' ? this.formatBytes(values[metric] || 0) : Number(values[metric] || 0).toLocaleString()}</span>
+                    </td>
+                `).join('')}
+            </tr>
+        `).join('');
+    }
+
+    exportCsv() {
+        window.location.href = `/api/tenants/${this.tenantId}/usage/export?month=${encodeURIComponent(this.month)}`;
+    }
+
+    addStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .usage-subtitle {
+                margin-top: 4px;
+                font-size: 14px;
+            }
+            .usage-toolbar {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+            }
+            .usage-toolbar input {
+                width: 160px;
+            }
+            .usage-section {
+                margin-top: 32px;
+            }
+            .status-badge {
+                padding: 4px 8px;
+                border-radius: 4px;
+                font-size: 12px;
+                font-weight: 500;
+                margin-left: 8px;
+                text-transform: capitalize;
+            }
+            .status-active {
+                background: #d4f4dd;
+                color: #22c55e;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toastContainer');
+        const toast = document.createElement('div');
+        toast.style.cssText = `
+            background: ${type === 'success' ? '#10B981' : type === 'error' ? '#EF4444' : '#3B82F6'};
+            color: white;
+            padding: 12px 20px;
+            border-radius: 8px;
+            margin-bottom: 10px;
+            box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+        `;
+        toast.textContent = message;
+        container.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 3000);
+    }
+}
+
+// Make it globally available
+window.UsageOverview = UsageOverview;
@@ -1,12 +1,13 @@
-// Handle showing/hiding users navigation button based on role
+// Handle showing/hiding users navigation button based on the users:manage permission
 document.addEventListener('DOMContentLoaded', () => {
   const usersNavBtn = document.getElementById('users-nav-btn');
   
   // Check user role from localStorage
   const userRole = localStorage.getItem('userRole');
   const userObj = JSON.parse(localStorage.getItem('userSession'));
+  const permissions = (userObj && userObj.permissions) || [];
   
-  if (userRole === 'tenant-admin' || (userObj && userObj.role === 'tenant-admin')) {
+  if (permissions.includes('users:manage') || userRole === 'tenant-admin' || (userObj && userObj.role === 'tenant-admin')) {
     usersNavBtn.style.display = 'block';
   }
 });
\ No newline at end of file
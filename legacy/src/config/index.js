@@ -1,6 +1,19 @@
 // Centralized configuration management
 require('dotenv').config();
 
+// Parse a JSON-valued environment variable, falling back on missing or invalid JSON
+function parseJsonEnv(name, fallback) {
+  if (!process.env[name]) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`Invalid JSON in ${name}, using default:`, error.message);
+    return fallback;
+  }
+}
+
 const config = {
   // Server
   port: process.env.PORT || 5000,
@@ -30,6 +43,10 @@ const config = {
     windowMs: parseInt(process.env.RATE_LIMIT_WINDOW || '900000'), // 15 minutes
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX || '100'),
     authMaxRequests: parseInt(process.env.AUTH_RATE_LIMIT_MAX || '5'),
+    // Per-tenant plan limits (src/services/tenantPlans.js), counted in Redis across instances
+    defaultPlan: process.env.DEFAULT_TENANT_PLAN || 'standard',
+    plans: parseJsonEnv('TENANT_PLANS', {}), // e.g. {"standard": {"messagesPerDay": 2000}}
+    planCacheMs: parseInt(process.env.TENANT_PLAN_CACHE || '60000'),
   },
   
   // Storage & File Uploads
@@ -39,6 +56,21 @@ const config = {
     maxRequestSize: process.env.MAX_REQUEST_SIZE || '100mb',
     useS3: process.env.USE_S3 === 'true',
     s3Bucket: process.env.S3_BUCKET,
+    // Document binaries (src/services/blobStore.js): 'local' disk or 's3' (AWS or compatible, e.g. MinIO)
+    driver: process.env.STORAGE_DRIVER || (process.env.USE_S3 === 'true' ? 's3' : 'local'),
+    localDir: process.env.BLOB_STORAGE_DIR || `${process.env.UPLOAD_DIR || './uploads'}/blobs`,
+    s3Region: process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+    s3Endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+    s3AccessKeyId: process.env.S3_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID,
+    s3SecretAccessKey: process.env.S3_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY,
+    s3ForcePathStyle: process.env.S3_FORCE_PATH_STYLE ? process.env.S3_FORCE_PATH_STYLE === 'true' : Boolean(process.env.S3_ENDPOINT),
+    signedUrlTtl: parseInt(process.env.SIGNED_URL_TTL || '300'), // seconds
+    signingSecret: process.env.BLOB_SIGNING_SECRET || process.env.JWT_SECRET,
+    // Resumable uploads (src/services/uploadSessions.js)
+    uploadPartSize: parseInt(process.env.UPLOAD_PART_SIZE || '8388608'), // 8MB
+    uploadMaxFileSize: parseInt(process.env.UPLOAD_MAX_FILE_SIZE || '104857600'), // 100MB, as for single-request uploads
+    uploadSessionTtlHours: parseInt(process.env.UPLOAD_SESSION_TTL_HOURS || '24'),
+    uploadSweepIntervalMs: parseInt(process.env.UPLOAD_SWEEP_INTERVAL || '3600000'), // 1 hour
     allowedFileTypes: process.env.ALLOWED_FILE_TYPES?.split(',') || ['csv', 'txt', 'pdf', 'zip', 'json'],
   },
   
@@ -49,6 +81,17 @@ const config = {
     automationAuth: process.env.AUTOMATION_AUTH,
     retryIntervalMs: parseInt(process.env.WEBHOOK_RETRY_INTERVAL || '60000'), // 1 minute
     maxRetries: parseInt(process.env.WEBHOOK_MAX_RETRIES || '3'),
+    // Per-event-type endpoints, e.g. {"document-processing": "https://...", "track-*": {"url": "...", "auth": "..."}}
+    // Unlisted event types go to automationUrl
+    endpoints: parseJsonEnv('WEBHOOK_ENDPOINTS', {}),
+    outbox: {
+      pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL || '2000'),
+      batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE || '20'),
+      maxAttempts: parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '8'),
+      baseDelayMs: parseInt(process.env.OUTBOX_BASE_DELAY || '5000'),
+      maxDelayMs: parseInt(process.env.OUTBOX_MAX_DELAY || '3600000'), // 1 hour
+      lockTimeoutMs: parseInt(process.env.OUTBOX_LOCK_TIMEOUT || '300000'), // 5 minutes
+    },
   },
   
   // RAG & Vector Search
@@ -58,6 +101,39 @@ const config = {
     vectorDimension: parseInt(process.env.VECTOR_DIMENSION || '1536'),
     embeddingModel: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
     searchResultsLimit: parseInt(process.env.RAG_SEARCH_LIMIT || '10'),
+    // In-process chunking/embedding pipeline (disabled unless EMBEDDING_PROVIDER is set)
+    // Query embeddings sent to /vector-search must come from the same provider and model
+    embedding: {
+      provider: process.env.EMBEDDING_PROVIDER || null, // 'openai' (any OpenAI-compatible API) or 'hashing'
+      apiUrl: process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1',
+      apiKey: process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+      model: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
+      batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE || '64'),
+      timeoutMs: parseInt(process.env.EMBEDDING_TIMEOUT || '30000'),
+    },
+    chunking: {
+      maxTokens: parseInt(process.env.RAG_CHUNK_TOKENS || '400'),
+      overlapTokens: parseInt(process.env.RAG_CHUNK_OVERLAP || '50'),
+    },
+    // Duplicate content (tenants can override the policy via tenant_settings 'deduplication')
+    dedup: {
+      policy: process.env.DEDUP_POLICY || 'link', // 'reject', 'link' (return the existing document) or 'version'
+      chunkSimilarity: parseFloat(process.env.DEDUP_CHUNK_SIMILARITY || '0.98'), // cosine; 0 disables chunk collapsing
+      chunkWindow: parseInt(process.env.DEDUP_CHUNK_WINDOW || '64'), // kept chunks each chunk is compared with
+    },
+    // Conversation context sent with each chat request (tenants can override via tenant_settings 'chat_history')
+    history: {
+      maxMessages: parseInt(process.env.CHAT_HISTORY_MAX_MESSAGES || '20'),
+      maxTokens: parseInt(process.env.CHAT_HISTORY_MAX_TOKENS || '2000'),
+      summaryEnabled: process.env.CHAT_SUMMARY_ENABLED !== 'false',
+      summaryMaxTokens: parseInt(process.env.CHAT_SUMMARY_MAX_TOKENS || '400'),
+      // 'extractive' (local) or 'openai' (any OpenAI-compatible chat completions API)
+      summarizer: process.env.CHAT_SUMMARIZER || 'extractive',
+      summarizerApiUrl: process.env.CHAT_SUMMARIZER_API_URL || process.env.EMBEDDING_API_URL || 'https://api.openai.com/v1',
+      summarizerApiKey: process.env.CHAT_SUMMARIZER_API_KEY || process.env.OPENAI_API_KEY,
+      summarizerModel: process.env.CHAT_SUMMARIZER_MODEL || 'gpt-4o-mini',
+      summarizerTimeoutMs: parseInt(process.env.CHAT_SUMMARIZER_TIMEOUT || '15000'),
+    },
   },
   
   // Monitoring & Logging
@@ -80,6 +156,73 @@ const config = {
   cleanup: {
     sessionCleanupIntervalMs: parseInt(process.env.SESSION_CLEANUP_INTERVAL || '3600000'), // 1 hour
     expiredSessionsCleanupDays: parseInt(process.env.EXPIRED_SESSIONS_CLEANUP_DAYS || '30'),
+  },
+
+  // Audit log
+  audit: {
+    defaultRetentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS || '365'),
+    purgeIntervalMs: parseInt(process.env.AUDIT_PURGE_INTERVAL || '21600000'), // 6 hours
+    exportMaxRows: parseInt(process.env.AUDIT_EXPORT_MAX_ROWS || '50000'),
+    // A key's use is recorded at most once per interval; its data changes are always recorded
+    apiKeyUseIntervalMs: parseInt(process.env.AUDIT_API_KEY_USE_INTERVAL || '3600000'), // 1 hour
+  },
+
+  // Account lockout: lockoutThreshold failed sign-ins within failureWindowMs lock an account for
+  // lockoutBaseMs, doubled for each further lockout before a successful sign-in (up to lockoutMaxMs)
+  accountSecurity: {
+    lockoutThreshold: parseInt(process.env.LOCKOUT_THRESHOLD || '5'),
+    failureWindowMs: parseInt(process.env.LOCKOUT_FAILURE_WINDOW || '3600000'), // 1 hour
+    lockoutBaseMs: parseInt(process.env.LOCKOUT_BASE_DURATION || '300000'), // 5 minutes
+    lockoutMaxMs: parseInt(process.env.LOCKOUT_MAX_DURATION || '86400000'), // 24 hours
+  },
+
+  // TOTP two-factor authentication
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'Resolve',
+    // Encrypts stored TOTP secrets and SSO client secrets; falls back to SESSION_SECRET. Without
+    // either, 2FA enrollment and SSO setup are refused.
+    encryptionKey: process.env.TOTP_ENCRYPTION_KEY || process.env.SESSION_SECRET,
+    challengeTtlMs: parseInt(process.env.TOTP_CHALLENGE_TTL || '300000'), // 5 minutes
+    recoveryCodeCount: parseInt(process.env.TOTP_RECOVERY_CODES || '10'),
+  },
+
+  // OIDC single sign-on (providers are configured per tenant); the callback is APP_URL/api/auth/sso/callback
+  sso: {
+    stateTtlMs: parseInt(process.env.SSO_STATE_TTL || '600000'), // 10 minutes
+    discoveryCacheMs: parseInt(process.env.SSO_DISCOVERY_CACHE || '3600000'), // 1 hour
+    httpTimeoutMs: parseInt(process.env.SSO_HTTP_TIMEOUT || '10000'),
+    // Identity provider hosts that may be reached on private addresses, e.g. an on-premises
+    // Keycloak; discovery, key and token requests to anything else resolving to one are refused
+    privateHosts: process.env.SSO_PRIVATE_HOSTS ? process.env.SSO_PRIVATE_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean) : [],
+  },
+
+  // Usage metering and billing export. STRIPE_API_BASE points at stripe-mock (http://localhost:12111) in tests
+  billing: {
+    rollupIntervalMs: parseInt(process.env.USAGE_ROLLUP_INTERVAL || '3600000'), // 1 hour
+    eventRetentionDays: parseInt(process.env.USAGE_EVENT_RETENTION_DAYS || '400'),
+    stripeApiBase: process.env.STRIPE_API_BASE || 'https://api.stripe.com',
+    stripeSecretKey: process.env.STRIPE_SECRET_KEY,
+    stripeTimeoutMs: parseInt(process.env.STRIPE_TIMEOUT || '15000'),
+  },
+
+  // Web crawler knowledge sources (src/services/webCrawler.js); schedules are cron expressions in UTC
+  crawler: {
+    userAgent: process.env.CRAWLER_USER_AGENT || 'ResolveCrawler/1.0',
+    schedulerIntervalMs: parseInt(process.env.CRAWLER_SCHEDULER_INTERVAL || '60000'), // 1 minute
+    requestTimeoutMs: parseInt(process.env.CRAWLER_REQUEST_TIMEOUT || '15000'),
+    maxPageBytes: parseInt(process.env.CRAWLER_MAX_PAGE_BYTES || '5242880'), // 5MB
+    maxPages: parseInt(process.env.CRAWLER_MAX_PAGES || '2000'), // per run; sources set their own limit up to this
+    maxDepth: parseInt(process.env.CRAWLER_MAX_DEPTH || '10'),
+    // Pause between requests to a host; a longer robots.txt Crawl-delay wins, up to maxCrawlDelayMs
+    requestDelayMs: parseInt(process.env.CRAWLER_REQUEST_DELAY || '250'),
+    maxCrawlDelayMs: parseInt(process.env.CRAWLER_MAX_CRAWL_DELAY || '10000'),
+    // A crawl holding its source longer than this is presumed dead and the source is run again
+    staleRunMs: parseInt(process.env.CRAWLER_STALE_RUN || '21600000'), // 6 hours
+    // Hosts sources may crawl (and their subdomains); empty allows any public host
+    allowedHosts: process.env.CRAWLER_ALLOWED_HOSTS ? process.env.CRAWLER_ALLOWED_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean) : [],
+    // Hosts (or IP addresses) that may be crawled on loopback, private and link-local addresses,
+    // e.g. an intranet wiki; everything else resolving to one is refused
+    privateHosts: process.env.CRAWLER_PRIVATE_HOSTS ? process.env.CRAWLER_PRIVATE_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean) : [],
   }
 };
 
@@ -166,6 +309,9 @@ if (config.nodeEnv === 'production') {
     { secret: config.security.jwtSecret, name: 'JWT_SECRET' },
     { secret: config.security.sessionSecret, name: 'SESSION_SECRET' }
   ];
+  if (process.env.TOTP_ENCRYPTION_KEY) {
+    secretValidations.push({ secret: process.env.TOTP_ENCRYPTION_KEY, name: 'TOTP_ENCRYPTION_KEY' });
+  }
   
   let hasWeakSecrets = false;
   
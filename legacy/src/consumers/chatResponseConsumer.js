@@ -1,4 +1,8 @@
 const { getRabbitMQInstance } = require('../services/rabbitmq');
+const { getChatStreamService, storeAssistantMessage, broadcastChatEvent, FRAME_TYPES } = require('../services/chatStreamService');
+const { resolveMessageSources } = require('../services/messageSources');
+
+const QUEUE = 'chat.responses';
 
 class ChatResponseConsumer {
     constructor(db) {
@@ -14,19 +18,12 @@ class ChatResponseConsumer {
             // Get RabbitMQ instance
             this.rabbitMQ = getRabbitMQInstance();
             
-            // Connect if not already connected
-            if (!this.rabbitMQ.isConnected) {
-                await this.rabbitMQ.connect();
-            }
-            
-            // Set prefetch count to process one message at a time
-            await this.rabbitMQ.channel.prefetch(1);
-            
-            // Start consuming chat responses
-            await this.rabbitMQ.channel.consume('chat.responses', this.handleChatResponse.bind(this));
+            // Register the consumer (one message at a time). If RabbitMQ is down it starts
+            // on the next successful reconnect, and is re-subscribed after every reconnect.
+            await this.rabbitMQ.consume(QUEUE, this.handleChatResponse.bind(this), { prefetch: 1 });
             
             this.isRunning = true;
-            console.log('[CHAT RESPONSE CONSUMER] ✅ Listening for chat responses');
+            console.log(`[CHAT RESPONSE CONSUMER] ✅ Registered for chat responses${this.rabbitMQ.isConnected ? '' : ' (waiting for RabbitMQ connection)'}`);
             
         } catch (error) {
             console.error('[CHAT RESPONSE CONSUMER] ❌ Failed to start:', error.message);
@@ -41,26 +38,31 @@ class ChatResponseConsumer {
         try {
             data = JSON.parse(message.content.toString());
         } catch (parseError) {
-            console.error('[CHAT RESPONSE CONSUMER] ❌ Invalid JSON, discarding poison message:', {
+            console.error('[CHAT RESPONSE CONSUMER] ❌ Invalid JSON, dead-lettering poison message:', {
                 error: parseError.message,
                 content: message.content.toString().substring(0, 200), // Log first 200 chars
                 headers: message.properties.headers
             });
-            // ACK to remove malformed message and prevent infinite loops
-            this.rabbitMQ.channel.ack(message);
+            // Retrying can't fix a malformed message - park it in the DLQ for inspection
+            await this.rabbitMQ.retryOrDeadLetter(QUEUE, message, parseError, { retryable: false });
+            return;
+        }
+
+        // Streamed reply frame (delta / reasoning / done)
+        if (FRAME_TYPES.includes(data.type)) {
+            await this.handleStreamFrame(message, data);
             return;
         }
 
         // Validate required fields
         const { message_id, conversation_id, tenant_id, response } = data;
         if (!message_id || !conversation_id || !tenant_id || !response) {
-            console.error('[CHAT RESPONSE CONSUMER] ❌ Missing required fields, discarding poison message:', {
+            console.error('[CHAT RESPONSE CONSUMER] ❌ Missing required fields, dead-lettering poison message:', {
                 message_id, conversation_id, tenant_id, 
                 has_ai_response: !!response,
                 content: message.content.toString().substring(0, 200)
             });
-            // ACK to remove invalid message and prevent infinite loops
-            this.rabbitMQ.channel.ack(message);
+            await this.rabbitMQ.retryOrDeadLetter(QUEUE, message, new Error('Missing required fields'), { retryable: false });
             return;
         }
 
@@ -69,46 +71,38 @@ class ChatResponseConsumer {
 
             const { sources = [], processing_time_ms } = data;
 
+            // Keep only sources that belong to this tenant's documents
+            const resolvedSources = await resolveMessageSources(this.db, tenant_id, sources);
+
             // Store AI response in database (same logic as current callback endpoint)
-            await this.db.query(
-                'INSERT INTO rag_messages (conversation_id, tenant_id, role, message, response_time_ms) VALUES ($1, $2, $3, $4, $5)',
-                [conversation_id, tenant_id, 'assistant', response, processing_time_ms || null]
-            );
+            const stored = await storeAssistantMessage(this.db, {
+                conversationId: conversation_id,
+                tenantId: tenant_id,
+                messageId: message_id,
+                message: response,
+                responseTimeMs: processing_time_ms,
+                sources: resolvedSources
+            });
+
+            if (!stored) {
+                // Redelivered message - the reply is already stored and was already broadcast
+                console.log(`[CHAT RESPONSE CONSUMER] ⏭️ Response for message ${message_id} already stored, skipping`);
+                this.rabbitMQ.channel.ack(message);
+                return;
+            }
 
             console.log(`[CHAT RESPONSE CONSUMER] 💾 Stored AI response in database`);
 
             // Trigger SSE event (identical to current callback logic)
-            console.log(`[CHAT RESPONSE CONSUMER] 🔍 Looking for SSE clients - tenant_id: ${tenant_id}`);
-            console.log(`[CHAT RESPONSE CONSUMER] 🔍 Available SSE tenants:`, global.sseClients ? Object.keys(global.sseClients) : 'none');
-            
-            if (global.sseClients && global.sseClients[tenant_id]) {
-                const sseMessage = JSON.stringify({
-                    type: 'chat-response',
-                    conversation_id: conversation_id,
-                    message_id: message_id,
-                    ai_response: response,
-                    sources: sources,
-                    timestamp: new Date().toISOString()
-                });
-
-                const clientCount = Object.keys(global.sseClients[tenant_id]).length;
-                console.log(`[CHAT RESPONSE CONSUMER] 📡 Broadcasting to ${clientCount} SSE clients`);
-
-                Object.values(global.sseClients[tenant_id]).forEach(client => {
-                    try {
-                        client.write(`data: ${sseMessage}\n\n`);
-                        // CRITICAL: Flush the response to ensure immediate delivery
-                        if (client.flush) {
-                            client.flush();
-                        }
-                        console.log(`[CHAT RESPONSE CONSUMER] 📤 SSE message sent and flushed`);
-                    } catch (err) {
-                        console.error(`[CHAT RESPONSE CONSUMER] Failed to send SSE:`, err.message);
-                    }
-                });
-            } else {
-                console.log(`[CHAT RESPONSE CONSUMER] ⚠️ No SSE clients for tenant ${tenant_id}`);
-            }
+            await broadcastChatEvent(conversation_id, null, {
+                type: 'chat-response',
+                conversation_id: conversation_id,
+                message_id: message_id,
+                ai_response: response,
+                sources: resolvedSources,
+                timestamp: new Date().toISOString()
+            });
+            console.log(`[CHAT RESPONSE CONSUMER] 📡 Published SSE event for conversation ${conversation_id}`);
 
             // Acknowledge the message
             this.rabbitMQ.channel.ack(message);
@@ -117,13 +111,30 @@ class ChatResponseConsumer {
         } catch (error) {
             console.error('[CHAT RESPONSE CONSUMER] ❌ Error processing valid message:', {
                 error: error.message,
-                message_id, conversation_id, tenant_id
+                message_id, conversation_id, tenant_id,
+                attempt: this.rabbitMQ.getAttempts(message) + 1
             });
             
-            // For valid structure but processing errors (DB issues, etc.), 
-            // we could retry, but for now ACK to prevent infinite loops
-            // In production you might want to check error.code for retryable errors
+            // Valid structure but processing failed (DB issues, etc.) - retry with a delay,
+            // dead-letter once RABBITMQ_MAX_ATTEMPTS is reached
+            await this.rabbitMQ.retryOrDeadLetter(QUEUE, message, error);
+        }
+    }
+
+    async handleStreamFrame(message, frame) {
+        if (!frame.message_id || !frame.conversation_id) {
+            console.error('[CHAT RESPONSE CONSUMER] ❌ Stream frame without message_id/conversation_id, dead-lettering');
+            await this.rabbitMQ.retryOrDeadLetter(QUEUE, message, new Error('Missing required fields'), { retryable: false });
+            return;
+        }
+
+        try {
+            await getChatStreamService(this.db).handleFrame(frame.message_id, frame, { verifyToken: false });
             this.rabbitMQ.channel.ack(message);
+        } catch (error) {
+            console.error(`[CHAT RESPONSE CONSUMER] ❌ Error processing ${frame.type} frame for message ${frame.message_id}:`, error.message);
+            // Invalid frames (status 4xx) won't succeed on retry
+            await this.rabbitMQ.retryOrDeadLetter(QUEUE, message, error, { retryable: !error.status });
         }
     }
 
@@ -131,9 +142,9 @@ class ChatResponseConsumer {
         console.log('[CHAT RESPONSE CONSUMER] 🛑 Shutting down...');
         this.isRunning = false;
         
-        if (this.rabbitMQ && this.rabbitMQ.channel) {
+        if (this.rabbitMQ) {
             try {
-                await this.rabbitMQ.channel.cancel('chat.responses');
+                await this.rabbitMQ.cancelConsumer(QUEUE);
             } catch (error) {
                 console.error('[CHAT RESPONSE CONSUMER] Error during shutdown:', error);
             }
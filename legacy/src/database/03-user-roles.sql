@@ -103,6 +103,8 @@ BEGIN
         IF OLD.role = 'tenant-admin' AND is_last_tenant_admin(OLD.id) THEN
             RAISE EXCEPTION 'Cannot delete the last tenant admin';
         END IF;
+        -- NEW is null for deletes; returning it would silently skip the delete
+        RETURN OLD;
     END IF;
     
     -- Check for UPDATE operations (changing role or status)
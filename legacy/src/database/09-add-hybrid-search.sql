@@ -0,0 +1,21 @@
+-- Migration 09: Add full-text search support for hybrid (keyword + vector) retrieval
+-- Adds a generated tsvector over rag_vectors.chunk_text so exact terms such as
+-- error codes, KB IDs and product names can be matched alongside pgvector ranking
+
+-- Generated tsvector column (idempotent)
+ALTER TABLE rag_vectors ADD COLUMN IF NOT EXISTS chunk_tsv tsvector
+    GENERATED ALWAYS AS (to_tsvector('english', coalesce(chunk_text, ''))) STORED;
+
+-- GIN index for full-text lookups (idempotent)
+CREATE INDEX IF NOT EXISTS idx_vectors_chunk_tsv ON rag_vectors USING GIN (chunk_tsv);
+
+-- Filter support on rag_documents for category lookups
+CREATE INDEX IF NOT EXISTS idx_rag_documents_category ON rag_documents ((metadata->>'category'));
+
+-- Record how each search was executed
+ALTER TABLE vector_search_logs ADD COLUMN IF NOT EXISTS search_mode VARCHAR(20) DEFAULT 'vector';
+ALTER TABLE vector_search_logs ADD COLUMN IF NOT EXISTS query_text TEXT;
+
+COMMENT ON COLUMN rag_vectors.chunk_tsv IS 'Full-text search vector generated from chunk_text (english configuration)';
+COMMENT ON COLUMN vector_search_logs.search_mode IS 'Retrieval mode used: vector, keyword or hybrid';
+COMMENT ON COLUMN vector_search_logs.query_text IS 'Keyword query used for lexical matching, if any';
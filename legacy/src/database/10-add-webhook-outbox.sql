@@ -0,0 +1,60 @@
+-- Migration 10: Transactional outbox for outbound ResolveWebhook events
+-- Events are written in the same transaction as the domain change and delivered
+-- by the outbox dispatcher worker with retries, backoff and a dead-letter state
+
+CREATE TABLE IF NOT EXISTS webhook_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    event_id UUID NOT NULL DEFAULT gen_random_uuid(),
+    idempotency_key VARCHAR(255) NOT NULL,
+    tenant_id UUID,
+    event_type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivering', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 8,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    locked_at TIMESTAMP,
+    last_error TEXT,
+    last_status_code INTEGER,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_outbox_event_id ON webhook_outbox(event_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_outbox_idempotency ON webhook_outbox(idempotency_key);
+CREATE INDEX IF NOT EXISTS idx_webhook_outbox_due ON webhook_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_outbox_tenant ON webhook_outbox(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_outbox_type ON webhook_outbox(event_type);
+
+DROP TRIGGER IF EXISTS update_webhook_outbox_updated_at ON webhook_outbox;
+CREATE TRIGGER update_webhook_outbox_updated_at BEFORE UPDATE ON webhook_outbox
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Move undelivered events from the old retry queue (chat_callback rows hold tokens, not events)
+INSERT INTO webhook_outbox (idempotency_key, tenant_id, event_type, payload, attempts, max_attempts, next_attempt_at, last_error, created_at)
+SELECT
+    'legacy-retry-' || id,
+    tenant_id,
+    COALESCE(payload->>'action', webhook_type),
+    payload,
+    0,
+    8,
+    COALESCE(next_retry_at, CURRENT_TIMESTAMP),
+    last_error,
+    created_at
+FROM rag_webhook_failures
+WHERE webhook_type <> 'chat_callback'
+    AND status IN ('pending', 'retrying')
+ON CONFLICT (idempotency_key) DO NOTHING;
+
+UPDATE rag_webhook_failures SET status = 'migrated', updated_at = CURRENT_TIMESTAMP
+WHERE webhook_type <> 'chat_callback'
+    AND status IN ('pending', 'retrying');
+
+COMMENT ON TABLE webhook_outbox IS 'Transactional outbox of outbound webhook events awaiting or after delivery';
+COMMENT ON COLUMN webhook_outbox.event_id IS 'Stable event identifier sent as X-Event-Id';
+COMMENT ON COLUMN webhook_outbox.idempotency_key IS 'Sent as Idempotency-Key so receivers can drop duplicate deliveries';
+COMMENT ON COLUMN webhook_outbox.event_type IS 'Event action, used to route the event to its endpoint';
+COMMENT ON COLUMN webhook_outbox.status IS 'pending, delivering, delivered or dead (dead-lettered after max_attempts or a non-retryable response)';
+COMMENT ON COLUMN webhook_outbox.locked_at IS 'Set when a dispatcher claims the event; stale locks are reclaimed';
@@ -0,0 +1,13 @@
+-- Migration 11: Support streamed assistant replies
+-- Ties each rag_messages row to the chat request (message_id) it belongs to, so a reply
+-- assembled from streamed chunks - or redelivered by a callback retry or queue redelivery -
+-- is persisted only once, and keeps the reasoning steps streamed alongside the answer
+
+ALTER TABLE rag_messages ADD COLUMN IF NOT EXISTS message_id UUID;
+ALTER TABLE rag_messages ADD COLUMN IF NOT EXISTS reasoning JSONB;
+
+-- One user row and one assistant row per chat request
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rag_messages_message_role ON rag_messages(message_id, role) WHERE message_id IS NOT NULL;
+
+COMMENT ON COLUMN rag_messages.message_id IS 'Chat request ID (from POST /chat) shared by the user message and its assistant reply';
+COMMENT ON COLUMN rag_messages.reasoning IS 'Reasoning steps streamed with an assistant reply, in sequence order';
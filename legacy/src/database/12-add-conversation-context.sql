@@ -0,0 +1,29 @@
+-- Migration 12: Conversation context for multi-turn chat
+-- Tenant-level settings store (history window and later per-tenant options) and a rolling
+-- summary on rag_conversations covering messages that no longer fit the history window
+
+CREATE TABLE IF NOT EXISTS tenant_settings (
+    tenant_id UUID NOT NULL,
+    key VARCHAR(100) NOT NULL,
+    value JSONB NOT NULL,
+    updated_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant_id, key)
+);
+
+DROP TRIGGER IF EXISTS update_tenant_settings_updated_at ON tenant_settings;
+CREATE TRIGGER update_tenant_settings_updated_at BEFORE UPDATE ON tenant_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Rolling summary of the older part of a conversation
+ALTER TABLE rag_conversations ADD COLUMN IF NOT EXISTS summary TEXT;
+ALTER TABLE rag_conversations ADD COLUMN IF NOT EXISTS summary_message_id INTEGER;
+ALTER TABLE rag_conversations ADD COLUMN IF NOT EXISTS summary_updated_at TIMESTAMP;
+
+-- History window lookups (latest messages of a conversation)
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_id_desc ON rag_messages(conversation_id, id DESC);
+
+COMMENT ON TABLE tenant_settings IS 'Per-tenant settings, one JSONB value per key (e.g. chat_history)';
+COMMENT ON COLUMN rag_conversations.summary IS 'Rolling summary of messages older than the history window';
+COMMENT ON COLUMN rag_conversations.summary_message_id IS 'rag_messages.id of the newest message folded into summary';
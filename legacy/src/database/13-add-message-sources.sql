@@ -0,0 +1,24 @@
+-- Migration 13: Sources cited by assistant messages
+-- The document chunks (from vector-search) an answer was based on, checked against the
+-- tenant's documents when the reply arrives, so the chat UI can link back to them
+
+CREATE TABLE IF NOT EXISTS rag_message_sources (
+    id SERIAL PRIMARY KEY,
+    rag_message_id INTEGER NOT NULL REFERENCES rag_messages(id) ON DELETE CASCADE,
+    tenant_id UUID NOT NULL,
+    document_id UUID NOT NULL,
+    chunk_index INTEGER,
+    similarity REAL,
+    filename VARCHAR(255),
+    snippet TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_sources_message_position ON rag_message_sources(rag_message_id, position);
+CREATE INDEX IF NOT EXISTS idx_message_sources_document ON rag_message_sources(tenant_id, document_id);
+
+COMMENT ON TABLE rag_message_sources IS 'Document chunks cited by an assistant message, in citation order';
+COMMENT ON COLUMN rag_message_sources.rag_message_id IS 'rag_messages.id of the assistant message';
+COMMENT ON COLUMN rag_message_sources.filename IS 'Document filename when the reply was stored (kept if the document is deleted)';
+COMMENT ON COLUMN rag_message_sources.snippet IS 'Start of the cited chunk text';
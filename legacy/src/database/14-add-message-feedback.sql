@@ -0,0 +1,36 @@
+-- Migration 14: Answer feedback and answer quality analytics
+-- Users rate assistant messages (thumbs up/down with a reason); vector searches made for a
+-- chat request record which chunks they returned, so bad answers can be traced to documents
+
+CREATE TABLE IF NOT EXISTS rag_message_feedback (
+    id SERIAL PRIMARY KEY,
+    rag_message_id INTEGER NOT NULL REFERENCES rag_messages(id) ON DELETE CASCADE,
+    tenant_id UUID NOT NULL,
+    conversation_id UUID NOT NULL,
+    user_email VARCHAR(255) NOT NULL,
+    rating VARCHAR(10) NOT NULL CHECK (rating IN ('up', 'down')),
+    reason VARCHAR(50),
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One rating per user per answer; rating again replaces it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_feedback_message_user ON rag_message_feedback(rag_message_id, user_email);
+CREATE INDEX IF NOT EXISTS idx_message_feedback_tenant_created ON rag_message_feedback(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_message_feedback_rating ON rag_message_feedback(rating, created_at DESC);
+
+DROP TRIGGER IF EXISTS update_rag_message_feedback_updated_at ON rag_message_feedback;
+CREATE TRIGGER update_rag_message_feedback_updated_at BEFORE UPDATE ON rag_message_feedback
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Tie vector searches to the chat request they were made for
+ALTER TABLE vector_search_logs ADD COLUMN IF NOT EXISTS message_id UUID;
+ALTER TABLE vector_search_logs ADD COLUMN IF NOT EXISTS results JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_search_logs_message ON vector_search_logs(message_id) WHERE message_id IS NOT NULL;
+
+COMMENT ON TABLE rag_message_feedback IS 'User ratings of assistant messages';
+COMMENT ON COLUMN rag_message_feedback.reason IS 'Reason category (incorrect, incomplete, irrelevant_sources, outdated, unclear, other)';
+COMMENT ON COLUMN vector_search_logs.message_id IS 'Chat request ID (rag_messages.message_id) the search was made for, when sent';
+COMMENT ON COLUMN vector_search_logs.results IS 'Returned chunks: [{document_id, chunk_index, similarity}]';
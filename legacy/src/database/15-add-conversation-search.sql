@@ -0,0 +1,15 @@
+-- Migration 15: Full-text search across conversation history
+-- Adds a generated tsvector over rag_messages.message so a user can search their own
+-- conversations (GET /api/rag/conversations/search)
+
+-- Generated tsvector column (idempotent)
+ALTER TABLE rag_messages ADD COLUMN IF NOT EXISTS message_tsv tsvector
+    GENERATED ALWAYS AS (to_tsvector('english', coalesce(message, ''))) STORED;
+
+-- GIN index for full-text lookups (idempotent)
+CREATE INDEX IF NOT EXISTS idx_messages_message_tsv ON rag_messages USING GIN (message_tsv);
+
+-- Searches are scoped to the user's own conversations
+CREATE INDEX IF NOT EXISTS idx_conversations_tenant_user ON rag_conversations(tenant_id, user_email);
+
+COMMENT ON COLUMN rag_messages.message_tsv IS 'Full-text search vector generated from message (english configuration)';
@@ -0,0 +1,33 @@
+-- Migration 16: Tenant-scoped API keys
+-- Keys (rslv_...) are stored as SHA-256 hashes and accepted by the RAG and knowledge APIs
+-- as "Authorization: Bearer rslv_..." in place of a session
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id SERIAL PRIMARY KEY,
+    user_email VARCHAR(255) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    name VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used TIMESTAMP,
+    active BOOLEAN DEFAULT true,
+    usage_count INTEGER DEFAULT 0,
+    rate_limit INTEGER DEFAULT 1000
+);
+
+-- Tenant keys (idempotent)
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS tenant_id UUID;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS key_prefix VARCHAR(16);
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS revoked_by VARCHAR(255);
+ALTER TABLE api_keys ADD COLUMN IF NOT EXISTS rotated_from INTEGER REFERENCES api_keys(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_key ON api_keys(key_hash);
+CREATE INDEX IF NOT EXISTS idx_api_keys_email ON api_keys(user_email);
+CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys(tenant_id, created_at DESC) WHERE tenant_id IS NOT NULL;
+
+COMMENT ON COLUMN api_keys.tenant_id IS 'Tenant the key acts for; NULL for legacy per-user keys';
+COMMENT ON COLUMN api_keys.key_prefix IS 'First characters of the key, shown so admins can tell keys apart';
+COMMENT ON COLUMN api_keys.scopes IS 'Granted scopes: read-knowledge, write-knowledge, chat, admin';
+COMMENT ON COLUMN api_keys.rotated_from IS 'Key this one replaced when it was rotated';
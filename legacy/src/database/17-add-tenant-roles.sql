@@ -0,0 +1,23 @@
+-- Migration 17: Tenant roles and permissions
+-- users.role names either a built-in role (tenant-admin, user - defined in code) or a
+-- custom role of the user's tenant stored here with its set of permissions
+
+CREATE TABLE IF NOT EXISTS tenant_roles (
+    id SERIAL PRIMARY KEY,
+    tenant_id UUID NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    description VARCHAR(255),
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tenant_roles_tenant_name ON tenant_roles(tenant_id, name);
+
+DROP TRIGGER IF EXISTS update_tenant_roles_updated_at ON tenant_roles;
+CREATE TRIGGER update_tenant_roles_updated_at BEFORE UPDATE ON tenant_roles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE tenant_roles IS 'Custom roles per tenant; built-in roles are defined in permissionService';
+COMMENT ON COLUMN tenant_roles.permissions IS 'Granted permissions, e.g. knowledge:write, chat:use, users:manage';
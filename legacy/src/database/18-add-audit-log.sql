@@ -0,0 +1,43 @@
+-- Migration 18: Tenant audit log
+-- Append-only record of security-relevant and data-changing actions (sign-ins, user, document,
+-- knowledge, settings, role and API key changes). Rows cannot be updated; they can only be
+-- deleted by the retention purge, which sets audit_log.allow_purge for its transaction.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id UUID,
+    action VARCHAR(100) NOT NULL,
+    actor_email VARCHAR(255),
+    actor_type VARCHAR(20) NOT NULL DEFAULT 'user',
+    api_key_id INTEGER,
+    target_type VARCHAR(50),
+    target_id VARCHAR(255),
+    ip_address VARCHAR(64),
+    user_agent VARCHAR(500),
+    changes JSONB,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT audit_log_actor_type_check CHECK (actor_type IN ('user', 'api_key', 'system', 'anonymous'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_tenant_created ON audit_log(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_tenant_action ON audit_log(tenant_id, action, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_email, created_at DESC);
+
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND current_setting('audit_log.allow_purge', true) = 'on' THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'audit_log is append-only (% not allowed)', TG_OP;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+COMMENT ON TABLE audit_log IS 'Append-only audit trail; retention per tenant in tenant_settings (key audit_log)';
+COMMENT ON COLUMN audit_log.actor_type IS 'user (session), api_key (tenant API key), system or anonymous (e.g. failed sign-in)';
+COMMENT ON COLUMN audit_log.changes IS 'Changed fields as {"field": {"before": ..., "after": ...}}; secrets are redacted';
@@ -0,0 +1,43 @@
+-- Migration 19: Account lockout and sign-in anomaly detection
+-- Failed sign-ins are counted per account; reaching the threshold locks the account for a
+-- period that doubles with each lockout until a successful sign-in or an admin unlock.
+-- Known sign-in sources (device + IP) per user flag sign-ins from a new device or IP.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS lockout_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS user_sign_ins (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id VARCHAR(64) NOT NULL,
+    ip_address VARCHAR(64) NOT NULL,
+    user_agent VARCHAR(500),
+    sign_in_count INTEGER NOT NULL DEFAULT 1,
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sign_ins_source ON user_sign_ins(user_id, device_id, ip_address);
+
+CREATE TABLE IF NOT EXISTS user_security_notices (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    tenant_id UUID,
+    type VARCHAR(30) NOT NULL,
+    ip_address VARCHAR(64),
+    user_agent VARCHAR(500),
+    metadata JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    read_at TIMESTAMP,
+    CONSTRAINT user_security_notices_type_check CHECK (type IN ('new_device', 'new_ip', 'account_locked'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_security_notices_user ON user_security_notices(user_id, created_at DESC);
+
+COMMENT ON COLUMN users.locked_until IS 'Sign-in refused until this time after too many failed attempts';
+COMMENT ON COLUMN users.lockout_count IS 'Lockouts since the last successful sign-in; each doubles the lockout period';
+COMMENT ON TABLE user_sign_ins IS 'Sources (device fingerprint + IP) a user has signed in from';
+COMMENT ON COLUMN user_sign_ins.device_id IS 'Hash of the user agent';
+COMMENT ON TABLE user_security_notices IS 'Per-user notices: sign-in from a new device or IP, account locked';
@@ -0,0 +1,36 @@
+-- Migration 20: TOTP two-factor authentication
+-- A user's TOTP secret is stored encrypted and only used once enrollment is confirmed with a code.
+-- Recovery codes are stored as SHA-256 hashes and can each be used once. A sign-in with a correct
+-- password but a pending second factor gets a short-lived challenge instead of a session.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user ON user_recovery_codes(user_id);
+
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+    id SERIAL PRIMARY KEY,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    enrollment BOOLEAN NOT NULL DEFAULT false,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_challenges_expires ON two_factor_challenges(expires_at);
+
+COMMENT ON COLUMN users.totp_secret IS 'AES-256-GCM encrypted base32 TOTP secret; set before enrollment is confirmed';
+COMMENT ON COLUMN users.totp_last_used_step IS 'Last accepted TOTP time step, so a code cannot be replayed';
+COMMENT ON TABLE two_factor_challenges IS 'Pre-auth tokens between the password step and the second factor of a sign-in';
+COMMENT ON COLUMN two_factor_challenges.enrollment IS 'The tenant requires 2FA and the user must enroll to finish signing in';
@@ -0,0 +1,49 @@
+-- Migration 21: OIDC single sign-on per tenant
+-- A tenant can sign its users in through its own OpenID Connect provider (authorization code flow
+-- with PKCE). Users are created on their first SSO sign-in and linked to the provider's subject.
+
+CREATE TABLE IF NOT EXISTS tenant_sso_providers (
+    tenant_id UUID PRIMARY KEY,
+    issuer VARCHAR(500) NOT NULL,
+    client_id VARCHAR(255) NOT NULL,
+    client_secret TEXT,
+    allowed_domains TEXT[] NOT NULL DEFAULT '{}',
+    default_role VARCHAR(50) NOT NULL DEFAULT 'user',
+    role_claim VARCHAR(255),
+    role_mapping JSONB NOT NULL DEFAULT '{}',
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_tenant_sso_providers_domains ON tenant_sso_providers USING GIN (allowed_domains);
+
+DROP TRIGGER IF EXISTS update_tenant_sso_providers_updated_at ON tenant_sso_providers;
+CREATE TRIGGER update_tenant_sso_providers_updated_at BEFORE UPDATE ON tenant_sso_providers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS sso_login_states (
+    id SERIAL PRIMARY KEY,
+    state_hash VARCHAR(64) NOT NULL UNIQUE,
+    tenant_id UUID NOT NULL,
+    code_verifier VARCHAR(128) NOT NULL,
+    nonce VARCHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sso_login_states_expires ON sso_login_states(expires_at);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sso_issuer VARCHAR(500);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS sso_subject VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_sso_subject ON users(sso_issuer, sso_subject) WHERE sso_subject IS NOT NULL;
+
+COMMENT ON TABLE tenant_sso_providers IS 'Per-tenant OpenID Connect provider used for single sign-on';
+COMMENT ON COLUMN tenant_sso_providers.client_secret IS 'AES-256-GCM encrypted; NULL for public clients (PKCE only)';
+COMMENT ON COLUMN tenant_sso_providers.allowed_domains IS 'Email domains signed in (and provisioned) through this provider';
+COMMENT ON COLUMN tenant_sso_providers.role_claim IS 'ID token claim holding the user''s groups or roles, e.g. groups or realm_access.roles';
+COMMENT ON COLUMN tenant_sso_providers.role_mapping IS 'Claim value to tenant role, e.g. {"kb-admins": "tenant-admin"}';
+COMMENT ON TABLE sso_login_states IS 'Pending SSO sign-ins between the redirect to the provider and its callback';
+COMMENT ON COLUMN users.sso_subject IS 'Subject (sub claim) of the user at sso_issuer; set on their first SSO sign-in';
@@ -0,0 +1,10 @@
+-- Migration 22: SCIM 2.0 user provisioning
+-- Identity providers provision a tenant's users through /scim/v2 with a tenant API key holding
+-- the 'scim' scope, and refer to them by their own identifier (externalId).
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS scim_external_id VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_scim_external_id ON users(tenant_id, scim_external_id)
+    WHERE scim_external_id IS NOT NULL;
+
+COMMENT ON COLUMN users.scim_external_id IS 'The identity provider''s id for the user (SCIM externalId)';
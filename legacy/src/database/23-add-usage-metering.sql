@@ -0,0 +1,56 @@
+-- Migration 23: Usage metering for billing
+-- Billable events (chat messages, vector searches, processed document pages and bytes) are
+-- appended to usage_events and rolled up per tenant and day into usage_daily, together with
+-- the storage held and the users active that day. Monthly statements are built from the
+-- rollup; usage_exports records what was reported to Stripe so a month is never sent twice.
+
+CREATE TABLE IF NOT EXISTS usage_events (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id UUID NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    quantity BIGINT NOT NULL DEFAULT 1,
+    actor_email VARCHAR(255),
+    metadata JSONB,
+    occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_occurred ON usage_events(occurred_at, tenant_id);
+
+CREATE TABLE IF NOT EXISTS usage_daily (
+    tenant_id UUID NOT NULL,
+    day DATE NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    quantity BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (tenant_id, day, metric)
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_daily_day ON usage_daily(day);
+
+CREATE TABLE IF NOT EXISTS usage_active_users (
+    tenant_id UUID NOT NULL,
+    day DATE NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    PRIMARY KEY (tenant_id, day, email)
+);
+
+CREATE TABLE IF NOT EXISTS usage_exports (
+    id SERIAL PRIMARY KEY,
+    tenant_id UUID NOT NULL,
+    period DATE NOT NULL,
+    metric VARCHAR(50) NOT NULL,
+    quantity BIGINT NOT NULL,
+    subscription_item VARCHAR(255) NOT NULL,
+    stripe_usage_record_id VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    error TEXT,
+    exported_by VARCHAR(255),
+    exported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (tenant_id, period, metric)
+);
+
+COMMENT ON TABLE usage_events IS 'Billable events per tenant, rolled up into usage_daily and purged after USAGE_EVENT_RETENTION_DAYS';
+COMMENT ON TABLE usage_daily IS 'Per-tenant daily totals per metric; storage_bytes and active_users are daily snapshots';
+COMMENT ON TABLE usage_active_users IS 'Users active per tenant and day (signed in or used a metered feature), for monthly active users';
+COMMENT ON TABLE usage_exports IS 'Monthly usage reported to Stripe per tenant and metric';
+COMMENT ON COLUMN usage_exports.period IS 'First day of the billed month';
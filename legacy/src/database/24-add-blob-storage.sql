@@ -0,0 +1,13 @@
+-- Migration 24: Document binaries in a blob store
+-- Uploaded files are written to the configured blob store (local disk or S3) and
+-- rag_documents keeps only the key. file_data stays for documents not yet moved out with
+-- `npm run storage:migrate`.
+
+ALTER TABLE rag_documents
+ADD COLUMN IF NOT EXISTS storage_key VARCHAR(500);
+
+CREATE INDEX IF NOT EXISTS idx_rag_documents_file_data_pending
+    ON rag_documents(id) WHERE file_data IS NOT NULL AND storage_key IS NULL;
+
+COMMENT ON COLUMN rag_documents.storage_key IS 'Blob store key of the uploaded file (documents/<tenant>/<document>); NULL for ingested text or files still in file_data';
+COMMENT ON COLUMN rag_documents.file_data IS 'Raw binary document data for documents uploaded before blob storage (moved out by npm run storage:migrate)';
@@ -0,0 +1,38 @@
+-- Migration 25: Document versions
+-- Re-uploading a document (with `replaces`, or under the same filename) adds a new rag_documents
+-- row to the same lineage instead of an unrelated document. Exactly one version per lineage is
+-- current and only current versions are searched; a new version becomes current once its
+-- vectors are stored, and older versions keep their vectors so they can be rolled back to.
+
+ALTER TABLE rag_documents
+ADD COLUMN IF NOT EXISTS lineage_id UUID,
+ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN IF NOT EXISTS is_current BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64);
+
+UPDATE rag_documents SET lineage_id = document_id WHERE lineage_id IS NULL;
+
+-- Documents created without a lineage (ingested text, knowledge articles) start their own
+CREATE OR REPLACE FUNCTION set_rag_document_lineage()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.lineage_id IS NULL THEN
+        NEW.lineage_id := NEW.document_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_rag_documents_lineage ON rag_documents;
+CREATE TRIGGER set_rag_documents_lineage BEFORE INSERT ON rag_documents
+    FOR EACH ROW EXECUTE FUNCTION set_rag_document_lineage();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rag_documents_lineage_version ON rag_documents(tenant_id, lineage_id, version);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rag_documents_lineage_current ON rag_documents(tenant_id, lineage_id) WHERE is_current;
+CREATE INDEX IF NOT EXISTS idx_rag_documents_filename ON rag_documents(tenant_id, original_filename) WHERE is_current;
+CREATE INDEX IF NOT EXISTS idx_rag_documents_content_hash ON rag_documents(tenant_id, content_hash) WHERE content_hash IS NOT NULL;
+
+COMMENT ON COLUMN rag_documents.lineage_id IS 'document_id of the first version; shared by every version of a document';
+COMMENT ON COLUMN rag_documents.version IS 'Version number within the lineage, starting at 1';
+COMMENT ON COLUMN rag_documents.is_current IS 'Whether this is the version answering searches (one per lineage)';
+COMMENT ON COLUMN rag_documents.content_hash IS 'SHA-256 (hex) of the uploaded file';
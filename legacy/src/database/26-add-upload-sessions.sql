@@ -0,0 +1,40 @@
+-- Migration 26: Resumable uploads
+-- Large files can be uploaded in numbered parts instead of one request. A session records the
+-- declared file (name, size, SHA-256) and each part received with its own SHA-256; parts are
+-- kept in the blob store (uploads/<tenant>/<upload>/<part>) until the session is completed,
+-- when they are assembled, checked against the file's SHA-256 and stored as a document.
+
+CREATE TABLE IF NOT EXISTS rag_upload_sessions (
+    upload_id UUID PRIMARY KEY,
+    tenant_id UUID NOT NULL,
+    created_by VARCHAR(255),
+    original_filename VARCHAR(255) NOT NULL,
+    file_type VARCHAR(20) NOT NULL,
+    file_size BIGINT NOT NULL,
+    part_size INTEGER NOT NULL,
+    total_parts INTEGER NOT NULL,
+    sha256 VARCHAR(64) NOT NULL,
+    replaces UUID,
+    status VARCHAR(20) NOT NULL DEFAULT 'uploading',
+    document_id UUID,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_upload_sessions_tenant ON rag_upload_sessions(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_rag_upload_sessions_expires ON rag_upload_sessions(expires_at);
+
+CREATE TABLE IF NOT EXISTS rag_upload_parts (
+    upload_id UUID NOT NULL REFERENCES rag_upload_sessions(upload_id) ON DELETE CASCADE,
+    part_number INTEGER NOT NULL,
+    size INTEGER NOT NULL,
+    sha256 VARCHAR(64) NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (upload_id, part_number)
+);
+
+COMMENT ON TABLE rag_upload_sessions IS 'Resumable uploads in progress; completed sessions keep document_id until they expire';
+COMMENT ON COLUMN rag_upload_sessions.status IS 'uploading, completing (parts being assembled) or completed';
+COMMENT ON COLUMN rag_upload_sessions.sha256 IS 'SHA-256 (hex) of the whole file, declared by the client and checked on completion';
+COMMENT ON TABLE rag_upload_parts IS 'Parts received for a resumable upload; the bytes are in the blob store';
@@ -0,0 +1,45 @@
+-- Migration 27: Document collections
+-- Documents can be filed in a tenant's collections (folders, nested through parent_id).
+-- A collection is readable by its members - users by email, or everyone holding a role - and
+-- membership of a collection also covers the collections below it. Documents outside any
+-- collection stay visible to the whole tenant, as before.
+
+CREATE TABLE IF NOT EXISTS rag_collections (
+    collection_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    parent_id UUID REFERENCES rag_collections(collection_id) ON DELETE RESTRICT,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(255),
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rag_collections_name
+    ON rag_collections(tenant_id, COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'::uuid), LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_rag_collections_parent ON rag_collections(parent_id);
+
+DROP TRIGGER IF EXISTS update_rag_collections_updated_at ON rag_collections;
+CREATE TRIGGER update_rag_collections_updated_at BEFORE UPDATE ON rag_collections
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS rag_collection_members (
+    collection_id UUID NOT NULL REFERENCES rag_collections(collection_id) ON DELETE CASCADE,
+    member_type VARCHAR(10) NOT NULL CHECK (member_type IN ('user', 'role')),
+    member VARCHAR(255) NOT NULL,
+    added_by VARCHAR(255),
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (collection_id, member_type, member)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_collection_members_member ON rag_collection_members(member_type, member);
+
+ALTER TABLE rag_documents ADD COLUMN IF NOT EXISTS collection_id UUID REFERENCES rag_collections(collection_id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_rag_documents_collection ON rag_documents(tenant_id, collection_id);
+
+ALTER TABLE rag_upload_sessions ADD COLUMN IF NOT EXISTS collection_id UUID;
+
+COMMENT ON TABLE rag_collections IS 'Folders of documents within a tenant; parent_id nests them';
+COMMENT ON TABLE rag_collection_members IS 'Who may read a collection and its sub-collections: a user (lowercased email) or a role name';
+COMMENT ON COLUMN rag_documents.collection_id IS 'Collection the document is filed in (same for every version of a lineage); NULL is readable by the whole tenant';
+COMMENT ON COLUMN rag_upload_sessions.collection_id IS 'Collection the completed upload is filed in';
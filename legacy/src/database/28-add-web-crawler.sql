@@ -0,0 +1,66 @@
+-- Migration 28: Web crawler knowledge sources
+-- A tenant's crawl sources are websites crawled on a cron schedule from seed URLs and/or a
+-- sitemap. Each crawled page becomes a document (a new version when its markdown changes), and
+-- pages that disappear from the site are retired - their documents deleted.
+
+CREATE TABLE IF NOT EXISTS rag_crawl_sources (
+    source_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    seed_urls TEXT[] NOT NULL DEFAULT '{}',
+    sitemap_url TEXT,
+    include_patterns TEXT[] NOT NULL DEFAULT '{}',
+    exclude_patterns TEXT[] NOT NULL DEFAULT '{}',
+    max_depth INTEGER NOT NULL DEFAULT 3,
+    max_pages INTEGER NOT NULL DEFAULT 500,
+    respect_robots BOOLEAN NOT NULL DEFAULT true,
+    schedule VARCHAR(100),
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    collection_id UUID REFERENCES rag_collections(collection_id) ON DELETE SET NULL,
+    next_run_at TIMESTAMP,
+    running_since TIMESTAMP,
+    last_run_at TIMESTAMP,
+    last_status VARCHAR(20),
+    last_error TEXT,
+    last_stats JSONB,
+    created_by VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rag_crawl_sources_name ON rag_crawl_sources(tenant_id, LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_rag_crawl_sources_due ON rag_crawl_sources(next_run_at) WHERE enabled;
+
+DROP TRIGGER IF EXISTS update_rag_crawl_sources_updated_at ON rag_crawl_sources;
+CREATE TRIGGER update_rag_crawl_sources_updated_at BEFORE UPDATE ON rag_crawl_sources
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS rag_crawl_pages (
+    source_id UUID NOT NULL REFERENCES rag_crawl_sources(source_id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    tenant_id UUID NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+    lineage_id UUID,
+    title TEXT,
+    etag TEXT,
+    last_modified TEXT,
+    content_hash VARCHAR(64),
+    links TEXT[] NOT NULL DEFAULT '{}',
+    http_status INTEGER,
+    last_error TEXT,
+    last_crawled_at TIMESTAMP,
+    last_changed_at TIMESTAMP,
+    retired_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (source_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_crawl_pages_lineage ON rag_crawl_pages(tenant_id, lineage_id);
+
+COMMENT ON TABLE rag_crawl_sources IS 'Websites crawled into a tenant''s knowledge base on a schedule';
+COMMENT ON COLUMN rag_crawl_sources.include_patterns IS 'URL globs (* matches anything) a page must match one of; empty includes every page';
+COMMENT ON COLUMN rag_crawl_sources.schedule IS 'Five-field cron expression in UTC; NULL only crawls when run by hand';
+COMMENT ON COLUMN rag_crawl_sources.running_since IS 'Set while a crawl holds the source; a stale value is taken over';
+COMMENT ON TABLE rag_crawl_pages IS 'Pages found by a crawl source and the document lineage each one is stored as';
+COMMENT ON COLUMN rag_crawl_pages.links IS 'Links found on the page, followed again when it answers 304 Not Modified';
+COMMENT ON COLUMN rag_crawl_pages.content_hash IS 'SHA-256 (hex) of the page''s markdown; a new version is stored when it changes';
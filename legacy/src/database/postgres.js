@@ -265,6 +265,23 @@ const sessionOps = {
   }
 };
 
+// Columns returned for tenant API keys (never the hash)
+const TENANT_KEY_COLUMNS = `id, tenant_id, name, key_prefix, scopes, user_email AS created_by, created_at,
+  expires_at, last_used, usage_count, revoked_at, revoked_by, rotated_from,
+  CASE WHEN NOT active THEN 'revoked' WHEN expires_at <= NOW() THEN 'expired' ELSE 'active' END AS status`;
+
+async function insertTenantKey(client, { tenantId, name, scopes, expiresAt, createdBy, rotatedFrom = null }) {
+  const key = 'rslv_' + crypto.randomBytes(32).toString('hex');
+  const keyHash = crypto.createHash('sha256').update(key).digest('hex');
+  const result = await client.query(
+    `INSERT INTO api_keys (tenant_id, user_email, key_hash, key_prefix, name, scopes, expires_at, rotated_from)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+     RETURNING ${TENANT_KEY_COLUMNS}`,
+    [tenantId, createdBy, keyHash, key.substring(0, 13), name, scopes, expiresAt, rotatedFrom]
+  );
+  return { key, apiKey: result.rows[0] };
+}
+
 // API key operations
 const apiKeyOps = {
   async create(keyData) {
@@ -280,7 +297,7 @@ const apiKeyOps = {
 
   async findByHash(key_hash) {
     const result = await query(
-      'SELECT * FROM api_keys WHERE key_hash = $1 AND active = true',
+      'SELECT * FROM api_keys WHERE key_hash = $1 AND active = true AND (expires_at IS NULL OR expires_at > NOW())',
       [key_hash]
     );
     
@@ -334,6 +351,110 @@ const apiKeyOps = {
   async validateApiKey(apiKey) {
     const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
     return await this.findByHash(keyHash);
+  },
+
+  // Tenant keys. The plain key is only returned on create/rotate; only its hash is stored.
+  async createTenantKey({ tenantId, name, scopes, expiresAt = null, createdBy }) {
+    return await insertTenantKey(pool, { tenantId, name, scopes, expiresAt, createdBy });
+  },
+
+  async listByTenant(tenantId) {
+    const result = await query(
+      `SELECT ${TENANT_KEY_COLUMNS} FROM api_keys
+       WHERE tenant_id = $1
+       ORDER BY active DESC, created_at DESC`,
+      [tenantId]
+    );
+    return result.rows;
+  },
+
+  // Resolve a presented key; records the use. Returns null for unknown, revoked or expired keys,
+  // and for keys whose creator has left the tenant or been disabled. user_role is the
+  // creator's current role, which bounds what the key may do.
+  async authenticateTenantKey(apiKey) {
+    const keyHash = crypto.createHash('sha256').update(apiKey).digest('hex');
+    const result = await query(
+      `UPDATE api_keys k SET last_used = NOW(), usage_count = k.usage_count + 1
+       FROM users u
+       WHERE k.key_hash = $1 AND k.tenant_id IS NOT NULL AND k.active = true
+       AND (k.expires_at IS NULL OR k.expires_at > NOW())
+       AND u.email = k.user_email AND u.tenant_id = k.tenant_id AND u.status <> 'disabled'
+       RETURNING k.id, k.tenant_id, k.user_email, k.name, k.scopes, u.role AS user_role`,
+      [keyHash]
+    );
+    return result.rows[0] || null;
+  },
+
+  async revokeTenantKey(tenantId, id, revokedBy) {
+    const result = await query(
+      `UPDATE api_keys SET active = false, revoked_at = NOW(), revoked_by = $3
+       WHERE id = $1 AND tenant_id = $2 AND active = true
+       RETURNING ${TENANT_KEY_COLUMNS}`,
+      [id, tenantId, revokedBy]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Revoke every active key a user created, when the user is deleted or disabled
+  async revokeUserTenantKeys(tenantId, userEmail, revokedBy) {
+    const result = await query(
+      `UPDATE api_keys SET active = false, revoked_at = NOW(), revoked_by = $3
+       WHERE tenant_id = $1 AND user_email = $2 AND active = true
+       RETURNING id`,
+      [tenantId, userEmail, revokedBy]
+    );
+    return result.rowCount;
+  },
+
+  /**
+   * Replace a key with a new one carrying the same name and scopes. The old key is revoked,
+   * or keeps working for gracePeriodHours so clients can switch over. Without expiresAt the
+   * new key gets the old key's lifetime.
+   */
+  async rotateTenantKey(tenantId, id, { rotatedBy, gracePeriodHours = 0, expiresAt }) {
+    return await dbConnection.transaction(async (client) => {
+      const existing = await client.query(
+        `SELECT * FROM api_keys
+         WHERE id = $1 AND tenant_id = $2 AND active = true AND (expires_at IS NULL OR expires_at > NOW())
+         FOR UPDATE`,
+        [id, tenantId]
+      );
+      const previous = existing.rows[0];
+      if (!previous) {
+        return null;
+      }
+
+      if (expiresAt === undefined) {
+        expiresAt = previous.expires_at
+          ? new Date(Date.now() + (new Date(previous.expires_at) - new Date(previous.created_at)))
+          : null;
+      }
+
+      const created = await insertTenantKey(client, {
+        tenantId,
+        name: previous.name,
+        scopes: previous.scopes,
+        expiresAt,
+        createdBy: rotatedBy,
+        rotatedFrom: previous.id
+      });
+
+      const retired = gracePeriodHours > 0
+        ? await client.query(
+          `UPDATE api_keys SET expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + make_interval(hours => $2::int))
+           WHERE id = $1
+           RETURNING ${TENANT_KEY_COLUMNS}`,
+          [previous.id, gracePeriodHours]
+        )
+        : await client.query(
+          `UPDATE api_keys SET active = false, revoked_at = NOW(), revoked_by = $2
+           WHERE id = $1
+           RETURNING ${TENANT_KEY_COLUMNS}`,
+          [previous.id, rotatedBy]
+        );
+
+      return { ...created, previous: retired.rows[0] };
+    });
   }
 };
 
@@ -531,6 +652,120 @@ const webhookOps = {
   }
 };
 
+// Webhook outbox operations (events are queued by ResolveWebhook, delivered by workers/outboxDispatcher)
+const outboxOps = {
+  buildFilters({ status, event_type, tenant_id } = {}, params = []) {
+    let where = 'WHERE 1=1';
+    if (status) {
+      params.push(Array.isArray(status) ? status : [status]);
+      where += ` AND status = ANY($${params.length})`;
+    }
+    if (event_type) {
+      params.push(event_type);
+      where += ` AND event_type = $${params.length}`;
+    }
+    if (tenant_id) {
+      params.push(tenant_id);
+      where += ` AND tenant_id = $${params.length}`;
+    }
+    return where;
+  },
+
+  async list(filters = {}) {
+    const { limit = 50, offset = 0 } = filters;
+    const params = [];
+    const where = outboxOps.buildFilters(filters, params);
+
+    const countResult = await query(`SELECT COUNT(*) FROM webhook_outbox ${where}`, params);
+    const result = await query(
+      `SELECT id, event_id, idempotency_key, tenant_id, event_type, status, attempts, max_attempts,
+              next_attempt_at, last_error, last_status_code, delivered_at, created_at, updated_at
+       FROM webhook_outbox ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    return { events: result.rows, total: parseInt(countResult.rows[0].count) };
+  },
+
+  async getById(id) {
+    const result = await query('SELECT * FROM webhook_outbox WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  },
+
+  async getStats() {
+    const result = await query(
+      `SELECT status, COUNT(*) AS count, MIN(created_at) AS oldest
+       FROM webhook_outbox
+       GROUP BY status`
+    );
+    return result.rows.reduce((stats, row) => {
+      stats[row.status] = { count: parseInt(row.count), oldest: row.oldest };
+      return stats;
+    }, {});
+  },
+
+  // Reset matching events for immediate redelivery; events currently being delivered are left alone
+  async replay({ ids, ...filters } = {}) {
+    const params = [];
+    let where = outboxOps.buildFilters(filters, params);
+    if (ids) {
+      params.push(ids);
+      where += ` AND id = ANY($${params.length}::bigint[])`;
+    }
+    const result = await query(
+      `UPDATE webhook_outbox
+       SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP,
+           locked_at = NULL, last_error = NULL, delivered_at = NULL
+       ${where} AND status <> 'delivering'
+       RETURNING id`,
+      params
+    );
+    return result.rows.map(row => row.id);
+  },
+
+  async purge({ status = ['delivered', 'dead'], older_than_days = 0, ...filters } = {}) {
+    const params = [];
+    let where = outboxOps.buildFilters({ ...filters, status }, params);
+    if (older_than_days > 0) {
+      params.push(parseInt(older_than_days));
+      where += ` AND created_at < NOW() - ($${params.length} || ' days')::interval`;
+    }
+    const result = await query(`DELETE FROM webhook_outbox ${where} AND status <> 'delivering'`, params);
+    return result.rowCount;
+  }
+};
+
+// Per-tenant settings, stored as one JSONB value per key
+const tenantSettingsOps = {
+  async get(tenantId, key) {
+    const result = await query(
+      'SELECT value FROM tenant_settings WHERE tenant_id = $1 AND key = $2',
+      [tenantId, key]
+    );
+    return result.rows[0]?.value || null;
+  },
+
+  async set(tenantId, key, value, updatedBy = null) {
+    const result = await query(
+      `INSERT INTO tenant_settings (tenant_id, key, value, updated_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (tenant_id, key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by
+       RETURNING value, updated_by, updated_at`,
+      [tenantId, key, JSON.stringify(value), updatedBy]
+    );
+    return result.rows[0];
+  },
+
+  async remove(tenantId, key) {
+    const result = await query(
+      'DELETE FROM tenant_settings WHERE tenant_id = $1 AND key = $2',
+      [tenantId, key]
+    );
+    return result.rowCount > 0;
+  }
+};
+
 // Workflow trigger tracking operations
 const workflowOps = {
   async trackTrigger(triggerData) {
@@ -708,6 +943,7 @@ const workflowOps = {
 module.exports = {
   pool,
   query,
+  transaction: (callback) => dbConnection.transaction(callback),
   users: userOps,
   tickets: ticketOps,
   uploads: uploadOps,
@@ -717,6 +953,8 @@ module.exports = {
   pendingValidations: pendingValidationsOps,
   analytics: analyticsOps,
   webhooks: webhookOps,
+  outbox: outboxOps,
+  tenantSettings: tenantSettingsOps,
   workflows: workflowOps,
   
   // Compatibility with existing code
@@ -1,5 +1,6 @@
 const authService = require('../services/authService');
 const config = require('../config');
+const { PERMISSIONS, getUserRole, getRolePermissions, scopePermissions } = require('../services/permissionService');
 
 /**
  * Core authentication middleware
@@ -34,7 +35,7 @@ async function authenticate(req, res, next) {
   if (!token) {
     console.log('[AUTH DEBUG] No token found, redirecting to signin');
     // For API routes, return JSON error
-    if (req.path.startsWith('/api/')) {
+    if (req.originalUrl.startsWith('/api/')) {
       return res.status(401).json({ 
         success: false,
         error: 'Authentication required' 
@@ -48,7 +49,7 @@ async function authenticate(req, res, next) {
   
   if (!session) {
     // For API routes, return JSON error
-    if (req.path.startsWith('/api/')) {
+    if (req.originalUrl.startsWith('/api/')) {
       return res.status(401).json({ 
         success: false,
         error: 'Invalid or expired session' 
@@ -58,20 +59,46 @@ async function authenticate(req, res, next) {
     return res.redirect('/signin');
   }
 
+  // The session keeps the role the user signed in with; permissions follow the current one
+  let role = session.role;
+  if (session.userId && session.tenantId) {
+    try {
+      role = await getUserRole(req.app.locals.db, session.tenantId, session.userId);
+    } catch (error) {
+      console.error('[AUTH] Role lookup failed:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to check permissions'
+      });
+    }
+  }
+
+  if (!role) {
+    // The user has been disabled or removed since signing in
+    if (req.originalUrl.startsWith('/api/')) {
+      return res.status(401).json({ 
+        success: false,
+        error: 'Invalid or expired session' 
+      });
+    }
+    return res.redirect('/signin');
+  }
+
   // Log session details for debugging
   console.log('[AUTH] Session details:', {
     userEmail: session.email,
-    role: session.role,
+    role,
     token: token
   });
   
   // Add session information to request object
-  req.session = { ...session }; // Create a new object to avoid mutation
-  req.user = { ...session }; // Alias for backward compatibility
+  req.session = { ...session, role }; // Create a new object to avoid mutation
+  req.user = { ...session, role }; // Alias for backward compatibility
   req.userId = session.userId;
   req.tenantId = session.tenantId;
   req.userEmail = session.email;
-  req.userRole = session.role;
+  req.userRole = role;
+  req.sessionToken = token; // Lets the sessions page tell the current session apart
   
   next();
 }
@@ -99,7 +126,7 @@ function requireAdmin(req, res, next) {
 function checkAdminStatus(req, res, next) {
   if (!authService.isAdmin(req.session)) {
     // For API routes, return JSON error
-    if (req.path.startsWith('/api/')) {
+    if (req.originalUrl.startsWith('/api/')) {
       return res.status(403).json({ 
         success: false,
         error: 'Admin access required' 
@@ -148,7 +175,7 @@ function checkTenantAdminStatus(req, res, next) {
     });
     
     // For API routes, return JSON error
-    if (req.path.startsWith('/api/')) {
+    if (req.originalUrl.startsWith('/api/')) {
       return res.status(403).json({ 
         success: false,
         error: 'Tenant admin access required' 
@@ -161,6 +188,69 @@ function checkTenantAdminStatus(req, res, next) {
   next();
 }
 
+/**
+ * Require a named permission (see services/permissionService), granted by the user's role
+ * in their tenant. System admins hold every permission. Requests made with a tenant API key
+ * hold the permissions of the key's scopes that its creator's role still grants.
+ * Works after authenticate() or validateTenant(), and authenticates first otherwise.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.session && !req.tenantId) {
+      return authenticate(req, res, (authError) => {
+        if (authError) return next(authError);
+        return checkPermission(permission, req, res, next);
+      });
+    }
+
+    return checkPermission(permission, req, res, next);
+  };
+}
+
+/**
+ * Helper function to check a permission, resolving the user's permissions once per request
+ */
+async function checkPermission(permission, req, res, next) {
+  try {
+    if (!req.permissions) {
+      req.permissions = authService.isAdmin(req.session || { email: req.userEmail })
+        ? [...PERMISSIONS]
+        : await getRolePermissions(req.app.locals.db, req.tenantId, req.userRole);
+      if (req.apiKey) {
+        const granted = scopePermissions(req.apiKey.scopes);
+        req.permissions = req.permissions.filter(held => granted.includes(held));
+      }
+    }
+  } catch (error) {
+    console.error('[AUTH] Permission lookup failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to check permissions'
+    });
+  }
+
+  if (req.permissions.includes(permission)) {
+    return next();
+  }
+
+  console.log('[AUTH] Permission denied:', {
+    permission,
+    userEmail: req.userEmail,
+    role: req.userRole,
+    path: req.originalUrl
+  });
+
+  // For API routes, return JSON error
+  if (req.originalUrl.startsWith('/api/')) {
+    return res.status(403).json({
+      success: false,
+      error: `Permission required: ${permission}`
+    });
+  }
+  // For HTML pages, redirect to dashboard with error message
+  return res.redirect('/dashboard?error=permission_required');
+}
+
 /**
  * Optional authentication middleware
  * Adds session info if available but doesn't fail if not authenticated
@@ -235,6 +325,7 @@ module.exports = {
   authenticate,
   requireAdmin,
   requireTenantAdmin,
+  requirePermission,
   optionalAuth,
   requireAuthForFiles,
   requireAuth, // Legacy compatibility
@@ -2,16 +2,27 @@ const { isValidUUID } = require('../utils/validation');
 const crypto = require('crypto');
 const { tenantLimiter } = require('./rateLimiter');
 const authService = require('../services/authService');
+const config = require('../config');
+const { recordApiKeyUse } = require('../services/auditLog');
+const { getUserRole } = require('../services/permissionService');
 
-const rateLimits = new Map();
+// Scopes a tenant API key can be granted; 'admin' implies all of the others
+const API_KEY_SCOPES = ['read-knowledge', 'write-knowledge', 'chat', 'scim', 'admin'];
+const API_KEY_PREFIX = 'rslv_';
 
-function validateTenant(sessions) {
+function validateTenant(sessions, db) {
     return async (req, res, next) => {
+        // Tenant API keys take precedence over a session cookie sent alongside them
+        const authHeader = req.headers['authorization'];
+        if (db && authHeader?.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+            return authenticateApiKey(db, authHeader.substring(7).trim(), req, res, next);
+        }
+        
         const token = req.cookies?.sessionToken || 
-                      req.headers['authorization']?.replace('Bearer ', '');
+                      authHeader?.replace('Bearer ', '');
         
-        // Special handling for test token
-        if (token === 'active' || token === 'test-token') {
+        // Special handling for test token; it acts as a tenant admin, so only in the test environment
+        if (config.nodeEnv === 'test' && (token === 'active' || token === 'test-token')) {
             // For testing, extract tenant ID from a header or use a test value
             const testTenantId = req.headers['x-test-tenant-id'] || 
                                 req.body?.test_tenant_id ||
@@ -29,6 +40,7 @@ function validateTenant(sessions) {
                 req.tenantId = testTenantId;
             }
             req.userEmail = testEmail;
+            req.userRole = 'tenant-admin';
             return next();
         }
         
@@ -54,12 +66,65 @@ function validateTenant(sessions) {
             return res.status(400).json({ error: 'Invalid tenant ID format' });
         }
         
+        // Permissions follow the user's current role, not the one the session was created with
+        let role;
+        try {
+            role = session.userId
+                ? await getUserRole(db || req.app.locals.db, session.tenantId, session.userId)
+                : session.role;
+        } catch (error) {
+            console.error('[RAG Auth] Role lookup failed:', error);
+            return res.status(500).json({ error: 'Authentication failed' });
+        }
+        if (!role) {
+            return res.status(401).json({ error: 'Unauthorized - Invalid session' });
+        }
+
         req.tenantId = session.tenantId;
+        req.userId = session.userId;
         req.userEmail = session.email;
+        req.userRole = role;
         next();
     };
 }
 
+async function authenticateApiKey(db, apiKey, req, res, next) {
+    try {
+        const key = await db.apiKeys.authenticateTenantKey(apiKey);
+        if (!key) {
+            console.log('[RAG Auth] Rejected API key:', apiKey.substring(0, 13) + '...');
+            return res.status(401).json({ error: 'Unauthorized - Invalid or expired API key' });
+        }
+        
+        req.tenantId = key.tenant_id;
+        req.userEmail = key.user_email;
+        req.userRole = key.user_role;
+        req.apiKey = { id: key.id, name: key.name, scopes: key.scopes };
+        recordApiKeyUse(db, req);
+        next();
+    } catch (error) {
+        console.error('[RAG Auth] API key validation error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+    }
+}
+
+/**
+ * Restrict a route to API keys holding the given scope. Session users are not affected.
+ * Must be used after validateTenant().
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiKey) {
+            return next();
+        }
+        const scopes = req.apiKey.scopes || [];
+        if (scopes.includes(scope) || scopes.includes('admin')) {
+            return next();
+        }
+        return res.status(403).json({ error: `API key is missing the '${scope}' scope` });
+    };
+}
+
 function validateCallbackToken(db) {
     return async (req, res, next) => {
         try {
@@ -93,14 +158,13 @@ function validateCallbackToken(db) {
     };
 }
 
-// Legacy rate limiter - now using enhanced tenantLimiter from rateLimiter.js
-function rateLimit(req, res, next) {
-    // Use the new tenant limiter with RAG-specific limits
-    return tenantLimiter(20)(req, res, next); // 20 requests per window for RAG endpoints
-}
+// Per-tenant request rate from the tenant's plan, shared across instances (see rateLimiter.js)
+const rateLimit = tenantLimiter();
 
 module.exports = {
+    API_KEY_SCOPES,
     validateTenant,
+    requireScope,
     validateCallbackToken,
     rateLimit
 };
\ No newline at end of file
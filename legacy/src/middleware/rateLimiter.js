@@ -1,8 +1,10 @@
 const rateLimit = require('express-rate-limit');
 const config = require('../config');
+const { getRateLimitStore } = require('../services/rateLimitStore');
+const { QUOTAS, quotaKey, getTenantPlan, getStorageUsed } = require('../services/tenantPlans');
 
-// Store for distributed rate limiting (will use Redis later)
-const store = new Map();
+// DISABLE_RATE_LIMIT turns off the per-IP limiters below, not the tenant plan quotas
+// (tenantQuota, tenantStorageLimit), which tests cover by putting a tenant on a small plan
 
 // General API rate limiter
 const apiLimiter = process.env.DISABLE_RATE_LIMIT === 'true' ? (req, res, next) => next() : rateLimit({
@@ -39,7 +41,7 @@ const authLimiter = process.env.DISABLE_RATE_LIMIT === 'true' ? (req, res, next)
 });
 
 // Upload rate limiter - separate limits for file uploads
-const uploadLimiter = rateLimit({
+const uploadLimiter = process.env.DISABLE_RATE_LIMIT === 'true' ? (req, res, next) => next() : rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 10, // 10 uploads per hour
   message: 'Upload limit exceeded.',
@@ -55,56 +57,146 @@ const uploadLimiter = rateLimit({
   },
 });
 
-// Per-tenant rate limiter - custom implementation for multi-tenant scenarios
-function tenantLimiter(maxRequests = 100) {
-  return (req, res, next) => {
-    // Extract tenant ID from session, headers, or body
-    const tenantId = req.user?.tenantId || 
-                    req.session?.tenantId || 
-                    req.headers['x-tenant-id'] || 
-                    req.body?.tenant_id ||
-                    req.tenantId; // Set by auth middleware
+// Tenant of an authenticated request (set by validateTenant or authenticate)
+function requestTenantId(req) {
+  return req.tenantId || req.session?.tenantId || req.user?.tenantId;
+}
+
+// Expose the tightest limit hit by this request; security.js writes it as X-RateLimit-* headers
+function setRateLimitInfo(res, result) {
+  if (result.limit === null) {
+    return;
+  }
+  const current = res.locals.rateLimitInfo;
+  if (!current || result.remaining < current.remaining) {
+    res.locals.rateLimitInfo = {
+      limit: result.limit,
+      remaining: result.remaining,
+      resetTime: Math.ceil(result.resetTime / 1000),
+    };
+  }
+}
+
+function rejectOverLimit(res, quota, plan, result, tenantId) {
+  const retryAfter = Math.max(1, Math.ceil((result.resetTime - Date.now()) / 1000));
+  console.log(`[RATE LIMIT] Tenant ${tenantId} over ${quota} limit (${result.count}/${result.limit}, plan ${plan.name})`);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: quota === 'requests' ? 'Tenant rate limit exceeded' : 'Quota exceeded',
+    message: `Your organization has reached its limit of ${result.limit} ${QUOTAS[quota].label} on the ${plan.name} plan.`,
+    quota,
+    plan: plan.name,
+    limit: result.limit,
+    used: result.count,
+    resetAt: new Date(result.resetTime).toISOString(),
+    retryAfter,
+  });
+}
 
+/**
+ * Count units against one of a tenant's sliding-window quotas (requests, messages, searches,
+ * documents). Over the plan's limit the request is answered with 429 and false is returned.
+ * Any error reading the plan lets the request through.
+ * @returns {Promise<{ allowed: boolean, key?: string, id?: string }>} key and id identify the hit for release()
+ */
+async function enforceTenantQuota(req, res, tenantId, quota, units = 1) {
+  const { limit: limitName, windowMs } = QUOTAS[quota];
+  const key = quotaKey(tenantId, quota);
+  try {
+    const plan = await getTenantPlan(req.app.locals.db, tenantId);
+    const result = await getRateLimitStore().hit(key, { limit: plan.limits[limitName], windowMs, cost: units });
+    setRateLimitInfo(res, result);
+    if (!result.allowed) {
+      rejectOverLimit(res, quota, plan, result, tenantId);
+      return { allowed: false };
+    }
+    return { allowed: true, key, id: result.id };
+  } catch (error) {
+    console.error(`[RATE LIMIT] Could not check ${quota} quota for tenant ${tenantId}:`, error.message);
+    return { allowed: true };
+  }
+}
+
+/**
+ * Middleware counting each request against a tenant quota (see enforceTenantQuota).
+ * Requests without a tenant are not counted.
+ * @param {string} quota - Key of QUOTAS
+ * @param {Object} [options]
+ * @param {Function} [options.cost] - (req) => units the request uses, default 1
+ * @param {boolean} [options.refundFailures=true] - Give the hit back when the response is 4xx/5xx
+ */
+function tenantQuota(quota, { cost = () => 1, refundFailures = true } = {}) {
+  return async (req, res, next) => {
+    const tenantId = requestTenantId(req);
     if (!tenantId) {
-      // If no tenant ID, fall back to regular rate limiting
       return next();
     }
 
-    const key = `tenant:${tenantId}`;
-    const now = Date.now();
-    const windowStart = now - config.rateLimit.windowMs;
-
-    if (!store.has(key)) {
-      store.set(key, []);
+    const units = Math.max(1, cost(req) || 1);
+    const hit = await enforceTenantQuota(req, res, tenantId, quota, units);
+    if (!hit.allowed) {
+      return;
     }
 
-    // Get requests within the current window
-    const requests = store.get(key).filter(time => time > windowStart);
-    
-    if (requests.length >= maxRequests) {
-      console.log(`[RATE LIMIT] Tenant rate limit exceeded for tenant: ${tenantId}`);
-      return res.status(429).json({
-        error: 'Tenant rate limit exceeded',
-        message: 'Your organization has exceeded the rate limit. Please try again later.',
-        retryAfter: Math.round((requests[0] + config.rateLimit.windowMs - now) / 1000),
+    if (refundFailures && hit.id) {
+      res.on('finish', () => {
+        if (res.statusCode >= 400) {
+          getRateLimitStore().release(hit.key, hit.id, units);
+        }
       });
     }
+    next();
+  };
+}
+
+// Per-tenant request rate limit from the tenant's plan (requestsPerMinute)
+function tenantLimiter() {
+  return tenantQuota('requests', { refundFailures: false });
+}
+
+/**
+ * Reject content that would take the tenant over its plan's storage limit (413)
+ * @param {Function} bytes - (req) => size of the content being added
+ */
+function tenantStorageLimit(bytes) {
+  return async (req, res, next) => {
+    const tenantId = requestTenantId(req);
+    if (!tenantId) {
+      return next();
+    }
 
-    // Add current request to the store
-    requests.push(now);
-    store.set(key, requests);
-    
-    // Clean up old entries periodically
-    if (Math.random() < 0.01) { // 1% chance to clean up
-      cleanupOldEntries();
+    try {
+      const db = req.app.locals.db;
+      const plan = await getTenantPlan(db, tenantId);
+      const limit = plan.limits.storageBytes;
+      if (limit === null || limit === undefined) {
+        return next();
+      }
+
+      const used = await getStorageUsed(db, tenantId);
+      const adding = bytes(req) || 0;
+      if (used + adding > limit) {
+        console.log(`[RATE LIMIT] Tenant ${tenantId} over storage limit (${used + adding}/${limit} bytes, plan ${plan.name})`);
+        return res.status(413).json({
+          error: 'Storage quota exceeded',
+          message: `This would take your organization over its ${plan.name} plan storage limit. Delete documents or upgrade the plan.`,
+          quota: 'storage',
+          plan: plan.name,
+          limit,
+          used,
+          requested: adding,
+        });
+      }
+      next();
+    } catch (error) {
+      console.error(`[RATE LIMIT] Could not check storage quota for tenant ${tenantId}:`, error.message);
+      next();
     }
-    
-    next();
   };
 }
 
 // Create a more restrictive limiter for admin endpoints
-const adminLimiter = rateLimit({
+const adminLimiter = process.env.DISABLE_RATE_LIMIT === 'true' ? (req, res, next) => next() : rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 30, // 30 requests per minute for admin endpoints
   message: 'Admin rate limit exceeded.',
@@ -121,7 +213,7 @@ const adminLimiter = rateLimit({
 });
 
 // Create a very restrictive limiter for password reset
-const passwordResetLimiter = rateLimit({
+const passwordResetLimiter = process.env.DISABLE_RATE_LIMIT === 'true' ? (req, res, next) => next() : rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 3, // 3 password reset attempts per hour
   message: 'Password reset limit exceeded.',
@@ -142,7 +234,7 @@ const passwordResetLimiter = rateLimit({
 });
 
 // RAG API specific rate limiter - more generous for knowledge base operations
-const ragLimiter = rateLimit({
+const ragLimiter = process.env.DISABLE_RATE_LIMIT === 'true' ? (req, res, next) => next() : rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 50, // 50 RAG requests per minute
   message: 'RAG API rate limit exceeded.',
@@ -158,24 +250,6 @@ const ragLimiter = rateLimit({
   },
 });
 
-// Clean up old entries from the in-memory store
-function cleanupOldEntries() {
-  const now = Date.now();
-  const cutoff = now - config.rateLimit.windowMs;
-  
-  for (const [key, requests] of store.entries()) {
-    const validRequests = requests.filter(time => time > cutoff);
-    if (validRequests.length === 0) {
-      store.delete(key);
-    } else {
-      store.set(key, validRequests);
-    }
-  }
-}
-
-// Periodically clean up the store every 5 minutes
-setInterval(cleanupOldEntries, 5 * 60 * 1000);
-
 // Export all rate limiters and utilities
 module.exports = {
   apiLimiter,
@@ -185,5 +259,7 @@ module.exports = {
   passwordResetLimiter,
   ragLimiter,
   tenantLimiter,
-  cleanupOldEntries,
+  tenantQuota,
+  tenantStorageLimit,
+  enforceTenantQuota,
 };
\ No newline at end of file
@@ -138,15 +138,19 @@ function setupSecurity(app) {
   });
 
   // Rate limiting headers middleware
+  // Tenant limiters set res.locals.rateLimitInfo after this runs, so the headers are added
+  // when the response headers are written (setting them on 'finish' is too late)
   app.use((req, res, next) => {
-    // Add rate limiting information to response headers
-    res.on('finish', () => {
-      if (res.locals.rateLimitInfo) {
-        res.setHeader('X-RateLimit-Limit', res.locals.rateLimitInfo.limit);
-        res.setHeader('X-RateLimit-Remaining', res.locals.rateLimitInfo.remaining);
-        res.setHeader('X-RateLimit-Reset', res.locals.rateLimitInfo.resetTime);
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+      const info = res.locals.rateLimitInfo;
+      if (info) {
+        res.setHeader('X-RateLimit-Limit', info.limit);
+        res.setHeader('X-RateLimit-Remaining', info.remaining);
+        res.setHeader('X-RateLimit-Reset', info.resetTime); // Unix time, seconds
       }
-    });
+      return writeHead.apply(this, args);
+    };
     next();
   });
 }
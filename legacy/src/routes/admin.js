@@ -2,8 +2,14 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult, param, query } = require('express-validator');
 const axios = require('axios');
-const { requireAdmin } = require('../middleware/auth');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
 const authService = require('../services/authService');
+const { getSSEHub } = require('../services/sseHub');
+const { getQualityReport } = require('../services/messageFeedback');
+const { recordAuditEvent } = require('../services/auditLog');
+const { PLANS, LIMIT_NAMES, getTenantPlan, setTenantPlan, listTenantQuotas } = require('../services/tenantPlans');
+const usageMetering = require('../services/usageMetering');
+const config = require('../config');
 
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -48,12 +54,21 @@ router.get('/check', requireAdmin, (req, res) => {
 });
 
 // Session statistics endpoint (admin only)
-router.get('/session-stats', requireAdmin, (req, res) => {
-  const stats = authService.getSessionStats();
-  res.json({
-    success: true,
-    stats
-  });
+router.get('/session-stats', requireAdmin, async (req, res) => {
+  try {
+    const stats = await authService.getSessionStats();
+    res.json({
+      success: true,
+      stats,
+      sse: getSSEHub().getStats()
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error getting session stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load session statistics'
+    });
+  }
 });
 
 // Admin API Routes
@@ -134,6 +149,270 @@ router.get('/analytics', requireAdmin, async (req, res) => {
   }
 });
 
+// Answer quality: feedback on assistant messages joined with the vector searches behind them
+const validateQualityFilters = [
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('days must be between 1 and 365'),
+  query('tenant_id').optional().isUUID().withMessage('Invalid tenant ID'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+// Tenant users with analytics:view only see their own tenant
+router.get('/analytics/quality', requirePermission('analytics:view'), validateQualityFilters, handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db; // Access db from app locals
+  const tenantId = authService.isAdmin(req.session) ? (req.query.tenant_id || null) : req.tenantId;
+  
+  try {
+    const report = await getQualityReport(db, {
+      days: parseInt(req.query.days) || 30,
+      tenantId,
+      limit: parseInt(req.query.limit) || 25
+    });
+    res.json({ success: true, ...report });
+  } catch (error) {
+    console.error('[ADMIN] Error getting answer quality analytics:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to load answer quality analytics' 
+    });
+  }
+});
+
+// Tenant plans and consumption against their limits (requests, messages, documents, storage)
+router.get('/tenants/quotas', requireAdmin, async (req, res) => {
+  const db = req.app.locals.db;
+  
+  try {
+    const tenants = await listTenantQuotas(db);
+    res.json({
+      success: true,
+      plans: PLANS,
+      default_plan: config.rateLimit.defaultPlan,
+      tenants
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error getting tenant quotas:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to load tenant quotas' 
+    });
+  }
+});
+
+const validatePlanUpdate = [
+  param('tenantId').isUUID().withMessage('Invalid tenant ID'),
+  body('plan').isIn(Object.keys(PLANS)).withMessage(`plan must be one of: ${Object.keys(PLANS).join(', ')}`),
+  body('limits').optional().isObject().withMessage('limits must be an object')
+    .custom(limits => Object.keys(limits).every(name => LIMIT_NAMES.includes(name)))
+    .withMessage(`limits may only set ${LIMIT_NAMES.join(', ')}`),
+  body('limits.*').custom(value => value === null || (Number.isInteger(value) && value >= 0))
+    .withMessage('Each limit must be a non-negative integer, or null for unlimited'),
+];
+
+// Put a tenant on a plan; limits override single values of the plan
+router.put('/tenants/:tenantId/plan', requireAdmin, validatePlanUpdate, handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db;
+  const { tenantId } = req.params;
+  
+  try {
+    const before = await getTenantPlan(db, tenantId);
+    const plan = await setTenantPlan(db, tenantId, { plan: req.body.plan, limits: req.body.limits || {} }, req.session.email);
+    
+    await recordAuditEvent(db, req, {
+      action: 'settings.update',
+      tenantId,
+      targetType: 'settings',
+      targetId: 'plan',
+      before: { plan: before.name, limits: before.limits },
+      after: { plan: plan.name, limits: plan.limits }
+    });
+    console.log(`[ADMIN] Tenant ${tenantId} moved to plan ${plan.name} by ${req.session.email}`);
+    
+    res.json({ success: true, plan });
+  } catch (error) {
+    console.error('[ADMIN] Error updating tenant plan:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to update tenant plan' 
+    });
+  }
+});
+
+// Usage metering and billing: monthly statements per tenant, exported as CSV or Stripe usage records
+const validateUsageQuery = [
+  query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be in YYYY-MM format'),
+  query('tenant_id').optional().isUUID().withMessage('Invalid tenant ID'),
+  query('format').optional().isIn(['csv', 'stripe']).withMessage('format must be csv or stripe'),
+];
+
+const validateUsageReport = [
+  body('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be in YYYY-MM format'),
+  body('tenant_id').optional().isUUID().withMessage('Invalid tenant ID'),
+];
+
+const validateBillingUpdate = [
+  param('tenantId').isUUID().withMessage('Invalid tenant ID'),
+  body('stripe_customer_id').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('stripe_customer_id must be a string'),
+  body('subscription_items').optional().isObject().withMessage('subscription_items must be an object')
+    .custom(items => Object.keys(items).every(metric => usageMetering.METRICS[metric]))
+    .withMessage(`subscription_items may only map ${Object.keys(usageMetering.METRICS).join(', ')}`),
+  body('subscription_items.*').optional({ nullable: true }).isString().isLength({ max: 255 })
+    .withMessage('Each subscription item must be a Stripe subscription item ID'),
+];
+
+// Statements with each tenant's Stripe mapping and what was already reported for the month
+router.get('/usage', requireAdmin, validateUsageQuery, handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db;
+  
+  try {
+    const { month } = usageMetering.monthRange(req.query.month);
+    const tenantId = req.query.tenant_id;
+    const statements = await usageMetering.getMonthlyStatements(db, month, { tenantId });
+    for (const statement of statements) {
+      statement.billing = await usageMetering.getBillingSettings(db, statement.tenant_id);
+    }
+    
+    res.json({
+      success: true,
+      month,
+      metrics: usageMetering.METRICS,
+      stripe_configured: Boolean(config.billing.stripeSecretKey),
+      statements,
+      exports: await usageMetering.listUsageExports(db, month, { tenantId })
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error getting usage statements:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to load usage statements' 
+    });
+  }
+});
+
+// Download statements as CSV, or as the Stripe usage records they would be reported as
+router.get('/usage/export', requireAdmin, validateUsageQuery, handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db;
+  const format = req.query.format || 'csv';
+  
+  try {
+    const { month } = usageMetering.monthRange(req.query.month);
+    const statements = await usageMetering.getMonthlyStatements(db, month, { tenantId: req.query.tenant_id });
+    
+    await recordAuditEvent(db, req, {
+      action: 'usage.export',
+      tenantId: req.query.tenant_id,
+      targetType: 'usage',
+      targetId: month,
+      metadata: { format, tenants: statements.length }
+    });
+    
+    res.setHeader('Content-Disposition', `attachment; filename="usage-${month}.${format === 'csv' ? 'csv' : 'json'}"`);
+    if (format === 'csv') {
+      return res.type('text/csv').send(usageMetering.statementsToCsv(statements));
+    }
+    
+    const records = [];
+    for (const statement of statements) {
+      const { subscription_items } = await usageMetering.getBillingSettings(db, statement.tenant_id);
+      for (const record of usageMetering.toStripeUsageRecords(statement, subscription_items)) {
+        records.push({ tenant_id: statement.tenant_id, ...record });
+      }
+    }
+    res.json({ month, usage_records: records });
+  } catch (error) {
+    console.error('[ADMIN] Error exporting usage:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to export usage' 
+    });
+  }
+});
+
+// Report a month's usage to Stripe for every tenant mapped to subscription items (or one tenant)
+router.post('/usage/stripe', requireAdmin, validateUsageReport, handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db;
+  
+  try {
+    const { month } = usageMetering.monthRange(req.body.month);
+    const statements = await usageMetering.getMonthlyStatements(db, month, { tenantId: req.body.tenant_id });
+    const results = [];
+    for (const statement of statements) {
+      const records = await usageMetering.reportUsageToStripe(db, statement, { exportedBy: req.session.email });
+      if (records.length === 0) {
+        continue;
+      }
+      await recordAuditEvent(db, req, {
+        action: 'usage.export',
+        tenantId: statement.tenant_id,
+        targetType: 'usage',
+        targetId: month,
+        metadata: { format: 'stripe', records: records.map(({ metric, quantity, status }) => ({ metric, quantity, status })) }
+      });
+      results.push({ tenant_id: statement.tenant_id, records });
+    }
+    
+    const failed = results.reduce((count, result) => count + result.records.filter(record => record.status === 'failed').length, 0);
+    console.log(`[ADMIN] Usage for ${month} reported to Stripe for ${results.length} tenants (${failed} failed) by ${req.session.email}`);
+    
+    res.json({ success: failed === 0, month, results, failed });
+  } catch (error) {
+    if (error.code === 'STRIPE_NOT_CONFIGURED') {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.error('[ADMIN] Error reporting usage to Stripe:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to report usage to Stripe' 
+    });
+  }
+});
+
+// Roll usage up now instead of waiting for the worker, e.g. before closing a month
+router.post('/usage/rollup', requireAdmin, body('days').optional().isInt({ min: 1, max: 62 }).withMessage('days must be between 1 and 62'), handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db;
+  
+  try {
+    const summary = await usageMetering.rollupUsage(db, { days: parseInt(req.body.days) || 2 });
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error('[ADMIN] Error rolling up usage:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to roll up usage' 
+    });
+  }
+});
+
+// Map a tenant's metrics to the Stripe subscription items they are billed on
+router.put('/tenants/:tenantId/billing', requireAdmin, validateBillingUpdate, handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db;
+  const { tenantId } = req.params;
+  
+  try {
+    const before = await usageMetering.getBillingSettings(db, tenantId);
+    const billing = await usageMetering.setBillingSettings(db, tenantId, {
+      stripe_customer_id: req.body.stripe_customer_id || null,
+      subscription_items: req.body.subscription_items || {}
+    }, req.session.email);
+    
+    await recordAuditEvent(db, req, {
+      action: 'billing.update',
+      tenantId,
+      targetType: 'settings',
+      targetId: 'billing',
+      before,
+      after: billing
+    });
+    
+    res.json({ success: true, billing });
+  } catch (error) {
+    console.error('[ADMIN] Error updating tenant billing:', error);
+    res.status(error.status || 500).json({ 
+      success: false, 
+      message: error.status ? error.message : 'Failed to update tenant billing' 
+    });
+  }
+});
+
 router.get('/webhooks', requireAdmin, async (req, res) => {
   const db = req.app.locals.db; // Access db from app locals
   
@@ -325,6 +604,143 @@ router.delete('/webhook-traffic/clear', requireAdmin, async (req, res) => {
   }
 });
 
+// Webhook Outbox Routes
+const OUTBOX_STATUSES = ['pending', 'delivering', 'delivered', 'dead'];
+
+const validateOutboxFilters = [
+  query('status').optional().isIn(OUTBOX_STATUSES).withMessage('Invalid status'),
+  query('event_type').optional().trim().isLength({ min: 1, max: 100 }),
+  query('tenant_id').optional().isUUID().withMessage('Invalid tenant ID'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
+];
+
+const validateOutboxBulk = [
+  body('status').optional().custom(value => [].concat(value).every(status => OUTBOX_STATUSES.includes(status))).withMessage('Invalid status'),
+  body('event_type').optional().isString().trim().isLength({ min: 1, max: 100 }),
+  body('tenant_id').optional().isUUID().withMessage('Invalid tenant ID'),
+  body('ids').optional().isArray({ min: 1 }).withMessage('ids must be a non-empty array'),
+  body('ids.*').optional().isInt({ min: 1 }).withMessage('ids must be integers'),
+  body('older_than_days').optional().isInt({ min: 0 }).withMessage('older_than_days must be non-negative'),
+];
+
+router.get('/outbox', requireAdmin, validateOutboxFilters, handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db; // Access db from app locals
+  
+  try {
+    const { status, event_type, tenant_id, limit = 50, offset = 0 } = req.query;
+    const [{ events, total }, stats] = await Promise.all([
+      db.outbox.list({ status, event_type, tenant_id, limit: parseInt(limit), offset: parseInt(offset) }),
+      db.outbox.getStats()
+    ]);
+    
+    res.json({
+      success: true,
+      events,
+      stats,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching outbox events:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Failed to fetch outbox events' 
+    });
+  }
+});
+
+router.get('/outbox/:id', requireAdmin, param('id').isInt().withMessage('Invalid ID'), handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db; // Access db from app locals
+  
+  try {
+    const event = await db.outbox.getById(req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Outbox event not found' });
+    }
+    
+    res.json({ success: true, event });
+  } catch (error) {
+    console.error('[ADMIN] Error fetching outbox event:', error);
+    res.status(500).json({ success: false, message: 'Failed to fetch outbox event' });
+  }
+});
+
+router.post('/outbox/:id/replay', requireAdmin, param('id').isInt().withMessage('Invalid ID'), handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db; // Access db from app locals
+  
+  try {
+    const replayed = await db.outbox.replay({ ids: [parseInt(req.params.id)] });
+    
+    if (replayed.length === 0) {
+      return res.status(409).json({ 
+        success: false, 
+        message: 'Outbox event not found or currently being delivered' 
+      });
+    }
+    
+    req.app.locals.resolveWebhook?.notifyDispatcher();
+    console.log(`[ADMIN] Outbox event ${req.params.id} replayed by ${req.session.email}`);
+    
+    res.json({ success: true, replayed: replayed.length });
+  } catch (error) {
+    console.error('[ADMIN] Error replaying outbox event:', error);
+    res.status(500).json({ success: false, message: 'Failed to replay outbox event' });
+  }
+});
+
+// Bulk replay - defaults to all dead-lettered events
+router.post('/outbox/replay', requireAdmin, validateOutboxBulk, handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db; // Access db from app locals
+  
+  try {
+    const { ids, status = ids ? undefined : 'dead', event_type, tenant_id } = req.body;
+    const replayed = await db.outbox.replay({ ids, status, event_type, tenant_id });
+    
+    if (replayed.length > 0) {
+      req.app.locals.resolveWebhook?.notifyDispatcher();
+    }
+    console.log(`[ADMIN] ${replayed.length} outbox events replayed by ${req.session.email}`);
+    
+    res.json({ 
+      success: true, 
+      replayed: replayed.length,
+      message: `Replayed ${replayed.length} events` 
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error replaying outbox events:', error);
+    res.status(500).json({ success: false, message: 'Failed to replay outbox events' });
+  }
+});
+
+// Purge finished events - defaults to delivered and dead events of any age
+router.delete('/outbox/purge', requireAdmin, validateOutboxBulk, handleValidationErrors, async (req, res) => {
+  const db = req.app.locals.db; // Access db from app locals
+  
+  try {
+    const { status, event_type, tenant_id, older_than_days = 0 } = req.body;
+    const deleted = await db.outbox.purge({
+      status: status || undefined,
+      event_type,
+      tenant_id,
+      older_than_days: parseInt(older_than_days)
+    });
+    
+    console.log(`[ADMIN] ${deleted} outbox events purged by ${req.session.email}`);
+    
+    res.json({ 
+      success: true, 
+      deleted,
+      message: `Deleted ${deleted} outbox events` 
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error purging outbox events:', error);
+    res.status(500).json({ success: false, message: 'Failed to purge outbox events' });
+  }
+});
+
 // Diagnostics Routes
 router.get('/diagnostics', requireAdmin, async (req, res) => {
   const db = req.app.locals.db; // Access db from app locals
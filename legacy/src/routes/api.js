@@ -6,6 +6,7 @@ const fs = require('fs');
 const crypto = require('crypto');
 const multer = require('multer');
 const authService = require('../services/authService');
+const { PERMISSIONS, getRolePermissions } = require('../services/permissionService');
 const { 
   requireAuth, 
   optionalAuth 
@@ -79,20 +80,32 @@ const upload = multer({
 const csvDataStore = {};
 
 // Get current user info endpoint
-router.get('/user/info', requireAuth, (req, res) => {
+router.get('/user/info', requireAuth, async (req, res) => {
   console.log('[API] User info request:', {
     email: req.session.email,
     tenantId: req.session.tenantId,
     companyName: req.session.companyName
   });
   
+  const isAdmin = authService.isAdmin(req.session);
+  let permissions = [];
+  try {
+    permissions = isAdmin
+      ? [...PERMISSIONS]
+      : await getRolePermissions(req.app.locals.db, req.session.tenantId, req.session.role);
+  } catch (error) {
+    console.error('[API] Failed to resolve user permissions:', error);
+  }
+  
   res.json({
     success: true,
     email: req.session.email,
     fullName: req.session.fullName,
     tenantId: req.session.tenantId,
     companyName: req.session.companyName,
-    isAdmin: authService.isAdmin(req.session)
+    role: req.session.role,
+    permissions,
+    isAdmin
   });
 });
 
@@ -288,7 +301,7 @@ router.post('/upload-knowledge', uploadLimiter, upload.array('files', 10), async
       try {
         console.log(`[API] Calling automation platform after database save...`);
         
-        // Use ResolveWebhook class to send CSV upload event
+        // Queue CSV upload event for delivery by the outbox dispatcher
         const webhookResponse = await resolveWebhook.sendCsvUploadEvent({
           userEmail: userEmail,
           userId: userId,
@@ -299,7 +312,7 @@ router.post('/upload-knowledge', uploadLimiter, upload.array('files', 10), async
           ticketsImported: ticketsImported
         });
         
-        console.log(`[API] Automation platform response:`, webhookResponse.status);
+        console.log(`[API] Automation platform event queued:`, webhookResponse.event_id);
         
       } catch (webhookError) {
         // Log error but don't fail the upload
@@ -501,7 +514,8 @@ router.post('/webhook', requireAuth, async (req, res) => {
     
     res.json({ 
       success: true, 
-      data: response.data 
+      queued: true,
+      event_id: response.event_id
     });
     
   } catch (error) {
@@ -0,0 +1,228 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../middleware/ragAuth');
+const { SCOPE_PERMISSIONS } = require('../services/permissionService');
+const { recordAuditEvent } = require('../services/auditLog');
+
+const MAX_ACTIVE_KEYS_PER_TENANT = 50;
+
+const validateTenantParam = [
+    param('tenantId')
+        .isUUID()
+        .withMessage('Tenant ID must be a UUID')
+];
+
+const validateKeyParam = [
+    param('keyId')
+        .isInt({ min: 1 })
+        .withMessage('Key ID must be a positive integer')
+        .toInt()
+];
+
+const validateExpiry = body('expires_in_days')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 730 })
+    .withMessage('expires_in_days must be between 1 and 730 (omit for a key that never expires)')
+    .toInt();
+
+const validateKeyCreation = [
+    body('name')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Name is required and must be at most 100 characters'),
+    body('scopes')
+        .isArray({ min: 1 })
+        .withMessage('At least one scope is required'),
+    body('scopes.*')
+        .isIn(API_KEY_SCOPES)
+        .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+    validateExpiry
+];
+
+const validateKeyRotation = [
+    body('grace_period_hours')
+        .optional()
+        .isInt({ min: 0, max: 168 })
+        .withMessage('grace_period_hours must be between 0 and 168')
+        .toInt(),
+    validateExpiry
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Verify tenant access
+const requireOwnTenant = (req, res, next) => {
+    if (req.params.tenantId !== req.tenantId) {
+        return res.status(403).json({ error: 'Access denied to this tenant' });
+    }
+    next();
+};
+
+// Scopes that would let a key do more than the user creating it (req.permissions, resolved
+// by requirePermission) is allowed to
+function scopesBeyondPermissions(scopes, permissions) {
+    return scopes.filter(scope => SCOPE_PERMISSIONS[scope].some(permission => !permissions.includes(permission)));
+}
+
+function scopeDenial(scopes) {
+    return { error: `Your role does not allow granting the ${scopes.map(scope => `'${scope}'`).join(', ')} scope${scopes.length > 1 ? 's' : ''}` };
+}
+
+function expiryFromDays(days) {
+    return days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null;
+}
+
+function createApiKeysRouter(db) {
+    const router = express.Router();
+
+    // All routes require a session (keys cannot manage keys) with the settings:edit permission
+    router.use('/api/tenants/:tenantId/api-keys', authenticate);
+
+    // List the tenant's API keys (hashes are never returned)
+    router.get('/api/tenants/:tenantId/api-keys',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const keys = await db.apiKeys.listByTenant(req.tenantId);
+            res.json({ data: keys, scopes: API_KEY_SCOPES });
+        } catch (error) {
+            console.error('[API KEYS] List keys error:', error);
+            res.status(500).json({ error: 'Failed to retrieve API keys' });
+        }
+    });
+
+    // Create a key; the plain key is only returned in this response
+    router.post('/api/tenants/:tenantId/api-keys',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        validateKeyCreation,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const scopes = [...new Set(req.body.scopes)];
+            const denied = scopesBeyondPermissions(scopes, req.permissions);
+            if (denied.length > 0) {
+                return res.status(403).json(scopeDenial(denied));
+            }
+
+            const existing = await db.apiKeys.listByTenant(req.tenantId);
+            if (existing.filter(key => key.status === 'active').length >= MAX_ACTIVE_KEYS_PER_TENANT) {
+                return res.status(409).json({
+                    error: `A tenant can have at most ${MAX_ACTIVE_KEYS_PER_TENANT} active API keys`
+                });
+            }
+
+            const { key, apiKey } = await db.apiKeys.createTenantKey({
+                tenantId: req.tenantId,
+                name: req.body.name,
+                scopes,
+                expiresAt: expiryFromDays(req.body.expires_in_days),
+                createdBy: req.userEmail
+            });
+            await recordAuditEvent(db, req, {
+                action: 'api_key.create',
+                targetType: 'api_key',
+                targetId: apiKey.id,
+                after: { name: apiKey.name, key_prefix: apiKey.key_prefix, scopes: apiKey.scopes, expires_at: apiKey.expires_at }
+            });
+            console.log(`[API KEYS] Key ${apiKey.id} (${apiKey.key_prefix}...) created for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.status(201).json({ key, data: apiKey });
+        } catch (error) {
+            console.error('[API KEYS] Create key error:', error);
+            res.status(500).json({ error: 'Failed to create API key' });
+        }
+    });
+
+    // Rotate a key: issue a replacement and revoke the old key, optionally after a grace period
+    router.post('/api/tenants/:tenantId/api-keys/:keyId/rotate',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        validateKeyParam,
+        validateKeyRotation,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            // The replacement is created by the rotating user, so its scopes must be theirs to grant
+            const current = (await db.apiKeys.listByTenant(req.tenantId)).find(key => key.id === req.params.keyId);
+            const denied = current ? scopesBeyondPermissions(current.scopes, req.permissions) : [];
+            if (denied.length > 0) {
+                return res.status(403).json(scopeDenial(denied));
+            }
+
+            const rotated = await db.apiKeys.rotateTenantKey(req.tenantId, req.params.keyId, {
+                rotatedBy: req.userEmail,
+                gracePeriodHours: req.body.grace_period_hours || 0,
+                expiresAt: req.body.expires_in_days !== undefined
+                    ? expiryFromDays(req.body.expires_in_days)
+                    : undefined
+            });
+
+            if (!rotated) {
+                return res.status(404).json({ error: 'Active API key not found' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'api_key.rotate',
+                targetType: 'api_key',
+                targetId: req.params.keyId,
+                after: { expires_at: rotated.previous.expires_at, revoked_at: rotated.previous.revoked_at },
+                metadata: { new_key_id: rotated.apiKey.id, grace_period_hours: req.body.grace_period_hours || 0 }
+            });
+            console.log(`[API KEYS] Key ${req.params.keyId} rotated to ${rotated.apiKey.id} for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.json({ key: rotated.key, data: rotated.apiKey, previous: rotated.previous });
+        } catch (error) {
+            console.error('[API KEYS] Rotate key error:', error);
+            res.status(500).json({ error: 'Failed to rotate API key' });
+        }
+    });
+
+    // Revoke a key
+    router.delete('/api/tenants/:tenantId/api-keys/:keyId',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        validateKeyParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const revoked = await db.apiKeys.revokeTenantKey(req.tenantId, req.params.keyId, req.userEmail);
+            if (!revoked) {
+                return res.status(404).json({ error: 'Active API key not found' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'api_key.revoke',
+                targetType: 'api_key',
+                targetId: revoked.id,
+                after: { name: revoked.name, revoked_at: revoked.revoked_at }
+            });
+            console.log(`[API KEYS] Key ${revoked.id} revoked for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.json({ data: revoked });
+        } catch (error) {
+            console.error('[API KEYS] Revoke key error:', error);
+            res.status(500).json({ error: 'Failed to revoke API key' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createApiKeysRouter;
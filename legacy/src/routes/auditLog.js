@@ -0,0 +1,237 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const config = require('../config');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+    AUDIT_ACTIONS,
+    RETENTION_SETTINGS_KEY,
+    MIN_RETENTION_DAYS,
+    MAX_RETENTION_DAYS,
+    recordAuditEvent,
+    listAuditEvents,
+    exportAuditEvents,
+    toCsv,
+    getRetentionDays
+} = require('../services/auditLog');
+
+const validateTenantParam = [
+    param('tenantId')
+        .isUUID()
+        .withMessage('Tenant ID must be a UUID')
+];
+
+const validateAuditFilters = [
+    query('action')
+        .optional()
+        .custom(value => AUDIT_ACTIONS.includes(value) || /^[a-z_]+\.$/.test(value))
+        .withMessage('action must be a known action or a prefix such as "user."'),
+    query('actor')
+        .optional()
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('actor must be at most 255 characters'),
+    query('target_type')
+        .optional()
+        .isString()
+        .isLength({ max: 50 })
+        .withMessage('target_type must be at most 50 characters'),
+    query('target_id')
+        .optional()
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('target_id must be at most 255 characters'),
+    query('from')
+        .optional()
+        .isISO8601()
+        .withMessage('from must be an ISO 8601 date'),
+    query('to')
+        .optional()
+        .isISO8601()
+        .withMessage('to must be an ISO 8601 date')
+];
+
+const validatePagination = [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 200 })
+        .withMessage('limit must be between 1 and 200')
+        .toInt(),
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('offset must be 0 or more')
+        .toInt()
+];
+
+const validateExportFormat = [
+    query('format')
+        .optional()
+        .isIn(['csv', 'json'])
+        .withMessage('format must be csv or json')
+];
+
+const validateRetentionSettings = [
+    body('retention_days')
+        .isInt({ min: MIN_RETENTION_DAYS, max: MAX_RETENTION_DAYS })
+        .withMessage(`retention_days must be between ${MIN_RETENTION_DAYS} and ${MAX_RETENTION_DAYS}`)
+        .toInt()
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Verify tenant access
+const requireOwnTenant = (req, res, next) => {
+    if (req.params.tenantId !== req.tenantId) {
+        return res.status(403).json({ error: 'Access denied to this tenant' });
+    }
+    next();
+};
+
+function auditFilters(req) {
+    return {
+        action: req.query.action,
+        actor: req.query.actor,
+        targetType: req.query.target_type,
+        targetId: req.query.target_id,
+        from: req.query.from,
+        to: req.query.to
+    };
+}
+
+function createAuditLogRouter(db) {
+    const router = express.Router();
+
+    // All routes require a session with the audit:view permission
+    router.use('/api/tenants/:tenantId/audit-log', authenticate, requirePermission('audit:view'));
+
+    // List audit events, newest first
+    router.get('/api/tenants/:tenantId/audit-log',
+        validateTenantParam,
+        validateAuditFilters,
+        validatePagination,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const limit = req.query.limit || 50;
+            const offset = req.query.offset || 0;
+            const { events, total } = await listAuditEvents(db, req.tenantId, {
+                ...auditFilters(req),
+                limit,
+                offset
+            });
+
+            res.json({
+                data: events,
+                actions: AUDIT_ACTIONS,
+                pagination: { limit, offset, total, has_more: offset + events.length < total }
+            });
+        } catch (error) {
+            console.error('[AUDIT LOG] List events error:', error);
+            res.status(500).json({ error: 'Failed to retrieve audit log' });
+        }
+    });
+
+    // Export matching audit events as CSV (default) or JSON
+    router.get('/api/tenants/:tenantId/audit-log/export',
+        validateTenantParam,
+        validateAuditFilters,
+        validateExportFormat,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const format = req.query.format || 'csv';
+            const filters = auditFilters(req);
+            const { events, truncated } = await exportAuditEvents(db, req.tenantId, filters);
+
+            await recordAuditEvent(db, req, {
+                action: 'audit_log.export',
+                targetType: 'audit_log',
+                metadata: { format, filters, rows: events.length, truncated }
+            });
+
+            const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            if (truncated) {
+                res.setHeader('X-Export-Truncated', String(config.audit.exportMaxRows));
+            }
+
+            if (format === 'json') {
+                return res.json({ data: events, truncated });
+            }
+            res.type('text/csv').send(toCsv(events));
+        } catch (error) {
+            console.error('[AUDIT LOG] Export error:', error);
+            res.status(500).json({ error: 'Failed to export audit log' });
+        }
+    });
+
+    // Get the retention period
+    router.get('/api/tenants/:tenantId/audit-log/settings',
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            res.json({
+                retention_days: await getRetentionDays(db, req.tenantId),
+                default_retention_days: config.audit.defaultRetentionDays,
+                min_retention_days: MIN_RETENTION_DAYS,
+                max_retention_days: MAX_RETENTION_DAYS
+            });
+        } catch (error) {
+            console.error('[AUDIT LOG] Get settings error:', error);
+            res.status(500).json({ error: 'Failed to retrieve audit log settings' });
+        }
+    });
+
+    // Change the retention period (also requires settings:edit)
+    router.put('/api/tenants/:tenantId/audit-log/settings',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        validateRetentionSettings,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const before = await getRetentionDays(db, req.tenantId);
+            await db.tenantSettings.set(req.tenantId, RETENTION_SETTINGS_KEY, {
+                retention_days: req.body.retention_days
+            }, req.userEmail);
+
+            await recordAuditEvent(db, req, {
+                action: 'settings.update',
+                targetType: 'setting',
+                targetId: RETENTION_SETTINGS_KEY,
+                before: { retention_days: before },
+                after: { retention_days: req.body.retention_days }
+            });
+            console.log(`[AUDIT LOG] Retention set to ${req.body.retention_days} days for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.json({
+                retention_days: req.body.retention_days,
+                default_retention_days: config.audit.defaultRetentionDays,
+                min_retention_days: MIN_RETENTION_DAYS,
+                max_retention_days: MAX_RETENTION_DAYS
+            });
+        } catch (error) {
+            console.error('[AUDIT LOG] Update settings error:', error);
+            res.status(500).json({ error: 'Failed to update audit log settings' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAuditLogRouter;
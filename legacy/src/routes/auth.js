@@ -2,6 +2,21 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const authService = require('../services/authService');
+const { PERMISSIONS, getRolePermissions } = require('../services/permissionService');
+const { recordAuditEvent } = require('../services/auditLog');
+const { accountLockedError, recordFailedLogin, recordSignIn } = require('../services/accountSecurity');
+const {
+  getTwoFactorStatus,
+  isTwoFactorRequired,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  createChallenge,
+  useChallengeAttempt,
+  deleteChallenge
+} = require('../services/twoFactor');
+const sso = require('../services/sso');
+const config = require('../config');
 const { 
   authLimiter, 
   passwordResetLimiter 
@@ -83,6 +98,18 @@ const validateSignin = [
     .custom(securityValidator('password')),
 ];
 
+const validateTwoFactorChallenge = [
+  body('challengeToken')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Sign-in challenge required'),
+  body('code')
+    .isString()
+    .trim()
+    .isLength({ min: 6, max: 20 })
+    .withMessage('Verification code required'),
+];
+
 const validatePasswordResetRequest = [
   body('email')
     .isEmail()
@@ -114,6 +141,12 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Where a sign-in comes from, kept on the session and checked for new devices and IPs
+const signInClient = (req) => ({
+  ipAddress: req.ip || req.connection?.remoteAddress || null,
+  userAgent: (req.headers['user-agent'] || '').slice(0, 500) || null
+});
+
 // Register endpoint
 router.post('/register', authLimiter, validateSignup, handleValidationErrors, async (req, res) => {
   try {
@@ -133,7 +166,10 @@ router.post('/register', authLimiter, validateSignup, handleValidationErrors, as
     });
     
     // Create session for new user
-    const { token, session } = await authService.createSession(user);
+    const { token, session } = await authService.createSession(user, signInClient(req));
+    await recordSignIn(req.app.locals.db, user, signInClient(req)).catch(error => {
+      console.error('[AUTH] Failed to record sign-in source:', error.message);
+    });
     
     console.log(`[AUTH] New user registered: ${email} from ${userCompany}`);
     console.log(`[AUTH] User saved with ID: ${user.id}, Tenant ID: ${user.tenant_id}`);
@@ -174,47 +210,326 @@ router.post('/register', authLimiter, validateSignup, handleValidationErrors, as
   }
 });
 
+// Issue the session once every factor has been checked (sets the session cookie)
+// @returns the user's permissions
+async function startSession(req, res, user, extra = {}) {
+  const db = req.app.locals.db;
+  await authService.completeAuthentication(user);
+  
+  // Create session
+  const { token, session } = await authService.createSession(user, signInClient(req));
+  
+  // A sign-in from a device or IP the user hasn't used before leaves them a notice
+  const source = await recordSignIn(db, user, signInClient(req)).catch(error => {
+    console.error('[AUTH] Failed to record sign-in source:', error.message);
+    return {};
+  });
+  
+  console.log(`[AUTH] User signed in: ${user.email}`);
+  const metadata = {};
+  if (source.newDevice || source.newIp) {
+    Object.assign(metadata, { new_device: source.newDevice, new_ip: source.newIp });
+  }
+  if (extra.twoFactorMethod) {
+    metadata.two_factor = extra.twoFactorMethod;
+  }
+  if (extra.method) {
+    metadata.method = extra.method;
+  }
+  await recordAuditEvent(db, req, {
+    action: 'auth.signin',
+    tenantId: user.tenant_id,
+    actorEmail: user.email,
+    targetType: 'user',
+    targetId: user.id,
+    metadata
+  });
+  
+  // Permissions let the client decide which navigation to show; the server checks them again
+  const permissions = authService.isAdmin(user)
+    ? [...PERMISSIONS]
+    : await getRolePermissions(db, user.tenant_id, user.role || 'user').catch(() => []);
+  
+  // Set secure httpOnly cookie
+  res.cookie('sessionToken', token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+  });
+  
+  return permissions;
+}
+
+// Issue the session and answer the sign-in
+async function completeSignIn(req, res, user, extra = {}) {
+  const permissions = await startSession(req, res, user, extra);
+  
+  res.json({ 
+    success: true, 
+    message: 'Sign in successful',
+    user: {
+      id: user.id,
+      fullName: user.full_name,
+      email: user.email,
+      companyName: user.company_name,
+      tenantId: user.tenant_id,
+      role: user.role || 'user',
+      permissions,
+      status: user.status || 'active'
+    },
+    // Only when 2FA was set up during this sign-in; shown to the user once
+    recoveryCodes: extra.recoveryCodes
+  });
+}
+
+// 423 for a locked account, auditing the lockout when this attempt caused it
+async function respondAccountLocked(req, res, error) {
+  if (error.justLocked) {
+    await recordAuditEvent(req.app.locals.db, req, {
+      action: 'auth.account_locked',
+      tenantId: error.user.tenant_id,
+      actorEmail: error.user.email,
+      actorType: 'system',
+      targetType: 'user',
+      targetId: error.user.id,
+      metadata: { locked_until: error.lockedUntil.toISOString() }
+    });
+  }
+  res.set('Retry-After', String(Math.max(1, Math.ceil((error.lockedUntil - Date.now()) / 1000))));
+  return res.status(423).json({
+    success: false,
+    message: error.message,
+    lockedUntil: error.lockedUntil.toISOString()
+  });
+}
+
 // Signin endpoint  
 router.post('/signin', authLimiter, validateSignin, handleValidationErrors, async (req, res) => {
   try {
     const { email, password } = req.body;
+    const db = req.app.locals.db;
     
     // Authenticate user using AuthService
-    const user = await authService.authenticateUser(email, password);
+    const user = await authService.authenticateUser(email, password, signInClient(req));
     
-    // Create session
-    const { token, session } = await authService.createSession(user);
+    // With 2FA on (or required by the tenant) the password only earns a short-lived challenge
+    const twoFactor = await getTwoFactorStatus(db, user.id);
+    if (twoFactor.enabled || await isTwoFactorRequired(db, user.tenant_id)) {
+      const enrollment = !twoFactor.enabled;
+      const challenge = await createChallenge(db, user.id, { enrollment });
+      console.log(`[AUTH] Password accepted for ${email}, ${enrollment ? '2FA enrollment' : '2FA code'} required`);
+      
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: challenge.token,
+        expiresAt: challenge.expiresAt.toISOString(),
+        // The tenant requires 2FA and this user has none yet: enroll to finish signing in
+        enrollment: enrollment ? await beginEnrollment(db, user) : undefined
+      });
+    }
     
-    console.log(`[AUTH] User signed in: ${email}`);
+    await completeSignIn(req, res, user);
     
-    // Set secure httpOnly cookie
-    res.cookie('sessionToken', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 24 * 60 * 60 * 1000 // 24 hours
+  } catch (error) {
+    // The password was right but a required 2FA enrollment can't be started
+    if (error.code === 'ENCRYPTION_KEY_MISSING') {
+      console.error('[AUTH] 2FA enrollment unavailable:', error.message);
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+    console.log(`[AUTH] Authentication failed for: ${req.body.email}`);
+    // Attribute the attempt to the account's tenant when the email belongs to one
+    const account = await authService.getUserByEmail(req.body.email).catch(() => null);
+    await recordAuditEvent(req.app.locals.db, req, {
+      action: 'auth.signin_failed',
+      tenantId: account?.tenant_id || null,
+      actorEmail: req.body.email,
+      actorType: 'anonymous',
+      targetType: account ? 'user' : null,
+      targetId: account?.id,
+      metadata: error.code === 'ACCOUNT_LOCKED' ? { reason: 'account_locked' } : undefined
     });
     
-    res.json({ 
-      success: true, 
-      message: 'Sign in successful',
-      user: {
-        id: user.id,
-        fullName: user.full_name,
-        email: user.email,
-        companyName: user.company_name,
+    if (error.code === 'ACCOUNT_LOCKED') {
+      return respondAccountLocked(req, res, error);
+    }
+    
+    return res.status(401).json({ 
+      success: false, 
+      message: 'Invalid email or password' 
+    });
+  }
+});
+
+// Second sign-in step: a TOTP or recovery code for the challenge from /signin. For an enrollment
+// challenge the code confirms the new authenticator and the response carries the recovery codes.
+router.post('/signin/2fa', authLimiter, validateTwoFactorChallenge, handleValidationErrors, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const db = req.app.locals.db;
+    
+    const challenge = await useChallengeAttempt(db, challengeToken);
+    const user = challenge && await authService.getUserById(challenge.user_id);
+    if (!user || user.status === 'disabled') {
+      return res.status(401).json({
+        success: false,
+        challengeExpired: true,
+        message: 'Your sign-in has expired. Please sign in again.'
+      });
+    }
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await deleteChallenge(db, challenge.id);
+      return respondAccountLocked(req, res, accountLockedError(new Date(user.locked_until)));
+    }
+    
+    let recoveryCodes;
+    let twoFactorMethod;
+    if (challenge.enrollment) {
+      recoveryCodes = await confirmEnrollment(db, user.id, code);
+      twoFactorMethod = recoveryCodes ? 'totp' : null;
+    } else {
+      twoFactorMethod = await verifySecondFactor(db, user.id, code);
+    }
+    
+    if (!twoFactorMethod) {
+      // Wrong codes count towards the account lockout like wrong passwords
+      const lockedUntil = await recordFailedLogin(db, user, signInClient(req));
+      await recordAuditEvent(db, req, {
+        action: 'auth.two_factor_failed',
         tenantId: user.tenant_id,
-        role: user.role || 'user',
-        status: user.status || 'active'
+        actorEmail: user.email,
+        actorType: 'anonymous',
+        targetType: 'user',
+        targetId: user.id
+      });
+      if (lockedUntil) {
+        await deleteChallenge(db, challenge.id);
+        const error = accountLockedError(lockedUntil);
+        error.justLocked = true;
+        error.user = user;
+        return respondAccountLocked(req, res, error);
       }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid verification code'
+      });
+    }
+    
+    await deleteChallenge(db, challenge.id);
+    if (challenge.enrollment) {
+      await recordAuditEvent(db, req, {
+        action: 'auth.two_factor_enabled',
+        tenantId: user.tenant_id,
+        actorEmail: user.email,
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { during_signin: true }
+      });
+    }
+    if (twoFactorMethod === 'recovery_code') {
+      console.log(`[AUTH] ${user.email} signed in with a recovery code`);
+    }
+    
+    await completeSignIn(req, res, user, { recoveryCodes, twoFactorMethod });
+    
+  } catch (error) {
+    console.error('[AUTH] Two-factor sign-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Sign in failed'
     });
+  }
+});
+
+// Single sign-on: send the browser to the identity provider of the tenant that claims the
+// email's domain. Errors go back to the sign-in page as ?sso_error=CODE.
+router.get('/sso/start', authLimiter, async (req, res) => {
+  const email = String(req.query.email || '').trim().toLowerCase();
+  try {
+    const provider = /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email) && await sso.findProviderForEmail(req.app.locals.db, email);
+    if (!provider) {
+      return res.redirect('/signin?sso_error=NO_PROVIDER');
+    }
     
+    const { url, state } = await sso.beginLogin(req.app.locals.db, provider, email);
+    // Binds the callback to this browser; lax so it comes back on the provider's redirect
+    res.cookie('ssoState', state, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'lax',
+      path: '/api/auth/sso',
+      maxAge: config.sso.stateTtlMs
+    });
+    console.log(`[AUTH] SSO sign-in started for ${email} (tenant ${provider.tenant_id})`);
+    res.redirect(url);
   } catch (error) {
-    console.log(`[AUTH] Authentication failed for: ${req.body.email}`);
-    return res.status(401).json({ 
-      success: false, 
-      message: 'Invalid email or password' 
+    console.error('[AUTH] SSO start error:', error.message);
+    res.redirect(`/signin?sso_error=${encodeURIComponent(error.code || 'SSO_FAILED')}`);
+  }
+});
+
+// The identity provider's redirect back: verify the sign-in, provision the user on their
+// first visit and start a session. The sign-in page then loads the user and continues.
+router.get('/sso/callback', authLimiter, async (req, res) => {
+  const db = req.app.locals.db;
+  const { state, code, error: providerError } = req.query;
+  const expectedState = req.cookies?.ssoState;
+  res.clearCookie('ssoState', { path: '/api/auth/sso' });
+  
+  let provider;
+  let claims;
+  try {
+    if (providerError) {
+      throw sso.ssoError('PROVIDER_ERROR', `Identity provider returned ${providerError}: ${req.query.error_description || ''}`.trim());
+    }
+    if (typeof state !== 'string' || typeof code !== 'string' || !expectedState || state !== expectedState) {
+      throw sso.ssoError('STATE_EXPIRED', 'Sign-in state missing or does not match this browser', 401);
+    }
+    
+    ({ provider, claims } = await sso.completeLogin(db, state, code));
+    const { user, created, previousRole } = await sso.provisionUser(db, provider, claims);
+    if (user.status === 'disabled') {
+      throw sso.ssoError('ACCOUNT_DISABLED', `${user.email} is disabled`, 403);
+    }
+    
+    if (created) {
+      await recordAuditEvent(db, req, {
+        action: 'user.sso_provisioned',
+        tenantId: user.tenant_id,
+        actorEmail: user.email,
+        targetType: 'user',
+        targetId: user.id,
+        after: { email: user.email, full_name: user.full_name, role: user.role },
+        metadata: { issuer: provider.issuer }
+      });
+    } else if (previousRole) {
+      await recordAuditEvent(db, req, {
+        action: 'user.update',
+        tenantId: user.tenant_id,
+        actorEmail: user.email,
+        actorType: 'system',
+        targetType: 'user',
+        targetId: user.id,
+        before: { role: previousRole },
+        after: { role: user.role },
+        metadata: { source: 'sso', role_claim: provider.role_claim }
+      });
+    }
+    
+    // The identity provider is responsible for MFA, so 2FA is not asked again here
+    await startSession(req, res, user, { method: 'sso' });
+    res.redirect('/signin?sso=complete');
+  } catch (error) {
+    console.error('[AUTH] SSO callback error:', error.message);
+    await recordAuditEvent(db, req, {
+      action: 'auth.sso_signin_failed',
+      tenantId: provider?.tenant_id || null,
+      actorEmail: claims?.email || null,
+      actorType: 'anonymous',
+      metadata: { reason: error.code || 'SSO_FAILED', message: error.message }
     });
+    res.redirect(`/signin?sso_error=${encodeURIComponent(error.code || 'SSO_FAILED')}`);
   }
 });
 
@@ -229,6 +544,13 @@ router.post('/signout', async (req, res) => {
     const session = await authService.getSession(token);
     if (session) {
       console.log(`[AUTH] User signed out: ${session.email}`);
+      await recordAuditEvent(req.app.locals.db, req, {
+        action: 'auth.signout',
+        tenantId: session.tenantId,
+        actorEmail: session.email,
+        targetType: 'user',
+        targetId: session.userId
+      });
     }
     await authService.destroySession(token);
   }
@@ -254,6 +576,15 @@ router.post('/password-reset-request', passwordResetLimiter, validatePasswordRes
     console.log(`[AUTH] Password reset token generated for: ${email}`);
     if (resetToken) {
       console.log(`[AUTH] Token (for testing): ${resetToken}`);
+      const account = await authService.getUserByEmail(email);
+      await recordAuditEvent(req.app.locals.db, req, {
+        action: 'auth.password_reset_requested',
+        tenantId: account?.tenant_id,
+        actorEmail: email,
+        actorType: 'anonymous',
+        targetType: 'user',
+        targetId: account?.id
+      });
     }
     
     res.json({
@@ -275,9 +606,17 @@ router.post('/password-reset', passwordResetLimiter, validatePasswordReset, hand
   try {
     const { token, newPassword } = req.body;
     
-    await authService.resetPassword(token, newPassword);
+    const userId = await authService.resetPassword(token, newPassword);
     
     console.log(`[AUTH] Password reset completed with token: ${token}`);
+    const account = await authService.getUserById(userId);
+    await recordAuditEvent(req.app.locals.db, req, {
+      action: 'auth.password_reset',
+      tenantId: account?.tenant_id,
+      actorEmail: account?.email,
+      targetType: 'user',
+      targetId: userId
+    });
     
     res.json({
       success: true,
@@ -364,6 +703,15 @@ router.post('/reset-password', passwordResetLimiter, async (req, res) => {
     );
 
     console.log(`[AUTH] Password reset completed for user ID: ${userId}`);
+    const account = await authService.getUserById(userId);
+    await recordAuditEvent(db, req, {
+      action: 'auth.password_reset',
+      tenantId: account?.tenant_id,
+      actorEmail: account?.email,
+      targetType: 'user',
+      targetId: userId,
+      metadata: { via: 'reset_link' }
+    });
 
     res.json({ 
       success: true,
@@ -0,0 +1,220 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const collections = require('../services/collections');
+const { recordAuditEvent } = require('../services/auditLog');
+
+const validateTenantParam = [
+    param('tenantId')
+        .isUUID()
+        .withMessage('Tenant ID must be a UUID')
+];
+
+const validateCollectionParam = [
+    param('collectionId')
+        .isUUID()
+        .withMessage('Collection ID must be a UUID')
+];
+
+const validateCollectionFields = [
+    body('description')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('Description must be at most 255 characters'),
+    body('parent_id')
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('parent_id must be a collection ID')
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Verify tenant access
+const requireOwnTenant = (req, res, next) => {
+    if (req.params.tenantId !== req.tenantId) {
+        return res.status(403).json({ error: 'Access denied to this tenant' });
+    }
+    next();
+};
+
+function createCollectionsRouter(db) {
+    const router = express.Router();
+    const requireCollectionManagement = requirePermission(collections.MANAGE_PERMISSION);
+
+    // All routes require authentication
+    router.use('/api/tenants/:tenantId/collections', authenticate);
+
+    // Collections the user may read, with document counts; managers also get the members
+    router.get('/api/tenants/:tenantId/collections',
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const readable = await collections.getRequestReadableCollections(db, req);
+            res.json({
+                data: await collections.listCollections(db, req.tenantId, readable),
+                can_manage: readable === null
+            });
+        } catch (error) {
+            console.error('[COLLECTIONS] List collections error:', error);
+            res.status(500).json({ error: 'Failed to retrieve collections' });
+        }
+    });
+
+    // Create a collection, at the top level or inside parent_id (collections:manage)
+    router.post('/api/tenants/:tenantId/collections',
+        requireCollectionManagement,
+        validateTenantParam,
+        validateCollectionFields,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const collection = await collections.createCollection(db, req.tenantId, {
+                name: req.body.name,
+                description: req.body.description,
+                parentId: req.body.parent_id,
+                createdBy: req.userEmail
+            });
+            await recordAuditEvent(db, req, {
+                action: 'collection.create',
+                targetType: 'collection',
+                targetId: collection.collection_id,
+                after: { name: collection.name, parent_id: collection.parent_id }
+            });
+            console.log(`[COLLECTIONS] Collection ${collection.name} created for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.status(201).json({ collection: { ...collection, document_count: 0, members: [] } });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[COLLECTIONS] Create collection error:', error);
+            res.status(500).json({ error: 'Failed to create collection' });
+        }
+    });
+
+    // Rename, describe or move a collection; parent_id null moves it to the top level (collections:manage)
+    router.put('/api/tenants/:tenantId/collections/:collectionId',
+        requireCollectionManagement,
+        validateTenantParam,
+        validateCollectionParam,
+        validateCollectionFields,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const { name, description, parent_id: parentId } = req.body;
+            if (name === undefined && description === undefined && parentId === undefined) {
+                return res.status(400).json({ error: 'No fields to update' });
+            }
+
+            const previous = await collections.getCollection(db, req.tenantId, req.params.collectionId);
+            if (!previous) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+            const collection = await collections.updateCollection(db, req.tenantId, req.params.collectionId, {
+                name,
+                description,
+                parentId
+            });
+            if (!collection) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'collection.update',
+                targetType: 'collection',
+                targetId: collection.collection_id,
+                before: { name: previous.name, description: previous.description, parent_id: previous.parent_id },
+                after: { name: collection.name, description: collection.description, parent_id: collection.parent_id }
+            });
+
+            res.json({ collection });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[COLLECTIONS] Update collection error:', error);
+            res.status(500).json({ error: 'Failed to update collection' });
+        }
+    });
+
+    // Delete an empty collection (collections:manage)
+    router.delete('/api/tenants/:tenantId/collections/:collectionId',
+        requireCollectionManagement,
+        validateTenantParam,
+        validateCollectionParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const deleted = await collections.deleteCollection(db, req.tenantId, req.params.collectionId);
+            if (!deleted) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'collection.delete',
+                targetType: 'collection',
+                targetId: req.params.collectionId
+            });
+
+            res.json({ ok: true });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[COLLECTIONS] Delete collection error:', error);
+            res.status(500).json({ error: 'Failed to delete collection' });
+        }
+    });
+
+    // Replace who may read a collection: [{ type: 'user', member: email } | { type: 'role', member: name }] (collections:manage)
+    router.put('/api/tenants/:tenantId/collections/:collectionId/members',
+        requireCollectionManagement,
+        validateTenantParam,
+        validateCollectionParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const previous = (await collections.listCollections(db, req.tenantId, null))
+                .find(collection => collection.collection_id === req.params.collectionId);
+            if (!previous) {
+                return res.status(404).json({ error: 'Collection not found' });
+            }
+            const members = await collections.setCollectionMembers(db, req.tenantId, req.params.collectionId, req.body?.members, req.userEmail);
+            await recordAuditEvent(db, req, {
+                action: 'collection.members_update',
+                targetType: 'collection',
+                targetId: req.params.collectionId,
+                before: { members: previous.members },
+                after: { members }
+            });
+            console.log(`[COLLECTIONS] Members of ${previous.name} set for tenant ${req.tenantId} by ${req.userEmail}:`, members.length);
+
+            res.json({ members });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[COLLECTIONS] Update members error:', error);
+            res.status(500).json({ error: 'Failed to update members' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createCollectionsRouter;
@@ -0,0 +1,267 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const webCrawler = require('../services/webCrawler');
+const collections = require('../services/collections');
+const { recordAuditEvent } = require('../services/auditLog');
+
+const validateTenantParam = [
+    param('tenantId')
+        .isUUID()
+        .withMessage('Tenant ID must be a UUID')
+];
+
+const validateSourceParam = [
+    param('sourceId')
+        .isUUID()
+        .withMessage('Source ID must be a UUID')
+];
+
+const validatePageQuery = [
+    query('status')
+        .optional()
+        .isIn(['active', 'retired'])
+        .withMessage('status must be active or retired'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 500 })
+        .toInt(),
+    query('offset')
+        .optional()
+        .isInt({ min: 0 })
+        .toInt()
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Verify tenant access
+const requireOwnTenant = (req, res, next) => {
+    if (req.params.tenantId !== req.tenantId) {
+        return res.status(403).json({ error: 'Access denied to this tenant' });
+    }
+    next();
+};
+
+// Settings recorded in the audit log when a source is created or changed
+function auditedFields(source) {
+    const { name, seed_urls, sitemap_url, include_patterns, exclude_patterns, max_depth, max_pages,
+        respect_robots, schedule, enabled, collection_id } = source;
+    return { name, seed_urls, sitemap_url, include_patterns, exclude_patterns, max_depth, max_pages,
+        respect_robots, schedule, enabled, collection_id };
+}
+
+function createCrawlSourcesRouter(db) {
+    const router = express.Router();
+    const requireCrawlerManagement = requirePermission('crawler:manage');
+
+    // All routes require authentication and crawler:manage
+    router.use('/api/tenants/:tenantId/crawl-sources', authenticate, requireCrawlerManagement);
+
+    // Sources must file their pages in a collection the user may read
+    async function assertCollection(req, collectionId) {
+        const readable = await collections.getRequestReadableCollections(db, req);
+        await collections.assertFileableCollection(db, req.tenantId, readable, collectionId);
+    }
+
+    // The tenant's crawl sources with page counts and their last run
+    router.get('/api/tenants/:tenantId/crawl-sources',
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            res.json({ data: await webCrawler.listSources(db, req.tenantId) });
+        } catch (error) {
+            console.error('[CRAWLER] List sources error:', error);
+            res.status(500).json({ error: 'Failed to retrieve crawl sources' });
+        }
+    });
+
+    // Create a source: { name, seed_urls?, sitemap_url?, include_patterns?, exclude_patterns?, max_depth?,
+    // max_pages?, respect_robots?, schedule?, enabled?, collection_id? }
+    router.post('/api/tenants/:tenantId/crawl-sources',
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const fields = webCrawler.validateSource(req.body || {});
+            await assertCollection(req, fields.collection_id);
+            const source = await webCrawler.createSource(db, req.tenantId, fields, req.userEmail);
+            await recordAuditEvent(db, req, {
+                action: 'crawl_source.create',
+                targetType: 'crawl_source',
+                targetId: source.source_id,
+                after: auditedFields(source)
+            });
+            console.log(`[CRAWLER] Source ${source.name} created for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.status(201).json({ source });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[CRAWLER] Create source error:', error);
+            res.status(500).json({ error: 'Failed to create crawl source' });
+        }
+    });
+
+    router.get('/api/tenants/:tenantId/crawl-sources/:sourceId',
+        validateTenantParam,
+        validateSourceParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const source = await webCrawler.getSource(db, req.tenantId, req.params.sourceId);
+            if (!source) {
+                return res.status(404).json({ error: 'Crawl source not found' });
+            }
+            res.json({ source });
+        } catch (error) {
+            console.error('[CRAWLER] Get source error:', error);
+            res.status(500).json({ error: 'Failed to retrieve crawl source' });
+        }
+    });
+
+    // Change a source's settings; fields left out keep their values
+    router.put('/api/tenants/:tenantId/crawl-sources/:sourceId',
+        validateTenantParam,
+        validateSourceParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const previous = await webCrawler.getSource(db, req.tenantId, req.params.sourceId);
+            if (!previous) {
+                return res.status(404).json({ error: 'Crawl source not found' });
+            }
+            const fields = webCrawler.validateSource(req.body || {}, previous);
+            if (fields.collection_id !== previous.collection_id) {
+                await assertCollection(req, fields.collection_id);
+            }
+            const source = await webCrawler.updateSource(db, req.tenantId, req.params.sourceId, fields);
+            if (!source) {
+                return res.status(404).json({ error: 'Crawl source not found' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'crawl_source.update',
+                targetType: 'crawl_source',
+                targetId: source.source_id,
+                before: auditedFields(previous),
+                after: auditedFields(source)
+            });
+
+            res.json({ source });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[CRAWLER] Update source error:', error);
+            res.status(500).json({ error: 'Failed to update crawl source' });
+        }
+    });
+
+    // Delete a source and the documents of its pages
+    router.delete('/api/tenants/:tenantId/crawl-sources/:sourceId',
+        validateTenantParam,
+        validateSourceParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const previous = await webCrawler.getSource(db, req.tenantId, req.params.sourceId);
+            const deleted = previous && await webCrawler.deleteSource(db, req.tenantId, req.params.sourceId);
+            if (!deleted) {
+                return res.status(404).json({ error: 'Crawl source not found' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'crawl_source.delete',
+                targetType: 'crawl_source',
+                targetId: req.params.sourceId,
+                before: auditedFields(previous),
+                metadata: deleted
+            });
+
+            res.json({ ok: true, ...deleted });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[CRAWLER] Delete source error:', error);
+            res.status(500).json({ error: 'Failed to delete crawl source' });
+        }
+    });
+
+    // Crawl a source now; the crawl runs in the background and its outcome lands in last_status
+    router.post('/api/tenants/:tenantId/crawl-sources/:sourceId/run',
+        validateTenantParam,
+        validateSourceParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const source = await webCrawler.claimSource(db, req.tenantId, req.params.sourceId);
+            if (!source) {
+                return res.status(404).json({ error: 'Crawl source not found' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'crawl_source.run',
+                targetType: 'crawl_source',
+                targetId: source.source_id
+            });
+            console.log(`[CRAWLER] Crawl of ${source.name} started for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.status(202).json({ source });
+
+            webCrawler.runCrawl(db, source).catch(error => {
+                console.error(`[CRAWLER] Crawl of source ${source.source_id} failed:`, error.message);
+            });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[CRAWLER] Run source error:', error);
+            res.status(500).json({ error: 'Failed to start crawl' });
+        }
+    });
+
+    // Pages a source has found, with the document each is stored as
+    router.get('/api/tenants/:tenantId/crawl-sources/:sourceId/pages',
+        validateTenantParam,
+        validateSourceParam,
+        validatePageQuery,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const source = await webCrawler.getSource(db, req.tenantId, req.params.sourceId);
+            if (!source) {
+                return res.status(404).json({ error: 'Crawl source not found' });
+            }
+            const { pages, total } = await webCrawler.listPages(db, req.tenantId, req.params.sourceId, {
+                status: req.query.status,
+                limit: req.query.limit || 100,
+                offset: req.query.offset || 0
+            });
+            res.json({ data: pages, total });
+        } catch (error) {
+            console.error('[CRAWLER] List pages error:', error);
+            res.status(500).json({ error: 'Failed to retrieve crawled pages' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createCrawlSourcesRouter;
@@ -1,12 +1,15 @@
 const express = require('express');
 const crypto = require('crypto');
 const { param, validationResult } = require('express-validator');
+const config = require('../config');
 const { 
     isValidUUID, 
     sanitizeHtml, 
     containsSqlInjection 
 } = require('../utils/validation');
 const { requireAuth } = require('../middleware/auth');
+const { getBlobStore, contentTypeFor, safeFilename } = require('../services/blobStore');
+const collections = require('../services/collections');
 
 // Security validation middleware
 const validateDocumentId = [
@@ -34,13 +37,58 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+// Headers for serving a document file inline
+function setDownloadHeaders(res, { contentType, filename, size }) {
+    res.setHeader('Content-Type', contentType);
+    if (size) {
+        res.setHeader('Content-Length', size);
+    }
+    res.setHeader('Content-Disposition', `inline; filename="${safeFilename(filename)}"`);
+    
+    // Additional security headers for file downloads
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-Frame-Options', 'DENY');
+    res.setHeader('X-Download-Options', 'noopen'); // IE security
+    
+    // CSP for document viewing
+    res.setHeader('Content-Security-Policy', "default-src 'none'; script-src 'none'; object-src 'none';");
+}
+
 function createDocumentRouter(db) {
     const router = express.Router();
     
-    // Apply authentication to all document routes
+    // GET /api/documents/blob - Signed download URL of the local blob store (the signature is the auth)
+    router.get('/blob', async (req, res) => {
+        const blobStore = getBlobStore();
+        const blob = blobStore.driver === 'local' ? blobStore.verifySignedUrl(req.query) : null;
+        if (!blob) {
+            return res.status(403).json({ error: 'Invalid or expired download link' });
+        }
+        
+        const stream = blobStore.createReadStream(blob.key);
+        stream.on('open', () => {
+            setDownloadHeaders(res, blob);
+            res.setHeader('Cache-Control', 'private, max-age=60');
+            stream.pipe(res);
+        });
+        stream.on('error', (error) => {
+            if (error.code === 'ENOENT') {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            console.error('[DOCUMENT RETRIEVAL] Blob read error:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Failed to retrieve document' });
+            } else {
+                res.destroy(error);
+            }
+        });
+    });
+    
+    // Apply authentication to all other document routes
     router.use(requireAuth);
     
-    // GET /api/documents/:document_id - Retrieve raw document with security validation
+    // GET /api/documents/:document_id - Redirect to a short-lived signed download URL
+    // (?redirect=false returns it as JSON); files uploaded before blob storage are served directly
     router.get('/:document_id', validateDocumentId, handleValidationErrors, async (req, res) => {
         try {
             const { document_id } = req.params;
@@ -50,7 +98,8 @@ function createDocumentRouter(db) {
             
             // Retrieve document with tenant-based access control
             const result = await db.query(
-                'SELECT file_data, file_type, original_filename, file_size, tenant_id FROM rag_documents WHERE document_id = $1',
+                `SELECT storage_key, file_data IS NOT NULL AS has_file_data, file_type, original_filename, file_size, tenant_id, collection_id
+                 FROM rag_documents WHERE document_id = $1`,
                 [document_id]
             );
             
@@ -67,70 +116,46 @@ function createDocumentRouter(db) {
                 return res.status(403).json({ error: 'Access denied - insufficient permissions' });
             }
             
-            if (!doc.file_data) {
-                console.log(`[DOCUMENT RETRIEVAL] Document ${document_id} has no binary data`);
-                return res.status(404).json({ error: 'Document has no file data' });
+            // Documents in collections the user can't read don't exist for them
+            const readable = await collections.getRequestReadableCollections(db, req);
+            if (!collections.canReadCollection(readable, doc.collection_id)) {
+                console.log(`[SECURITY] User ${req.user?.email} attempted to access document ${document_id} outside their collections`);
+                return res.status(404).json({ error: 'Document not found' });
             }
             
-            // Set appropriate content type based on file type
-            const contentTypeMap = {
-                'pdf': 'application/pdf',
-                'doc': 'application/msword',
-                'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-                'ppt': 'application/vnd.ms-powerpoint',
-                'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-                'xls': 'application/vnd.ms-excel',
-                'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-                'rtf': 'application/rtf',
-                'html': 'text/html',
-                'htm': 'text/html',
-                'csv': 'text/csv',
-                'txt': 'text/plain',
-                'jpg': 'image/jpeg',
-                'jpeg': 'image/jpeg',
-                'png': 'image/png',
-                'gif': 'image/gif',
-                'bmp': 'image/bmp',
-                'tiff': 'image/tiff',
-                'webp': 'image/webp',
-                'odt': 'application/vnd.oasis.opendocument.text',
-                'ods': 'application/vnd.oasis.opendocument.spreadsheet',
-                'odp': 'application/vnd.oasis.opendocument.presentation',
-                'epub': 'application/epub+zip',
-                'md': 'text/markdown',
-                'xml': 'application/xml',
-                'json': 'application/json',
-                'tex': 'application/x-tex',
-                'xps': 'application/vnd.ms-xpsdocument',
-                'mobi': 'application/x-mobipocket-ebook',
-                'svg': 'image/svg+xml',
-                'eml': 'message/rfc822',
-                'msg': 'application/vnd.ms-outlook'
-            };
+            const contentType = contentTypeFor(doc.file_type);
             
-            const contentType = contentTypeMap[doc.file_type] || 'application/octet-stream';
+            if (doc.storage_key) {
+                const expiresIn = config.storage.signedUrlTtl;
+                const signedUrl = await getBlobStore().getSignedUrl(doc.storage_key, {
+                    expiresIn,
+                    filename: doc.original_filename,
+                    contentType
+                });
+                // Local store URLs are relative to this app
+                const url = new URL(signedUrl, `${req.protocol}://${req.get('host')}`).href;
+                
+                res.setHeader('Cache-Control', 'no-store');
+                if (req.query.redirect === 'false') {
+                    return res.json({ url, expires_at: new Date(Date.now() + expiresIn * 1000).toISOString() });
+                }
+                console.log(`[DOCUMENT RETRIEVAL] Redirecting to signed URL for document ${document_id}`);
+                return res.redirect(302, url);
+            }
             
-            // Sanitize filename to prevent injection attacks
-            const sanitizedFilename = doc.original_filename
-                .replace(/[^\w\-_.]/g, '_') // Replace non-safe characters with underscore
-                .substring(0, 255); // Limit filename length
+            if (!doc.has_file_data) {
+                console.log(`[DOCUMENT RETRIEVAL] Document ${document_id} has no binary data`);
+                return res.status(404).json({ error: 'Document has no file data' });
+            }
             
-            // Set security headers for file download
-            res.setHeader('Content-Type', contentType);
-            res.setHeader('Content-Length', doc.file_size);
-            res.setHeader('Content-Disposition', `inline; filename="${sanitizedFilename}"`);
+            // Not moved to the blob store yet (npm run storage:migrate)
+            const fileResult = await db.query('SELECT file_data FROM rag_documents WHERE document_id = $1', [document_id]);
             
-            // Additional security headers for file downloads
-            res.setHeader('X-Content-Type-Options', 'nosniff');
+            setDownloadHeaders(res, { contentType, filename: doc.original_filename, size: doc.file_size });
             res.setHeader('Cache-Control', 'private, max-age=3600'); // Cache for 1 hour
-            res.setHeader('X-Frame-Options', 'DENY');
-            res.setHeader('X-Download-Options', 'noopen'); // IE security
-            
-            // CSP for document viewing
-            res.setHeader('Content-Security-Policy', "default-src 'none'; script-src 'none'; object-src 'none';");
             
             // Send raw binary data
-            res.send(doc.file_data);
+            res.send(fileResult.rows[0].file_data);
             
             console.log(`[DOCUMENT RETRIEVAL] Successfully served document ${document_id} (${doc.file_size} bytes)`);
             
@@ -1,9 +1,16 @@
 const express = require('express');
 const crypto = require('crypto');
 const { body, param, validationResult } = require('express-validator');
-const { validateTenant, validateCallbackToken, rateLimit } = require('../middleware/ragAuth');
+const { validateTenant, requireScope, validateCallbackToken, rateLimit } = require('../middleware/ragAuth');
+const { requirePermission } = require('../middleware/auth');
 const { generateCallbackToken } = require('../utils/rag');
 const authService = require('../services/authService');
+const { recordAuditEvent } = require('../services/auditLog');
+const { tenantQuota, tenantStorageLimit } = require('../middleware/rateLimiter');
+const contentDedup = require('../services/contentDedup');
+const documentVersions = require('../services/documentVersions');
+const collections = require('../services/collections');
+const { getUserRole } = require('../services/permissionService');
 const { 
     isValidUUID, 
     sanitizeHtml, 
@@ -54,7 +61,11 @@ const validateKnowledgeIngestion = [
     body('articles.*.tags.*')
         .optional()
         .isLength({ max: 50 })
-        .withMessage('Each tag must be less than 50 characters')
+        .withMessage('Each tag must be less than 50 characters'),
+    body(['collection_id', 'articles.*.collection_id'])
+        .optional({ nullable: true })
+        .isUUID()
+        .withMessage('collection_id must be a collection ID')
 ];
 
 const validateCallbackRequest = [
@@ -87,7 +98,11 @@ const handleValidationErrors = (req, res, next) => {
 
 function createKnowledgeRouter(db, sessions) {
     const router = express.Router();
-    const validateTenantMW = validateTenant(sessions);
+    const validateTenantMW = validateTenant(sessions, db);
+    // API keys are checked against their scopes, users against their role's permissions
+    const readKnowledgeAccess = requireScope('read-knowledge');
+    const writeKnowledgeAccess = [requireScope('write-knowledge'), requirePermission('knowledge:write')];
+    const deleteKnowledgeAccess = [requireScope('write-knowledge'), requirePermission('knowledge:delete')];
     const validateCallbackTokenMW = validateCallbackToken(db);
 
     // Middleware to log all requests
@@ -101,7 +116,10 @@ function createKnowledgeRouter(db, sessions) {
         validateKnowledgeIngestion, 
         handleValidationErrors,
         validateTenantMW, 
+        writeKnowledgeAccess,
         rateLimit, 
+        tenantQuota('documents', { cost: req => req.body.articles?.length || 1 }),
+        tenantStorageLimit(req => (req.body.articles || []).reduce((total, article) => total + Buffer.byteLength(String(article?.content || '')), 0)),
         async (req, res) => {
         try {
             // Use the tenant ID from the authenticated session, not from URL
@@ -113,7 +131,13 @@ function createKnowledgeRouter(db, sessions) {
                 return res.status(400).json({ error: 'Articles array required' });
             }
             
+            // collection_id files every article; an article's own collection_id overrides it
+            const readable = await collections.getRequestReadableCollections(db, req);
+            const defaultCollectionId = req.body.collection_id || null;
+            await collections.assertFileableCollection(db, tenantId, readable, defaultCollectionId);
+            
             const results = [];
+            let dedupPolicy = null;
             
             for (const article of articles) {
                 // Additional security validation (express-validator already ran)
@@ -149,6 +173,47 @@ function createKnowledgeRouter(db, sessions) {
                         .filter(tag => tag.length > 0 && tag.length <= 50)
                     : [];
                 
+                // An article the tenant already has is rejected, linked to the existing article, or
+                // stored as a new version of it, per the tenant's deduplication policy
+                const contentHash = contentDedup.hashContent(sanitizedContent);
+                const duplicate = await contentDedup.findDuplicate(db, tenantId, contentHash, readable);
+                if (duplicate) {
+                    dedupPolicy = dedupPolicy || await contentDedup.getDedupPolicy(db, tenantId);
+                    if (dedupPolicy === 'reject') {
+                        results.push({
+                            error: 'Duplicate of an existing article',
+                            title: sanitizedTitle,
+                            duplicate_of: duplicate.document_id,
+                            skipped: true
+                        });
+                        continue;
+                    }
+                    if (dedupPolicy === 'link') {
+                        results.push({
+                            article_id: duplicate.document_id,
+                            title: sanitizedTitle,
+                            duplicate_of: duplicate.document_id,
+                            status: 'duplicate'
+                        });
+                        continue;
+                    }
+                }
+                
+                // New versions stay in their article's collection
+                let collectionId = duplicate ? duplicate.collection_id : defaultCollectionId;
+                if (!duplicate && article.collection_id !== undefined) {
+                    try {
+                        await collections.assertFileableCollection(db, tenantId, readable, article.collection_id);
+                    } catch (error) {
+                        if (!error.status) {
+                            throw error;
+                        }
+                        results.push({ error: error.message, title: sanitizedTitle, skipped: true });
+                        continue;
+                    }
+                    collectionId = article.collection_id || null;
+                }
+                
                 const articleId = crypto.randomUUID();
                 const callbackId = crypto.randomBytes(16).toString('hex');
                 
@@ -162,41 +227,66 @@ function createKnowledgeRouter(db, sessions) {
                     await generateCallbackToken(db, tenantId);
                 }
                 
-                // Store knowledge article with sanitized data
-                await db.query(
-                    `INSERT INTO rag_documents (
-                        tenant_id, document_id, callback_id, content, metadata, 
-                        created_by, status
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                    [
-                        tenantId, 
-                        articleId, 
-                        callbackId, 
-                        sanitizedContent, 
-                        {
-                            ...article.metadata,
-                            title: sanitizedTitle,
-                            category: sanitizedCategory,
-                            tags: sanitizedTags,
-                            source: sanitizeHtml(article.source || 'actions-platform'),
-                            type: 'knowledge-article',
-                            originalTitle: article.title, // Keep original for reference
-                            processedAt: new Date().toISOString()
-                        },
-                        req.userEmail || 'actions-platform',
-                        'pending'  // Changed from 'pending-vectorization' to fit VARCHAR(20)
-                    ]
-                );
+                // Store knowledge article with sanitized data; a new version stays out of search until vectorized
+                let version = 1;
+                await db.transaction(async (client) => {
+                    if (duplicate) {
+                        version = await documentVersions.nextVersion(client, tenantId, duplicate.lineage_id);
+                    }
+                    await client.query(
+                        `INSERT INTO rag_documents (
+                            tenant_id, document_id, callback_id, content, metadata, 
+                            created_by, status, lineage_id, version, is_current, content_hash, collection_id
+                        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+                        [
+                            tenantId, 
+                            articleId, 
+                            callbackId, 
+                            sanitizedContent, 
+                            {
+                                ...article.metadata,
+                                title: sanitizedTitle,
+                                category: sanitizedCategory,
+                                tags: sanitizedTags,
+                                source: sanitizeHtml(article.source || 'actions-platform'),
+                                type: 'knowledge-article',
+                                originalTitle: article.title, // Keep original for reference
+                                processedAt: new Date().toISOString()
+                            },
+                            req.userEmail || 'actions-platform',
+                            'pending',  // Changed from 'pending-vectorization' to fit VARCHAR(20)
+                            duplicate ? duplicate.lineage_id : null,
+                            version,
+                            !duplicate,
+                            contentHash,
+                            collectionId
+                        ]
+                    );
+                });
                 
                 results.push({ 
                     article_id: articleId, 
                     callback_id: callbackId,
                     title: sanitizedTitle,
-                    status: 'accepted'
+                    status: 'accepted',
+                    collection_id: collectionId,
+                    ...(duplicate && { version, replaces: duplicate.document_id })
                 });
                 
                 // Log the knowledge ingestion
                 console.log(`[KNOWLEDGE] Ingested article: ${article.title} (${articleId}) for tenant: ${tenantId}`);
+                await recordAuditEvent(db, req, {
+                    action: 'knowledge.ingest',
+                    targetType: 'knowledge_article',
+                    targetId: articleId,
+                    after: {
+                        title: sanitizedTitle,
+                        category: sanitizedCategory,
+                        tags: sanitizedTags,
+                        content_length: sanitizedContent.length,
+                        collection_id: collectionId
+                    }
+                });
             }
             
             res.json({ 
@@ -205,10 +295,14 @@ function createKnowledgeRouter(db, sessions) {
                 articles: results,
                 total: results.length,
                 accepted: results.filter(r => r.status === 'accepted').length,
+                duplicates: results.filter(r => r.status === 'duplicate').length,
                 skipped: results.filter(r => r.skipped).length
             });
             
         } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
             console.error('[KNOWLEDGE] Ingest error:', error);
             res.status(500).json({ error: 'Internal server error' });
         }
@@ -216,9 +310,12 @@ function createKnowledgeRouter(db, sessions) {
 
     // 2. Search knowledge with embeddings - tenant isolated
     // This endpoint can be called by external systems with callback token OR internal systems with session
+    // Searches the collections the session's user may read; callback token callers name the user with
+    // message_id (the chat's user) or user_email, and otherwise only search documents outside collections
     router.post('/tenant/:tenantId/knowledge/search-embedding', async (req, res) => {
         try {
             const { tenantId } = req.params;
+            let collectionIds = [];
             
             // Check for authentication - either callback token or session token
             const callbackToken = req.headers['x-callback-token'];
@@ -239,6 +336,13 @@ function createKnowledgeRouter(db, sessions) {
                 if (result.rows.length === 0) {
                     return res.status(401).json({ error: 'Invalid callback token' });
                 }
+                
+                const { message_id, user_email } = req.body;
+                if (typeof message_id === 'string' && isValidUUID(message_id)) {
+                    collectionIds = await collections.getMessageReadableCollections(db, tenantId, message_id);
+                } else if (typeof user_email === 'string' && user_email) {
+                    collectionIds = await collections.getUserReadableCollections(db, tenantId, user_email);
+                }
             } else if (sessionToken) {
                 // Validate session token and ensure tenant isolation
                 const session = await authService.getSession(sessionToken);
@@ -252,6 +356,12 @@ function createKnowledgeRouter(db, sessions) {
                     console.log(`[SECURITY] Tenant isolation violation blocked: Session tenant ${session.tenantId} tried to access tenant ${tenantId}`);
                     return res.status(403).json({ error: 'Access denied - tenant isolation violation' });
                 }
+                // The session keeps the role the user signed in with; access follows the current one
+                const role = session.userId ? await getUserRole(db, tenantId, session.userId) : session.role;
+                if (!role) {
+                    return res.status(401).json({ error: 'Invalid session' });
+                }
+                collectionIds = await collections.getReadableCollections(db, tenantId, { email: session.email, role });
             }
             const { 
                 query_embedding, 
@@ -284,6 +394,7 @@ function createKnowledgeRouter(db, sessions) {
                 JOIN rag_documents d ON v.document_id = d.document_id
                 WHERE v.tenant_id = $2
                     AND d.tenant_id = $2
+                    AND d.is_current
                     AND 1 - (v.embedding <=> $1::vector) > $3
             `;
             
@@ -305,6 +416,8 @@ function createKnowledgeRouter(db, sessions) {
                 queryParams.push(tags);
             }
             
+            searchQuery += collections.collectionScopeClause(collectionIds, queryParams);
+            
             searchQuery += `
                 ORDER BY v.embedding <=> $1::vector
                 LIMIT $${queryParams.length + 1}
@@ -432,13 +545,16 @@ function createKnowledgeRouter(db, sessions) {
                 storedCount++;
             }
             
-            // Update document status
-            await db.query(
-                `UPDATE rag_documents 
-                 SET status = $1, updated_at = CURRENT_TIMESTAMP 
-                 WHERE callback_id = $2 AND tenant_id = $3`,
-                ['vectorized', callback_id, tenantId]
-            );
+            // Update document status; a new version of an article replaces the current one now
+            await db.transaction(async (client) => {
+                await client.query(
+                    `UPDATE rag_documents 
+                     SET status = $1, updated_at = CURRENT_TIMESTAMP 
+                     WHERE callback_id = $2 AND tenant_id = $3`,
+                    ['vectorized', callback_id, tenantId]
+                );
+                await documentVersions.promoteVersion(client, tenantId, doc.document_id);
+            });
             
             console.log(`[KNOWLEDGE CALLBACK] Stored ${storedCount} vectors for document ${document_id}, tenant ${tenantId}`);
             
@@ -457,7 +573,7 @@ function createKnowledgeRouter(db, sessions) {
     });
 
     // 4. Get knowledge articles for a tenant
-    router.get('/tenant/:tenantId/knowledge', validateTenantMW, async (req, res) => {
+    router.get('/tenant/:tenantId/knowledge', validateTenantMW, readKnowledgeAccess, async (req, res) => {
         try {
             const { tenantId } = req.params;
             const { 
@@ -471,21 +587,25 @@ function createKnowledgeRouter(db, sessions) {
             if (tenantId !== req.tenantId) {
                 return res.status(403).json({ error: 'Tenant ID mismatch' });
             }
+            const readable = await collections.getRequestReadableCollections(db, req);
             
             let query = `
                 SELECT 
                     document_id,
                     metadata,
                     status,
+                    collection_id,
                     created_by,
                     created_at,
                     updated_at
                 FROM rag_documents
                 WHERE tenant_id = $1
+                    AND is_current
                     AND metadata->>'type' = 'knowledge-article'
             `;
             
             const queryParams = [tenantId];
+            query += collections.collectionScopeClause(readable, queryParams, 'collection_id');
             
             if (category) {
                 query += ` AND metadata->>'category' = $${queryParams.length + 1}`;
@@ -509,12 +629,14 @@ function createKnowledgeRouter(db, sessions) {
                 SELECT COUNT(*) as total
                 FROM rag_documents
                 WHERE tenant_id = $1
+                    AND is_current
                     AND metadata->>'type' = 'knowledge-article'
             `;
             const countParams = [tenantId];
+            countQuery += collections.collectionScopeClause(readable, countParams, 'collection_id');
             
             if (category) {
-                countQuery += ` AND metadata->>'category' = $2`;
+                countQuery += ` AND metadata->>'category' = $${countParams.length + 1}`;
                 countParams.push(category);
             }
             
@@ -532,6 +654,7 @@ function createKnowledgeRouter(db, sessions) {
                 tags: row.metadata?.tags || [],
                 source: row.metadata?.source || 'unknown',
                 status: row.status,
+                collection_id: row.collection_id,
                 created_by: row.created_by,
                 created_at: row.created_at,
                 updated_at: row.updated_at
@@ -556,7 +679,7 @@ function createKnowledgeRouter(db, sessions) {
     });
 
     // 5. Delete knowledge article (tenant-isolated)
-    router.delete('/tenant/:tenantId/knowledge/:articleId', validateTenantMW, async (req, res) => {
+    router.delete('/tenant/:tenantId/knowledge/:articleId', validateTenantMW, deleteKnowledgeAccess, async (req, res) => {
         try {
             const { tenantId, articleId } = req.params;
             
@@ -565,19 +688,33 @@ function createKnowledgeRouter(db, sessions) {
                 return res.status(403).json({ error: 'Tenant ID mismatch' });
             }
             
+            // Deleting the current article removes all of its versions; articles in collections
+            // the caller can't read are not found
+            const versionsParams = [articleId, tenantId];
+            const scope = collections.collectionScopeClause(
+                await collections.getRequestReadableCollections(db, req), versionsParams, 'a.collection_id');
+            const versionsResult = await db.query(
+                `SELECT v.document_id FROM rag_documents a
+                 JOIN rag_documents v ON v.tenant_id = a.tenant_id
+                    AND (v.document_id = a.document_id OR (a.is_current AND v.lineage_id = a.lineage_id))
+                 WHERE a.document_id = $1 AND a.tenant_id = $2 
+                    AND a.metadata->>'type' = 'knowledge-article'${scope}`,
+                versionsParams
+            );
+            const documentIds = versionsResult.rows.map(row => row.document_id);
+            
             // Delete vectors first (foreign key constraint)
             await db.query(
-                'DELETE FROM rag_vectors WHERE document_id = $1 AND tenant_id = $2',
-                [articleId, tenantId]
+                'DELETE FROM rag_vectors WHERE document_id = ANY($1::uuid[]) AND tenant_id = $2',
+                [documentIds, tenantId]
             );
             
             // Delete document
             const result = await db.query(
                 `DELETE FROM rag_documents 
-                 WHERE document_id = $1 AND tenant_id = $2 
-                    AND metadata->>'type' = 'knowledge-article'
-                 RETURNING document_id`,
-                [articleId, tenantId]
+                 WHERE document_id = ANY($1::uuid[]) AND tenant_id = $2 
+                 RETURNING document_id, metadata->>'title' AS title, metadata->>'category' AS category, created_by`,
+                [documentIds, tenantId]
             );
             
             if (result.rows.length === 0) {
@@ -589,6 +726,15 @@ function createKnowledgeRouter(db, sessions) {
             }
             
             console.log(`[KNOWLEDGE DELETE] Deleted article ${articleId} for tenant ${tenantId}`);
+            const deleted = result.rows.find(row => row.document_id === articleId.toLowerCase()) || result.rows[0];
+            const { title, category, created_by } = deleted;
+            await recordAuditEvent(db, req, {
+                action: 'knowledge.delete',
+                targetType: 'knowledge_article',
+                targetId: articleId,
+                before: { title, category, created_by },
+                metadata: result.rows.length > 1 ? { versions_deleted: result.rows.length } : {}
+            });
             
             res.json({ 
                 success: true,
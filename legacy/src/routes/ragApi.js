@@ -1,25 +1,422 @@
 const express = require('express');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const axios = require('axios');
 const multer = require('multer');
-const { validateTenant, validateCallbackToken, rateLimit } = require('../middleware/ragAuth');
+const { validateTenant, requireScope, validateCallbackToken, rateLimit } = require('../middleware/ragAuth');
+const { requirePermission } = require('../middleware/auth');
 const { generateCallbackToken } = require('../utils/rag');
+const { SEARCH_MODES, validateSearchFilters, searchChunks } = require('../utils/hybridSearch');
+const { searchConversations } = require('../utils/conversationSearch');
 const ResolveWebhook = require('../utils/resolve-webhook');
 const { getRabbitMQInstance } = require('../services/rabbitmq');
+const IngestionPipeline = require('../services/ingestionPipeline');
+const { getChatStreamService, storeAssistantMessage, broadcastChatEvent } = require('../services/chatStreamService');
+const { SSEHub, getSSEHub } = require('../services/sseHub');
+const ConversationContext = require('../services/conversationContext');
+const { resolveMessageSources, attachMessageSources } = require('../services/messageSources');
+const messageFeedback = require('../services/messageFeedback');
+const { recordAuditEvent } = require('../services/auditLog');
+const { tenantQuota, tenantStorageLimit, enforceTenantQuota } = require('../middleware/rateLimiter');
+const { getRateLimitStore } = require('../services/rateLimitStore');
+const { recordUsage } = require('../services/usageMetering');
+const { getBlobStore, documentBlobKey, contentTypeFor } = require('../services/blobStore');
+const documentVersions = require('../services/documentVersions');
+const contentDedup = require('../services/contentDedup');
+const uploadSessions = require('../services/uploadSessions');
+const collections = require('../services/collections');
+const config = require('../config');
 
-// Configure multer for in-memory file storage
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Most chunks a vector search may return
+const MAX_SEARCH_LIMIT = 100;
+
+// Plan quotas: each ingested document and chat message counts, and new content counts toward storage
+const ingestedDocuments = req => (Array.isArray(req.body?.documents) ? req.body.documents : []);
+const ingestQuota = [
+    tenantQuota('documents', { cost: req => ingestedDocuments(req).length }),
+    tenantStorageLimit(req => ingestedDocuments(req).reduce((total, doc) => total + Buffer.byteLength(String(doc?.content || '')), 0))
+];
+const uploadQuota = [tenantQuota('documents'), tenantStorageLimit(req => req.file?.size || 0)];
+const uploadSessionQuota = [tenantQuota('documents'), tenantStorageLimit(req => Number(req.uploadSession?.file_size) || 0)];
+const messageQuota = tenantQuota('messages');
+
+const SUPPORTED_UPLOAD_TYPES = ['pdf','doc','docx','ppt','pptx','xls','xlsx','rtf','html','htm','csv','txt','jpg','jpeg','png','gif','bmp','tiff','webp','odt','ods','odp','epub','md','xml','json','tex','xps','mobi','svg','docm','dotx','pptm','xlsm','xlsb','vsdx','vsd','pub','mht','mhtml','eml','msg'];
+
+// Uploads are spooled to disk and streamed into the blob store, never held in memory
 const upload = multer({
-    storage: multer.memoryStorage(),
+    dest: path.join(config.storage.uploadDir, 'tmp'),
     limits: {
         fileSize: 100 * 1024 * 1024 // 100MB limit
     }
 });
 
+// Remove the spooled upload once the response is done, however the request ended
+function removeSpooledUpload(req, res, next) {
+    res.on('close', () => {
+        if (req.file?.path) {
+            fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+        }
+    });
+    next();
+}
+
 function createRagRouter(db, sessions) {
     const router = express.Router();
-    const validateTenantMW = validateTenant(sessions);
+    const validateTenantMW = validateTenant(sessions, db);
+    // API keys are checked against their scopes, users against their role's permissions
+    const readKnowledgeAccess = requireScope('read-knowledge');
+    const writeKnowledgeAccess = [requireScope('write-knowledge'), requirePermission('knowledge:write')];
+    const deleteKnowledgeAccess = [requireScope('write-knowledge'), requirePermission('knowledge:delete')];
+    const chatAccess = [requireScope('chat'), requirePermission('chat:use')];
+    const vectorStatsAccess = [requireScope('admin'), requirePermission('analytics:view')];
+    const vectorDeleteAccess = [requireScope('admin'), requirePermission('knowledge:delete')];
     const validateCallbackTokenMW = validateCallbackToken(db);
-    const resolveWebhook = new ResolveWebhook();
+    const resolveWebhook = new ResolveWebhook(db);
+    const ingestionPipeline = new IngestionPipeline(db);
+    const chatStream = getChatStreamService(db);
+    const sseHub = getSSEHub();
+    const conversationContext = new ConversationContext(db);
+    
+    // Send an event to every knowledge-stream SSE client of a tenant (on any instance)
+    function broadcastKnowledgeEvent(tenantId, event) {
+        sseHub.publish(SSEHub.knowledgeChannel(tenantId), event).catch(err => {
+            console.error('[RAG API] Failed to publish knowledge SSE event:', err.message);
+        });
+    }
+    
+    // Announce that a new version of a document now answers searches (see documentVersions.promoteVersion)
+    function broadcastVersionPromoted(tenantId, documentId, promoted) {
+        if (!promoted) {
+            return;
+        }
+        console.log(`[VERSIONS] Document ${documentId} is now version ${promoted.version} of ${promoted.lineage_id}`);
+        broadcastKnowledgeEvent(tenantId, {
+            type: 'document-version',
+            document_id: documentId,
+            status: 'current',
+            metadata: { ...promoted, timestamp: new Date().toISOString() }
+        });
+    }
+    
+    // Run the in-process chunking/embedding pipeline and report the outcome over SSE
+    async function runIngestionPipeline(tenantId, documentId, markdown) {
+        try {
+            const result = await ingestionPipeline.processDocument({ tenantId, documentId, markdown });
+            if (result.skipped) {
+                if (result.reason === 'empty-document' || result.reason === 'external-vectors') {
+                    const promoted = await db.transaction(async (client) => {
+                        await client.query(
+                            `UPDATE rag_documents SET status = 'ready', updated_at = CURRENT_TIMESTAMP
+                             WHERE document_id = $1 AND tenant_id = $2 AND status = 'processing'`,
+                            [documentId, tenantId]
+                        );
+                        return documentVersions.promoteVersion(client, tenantId, documentId);
+                    });
+                    broadcastVersionPromoted(tenantId, documentId, promoted);
+                    broadcastKnowledgeEvent(tenantId, {
+                        type: 'document-status',
+                        document_id: documentId,
+                        status: 'ready',
+                        metadata: { timestamp: new Date().toISOString() }
+                    });
+                }
+                return;
+            }
+            
+            const timestamp = new Date().toISOString();
+            broadcastKnowledgeEvent(tenantId, {
+                type: 'document-vectorized',
+                document_id: documentId,
+                status: 'vectorized',
+                metadata: { vector_count: result.vectors_stored, embedding_provider: result.provider, timestamp }
+            });
+            broadcastKnowledgeEvent(tenantId, {
+                type: 'document-status',
+                document_id: documentId,
+                status: 'ready',
+                metadata: { vector_count: result.vectors_stored, timestamp }
+            });
+            broadcastVersionPromoted(tenantId, documentId, result.promoted);
+        } catch (error) {
+            console.error(`[INGESTION] Failed to vectorize document ${documentId}:`, error.message);
+            try {
+                await db.query(
+                    `UPDATE rag_documents SET status = 'failed', updated_at = CURRENT_TIMESTAMP
+                     WHERE document_id = $1 AND tenant_id = $2`,
+                    [documentId, tenantId]
+                );
+            } catch (updateError) {
+                console.error('[INGESTION] Failed to mark document as failed:', updateError.message);
+            }
+            broadcastKnowledgeEvent(tenantId, {
+                type: 'document-status',
+                document_id: documentId,
+                status: 'failed',
+                metadata: { error: error.message, timestamp: new Date().toISOString() }
+            });
+        }
+    }
+    
+    /**
+     * Store an uploaded file as a document, or a new version of one, and send it for processing.
+     * Shared by the single-request upload and completed resumable uploads.
+     * @param {Object} req - Authenticated request (tenant and user)
+     * @param {Object} uploadedFile - { path, size, originalname, sha256 (hashed here when missing) }
+     * @param {Object} [options]
+     * @param {string} [options.replaces] - Document the upload is a new version of
+     * @param {string} [options.collectionId] - Collection to file a new document in, already checked
+     *   with assertFileableCollection; new versions stay in their document's collection
+     * @returns {Promise<{status: number, body: Object}>} Response to send
+     */
+    async function storeUploadedDocument(req, uploadedFile, { replaces = null, collectionId = null } = {}) {
+        const fileExt = uploadedFile.originalname.split('.').pop().toLowerCase();
+        const contentHash = uploadedFile.sha256 || await documentVersions.hashFile(uploadedFile.path);
+        // Documents in collections the uploader can't read are neither duplicates nor revised by the upload
+        const readable = await collections.getRequestReadableCollections(db, req);
+        
+        // A file the tenant already has is rejected, linked to the existing document, or
+        // stored as a new version of it, per the tenant's deduplication policy
+        const duplicate = await contentDedup.findDuplicate(db, req.tenantId, contentHash, readable);
+        if (duplicate) {
+            const policy = await contentDedup.getDedupPolicy(db, req.tenantId);
+            console.log(`[UPLOAD] ${uploadedFile.originalname} duplicates document ${duplicate.document_id} (policy: ${policy})`);
+            if (policy === 'reject') {
+                return {
+                    status: 409,
+                    body: { error: 'This file has already been uploaded', duplicate_of: duplicate }
+                };
+            }
+            if (policy === 'link') {
+                return {
+                    status: 200,
+                    body: {
+                        success: true,
+                        document_id: duplicate.document_id,
+                        lineage_id: duplicate.lineage_id,
+                        version: duplicate.version,
+                        status: duplicate.status,
+                        duplicate: true,
+                        message: 'Identical to an existing document; no new copy was stored'
+                    }
+                };
+            }
+        }
+        
+        let revised;
+        try {
+            revised = await documentVersions.findRevisedDocument(db, req.tenantId, {
+                replaces: replaces || duplicate?.document_id
+            });
+        } catch (error) {
+            if (error.status === 404) {
+                return { status: 404, body: { error: error.message } };
+            }
+            throw error;
+        }
+        if (revised && !collections.canReadCollection(readable, revised.collection_id)) {
+            if (replaces) {
+                return { status: 404, body: { error: 'Document to replace not found' } };
+            }
+            revised = null;
+        }
+        const targetCollectionId = revised ? revised.collection_id : collectionId;
+        
+        // Generate IDs and tokens
+        const documentId = crypto.randomUUID();
+        const callbackId = crypto.randomBytes(16).toString('hex');
+        const callbackToken = crypto.randomBytes(32).toString('hex');
+        // No expiry - tokens are permanent for document processing
+        
+        // Get app URL
+        let appUrl = process.env.APP_URL || 'http://localhost:5000';
+        try {
+            const configResult = await db.query(
+                'SELECT value FROM system_config WHERE key = $1',
+                ['app_url']
+            );
+            if (configResult.rows.length > 0) {
+                appUrl = configResult.rows[0].value;
+            }
+        } catch (configError) {
+            console.log('Using environment APP_URL:', appUrl);
+        }
+        
+        // Store the file in the blob store; the row only keeps its key
+        const blobStore = getBlobStore();
+        const storageKey = documentBlobKey(req.tenantId, documentId);
+        await blobStore.put(storageKey, fs.createReadStream(uploadedFile.path), {
+            size: uploadedFile.size,
+            contentType: contentTypeFor(fileExt)
+        });
+        
+        const lineageId = revised ? revised.lineage_id : documentId;
+        let version = 1;
+        try {
+            await db.transaction(async (client) => {
+                // New versions stay out of search until their vectors are stored (see promoteVersion)
+                if (revised) {
+                    version = await documentVersions.nextVersion(client, req.tenantId, lineageId);
+                }
+                
+                // Note: content column is required, set it to filename for now
+                await client.query(
+                    `INSERT INTO rag_documents (
+                        tenant_id, document_id, content, storage_key, file_type, file_size, 
+                        original_filename, callback_token, token_expires_at, 
+                        status, created_by, callback_id,
+                        lineage_id, version, is_current, content_hash, collection_id
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)`,
+                    [
+                        req.tenantId,
+                        documentId,
+                        `Document: ${uploadedFile.originalname}`, // Placeholder content
+                        storageKey,
+                        fileExt,
+                        uploadedFile.size,
+                        uploadedFile.originalname,
+                        callbackToken,
+                        null, // No expiry for document tokens
+                        'processing',
+                        req.userEmail,
+                        callbackId,
+                        lineageId,
+                        version,
+                        !revised,
+                        contentHash,
+                        targetCollectionId
+                    ]
+                );
+            
+                // Queue webhook to actions platform for document processing
+                await resolveWebhook.sendDocumentProcessingEvent({
+                    source: 'onboarding',
+                    action: 'document-processing',
+                    tenant_id: req.tenantId,
+                    document_id: documentId,
+                    document_url: `${appUrl}/api/documents/${documentId}`,
+                    callback_url: `${appUrl}/api/rag/document-callback/${documentId}`, // Legacy
+                    markdown_callback_url: `${appUrl}/api/rag/document-callback/${documentId}`,
+                    vector_callback_url: `${appUrl}/api/rag/callback/${callbackId}`,
+                    callback_token: callbackToken,
+                    file_type: fileExt,
+                    file_size: uploadedFile.size,
+                    original_filename: uploadedFile.originalname
+                }, { client, idempotencyKey: `document-processing-${documentId}` });
+            });
+        } catch (error) {
+            // Don't leave a blob behind for a document that was never created
+            await blobStore.delete(storageKey).catch(() => {});
+            throw error;
+        }
+        resolveWebhook.notifyDispatcher();
+        
+        await recordAuditEvent(db, req, {
+            action: 'document.upload',
+            targetType: 'document',
+            targetId: documentId,
+            after: {
+                original_filename: uploadedFile.originalname,
+                file_type: fileExt,
+                file_size: uploadedFile.size,
+                version,
+                collection_id: targetCollectionId
+            },
+            metadata: revised ? { lineage_id: lineageId, replaces: revised.document_id } : {}
+        });
+        
+        // Track the action
+        await resolveWebhook.trackAction({
+            action: 'document-upload',
+            source: 'RAG_Document',
+            userEmail: req.userEmail,
+            tenantId: req.tenantId,
+            metadata: {
+                document_id: documentId,
+                file_type: fileExt,
+                file_size: uploadedFile.size
+            }
+        });
+        
+        // Emit SSE event for document upload
+        broadcastKnowledgeEvent(req.tenantId, {
+            type: 'document-uploaded',
+            document_id: documentId,
+            status: 'processing',
+            metadata: {
+                filename: uploadedFile.originalname,
+                file_type: fileExt,
+                file_size: uploadedFile.size,
+                lineage_id: lineageId,
+                version,
+                collection_id: targetCollectionId,
+                timestamp: new Date().toISOString()
+            }
+        });
+        console.log(`[UPLOAD] Sent SSE event for document ${documentId}`);
+        
+        return {
+            status: 200,
+            body: {
+                success: true,
+                document_id: documentId,
+                lineage_id: lineageId,
+                version,
+                replaces: revised ? revised.document_id : null,
+                collection_id: targetCollectionId,
+                status: 'processing',
+                message: revised
+                    ? `Version ${version} uploaded and sent for processing; it replaces the current version once processed`
+                    : 'Document uploaded and sent for processing'
+            }
+        };
+    }
+    
+    /**
+     * The collection a request asks to file documents in, checked against what the caller may read
+     * @param {Object} req - Authenticated request
+     * @param {string} [collectionId] - collection_id as sent
+     * @returns {Promise<string|null>} null when none was given
+     * @throws {Error} 400 for a malformed ID, 404 for a collection the caller can't read
+     */
+    async function requestedCollection(req, collectionId) {
+        if (collectionId === undefined || collectionId === null || collectionId === '') {
+            return null;
+        }
+        if (typeof collectionId !== 'string' || !UUID_PATTERN.test(collectionId)) {
+            const error = new Error('collection_id must be a collection ID');
+            error.status = 400;
+            throw error;
+        }
+        const readable = await collections.getRequestReadableCollections(db, req);
+        await collections.assertFileableCollection(db, req.tenantId, readable, collectionId);
+        return collectionId;
+    }
+    
+    // Hide documents in collections the caller can't read from routes naming one document
+    async function requireReadableDocument(req, res, next) {
+        const documentId = req.params.document_id || req.params.documentId;
+        if (!UUID_PATTERN.test(documentId)) {
+            return next();
+        }
+        try {
+            const readable = await collections.getRequestReadableCollections(db, req);
+            if (readable !== null) {
+                const result = await db.query(
+                    'SELECT collection_id FROM rag_documents WHERE document_id = $1 AND tenant_id = $2',
+                    [documentId, req.tenantId]
+                );
+                if (result.rows.length > 0 && !collections.canReadCollection(readable, result.rows[0].collection_id)) {
+                    return res.status(404).json({ error: 'Document not found' });
+                }
+            }
+            next();
+        } catch (error) {
+            console.error('[COLLECTIONS] Failed to check document access:', error);
+            res.status(500).json({ error: 'Failed to check document access' });
+        }
+    }
     
     // Debug middleware to log all incoming requests to RAG API
     router.use((req, res, next) => {
@@ -32,7 +429,7 @@ function createRagRouter(db, sessions) {
     });
 
     // 1a. Document Upload Endpoint (stores binary files)
-    router.post('/upload-document', validateTenantMW, rateLimit, upload.single('document'), async (req, res) => {
+    router.post('/upload-document', validateTenantMW, writeKnowledgeAccess, rateLimit, upload.single('document'), removeSpooledUpload, uploadQuota, async (req, res) => {
         try {
             // Check if file was uploaded
             if (!req.file) {
@@ -49,147 +446,204 @@ function createRagRouter(db, sessions) {
             
             // Extract file type from originalname (multer property)
             const fileExt = uploadedFile.originalname.split('.').pop().toLowerCase();
-            const supportedTypes = ['pdf','doc','docx','ppt','pptx','xls','xlsx','rtf','html','htm','csv','txt','jpg','jpeg','png','gif','bmp','tiff','webp','odt','ods','odp','epub','md','xml','json','tex','xps','mobi','svg','docm','dotx','pptm','xlsm','xlsb','vsdx','vsd','pub','mht','mhtml','eml','msg'];
-            
-            if (!supportedTypes.includes(fileExt)) {
+            if (!SUPPORTED_UPLOAD_TYPES.includes(fileExt)) {
                 return res.status(400).json({ error: `Unsupported file type: ${fileExt}` });
             }
             
-            // Generate IDs and tokens
-            const documentId = crypto.randomUUID();
-            const callbackId = crypto.randomBytes(16).toString('hex');
-            const callbackToken = crypto.randomBytes(32).toString('hex');
-            // No expiry - tokens are permanent for document processing
-            
-            // Store document in database with binary data
-            // Note: content column is required, set it to filename for now
-            await db.query(
-                `INSERT INTO rag_documents (
-                    tenant_id, document_id, content, file_data, file_type, file_size, 
-                    original_filename, callback_token, token_expires_at, 
-                    status, created_by, callback_id
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
-                [
-                    req.tenantId,
-                    documentId,
-                    `Document: ${uploadedFile.originalname}`, // Placeholder content
-                    uploadedFile.buffer, // Binary data from multer memory storage
-                    fileExt,
-                    uploadedFile.size,
-                    uploadedFile.originalname,
-                    callbackToken,
-                    null, // No expiry for document tokens
-                    'processing',
-                    req.userEmail,
-                    callbackId
-                ]
-            );
-            
-            // Get app URL
-            let appUrl = process.env.APP_URL || 'http://localhost:5000';
-            try {
-                const configResult = await db.query(
-                    'SELECT value FROM system_config WHERE key = $1',
-                    ['app_url']
-                );
-                if (configResult.rows.length > 0) {
-                    appUrl = configResult.rows[0].value;
-                }
-            } catch (configError) {
-                console.log('Using environment APP_URL:', appUrl);
+            // A re-upload naming the document in `replaces` becomes a new version of it
+            const replaces = req.body?.replaces || null;
+            if (replaces && !UUID_PATTERN.test(replaces)) {
+                return res.status(400).json({ error: 'replaces must be a document ID' });
             }
+            const collectionId = await requestedCollection(req, req.body?.collection_id);
+            const { status, body } = await storeUploadedDocument(req, uploadedFile, { replaces, collectionId });
+            res.status(status).json(body);
             
-            // Send webhook to actions platform for document processing
-            try {
-                await resolveWebhook.sendDocumentProcessingEvent({
-                    source: 'onboarding',
-                    action: 'document-processing',
-                    tenant_id: req.tenantId,
-                    document_id: documentId,
-                    document_url: `${appUrl}/api/documents/${documentId}`,
-                    callback_url: `${appUrl}/api/rag/document-callback/${documentId}`, // Legacy
-                    markdown_callback_url: `${appUrl}/api/rag/document-callback/${documentId}`,
-                    vector_callback_url: `${appUrl}/api/rag/callback/${callbackId}`,
-                    callback_token: callbackToken,
-                    file_type: fileExt,
-                    file_size: uploadedFile.size,
-                    original_filename: uploadedFile.originalname
-                });
-                
-                // Track the action
-                await resolveWebhook.trackAction({
-                    action: 'document-upload',
-                    source: 'RAG_Document',
-                    userEmail: req.userEmail,
-                    tenantId: req.tenantId,
-                    metadata: {
-                        document_id: documentId,
-                        file_type: fileExt,
-                        file_size: uploadedFile.size
-                    }
-                });
-            } catch (webhookError) {
-                // Add to retry queue
-                await db.query(
-                    `INSERT INTO rag_webhook_failures (tenant_id, webhook_type, payload, next_retry_at) 
-                     VALUES ($1, $2, $3, $4)`,
-                    [req.tenantId, 'document-processing', JSON.stringify({
-                        source: 'onboarding',
-                        action: 'document-processing',
-                        document_id: documentId,
-                        document_url: `${appUrl}/api/documents/${documentId}`,
-                        callback_url: `${appUrl}/api/rag/document-callback/${documentId}`,
-                        callback_token: callbackToken
-                    }), new Date(Date.now() + 60000)]
-                );
-                console.error('Document processing webhook failed, added to retry queue:', webhookError.message);
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
             }
+            console.error('Document upload error:', error);
+            res.status(500).json({ error: 'Failed to upload document' });
+        }
+    });
+
+    // Load the tenant's resumable upload named in the URL
+    async function loadUploadSession(req, res, next) {
+        if (!UUID_PATTERN.test(req.params.upload_id)) {
+            return res.status(400).json({ error: 'Invalid upload ID' });
+        }
+        try {
+            req.uploadSession = await uploadSessions.getUploadSession(db, req.tenantId, req.params.upload_id);
+            if (!req.uploadSession) {
+                return res.status(404).json({ error: 'Upload not found or expired' });
+            }
+            next();
+        } catch (error) {
+            console.error('[UPLOADS] Failed to load upload session:', error);
+            res.status(500).json({ error: 'Failed to load upload' });
+        }
+    }
+    
+    // 1b. Resumable upload: declare the file; parts are then sent to /uploads/:upload_id/parts/:n
+    router.post('/uploads', validateTenantMW, writeKnowledgeAccess, rateLimit, tenantStorageLimit(req => Number(req.body?.file_size) || 0), async (req, res) => {
+        try {
+            const { filename, replaces } = req.body || {};
+            const fileSize = Number(req.body?.file_size);
+            const sha256 = String(req.body?.sha256 || '').toLowerCase();
             
-            // Emit SSE event for document upload
-            if (global.knowledgeSSEClients && global.knowledgeSSEClients[req.tenantId]) {
-                const sseMessage = JSON.stringify({
-                    type: 'document-uploaded',
-                    document_id: documentId,
-                    status: 'processing',
-                    metadata: {
-                        filename: uploadedFile.originalname,
-                        file_type: fileExt,
-                        file_size: uploadedFile.size,
-                        timestamp: new Date().toISOString()
-                    }
-                });
-                
-                Object.values(global.knowledgeSSEClients[req.tenantId]).forEach(client => {
-                    try {
-                        client.write(`data: ${sseMessage}\n\n`);
-                        console.log(`[UPLOAD] Sent SSE event for document ${documentId}`);
-                    } catch (err) {
-                        console.error(`[UPLOAD] Failed to send SSE event:`, err.message);
+            if (typeof filename !== 'string' || !filename.trim() || filename.length > 255) {
+                return res.status(400).json({ error: 'filename is required (at most 255 characters)' });
+            }
+            const fileExt = filename.split('.').pop().toLowerCase();
+            if (!SUPPORTED_UPLOAD_TYPES.includes(fileExt)) {
+                return res.status(400).json({ error: `Unsupported file type: ${fileExt}` });
+            }
+            const maxSize = config.storage.uploadMaxFileSize;
+            if (!Number.isInteger(fileSize) || fileSize < 1) {
+                return res.status(400).json({ error: 'file_size must be a positive number of bytes' });
+            }
+            if (fileSize > maxSize) {
+                return res.status(400).json({ error: `File exceeds ${Math.round(maxSize / 1024 / 1024)}MB limit` });
+            }
+            if (!uploadSessions.SHA256_PATTERN.test(sha256)) {
+                return res.status(400).json({ error: 'sha256 must be the hex SHA-256 of the file' });
+            }
+            if (replaces) {
+                if (!UUID_PATTERN.test(replaces)) {
+                    return res.status(400).json({ error: 'replaces must be a document ID' });
+                }
+                try {
+                    await documentVersions.findRevisedDocument(db, req.tenantId, { replaces });
+                } catch (error) {
+                    if (error.status === 404) {
+                        return res.status(404).json({ error: error.message });
                     }
-                });
+                    throw error;
+                }
             }
+            const collectionId = await requestedCollection(req, req.body?.collection_id);
+            
+            const session = await uploadSessions.createUploadSession(db, req.tenantId, {
+                filename: filename.trim(),
+                fileType: fileExt,
+                fileSize,
+                sha256,
+                replaces,
+                collectionId,
+                createdBy: req.userEmail
+            });
+            console.log(`[UPLOADS] Started upload ${session.upload_id} of ${session.original_filename} (${fileSize} bytes, ${session.total_parts} parts)`);
             
+            res.status(201).json(uploadSessions.formatUploadSession(session));
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[UPLOADS] Failed to start upload:', error);
+            res.status(500).json({ error: 'Failed to start upload' });
+        }
+    });
+    
+    // 1c. Resumable upload status: which parts have arrived
+    router.get('/uploads/:upload_id', validateTenantMW, writeKnowledgeAccess, loadUploadSession, (req, res) => {
+        res.json(uploadSessions.formatUploadSession(req.uploadSession));
+    });
+    
+    // 1d. Upload one part as the raw request body, with its hex SHA-256 in X-Content-SHA256
+    router.put('/uploads/:upload_id/parts/:part_number', validateTenantMW, writeKnowledgeAccess, loadUploadSession, async (req, res) => {
+        const sha256 = String(req.get('x-content-sha256') || '').toLowerCase();
+        if (!uploadSessions.SHA256_PATTERN.test(sha256)) {
+            return res.status(400).json({ error: 'X-Content-SHA256 header with the part\'s hex SHA-256 is required' });
+        }
+        
+        try {
+            const part = await uploadSessions.storePart(db, req.uploadSession, Number(req.params.part_number), req, sha256);
+            const received = new Set([...req.uploadSession.parts.map(p => p.part_number), part.part_number]);
             res.json({
-                success: true,
-                document_id: documentId,
-                status: 'processing',
-                message: 'Document uploaded and sent for processing'
+                ...part,
+                parts_received: received.size,
+                total_parts: req.uploadSession.total_parts
             });
-            
         } catch (error) {
-            console.error('Document upload error:', error);
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error(`[UPLOADS] Failed to store part ${req.params.part_number} of upload ${req.params.upload_id}:`, error);
+            res.status(500).json({ error: 'Failed to store part' });
+        }
+    });
+    
+    // 1e. Complete a resumable upload: assemble and verify the parts, then store the document
+    // exactly as /upload-document does. Completing again returns the document it became.
+    router.post('/uploads/:upload_id/complete', validateTenantMW, writeKnowledgeAccess, loadUploadSession, uploadSessionQuota, async (req, res) => {
+        const session = req.uploadSession;
+        if (session.status === 'completed') {
+            return res.json({ success: true, upload_id: session.upload_id, document_id: session.document_id, status: 'completed' });
+        }
+        
+        let file;
+        try {
+            // The collection may have been deleted, or the uploader removed from it, since the upload began
+            await requestedCollection(req, session.collection_id);
+            file = await uploadSessions.assembleUpload(db, session);
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message, ...error.details });
+            }
+            console.error(`[UPLOADS] Failed to assemble upload ${session.upload_id}:`, error);
+            return res.status(500).json({ error: 'Failed to complete upload' });
+        }
+        
+        try {
+            const { status, body } = await storeUploadedDocument(req, {
+                path: file.path,
+                size: file.size,
+                sha256: file.sha256,
+                originalname: session.original_filename
+            }, { replaces: session.replaces, collectionId: session.collection_id });
+            
+            if (body.document_id) {
+                await uploadSessions.finishUploadSession(db, session, body.document_id);
+            } else {
+                // Rejected (duplicate, or the replaced document is gone): the parts are of no further use
+                await uploadSessions.discardUploadSession(db, session);
+            }
+            console.log(`[UPLOADS] Completed upload ${session.upload_id}: ${status} ${body.document_id || body.error}`);
+            res.status(status).json({ ...body, upload_id: session.upload_id });
+        } catch (error) {
+            console.error(`[UPLOADS] Failed to store upload ${session.upload_id}:`, error);
+            await uploadSessions.releaseUploadSession(db, session).catch(() => {});
             res.status(500).json({ error: 'Failed to upload document' });
+        } finally {
+            fs.promises.rm(file.path, { force: true }).catch(() => {});
+        }
+    });
+    
+    // 1f. Abandon a resumable upload and delete its parts
+    router.delete('/uploads/:upload_id', validateTenantMW, writeKnowledgeAccess, loadUploadSession, async (req, res) => {
+        try {
+            if (req.uploadSession.status === 'completing') {
+                return res.status(409).json({ error: 'Upload is being completed' });
+            }
+            await uploadSessions.discardUploadSession(db, req.uploadSession);
+            res.json({ success: true, upload_id: req.uploadSession.upload_id });
+        } catch (error) {
+            console.error('[UPLOADS] Failed to cancel upload:', error);
+            res.status(500).json({ error: 'Failed to cancel upload' });
         }
     });
 
     // 1. Ingest Content (Triggers Actions Platform)
-    router.post('/ingest', validateTenantMW, rateLimit, async (req, res) => {
+    router.post('/ingest', validateTenantMW, writeKnowledgeAccess, rateLimit, ingestQuota, async (req, res) => {
         try {
             const { documents } = req.body;
             
             if (!documents || !Array.isArray(documents) || documents.length === 0) {
                 return res.status(400).json({ error: 'Documents array required' });
             }
+            // collection_id files every document; a document's own collection_id overrides it
+            const defaultCollectionId = await requestedCollection(req, req.body.collection_id);
             
             const results = [];
             
@@ -213,6 +667,19 @@ function createRagRouter(db, sessions) {
                     continue;
                 }
                 
+                let collectionId = defaultCollectionId;
+                if (doc.collection_id !== undefined) {
+                    try {
+                        collectionId = await requestedCollection(req, doc.collection_id);
+                    } catch (error) {
+                        if (!error.status) {
+                            throw error;
+                        }
+                        results.push({ error: error.message, skipped: true });
+                        continue;
+                    }
+                }
+                
                 const docId = crypto.randomUUID();
                 const callbackId = crypto.randomBytes(16).toString('hex');
                 
@@ -227,15 +694,6 @@ function createRagRouter(db, sessions) {
                     await generateCallbackToken(db, req.tenantId);
                 }
                 
-                // Store in database
-                await db.query(
-                    `INSERT INTO rag_documents (tenant_id, document_id, callback_id, content, metadata, created_by) 
-                     VALUES ($1, $2, $3, $4, $5, $6)`,
-                    [req.tenantId, docId, callbackId, doc.content, doc.metadata || {}, req.userEmail]
-                );
-                
-                results.push({ document_id: docId, callback_id: callbackId });
-                
                 // Get app_url from database or use environment variable as fallback
                 let appUrl = process.env.APP_URL || 'http://localhost:5000';
                 try {
@@ -250,61 +708,53 @@ function createRagRouter(db, sessions) {
                     console.log('Using environment APP_URL:', appUrl);
                 }
                 
-                // Try to send webhook using ResolveWebhook class
-                try {
+                // Store the document and its vectorization event atomically
+                await db.transaction(async (client) => {
+                    await client.query(
+                        `INSERT INTO rag_documents (tenant_id, document_id, callback_id, content, metadata, created_by, collection_id) 
+                         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+                        [req.tenantId, docId, callbackId, doc.content, doc.metadata || {}, req.userEmail, collectionId]
+                    );
+                    
                     await resolveWebhook.sendRagIngestEvent({
                         tenantId: req.tenantId,
                         documentId: docId,
                         content: doc.content,
                         metadata: doc.metadata,
                         callbackUrl: `${appUrl}/api/rag/callback/${callbackId}`
-                    });
-                    
-                    // Track the action
-                    await resolveWebhook.trackAction({
-                        action: 'rag-ingest',
-                        source: 'RAG_Ingest',
-                        userEmail: req.userEmail,
-                        tenantId: req.tenantId,
-                        metadata: {
-                            document_id: docId,
-                            content_length: doc.content.length
-                        }
-                    });
-                } catch (webhookError) {
-                    // Prepare webhook payload for retry queue
-                    const webhookPayload = {
-                        source: 'RAG_Ingest',
-                        action: 'vectorize-content',
-                        tenant_id: req.tenantId,
+                    }, { client, idempotencyKey: `rag-ingest-${docId}` });
+                });
+                
+                results.push({ document_id: docId, callback_id: callbackId, collection_id: collectionId });
+                
+                await recordAuditEvent(db, req, {
+                    action: 'document.ingest',
+                    targetType: 'document',
+                    targetId: docId,
+                    after: { content_length: doc.content.length, metadata: doc.metadata || {}, collection_id: collectionId }
+                });
+                
+                // Track the action
+                await resolveWebhook.trackAction({
+                    action: 'rag-ingest',
+                    source: 'RAG_Ingest',
+                    userEmail: req.userEmail,
+                    tenantId: req.tenantId,
+                    metadata: {
                         document_id: docId,
-                        content: doc.content,
-                        metadata: doc.metadata,
-                        callback_url: `${appUrl}/api/rag/callback/${callbackId}`,
-                        expected_response_format: {
-                            vectors: [
-                                {
-                                    chunk_text: "string",
-                                    embedding: "array of 1536 floats",
-                                    chunk_index: "number"
-                                }
-                            ]
-                        }
-                    };
-                    
-                    // Add to retry queue
-                    await db.query(
-                        `INSERT INTO rag_webhook_failures (tenant_id, webhook_type, payload, next_retry_at) 
-                         VALUES ($1, $2, $3, $4)`,
-                        [req.tenantId, 'ingest', JSON.stringify(webhookPayload), new Date(Date.now() + 60000)]
-                    );
-                    console.error('Webhook failed, added to retry queue:', webhookError.message);
-                }
+                        content_length: doc.content.length
+                    }
+                });
             }
             
+            resolveWebhook.notifyDispatcher();
+            
             res.json({ success: true, documents: results });
             
         } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
             console.error('Ingest error:', error);
             res.status(500).json({ error: 'Internal server error' });
         }
@@ -347,8 +797,23 @@ function createRagRouter(db, sessions) {
             
             const doc = docResult.rows[0];
             
+            // Vectors from the actions platform supersede any generated by the in-process pipeline
+            if (ingestionPipeline.isEnabled()) {
+                await db.query(
+                    `DELETE FROM rag_vectors 
+                     WHERE document_id = $1 AND tenant_id = $2 AND metadata->>'source' = $3`,
+                    [doc.document_id, doc.tenant_id, IngestionPipeline.PIPELINE_SOURCE]
+                );
+            }
+            
+            // Near-identical chunks (repeated headers, footers, boilerplate) are stored once
+            const { vectors: uniqueVectors, collapsed } = await contentDedup.collapseNearDuplicateChunks(vectors);
+            if (collapsed > 0) {
+                console.log(`[VECTOR CALLBACK] Collapsed ${collapsed} near-duplicate chunks of document ${doc.document_id}`);
+            }
+            
             // Store vectors with pgvector
-            for (const vector of vectors) {
+            for (const vector of uniqueVectors) {
                 // Validate embedding dimension
                 const expectedDimension = parseInt(process.env.VECTOR_DIMENSION) || 1536; // Default to OpenAI dimension
                 if (!Array.isArray(vector.embedding) || vector.embedding.length !== expectedDimension) {
@@ -373,46 +838,37 @@ function createRagRouter(db, sessions) {
                 );
             }
             
-            // Update document status to ready (was vectorized)
-            await db.query(
-                'UPDATE rag_documents SET status = $1, is_processed = true, updated_at = CURRENT_TIMESTAMP WHERE callback_id = $2',
-                ['ready', callback_id]
-            );
+            // Update document status to ready (was vectorized); a new version replaces the current one now
+            const promoted = await db.transaction(async (client) => {
+                await client.query(
+                    'UPDATE rag_documents SET status = $1, is_processed = true, updated_at = CURRENT_TIMESTAMP WHERE callback_id = $2',
+                    ['ready', callback_id]
+                );
+                return documentVersions.promoteVersion(client, doc.tenant_id, doc.document_id);
+            });
             
-            // Emit SSE event for vectorization complete
-            if (global.knowledgeSSEClients && global.knowledgeSSEClients[doc.tenant_id]) {
-                // Send two events - one for vectorized, one for ready
-                const vectorizedMessage = JSON.stringify({
-                    type: 'document-vectorized',
-                    document_id: doc.document_id,
-                    status: 'vectorized',
-                    metadata: {
-                        vector_count: vectors.length,
-                        timestamp: new Date().toISOString()
-                    }
-                });
-                
-                const readyMessage = JSON.stringify({
-                    type: 'document-status',
-                    document_id: doc.document_id,
-                    status: 'ready',
-                    metadata: {
-                        vector_count: vectors.length,
-                        filename: doc.original_filename,
-                        timestamp: new Date().toISOString()
-                    }
-                });
-                
-                Object.values(global.knowledgeSSEClients[doc.tenant_id]).forEach(client => {
-                    try {
-                        client.write(`data: ${vectorizedMessage}\n\n`);
-                        client.write(`data: ${readyMessage}\n\n`);
-                        console.log(`[VECTOR CALLBACK] Sent SSE events for document ${doc.document_id}`);
-                    } catch (err) {
-                        console.error(`[VECTOR CALLBACK] Failed to send SSE event:`, err.message);
-                    }
-                });
-            }
+            // Emit SSE events for vectorization complete - one for vectorized, one for ready
+            broadcastKnowledgeEvent(doc.tenant_id, {
+                type: 'document-vectorized',
+                document_id: doc.document_id,
+                status: 'vectorized',
+                metadata: {
+                    vector_count: uniqueVectors.length,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            broadcastKnowledgeEvent(doc.tenant_id, {
+                type: 'document-status',
+                document_id: doc.document_id,
+                status: 'ready',
+                metadata: {
+                    vector_count: uniqueVectors.length,
+                    filename: doc.original_filename,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            broadcastVersionPromoted(doc.tenant_id, doc.document_id, promoted);
+            console.log(`[VECTOR CALLBACK] Sent SSE events for document ${doc.document_id}`);
             
             // Track vectorization callback
             await resolveWebhook.trackAction({
@@ -422,11 +878,12 @@ function createRagRouter(db, sessions) {
                 tenantId: tenant_id,
                 metadata: {
                     document_id: document_id,
-                    vectors_stored: vectors.length
+                    vectors_stored: uniqueVectors.length,
+                    chunks_collapsed: collapsed
                 }
             });
             
-            res.json({ success: true, vectors_stored: vectors.length });
+            res.json({ success: true, vectors_stored: uniqueVectors.length, chunks_collapsed: collapsed });
             
         } catch (error) {
             console.error('Callback error:', error);
@@ -436,9 +893,13 @@ function createRagRouter(db, sessions) {
 
     // 3. Vector Search (For Actions Platform)
     // Can be called with either tenant callback token OR message callback token
+    // mode: 'vector' (default), 'keyword' or 'hybrid' (full-text + pgvector fused by reciprocal rank)
+    // Only collections readable by the chat's user (message_id) are searched, or by user_email when
+    // the tenant token searches on a user's behalf; without either, only documents outside collections
     router.post('/vector-search', async (req, res) => {
         const startTime = Date.now();
-        const { query_embedding, tenant_id, limit = 5, threshold = 0.7, filters, message_id } = req.body;
+        const { query_embedding, query_text, mode = 'vector', weights, tenant_id, limit = 5, threshold = 0.7, filters, message_id, user_email } = req.body;
+        let searchHit = null;
         
         try {
             
@@ -483,44 +944,86 @@ function createRagRouter(db, sessions) {
                 return res.status(401).json({ error: 'Invalid authentication token' });
             }
             
-            // Validate embedding
-            const expectedDimension = parseInt(process.env.VECTOR_DIMENSION) || 1536;
-            if (!Array.isArray(query_embedding) || query_embedding.length !== expectedDimension) {
+            if (!SEARCH_MODES.includes(mode)) {
                 return res.status(400).json({ 
-                    error: `Invalid embedding dimension. Expected ${expectedDimension}, got ${query_embedding?.length}` 
+                    error: `Invalid search mode. Expected one of: ${SEARCH_MODES.join(', ')}` 
                 });
             }
             
-            // Perform vector similarity search using pgvector
-            // Convert array to PostgreSQL vector format: '[1.0, 2.0, 3.0]'
-            const vectorString = `[${query_embedding.join(',')}]`;
+            const filterErrors = validateSearchFilters(filters);
+            if (filterErrors.length > 0) {
+                return res.status(400).json({ error: 'Invalid filters', details: filterErrors });
+            }
             
-            const searchQuery = `
-                SELECT 
-                    document_id,
-                    chunk_text,
-                    chunk_index,
-                    metadata,
-                    1 - (embedding <=> $1::vector) as similarity
-                FROM rag_vectors
-                WHERE tenant_id = $2
-                    AND 1 - (embedding <=> $1::vector) > $3
-                ORDER BY embedding <=> $1::vector
-                LIMIT $4
-            `;
+            if (weights !== undefined && (typeof weights !== 'object' || weights === null ||
+                ['semantic', 'lexical'].some(key => weights[key] !== undefined && (typeof weights[key] !== 'number' || weights[key] < 0)))) {
+                return res.status(400).json({ error: 'weights.semantic and weights.lexical must be non-negative numbers' });
+            }
+            
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+                return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_SEARCH_LIMIT}` });
+            }
+            
+            if (typeof threshold !== 'number' || !Number.isFinite(threshold) || threshold < -1 || threshold > 1) {
+                return res.status(400).json({ error: 'threshold must be a number from -1 to 1' });
+            }
+            
+            // Validate embedding (not needed for keyword-only search)
+            let vectorString = null;
+            if (mode !== 'keyword') {
+                const expectedDimension = parseInt(process.env.VECTOR_DIMENSION) || 1536;
+                if (!Array.isArray(query_embedding) || query_embedding.length !== expectedDimension) {
+                    return res.status(400).json({ 
+                        error: `Invalid embedding dimension. Expected ${expectedDimension}, got ${query_embedding?.length}` 
+                    });
+                }
+                // Convert array to PostgreSQL vector format: '[1.0, 2.0, 3.0]'
+                vectorString = `[${query_embedding.join(',')}]`;
+            }
+            
+            // Validate keyword query (needed for keyword and hybrid search)
+            if (mode !== 'vector' && (typeof query_text !== 'string' || !query_text.trim())) {
+                return res.status(400).json({ error: `query_text is required for ${mode} search` });
+            }
             
-            const results = await db.query(searchQuery, [
+            let collectionIds = [];
+            if (typeof message_id === 'string' && UUID_PATTERN.test(message_id)) {
+                collectionIds = await collections.getMessageReadableCollections(db, tenant_id, message_id);
+            } else if (tenantTokenResult.rows.length > 0 && typeof user_email === 'string' && user_email) {
+                collectionIds = await collections.getUserReadableCollections(db, tenant_id, user_email);
+            }
+            
+            // Count the search against the tenant's plan (searchesPerDay)
+            searchHit = await enforceTenantQuota(req, res, tenant_id, 'searches');
+            if (!searchHit.allowed) {
+                return;
+            }
+            
+            // Vector, keyword or hybrid (reciprocal rank fusion) search within the tenant
+            const rows = await searchChunks(db, {
+                tenantId: tenant_id,
+                mode,
                 vectorString,
-                tenant_id,
+                queryText: query_text,
+                limit,
                 threshold,
-                limit
-            ]);
+                filters,
+                weights,
+                collectionIds
+            });
             
-            const searchResults = results.rows.map(row => ({
+            const searchResults = rows.map(row => ({
                 document_id: row.document_id,
                 chunk_text: row.chunk_text,
                 chunk_index: row.chunk_index,
                 similarity: row.similarity,
+                scores: {
+                    semantic: row.similarity,
+                    lexical: row.lexical_score,
+                    fused: row.fused_score,
+                    semantic_rank: row.semantic_rank !== null ? parseInt(row.semantic_rank) : null,
+                    lexical_rank: row.lexical_rank !== null ? parseInt(row.lexical_rank) : null
+                },
                 metadata: row.metadata
             }));
             
@@ -528,17 +1031,27 @@ function createRagRouter(db, sessions) {
             
             // Log search to vector_search_logs table
             try {
+                // With the chat request's message_id, answer feedback can be traced back to these results
+                const searchMessageId = typeof message_id === 'string' && UUID_PATTERN.test(message_id) ? message_id : null;
                 await db.query(
                     `INSERT INTO vector_search_logs 
-                     (tenant_id, query_vector, result_count, threshold, execution_time_ms, filters_applied)
-                     VALUES ($1, $2::vector, $3, $4, $5, $6)`,
+                     (tenant_id, query_vector, result_count, threshold, execution_time_ms, filters_applied, search_mode, query_text, message_id, results)
+                     VALUES ($1, $2::vector, $3, $4, $5, $6, $7, $8, $9, $10)`,
                     [
                         tenant_id,
                         vectorString,
                         searchResults.length,
                         threshold,
                         executionTime,
-                        filters ? JSON.stringify(filters) : null
+                        filters ? JSON.stringify(filters) : null,
+                        mode,
+                        query_text || null,
+                        searchMessageId,
+                        JSON.stringify(searchResults.map(result => ({
+                            document_id: result.document_id,
+                            chunk_index: result.chunk_index,
+                            similarity: result.similarity
+                        })))
                     ]
                 );
             } catch (logError) {
@@ -554,19 +1067,27 @@ function createRagRouter(db, sessions) {
                 tenantId: tenant_id,
                 metadata: {
                     results_count: searchResults.length,
+                    mode: mode,
                     threshold: threshold,
                     limit: limit,
                     execution_time_ms: executionTime
                 }
             });
             
+            await recordUsage(db, tenant_id, 'vector_searches', 1, { metadata: { mode, message_id: message_id || null } });
+            
             res.json({
                 success: true,
+                mode: mode,
                 results: searchResults,
                 execution_time_ms: executionTime
             });
             
         } catch (error) {
+            // A failed search doesn't use up the tenant's quota
+            if (searchHit?.id) {
+                getRateLimitStore().release(searchHit.key, searchHit.id);
+            }
             console.error('Vector search error:', error);
             console.error('Vector search error details:', {
                 message: error.message,
@@ -580,8 +1101,8 @@ function createRagRouter(db, sessions) {
             try {
                 await db.query(
                     `INSERT INTO vector_search_logs 
-                     (tenant_id, query_vector, result_count, threshold, execution_time_ms, filters_applied, error_message, error_code)
-                     VALUES ($1, NULL, -1, $2, $3, $4, $5, $6)`,
+                     (tenant_id, query_vector, result_count, threshold, execution_time_ms, filters_applied, error_message, error_code, search_mode)
+                     VALUES ($1, NULL, -1, $2, $3, $4, $5, $6, $7)`,
                     [
                         tenant_id,
                         threshold,
@@ -594,7 +1115,8 @@ function createRagRouter(db, sessions) {
                             hint: error.hint,
                             stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
                         }),
-                        error.code || 'UNKNOWN'
+                        error.code || 'UNKNOWN',
+                        mode
                     ]
                 );
             } catch (logErr) {
@@ -626,7 +1148,7 @@ function createRagRouter(db, sessions) {
     });
 
     // 4. Chat (Fire-and-forget with callback)
-    router.post('/chat', validateTenantMW, rateLimit, async (req, res) => {
+    router.post('/chat', validateTenantMW, chatAccess, rateLimit, messageQuota, async (req, res) => {
         try {
             const { message, conversation_id } = req.body;
             
@@ -640,41 +1162,6 @@ function createRagRouter(db, sessions) {
             // Generate callback token for this message
             const callbackToken = crypto.randomBytes(32).toString('hex');
             
-            // Store user message immediately
-            try {
-                // First ensure conversation exists
-                console.log(`[CHAT] Creating conversation: ${convId}, Tenant: ${req.tenantId}, User: ${req.userEmail}`);
-                
-                const convResult = await db.query(
-                    `INSERT INTO rag_conversations (conversation_id, tenant_id, user_email, status) 
-                     VALUES ($1, $2, $3, $4) 
-                     ON CONFLICT (conversation_id) DO NOTHING
-                     RETURNING id`,
-                    [convId, req.tenantId, req.userEmail, 'active']
-                );
-                
-                console.log(`[CHAT] Conversation insert result:`, convResult.rows);
-                
-                // Store user message
-                await db.query(
-                    'INSERT INTO rag_messages (conversation_id, tenant_id, role, message) VALUES ($1, $2, $3, $4)',
-                    [convId, req.tenantId, 'user', message]
-                );
-                
-                // Store pending callback info
-                await db.query(
-                    `INSERT INTO rag_webhook_failures (tenant_id, webhook_type, payload, status) 
-                     VALUES ($1, $2, $3, $4)`,
-                    [req.tenantId, 'chat_callback', JSON.stringify({
-                        message_id: messageId,
-                        conversation_id: convId,
-                        callback_token: callbackToken
-                    }), 'pending']
-                );
-            } catch (dbErr) {
-                console.log('Database operation:', dbErr.message);
-            }
-            
             // Get app_url from database or use environment variable as fallback
             let appUrl = process.env.APP_URL || 'http://localhost:5000';
             try {
@@ -689,6 +1176,17 @@ function createRagRouter(db, sessions) {
                 console.log('Using environment APP_URL:', appUrl);
             }
             
+            // Prior turns for follow-up questions: a token-budgeted window plus a rolling summary
+            let context = { history: [], summary: null, stats: { messages: 0, tokens: 0, summarized: 0 } };
+            if (conversation_id) {
+                try {
+                    context = await conversationContext.buildContext({ tenantId: req.tenantId, conversationId: convId });
+                } catch (contextError) {
+                    // Answering without history beats not answering
+                    console.error(`[CHAT] Failed to build context for conversation ${convId}:`, contextError.message);
+                }
+            }
+            
             // Prepare message data for both webhook and queue
             const callbackUrl = `${appUrl}/api/rag/chat-callback/${messageId}`;
             const vectorSearchUrl = `${appUrl}/api/rag/vector-search`;
@@ -701,7 +1199,11 @@ function createRagRouter(db, sessions) {
                 conversation_id: convId,
                 message_id: messageId,
                 customer_message: message,
+                history: context.history,
+                conversation_summary: context.summary,
+                context_stats: context.stats,
                 callback_url: callbackUrl,
+                stream_callback_url: `${callbackUrl}/stream`,
                 callback_token: callbackToken,
                 vector_search_url: vectorSearchUrl,
                 timestamp: new Date().toISOString(),
@@ -710,42 +1212,59 @@ function createRagRouter(db, sessions) {
 
             // Dual-mode publishing based on RABBITMQ_CHAT_MODE
             const chatMode = process.env.RABBITMQ_CHAT_MODE || 'webhook_only';
+            const useWebhook = chatMode !== 'queue_only';
+            const useQueue = chatMode === 'queue_only' || chatMode === 'hybrid';
+            
+            // Store the user message, callback token and outbound webhook event atomically
+            console.log(`[CHAT] Creating conversation: ${convId}, Tenant: ${req.tenantId}, User: ${req.userEmail}`);
+            await db.transaction(async (client) => {
+                await client.query(
+                    `INSERT INTO rag_conversations (conversation_id, tenant_id, user_email, status) 
+                     VALUES ($1, $2, $3, $4) 
+                     ON CONFLICT (conversation_id) DO NOTHING`,
+                    [convId, req.tenantId, req.userEmail, 'active']
+                );
+                
+                // Store user message
+                await client.query(
+                    'INSERT INTO rag_messages (conversation_id, tenant_id, role, message, message_id) VALUES ($1, $2, $3, $4, $5)',
+                    [convId, req.tenantId, 'user', message, messageId]
+                );
+                
+                // Store pending callback info
+                await client.query(
+                    `INSERT INTO rag_webhook_failures (tenant_id, webhook_type, payload, status) 
+                     VALUES ($1, $2, $3, $4)`,
+                    [req.tenantId, 'chat_callback', JSON.stringify({
+                        message_id: messageId,
+                        conversation_id: convId,
+                        callback_token: callbackToken
+                    }), 'pending']
+                );
+                
+                if (useWebhook) {
+                    console.log(`[CHAT] ${chatMode} mode: Queueing webhook for message ${messageId}`);
+                    await resolveWebhook.sendProxyEvent(chatPayload, { client, idempotencyKey: `chat-${messageId}` });
+                }
+            });
             
-            try {
-                switch(chatMode) {
-                    case 'queue_only':
-                        console.log(`[CHAT] Queue-only mode: Publishing message ${messageId} to RabbitMQ`);
-                        await getRabbitMQInstance().publishChatMessage(chatPayload);
-                        break;
-                        
-                    case 'hybrid':
-                        console.log(`[CHAT] Hybrid mode: Publishing message ${messageId} to both webhook and RabbitMQ`);
-                        // Send to both webhook and queue
-                        const webhookPromise = resolveWebhook.sendProxyEvent(chatPayload).catch(err => {
-                            console.error('[CHAT] Webhook failed in hybrid mode:', err);
-                            return { success: false, error: err.message };
-                        });
-                        
-                        const queuePromise = getRabbitMQInstance().publishChatMessage(chatPayload).catch(err => {
-                            console.error('[CHAT] RabbitMQ failed in hybrid mode:', err);
-                            return { success: false, error: err.message };
-                        });
-                        
-                        // Wait for both (don't fail if one fails)
-                        await Promise.allSettled([webhookPromise, queuePromise]);
-                        break;
-                        
-                    case 'webhook_only':
-                    default:
-                        console.log(`[CHAT] Webhook-only mode: Sending message ${messageId} via webhook`);
-                        await resolveWebhook.sendProxyEvent(chatPayload).catch(err => {
-                            console.error('[CHAT] Webhook failed:', err);
-                        });
-                        break;
+            if (useWebhook) {
+                resolveWebhook.notifyDispatcher();
+            }
+            
+            await recordUsage(db, req.tenantId, 'chat_messages', 1, {
+                actorEmail: req.userEmail,
+                metadata: { conversation_id: convId, message_id: messageId }
+            });
+            
+            if (useQueue) {
+                console.log(`[CHAT] ${chatMode} mode: Publishing message ${messageId} to RabbitMQ`);
+                try {
+                    await getRabbitMQInstance().publishChatMessage(chatPayload);
+                } catch (error) {
+                    // Don't fail the request if publishing fails
+                    console.error(`[CHAT] RabbitMQ publish failed in ${chatMode} mode:`, error);
                 }
-            } catch (error) {
-                console.error(`[CHAT] Error in ${chatMode} mode:`, error);
-                // Don't fail the request if publishing fails
             }
             
             // Immediately return processing message
@@ -782,7 +1301,7 @@ function createRagRouter(db, sessions) {
             
             // Validate document exists and token matches
             const docResult = await db.query(
-                `SELECT callback_token, token_expires_at, tenant_id 
+                `SELECT callback_token, token_expires_at, tenant_id, file_size 
                  FROM rag_documents 
                  WHERE document_id = $1`,
                 [document_id]
@@ -809,6 +1328,11 @@ function createRagRouter(db, sessions) {
                 return res.status(403).json({ error: 'Tenant mismatch' });
             }
             
+            // When the in-process pipeline is enabled the document stays 'processing' until vectors are written.
+            // Either way a new version only replaces the current one once its vectors are stored.
+            const runPipeline = ingestionPipeline.isEnabled() && typeof markdown === 'string' && markdown.trim().length > 0;
+            const newStatus = runPipeline ? 'processing' : 'ready';
+            
             // Update document with processed markdown
             // Keep the callback token for future reprocessing or external system access
             await db.query(
@@ -817,37 +1341,33 @@ function createRagRouter(db, sessions) {
                      status = $2, 
                      updated_at = CURRENT_TIMESTAMP
                  WHERE document_id = $3`,
-                [markdown, 'ready', document_id]
+                [markdown, newStatus, document_id]
             );
             
             console.log(`[DOCUMENT CALLBACK] Successfully updated document ${document_id} with processed markdown`);
             
+            // Meter the processed document; pages are estimated from the markdown when the processor doesn't report them
+            const pageCount = Number.isInteger(req.body.page_count) && req.body.page_count > 0
+                ? req.body.page_count
+                : Math.max(1, Math.ceil((markdown?.length || 0) / 3000));
+            await recordUsage(db, doc.tenant_id, 'document_pages', pageCount, {
+                metadata: { document_id, estimated: pageCount !== req.body.page_count }
+            });
+            await recordUsage(db, doc.tenant_id, 'document_bytes', doc.file_size || Buffer.byteLength(markdown || ''), {
+                metadata: { document_id }
+            });
+            
             // Emit SSE event for document status update
-            if (global.knowledgeSSEClients && global.knowledgeSSEClients[doc.tenant_id]) {
-                const sseMessage = JSON.stringify({
-                    type: 'document-status',
-                    document_id: document_id,
-                    status: 'ready',
-                    metadata: {
-                        markdown_length: markdown?.length || 0,
-                        timestamp: new Date().toISOString()
-                    }
-                });
-                
-                const clientCount = Object.keys(global.knowledgeSSEClients[doc.tenant_id]).length;
-                console.log(`[DOCUMENT CALLBACK] Broadcasting SSE to ${clientCount} clients for tenant ${doc.tenant_id}`);
-                
-                Object.values(global.knowledgeSSEClients[doc.tenant_id]).forEach(client => {
-                    try {
-                        client.write(`data: ${sseMessage}\n\n`);
-                        console.log(`[DOCUMENT CALLBACK] Successfully sent SSE event for document ${document_id} with status 'ready'`);
-                    } catch (err) {
-                        console.error(`[DOCUMENT CALLBACK] Failed to send SSE event:`, err.message);
-                    }
-                });
-            } else {
-                console.warn(`[DOCUMENT CALLBACK] No SSE clients connected for tenant ${doc.tenant_id} - cannot send update for document ${document_id}`);
-            }
+            broadcastKnowledgeEvent(doc.tenant_id, {
+                type: 'document-status',
+                document_id: document_id,
+                status: newStatus,
+                metadata: {
+                    markdown_length: markdown?.length || 0,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            console.log(`[DOCUMENT CALLBACK] Sent SSE event for document ${document_id} with status '${newStatus}'`);
             
             // Track the callback
             const ResolveWebhook = require('../utils/resolve-webhook');
@@ -866,9 +1386,15 @@ function createRagRouter(db, sessions) {
             res.json({
                 success: true,
                 message: 'Document processed successfully',
-                document_id: document_id
+                document_id: document_id,
+                vectorization: runPipeline ? 'in-process' : 'external'
             });
             
+            // Chunk and embed after responding so the caller isn't held for the provider round-trips
+            if (runPipeline) {
+                runIngestionPipeline(doc.tenant_id, document_id, markdown);
+            }
+            
         } catch (error) {
             console.error('[DOCUMENT CALLBACK] Error:', error);
             res.status(500).json({ error: 'Failed to process callback' });
@@ -876,7 +1402,7 @@ function createRagRouter(db, sessions) {
     });
     
     // Add endpoint to view document content
-    router.get('/document/:document_id/view', validateTenantMW, async (req, res) => {
+    router.get('/document/:document_id/view', validateTenantMW, readKnowledgeAccess, requireReadableDocument, async (req, res) => {
         try {
             const { document_id } = req.params;
             
@@ -911,6 +1437,42 @@ function createRagRouter(db, sessions) {
         }
     });
     
+    // 5a. Streaming callback: the platform sends the reply as incremental frames
+    // (delta / reasoning / done, see ChatStreamService). Accepts one frame or { frames: [...] }.
+    // Must be registered before the optional second_id route below, which would also match it.
+    router.post('/chat-callback/:message_id/stream', async (req, res) => {
+        const { message_id } = req.params;
+        const { frames, ...common } = req.body;
+        const batch = Array.isArray(frames)
+            ? frames.map(frame => ({ ...common, ...frame }))
+            : [req.body];
+        
+        if (batch.length === 0) {
+            return res.status(400).json({ error: 'At least one frame is required' });
+        }
+        
+        try {
+            const results = [];
+            for (const frame of batch) {
+                results.push(await chatStream.handleFrame(message_id, frame));
+            }
+            
+            res.json({
+                success: true,
+                message_id: message_id,
+                completed: results.some(result => result.completed),
+                results: results
+            });
+            
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[CHAT STREAM] Error processing stream frame:', error);
+            res.status(500).json({ error: 'Failed to process stream frame' });
+        }
+    });
+    
     // 5. Callback endpoint for Resolve platform to send AI response
     // Support both single ID and double ID patterns
     router.post('/chat-callback/:message_id/:second_id?', async (req, res) => {
@@ -927,6 +1489,10 @@ function createRagRouter(db, sessions) {
             
             console.log(`[CHAT CALLBACK] Received response for message ${message_id}`);
             
+            if (!Array.isArray(sources)) {
+                return res.status(400).json({ error: 'sources must be an array' });
+            }
+            
             // Validate callback token (optional security check)
             // Only validate if we have a record of this callback in webhook_failures
             if (callback_token) {
@@ -979,45 +1545,34 @@ function createRagRouter(db, sessions) {
                         return res.status(403).json({ error: 'Tenant mismatch' });
                     }
                     
-                    // Store assistant response
-                    await db.query(
-                        'INSERT INTO rag_messages (conversation_id, tenant_id, role, message, response_time_ms) VALUES ($1, $2, $3, $4, $5)',
-                        [conversation_id, dbTenantId, 'assistant', ai_response, processing_time_ms || null]
-                    );
+                    // Keep only sources that belong to this tenant's documents
+                    const resolvedSources = await resolveMessageSources(db, dbTenantId, sources);
+                    
+                    // Store assistant response (once per message, retried callbacks are ignored)
+                    const stored = await storeAssistantMessage(db, {
+                        conversationId: conversation_id,
+                        tenantId: dbTenantId,
+                        messageId: message_id,
+                        message: ai_response,
+                        responseTimeMs: processing_time_ms,
+                        sources: resolvedSources
+                    });
                     
-                    console.log(`[CHAT CALLBACK] Stored AI response for conversation ${conversation_id}`);
-                    console.log(`[CHAT CALLBACK] Checking SSE clients for tenant ${dbTenantId}`);
-                    console.log(`[CHAT CALLBACK] global.sseClients exists:`, !!global.sseClients);
-                    console.log(`[CHAT CALLBACK] Available tenants:`, global.sseClients ? Object.keys(global.sseClients) : 'none');
+                    console.log(`[CHAT CALLBACK] ${stored ? 'Stored' : 'Already stored'} AI response for conversation ${conversation_id}`);
                     
-                    // Trigger SSE event for this tenant/conversation
-                    if (global.sseClients && global.sseClients[dbTenantId]) {
-                        const sseMessage = JSON.stringify({
+                    // Trigger SSE event for this conversation
+                    if (!stored) {
+                        console.log(`[CHAT CALLBACK] Duplicate callback for message ${message_id}, not re-sending SSE event`);
+                    } else {
+                        await broadcastChatEvent(conversation_id, null, {
                             type: 'chat-response',
                             conversation_id: conversation_id,
                             message_id: message_id,
                             ai_response: ai_response,
-                            sources: sources,
+                            sources: resolvedSources,
                             timestamp: new Date().toISOString()
                         });
-                        
-                        // Send to all SSE clients for this tenant
-                        const clientCount = Object.keys(global.sseClients[dbTenantId]).length;
-                        console.log(`[CHAT CALLBACK] Found ${clientCount} SSE clients for tenant ${dbTenantId}`);
-                        
-                        Object.values(global.sseClients[dbTenantId]).forEach(client => {
-                            try {
-                                client.write(`data: ${sseMessage}\n\n`);
-                                console.log(`[CHAT CALLBACK] Successfully sent SSE event`);
-                            } catch (err) {
-                                console.error(`[CHAT CALLBACK] Failed to send SSE event:`, err.message);
-                            }
-                        });
-                        
-                        console.log(`[CHAT CALLBACK] Sent SSE event to ${clientCount} clients for tenant ${dbTenantId}`);
-                    } else {
-                        console.log(`[CHAT CALLBACK] No SSE clients connected for tenant ${dbTenantId}`);
-                        console.log(`[CHAT CALLBACK] Available tenants:`, global.sseClients ? Object.keys(global.sseClients) : 'none');
+                        console.log(`[CHAT CALLBACK] Published SSE event for conversation ${conversation_id}`);
                     }
                 } else {
                     console.log(`[CHAT CALLBACK] Conversation ${conversation_id} not found in database`);
@@ -1042,7 +1597,7 @@ function createRagRouter(db, sessions) {
     });
     
     // 6. Get new messages since last check (for polling)
-    router.get('/conversation/:conversation_id/new-messages', validateTenantMW, async (req, res) => {
+    router.get('/conversation/:conversation_id/new-messages', validateTenantMW, chatAccess, async (req, res) => {
         try {
             const { conversation_id } = req.params;
             const { since } = req.query; // ISO timestamp of last message received
@@ -1061,10 +1616,11 @@ function createRagRouter(db, sessions) {
                 : [conversation_id, req.tenantId];
                 
             const messagesResult = await db.query(query, params);
+            const messages = await attachMessageSources(db, req.tenantId, messagesResult.rows);
             
             res.json({
                 success: true,
-                messages: messagesResult.rows,
+                messages: messages,
                 count: messagesResult.rows.length,
                 timestamp: new Date().toISOString()
             });
@@ -1076,7 +1632,7 @@ function createRagRouter(db, sessions) {
     });
     
     // 6b. Validate conversation endpoint (must be before general conversation route)
-    router.get('/conversation/:conversation_id/validate', validateTenantMW, async (req, res) => {
+    router.get('/conversation/:conversation_id/validate', validateTenantMW, chatAccess, async (req, res) => {
         const { conversation_id } = req.params;
         const tenantId = req.tenantId;
         
@@ -1098,7 +1654,7 @@ function createRagRouter(db, sessions) {
     });
     
     // 7. Get Conversation History
-    router.get('/conversation/:conversation_id', validateTenantMW, async (req, res) => {
+    router.get('/conversation/:conversation_id', validateTenantMW, chatAccess, async (req, res) => {
         try {
             const { conversation_id } = req.params;
             
@@ -1117,6 +1673,8 @@ function createRagRouter(db, sessions) {
                 'SELECT * FROM rag_messages WHERE conversation_id = $1 ORDER BY created_at ASC',
                 [conversation_id]
             );
+            const messages = await messageFeedback.attachUserFeedback(db, req.userEmail,
+                await attachMessageSources(db, req.tenantId, messagesResult.rows));
             
             // Track conversation history retrieval
             await resolveWebhook.trackAction({
@@ -1133,7 +1691,7 @@ function createRagRouter(db, sessions) {
             res.json({
                 success: true,
                 conversation: convResult.rows[0],
-                messages: messagesResult.rows
+                messages: messages
             });
             
         } catch (error) {
@@ -1142,8 +1700,74 @@ function createRagRouter(db, sessions) {
         }
     });
     
+    // 7a. Rate an assistant answer (thumbs up/down with an optional reason and comment).
+    // :message_ref is the rag_messages id or the chat request message_id from SSE events.
+    router.post('/messages/:message_ref/feedback', validateTenantMW, chatAccess, async (req, res) => {
+        try {
+            const { rating, reason, comment } = req.body;
+            const errors = messageFeedback.validateFeedback({ rating, reason, comment });
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid feedback', details: errors });
+            }
+            
+            const message = await messageFeedback.findRatedMessage(db, req.tenantId, req.params.message_ref);
+            if (!message) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+            
+            const feedback = await messageFeedback.submitFeedback(db, {
+                message,
+                tenantId: req.tenantId,
+                userEmail: req.userEmail,
+                rating,
+                reason,
+                comment
+            });
+            
+            await resolveWebhook.trackAction({
+                action: 'answer-feedback',
+                source: 'RAG_Feedback',
+                userEmail: req.userEmail,
+                tenantId: req.tenantId,
+                metadata: {
+                    conversation_id: message.conversation_id,
+                    message_id: message.message_id,
+                    rating: rating,
+                    reason: reason || null
+                }
+            });
+            
+            res.json({
+                success: true,
+                message_id: message.id,
+                feedback: feedback
+            });
+            
+        } catch (error) {
+            console.error('[RAG API] Submit feedback error:', error);
+            res.status(500).json({ error: 'Unable to save feedback' });
+        }
+    });
+    
+    // 7b. Withdraw a rating
+    router.delete('/messages/:message_ref/feedback', validateTenantMW, chatAccess, async (req, res) => {
+        try {
+            const message = await messageFeedback.findRatedMessage(db, req.tenantId, req.params.message_ref);
+            if (!message) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+            
+            const removed = await messageFeedback.removeFeedback(db, { message, userEmail: req.userEmail });
+            res.json({ success: true, removed: removed });
+            
+        } catch (error) {
+            console.error('[RAG API] Remove feedback error:', error);
+            res.status(500).json({ error: 'Unable to remove feedback' });
+        }
+    });
+    
     // 7. Delete Conversation
-    router.delete('/conversation/:conversation_id', validateTenantMW, async (req, res) => {
+    router.delete('/conversation/:conversation_id', validateTenantMW, chatAccess, async (req, res) => {
         try {
             const { conversation_id } = req.params;
             
@@ -1182,10 +1806,9 @@ function createRagRouter(db, sessions) {
     });
     
     // 8. SSE endpoint for real-time chat updates
-    router.get('/chat-stream/:conversation_id', validateTenantMW, async (req, res) => {
+    router.get('/chat-stream/:conversation_id', validateTenantMW, chatAccess, async (req, res) => {
         const { conversation_id } = req.params;
         const tenantId = req.tenantId;
-        const clientId = crypto.randomUUID();
         
         console.log(`[SSE] New connection request for conversation: ${conversation_id}, tenant: ${tenantId}`);
         
@@ -1199,114 +1822,44 @@ function createRagRouter(db, sessions) {
             return res.status(404).json({ error: 'Conversation not found' });
         }
         
-        // Set SSE headers
-        res.writeHead(200, {
-            'Content-Type': 'text/event-stream',
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive',
-            'Access-Control-Allow-Origin': '*'
+        // Subscribe to this conversation and to the user's own channel; events published on
+        // any instance are fanned out through the SSE hub
+        const clientId = sseHub.subscribe(req, res, {
+            channels: [
+                SSEHub.conversationChannel(conversation_id),
+                SSEHub.userChannel(tenantId, req.userEmail)
+            ],
+            tenantId,
+            userEmail: req.userEmail,
+            kind: 'chat',
+            connectedEvent: {
+                type: 'connected',
+                conversation_id: conversation_id,
+                message: 'Connected to chat stream'
+            }
         });
         
-        // Initialize global SSE clients storage if not exists
-        if (!global.sseClients) {
-            global.sseClients = {};
-        }
-        if (!global.sseClients[tenantId]) {
-            global.sseClients[tenantId] = {};
-        }
-        
-        // Store this client connection
-        global.sseClients[tenantId][clientId] = res;
-        
         console.log(`[SSE] Client ${clientId} connected for tenant ${tenantId}, conversation ${conversation_id}`);
-        console.log(`[SSE] Total clients for tenant: ${Object.keys(global.sseClients[tenantId]).length}`);
-        console.log(`[SSE] All registered tenants:`, Object.keys(global.sseClients));
-        
-        // Send initial connection message
-        res.write(`data: ${JSON.stringify({
-            type: 'connected',
-            conversation_id: conversation_id,
-            message: 'Connected to chat stream'
-        })}\n\n`);
-        
-        // CRITICAL: Flush the response to trigger browser onopen event
-        if (res.flush) {
-            res.flush();
-        }
-        
-        // Send heartbeat every 15 seconds to keep connection alive (more aggressive to prevent timeouts)
-        const heartbeatInterval = setInterval(() => {
-            try {
-                res.write(`data: ${JSON.stringify({ type: 'heartbeat', timestamp: new Date().toISOString() })}\n\n`);
-            } catch (error) {
-                console.error(`[SSE] Error sending heartbeat to client ${clientId}:`, error);
-                clearInterval(heartbeatInterval);
-            }
-        }, 15000);
-        
-        // Handle client disconnect
-        req.on('close', () => {
-            clearInterval(heartbeatInterval);
-            if (global.sseClients[tenantId]) {
-                delete global.sseClients[tenantId][clientId];
-                console.log(`[SSE] Client ${clientId} disconnected from tenant ${tenantId}`);
-            }
-        });
     });
 
     // 9. SSE endpoint for knowledge base updates
-    router.get('/knowledge-stream', validateTenantMW, async (req, res) => {
+    router.get('/knowledge-stream', validateTenantMW, readKnowledgeAccess, async (req, res) => {
         const tenantId = req.tenantId;
-        const clientId = crypto.randomUUID();
         
         console.log(`[KNOWLEDGE SSE] New connection request for tenant: ${tenantId}`);
         
-        // Set SSE headers
-        res.writeHead(200, {
-            'Content-Type': 'text/event-stream',
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive',
-            'Access-Control-Allow-Origin': '*'
+        const clientId = sseHub.subscribe(req, res, {
+            channels: [SSEHub.knowledgeChannel(tenantId)],
+            tenantId,
+            userEmail: req.userEmail,
+            kind: 'knowledge',
+            connectedEvent: {
+                type: 'connected',
+                message: 'Connected to knowledge base stream'
+            }
         });
         
-        // Initialize global knowledge SSE clients storage if not exists
-        if (!global.knowledgeSSEClients) {
-            global.knowledgeSSEClients = {};
-        }
-        if (!global.knowledgeSSEClients[tenantId]) {
-            global.knowledgeSSEClients[tenantId] = {};
-        }
-        
-        // Store this client connection
-        global.knowledgeSSEClients[tenantId][clientId] = res;
-        
         console.log(`[KNOWLEDGE SSE] Client ${clientId} connected for tenant ${tenantId}`);
-        console.log(`[KNOWLEDGE SSE] Total clients for tenant: ${Object.keys(global.knowledgeSSEClients[tenantId]).length}`);
-        
-        // Send initial connection message
-        res.write(`data: ${JSON.stringify({
-            type: 'connected',
-            message: 'Connected to knowledge base stream'
-        })}\n\n`);
-        
-        // Send heartbeat every 15 seconds to keep connection alive
-        const heartbeatInterval = setInterval(() => {
-            try {
-                res.write(`data: ${JSON.stringify({ type: 'heartbeat', timestamp: new Date().toISOString() })}\n\n`);
-            } catch (error) {
-                console.error(`[KNOWLEDGE SSE] Error sending heartbeat to client ${clientId}:`, error);
-                clearInterval(heartbeatInterval);
-            }
-        }, 15000);
-        
-        // Handle client disconnect
-        req.on('close', () => {
-            clearInterval(heartbeatInterval);
-            if (global.knowledgeSSEClients[tenantId]) {
-                delete global.knowledgeSSEClients[tenantId][clientId];
-                console.log(`[KNOWLEDGE SSE] Client ${clientId} disconnected from tenant ${tenantId}`);
-            }
-        });
     });
 
     // 8. TEST ENDPOINT - Removed, using real callbacks only
@@ -1426,21 +1979,32 @@ function createRagRouter(db, sessions) {
     });
 
     // 8a. List all documents for a tenant
-    router.get('/documents', validateTenantMW, async (req, res) => {
+    router.get('/documents', validateTenantMW, readKnowledgeAccess, async (req, res) => {
         try {
             const { limit = 50, offset = 0 } = req.query;
+            const params = [req.tenantId, limit, offset];
+            const scope = collections.collectionScopeClause(await collections.getRequestReadableCollections(db, req), params);
             
-            // Get documents for this tenant
+            // Get documents for this tenant: one row per document (its current version), with the
+            // number of versions and any newer version still processing
             const result = await db.query(
-                `SELECT document_id, original_filename, file_type, file_size, 
-                        status, created_at, updated_at,
-                        CASE WHEN processed_markdown IS NOT NULL THEN true ELSE false END as has_markdown
-                 FROM rag_documents 
-                 WHERE tenant_id = $1 
-                 AND original_filename IS NOT NULL
-                 ORDER BY created_at DESC
+                `SELECT d.document_id, d.original_filename, d.file_type, d.file_size, 
+                        d.status, d.created_at, d.updated_at,
+                        CASE WHEN d.processed_markdown IS NOT NULL THEN true ELSE false END as has_markdown,
+                        d.lineage_id, d.version, versions.version_count, versions.pending_version, d.collection_id
+                 FROM rag_documents d
+                 JOIN LATERAL (
+                     SELECT COUNT(*)::int AS version_count,
+                            MAX(p.version) FILTER (WHERE p.version > d.version AND p.status = 'processing') AS pending_version
+                     FROM rag_documents p
+                     WHERE p.tenant_id = d.tenant_id AND p.lineage_id = d.lineage_id
+                 ) versions ON true
+                 WHERE d.tenant_id = $1 
+                 AND d.is_current
+                 AND d.original_filename IS NOT NULL${scope}
+                 ORDER BY d.created_at DESC
                  LIMIT $2 OFFSET $3`,
-                [req.tenantId, limit, offset]
+                params
             );
             
             res.json({
@@ -1455,7 +2019,7 @@ function createRagRouter(db, sessions) {
     });
     
     // 8b. Get document status
-    router.get('/document-status/:document_id', validateTenantMW, async (req, res) => {
+    router.get('/document-status/:document_id', validateTenantMW, readKnowledgeAccess, requireReadableDocument, async (req, res) => {
         try {
             const { document_id } = req.params;
             
@@ -1501,7 +2065,7 @@ function createRagRouter(db, sessions) {
     });
     
     // 8c. Retry failed document processing
-    router.post('/document-retry/:document_id', validateTenantMW, async (req, res) => {
+    router.post('/document-retry/:document_id', validateTenantMW, writeKnowledgeAccess, requireReadableDocument, async (req, res) => {
         try {
             const { document_id } = req.params;
             
@@ -1521,14 +2085,6 @@ function createRagRouter(db, sessions) {
             const newCallbackToken = crypto.randomBytes(32).toString('hex');
             // No expiry - tokens are permanent for document processing
             
-            // Update document with new token but keep it permanent
-            await db.query(
-                `UPDATE rag_documents 
-                 SET callback_token = $1, token_expires_at = NULL, status = 'processing' 
-                 WHERE document_id = $2`,
-                [newCallbackToken, document_id]
-            );
-            
             // Get app URL
             let appUrl = process.env.APP_URL || 'http://localhost:5000';
             try {
@@ -1543,56 +2099,253 @@ function createRagRouter(db, sessions) {
                 console.log('Using environment APP_URL:', appUrl);
             }
             
-            // Retry webhook to actions platform
-            try {
+            await db.transaction(async (client) => {
+                // Update document with new token but keep it permanent
+                await client.query(
+                    `UPDATE rag_documents 
+                     SET callback_token = $1, token_expires_at = NULL, status = 'processing' 
+                     WHERE document_id = $2`,
+                    [newCallbackToken, document_id]
+                );
+                
+                // Queue retry webhook to actions platform
                 await resolveWebhook.sendDocumentProcessingEvent({
                     source: 'onboarding',
                     action: 'document-processing',
+                    tenant_id: req.tenantId,
                     document_id: document_id,
                     document_url: `${appUrl}/api/documents/${document_id}`,
                     callback_url: `${appUrl}/api/rag/document-callback/${document_id}`,
+                    vector_callback_url: doc.callback_id ? `${appUrl}/api/rag/callback/${doc.callback_id}` : undefined,
                     callback_token: newCallbackToken,
                     file_type: doc.file_type,
                     file_size: doc.file_size,
                     original_filename: doc.original_filename
+                }, { client });
+            });
+            resolveWebhook.notifyDispatcher();
+            
+            await recordAuditEvent(db, req, {
+                action: 'document.retry',
+                targetType: 'document',
+                targetId: document_id,
+                before: { status: doc.status },
+                after: { status: 'processing' },
+                metadata: { original_filename: doc.original_filename }
+            });
+            
+            res.json({
+                success: true,
+                message: 'Document resubmitted for processing',
+                document_id: document_id
+            });
+            
+        } catch (error) {
+            console.error('Document retry error:', error);
+            res.status(500).json({ error: 'Failed to retry document processing' });
+        }
+    });
+    
+    // 8d. Version history of a document (any version's ID), newest first
+    router.get('/document/:document_id/versions', validateTenantMW, readKnowledgeAccess, requireReadableDocument, async (req, res) => {
+        try {
+            const { document_id } = req.params;
+            if (!UUID_PATTERN.test(document_id)) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            
+            const versions = await documentVersions.listVersions(db, req.tenantId, document_id);
+            if (!versions) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            
+            res.json({
+                success: true,
+                lineage_id: versions[0].lineage_id,
+                current_document_id: versions.find(version => version.is_current)?.document_id || null,
+                versions
+            });
+            
+        } catch (error) {
+            console.error('Document versions error:', error);
+            res.status(500).json({ error: 'Failed to list document versions' });
+        }
+    });
+    
+    // 8e. Markdown diff between two versions (?from=&to= version numbers; defaults to latest vs. previous)
+    router.get('/document/:document_id/diff', validateTenantMW, readKnowledgeAccess, requireReadableDocument, async (req, res) => {
+        try {
+            const { document_id } = req.params;
+            if (!UUID_PATTERN.test(document_id)) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            
+            const parseVersion = value => (value === undefined ? undefined : parseInt(value));
+            const from = parseVersion(req.query.from);
+            const to = parseVersion(req.query.to);
+            if ([from, to].some(value => value !== undefined && !(value > 0))) {
+                return res.status(400).json({ error: 'from and to must be version numbers' });
+            }
+            
+            const diff = await documentVersions.diffVersions(db, req.tenantId, document_id, { from, to });
+            
+            if (req.query.format === 'patch') {
+                res.setHeader('Content-Type', 'text/x-diff; charset=utf-8');
+                return res.send(diff.diff);
+            }
+            res.json({ success: true, ...diff });
+            
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('Document diff error:', error);
+            res.status(500).json({ error: 'Failed to diff document versions' });
+        }
+    });
+    
+    // 8f. Roll a document back (or forward) to one of its processed versions
+    router.post('/document/:document_id/rollback', validateTenantMW, writeKnowledgeAccess, requireReadableDocument, async (req, res) => {
+        try {
+            const { document_id } = req.params;
+            if (!UUID_PATTERN.test(document_id)) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            
+            const version = req.body?.version;
+            if (!Number.isInteger(version) || version < 1) {
+                return res.status(400).json({ error: 'version must be a version number' });
+            }
+            
+            const result = await documentVersions.rollbackToVersion(db, req.tenantId, document_id, version);
+            
+            await recordAuditEvent(db, req, {
+                action: 'document.rollback',
+                targetType: 'document',
+                targetId: result.lineage_id,
+                before: { version: result.previous?.version ?? null, document_id: result.previous?.document_id ?? null },
+                after: { version: result.current.version, document_id: result.current.document_id }
+            });
+            
+            broadcastKnowledgeEvent(req.tenantId, {
+                type: 'document-version',
+                document_id: result.current.document_id,
+                status: 'current',
+                metadata: {
+                    lineage_id: result.lineage_id,
+                    version: result.current.version,
+                    previous_document_id: result.previous?.document_id || null,
+                    timestamp: new Date().toISOString()
+                }
+            });
+            
+            res.json({
+                success: true,
+                lineage_id: result.lineage_id,
+                document_id: result.current.document_id,
+                version: result.current.version,
+                previous_version: result.previous?.version ?? null,
+                message: `Version ${result.current.version} is now the current version`
+            });
+            
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('Document rollback error:', error);
+            res.status(500).json({ error: 'Failed to roll back document' });
+        }
+    });
+
+    // 8g. File a document (all its versions) in a collection; collection_id null takes it out of collections
+    router.put('/document/:document_id/collection', validateTenantMW, writeKnowledgeAccess, requireReadableDocument, async (req, res) => {
+        try {
+            const { document_id } = req.params;
+            if (!UUID_PATTERN.test(document_id)) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+            if (req.body?.collection_id === undefined) {
+                return res.status(400).json({ error: 'collection_id is required (null for no collection)' });
+            }
+
+            const collectionId = await requestedCollection(req, req.body.collection_id);
+            const moved = await collections.moveDocument(db, req.tenantId, document_id, collectionId);
+            if (!moved) {
+                return res.status(404).json({ error: 'Document not found' });
+            }
+
+            if (moved.previous_collection_id !== collectionId) {
+                await recordAuditEvent(db, req, {
+                    action: 'document.move',
+                    targetType: 'document',
+                    targetId: moved.lineage_id,
+                    before: { collection_id: moved.previous_collection_id },
+                    after: { collection_id: collectionId }
                 });
-                
-                res.json({
-                    success: true,
-                    message: 'Document resubmitted for processing',
-                    document_id: document_id
+                broadcastKnowledgeEvent(req.tenantId, {
+                    type: 'document-moved',
+                    document_id,
+                    status: 'moved',
+                    metadata: { lineage_id: moved.lineage_id, collection_id: collectionId, timestamp: new Date().toISOString() }
                 });
-                
-            } catch (webhookError) {
-                // Add to retry queue
-                await db.query(
-                    `INSERT INTO rag_webhook_failures (tenant_id, webhook_type, payload, next_retry_at) 
-                     VALUES ($1, $2, $3, $4)`,
-                    [req.tenantId, 'document-processing', JSON.stringify({
-                        source: 'onboarding',
-                        action: 'document-processing',
-                        document_id: document_id,
-                        document_url: `${appUrl}/api/documents/${document_id}`,
-                        callback_url: `${appUrl}/api/rag/document-callback/${document_id}`,
-                        callback_token: newCallbackToken
-                    }), new Date(Date.now() + 60000)]
-                );
-                
-                res.json({
-                    success: true,
-                    message: 'Document added to retry queue',
-                    document_id: document_id
+            }
+
+            res.json({ success: true, document_id, lineage_id: moved.lineage_id, collection_id: collectionId });
+
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('Document move error:', error);
+            res.status(500).json({ error: 'Failed to move document' });
+        }
+    });
+
+    // Full-text search across the user's own conversations
+    router.get('/conversations/search', validateTenantMW, chatAccess, async (req, res) => {
+        try {
+            const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+            const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+            
+            if (q.length < 2 || q.length > 200) {
+                return res.status(400).json({ 
+                    success: false, 
+                    error: 'q must be between 2 and 200 characters' 
                 });
             }
             
+            const { conversations, total } = await searchConversations(db, {
+                tenantId: req.tenantId,
+                userEmail: req.userEmail,
+                query: q,
+                limit,
+                offset
+            });
+            
+            res.json({
+                success: true,
+                query: q,
+                conversations: conversations,
+                pagination: {
+                    limit: limit,
+                    offset: offset,
+                    total: total,
+                    has_more: offset + limit < total
+                }
+            });
+            
         } catch (error) {
-            console.error('Document retry error:', error);
-            res.status(500).json({ error: 'Failed to retry document processing' });
+            console.error('Error searching conversations:', error);
+            res.status(500).json({ 
+                success: false, 
+                error: 'Failed to search conversations' 
+            });
         }
     });
     
     // 9. Get recent conversations for the current user
-    router.get('/recent-conversations', validateTenantMW, async (req, res) => {
+    router.get('/recent-conversations', validateTenantMW, chatAccess, async (req, res) => {
         try {
             const limit = parseInt(req.query.limit) || 10;
             const offset = parseInt(req.query.offset) || 0;
@@ -1690,7 +2443,7 @@ function createRagRouter(db, sessions) {
     });
 
     // 10. Delete a conversation
-    router.delete('/conversation/:conversationId', validateTenantMW, async (req, res) => {
+    router.delete('/conversation/:conversationId', validateTenantMW, chatAccess, async (req, res) => {
         try {
             const { conversationId } = req.params;
 
@@ -1718,22 +2471,45 @@ function createRagRouter(db, sessions) {
     });
     
     // Delete document
-    router.delete('/document/:documentId', validateTenantMW, async (req, res) => {
+    router.delete('/document/:documentId', validateTenantMW, deleteKnowledgeAccess, requireReadableDocument, async (req, res) => {
         const { documentId } = req.params;
         const { tenantId } = req;
         
         try {
-            // Delete the document from database
+            // Delete the document from database. Deleting the current version deletes every
+            // version of the document; deleting an older version only removes that version.
             const result = await db.query(
-                'DELETE FROM rag_documents WHERE document_id = $1 AND tenant_id = $2',
+                `DELETE FROM rag_documents
+                 WHERE tenant_id = $2 AND (
+                     document_id = $1
+                     OR lineage_id = (SELECT lineage_id FROM rag_documents WHERE document_id = $1 AND tenant_id = $2 AND is_current)
+                 )
+                 RETURNING document_id, version, original_filename, file_type, file_size, status, created_by, storage_key`,
                 [documentId, tenantId]
             );
             
             if (result.rowCount > 0) {
                 console.log(`Document ${documentId} deleted successfully for tenant ${tenantId}`);
+                for (const { storage_key: storageKey } of result.rows) {
+                    if (storageKey) {
+                        getBlobStore().delete(storageKey).catch(error => {
+                            console.error(`[STORAGE] Failed to delete blob ${storageKey}:`, error.message);
+                        });
+                    }
+                }
+                const { original_filename, file_type, file_size, status, created_by, version } =
+                    result.rows.find(row => row.document_id === documentId.toLowerCase());
+                await recordAuditEvent(db, req, {
+                    action: 'document.delete',
+                    targetType: 'document',
+                    targetId: documentId,
+                    before: { original_filename, file_type, file_size, status, created_by, version },
+                    metadata: result.rowCount > 1 ? { versions_deleted: result.rows.map(row => row.version) } : {}
+                });
                 res.json({ 
                     success: true, 
-                    message: 'Document deleted successfully'
+                    message: result.rowCount > 1 ? `Document and ${result.rowCount - 1} older versions deleted` : 'Document deleted successfully',
+                    versions_deleted: result.rowCount
                 });
             } else {
                 res.status(404).json({ 
@@ -1752,7 +2528,7 @@ function createRagRouter(db, sessions) {
 
     // New endpoint: GET /api/tenant/:tenantId/documents/:documentId/markdown
     // Retrieve processed markdown for viewing
-    router.get('/tenant/:tenantId/documents/:documentId/markdown', validateTenantMW, async (req, res) => {
+    router.get('/tenant/:tenantId/documents/:documentId/markdown', validateTenantMW, readKnowledgeAccess, requireReadableDocument, async (req, res) => {
         try {
             const { tenantId, documentId } = req.params;
             
@@ -1804,7 +2580,7 @@ function createRagRouter(db, sessions) {
 
     // New endpoint: GET /api/tenant/:tenantId/vectors/stats
     // Get vector storage statistics
-    router.get('/tenant/:tenantId/vectors/stats', validateTenantMW, async (req, res) => {
+    router.get('/tenant/:tenantId/vectors/stats', validateTenantMW, vectorStatsAccess, async (req, res) => {
         try {
             const { tenantId } = req.params;
             
@@ -1868,7 +2644,7 @@ function createRagRouter(db, sessions) {
 
     // New endpoint: DELETE /api/tenant/:tenantId/vectors/document/:documentId
     // Remove all vectors for a specific document
-    router.delete('/tenant/:tenantId/vectors/document/:documentId', validateTenantMW, async (req, res) => {
+    router.delete('/tenant/:tenantId/vectors/document/:documentId', validateTenantMW, vectorDeleteAccess, requireReadableDocument, async (req, res) => {
         try {
             const { tenantId, documentId } = req.params;
             
@@ -1920,6 +2696,13 @@ function createRagRouter(db, sessions) {
             
             // Log the deletion
             console.log(`[VECTOR DELETE] Deleted ${vectorCount} vectors for document ${documentId}`);
+            await recordAuditEvent(db, req, {
+                action: 'document.vectors_delete',
+                targetType: 'document',
+                targetId: documentId,
+                before: { vector_count: vectorCount },
+                after: { vector_count: 0, status: 'vectors_deleted' }
+            });
             
             res.json({
                 success: true,
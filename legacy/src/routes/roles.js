@@ -0,0 +1,214 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const {
+    PERMISSIONS,
+    ROLE_NAME_PATTERN,
+    isBuiltInRole,
+    listRoles,
+    createRole,
+    updateRole,
+    deleteRole
+} = require('../services/permissionService');
+const { recordAuditEvent } = require('../services/auditLog');
+
+const validateTenantParam = [
+    param('tenantId')
+        .isUUID()
+        .withMessage('Tenant ID must be a UUID')
+];
+
+const validateRoleParam = [
+    param('roleName')
+        .matches(ROLE_NAME_PATTERN)
+        .withMessage('Invalid role name')
+];
+
+const validateRoleFields = (optional) => [
+    body('description')
+        .optional({ nullable: true })
+        .isString()
+        .isLength({ max: 255 })
+        .withMessage('Description must be at most 255 characters'),
+    (optional ? body('permissions').optional() : body('permissions'))
+        .isArray()
+        .withMessage('permissions must be an array'),
+    body('permissions.*')
+        .isIn(PERMISSIONS)
+        .withMessage(`Permissions must be among: ${PERMISSIONS.join(', ')}`)
+];
+
+const validateRoleCreation = [
+    body('name')
+        .isString()
+        .trim()
+        .toLowerCase()
+        .matches(ROLE_NAME_PATTERN)
+        .withMessage('Name must be 3-50 lowercase letters, digits or dashes, starting with a letter'),
+    ...validateRoleFields(false)
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Verify tenant access
+const requireOwnTenant = (req, res, next) => {
+    if (req.params.tenantId !== req.tenantId) {
+        return res.status(403).json({ error: 'Access denied to this tenant' });
+    }
+    next();
+};
+
+// Built-in roles are defined in code
+const rejectBuiltInRole = (req, res, next) => {
+    if (isBuiltInRole(req.params.roleName)) {
+        return res.status(400).json({ error: 'Built-in roles cannot be changed' });
+    }
+    next();
+};
+
+function createRolesRouter(db) {
+    const router = express.Router();
+    const requireUserManagement = requirePermission('users:manage');
+
+    // All routes require authentication
+    router.use('/api/tenants/:tenantId/roles', authenticate);
+
+    // List built-in and custom roles with their permissions (users:manage)
+    router.get('/api/tenants/:tenantId/roles',
+        requireUserManagement,
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            res.json({
+                data: await listRoles(db, req.tenantId),
+                permissions: PERMISSIONS
+            });
+        } catch (error) {
+            console.error('[ROLES] List roles error:', error);
+            res.status(500).json({ error: 'Failed to retrieve roles' });
+        }
+    });
+
+    // Create a custom role (users:manage)
+    router.post('/api/tenants/:tenantId/roles',
+        requireUserManagement,
+        validateTenantParam,
+        validateRoleCreation,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const { name, description, permissions } = req.body;
+            if (isBuiltInRole(name)) {
+                return res.status(409).json({ error: 'A built-in role already has this name' });
+            }
+
+            const role = await createRole(db, req.tenantId, {
+                name,
+                description,
+                permissions,
+                createdBy: req.userEmail
+            });
+            if (!role) {
+                return res.status(409).json({ error: 'A role with this name already exists' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'role.create',
+                targetType: 'role',
+                targetId: name,
+                after: { description: role.description, permissions: role.permissions }
+            });
+            console.log(`[ROLES] Role ${name} created for tenant ${req.tenantId} by ${req.userEmail}:`, role.permissions);
+
+            res.status(201).json({ role: { ...role, built_in: false, user_count: 0 } });
+        } catch (error) {
+            console.error('[ROLES] Create role error:', error);
+            res.status(500).json({ error: 'Failed to create role' });
+        }
+    });
+
+    // Update a custom role's description or permissions (users:manage)
+    router.put('/api/tenants/:tenantId/roles/:roleName',
+        requireUserManagement,
+        validateTenantParam,
+        validateRoleParam,
+        validateRoleFields(true),
+        handleValidationErrors,
+        requireOwnTenant,
+        rejectBuiltInRole,
+        async (req, res) => {
+        try {
+            const { description, permissions } = req.body;
+            if (description === undefined && permissions === undefined) {
+                return res.status(400).json({ error: 'No fields to update' });
+            }
+
+            const previous = (await listRoles(db, req.tenantId)).find(r => r.name === req.params.roleName);
+            const role = await updateRole(db, req.tenantId, req.params.roleName, { description, permissions });
+            if (!role) {
+                return res.status(404).json({ error: 'Role not found' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'role.update',
+                targetType: 'role',
+                targetId: role.name,
+                before: previous && { description: previous.description, permissions: previous.permissions },
+                after: { description: role.description, permissions: role.permissions }
+            });
+            console.log(`[ROLES] Role ${role.name} updated for tenant ${req.tenantId} by ${req.userEmail}:`, role.permissions);
+
+            res.json({ role: { ...role, built_in: false } });
+        } catch (error) {
+            console.error('[ROLES] Update role error:', error);
+            res.status(500).json({ error: 'Failed to update role' });
+        }
+    });
+
+    // Delete a custom role nobody holds (users:manage)
+    router.delete('/api/tenants/:tenantId/roles/:roleName',
+        requireUserManagement,
+        validateTenantParam,
+        validateRoleParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        rejectBuiltInRole,
+        async (req, res) => {
+        try {
+            const result = await deleteRole(db, req.tenantId, req.params.roleName);
+            if (result.userCount) {
+                return res.status(409).json({
+                    error: `Role is assigned to ${result.userCount} user${result.userCount > 1 ? 's' : ''}; reassign them first`
+                });
+            }
+            if (!result.deleted) {
+                return res.status(404).json({ error: 'Role not found' });
+            }
+            await recordAuditEvent(db, req, {
+                action: 'role.delete',
+                targetType: 'role',
+                targetId: req.params.roleName
+            });
+
+            res.json({ ok: true });
+        } catch (error) {
+            console.error('[ROLES] Delete role error:', error);
+            res.status(500).json({ error: 'Failed to delete role' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createRolesRouter;
@@ -0,0 +1,444 @@
+const express = require('express');
+const authService = require('../services/authService');
+const { recordAuditEvent, recordApiKeyUse } = require('../services/auditLog');
+const { PERMISSIONS, getRolePermissions, clearUserRoleCache, roleExists, listRoles } = require('../services/permissionService');
+const { createTenantUser } = require('../services/tenantUsers');
+const { isValidEmail } = require('../utils/validation');
+const {
+    scimError,
+    errorBody,
+    toScimUser,
+    toScimGroup,
+    listResponse,
+    pagination,
+    parseFilter,
+    userChangesFromResource,
+    userChangesFromPatch,
+    memberChangesFromPatch,
+    serviceProviderConfig,
+    resourceTypes
+} = require('../services/scim');
+
+const USER_COLUMNS = 'id, email, full_name, role, status, scim_external_id, created_at, updated_at';
+const USER_FILTERS = { userName: 'email', externalId: 'scim_external_id', 'emails.value': 'email' };
+
+function send(res, status, body) {
+    return res.status(status).type('application/scim+json').json(body);
+}
+
+function sendError(res, error) {
+    if (error.code !== 'SCIM_ERROR') {
+        console.error('[SCIM] Error:', error);
+        error = scimError(500, 'Internal error');
+    }
+    return send(res, error.status, errorBody(error));
+}
+
+/**
+ * SCIM 2.0 provisioning for identity providers, mounted at /scim/v2. Authenticated by a
+ * tenant API key with the 'scim' scope; sessions are not accepted.
+ */
+function createScimRouter(db) {
+    const router = express.Router();
+
+    router.use(express.json({ type: ['application/scim+json', 'application/json'] }));
+
+    router.use(async (req, res, next) => {
+        const authHeader = req.headers['authorization'] || '';
+        if (!authHeader.startsWith('Bearer rslv_')) {
+            return sendError(res, scimError(401, 'Authorization: Bearer <tenant API key> required'));
+        }
+
+        try {
+            const key = await db.apiKeys.authenticateTenantKey(authHeader.substring(7).trim());
+            if (!key) {
+                return sendError(res, scimError(401, 'Invalid or expired API key'));
+            }
+            if (!key.scopes.includes('scim') && !key.scopes.includes('admin')) {
+                return sendError(res, scimError(403, "API key is missing the 'scim' scope"));
+            }
+            // The key acts for its creator, who must still be allowed to manage users
+            const permissions = authService.isAdmin({ email: key.user_email })
+                ? PERMISSIONS
+                : await getRolePermissions(db, key.tenant_id, key.user_role);
+            if (!permissions.includes('users:manage')) {
+                return sendError(res, scimError(403, 'The API key was created by a user who can no longer manage users'));
+            }
+
+            req.tenantId = key.tenant_id;
+            req.userEmail = key.user_email;
+            req.userRole = key.user_role;
+            req.apiKey = { id: key.id, name: key.name, scopes: key.scopes };
+            recordApiKeyUse(db, req);
+            next();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    async function findUser(tenantId, id) {
+        if (!/^\d+$/.test(String(id))) {
+            throw scimError(404, `User ${id} not found`);
+        }
+        const result = await db.query(
+            `SELECT ${USER_COLUMNS} FROM users WHERE id = $1 AND tenant_id = $2`,
+            [id, tenantId]
+        );
+        if (result.rows.length === 0) {
+            throw scimError(404, `User ${id} not found`);
+        }
+        return result.rows[0];
+    }
+
+    /**
+     * Apply { email, name, nameParts, active, role, externalId } to a user. Deactivating signs
+     * the user out everywhere; the last tenant admin can't be demoted or deactivated.
+     */
+    async function updateUser(req, user, changes) {
+        const updates = {};
+
+        if (changes.email !== undefined && changes.email !== user.email) {
+            if (!isValidEmail(changes.email)) {
+                throw scimError(400, 'userName must be an email address', 'invalidValue');
+            }
+            const taken = await db.query('SELECT id FROM users WHERE email = $1 AND id <> $2', [changes.email, user.id]);
+            if (taken.rows.length > 0) {
+                throw scimError(409, 'userName is already in use', 'uniqueness');
+            }
+            updates.email = changes.email;
+        }
+
+        let name = changes.name;
+        if (name === undefined && changes.nameParts) {
+            const [givenName, ...familyName] = (user.full_name || '').split(' ');
+            const parts = { givenname: givenName, familyname: familyName.join(' '), ...changes.nameParts };
+            name = [parts.givenname, parts.familyname].filter(Boolean).join(' ');
+        }
+        if (name !== undefined && name !== user.full_name) {
+            updates.full_name = String(name).slice(0, 255);
+        }
+
+        if (changes.externalId !== undefined && changes.externalId !== user.scim_external_id) {
+            updates.scim_external_id = changes.externalId;
+        }
+
+        if (changes.role !== undefined && changes.role !== user.role) {
+            if (!(await roleExists(db, req.tenantId, changes.role))) {
+                throw scimError(400, `Unknown role: ${changes.role}`, 'invalidValue');
+            }
+            updates.role = changes.role;
+        }
+
+        if (changes.active !== undefined) {
+            const status = changes.active ? (user.status === 'disabled' ? 'active' : user.status) : 'disabled';
+            if (status !== user.status) {
+                updates.status = status;
+            }
+        }
+
+        const fields = Object.keys(updates);
+        if (fields.length === 0) {
+            return user;
+        }
+
+        let result;
+        try {
+            result = await db.query(
+                `UPDATE users SET ${fields.map((field, index) => `${field} = $${index + 3}`).join(', ')},
+                     updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $1 AND tenant_id = $2
+                 RETURNING ${USER_COLUMNS}`,
+                [user.id, req.tenantId, ...fields.map(field => updates[field])]
+            );
+        } catch (error) {
+            if (/last tenant admin/i.test(error.message)) {
+                throw scimError(409, 'Cannot demote or deactivate the last tenant admin', 'mutability');
+            }
+            if (error.code === '23505') {
+                throw scimError(409, 'externalId is already in use', 'uniqueness');
+            }
+            throw error;
+        }
+        const updated = result.rows[0];
+        clearUserRoleCache(user.id);
+
+        if (updates.status === 'disabled') {
+            await authService.destroyAllUserSessions(user.id);
+            await db.apiKeys.revokeUserTenantKeys(req.tenantId, user.email, req.userEmail);
+        }
+        if (updates.email) {
+            // API keys belong to their creator by email
+            await db.query(
+                'UPDATE api_keys SET user_email = $3 WHERE tenant_id = $1 AND user_email = $2',
+                [req.tenantId, user.email, updates.email]
+            );
+        }
+
+        const audited = row => ({ email: row.email, name: row.full_name, role: row.role, status: row.status });
+        await recordAuditEvent(db, req, {
+            action: 'user.update',
+            targetType: 'user',
+            targetId: user.id,
+            before: audited(user),
+            after: audited(updated),
+            metadata: { email: user.email, source: 'scim' }
+        });
+        return updated;
+    }
+
+    router.get('/ServiceProviderConfig', (req, res) => {
+        send(res, 200, serviceProviderConfig());
+    });
+
+    router.get('/ResourceTypes', (req, res) => {
+        const types = resourceTypes();
+        send(res, 200, listResponse(types, { total: types.length, startIndex: 1 }));
+    });
+
+    // List users; filters: userName, externalId or emails.value eq "..."
+    router.get('/Users', async (req, res) => {
+        try {
+            const filter = parseFilter(req.query.filter, Object.keys(USER_FILTERS));
+            const { startIndex, count, offset } = pagination(req.query);
+
+            let where = 'WHERE tenant_id = $1';
+            const params = [req.tenantId];
+            if (filter) {
+                params.push(USER_FILTERS[filter.attribute] === 'email' ? filter.value.toLowerCase() : filter.value);
+                where += ` AND ${USER_FILTERS[filter.attribute]} = $2`;
+            }
+
+            const total = parseInt((await db.query(`SELECT COUNT(*) FROM users ${where}`, params)).rows[0].count);
+            const result = await db.query(
+                `SELECT ${USER_COLUMNS} FROM users ${where} ORDER BY id
+                 LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+                [...params, count, offset]
+            );
+
+            send(res, 200, listResponse(result.rows.map(toScimUser), { total, startIndex }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/Users/:id', async (req, res) => {
+        try {
+            send(res, 200, toScimUser(await findUser(req.tenantId, req.params.id)));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Provision a user. They sign in with SSO or set a password through "Forgot password".
+    router.post('/Users', async (req, res) => {
+        try {
+            const changes = userChangesFromResource(req.body || {});
+            if (!changes.email || !isValidEmail(changes.email)) {
+                throw scimError(400, 'userName must be an email address', 'invalidValue');
+            }
+
+            let created;
+            try {
+                created = await createTenantUser(db, req.tenantId, {
+                    email: changes.email,
+                    name: changes.name || changes.email.split('@')[0],
+                    role: changes.role || 'user',
+                    invite: false,
+                    active: changes.active,
+                    externalId: changes.externalId || null
+                });
+            } catch (error) {
+                if (error.code === 'USER_EXISTS' || error.code === 'EMAIL_TAKEN') {
+                    throw scimError(409, error.message, 'uniqueness');
+                }
+                if (error.code === 'UNKNOWN_ROLE') {
+                    throw scimError(400, error.message, 'invalidValue');
+                }
+                if (error.code === '23505') {
+                    throw scimError(409, 'externalId is already in use', 'uniqueness');
+                }
+                throw error;
+            }
+
+            const user = await findUser(req.tenantId, created.user.id);
+            await recordAuditEvent(db, req, {
+                action: 'user.create',
+                targetType: 'user',
+                targetId: user.id,
+                after: { email: user.email, name: user.full_name, role: user.role, status: user.status },
+                metadata: { source: 'scim', external_id: user.scim_external_id }
+            });
+            console.log(`[SCIM] Provisioned ${user.email} in tenant ${req.tenantId}`);
+
+            send(res, 201, toScimUser(user));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Replace a user; attributes left out keep their value
+    router.put('/Users/:id', async (req, res) => {
+        try {
+            const user = await findUser(req.tenantId, req.params.id);
+            const updated = await updateUser(req, user, userChangesFromResource(req.body || {}));
+            send(res, 200, toScimUser(updated));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Partial update, e.g. { op: "replace", path: "active", value: false } to deactivate
+    router.patch('/Users/:id', async (req, res) => {
+        try {
+            const user = await findUser(req.tenantId, req.params.id);
+            const updated = await updateUser(req, user, userChangesFromPatch(req.body));
+            send(res, 200, toScimUser(updated));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/Users/:id', async (req, res) => {
+        try {
+            const user = await findUser(req.tenantId, req.params.id);
+
+            await db.query('UPDATE users SET invited_by = NULL WHERE invited_by = $1', [user.id]);
+            try {
+                await db.query('DELETE FROM users WHERE id = $1 AND tenant_id = $2', [user.id, req.tenantId]);
+            } catch (error) {
+                if (/last tenant admin/i.test(error.message)) {
+                    throw scimError(409, 'Cannot delete the last tenant admin', 'mutability');
+                }
+                throw error;
+            }
+            await authService.destroyAllUserSessions(user.id);
+            clearUserRoleCache(user.id);
+            await db.apiKeys.revokeUserTenantKeys(req.tenantId, user.email, req.userEmail);
+
+            await recordAuditEvent(db, req, {
+                action: 'user.delete',
+                targetType: 'user',
+                targetId: user.id,
+                before: { email: user.email, name: user.full_name, role: user.role, status: user.status },
+                metadata: { source: 'scim' }
+            });
+            console.log(`[SCIM] Deleted ${user.email} from tenant ${req.tenantId}`);
+
+            res.status(204).end();
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    async function findGroup(tenantId, id) {
+        const role = (await listRoles(db, tenantId)).find(candidate => candidate.name === id);
+        if (!role) {
+            throw scimError(404, `Group ${id} not found`);
+        }
+        const members = await db.query(
+            'SELECT id, email FROM users WHERE tenant_id = $1 AND role = $2 ORDER BY id',
+            [tenantId, role.name]
+        );
+        return toScimGroup(role, members.rows);
+    }
+
+    // Move users into a role (add), back to the 'user' role (remove), or both to match a list (replace)
+    async function applyMemberChanges(req, groupId, { add, remove, replace }) {
+        if (replace) {
+            const current = await db.query(
+                'SELECT id FROM users WHERE tenant_id = $1 AND role = $2',
+                [req.tenantId, groupId]
+            );
+            add = [...add, ...replace];
+            remove = [...remove, ...current.rows.map(row => row.id).filter(id => !replace.includes(id))];
+        }
+
+        for (const id of new Set(add)) {
+            await updateUser(req, await findUser(req.tenantId, id), { role: groupId });
+        }
+        for (const id of new Set(remove)) {
+            const user = await findUser(req.tenantId, id);
+            if (user.role === groupId && groupId !== 'user') {
+                await updateUser(req, user, { role: 'user' });
+            }
+        }
+    }
+
+    // Groups are the tenant's roles; filter: displayName eq "..."
+    router.get('/Groups', async (req, res) => {
+        try {
+            const filter = parseFilter(req.query.filter, ['displayName']);
+            const { startIndex, count, offset } = pagination(req.query);
+            const roles = (await listRoles(db, req.tenantId))
+                .filter(role => !filter || role.name === filter.value);
+
+            const page = roles.slice(offset, offset + count);
+            const groups = [];
+            for (const role of page) {
+                groups.push(await findGroup(req.tenantId, role.name));
+            }
+            send(res, 200, listResponse(groups, { total: roles.length, startIndex }));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/Groups/:id', async (req, res) => {
+        try {
+            send(res, 200, await findGroup(req.tenantId, req.params.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    // Roles are created in the Users page; pushing a group links it to the role of the same name
+    router.post('/Groups', async (req, res) => {
+        try {
+            const name = (req.body && req.body.displayName) || '';
+            if (!(await roleExists(db, req.tenantId, name))) {
+                throw scimError(400, `No role named "${name}". Create the role first, then push the group.`, 'invalidValue');
+            }
+            await applyMemberChanges(req, name, {
+                add: [],
+                remove: [],
+                replace: Array.isArray(req.body.members) ? req.body.members.map(member => parseInt(member.value)).filter(Number.isInteger) : null
+            });
+            send(res, 201, await findGroup(req.tenantId, name));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.put('/Groups/:id', async (req, res) => {
+        try {
+            await findGroup(req.tenantId, req.params.id);
+            const members = Array.isArray(req.body && req.body.members) ? req.body.members : [];
+            await applyMemberChanges(req, req.params.id, {
+                add: [],
+                remove: [],
+                replace: members.map(member => parseInt(member.value)).filter(Number.isInteger)
+            });
+            send(res, 200, await findGroup(req.tenantId, req.params.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.patch('/Groups/:id', async (req, res) => {
+        try {
+            await findGroup(req.tenantId, req.params.id);
+            await applyMemberChanges(req, req.params.id, memberChangesFromPatch(req.body));
+            send(res, 200, await findGroup(req.tenantId, req.params.id));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.delete('/Groups/:id', (req, res) => {
+        sendError(res, scimError(403, 'Roles are deleted in the Users page, not through SCIM', 'mutability'));
+    });
+
+    return router;
+}
+
+module.exports = createScimRouter;
@@ -0,0 +1,152 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const authService = require('../services/authService');
+const { authenticate } = require('../middleware/auth');
+const { recordAuditEvent } = require('../services/auditLog');
+const {
+    describeUserAgent,
+    listNotices,
+    markNoticesRead,
+    sessionId
+} = require('../services/accountSecurity');
+
+const validateSessionParam = [
+    param('sessionId')
+        .isHexadecimal()
+        .isLength({ min: 24, max: 24 })
+        .withMessage('Invalid session ID')
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Session details safe to show the user; tokens are replaced by their session ID
+function formatSession(token, session, currentToken) {
+    return {
+        id: sessionId(token),
+        current: token === currentToken,
+        device: describeUserAgent(session.userAgent),
+        user_agent: session.userAgent || null,
+        ip_address: session.ipAddress || null,
+        created_at: new Date(session.createdAt).toISOString(),
+        last_activity_at: new Date(session.lastActivityAt || session.createdAt).toISOString(),
+        expires_at: new Date(session.expiresAt).toISOString()
+    };
+}
+
+function createSessionsRouter(db) {
+    const router = express.Router();
+
+    // All routes act on the signed-in user's own sessions
+    router.use(['/api/sessions', '/api/security-notices'], authenticate);
+
+    // List the user's active sessions, most recently used first
+    router.get('/api/sessions', async (req, res) => {
+        try {
+            const now = Date.now();
+            const sessions = (await authService.getUserSessions(req.userId))
+                .filter(({ session }) => session.expiresAt > now)
+                .map(({ token, session }) => formatSession(token, session, req.sessionToken))
+                .sort((a, b) => b.last_activity_at.localeCompare(a.last_activity_at));
+
+            res.json({ data: sessions });
+        } catch (error) {
+            console.error('[SESSIONS] List sessions error:', error);
+            res.status(500).json({ error: 'Failed to retrieve sessions' });
+        }
+    });
+
+    // Sign out one session (the current one included)
+    router.delete('/api/sessions/:sessionId',
+        validateSessionParam,
+        handleValidationErrors,
+        async (req, res) => {
+        try {
+            const match = (await authService.getUserSessions(req.userId))
+                .find(({ token }) => sessionId(token) === req.params.sessionId);
+            if (!match) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            await authService.destroySession(match.token);
+            const current = match.token === req.sessionToken;
+            if (current) {
+                res.clearCookie('sessionToken');
+            }
+
+            await recordAuditEvent(db, req, {
+                action: 'auth.session_revoked',
+                targetType: 'user',
+                targetId: req.userId,
+                metadata: {
+                    session_id: req.params.sessionId,
+                    device: describeUserAgent(match.session.userAgent),
+                    ip_address: match.session.ipAddress || null,
+                    current
+                }
+            });
+            console.log(`[SESSIONS] ${req.userEmail} revoked session ${req.params.sessionId}`);
+
+            res.json({ ok: true, current });
+        } catch (error) {
+            console.error('[SESSIONS] Revoke session error:', error);
+            res.status(500).json({ error: 'Failed to revoke session' });
+        }
+    });
+
+    // Sign out everywhere, this session included
+    router.delete('/api/sessions', async (req, res) => {
+        try {
+            const revoked = await authService.destroyAllUserSessions(req.userId);
+            res.clearCookie('sessionToken');
+
+            await recordAuditEvent(db, req, {
+                action: 'auth.sessions_revoked_all',
+                targetType: 'user',
+                targetId: req.userId,
+                metadata: { revoked }
+            });
+            console.log(`[SESSIONS] ${req.userEmail} signed out everywhere (${revoked} sessions)`);
+
+            res.json({ ok: true, revoked });
+        } catch (error) {
+            console.error('[SESSIONS] Revoke all sessions error:', error);
+            res.status(500).json({ error: 'Failed to sign out everywhere' });
+        }
+    });
+
+    // Recent security notices: sign-ins from new devices or IPs, lockouts
+    router.get('/api/security-notices', async (req, res) => {
+        try {
+            const { notices, unread } = await listNotices(db, req.userId);
+            res.json({ data: notices, unread });
+        } catch (error) {
+            console.error('[SESSIONS] List security notices error:', error);
+            res.status(500).json({ error: 'Failed to retrieve security notices' });
+        }
+    });
+
+    // Mark all of the user's notices read
+    router.post('/api/security-notices/read', async (req, res) => {
+        try {
+            const marked = await markNoticesRead(db, req.userId);
+            res.json({ ok: true, marked });
+        } catch (error) {
+            console.error('[SESSIONS] Mark security notices read error:', error);
+            res.status(500).json({ error: 'Failed to update security notices' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createSessionsRouter;
@@ -0,0 +1,486 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const config = require('../config');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const ConversationContext = require('../services/conversationContext');
+const { recordAuditEvent } = require('../services/auditLog');
+const { SECURITY_SETTINGS_KEY } = require('../services/twoFactor');
+const { roleExists } = require('../services/permissionService');
+const sso = require('../services/sso');
+const contentDedup = require('../services/contentDedup');
+
+const validateTenantParam = [
+    param('tenantId')
+        .isUUID()
+        .withMessage('Tenant ID must be a UUID')
+];
+
+const validateChatHistorySettings = [
+    body('max_messages')
+        .optional()
+        .isInt({ min: 0, max: 100 })
+        .withMessage('max_messages must be between 0 and 100 (0 disables history)')
+        .toInt(),
+    body('max_tokens')
+        .optional()
+        .isInt({ min: 100, max: 32000 })
+        .withMessage('max_tokens must be between 100 and 32000')
+        .toInt(),
+    body('summary_enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('summary_enabled must be a boolean')
+        .toBoolean(),
+    body('summary_max_tokens')
+        .optional()
+        .isInt({ min: 50, max: 4000 })
+        .withMessage('summary_max_tokens must be between 50 and 4000')
+        .toInt()
+];
+
+const validateSecuritySettings = [
+    body('require_two_factor')
+        .isBoolean()
+        .withMessage('require_two_factor must be a boolean')
+        .toBoolean()
+];
+
+const validateDedupSettings = [
+    body('policy')
+        .isIn(contentDedup.DEDUP_POLICIES)
+        .withMessage(`policy must be one of: ${contentDedup.DEDUP_POLICIES.join(', ')}`)
+];
+
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+const validateSsoSettings = [
+    body('issuer')
+        .isURL({ protocols: ['https', 'http'], require_protocol: true, require_tld: false })
+        .withMessage('issuer must be the provider\'s issuer URL')
+        .custom(value => {
+            if (config.nodeEnv === 'production' && !value.startsWith('https://')) {
+                throw new Error('issuer must use https');
+            }
+            return true;
+        }),
+    body('client_id')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 255 })
+        .withMessage('client_id is required'),
+    body('client_secret')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ max: 1000 })
+        .withMessage('client_secret must be a string'),
+    body('allowed_domains')
+        .isArray({ min: 1, max: 20 })
+        .withMessage('allowed_domains must list 1-20 email domains'),
+    body('allowed_domains.*')
+        .isString()
+        .trim()
+        .matches(DOMAIN_PATTERN)
+        .withMessage('allowed_domains must be domain names, e.g. example.com'),
+    body('default_role')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('default_role is required'),
+    body('role_claim')
+        .optional({ values: 'falsy' })
+        .isString()
+        .trim()
+        .matches(/^\S{1,255}$/)
+        .withMessage('role_claim must be a claim name, e.g. groups or realm_access.roles'),
+    body('role_mapping')
+        .optional()
+        .isObject()
+        .withMessage('role_mapping must map claim values to role names')
+        .custom(value => {
+            const entries = Object.entries(value);
+            if (entries.length > 50 || entries.some(([claim, role]) => !claim || typeof role !== 'string')) {
+                throw new Error('role_mapping must map up to 50 claim values to role names');
+            }
+            return true;
+        }),
+    body('enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('enabled must be a boolean')
+        .toBoolean()
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Verify tenant access
+const requireOwnTenant = (req, res, next) => {
+    if (req.params.tenantId !== req.tenantId) {
+        return res.status(403).json({ error: 'Access denied to this tenant' });
+    }
+    next();
+};
+
+// A tenant's SSO provider as shown to its admins; the client secret is never returned
+function formatSsoProvider(provider) {
+    if (!provider) {
+        return { configured: false, redirect_uri: sso.redirectUri() };
+    }
+    return {
+        configured: true,
+        issuer: provider.issuer,
+        client_id: provider.client_id,
+        client_secret_set: !!provider.client_secret,
+        allowed_domains: provider.allowed_domains,
+        default_role: provider.default_role,
+        role_claim: provider.role_claim,
+        role_mapping: provider.role_mapping,
+        enabled: provider.enabled,
+        updated_at: provider.updated_at,
+        redirect_uri: sso.redirectUri()
+    };
+}
+
+function auditableSsoProvider(provider) {
+    if (!provider) {
+        return null;
+    }
+    const { redirect_uri, updated_at, configured, ...fields } = formatSsoProvider(provider);
+    return fields;
+}
+
+function createTenantSettingsRouter(db) {
+    const router = express.Router();
+    const conversationContext = new ConversationContext(db);
+
+    // All routes require authentication
+    router.use('/api/tenants/:tenantId/settings', authenticate);
+
+    async function chatHistoryResponse(tenantId) {
+        const history = config.rag.history;
+        return {
+            settings: await conversationContext.getSettings(tenantId),
+            overrides: (await db.tenantSettings.get(tenantId, ConversationContext.SETTINGS_KEY)) || {},
+            defaults: {
+                max_messages: history.maxMessages,
+                max_tokens: history.maxTokens,
+                summary_enabled: history.summaryEnabled,
+                summary_max_tokens: history.summaryMaxTokens
+            }
+        };
+    }
+
+    // Get chat history window settings (settings:edit)
+    router.get('/api/tenants/:tenantId/settings/chat-history',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            res.json(await chatHistoryResponse(req.tenantId));
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Get chat history settings error:', error);
+            res.status(500).json({ error: 'Failed to retrieve settings' });
+        }
+    });
+
+    // Update chat history window settings; omitted fields keep their current value
+    router.put('/api/tenants/:tenantId/settings/chat-history',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        validateChatHistorySettings,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const current = (await db.tenantSettings.get(req.tenantId, ConversationContext.SETTINGS_KEY)) || {};
+            const updates = {};
+            for (const field of ['max_messages', 'max_tokens', 'summary_enabled', 'summary_max_tokens']) {
+                if (req.body[field] !== undefined) {
+                    updates[field] = req.body[field];
+                }
+            }
+
+            if (Object.keys(updates).length === 0) {
+                return res.status(400).json({ error: 'No fields to update' });
+            }
+
+            await db.tenantSettings.set(req.tenantId, ConversationContext.SETTINGS_KEY, { ...current, ...updates }, req.userEmail);
+            await recordAuditEvent(db, req, {
+                action: 'settings.update',
+                targetType: 'setting',
+                targetId: ConversationContext.SETTINGS_KEY,
+                before: current,
+                after: { ...current, ...updates }
+            });
+            console.log(`[TENANT SETTINGS] Chat history settings updated for tenant ${req.tenantId} by ${req.userEmail}:`, updates);
+
+            res.json(await chatHistoryResponse(req.tenantId));
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Update chat history settings error:', error);
+            res.status(500).json({ error: 'Failed to update settings' });
+        }
+    });
+
+    // Reset chat history window settings to the application defaults
+    router.delete('/api/tenants/:tenantId/settings/chat-history',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const current = (await db.tenantSettings.get(req.tenantId, ConversationContext.SETTINGS_KEY)) || {};
+            await db.tenantSettings.remove(req.tenantId, ConversationContext.SETTINGS_KEY);
+            await recordAuditEvent(db, req, {
+                action: 'settings.reset',
+                targetType: 'setting',
+                targetId: ConversationContext.SETTINGS_KEY,
+                before: current,
+                after: {}
+            });
+            res.json(await chatHistoryResponse(req.tenantId));
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Reset chat history settings error:', error);
+            res.status(500).json({ error: 'Failed to reset settings' });
+        }
+    });
+
+    // Get sign-in security settings (settings:edit)
+    router.get('/api/tenants/:tenantId/settings/security',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const settings = (await db.tenantSettings.get(req.tenantId, SECURITY_SETTINGS_KEY)) || {};
+            res.json({ require_two_factor: !!settings.require_two_factor });
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Get security settings error:', error);
+            res.status(500).json({ error: 'Failed to retrieve settings' });
+        }
+    });
+
+    // Require two-factor authentication for every user of the tenant. Users without 2FA
+    // enroll at their next sign-in; existing sessions are not affected.
+    router.put('/api/tenants/:tenantId/settings/security',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        validateSecuritySettings,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const current = (await db.tenantSettings.get(req.tenantId, SECURITY_SETTINGS_KEY)) || {};
+            const updated = { ...current, require_two_factor: req.body.require_two_factor };
+
+            await db.tenantSettings.set(req.tenantId, SECURITY_SETTINGS_KEY, updated, req.userEmail);
+            await recordAuditEvent(db, req, {
+                action: 'settings.update',
+                targetType: 'setting',
+                targetId: SECURITY_SETTINGS_KEY,
+                before: current,
+                after: updated
+            });
+            console.log(`[TENANT SETTINGS] Two-factor ${updated.require_two_factor ? 'required' : 'optional'} for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.json({ require_two_factor: updated.require_two_factor });
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Update security settings error:', error);
+            res.status(500).json({ error: 'Failed to update settings' });
+        }
+    });
+
+    async function dedupResponse(tenantId) {
+        return {
+            policy: await contentDedup.getDedupPolicy(db, tenantId),
+            default: config.rag.dedup.policy,
+            chunk_similarity: config.rag.dedup.chunkSimilarity
+        };
+    }
+
+    // Get the duplicate content policy for uploads and knowledge articles (settings:edit)
+    router.get('/api/tenants/:tenantId/settings/deduplication',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            res.json(await dedupResponse(req.tenantId));
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Get deduplication settings error:', error);
+            res.status(500).json({ error: 'Failed to retrieve settings' });
+        }
+    });
+
+    // Choose whether duplicate content is rejected, linked to the existing document or stored
+    // as a new version of it
+    router.put('/api/tenants/:tenantId/settings/deduplication',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        validateDedupSettings,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const current = (await db.tenantSettings.get(req.tenantId, contentDedup.DEDUP_SETTINGS_KEY)) || {};
+            const updated = { ...current, policy: req.body.policy };
+
+            await db.tenantSettings.set(req.tenantId, contentDedup.DEDUP_SETTINGS_KEY, updated, req.userEmail);
+            await recordAuditEvent(db, req, {
+                action: 'settings.update',
+                targetType: 'setting',
+                targetId: contentDedup.DEDUP_SETTINGS_KEY,
+                before: current,
+                after: updated
+            });
+            console.log(`[TENANT SETTINGS] Duplicate policy set to ${updated.policy} for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.json(await dedupResponse(req.tenantId));
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Update deduplication settings error:', error);
+            res.status(500).json({ error: 'Failed to update settings' });
+        }
+    });
+
+    // Reset the duplicate content policy to the application default
+    router.delete('/api/tenants/:tenantId/settings/deduplication',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const current = (await db.tenantSettings.get(req.tenantId, contentDedup.DEDUP_SETTINGS_KEY)) || {};
+            await db.tenantSettings.remove(req.tenantId, contentDedup.DEDUP_SETTINGS_KEY);
+            await recordAuditEvent(db, req, {
+                action: 'settings.reset',
+                targetType: 'setting',
+                targetId: contentDedup.DEDUP_SETTINGS_KEY,
+                before: current,
+                after: {}
+            });
+            res.json(await dedupResponse(req.tenantId));
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Reset deduplication settings error:', error);
+            res.status(500).json({ error: 'Failed to reset settings' });
+        }
+    });
+
+    // Get the tenant's single sign-on provider (settings:edit)
+    router.get('/api/tenants/:tenantId/settings/sso',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            res.json(formatSsoProvider(await sso.getProvider(db, req.tenantId)));
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Get SSO settings error:', error);
+            res.status(500).json({ error: 'Failed to retrieve settings' });
+        }
+    });
+
+    // Configure the tenant's OIDC provider. The provider's discovery document is checked
+    // before saving; users of the allowed domains can then sign in with SSO.
+    router.put('/api/tenants/:tenantId/settings/sso',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        validateSsoSettings,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const settings = {
+                issuer: req.body.issuer,
+                client_id: req.body.client_id,
+                client_secret: req.body.client_secret === null ? '' : req.body.client_secret,
+                allowed_domains: req.body.allowed_domains,
+                default_role: req.body.default_role,
+                role_claim: req.body.role_claim || null,
+                role_mapping: req.body.role_mapping || {},
+                enabled: req.body.enabled !== undefined ? req.body.enabled : true
+            };
+
+            for (const role of new Set([settings.default_role, ...Object.values(settings.role_mapping)])) {
+                if (!await roleExists(db, req.tenantId, role)) {
+                    return res.status(400).json({ error: `Role "${role}" does not exist` });
+                }
+            }
+
+            try {
+                await sso.discover(settings.issuer);
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+
+            const { before, after } = await sso.saveProvider(db, req.tenantId, settings, req.userEmail);
+            await recordAuditEvent(db, req, {
+                action: 'settings.update',
+                targetType: 'setting',
+                targetId: 'sso',
+                before: auditableSsoProvider(before),
+                after: auditableSsoProvider(after),
+                metadata: settings.client_secret !== undefined ? { client_secret_changed: true } : undefined
+            });
+            console.log(`[TENANT SETTINGS] SSO provider ${after.issuer} ${after.enabled ? 'enabled' : 'disabled'} for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.json(formatSsoProvider(after));
+        } catch (error) {
+            if (error.code === 'DOMAIN_CLAIMED') {
+                return res.status(409).json({ error: error.message });
+            }
+            if (error.code === 'ENCRYPTION_KEY_MISSING') {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[TENANT SETTINGS] Update SSO settings error:', error);
+            res.status(500).json({ error: 'Failed to update settings' });
+        }
+    });
+
+    // Remove the tenant's SSO provider; SSO users keep their accounts and can reset a password
+    router.delete('/api/tenants/:tenantId/settings/sso',
+        requirePermission('settings:edit'),
+        validateTenantParam,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const removed = await sso.deleteProvider(db, req.tenantId);
+            if (!removed) {
+                return res.status(404).json({ error: 'Single sign-on is not configured' });
+            }
+
+            await recordAuditEvent(db, req, {
+                action: 'settings.reset',
+                targetType: 'setting',
+                targetId: 'sso',
+                before: auditableSsoProvider(removed),
+                after: {}
+            });
+            console.log(`[TENANT SETTINGS] SSO provider removed for tenant ${req.tenantId} by ${req.userEmail}`);
+
+            res.json(formatSsoProvider(null));
+        } catch (error) {
+            console.error('[TENANT SETTINGS] Delete SSO settings error:', error);
+            res.status(500).json({ error: 'Failed to remove settings' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createTenantSettingsRouter;
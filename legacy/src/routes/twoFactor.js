@@ -0,0 +1,163 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rateLimiter');
+const { recordAuditEvent } = require('../services/auditLog');
+const {
+    getTwoFactorStatus,
+    isTwoFactorRequired,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    replaceRecoveryCodes,
+    disableTwoFactor
+} = require('../services/twoFactor');
+
+const validateCode = [
+    body('code')
+        .isString()
+        .trim()
+        .isLength({ min: 6, max: 20 })
+        .withMessage('Verification code required')
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+function createTwoFactorRouter(db) {
+    const router = express.Router();
+
+    // All routes act on the signed-in user's own second factor
+    router.use('/api/two-factor', authenticate);
+
+    async function statusResponse(req) {
+        const status = await getTwoFactorStatus(db, req.userId);
+        return {
+            enabled: status.enabled,
+            enabled_at: status.enabledAt,
+            recovery_codes_remaining: status.recoveryCodesRemaining,
+            required: await isTwoFactorRequired(db, req.tenantId)
+        };
+    }
+
+    // Whether 2FA is on, and whether the tenant requires it
+    router.get('/api/two-factor', async (req, res) => {
+        try {
+            res.json(await statusResponse(req));
+        } catch (error) {
+            console.error('[TWO FACTOR] Get status error:', error);
+            res.status(500).json({ error: 'Failed to retrieve two-factor status' });
+        }
+    });
+
+    // Start enrollment: a new secret for the authenticator app, confirmed with /enable
+    router.post('/api/two-factor/setup', async (req, res) => {
+        try {
+            const setup = await beginEnrollment(db, { id: req.userId, email: req.userEmail });
+            if (!setup) {
+                return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+            }
+
+            res.json({ secret: setup.secret, otpauth_uri: setup.otpauthUri });
+        } catch (error) {
+            if (error.code === 'ENCRYPTION_KEY_MISSING') {
+                return res.status(error.status).json({ error: error.message });
+            }
+            console.error('[TWO FACTOR] Setup error:', error);
+            res.status(500).json({ error: 'Failed to start two-factor setup' });
+        }
+    });
+
+    // Confirm enrollment with a code from the app; returns the recovery codes once
+    router.post('/api/two-factor/enable',
+        authLimiter,
+        validateCode,
+        handleValidationErrors,
+        async (req, res) => {
+        try {
+            const recoveryCodes = await confirmEnrollment(db, req.userId, req.body.code);
+            if (!recoveryCodes) {
+                return res.status(400).json({ error: 'Invalid verification code, or no setup in progress' });
+            }
+
+            await recordAuditEvent(db, req, {
+                action: 'auth.two_factor_enabled',
+                targetType: 'user',
+                targetId: req.userId
+            });
+            console.log(`[TWO FACTOR] Enabled for ${req.userEmail}`);
+
+            res.json({ ...(await statusResponse(req)), recovery_codes: recoveryCodes });
+        } catch (error) {
+            console.error('[TWO FACTOR] Enable error:', error);
+            res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+        }
+    });
+
+    // Replace the recovery codes (requires a current code)
+    router.post('/api/two-factor/recovery-codes',
+        authLimiter,
+        validateCode,
+        handleValidationErrors,
+        async (req, res) => {
+        try {
+            if (!await verifySecondFactor(db, req.userId, req.body.code)) {
+                return res.status(400).json({ error: 'Invalid verification code' });
+            }
+
+            const recoveryCodes = await replaceRecoveryCodes(db, req.userId);
+            await recordAuditEvent(db, req, {
+                action: 'auth.recovery_codes_regenerated',
+                targetType: 'user',
+                targetId: req.userId
+            });
+
+            res.json({ ...(await statusResponse(req)), recovery_codes: recoveryCodes });
+        } catch (error) {
+            console.error('[TWO FACTOR] Regenerate recovery codes error:', error);
+            res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+        }
+    });
+
+    // Turn 2FA off (requires a current code; not allowed when the tenant requires 2FA)
+    router.delete('/api/two-factor',
+        authLimiter,
+        validateCode,
+        handleValidationErrors,
+        async (req, res) => {
+        try {
+            if (await isTwoFactorRequired(db, req.tenantId)) {
+                return res.status(403).json({ error: 'Your organization requires two-factor authentication' });
+            }
+            if (!await verifySecondFactor(db, req.userId, req.body.code)) {
+                return res.status(400).json({ error: 'Invalid verification code' });
+            }
+
+            await disableTwoFactor(db, req.userId);
+            await recordAuditEvent(db, req, {
+                action: 'auth.two_factor_disabled',
+                targetType: 'user',
+                targetId: req.userId
+            });
+            console.log(`[TWO FACTOR] Disabled by ${req.userEmail}`);
+
+            res.json(await statusResponse(req));
+        } catch (error) {
+            console.error('[TWO FACTOR] Disable error:', error);
+            res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createTwoFactorRouter;
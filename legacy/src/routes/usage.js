@@ -0,0 +1,108 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { recordAuditEvent } = require('../services/auditLog');
+const { getTenantQuotaUsage } = require('../services/tenantPlans');
+const {
+    METRICS,
+    monthRange,
+    getDailyUsage,
+    getMonthlyStatements,
+    statementsToCsv
+} = require('../services/usageMetering');
+
+const validateTenantParam = [
+    param('tenantId')
+        .isUUID()
+        .withMessage('Tenant ID must be a UUID')
+];
+
+const validateMonth = [
+    query('month')
+        .optional()
+        .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+        .withMessage('month must be in YYYY-MM format')
+];
+
+// Handle validation errors
+const handleValidationErrors = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            error: 'Validation failed',
+            details: errors.array()
+        });
+    }
+    next();
+};
+
+// Verify tenant access
+const requireOwnTenant = (req, res, next) => {
+    if (req.params.tenantId !== req.tenantId) {
+        return res.status(403).json({ error: 'Access denied to this tenant' });
+    }
+    next();
+};
+
+function createUsageRouter(db) {
+    const router = express.Router();
+
+    // All routes require a session with the analytics:view permission
+    router.use('/api/tenants/:tenantId/usage', authenticate, requirePermission('analytics:view'));
+
+    // The tenant's statement for a month, its daily usage and current consumption against the plan
+    router.get('/api/tenants/:tenantId/usage',
+        validateTenantParam,
+        validateMonth,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const { month } = monthRange(req.query.month);
+            const [statement] = await getMonthlyStatements(db, month, { tenantId: req.tenantId });
+            const daily = await getDailyUsage(db, req.tenantId, month);
+            const { plan, usage } = await getTenantQuotaUsage(db, req.tenantId);
+
+            res.json({
+                statement,
+                daily,
+                metrics: METRICS,
+                plan,
+                quota_usage: usage
+            });
+        } catch (error) {
+            console.error('[USAGE] Get usage error:', error);
+            res.status(500).json({ error: 'Failed to retrieve usage' });
+        }
+    });
+
+    // Download the month's statement as CSV
+    router.get('/api/tenants/:tenantId/usage/export',
+        validateTenantParam,
+        validateMonth,
+        handleValidationErrors,
+        requireOwnTenant,
+        async (req, res) => {
+        try {
+            const { month } = monthRange(req.query.month);
+            const statements = await getMonthlyStatements(db, month, { tenantId: req.tenantId });
+
+            await recordAuditEvent(db, req, {
+                action: 'usage.export',
+                targetType: 'usage',
+                targetId: month,
+                metadata: { format: 'csv' }
+            });
+
+            res.setHeader('Content-Disposition', `attachment; filename="usage-${month}.csv"`);
+            res.type('text/csv').send(statementsToCsv(statements));
+        } catch (error) {
+            console.error('[USAGE] Export error:', error);
+            res.status(500).json({ error: 'Failed to export usage' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createUsageRouter;
@@ -1,10 +1,14 @@
 const express = require('express');
 const crypto = require('crypto');
-const bcrypt = require('bcrypt');
 const { body, param, query, validationResult } = require('express-validator');
 const authService = require('../services/authService');
 const { authenticate } = require('../middleware/auth');
 const { sanitizeHtml } = require('../utils/validation');
+const { roleExists, clearUserRoleCache } = require('../services/permissionService');
+const { recordAuditEvent } = require('../services/auditLog');
+const { unlockAccount } = require('../services/accountSecurity');
+const { disableTwoFactor } = require('../services/twoFactor');
+const { createTenantUser, importUsers } = require('../services/tenantUsers');
 
 // Validation middleware
 const validateUserCreation = [
@@ -16,14 +20,37 @@ const validateUserCreation = [
         .normalizeEmail()
         .withMessage('Valid email is required'),
     body('role')
-        .isIn(['tenant-admin', 'user'])
-        .withMessage('Role must be either tenant-admin or user'),
+        .isString()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Role is required'),
     body('invite')
         .optional()
         .isBoolean()
         .withMessage('Invite must be a boolean')
 ];
 
+const validateUserImport = [
+    body('csv')
+        .isString()
+        .isLength({ min: 1, max: 2 * 1024 * 1024 })
+        .withMessage('csv must be the CSV file contents (at most 2 MB)'),
+    body('dry_run')
+        .optional()
+        .isBoolean()
+        .withMessage('dry_run must be a boolean')
+        .toBoolean(),
+    body('invite')
+        .optional()
+        .isBoolean()
+        .withMessage('Invite must be a boolean')
+        .toBoolean(),
+    body('default_role')
+        .optional()
+        .isString()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('default_role must be a role name')
+];
+
 const validateUserUpdate = [
     param('id')
         .isInt()
@@ -34,8 +61,9 @@ const validateUserUpdate = [
         .withMessage('Name must be less than 255 characters'),
     body('role')
         .optional()
-        .isIn(['tenant-admin', 'user'])
-        .withMessage('Role must be either tenant-admin or user'),
+        .isString()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('Role must be a role name'),
     body('status')
         .optional()
         .isIn(['active', 'invited', 'disabled'])
@@ -57,7 +85,7 @@ const validatePagination = [
         .withMessage('Search query too long'),
     query('role')
         .optional()
-        .custom(value => !value || ['tenant-admin', 'user'].includes(value))
+        .isLength({ max: 50 })
         .withMessage('Invalid role filter'),
     query('status')
         .optional()
@@ -77,7 +105,9 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
-const { requireTenantAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+
+const requireUserManagement = requirePermission('users:manage');
 
 function createUsersRouter(db) {
     const router = express.Router();
@@ -85,9 +115,9 @@ function createUsersRouter(db) {
     // All routes require authentication
     router.use(authenticate);
 
-    // Get list of users in tenant (tenant-admin only)
+    // Get list of users in tenant (users:manage)
     router.get('/api/tenants/:tenantId/users',
-        requireTenantAdmin,
+        requireUserManagement,
         validatePagination,
         handleValidationErrors,
         async (req, res) => {
@@ -161,7 +191,9 @@ function createUsersRouter(db) {
                     status, 
                     last_login_at, 
                     created_at, 
-                    updated_at
+                    updated_at,
+                    CASE WHEN locked_until > NOW() THEN locked_until END AS locked_until,
+                    totp_enabled
                 FROM users 
                 ${whereClause}
                 ORDER BY ${orderBy} ${orderDir}
@@ -179,6 +211,8 @@ function createUsersRouter(db) {
                     role: user.role,
                     status: user.status,
                     lastLoginAt: user.last_login_at,
+                    lockedUntil: user.locked_until,
+                    twoFactorEnabled: user.totp_enabled,
                     createdAt: user.created_at,
                     updatedAt: user.updated_at
                 })),
@@ -193,9 +227,9 @@ function createUsersRouter(db) {
         }
     });
 
-    // Create new user (tenant-admin only)
+    // Create new user (users:manage)
     router.post('/api/tenants/:tenantId/users',
-        requireTenantAdmin,
+        requireUserManagement,
         validateUserCreation,
         handleValidationErrors,
         async (req, res) => {
@@ -209,58 +243,30 @@ function createUsersRouter(db) {
 
             const { name, email, role, invite = true } = req.body;
 
-            // Check if user already exists in this tenant
-            const existing = await db.query(
-                'SELECT id FROM users WHERE email = $1 AND tenant_id = $2',
-                [email, tenantId]
-            );
-
-            if (existing.rows.length > 0) {
-                return res.status(409).json({ 
-                    error: 'User already exists in this tenant' 
+            let created;
+            try {
+                created = await createTenantUser(db, tenantId, {
+                    email,
+                    name,
+                    role,
+                    invite,
+                    invitedBy: req.session.userId
                 });
+            } catch (error) {
+                if (error.code) {
+                    return res.status(error.status).json({ error: error.message });
+                }
+                throw error;
             }
 
-            // Generate temporary password for invited users
-            const tempPassword = crypto.randomBytes(16).toString('hex');
-            const hashedPassword = await bcrypt.hash(tempPassword, 10);
-
-            // Create user
-            const result = await db.query(
-                `INSERT INTO users (
-                    email, password, full_name, tenant_id, role, status, invited_at, invited_by
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
-                RETURNING id, email, full_name as name, role, status, created_at`,
-                [
-                    email, 
-                    hashedPassword, 
-                    name, 
-                    tenantId, 
-                    role, 
-                    invite ? 'invited' : 'active',
-                    invite ? new Date() : null,
-                    req.session.userId
-                ]
-            );
-
-            const newUser = result.rows[0];
-            let resetLink = null;
-
-            // Generate password reset link for invited users
-            if (invite) {
-                const resetToken = crypto.randomBytes(32).toString('hex');
-                const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
-
-                await db.query(
-                    `INSERT INTO password_reset_tokens (user_id, token, expires_at) 
-                     VALUES ($1, $2, $3)`,
-                    [newUser.id, resetToken, expiresAt]
-                );
-
-                // Generate reset link
-                const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
-                resetLink = `${baseUrl}/auth/reset?token=${resetToken}`;
-            }
+            const { user: newUser, resetLink } = created;
+            await recordAuditEvent(db, req, {
+                action: 'user.create',
+                targetType: 'user',
+                targetId: newUser.id,
+                after: { email: newUser.email, name: newUser.name, role: newUser.role, status: newUser.status },
+                metadata: { invite }
+            });
 
             res.status(201).json({
                 user: {
@@ -280,9 +286,67 @@ function createUsersRouter(db) {
         }
     });
 
-    // Update user (tenant-admin only)
+    // Bulk import from CSV (users:manage). Columns: email, and optionally name and role. With
+    // dry_run nothing is created and the report shows which rows would fail and why.
+    router.post('/api/tenants/:tenantId/users/import',
+        requireUserManagement,
+        validateUserImport,
+        handleValidationErrors,
+        async (req, res) => {
+        try {
+            const { tenantId } = req.params;
+            
+            // Verify tenant access
+            if (tenantId !== req.tenantId) {
+                return res.status(403).json({ error: 'Access denied to this tenant' });
+            }
+
+            const { csv, dry_run: dryRun = false, invite = true, default_role: defaultRole = 'user' } = req.body;
+
+            let report;
+            try {
+                report = await importUsers(db, tenantId, csv, {
+                    dryRun,
+                    invite,
+                    defaultRole,
+                    invitedBy: req.session.userId
+                });
+            } catch (error) {
+                if (error.code) {
+                    return res.status(error.status).json({ error: error.message });
+                }
+                throw error;
+            }
+
+            if (!dryRun) {
+                for (const row of report.rows.filter(result => result.status === 'created')) {
+                    await recordAuditEvent(db, req, {
+                        action: 'user.create',
+                        targetType: 'user',
+                        targetId: row.userId,
+                        after: { email: row.email, name: row.name, role: row.role, status: invite ? 'invited' : 'active' },
+                        metadata: { invite, import: true }
+                    });
+                }
+                await recordAuditEvent(db, req, {
+                    action: 'user.import',
+                    targetType: 'user',
+                    metadata: { total: report.total, created: report.created, failed: report.failed, invite }
+                });
+                console.log(`[USERS API] Imported ${report.created}/${report.total} users into tenant ${tenantId} by ${req.userEmail}`);
+            }
+
+            res.status(dryRun ? 200 : 201).json(report);
+
+        } catch (error) {
+            console.error('[USERS API] Import users error:', error);
+            res.status(500).json({ error: 'Failed to import users' });
+        }
+    });
+
+    // Update user (users:manage)
     router.patch('/api/tenants/:tenantId/users/:id',
-        requireTenantAdmin,
+        requireUserManagement,
         validateUserUpdate,
         handleValidationErrors,
         async (req, res) => {
@@ -296,7 +360,7 @@ function createUsersRouter(db) {
 
             // Check if user exists in tenant
             const userCheck = await db.query(
-                'SELECT id, role FROM users WHERE id = $1 AND tenant_id = $2',
+                'SELECT id, email, full_name AS name, role, status FROM users WHERE id = $1 AND tenant_id = $2',
                 [id, tenantId]
             );
 
@@ -316,6 +380,10 @@ function createUsersRouter(db) {
             }
 
             if (role !== undefined) {
+                if (!(await roleExists(db, tenantId, role))) {
+                    return res.status(400).json({ error: `Unknown role: ${role}` });
+                }
+
                 // Prevent removing admin role from last admin
                 if (userCheck.rows[0].role === 'tenant-admin' && role !== 'tenant-admin') {
                     const adminCount = await db.query(
@@ -358,6 +426,21 @@ function createUsersRouter(db) {
             `;
 
             const result = await db.query(updateQuery, values);
+            clearUserRoleCache(id);
+
+            const previous = userCheck.rows[0];
+            if (status === 'disabled' && previous.status !== 'disabled') {
+                // A disabled user's API keys stop working with them
+                await db.apiKeys.revokeUserTenantKeys(tenantId, previous.email, req.userEmail);
+            }
+            await recordAuditEvent(db, req, {
+                action: 'user.update',
+                targetType: 'user',
+                targetId: id,
+                before: { name: previous.name, role: previous.role, status: previous.status },
+                after: { name: result.rows[0].name, role: result.rows[0].role, status: result.rows[0].status },
+                metadata: { email: previous.email }
+            });
 
             res.json({
                 user: {
@@ -376,9 +459,9 @@ function createUsersRouter(db) {
         }
     });
 
-    // Delete user (tenant-admin only)
+    // Delete user (users:manage)
     router.delete('/api/tenants/:tenantId/users/:id',
-        requireTenantAdmin,
+        requireUserManagement,
         async (req, res) => {
         try {
             const { tenantId, id } = req.params;
@@ -395,7 +478,7 @@ function createUsersRouter(db) {
 
             // Check if user exists and get their role
             const userCheck = await db.query(
-                'SELECT role FROM users WHERE id = $1 AND tenant_id = $2',
+                'SELECT email, full_name AS name, role, status FROM users WHERE id = $1 AND tenant_id = $2',
                 [id, tenantId]
             );
 
@@ -432,6 +515,15 @@ function createUsersRouter(db) {
             if (deleteResult.rows.length === 0) {
                 return res.status(404).json({ error: 'User not found or already deleted' });
             }
+            clearUserRoleCache(id);
+            await db.apiKeys.revokeUserTenantKeys(tenantId, userCheck.rows[0].email, req.userEmail);
+
+            await recordAuditEvent(db, req, {
+                action: 'user.delete',
+                targetType: 'user',
+                targetId: id,
+                before: userCheck.rows[0]
+            });
 
             res.json({ ok: true });
 
@@ -441,9 +533,9 @@ function createUsersRouter(db) {
         }
     });
 
-    // Generate password reset link (tenant-admin only)
+    // Generate password reset link (users:manage)
     router.post('/api/tenants/:tenantId/users/:id/reset-password',
-        requireTenantAdmin,
+        requireUserManagement,
         async (req, res) => {
         try {
             const { tenantId, id } = req.params;
@@ -484,6 +576,13 @@ function createUsersRouter(db) {
             const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
             const resetLink = `${baseUrl}/auth/reset?token=${resetToken}`;
 
+            await recordAuditEvent(db, req, {
+                action: 'user.password_reset_link',
+                targetType: 'user',
+                targetId: id,
+                metadata: { email: userCheck.rows[0].email, expires_at: expiresAt.toISOString() }
+            });
+
             res.json({
                 resetLink,
                 expiresAt: expiresAt.toISOString()
@@ -495,6 +594,89 @@ function createUsersRouter(db) {
         }
     });
 
+    // Unlock an account locked after failed sign-ins (users:manage)
+    router.post('/api/tenants/:tenantId/users/:id/unlock',
+        requireUserManagement,
+        param('id').isInt().withMessage('User ID must be an integer'),
+        handleValidationErrors,
+        async (req, res) => {
+        try {
+            const { tenantId, id } = req.params;
+            
+            // Verify tenant access
+            if (tenantId !== req.tenantId) {
+                return res.status(403).json({ error: 'Access denied to this tenant' });
+            }
+
+            const user = await unlockAccount(db, tenantId, id);
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            await recordAuditEvent(db, req, {
+                action: 'user.unlock',
+                targetType: 'user',
+                targetId: id,
+                metadata: {
+                    email: user.email,
+                    locked_until: user.locked_until ? new Date(user.locked_until).toISOString() : null
+                }
+            });
+            console.log(`[USERS API] ${user.email} unlocked by ${req.userEmail}`);
+
+            res.json({ ok: true });
+
+        } catch (error) {
+            console.error('[USERS API] Unlock user error:', error);
+            res.status(500).json({ error: 'Failed to unlock user' });
+        }
+    });
+
+    // Reset a user's 2FA, e.g. after a lost phone (users:manage). The user's sessions end; they
+    // sign in with their password and, if the tenant requires 2FA, enroll again.
+    router.post('/api/tenants/:tenantId/users/:id/reset-two-factor',
+        requireUserManagement,
+        param('id').isInt().withMessage('User ID must be an integer'),
+        handleValidationErrors,
+        async (req, res) => {
+        try {
+            const { tenantId, id } = req.params;
+            
+            // Verify tenant access
+            if (tenantId !== req.tenantId) {
+                return res.status(403).json({ error: 'Access denied to this tenant' });
+            }
+
+            const userCheck = await db.query(
+                'SELECT email FROM users WHERE id = $1 AND tenant_id = $2',
+                [id, tenantId]
+            );
+
+            if (userCheck.rows.length === 0) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            if (!await disableTwoFactor(db, id)) {
+                return res.status(400).json({ error: 'User does not have two-factor authentication set up' });
+            }
+            await authService.destroyAllUserSessions(parseInt(id));
+
+            await recordAuditEvent(db, req, {
+                action: 'user.two_factor_reset',
+                targetType: 'user',
+                targetId: id,
+                metadata: { email: userCheck.rows[0].email }
+            });
+            console.log(`[USERS API] Two-factor reset for ${userCheck.rows[0].email} by ${req.userEmail}`);
+
+            res.json({ ok: true });
+
+        } catch (error) {
+            console.error('[USERS API] Reset two-factor error:', error);
+            res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+        }
+    });
+
     return router;
 }
 
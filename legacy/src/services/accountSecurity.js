@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// Per-account lockout with escalating lock periods, and detection of sign-ins from
+// devices or IP addresses a user has not signed in from before.
+
+const NOTICE_TYPES = ['new_device', 'new_ip', 'account_locked'];
+
+/**
+ * Error thrown for a sign-in to a locked account (status 423)
+ */
+function accountLockedError(lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+    const error = new Error(`Too many failed sign-in attempts. Try again in ${minutes} minute${minutes > 1 ? 's' : ''}.`);
+    error.status = 423;
+    error.code = 'ACCOUNT_LOCKED';
+    error.lockedUntil = lockedUntil;
+    return error;
+}
+
+/**
+ * Lock period for an account's (n+1)th lockout: lockoutBaseMs doubled per earlier lockout
+ */
+function lockoutDuration(lockoutCount) {
+    const { lockoutBaseMs, lockoutMaxMs } = config.accountSecurity;
+    return Math.min(lockoutBaseMs * Math.pow(2, Math.min(lockoutCount, 20)), lockoutMaxMs);
+}
+
+/**
+ * Count a failed sign-in. Failures older than failureWindowMs start the count again.
+ * @returns {Promise<Date|null>} When the account is now locked until, null if not locked
+ */
+async function recordFailedLogin(db, user, client = {}) {
+    const { lockoutThreshold, failureWindowMs } = config.accountSecurity;
+    const result = await db.query(
+        `UPDATE users SET
+             failed_login_count = CASE
+                 WHEN last_failed_login_at IS NULL OR last_failed_login_at < NOW() - make_interval(secs => $2::float / 1000)
+                 THEN 1 ELSE failed_login_count + 1 END,
+             last_failed_login_at = NOW()
+         WHERE id = $1
+         RETURNING failed_login_count, lockout_count`,
+        [user.id, failureWindowMs]
+    );
+    const counts = result.rows[0];
+    if (!counts || counts.failed_login_count < lockoutThreshold) {
+        return null;
+    }
+
+    const lockedUntil = new Date(Date.now() + lockoutDuration(counts.lockout_count));
+    await db.query(
+        `UPDATE users SET locked_until = $2, lockout_count = lockout_count + 1, failed_login_count = 0
+         WHERE id = $1`,
+        [user.id, lockedUntil]
+    );
+    await createNotice(db, user, 'account_locked', client, {
+        locked_until: lockedUntil.toISOString(),
+        lockout_count: counts.lockout_count + 1
+    });
+    console.log(`[ACCOUNT SECURITY] ${user.email} locked until ${lockedUntil.toISOString()} (lockout ${counts.lockout_count + 1})`);
+
+    return lockedUntil;
+}
+
+/**
+ * Reset the failure and lockout counters after a successful sign-in
+ */
+async function clearFailedLogins(db, userId) {
+    await db.query(
+        `UPDATE users SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL, lockout_count = 0
+         WHERE id = $1 AND (failed_login_count > 0 OR lockout_count > 0 OR locked_until IS NOT NULL)`,
+        [userId]
+    );
+}
+
+/**
+ * Lift a lockout (tenant admin action)
+ * @returns {Promise<Object|null>} { id, email, locked_until } as it was, null when the user is not in the tenant
+ */
+async function unlockAccount(db, tenantId, userId) {
+    const result = await db.query(
+        `UPDATE users u SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL, lockout_count = 0
+         FROM users previous
+         WHERE u.id = $1 AND u.tenant_id = $2 AND previous.id = u.id
+         RETURNING u.id, u.email, previous.locked_until`,
+        [userId, tenantId]
+    );
+    return result.rows[0] || null;
+}
+
+function deviceId(userAgent) {
+    return crypto.createHash('sha256').update(userAgent || 'unknown').digest('hex').slice(0, 32);
+}
+
+/**
+ * Short readable device name from a user agent, e.g. "Chrome on macOS"
+ */
+function describeUserAgent(userAgent) {
+    if (!userAgent) {
+        return 'Unknown device';
+    }
+
+    const browsers = [
+        [/Edg\//, 'Edge'],
+        [/OPR\/|Opera/, 'Opera'],
+        [/Firefox\//, 'Firefox'],
+        [/Chrome\//, 'Chrome'],
+        [/Safari\//, 'Safari'],
+        [/curl\//, 'curl']
+    ];
+    const systems = [
+        [/iPhone|iPad/, 'iOS'],
+        [/Android/, 'Android'],
+        [/Mac OS X|Macintosh/, 'macOS'],
+        [/Windows/, 'Windows'],
+        [/Linux/, 'Linux']
+    ];
+    const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+    const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+    if (browser && system) {
+        return `${browser[1]} on ${system[1]}`;
+    }
+    return browser ? browser[1] : system ? system[1] : 'Unknown device';
+}
+
+async function createNotice(db, user, type, client = {}, metadata = {}) {
+    await db.query(
+        `INSERT INTO user_security_notices (user_id, tenant_id, type, ip_address, user_agent, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+            user.id,
+            user.tenant_id || null,
+            type,
+            client.ipAddress || null,
+            (client.userAgent || '').slice(0, 500) || null,
+            metadata
+        ]
+    );
+}
+
+/**
+ * Remember where a user signed in from. The first sign-in from an unseen device or IP
+ * (other than the user's very first sign-in) creates a notice.
+ * @returns {Promise<{ newDevice: boolean, newIp: boolean }>}
+ */
+async function recordSignIn(db, user, client = {}) {
+    const device = deviceId(client.userAgent);
+    const ipAddress = client.ipAddress || 'unknown';
+
+    const known = await db.query(
+        `SELECT COUNT(*) AS sources,
+                COALESCE(bool_or(device_id = $2), false) AS known_device,
+                COALESCE(bool_or(ip_address = $3), false) AS known_ip
+         FROM user_sign_ins WHERE user_id = $1`,
+        [user.id, device, ipAddress]
+    );
+    const { sources, known_device: knownDevice, known_ip: knownIp } = known.rows[0];
+
+    await db.query(
+        `INSERT INTO user_sign_ins (user_id, device_id, ip_address, user_agent)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (user_id, device_id, ip_address)
+         DO UPDATE SET sign_in_count = user_sign_ins.sign_in_count + 1, last_seen_at = CURRENT_TIMESTAMP,
+                       user_agent = EXCLUDED.user_agent`,
+        [user.id, device, ipAddress, (client.userAgent || '').slice(0, 500) || null]
+    );
+
+    const firstSignIn = parseInt(sources) === 0;
+    const result = { newDevice: !firstSignIn && !knownDevice, newIp: !firstSignIn && !knownIp };
+    if (result.newDevice || result.newIp) {
+        await createNotice(db, user, result.newDevice ? 'new_device' : 'new_ip', client, {
+            device: describeUserAgent(client.userAgent),
+            new_device: result.newDevice,
+            new_ip: result.newIp
+        });
+        console.log(`[ACCOUNT SECURITY] ${user.email} signed in from a new ${result.newDevice ? 'device' : 'IP address'}`);
+    }
+
+    return result;
+}
+
+/**
+ * A user's most recent security notices, newest first
+ * @returns {Promise<{ notices: Object[], unread: number }>}
+ */
+async function listNotices(db, userId, limit = 20) {
+    const [noticesResult, unreadResult] = await Promise.all([
+        db.query(
+            `SELECT id, type, ip_address, user_agent, metadata, created_at, read_at
+             FROM user_security_notices WHERE user_id = $1
+             ORDER BY created_at DESC, id DESC LIMIT $2`,
+            [userId, limit]
+        ),
+        db.query(
+            'SELECT COUNT(*) AS unread FROM user_security_notices WHERE user_id = $1 AND read_at IS NULL',
+            [userId]
+        )
+    ]);
+
+    return {
+        notices: noticesResult.rows.map(notice => ({
+            ...notice,
+            device: describeUserAgent(notice.user_agent)
+        })),
+        unread: parseInt(unreadResult.rows[0].unread)
+    };
+}
+
+/**
+ * @returns {Promise<number>} Number of notices marked read
+ */
+async function markNoticesRead(db, userId) {
+    const result = await db.query(
+        'UPDATE user_security_notices SET read_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND read_at IS NULL',
+        [userId]
+    );
+    return result.rowCount;
+}
+
+/**
+ * Public identifier of a session; the token itself never leaves the cookie
+ */
+function sessionId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex').slice(0, 24);
+}
+
+module.exports = {
+    NOTICE_TYPES,
+    accountLockedError,
+    lockoutDuration,
+    recordFailedLogin,
+    clearFailedLogins,
+    unlockAccount,
+    describeUserAgent,
+    recordSignIn,
+    listNotices,
+    markNoticesRead,
+    sessionId
+};
@@ -0,0 +1,336 @@
+const config = require('../config');
+
+// Tenant audit trail (audit_log). Recording never throws: a failed audit write is logged
+// and the request it describes carries on.
+
+const AUDIT_ACTIONS = [
+    'auth.signin',
+    'auth.signin_failed',
+    'auth.sso_signin_failed',
+    'auth.account_locked',
+    'auth.two_factor_failed',
+    'auth.two_factor_enabled',
+    'auth.two_factor_disabled',
+    'auth.recovery_codes_regenerated',
+    'auth.signout',
+    'auth.password_reset_requested',
+    'auth.password_reset',
+    'auth.session_revoked',
+    'auth.sessions_revoked_all',
+    'user.create',
+    'user.import',
+    'user.sso_provisioned',
+    'user.update',
+    'user.delete',
+    'user.password_reset_link',
+    'user.unlock',
+    'user.two_factor_reset',
+    'document.upload',
+    'document.ingest',
+    'document.retry',
+    'document.rollback',
+    'document.delete',
+    'document.vectors_delete',
+    'document.move',
+    'knowledge.ingest',
+    'knowledge.delete',
+    'settings.update',
+    'settings.reset',
+    'role.create',
+    'role.update',
+    'role.delete',
+    'collection.create',
+    'collection.update',
+    'collection.delete',
+    'collection.members_update',
+    'crawl_source.create',
+    'crawl_source.update',
+    'crawl_source.delete',
+    'crawl_source.run',
+    'api_key.create',
+    'api_key.rotate',
+    'api_key.revoke',
+    'api_key.used',
+    'audit_log.export',
+    'usage.export',
+    'billing.update'
+];
+
+const RETENTION_SETTINGS_KEY = 'audit_log';
+const MIN_RETENTION_DAYS = 30;
+const MAX_RETENTION_DAYS = 3650;
+const PURGE_BATCH_SIZE = 5000;
+
+const EXPORT_COLUMNS = [
+    'created_at', 'action', 'actor_email', 'actor_type', 'api_key_id',
+    'target_type', 'target_id', 'ip_address', 'user_agent', 'changes', 'metadata'
+];
+
+// Last recorded use per API key id, see recordApiKeyUse()
+const apiKeyUseRecordedAt = new Map();
+
+function isSensitiveField(field) {
+    const name = field.toLowerCase();
+    return name.includes('password') || name.includes('token') || name.includes('secret') ||
+        name === 'key' || name === 'key_hash';
+}
+
+/**
+ * Changed fields between two versions of a record. A missing before (create) or
+ * after (delete) records every field of the other side. Secrets are redacted.
+ * @returns {Object|null} { field: { before, after } }, null when nothing changed
+ */
+function diffChanges(before, after) {
+    if (!before && !after) {
+        return null;
+    }
+
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    for (const field of fields) {
+        const oldValue = before ? before[field] : undefined;
+        const newValue = after ? after[field] : undefined;
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+            continue;
+        }
+        changes[field] = isSensitiveField(field)
+            ? { before: oldValue === undefined ? null : '[redacted]', after: newValue === undefined ? null : '[redacted]' }
+            : { before: oldValue === undefined ? null : oldValue, after: newValue === undefined ? null : newValue };
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Who is acting and from where, taken from an authenticated (or anonymous) request
+ */
+function auditContext(req) {
+    const actorEmail = req?.userEmail || req?.session?.email || null;
+    let actorType = 'anonymous';
+    if (req?.apiKey) {
+        actorType = 'api_key';
+    } else if (actorEmail) {
+        actorType = 'user';
+    }
+
+    return {
+        tenantId: req?.tenantId || null,
+        actorEmail,
+        actorType,
+        apiKeyId: req?.apiKey?.id || null,
+        ipAddress: req?.ip || req?.connection?.remoteAddress || null,
+        userAgent: (req?.headers?.['user-agent'] || '').slice(0, 500) || null
+    };
+}
+
+/**
+ * Append an event to the audit log. Fields given in the event override the request context,
+ * e.g. actorEmail for a failed sign-in or tenantId for events outside a tenant request.
+ */
+async function recordAuditEvent(db, req, event) {
+    const context = { ...auditContext(req), ...event };
+    if (!event.actorType && event.actorEmail && context.actorType === 'anonymous') {
+        context.actorType = 'user';
+    }
+    try {
+        await db.query(
+            `INSERT INTO audit_log (
+                tenant_id, action, actor_email, actor_type, api_key_id, target_type, target_id,
+                ip_address, user_agent, changes, metadata
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+            [
+                context.tenantId || null,
+                context.action,
+                context.actorEmail || null,
+                context.actorType,
+                context.apiKeyId || null,
+                context.targetType || null,
+                context.targetId !== undefined && context.targetId !== null ? String(context.targetId) : null,
+                context.ipAddress,
+                context.userAgent,
+                diffChanges(context.before, context.after),
+                context.metadata || {}
+            ]
+        );
+    } catch (error) {
+        console.error(`[AUDIT] Failed to record ${context.action}:`, error.message);
+    }
+}
+
+/**
+ * Record that a tenant API key was used, at most once per key per config.audit.apiKeyUseIntervalMs.
+ * Changes made with the key are recorded by the routes themselves (actor_type api_key).
+ */
+function recordApiKeyUse(db, req) {
+    const now = Date.now();
+    const lastRecorded = apiKeyUseRecordedAt.get(req.apiKey.id);
+    if (lastRecorded && now - lastRecorded < config.audit.apiKeyUseIntervalMs) {
+        return;
+    }
+    apiKeyUseRecordedAt.set(req.apiKey.id, now);
+
+    recordAuditEvent(db, req, {
+        action: 'api_key.used',
+        targetType: 'api_key',
+        targetId: req.apiKey.id,
+        metadata: {
+            name: req.apiKey.name,
+            method: req.method,
+            path: (req.originalUrl || req.url || '').split('?')[0]
+        }
+    });
+}
+
+function buildFilters(tenantId, filters) {
+    const conditions = ['tenant_id = $1'];
+    const params = [tenantId];
+
+    if (filters.action) {
+        params.push(filters.action.endsWith('.') ? `${filters.action}%` : filters.action);
+        conditions.push(filters.action.endsWith('.') ? `action LIKE $${params.length}` : `action = $${params.length}`);
+    }
+    if (filters.actor) {
+        params.push(`%${filters.actor}%`);
+        conditions.push(`actor_email ILIKE $${params.length}`);
+    }
+    if (filters.targetType) {
+        params.push(filters.targetType);
+        conditions.push(`target_type = $${params.length}`);
+    }
+    if (filters.targetId) {
+        params.push(String(filters.targetId));
+        conditions.push(`target_id = $${params.length}`);
+    }
+    if (filters.from) {
+        params.push(filters.from);
+        conditions.push(`created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+        params.push(filters.to);
+        conditions.push(`created_at <= $${params.length}`);
+    }
+
+    return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Page through a tenant's audit events, newest first
+ * @param {Object} filters - { action (exact, or a prefix ending in "."), actor, targetType, targetId, from, to, limit, offset }
+ * @returns {Promise<{ events: Object[], total: number }>}
+ */
+async function listAuditEvents(db, tenantId, filters = {}) {
+    const { where, params } = buildFilters(tenantId, filters);
+    const limit = filters.limit || 50;
+    const offset = filters.offset || 0;
+
+    const [eventsResult, countResult] = await Promise.all([
+        db.query(
+            `SELECT ${['id', ...EXPORT_COLUMNS].join(', ')} FROM audit_log
+             WHERE ${where}
+             ORDER BY created_at DESC, id DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset]
+        ),
+        db.query(`SELECT COUNT(*) AS total FROM audit_log WHERE ${where}`, params)
+    ]);
+
+    return {
+        events: eventsResult.rows,
+        total: parseInt(countResult.rows[0].total)
+    };
+}
+
+/**
+ * All matching events for export, newest first, capped at config.audit.exportMaxRows
+ * @returns {Promise<{ events: Object[], truncated: boolean }>}
+ */
+async function exportAuditEvents(db, tenantId, filters = {}) {
+    const { where, params } = buildFilters(tenantId, filters);
+    const maxRows = config.audit.exportMaxRows;
+
+    const result = await db.query(
+        `SELECT ${EXPORT_COLUMNS.join(', ')} FROM audit_log
+         WHERE ${where}
+         ORDER BY created_at DESC, id DESC
+         LIMIT $${params.length + 1}`,
+        [...params, maxRows + 1]
+    );
+
+    return {
+        events: result.rows.slice(0, maxRows),
+        truncated: result.rows.length > maxRows
+    };
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = value instanceof Date ? value.toISOString()
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    // Keep spreadsheets from evaluating values as formulas
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(events) {
+    const lines = [EXPORT_COLUMNS.join(',')];
+    for (const event of events) {
+        lines.push(EXPORT_COLUMNS.map(column => csvValue(event[column])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Days a tenant keeps audit events (tenant setting, else config.audit.defaultRetentionDays)
+ */
+async function getRetentionDays(db, tenantId) {
+    const settings = await db.tenantSettings.get(tenantId, RETENTION_SETTINGS_KEY);
+    return settings?.retention_days || config.audit.defaultRetentionDays;
+}
+
+/**
+ * Delete events older than their tenant's retention, in batches
+ * @returns {Promise<number>} Number of events deleted
+ */
+async function purgeExpiredEvents(db) {
+    let total = 0;
+    let deleted;
+    do {
+        deleted = await db.transaction(async (client) => {
+            await client.query("SET LOCAL audit_log.allow_purge = 'on'");
+            const result = await client.query(
+                `DELETE FROM audit_log WHERE id IN (
+                     SELECT a.id FROM audit_log a
+                     LEFT JOIN tenant_settings s ON s.tenant_id = a.tenant_id AND s.key = $1
+                     WHERE a.created_at < NOW() - make_interval(days => COALESCE((s.value->>'retention_days')::int, $2))
+                     LIMIT $3
+                 )`,
+                [RETENTION_SETTINGS_KEY, config.audit.defaultRetentionDays, PURGE_BATCH_SIZE]
+            );
+            return result.rowCount;
+        });
+        total += deleted;
+    } while (deleted === PURGE_BATCH_SIZE);
+
+    return total;
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    RETENTION_SETTINGS_KEY,
+    MIN_RETENTION_DAYS,
+    MAX_RETENTION_DAYS,
+    diffChanges,
+    auditContext,
+    recordAuditEvent,
+    recordApiKeyUse,
+    listAuditEvents,
+    exportAuditEvents,
+    csvValue,
+    toCsv,
+    getRetentionDays,
+    purgeExpiredEvents
+};
@@ -3,6 +3,7 @@ const crypto = require('crypto');
 const dbConnection = require('../database/connection');
 const db = require('../database/postgres');
 const config = require('../config');
+const { accountLockedError, recordFailedLogin, clearFailedLogins } = require('./accountSecurity');
 
 class AuthService {
   constructor() {
@@ -73,15 +74,19 @@ class AuthService {
         [email, hashedPassword, full_name, company_name, phone, tier || 'standard']
       );
       
-      // Create initial user settings if the table exists
+      // Create initial user settings if the table exists. The savepoint keeps a failed insert
+      // from aborting the transaction, which would otherwise silently roll back the user on COMMIT.
+      await client.query('SAVEPOINT user_settings');
       try {
         await client.query(
           `INSERT INTO user_settings (user_id, settings) 
            VALUES ($1, $2)`,
           [result.rows[0].id, JSON.stringify({ notifications: true })]
         );
+        await client.query('RELEASE SAVEPOINT user_settings');
       } catch (settingsError) {
         // Table might not exist, just log and continue
+        await client.query('ROLLBACK TO SAVEPOINT user_settings');
         console.log('User settings table not found, skipping settings creation');
       }
       
@@ -89,24 +94,28 @@ class AuthService {
     });
   }
 
-  async authenticateUser(email, password) {
-    // Check if account is locked
-    if (this.isAccountLocked(email)) {
-      throw new Error('Account temporarily locked due to too many failed attempts. Try again later.');
-    }
-    
+  async authenticateUser(email, password, client = {}) {
     const result = await db.query(
-      'SELECT id, email, password, full_name, company_name, tenant_id, tier, role, status FROM users WHERE email = $1',
+      'SELECT id, email, password, full_name, company_name, tenant_id, tier, role, status, locked_until FROM users WHERE email = $1',
       [email]
     );
     
     if (result.rows.length === 0) {
+      // Unknown emails lock like accounts do, so a lockout doesn't reveal which emails exist
+      if (this.isAccountLocked(email)) {
+        throw accountLockedError(new Date(Date.now() + config.accountSecurity.lockoutBaseMs));
+      }
       this.recordFailedAttempt(email);
       throw new Error('Invalid credentials');
     }
     
     const user = result.rows[0];
     
+    // Check if account is locked (lifted when it expires or by a tenant admin)
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      throw accountLockedError(new Date(user.locked_until));
+    }
+    
     // Check if user is disabled
     if (user.status === 'disabled') {
       throw new Error('Account is disabled. Please contact your administrator.');
@@ -121,22 +130,32 @@ class AuthService {
     const validPassword = await this.verifyPassword(password, user.password);
     
     if (!validPassword) {
-      this.recordFailedAttempt(email);
+      const lockedUntil = await recordFailedLogin(db, user, client);
+      if (lockedUntil) {
+        const error = accountLockedError(lockedUntil);
+        error.justLocked = true;
+        error.user = { id: user.id, email: user.email, tenant_id: user.tenant_id };
+        throw error;
+      }
       throw new Error('Invalid credentials');
     }
     
+    // Don't return password hash
+    delete user.password;
+    delete user.locked_until;
+    return user;
+  }
+
+  // Called once every factor has been checked (password, and the TOTP code when 2FA is on)
+  async completeAuthentication(user) {
     // Clear failed attempts on successful login
-    this.clearFailedAttempts(email);
+    await clearFailedLogins(db, user.id);
     
     // Update last login time
     await db.query(
       'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1',
       [user.id]
     );
-    
-    // Don't return password hash
-    delete user.password;
-    return user;
   }
 
   // Session management
@@ -144,10 +163,11 @@ class AuthService {
     return crypto.randomBytes(32).toString('hex');
   }
 
-  async createSession(user) {
+  // client: { ipAddress, userAgent } of the sign-in, shown on the user's sessions page
+  async createSession(user, client = {}) {
     if (this.sessionStore) {
       // Use Redis session store
-      return await this.sessionStore.createSession(user);
+      return await this.sessionStore.createSession(user, client);
     } else {
       // Use in-memory sessions
       const token = this.generateSessionToken();
@@ -160,7 +180,10 @@ class AuthService {
         tier: user.tier,
         role: user.role || 'user',
         status: user.status || 'active',
+        ipAddress: client.ipAddress || null,
+        userAgent: client.userAgent || null,
         createdAt: Date.now(),
+        lastActivityAt: Date.now(),
         expiresAt: Date.now() + this.sessionTimeout,
       };
       
@@ -189,6 +212,7 @@ class AuthService {
       }
       
       // Extend session on activity
+      session.lastActivityAt = Date.now();
       session.expiresAt = Date.now() + this.sessionTimeout;
       return session;
     }
@@ -335,13 +359,13 @@ class AuthService {
     });
     
     console.log(`[PASSWORD RESET] Password reset completed for user ID: ${result.rows[0].user_id}`);
-    return true;
+    return result.rows[0].user_id;
   }
 
   // Get user by ID (utility method)
   async getUserById(userId) {
     const result = await db.query(
-      'SELECT id, email, full_name, company_name, tenant_id, tier, phone, created_at FROM users WHERE id = $1',
+      'SELECT id, email, full_name, company_name, tenant_id, tier, role, status, locked_until, phone, created_at FROM users WHERE id = $1',
       [userId]
     );
     
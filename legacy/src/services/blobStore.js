@@ -0,0 +1,395 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('../config');
+
+// Document binaries live in a blob store instead of rag_documents.file_data. Both stores
+// take streams, so an upload is never held in memory, and hand out short-lived signed URLs
+// for downloads.
+
+const CONTENT_TYPES = {
+    'pdf': 'application/pdf',
+    'doc': 'application/msword',
+    'docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'ppt': 'application/vnd.ms-powerpoint',
+    'pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'xls': 'application/vnd.ms-excel',
+    'xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'rtf': 'application/rtf',
+    'html': 'text/html',
+    'htm': 'text/html',
+    'csv': 'text/csv',
+    'txt': 'text/plain',
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'png': 'image/png',
+    'gif': 'image/gif',
+    'bmp': 'image/bmp',
+    'tiff': 'image/tiff',
+    'webp': 'image/webp',
+    'odt': 'application/vnd.oasis.opendocument.text',
+    'ods': 'application/vnd.oasis.opendocument.spreadsheet',
+    'odp': 'application/vnd.oasis.opendocument.presentation',
+    'epub': 'application/epub+zip',
+    'md': 'text/markdown',
+    'xml': 'application/xml',
+    'json': 'application/json',
+    'tex': 'application/x-tex',
+    'xps': 'application/vnd.ms-xpsdocument',
+    'mobi': 'application/x-mobipocket-ebook',
+    'svg': 'image/svg+xml',
+    'eml': 'message/rfc822',
+    'msg': 'application/vnd.ms-outlook'
+};
+
+const KEY_PATTERN = /^[\w.-]+(\/[\w.-]+)*$/;
+
+function contentTypeFor(fileType) {
+    return CONTENT_TYPES[fileType] || 'application/octet-stream';
+}
+
+function documentBlobKey(tenantId, documentId) {
+    return `documents/${tenantId}/${documentId}`;
+}
+
+function blobError(message, status = 500, code) {
+    const error = new Error(message);
+    error.status = status;
+    if (code) {
+        error.code = code;
+    }
+    return error;
+}
+
+function isValidKey(key) {
+    return typeof key === 'string' && KEY_PATTERN.test(key) && !key.split('/').some(part => part === '.' || part === '..');
+}
+
+function assertKey(key) {
+    if (!isValidKey(key)) {
+        throw blobError(`Invalid blob key: ${key}`, 400, 'INVALID_KEY');
+    }
+}
+
+// Filename for Content-Disposition without characters that could break the header
+function safeFilename(filename) {
+    return String(filename || 'document').replace(/[^\w\-_.]/g, '_').substring(0, 255);
+}
+
+/**
+ * Blobs as files under a local directory. Signed URLs point at /api/documents/blob and
+ * carry an HMAC of the key, expiry and response headers (see verifySignedUrl).
+ */
+class LocalBlobStore {
+    constructor({ dir = config.storage.localDir, signingSecret = config.storage.signingSecret } = {}) {
+        if (!signingSecret) {
+            throw blobError('BLOB_SIGNING_SECRET or JWT_SECRET is required to sign download URLs', 500, 'STORAGE_NOT_CONFIGURED');
+        }
+        this.driver = 'local';
+        this.dir = path.resolve(dir);
+        this.signingSecret = signingSecret;
+    }
+
+    filePath(key) {
+        assertKey(key);
+        return path.join(this.dir, ...key.split('/'));
+    }
+
+    /**
+     * Store a blob; written to a temporary file first so readers never see a partial one
+     * @param {import('stream').Readable} stream
+     * @returns {Promise<{ key: string, size: number }>}
+     */
+    async put(key, stream) {
+        const file = this.filePath(key);
+        const partial = `${file}.${crypto.randomBytes(6).toString('hex')}.partial`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        try {
+            await pipeline(stream, fs.createWriteStream(partial));
+            await fs.promises.rename(partial, file);
+        } catch (error) {
+            await fs.promises.rm(partial, { force: true });
+            throw error;
+        }
+        const { size } = await fs.promises.stat(file);
+        return { key, size };
+    }
+
+    createReadStream(key) {
+        return fs.createReadStream(this.filePath(key));
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.filePath(key), { force: true });
+    }
+
+    signature(key, expires, filename, contentType) {
+        return crypto.createHmac('sha256', this.signingSecret)
+            .update([key, expires, filename, contentType].join('\n'))
+            .digest('hex');
+    }
+
+    /**
+     * @returns {Promise<string>} path relative to the app, valid for expiresIn seconds
+     */
+    async getSignedUrl(key, { expiresIn = config.storage.signedUrlTtl, filename, contentType = 'application/octet-stream' } = {}) {
+        assertKey(key);
+        const expires = String(Math.floor(Date.now() / 1000) + expiresIn);
+        const name = safeFilename(filename);
+        const params = new URLSearchParams({
+            key,
+            expires,
+            filename: name,
+            type: contentType,
+            signature: this.signature(key, expires, name, contentType)
+        });
+        return `/api/documents/blob?${params}`;
+    }
+
+    /**
+     * Check a signed URL's query string
+     * @returns {{ key: string, filename: string, contentType: string }|null} null when forged or expired
+     */
+    verifySignedUrl({ key, expires, filename, type, signature } = {}) {
+        if (![key, expires, filename, type, signature].every(value => typeof value === 'string')) {
+            return null;
+        }
+        if (!isValidKey(key) || !/^\d+$/.test(expires) || Number(expires) < Date.now() / 1000) {
+            return null;
+        }
+        const expected = Buffer.from(this.signature(key, expires, filename, type));
+        const provided = Buffer.from(signature);
+        if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            return null;
+        }
+        return { key, filename, contentType: type };
+    }
+}
+
+// RFC 3986 encoding as SigV4 expects it
+function encodeRfc3986(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * Blobs in an S3 bucket, on AWS or an S3-compatible server such as MinIO (S3_ENDPOINT,
+ * path-style addressing). Requests are signed with AWS Signature Version 4.
+ */
+class S3BlobStore {
+    constructor({
+        bucket = config.storage.s3Bucket,
+        region = config.storage.s3Region,
+        endpoint = config.storage.s3Endpoint,
+        accessKeyId = config.storage.s3AccessKeyId,
+        secretAccessKey = config.storage.s3SecretAccessKey,
+        forcePathStyle = config.storage.s3ForcePathStyle
+    } = {}) {
+        if (!bucket || !accessKeyId || !secretAccessKey) {
+            throw blobError('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY', 500, 'STORAGE_NOT_CONFIGURED');
+        }
+        this.driver = 's3';
+        this.bucket = bucket;
+        this.region = region;
+        this.endpoint = endpoint ? new URL(endpoint) : new URL(`https://s3.${region}.amazonaws.com`);
+        this.accessKeyId = accessKeyId;
+        this.secretAccessKey = secretAccessKey;
+        this.forcePathStyle = forcePathStyle;
+        this.now = () => new Date();
+    }
+
+    objectUrl(key) {
+        assertKey(key);
+        const objectPath = key.split('/').map(encodeRfc3986).join('/');
+        const url = new URL(this.endpoint.href);
+        if (this.forcePathStyle) {
+            url.pathname = `${url.pathname.replace(/\/$/, '')}/${this.bucket}/${objectPath}`;
+        } else {
+            url.host = `${this.bucket}.${url.host}`;
+            url.pathname = `/${objectPath}`;
+        }
+        return url;
+    }
+
+    credentialScope(date) {
+        return `${date.slice(0, 8)}/${this.region}/s3/aws4_request`;
+    }
+
+    signature(date, canonicalRequest) {
+        const stringToSign = ['AWS4-HMAC-SHA256', date, this.credentialScope(date), sha256Hex(canonicalRequest)].join('\n');
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            (key, part) => hmac(key, part),
+            hmac(hmac(`AWS4${this.secretAccessKey}`, date.slice(0, 8)), this.region)
+        );
+        return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    }
+
+    canonicalRequest(method, url, headers, payloadHash) {
+        const query = [...url.searchParams.entries()]
+            .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+            .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+            .map(([name, value]) => `${name}=${value}`)
+            .join('&');
+        const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+        const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+        return [
+            method,
+            url.pathname,
+            query,
+            names.map(name => `${name}:${String(lowerCased[name]).trim()}\n`).join(''),
+            names.join(';'),
+            payloadHash
+        ].join('\n');
+    }
+
+    amzDate() {
+        return this.now().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    // Open a signed request; bodies are streamed with an unsigned payload
+    openRequest(method, key, headers, onResponse) {
+        const url = this.objectUrl(key);
+        const date = this.amzDate();
+        const signed = {
+            ...headers,
+            host: url.host,
+            'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+            'x-amz-date': date
+        };
+        const canonical = this.canonicalRequest(method, url, signed, 'UNSIGNED-PAYLOAD');
+        const signedHeaders = Object.keys(signed).map(name => name.toLowerCase()).sort().join(';');
+        signed.Authorization = `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${this.credentialScope(date)}, ` +
+            `SignedHeaders=${signedHeaders}, Signature=${this.signature(date, canonical)}`;
+
+        const transport = url.protocol === 'http:' ? http : https;
+        return transport.request(url, { method, headers: signed }, onResponse);
+    }
+
+    readResponse(res) {
+        return new Promise((resolve) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => resolve({ statusCode: res.statusCode, body: text }));
+        });
+    }
+
+    request(method, key, { body, headers = {} } = {}) {
+        return new Promise((resolve, reject) => {
+            const req = this.openRequest(method, key, headers, res => this.readResponse(res).then(resolve));
+            req.on('error', reject);
+            if (body) {
+                body.on('error', (error) => req.destroy(error));
+                body.pipe(req);
+            } else {
+                req.end();
+            }
+        });
+    }
+
+    failure(action, key, response) {
+        const code = /<Code>([^<]+)<\/Code>/.exec(response.body)?.[1];
+        return blobError(`S3 ${action} of ${key} failed: ${code || `HTTP ${response.statusCode}`}`, 502, code || 'S3_ERROR');
+    }
+
+    /**
+     * @param {import('stream').Readable} stream
+     * @param {Object} options - { size (required: S3 needs the length up front), contentType }
+     */
+    async put(key, stream, { size, contentType = 'application/octet-stream' } = {}) {
+        if (!Number.isInteger(size)) {
+            throw blobError('S3 uploads need the blob size', 500);
+        }
+        const response = await this.request('PUT', key, {
+            body: stream,
+            headers: { 'content-length': String(size), 'content-type': contentType }
+        });
+        if (response.statusCode >= 300) {
+            throw this.failure('upload', key, response);
+        }
+        return { key, size };
+    }
+
+    /**
+     * Stream a blob back (resumable upload parts are read back to assemble the file)
+     * @returns {import('stream').Readable}
+     */
+    createReadStream(key) {
+        const output = new PassThrough();
+        const req = this.openRequest('GET', key, {}, (res) => {
+            if (res.statusCode >= 300) {
+                this.readResponse(res).then(response => output.destroy(this.failure('download', key, response)));
+                return;
+            }
+            res.on('error', error => output.destroy(error));
+            res.pipe(output);
+        });
+        req.on('error', error => output.destroy(error));
+        req.end();
+        return output;
+    }
+
+    async delete(key) {
+        const response = await this.request('DELETE', key);
+        if (response.statusCode >= 300 && response.statusCode !== 404) {
+            throw this.failure('delete', key, response);
+        }
+    }
+
+    /**
+     * Presigned GET URL, valid for expiresIn seconds (at most 7 days)
+     */
+    async getSignedUrl(key, { expiresIn = config.storage.signedUrlTtl, filename, contentType } = {}) {
+        const url = this.objectUrl(key);
+        const date = this.amzDate();
+        url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+        url.searchParams.set('X-Amz-Credential', `${this.accessKeyId}/${this.credentialScope(date)}`);
+        url.searchParams.set('X-Amz-Date', date);
+        url.searchParams.set('X-Amz-Expires', String(Math.min(expiresIn, 604800)));
+        url.searchParams.set('X-Amz-SignedHeaders', 'host');
+        if (filename) {
+            url.searchParams.set('response-content-disposition', `inline; filename="${safeFilename(filename)}"`);
+        }
+        if (contentType) {
+            url.searchParams.set('response-content-type', contentType);
+        }
+        const canonical = this.canonicalRequest('GET', url, { host: url.host }, 'UNSIGNED-PAYLOAD');
+        url.searchParams.set('X-Amz-Signature', this.signature(date, canonical));
+        // URLSearchParams encodes spaces as '+', which S3 would read as a literal plus
+        return url.toString().replace(/\+/g, '%20');
+    }
+}
+
+let storeInstance = null;
+
+/**
+ * The configured blob store (config.storage.driver)
+ */
+function getBlobStore() {
+    if (!storeInstance) {
+        storeInstance = config.storage.driver === 's3' ? new S3BlobStore() : new LocalBlobStore();
+        console.log(`[STORAGE] Using ${storeInstance.driver} blob storage`);
+    }
+    return storeInstance;
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    contentTypeFor,
+    documentBlobKey,
+    safeFilename,
+    LocalBlobStore,
+    S3BlobStore,
+    getBlobStore
+};
@@ -0,0 +1,340 @@
+const { SSEHub, getSSEHub } = require('./sseHub');
+const { resolveMessageSources, storeMessageSources } = require('./messageSources');
+
+const FRAME_TYPES = ['delta', 'reasoning', 'done'];
+
+// Streams with no frames for this long are closed with whatever has been assembled
+const STREAM_IDLE_TIMEOUT_MS = parseInt(process.env.CHAT_STREAM_IDLE_TIMEOUT || '300000');
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Publish an event to the chat-stream clients of a conversation (on any instance)
+ * @param {string} conversationId
+ * @param {string|null} eventName - SSE event name (e.g. 'message.delta'); null for an unnamed event
+ * @param {Object} payload - Serialized as the event data
+ * @returns {Promise<string|null>} Event id, or null when publishing failed
+ */
+async function broadcastChatEvent(conversationId, eventName, payload) {
+    try {
+        return await getSSEHub().publish(SSEHub.conversationChannel(conversationId), payload, eventName);
+    } catch (err) {
+        console.error(`[CHAT STREAM] Failed to publish ${eventName || 'chat'} SSE event:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Assembles assistant replies streamed as incremental frames and relays them to chat SSE clients.
+ *
+ * Frames come from POST /chat-callback/:message_id/stream or the chat.responses queue:
+ *   { type: 'delta', sequence, content }       - next piece of the answer
+ *   { type: 'reasoning', sequence, content }   - a reasoning step shown while the answer is produced
+ *   { type: 'done', sequence, response?, sources?, processing_time_ms? }
+ *
+ * Sequence numbers are per message_id, start at 0 and are shared by all frame types. Frames
+ * arriving ahead of a gap are held back, repeated sequences are ignored. A frame without a
+ * sequence is taken as the next one. The assembled reply is stored once, when 'done' arrives.
+ */
+class ChatStreamService {
+    constructor(db) {
+        this.db = db;
+        this.streams = new Map();
+        this.opening = new Map();
+        this.sweepTimer = setInterval(() => this.sweepIdleStreams(), Math.min(STREAM_IDLE_TIMEOUT_MS, 60000));
+        this.sweepTimer.unref?.();
+    }
+
+    /**
+     * Open stream state for a message, checking the conversation once. The callback token issued
+     * with the message is kept on the stream so every frame can be checked against it.
+     */
+    async openStream(messageId, { conversation_id, tenant_id }) {
+        if (!conversation_id) {
+            throw httpError(400, 'conversation_id is required');
+        }
+
+        const convResult = await this.db.query(
+            'SELECT tenant_id FROM rag_conversations WHERE conversation_id = $1',
+            [conversation_id]
+        );
+        if (convResult.rows.length === 0) {
+            throw httpError(404, 'Conversation not found');
+        }
+
+        const dbTenantId = convResult.rows[0].tenant_id;
+        if (tenant_id && dbTenantId !== tenant_id) {
+            console.error(`[CHAT STREAM] Tenant mismatch! Expected ${dbTenantId}, got ${tenant_id}`);
+            throw httpError(403, 'Tenant mismatch');
+        }
+
+        const tokenResult = await this.db.query(
+            `SELECT payload FROM rag_webhook_failures
+             WHERE webhook_type = 'chat_callback' AND payload::jsonb->>'message_id' = $1`,
+            [messageId]
+        );
+        const pending = tokenResult.rows[0]?.payload;
+        if (pending?.conversation_id && pending.conversation_id !== conversation_id) {
+            console.warn(`[CHAT STREAM] Message ${messageId} does not belong to conversation ${conversation_id}`);
+            throw httpError(403, 'Message does not belong to this conversation');
+        }
+
+        const stream = {
+            messageId,
+            conversationId: conversation_id,
+            tenantId: dbTenantId,
+            callbackToken: pending?.callback_token || null,
+            nextSequence: 0,
+            pending: new Map(),
+            text: '',
+            reasoning: [],
+            startedAt: Date.now(),
+            lastActivity: Date.now(),
+            completed: false
+        };
+        this.streams.set(messageId, stream);
+        return stream;
+    }
+
+    /**
+     * Accept one streamed frame
+     * @param {string} messageId
+     * @param {Object} frame - { type, sequence?, content?, response?, sources?, processing_time_ms?,
+     *                           conversation_id, tenant_id?, callback_token }
+     * @param {Object} [options]
+     * @param {boolean} [options.verifyToken=true] - Require the message's callback token; false for
+     *   frames read from the chat.responses queue, which only the platform publishes to
+     * @returns {Promise<Object>} { accepted, duplicate?, buffered?, completed? }
+     */
+    async handleFrame(messageId, frame, { verifyToken = true } = {}) {
+        if (verifyToken && (typeof frame.callback_token !== 'string' || !frame.callback_token)) {
+            throw httpError(401, 'callback_token is required');
+        }
+        if (!FRAME_TYPES.includes(frame.type)) {
+            throw httpError(400, `type must be one of: ${FRAME_TYPES.join(', ')}`);
+        }
+        if (frame.sequence !== undefined && (!Number.isInteger(frame.sequence) || frame.sequence < 0)) {
+            throw httpError(400, 'sequence must be a non-negative integer');
+        }
+        if (frame.type !== 'done' && typeof frame.content !== 'string') {
+            throw httpError(400, 'content must be a string');
+        }
+
+        let stream = this.streams.get(messageId);
+        if (!stream) {
+            // Frames for a new message can arrive concurrently - open the stream only once
+            if (!this.opening.has(messageId)) {
+                this.opening.set(messageId, this.openStream(messageId, frame)
+                    .finally(() => this.opening.delete(messageId)));
+            }
+            stream = await this.opening.get(messageId);
+        }
+        // A message without an issued token (or a finished one) can't be streamed to over HTTP
+        if (verifyToken && stream.callbackToken !== frame.callback_token) {
+            console.warn(`[CHAT STREAM] Token mismatch for message ${messageId}`);
+            throw httpError(403, 'Invalid callback token');
+        }
+        if (stream.completed) {
+            return { accepted: false, duplicate: true };
+        }
+
+        stream.lastActivity = Date.now();
+        const sequence = frame.sequence !== undefined ? frame.sequence : stream.nextSequence;
+
+        if (sequence < stream.nextSequence || stream.pending.has(sequence)) {
+            return { accepted: false, duplicate: true };
+        }
+
+        // A 'done' frame carrying the full response can close the stream despite missing chunks
+        if (sequence > stream.nextSequence && !(frame.type === 'done' && typeof frame.response === 'string')) {
+            stream.pending.set(sequence, frame);
+            return { accepted: true, buffered: true };
+        }
+
+        stream.pending.set(sequence, frame);
+        await this.drain(stream);
+        return { accepted: true, completed: stream.completed };
+    }
+
+    // Apply buffered frames in sequence order until the next gap
+    async drain(stream) {
+        while (!stream.completed) {
+            let frame = stream.pending.get(stream.nextSequence);
+            let sequence = stream.nextSequence;
+
+            if (!frame) {
+                // Jump to a complete 'done' frame held back behind a gap
+                const done = Array.from(stream.pending.entries())
+                    .find(([, pendingFrame]) => pendingFrame.type === 'done' && typeof pendingFrame.response === 'string');
+                if (!done) {
+                    return;
+                }
+                [sequence, frame] = done;
+            }
+
+            stream.pending.delete(sequence);
+            stream.nextSequence = sequence + 1;
+            try {
+                await this.applyFrame(stream, sequence, frame);
+            } catch (error) {
+                // Storing the reply failed - keep the 'done' frame so a retried frame can complete it
+                stream.pending.set(sequence, frame);
+                stream.nextSequence = sequence;
+                throw error;
+            }
+        }
+    }
+
+    async applyFrame(stream, sequence, frame) {
+        const base = {
+            conversation_id: stream.conversationId,
+            message_id: stream.messageId,
+            sequence
+        };
+
+        if (frame.type === 'delta') {
+            stream.text += frame.content;
+            await broadcastChatEvent(stream.conversationId, 'message.delta', {
+                type: 'message.delta',
+                ...base,
+                content: frame.content
+            });
+        } else if (frame.type === 'reasoning') {
+            const step = { sequence, content: frame.content, ...(frame.step ? { step: frame.step } : {}) };
+            stream.reasoning.push(step);
+            await broadcastChatEvent(stream.conversationId, 'message.reasoning', {
+                type: 'message.reasoning',
+                ...base,
+                content: frame.content,
+                step: frame.step || null
+            });
+        } else {
+            await this.complete(stream, {
+                text: typeof frame.response === 'string' ? frame.response : stream.text,
+                sources: frame.sources || [],
+                processingTimeMs: frame.processing_time_ms,
+                sequence
+            });
+        }
+    }
+
+    async complete(stream, { text, sources = [], processingTimeMs, sequence, incomplete = false }) {
+        stream.completed = true;
+
+        const responseTime = processingTimeMs || (Date.now() - stream.startedAt);
+        let stored;
+        let resolvedSources;
+        try {
+            resolvedSources = await resolveMessageSources(this.db, stream.tenantId, sources);
+            stored = await storeAssistantMessage(this.db, {
+                conversationId: stream.conversationId,
+                tenantId: stream.tenantId,
+                messageId: stream.messageId,
+                message: text,
+                responseTimeMs: responseTime,
+                reasoning: stream.reasoning,
+                sources: resolvedSources
+            });
+        } catch (error) {
+            stream.completed = false;
+            throw error;
+        }
+        stream.pending.clear();
+
+        // Keep a short tombstone so late duplicate frames are recognised
+        setTimeout(() => this.streams.delete(stream.messageId), 60000).unref?.();
+
+        console.log(`[CHAT STREAM] Message ${stream.messageId} completed (${text.length} chars, ${stream.reasoning.length} reasoning steps)${stored ? '' : ' - already stored'}`);
+        if (!stored) {
+            return;
+        }
+
+        await broadcastChatEvent(stream.conversationId, 'message.completed', {
+            type: 'message.completed',
+            conversation_id: stream.conversationId,
+            message_id: stream.messageId,
+            sequence,
+            message: text,
+            reasoning: stream.reasoning,
+            sources: resolvedSources,
+            processing_time_ms: responseTime,
+            incomplete,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Close streams whose 'done' frame never arrived so the reply isn't lost
+    async sweepIdleStreams() {
+        const cutoff = Date.now() - STREAM_IDLE_TIMEOUT_MS;
+        for (const stream of this.streams.values()) {
+            if (stream.completed || stream.lastActivity > cutoff) {
+                continue;
+            }
+            console.warn(`[CHAT STREAM] Message ${stream.messageId} idle without a done frame, storing partial reply`);
+            try {
+                if (stream.text) {
+                    await this.complete(stream, { text: stream.text, sequence: stream.nextSequence - 1, incomplete: true });
+                } else {
+                    this.streams.delete(stream.messageId);
+                }
+            } catch (error) {
+                console.error(`[CHAT STREAM] Failed to close idle stream ${stream.messageId}:`, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Store an assistant reply for a chat request. Idempotent per message_id, so callback retries
+ * and queue redeliveries don't duplicate it.
+ * @param {Array} [sources] - Sources from resolveMessageSources, stored with the reply
+ * @returns {Promise<boolean>} false when the reply was already stored
+ */
+async function storeAssistantMessage(db, { conversationId, tenantId, messageId, message, responseTimeMs, reasoning, sources }) {
+    // The reply and its sources are stored together - a retry skips a reply that already exists
+    const result = await db.transaction(async (client) => {
+        const inserted = await client.query(
+            `INSERT INTO rag_messages (conversation_id, tenant_id, role, message, response_time_ms, message_id, reasoning)
+             VALUES ($1, $2, 'assistant', $3, $4, $5, $6)
+             ON CONFLICT (message_id, role) WHERE message_id IS NOT NULL DO NOTHING
+             RETURNING id`,
+            [conversationId, tenantId, message, responseTimeMs || null, messageId || null,
+                reasoning && reasoning.length > 0 ? JSON.stringify(reasoning) : null]
+        );
+        if (inserted.rows.length > 0) {
+            await storeMessageSources(client, inserted.rows[0].id, tenantId, sources);
+        }
+        return inserted;
+    });
+
+    if (result.rows.length > 0 && messageId) {
+        await db.query(
+            `UPDATE rag_webhook_failures
+             SET status = 'completed', updated_at = CURRENT_TIMESTAMP
+             WHERE webhook_type = 'chat_callback' AND payload::jsonb->>'message_id' = $1`,
+            [messageId]
+        );
+    }
+    return result.rows.length > 0;
+}
+
+let chatStreamInstance = null;
+
+function getChatStreamService(db) {
+    if (!chatStreamInstance && db) {
+        chatStreamInstance = new ChatStreamService(db);
+    }
+    return chatStreamInstance;
+}
+
+module.exports = {
+    ChatStreamService,
+    getChatStreamService,
+    broadcastChatEvent,
+    storeAssistantMessage,
+    FRAME_TYPES
+};
@@ -0,0 +1,367 @@
+const authService = require('./authService');
+const { getRolePermissions, roleExists } = require('./permissionService');
+
+// Document collections: folders within a tenant (rag_collections, nested through parent_id).
+// Members of a collection - users by email, or a role - may read its documents and those of the
+// collections below it. Documents outside any collection (collection_id NULL) are readable by
+// the whole tenant. Holders of collections:manage (and system admins) read everything.
+//
+// Access is passed around as the list of readable collection IDs, or null for unrestricted.
+
+const MANAGE_PERMISSION = 'collections:manage';
+const MAX_NAME_LENGTH = 100;
+const MEMBER_TYPES = ['user', 'role'];
+
+const COLLECTION_COLUMNS = 'collection_id, parent_id, name, description, created_by, created_at, updated_at';
+
+function collectionError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Collections a user may read
+ * @param {Object} db
+ * @param {string} tenantId
+ * @param {Object} user - { email, role }
+ * @returns {Promise<string[]|null>} Readable collection IDs, or null when unrestricted
+ */
+async function getReadableCollections(db, tenantId, { email, role }) {
+    if (email && authService.isAdmin({ email })) {
+        return null;
+    }
+    const permissions = await getRolePermissions(db, tenantId, role);
+    if (permissions.includes(MANAGE_PERMISSION)) {
+        return null;
+    }
+
+    const result = await db.query(
+        `WITH RECURSIVE readable AS (
+            SELECT c.collection_id
+            FROM rag_collections c
+            JOIN rag_collection_members m ON m.collection_id = c.collection_id
+            WHERE c.tenant_id = $1
+              AND ((m.member_type = 'user' AND m.member = LOWER($2))
+                OR (m.member_type = 'role' AND m.member = $3))
+            UNION
+            SELECT c.collection_id
+            FROM rag_collections c
+            JOIN readable r ON c.parent_id = r.collection_id
+        )
+        SELECT collection_id FROM readable`,
+        [tenantId, email || '', role || '']
+    );
+    return result.rows.map(row => row.collection_id);
+}
+
+/**
+ * Collections a tenant user may read, looking up their role. Unknown users only read
+ * documents outside collections.
+ * @returns {Promise<string[]|null>}
+ */
+async function getUserReadableCollections(db, tenantId, email) {
+    if (!email) {
+        return [];
+    }
+    const result = await db.query(
+        'SELECT role FROM users WHERE LOWER(email) = LOWER($1) AND tenant_id = $2',
+        [email, tenantId]
+    );
+    if (result.rows.length === 0) {
+        return authService.isAdmin({ email }) ? null : [];
+    }
+    return getReadableCollections(db, tenantId, { email, role: result.rows[0].role });
+}
+
+/**
+ * Collections the caller of an authenticated request may read. API keys read what their
+ * owner may read.
+ * @returns {Promise<string[]|null>}
+ */
+function getRequestReadableCollections(db, req) {
+    if (req.apiKey) {
+        return getUserReadableCollections(db, req.tenantId, req.userEmail);
+    }
+    return getReadableCollections(db, req.tenantId, { email: req.userEmail, role: req.userRole });
+}
+
+/**
+ * Collections readable by the user who asked a chat message (the conversation's owner)
+ * @returns {Promise<string[]|null>}
+ */
+async function getMessageReadableCollections(db, tenantId, messageId) {
+    const result = await db.query(
+        `SELECT c.user_email
+         FROM rag_messages m
+         JOIN rag_conversations c ON c.conversation_id = m.conversation_id
+         WHERE m.message_id = $1 AND m.tenant_id = $2
+         LIMIT 1`,
+        [messageId, tenantId]
+    );
+    return getUserReadableCollections(db, tenantId, result.rows[0]?.user_email);
+}
+
+function canReadCollection(readable, collectionId) {
+    return !collectionId || readable === null || readable.includes(collectionId);
+}
+
+/**
+ * SQL condition limiting documents to readable collections
+ * @param {string[]|null} readable
+ * @param {Array} params - Query parameter list, appended to in place
+ * @param {string} [column] - Collection column of the documents being filtered
+ * @returns {string} SQL fragment starting with AND (or empty string when unrestricted)
+ */
+function collectionScopeClause(readable, params, column = 'd.collection_id') {
+    if (readable === null || readable === undefined) {
+        return '';
+    }
+    params.push(readable);
+    return ` AND (${column} IS NULL OR ${column} = ANY($${params.length}::uuid[]))`;
+}
+
+/**
+ * Check that documents may be filed in a collection by someone with the given access
+ * @throws {Error} 404 when the collection doesn't exist or isn't readable
+ */
+async function assertFileableCollection(db, tenantId, readable, collectionId) {
+    if (!collectionId) {
+        return;
+    }
+    const collection = await getCollection(db, tenantId, collectionId);
+    if (!collection || !canReadCollection(readable, collectionId)) {
+        throw collectionError('Collection not found', 404);
+    }
+}
+
+async function getCollection(db, tenantId, collectionId) {
+    const result = await db.query(
+        `SELECT ${COLLECTION_COLUMNS} FROM rag_collections WHERE tenant_id = $1 AND collection_id = $2`,
+        [tenantId, collectionId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Readable collections of a tenant with their document counts, by name. Members are
+ * included for unrestricted callers (collection managers).
+ * @param {string[]|null} readable
+ */
+async function listCollections(db, tenantId, readable) {
+    const params = [tenantId];
+    let scope = '';
+    if (readable !== null) {
+        params.push(readable);
+        scope = ' AND c.collection_id = ANY($2::uuid[])';
+    }
+    const result = await db.query(
+        `SELECT ${COLLECTION_COLUMNS.split(', ').map(column => `c.${column}`).join(', ')},
+                (SELECT COUNT(*)::int FROM rag_documents d
+                 WHERE d.tenant_id = c.tenant_id AND d.collection_id = c.collection_id AND d.is_current) AS document_count
+         FROM rag_collections c
+         WHERE c.tenant_id = $1${scope}
+         ORDER BY LOWER(c.name)`,
+        params
+    );
+    const collections = result.rows;
+    if (readable !== null || collections.length === 0) {
+        return collections;
+    }
+
+    const members = await db.query(
+        `SELECT collection_id, member_type, member FROM rag_collection_members
+         WHERE collection_id = ANY($1::uuid[])
+         ORDER BY member_type, member`,
+        [collections.map(collection => collection.collection_id)]
+    );
+    return collections.map(collection => ({
+        ...collection,
+        members: members.rows
+            .filter(row => row.collection_id === collection.collection_id)
+            .map(({ member_type, member }) => ({ type: member_type, member }))
+    }));
+}
+
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH || /[/\\]/.test(name)) {
+        throw collectionError(`Name is required: at most ${MAX_NAME_LENGTH} characters, without slashes`, 400);
+    }
+    return name.trim();
+}
+
+async function assertParent(db, tenantId, parentId, collectionId = null) {
+    if (!parentId) {
+        return;
+    }
+    if (!(await getCollection(db, tenantId, parentId))) {
+        throw collectionError('Parent collection not found', 404);
+    }
+    if (!collectionId) {
+        return;
+    }
+    // A collection can't move below itself
+    const result = await db.query(
+        `WITH RECURSIVE subtree AS (
+            SELECT collection_id FROM rag_collections WHERE tenant_id = $1 AND collection_id = $2
+            UNION
+            SELECT c.collection_id FROM rag_collections c JOIN subtree s ON c.parent_id = s.collection_id
+        )
+        SELECT 1 FROM subtree WHERE collection_id = $3`,
+        [tenantId, collectionId, parentId]
+    );
+    if (result.rows.length > 0) {
+        throw collectionError('A collection cannot be moved into itself or one of its sub-collections', 400);
+    }
+}
+
+function rethrowDuplicateName(error) {
+    if (error.code === '23505') {
+        throw collectionError('A collection with this name already exists here', 409);
+    }
+    throw error;
+}
+
+async function createCollection(db, tenantId, { name, description, parentId, createdBy }) {
+    const collectionName = validateName(name);
+    await assertParent(db, tenantId, parentId);
+    try {
+        const result = await db.query(
+            `INSERT INTO rag_collections (tenant_id, parent_id, name, description, created_by)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING ${COLLECTION_COLUMNS}`,
+            [tenantId, parentId || null, collectionName, description || null, createdBy]
+        );
+        return result.rows[0];
+    } catch (error) {
+        return rethrowDuplicateName(error);
+    }
+}
+
+/**
+ * Rename, describe or move a collection (parent_id null moves it to the top level)
+ * @returns {Promise<Object|null>} Updated collection, null when not found
+ */
+async function updateCollection(db, tenantId, collectionId, { name, description, parentId }) {
+    const collectionName = name === undefined ? null : validateName(name);
+    if (parentId !== undefined) {
+        await assertParent(db, tenantId, parentId, collectionId);
+    }
+    try {
+        const result = await db.query(
+            `UPDATE rag_collections SET
+                name = COALESCE($3, name),
+                description = CASE WHEN $4 THEN $5 ELSE description END,
+                parent_id = CASE WHEN $6 THEN $7::uuid ELSE parent_id END
+             WHERE tenant_id = $1 AND collection_id = $2
+             RETURNING ${COLLECTION_COLUMNS}`,
+            [tenantId, collectionId, collectionName,
+                description !== undefined, description || null,
+                parentId !== undefined, parentId || null]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        return rethrowDuplicateName(error);
+    }
+}
+
+/**
+ * Delete an empty collection. Documents and sub-collections have to be moved out first, so
+ * nothing becomes readable by more people than before.
+ * @returns {Promise<boolean>} false when not found
+ */
+async function deleteCollection(db, tenantId, collectionId) {
+    const contents = await db.query(
+        `SELECT
+            (SELECT COUNT(*)::int FROM rag_collections WHERE tenant_id = $1 AND parent_id = $2) AS collections,
+            (SELECT COUNT(*)::int FROM rag_documents WHERE tenant_id = $1 AND collection_id = $2) AS documents`,
+        [tenantId, collectionId]
+    );
+    const { collections, documents } = contents.rows[0];
+    if (collections > 0 || documents > 0) {
+        throw collectionError('Move the documents and sub-collections out of this collection first', 409);
+    }
+    const result = await db.query(
+        'DELETE FROM rag_collections WHERE tenant_id = $1 AND collection_id = $2',
+        [tenantId, collectionId]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Replace the members of a collection
+ * @param {Array<{type: string, member: string}>} members - Users by email, roles by name
+ * @returns {Promise<Array>} Normalized members
+ */
+async function setCollectionMembers(db, tenantId, collectionId, members, addedBy) {
+    if (!Array.isArray(members)) {
+        throw collectionError('members must be an array', 400);
+    }
+    const normalized = new Map();
+    for (const entry of members) {
+        const type = entry?.type;
+        const member = typeof entry?.member === 'string' ? entry.member.trim() : '';
+        if (!MEMBER_TYPES.includes(type) || !member || member.length > 255) {
+            throw collectionError('Each member needs a type (user or role) and a member (email or role name)', 400);
+        }
+        if (type === 'user' && !/^[^\s@]+@[^\s@]+$/.test(member)) {
+            throw collectionError(`Invalid email: ${member}`, 400);
+        }
+        if (type === 'role' && !(await roleExists(db, tenantId, member))) {
+            throw collectionError(`Unknown role: ${member}`, 400);
+        }
+        const value = type === 'user' ? member.toLowerCase() : member;
+        normalized.set(`${type}:${value}`, { type, member: value });
+    }
+
+    await db.transaction(async (client) => {
+        await client.query('DELETE FROM rag_collection_members WHERE collection_id = $1', [collectionId]);
+        for (const { type, member } of normalized.values()) {
+            await client.query(
+                `INSERT INTO rag_collection_members (collection_id, member_type, member, added_by)
+                 VALUES ($1, $2, $3, $4)`,
+                [collectionId, type, member, addedBy]
+            );
+        }
+    });
+    return [...normalized.values()];
+}
+
+/**
+ * File a document, with every version of it, in a collection (null takes it out of collections)
+ * @returns {Promise<Object|null>} { lineage_id, previous_collection_id }, null when the document doesn't exist
+ */
+async function moveDocument(db, tenantId, documentId, collectionId) {
+    const current = await db.query(
+        'SELECT lineage_id, collection_id FROM rag_documents WHERE document_id = $1 AND tenant_id = $2',
+        [documentId, tenantId]
+    );
+    const doc = current.rows[0];
+    if (!doc) {
+        return null;
+    }
+    await db.query(
+        `UPDATE rag_documents SET collection_id = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = $1 AND lineage_id = $2`,
+        [tenantId, doc.lineage_id, collectionId || null]
+    );
+    return { lineage_id: doc.lineage_id, previous_collection_id: doc.collection_id };
+}
+
+module.exports = {
+    MANAGE_PERMISSION,
+    getReadableCollections,
+    getUserReadableCollections,
+    getRequestReadableCollections,
+    getMessageReadableCollections,
+    canReadCollection,
+    collectionScopeClause,
+    assertFileableCollection,
+    getCollection,
+    listCollections,
+    createCollection,
+    updateCollection,
+    deleteCollection,
+    setCollectionMembers,
+    moveDocument
+};
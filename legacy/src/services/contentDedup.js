@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { collectionScopeClause } = require('./collections');
+
+// Duplicate content: uploads and knowledge articles carry a SHA-256 content_hash, and a
+// tenant's policy decides what happens when the same content arrives again:
+//   reject  - refuse it (409)
+//   link    - return the existing document instead of creating another one
+//   version - store it as a new version of the existing document (see documentVersions)
+
+const DEDUP_POLICIES = ['reject', 'link', 'version'];
+const DEDUP_SETTINGS_KEY = 'deduplication';
+// Chunks compared between yields to the event loop
+const COLLAPSE_BATCH_SIZE = 100;
+
+/**
+ * SHA-256 of text content, ignoring line-ending differences and surrounding whitespace
+ * @param {string} text
+ * @returns {string} Hex digest
+ */
+function hashContent(text) {
+    return crypto.createHash('sha256').update(String(text).replace(/\r\n/g, '\n').trim()).digest('hex');
+}
+
+/**
+ * The tenant's duplicate policy, falling back to config.rag.dedup.policy
+ * @returns {Promise<string>} 'reject', 'link' or 'version'
+ */
+async function getDedupPolicy(db, tenantId) {
+    const settings = await db.tenantSettings.get(tenantId, DEDUP_SETTINGS_KEY);
+    if (DEDUP_POLICIES.includes(settings?.policy)) {
+        return settings.policy;
+    }
+    return DEDUP_POLICIES.includes(config.rag.dedup.policy) ? config.rag.dedup.policy : 'link';
+}
+
+/**
+ * A live document of the tenant with the same content: a current version, or a newer version
+ * still being processed. Failed documents and superseded versions don't count, so content can
+ * be re-sent after a failure or to restore an older version.
+ * @param {string[]|null} [readable] - Collections the uploader may read; documents in other collections don't count
+ * @returns {Promise<Object|null>} { document_id, lineage_id, version, status, collection_id, original_filename, title }
+ */
+async function findDuplicate(db, tenantId, contentHash, readable = null) {
+    const params = [tenantId, contentHash];
+    const scope = collectionScopeClause(readable, params);
+    const result = await db.query(
+        `SELECT d.document_id, d.lineage_id, d.version, d.status, d.collection_id, d.original_filename, d.metadata->>'title' AS title
+         FROM rag_documents d
+         WHERE d.tenant_id = $1 AND d.content_hash = $2 AND d.status <> 'failed'${scope}
+           AND (d.is_current OR NOT EXISTS (
+               SELECT 1 FROM rag_documents c
+               WHERE c.tenant_id = d.tenant_id AND c.lineage_id = d.lineage_id AND c.is_current AND c.version > d.version
+           ))
+         ORDER BY d.is_current DESC, d.created_at DESC
+         LIMIT 1`,
+        params
+    );
+    return result.rows[0] || null;
+}
+
+function unitVector(embedding) {
+    if (!Array.isArray(embedding) || embedding.length === 0) {
+        return null;
+    }
+    let norm = 0;
+    for (const value of embedding) {
+        norm += value * value;
+    }
+    norm = Math.sqrt(norm);
+    return norm > 0 ? embedding.map(value => value / norm) : null;
+}
+
+function dot(a, b) {
+    if (a.length !== b.length) {
+        return 0;
+    }
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+/**
+ * Collapse chunks of one document whose embeddings are nearly identical (repeated headers,
+ * footers, boilerplate). The first chunk is kept and lists the chunk_index of the chunks it
+ * absorbed in metadata.collapsed_chunk_indexes.
+ *
+ * Each chunk is only compared with the `window` kept chunks most recently added or matched, so
+ * the work stays linear in the document's size: a repeat is caught while its first occurrence
+ * is still in the window, and every match moves it back to the front. The loop yields to the
+ * event loop between batches so a large document doesn't hold up other requests.
+ * @param {Array<Object>} vectors - { chunk_text, embedding, chunk_index, metadata } as posted by the platform
+ * @param {number} [threshold] - Cosine similarity at or above which chunks collapse (0 disables)
+ * @param {number} [window] - Kept chunks each chunk is compared with
+ * @returns {Promise<{vectors: Array<Object>, collapsed: number}>}
+ */
+async function collapseNearDuplicateChunks(vectors, threshold = config.rag.dedup.chunkSimilarity,
+    window = config.rag.dedup.chunkWindow) {
+    if (!(threshold > 0) || !(window > 0)) {
+        return { vectors, collapsed: 0 };
+    }
+
+    const kept = [];
+    // Most recently added or matched first
+    const recent = [];
+    let collapsed = 0;
+    for (const [index, vector] of vectors.entries()) {
+        if (index > 0 && index % COLLAPSE_BATCH_SIZE === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        const unit = unitVector(vector?.embedding);
+        const position = unit ? recent.findIndex(candidate => dot(candidate.unit, unit) >= threshold) : -1;
+        if (position >= 0) {
+            const [match] = recent.splice(position, 1);
+            recent.unshift(match);
+            const metadata = match.vector.metadata || {};
+            match.vector.metadata = {
+                ...metadata,
+                collapsed_chunk_indexes: [...(metadata.collapsed_chunk_indexes || []), vector.chunk_index]
+            };
+            collapsed++;
+            continue;
+        }
+        const entry = { vector: { ...vector }, unit };
+        kept.push(entry);
+        if (unit) {
+            recent.unshift(entry);
+            if (recent.length > window) {
+                recent.pop();
+            }
+        }
+    }
+
+    return { vectors: kept.map(entry => entry.vector), collapsed };
+}
+
+module.exports = {
+    DEDUP_POLICIES,
+    DEDUP_SETTINGS_KEY,
+    hashContent,
+    getDedupPolicy,
+    findDuplicate,
+    collapseNearDuplicateChunks
+};
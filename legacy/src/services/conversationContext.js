@@ -0,0 +1,266 @@
+const axios = require('axios');
+const config = require('../config');
+const { estimateTokens } = require('../utils/chunking');
+
+const SETTINGS_KEY = 'chat_history';
+
+// Upper bound on unsummarized messages read per request. Only reached by long threads that predate
+// summaries; their oldest messages are skipped rather than summarized
+const MAX_CANDIDATE_MESSAGES = 200;
+
+function truncateToTokens(text, maxTokens) {
+    const words = text.split(/\s+/);
+    let tokens = 0;
+    let count = 0;
+    for (const word of words) {
+        tokens += estimateTokens(word);
+        if (tokens > maxTokens) {
+            break;
+        }
+        count++;
+    }
+    return count < words.length ? `${words.slice(0, count).join(' ')} …` : text;
+}
+
+/**
+ * Local summarizer: keeps the first sentence of each message as one line, dropping the
+ * oldest lines once the summary exceeds its budget. Cheap and deterministic.
+ */
+class ExtractiveSummarizer {
+    constructor() {
+        this.name = 'extractive';
+    }
+
+    async summarize(previousSummary, messages, maxTokens) {
+        const lines = previousSummary ? previousSummary.split('\n').filter(Boolean) : [];
+        for (const message of messages) {
+            const text = message.message.replace(/\s+/g, ' ').trim();
+            const firstSentence = (text.match(/^.+?[.!?](\s|$)/) || [text])[0].trim();
+            const speaker = message.role === 'user' ? 'User' : 'Assistant';
+            lines.push(`${speaker}: ${firstSentence.length > 200 ? `${firstSentence.substring(0, 197)}...` : firstSentence}`);
+        }
+
+        while (lines.length > 1 && estimateTokens(lines.join('\n')) > maxTokens) {
+            lines.shift();
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Summarizer backed by any OpenAI-compatible /chat/completions endpoint
+ */
+class OpenAISummarizer {
+    constructor({ summarizerApiUrl, summarizerApiKey, summarizerModel, summarizerTimeoutMs }) {
+        this.name = 'openai';
+        this.apiUrl = summarizerApiUrl.replace(/\/+$/, '');
+        this.apiKey = summarizerApiKey;
+        this.model = summarizerModel;
+        this.timeoutMs = summarizerTimeoutMs;
+    }
+
+    async summarize(previousSummary, messages, maxTokens) {
+        const transcript = messages
+            .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.message}`)
+            .join('\n');
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.apiUrl}/chat/completions`, {
+            model: this.model,
+            max_tokens: maxTokens,
+            temperature: 0,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You maintain a running summary of a support conversation. Merge the new messages into the existing summary. ' +
+                        'Keep facts, the user\'s environment, decisions and open questions. Be concise; plain text only.'
+                },
+                {
+                    role: 'user',
+                    content: `Existing summary:\n${previousSummary || '(none)'}\n\nNew messages:\n${transcript}`
+                }
+            ]
+        }, {
+            headers,
+            timeout: this.timeoutMs
+        });
+
+        const summary = response.data?.choices?.[0]?.message?.content;
+        if (!summary) {
+            throw new Error('Summarizer returned no content');
+        }
+        return summary.trim();
+    }
+}
+
+function createSummarizer(options = config.rag.history) {
+    switch (options.summarizer) {
+        case 'openai':
+            return new OpenAISummarizer(options);
+        case 'extractive':
+        case undefined:
+        case null:
+        case '':
+            return new ExtractiveSummarizer();
+        default:
+            throw new Error(`Unknown chat summarizer: ${options.summarizer}`);
+    }
+}
+
+/**
+ * Builds the conversation context sent with a chat request: the latest messages that fit the
+ * tenant's history window (message count and token budget), plus a rolling summary of
+ * everything older, kept on rag_conversations.summary.
+ */
+class ConversationContext {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.defaults = { ...config.rag.history, ...options };
+        this.summarizer = options.summarizer || createSummarizer(this.defaults);
+    }
+
+    /**
+     * History settings for a tenant: config defaults overridden by tenant_settings 'chat_history'
+     * @returns {Promise<{maxMessages: number, maxTokens: number, summaryEnabled: boolean, summaryMaxTokens: number}>}
+     */
+    async getSettings(tenantId) {
+        const settings = {
+            maxMessages: this.defaults.maxMessages,
+            maxTokens: this.defaults.maxTokens,
+            summaryEnabled: this.defaults.summaryEnabled,
+            summaryMaxTokens: this.defaults.summaryMaxTokens
+        };
+
+        const overrides = (await this.db.tenantSettings.get(tenantId, SETTINGS_KEY)) || {};
+        if (overrides.max_messages !== undefined) settings.maxMessages = overrides.max_messages;
+        if (overrides.max_tokens !== undefined) settings.maxTokens = overrides.max_tokens;
+        if (overrides.summary_enabled !== undefined) settings.summaryEnabled = overrides.summary_enabled;
+        if (overrides.summary_max_tokens !== undefined) settings.summaryMaxTokens = overrides.summary_max_tokens;
+        return settings;
+    }
+
+    /**
+     * Assemble history for the next chat request. Call before storing the new user message.
+     * @param {Object} params
+     * @param {string} params.tenantId
+     * @param {string} params.conversationId
+     * @returns {Promise<Object>} { history: [{role, content, created_at}], summary, stats }
+     */
+    async buildContext({ tenantId, conversationId }) {
+        const empty = { history: [], summary: null, stats: { messages: 0, tokens: 0, summarized: 0, truncated: false } };
+
+        const settings = await this.getSettings(tenantId);
+        if (settings.maxMessages <= 0) {
+            return empty;
+        }
+
+        const convResult = await this.db.query(
+            'SELECT summary, summary_message_id FROM rag_conversations WHERE conversation_id = $1 AND tenant_id = $2',
+            [conversationId, tenantId]
+        );
+        if (convResult.rows.length === 0) {
+            return empty;
+        }
+        let { summary, summary_message_id: summaryMessageId } = convResult.rows[0];
+
+        const messagesResult = await this.db.query(
+            `SELECT id, role, message, created_at FROM rag_messages
+             WHERE conversation_id = $1 AND tenant_id = $2 AND id > $3
+             ORDER BY id DESC
+             LIMIT $4`,
+            [conversationId, tenantId, summaryMessageId || 0, MAX_CANDIDATE_MESSAGES]
+        );
+
+        // Walk back from the newest message until the window is full
+        const window = [];
+        let tokens = 0;
+        let index = 0;
+        for (; index < messagesResult.rows.length && window.length < settings.maxMessages; index++) {
+            const row = messagesResult.rows[index];
+            const messageTokens = estimateTokens(row.message);
+            if (tokens + messageTokens > settings.maxTokens) {
+                if (window.length === 0) {
+                    // Always keep the latest message, cut to the budget
+                    window.push({ ...row, message: truncateToTokens(row.message, settings.maxTokens) });
+                    tokens = settings.maxTokens;
+                    index++;
+                }
+                break;
+            }
+            window.push(row);
+            tokens += messageTokens;
+        }
+
+        // Messages that fell out of the window are folded into the rolling summary
+        const overflow = messagesResult.rows.slice(index).reverse();
+        let summarized = 0;
+        if (settings.summaryEnabled && overflow.length > 0) {
+            try {
+                const updated = await this.foldIntoSummary({
+                    conversationId,
+                    tenantId,
+                    previousSummary: summary,
+                    previousMessageId: summaryMessageId,
+                    messages: overflow,
+                    maxTokens: settings.summaryMaxTokens
+                });
+                summary = updated.summary;
+                summarized = overflow.length;
+            } catch (error) {
+                // Send the previous summary; the same messages are folded on the next request
+                console.error(`[CHAT CONTEXT] Failed to update summary for conversation ${conversationId}:`, error.message);
+            }
+        }
+
+        return {
+            history: window.reverse().map(row => ({
+                role: row.role,
+                content: row.message,
+                created_at: row.created_at
+            })),
+            summary: settings.summaryEnabled ? (summary || null) : null,
+            stats: {
+                messages: window.length,
+                tokens,
+                summarized,
+                truncated: overflow.length > 0
+            }
+        };
+    }
+
+    async foldIntoSummary({ conversationId, tenantId, previousSummary, previousMessageId, messages, maxTokens }) {
+        const summary = await this.summarizer.summarize(previousSummary, messages, maxTokens);
+        const lastMessageId = messages[messages.length - 1].id;
+
+        // Only apply on top of the summary we read; a concurrent request may have folded already
+        const result = await this.db.query(
+            `UPDATE rag_conversations
+             SET summary = $1, summary_message_id = $2, summary_updated_at = CURRENT_TIMESTAMP
+             WHERE conversation_id = $3 AND tenant_id = $4
+             AND summary_message_id IS NOT DISTINCT FROM $5
+             RETURNING summary`,
+            [summary, lastMessageId, conversationId, tenantId, previousMessageId]
+        );
+
+        if (result.rows.length === 0) {
+            const current = await this.db.query(
+                'SELECT summary FROM rag_conversations WHERE conversation_id = $1 AND tenant_id = $2',
+                [conversationId, tenantId]
+            );
+            return { summary: current.rows[0]?.summary || previousSummary };
+        }
+
+        console.log(`[CHAT CONTEXT] Folded ${messages.length} message(s) into summary of conversation ${conversationId} (${this.summarizer.name})`);
+        return { summary };
+    }
+}
+
+module.exports = ConversationContext;
+module.exports.SETTINGS_KEY = SETTINGS_KEY;
+module.exports.ExtractiveSummarizer = ExtractiveSummarizer;
+module.exports.OpenAISummarizer = OpenAISummarizer;
+module.exports.createSummarizer = createSummarizer;
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { unifiedDiff } = require('../utils/markdownDiff');
+
+// Document versions: every upload of a revised file is its own rag_documents row (own
+// document_id, blob and vectors) in the lineage of the first upload. One version per lineage
+// is current, and searches only see current versions (see hybridSearch).
+
+const VERSION_COLUMNS = `document_id, lineage_id, version, is_current, status, original_filename,
+    file_type, file_size, content_hash, collection_id, created_by, created_at, updated_at,
+    processed_markdown IS NOT NULL AS has_markdown`;
+
+/**
+ * SHA-256 of a file on disk, streamed
+ * @param {string} filePath
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Latest version of the document an upload revises. Uploads only revise a document when they
+ * name it in `replaces`; a shared filename alone says nothing about two files being related.
+ * @param {Object} db
+ * @param {string} tenantId
+ * @param {Object} params
+ * @param {string} [params.replaces] - document_id of any version of the document
+ * @returns {Promise<Object|null>} Latest version row, or null for a new document
+ */
+async function findRevisedDocument(db, tenantId, { replaces }) {
+    if (!replaces) {
+        return null;
+    }
+    const result = await db.query(
+        'SELECT lineage_id FROM rag_documents WHERE document_id = $1 AND tenant_id = $2',
+        [replaces, tenantId]
+    );
+    if (result.rows.length === 0) {
+        const error = new Error('Document to replace not found');
+        error.status = 404;
+        throw error;
+    }
+    const lineageId = result.rows[0].lineage_id;
+    if (!lineageId) {
+        return null;
+    }
+
+    const latest = await db.query(
+        `SELECT ${VERSION_COLUMNS} FROM rag_documents
+         WHERE tenant_id = $1 AND lineage_id = $2
+         ORDER BY version DESC LIMIT 1`,
+        [tenantId, lineageId]
+    );
+    return latest.rows[0] || null;
+}
+
+/**
+ * Lock a lineage and number the next version, inside the transaction inserting it
+ * @param {Object} client - Transaction client
+ * @returns {Promise<number>}
+ */
+async function nextVersion(client, tenantId, lineageId) {
+    const result = await client.query(
+        `SELECT version FROM rag_documents
+         WHERE tenant_id = $1 AND lineage_id = $2
+         ORDER BY version DESC FOR UPDATE`,
+        [tenantId, lineageId]
+    );
+    return (result.rows[0]?.version || 0) + 1;
+}
+
+/**
+ * Make one version the current version of its lineage. Two statements because the
+ * one-current-per-lineage index is checked row by row.
+ * @param {Object} client - Transaction client
+ */
+async function setCurrentVersion(client, tenantId, lineageId, documentId) {
+    await client.query(
+        `UPDATE rag_documents SET is_current = false
+         WHERE tenant_id = $1 AND lineage_id = $2 AND is_current AND document_id <> $3`,
+        [tenantId, lineageId, documentId]
+    );
+    await client.query(
+        `UPDATE rag_documents SET is_current = true, updated_at = CURRENT_TIMESTAMP
+         WHERE tenant_id = $1 AND document_id = $2 AND NOT is_current`,
+        [tenantId, documentId]
+    );
+}
+
+/**
+ * Swap a newly ready version in for the current one, in the transaction that marks it ready.
+ * Only versions newer than the current one are promoted, so reprocessing an old version
+ * doesn't undo a later upload or rollback.
+ * @param {Object} client - Transaction client
+ * @param {string} tenantId
+ * @param {string} documentId
+ * @returns {Promise<Object|null>} { lineage_id, version, previous_document_id } when promoted
+ */
+async function promoteVersion(client, tenantId, documentId) {
+    const docResult = await client.query(
+        'SELECT lineage_id, version, is_current FROM rag_documents WHERE document_id = $1 AND tenant_id = $2',
+        [documentId, tenantId]
+    );
+    const doc = docResult.rows[0];
+    if (!doc || doc.is_current) {
+        return null;
+    }
+
+    const lineageResult = await client.query(
+        `SELECT document_id, version, is_current FROM rag_documents
+         WHERE tenant_id = $1 AND lineage_id = $2
+         FOR UPDATE`,
+        [tenantId, doc.lineage_id]
+    );
+    const current = lineageResult.rows.find(row => row.is_current);
+    if (current && current.version > doc.version) {
+        return null;
+    }
+
+    await setCurrentVersion(client, tenantId, doc.lineage_id, documentId);
+    return {
+        lineage_id: doc.lineage_id,
+        version: doc.version,
+        previous_document_id: current?.document_id || null
+    };
+}
+
+/**
+ * All versions of the document a document_id belongs to, newest first
+ * @returns {Promise<Array|null>} null when the document doesn't exist
+ */
+async function listVersions(db, tenantId, documentId) {
+    const result = await db.query(
+        `SELECT ${VERSION_COLUMNS},
+                (SELECT COUNT(*) FROM rag_vectors v
+                 WHERE v.document_id = d.document_id AND v.tenant_id = d.tenant_id)::int AS vector_count
+         FROM rag_documents d
+         WHERE d.tenant_id = $1
+           AND d.lineage_id = (SELECT lineage_id FROM rag_documents WHERE document_id = $2 AND tenant_id = $1)
+         ORDER BY d.version DESC`,
+        [tenantId, documentId]
+    );
+    return result.rows.length > 0 ? result.rows : null;
+}
+
+function versionNotFound(message = 'Version not found') {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+}
+
+/**
+ * Unified diff of the processed markdown of two versions of a document
+ * @param {Object} db
+ * @param {string} tenantId
+ * @param {string} documentId - Any version of the document
+ * @param {Object} [params]
+ * @param {number} [params.from] - Older version number (default: the one before `to`)
+ * @param {number} [params.to] - Newer version number (default: latest)
+ * @returns {Promise<Object>} { from, to, diff, additions, deletions, hunks }
+ */
+async function diffVersions(db, tenantId, documentId, { from, to } = {}) {
+    const versions = await listVersions(db, tenantId, documentId);
+    if (!versions) {
+        throw versionNotFound('Document not found');
+    }
+
+    const toVersion = to ? versions.find(v => v.version === to) : versions[0];
+    if (!toVersion) {
+        throw versionNotFound(`Version ${to} not found`);
+    }
+    const fromVersion = from
+        ? versions.find(v => v.version === from)
+        : versions.find(v => v.version < toVersion.version);
+    if (!fromVersion) {
+        throw versionNotFound(from ? `Version ${from} not found` : 'No earlier version to compare with');
+    }
+
+    const markdown = await db.query(
+        'SELECT document_id, processed_markdown FROM rag_documents WHERE tenant_id = $1 AND document_id = ANY($2::uuid[])',
+        [tenantId, [fromVersion.document_id, toVersion.document_id]]
+    );
+    const markdownById = new Map(markdown.rows.map(row => [row.document_id, row.processed_markdown]));
+    for (const version of [fromVersion, toVersion]) {
+        if (!markdownById.get(version.document_id)) {
+            const error = new Error(`Version ${version.version} has not been processed yet`);
+            error.status = 409;
+            throw error;
+        }
+    }
+
+    const label = version => `v${version.version}/${version.original_filename || version.document_id}`;
+    const summarize = ({ document_id, version, status, created_at }) => ({ document_id, version, status, created_at });
+    return {
+        from: summarize(fromVersion),
+        to: summarize(toVersion),
+        ...unifiedDiff(markdownById.get(fromVersion.document_id), markdownById.get(toVersion.document_id), {
+            fromLabel: label(fromVersion),
+            toLabel: label(toVersion)
+        })
+    };
+}
+
+/**
+ * Make an earlier (or later) processed version current again. Its vectors were kept, so the
+ * switch is immediate.
+ * @returns {Promise<Object>} { previous, current } version summaries
+ */
+async function rollbackToVersion(db, tenantId, documentId, version) {
+    return db.transaction(async (client) => {
+        const result = await client.query(
+            `SELECT document_id, lineage_id, version, is_current, status FROM rag_documents
+             WHERE tenant_id = $1
+               AND lineage_id = (SELECT lineage_id FROM rag_documents WHERE document_id = $2 AND tenant_id = $1)
+             ORDER BY version DESC FOR UPDATE`,
+            [tenantId, documentId]
+        );
+        if (result.rows.length === 0) {
+            throw versionNotFound('Document not found');
+        }
+
+        const target = result.rows.find(row => row.version === version);
+        if (!target) {
+            throw versionNotFound(`Version ${version} not found`);
+        }
+        if (target.status !== 'ready') {
+            const error = new Error(`Version ${version} is ${target.status}; only ready versions can be restored`);
+            error.status = 409;
+            throw error;
+        }
+
+        const previous = result.rows.find(row => row.is_current) || null;
+        if (previous?.document_id !== target.document_id) {
+            await setCurrentVersion(client, tenantId, target.lineage_id, target.document_id);
+        }
+
+        const summarize = row => row && { document_id: row.document_id, version: row.version };
+        return { lineage_id: target.lineage_id, previous: summarize(previous), current: summarize(target) };
+    });
+}
+
+module.exports = {
+    hashFile,
+    findRevisedDocument,
+    nextVersion,
+    promoteVersion,
+    listVersions,
+    diffVersions,
+    rollbackToVersion
+};
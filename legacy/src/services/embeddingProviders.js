@@ -0,0 +1,113 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Embedding provider for any OpenAI-compatible /embeddings endpoint
+ * (OpenAI, Azure OpenAI proxies, Ollama, vLLM, LiteLLM, ...)
+ */
+class OpenAIEmbeddingProvider {
+    constructor({ apiUrl, apiKey, model, dimension, timeoutMs }) {
+        this.name = 'openai';
+        this.apiUrl = apiUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.dimension = dimension;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Embed a batch of texts
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>} One embedding per input, in input order
+     */
+    async embed(texts) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await axios.post(`${this.apiUrl}/embeddings`, {
+            model: this.model,
+            input: texts
+        }, {
+            headers,
+            timeout: this.timeoutMs
+        });
+
+        const data = response.data?.data;
+        if (!Array.isArray(data) || data.length !== texts.length) {
+            throw new Error(`Embedding API returned ${data?.length ?? 'no'} embeddings for ${texts.length} inputs`);
+        }
+
+        return data
+            .sort((a, b) => a.index - b.index)
+            .map(item => {
+                if (!Array.isArray(item.embedding) || item.embedding.length !== this.dimension) {
+                    throw new Error(`Embedding dimension mismatch. Expected ${this.dimension}, got ${item.embedding?.length}`);
+                }
+                return item.embedding;
+            });
+    }
+}
+
+/**
+ * Local deterministic embedder using signed feature hashing of word unigrams and bigrams.
+ * No network or model required - intended for tests and offline development.
+ * Texts sharing vocabulary get similar vectors, but there is no semantic understanding.
+ */
+class HashingEmbeddingProvider {
+    constructor({ dimension }) {
+        this.name = 'hashing';
+        this.model = `hashing-${dimension}`;
+        this.dimension = dimension;
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimension).fill(0);
+        const words = (text.toLowerCase().match(/[\p{L}\p{N}_-]+/gu) || []);
+        const features = words.concat(words.slice(1).map((word, i) => `${words[i]} ${word}`));
+
+        for (const feature of features) {
+            const hash = crypto.createHash('sha256').update(feature).digest();
+            const index = hash.readUInt32BE(0) % this.dimension;
+            const sign = (hash[4] & 1) ? 1 : -1;
+            vector[index] += sign;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm > 0 ? vector.map(value => parseFloat((value / norm).toFixed(6))) : vector;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedText(text));
+    }
+}
+
+/**
+ * Create the configured embedding provider
+ * @param {Object} [options] - Defaults to config.rag.embedding
+ * @returns {OpenAIEmbeddingProvider|HashingEmbeddingProvider|null} null when no provider is configured
+ */
+function createEmbeddingProvider(options = config.rag.embedding) {
+    const dimension = config.rag.vectorDimension;
+
+    switch (options.provider) {
+        case 'openai':
+            return new OpenAIEmbeddingProvider({ ...options, dimension });
+        case 'hashing':
+            return new HashingEmbeddingProvider({ dimension });
+        case null:
+        case undefined:
+        case '':
+            return null;
+        default:
+            throw new Error(`Unknown embedding provider: ${options.provider}`);
+    }
+}
+
+module.exports = {
+    OpenAIEmbeddingProvider,
+    HashingEmbeddingProvider,
+    createEmbeddingProvider
+};
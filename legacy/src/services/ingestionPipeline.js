@@ -0,0 +1,128 @@
+const config = require('../config');
+const { chunkMarkdown } = require('../utils/chunking');
+const { createEmbeddingProvider } = require('./embeddingProviders');
+const { promoteVersion } = require('./documentVersions');
+
+const PIPELINE_SOURCE = 'ingestion-pipeline';
+
+/**
+ * In-process ingestion: chunk processed markdown, embed the chunks and write rag_vectors.
+ * Lets a tenant's knowledge base be vectorized without the external actions platform.
+ *
+ * Vectors written here are tagged with metadata.source = 'ingestion-pipeline'. Vectors
+ * posted back by the actions platform (/callback) take precedence: the pipeline skips
+ * documents that already have external vectors, and /callback clears pipeline vectors.
+ */
+class IngestionPipeline {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.provider = options.provider !== undefined ? options.provider : createEmbeddingProvider();
+        this.chunking = options.chunking || config.rag.chunking;
+        this.batchSize = options.batchSize || config.rag.embedding.batchSize;
+    }
+
+    isEnabled() {
+        return !!this.provider;
+    }
+
+    async embedChunks(chunks) {
+        const embeddings = [];
+        for (let i = 0; i < chunks.length; i += this.batchSize) {
+            const batch = chunks.slice(i, i + this.batchSize);
+            const batchEmbeddings = await this.provider.embed(batch.map(chunk => chunk.chunk_text));
+            embeddings.push(...batchEmbeddings);
+        }
+        return embeddings;
+    }
+
+    /**
+     * Chunk, embed and store vectors for a document, replacing previous pipeline vectors
+     * @param {Object} params
+     * @param {string} params.tenantId
+     * @param {string} params.documentId
+     * @param {string} params.markdown - Processed markdown for the document
+     * @returns {Promise<Object>} { vectors_stored, provider, model, promoted } or { skipped: true, reason }
+     */
+    async processDocument({ tenantId, documentId, markdown }) {
+        if (!this.isEnabled()) {
+            throw new Error('Ingestion pipeline is disabled - set EMBEDDING_PROVIDER to enable it');
+        }
+
+        const startTime = Date.now();
+        const chunks = chunkMarkdown(markdown, this.chunking);
+        if (chunks.length === 0) {
+            return { skipped: true, reason: 'empty-document' };
+        }
+
+        // Embed before opening the transaction so no connection is held during provider calls
+        const embeddings = await this.embedChunks(chunks);
+
+        const result = await this.db.transaction(async (client) => {
+            // Serialize concurrent runs for the same document
+            const docResult = await client.query(
+                'SELECT document_id FROM rag_documents WHERE document_id = $1 AND tenant_id = $2 FOR UPDATE',
+                [documentId, tenantId]
+            );
+            if (docResult.rows.length === 0) {
+                return { skipped: true, reason: 'document-not-found' };
+            }
+
+            const externalResult = await client.query(
+                `SELECT COUNT(*) AS count FROM rag_vectors
+                 WHERE document_id = $1 AND tenant_id = $2
+                 AND COALESCE(metadata->>'source', '') <> $3`,
+                [documentId, tenantId, PIPELINE_SOURCE]
+            );
+            if (parseInt(externalResult.rows[0].count) > 0) {
+                return { skipped: true, reason: 'external-vectors' };
+            }
+
+            await client.query(
+                'DELETE FROM rag_vectors WHERE document_id = $1 AND tenant_id = $2',
+                [documentId, tenantId]
+            );
+
+            for (let i = 0; i < chunks.length; i++) {
+                const chunk = chunks[i];
+                await client.query(
+                    `INSERT INTO rag_vectors (tenant_id, document_id, chunk_text, embedding, chunk_index, metadata)
+                     VALUES ($1, $2, $3, $4::vector, $5, $6)`,
+                    [
+                        tenantId,
+                        documentId,
+                        chunk.chunk_text,
+                        `[${embeddings[i].join(',')}]`,
+                        chunk.chunk_index,
+                        {
+                            ...chunk.metadata,
+                            source: PIPELINE_SOURCE,
+                            embedding_provider: this.provider.name,
+                            embedding_model: this.provider.model
+                        }
+                    ]
+                );
+            }
+
+            await client.query(
+                `UPDATE rag_documents SET status = 'ready', updated_at = CURRENT_TIMESTAMP
+                 WHERE document_id = $1 AND tenant_id = $2`,
+                [documentId, tenantId]
+            );
+            // A new version replaces the current one in the same transaction as its vectors
+            const promoted = await promoteVersion(client, tenantId, documentId);
+
+            return {
+                vectors_stored: chunks.length,
+                provider: this.provider.name,
+                model: this.provider.model,
+                promoted
+            };
+        });
+
+        console.log(`[INGESTION] Document ${documentId}: ${result.skipped ? `skipped (${result.reason})` : `${result.vectors_stored} vectors stored`} in ${Date.now() - startTime}ms`);
+        return result;
+    }
+}
+
+module.exports = IngestionPipeline;
+module.exports.PIPELINE_SOURCE = PIPELINE_SOURCE;
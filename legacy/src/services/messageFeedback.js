@@ -0,0 +1,242 @@
+const FEEDBACK_RATINGS = ['up', 'down'];
+const FEEDBACK_REASONS = ['incorrect', 'incomplete', 'irrelevant_sources', 'outdated', 'unclear', 'other'];
+const MAX_COMMENT_LENGTH = 2000;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Validate a feedback body
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validateFeedback({ rating, reason, comment }) {
+    const errors = [];
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+        errors.push(`rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`);
+    }
+    if (reason !== undefined && reason !== null && !FEEDBACK_REASONS.includes(reason)) {
+        errors.push(`reason must be one of: ${FEEDBACK_REASONS.join(', ')}`);
+    }
+    if (comment !== undefined && comment !== null &&
+        (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+        errors.push(`comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+    return errors;
+}
+
+/**
+ * Find the assistant message being rated, by rag_messages.id or by chat request message_id
+ * (the id SSE events carry)
+ * @returns {Promise<Object|null>} { id, conversation_id, message_id }
+ */
+async function findRatedMessage(db, tenantId, messageRef) {
+    let column;
+    if (/^\d{1,9}$/.test(messageRef)) {
+        column = 'id';
+    } else if (UUID_PATTERN.test(messageRef)) {
+        column = 'message_id';
+    } else {
+        return null;
+    }
+
+    const result = await db.query(
+        `SELECT id, conversation_id, message_id FROM rag_messages
+         WHERE ${column} = $1 AND tenant_id = $2 AND role = 'assistant'`,
+        [column === 'id' ? parseInt(messageRef) : messageRef, tenantId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Record a user's rating of an assistant message, replacing their previous one
+ */
+async function submitFeedback(db, { message, tenantId, userEmail, rating, reason, comment }) {
+    const result = await db.query(
+        `INSERT INTO rag_message_feedback (rag_message_id, tenant_id, conversation_id, user_email, rating, reason, comment)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (rag_message_id, user_email) DO UPDATE SET
+            rating = EXCLUDED.rating,
+            reason = EXCLUDED.reason,
+            comment = EXCLUDED.comment
+         RETURNING rating, reason, comment, created_at, updated_at`,
+        [message.id, tenantId, message.conversation_id, userEmail, rating, reason || null, comment ? comment.trim() : null]
+    );
+    return result.rows[0];
+}
+
+async function removeFeedback(db, { message, userEmail }) {
+    const result = await db.query(
+        'DELETE FROM rag_message_feedback WHERE rag_message_id = $1 AND user_email = $2',
+        [message.id, userEmail]
+    );
+    return result.rowCount > 0;
+}
+
+/**
+ * Add the requesting user's `feedback` ({ rating, reason, comment } or null) to assistant messages
+ */
+async function attachUserFeedback(db, userEmail, messages) {
+    const assistantIds = messages.filter(message => message.role === 'assistant').map(message => message.id);
+    if (assistantIds.length === 0) {
+        return messages;
+    }
+
+    const result = await db.query(
+        `SELECT rag_message_id, rating, reason, comment FROM rag_message_feedback
+         WHERE user_email = $1 AND rag_message_id = ANY($2::int[])`,
+        [userEmail, assistantIds]
+    );
+    const feedback = new Map(result.rows.map(row => [row.rag_message_id, {
+        rating: row.rating,
+        reason: row.reason,
+        comment: row.comment
+    }]));
+
+    return messages.map(message => (message.role === 'assistant'
+        ? { ...message, feedback: feedback.get(message.id) || null }
+        : message));
+}
+
+/**
+ * Answer quality report for the admin analytics view. Low-rated answers are joined with the
+ * vector searches made for the same chat request (vector_search_logs.message_id) to show what
+ * was retrieved, and documents are ranked by how many bad answers retrieved or cited them.
+ * @param {Object} db
+ * @param {Object} options
+ * @param {number} options.days
+ * @param {string} [options.tenantId] - Limit to one tenant
+ * @param {number} [options.limit] - Low-rated answers to return
+ */
+async function getQualityReport(db, { days, tenantId = null, limit = 25 }) {
+    const params = [days, tenantId];
+    const scope = `f.created_at > NOW() - make_interval(days => $1::int) AND ($2::uuid IS NULL OR f.tenant_id = $2)`;
+
+    const summaryResult = await db.query(
+        `SELECT
+            COUNT(*) AS total,
+            COUNT(*) FILTER (WHERE f.rating = 'up') AS up,
+            COUNT(*) FILTER (WHERE f.rating = 'down') AS down,
+            COUNT(DISTINCT f.rag_message_id) AS rated_messages
+         FROM rag_message_feedback f
+         WHERE ${scope}`,
+        params
+    );
+
+    const reasonsResult = await db.query(
+        `SELECT COALESCE(f.reason, 'unspecified') AS reason, COUNT(*) AS count
+         FROM rag_message_feedback f
+         WHERE ${scope} AND f.rating = 'down'
+         GROUP BY 1
+         ORDER BY count DESC`,
+        params
+    );
+
+    const trendResult = await db.query(
+        `SELECT DATE(f.created_at) AS date,
+                COUNT(*) FILTER (WHERE f.rating = 'up') AS up,
+                COUNT(*) FILTER (WHERE f.rating = 'down') AS down
+         FROM rag_message_feedback f
+         WHERE ${scope}
+         GROUP BY 1
+         ORDER BY 1`,
+        params
+    );
+
+    // Latest low-rated answers with the question they answered and what retrieval returned
+    const lowRatedResult = await db.query(
+        `SELECT
+            f.id AS feedback_id, f.tenant_id, f.user_email, f.reason, f.comment, f.created_at,
+            m.id AS rag_message_id, m.conversation_id, m.message_id, m.message AS answer,
+            (SELECT q.message FROM rag_messages q
+             WHERE q.conversation_id = m.conversation_id AND q.role = 'user' AND q.id < m.id
+             ORDER BY q.id DESC LIMIT 1) AS question,
+            COALESCE((SELECT jsonb_agg(jsonb_build_object(
+                    'search_mode', l.search_mode,
+                    'query_text', l.query_text,
+                    'result_count', l.result_count,
+                    'results', l.results,
+                    'created_at', l.created_at
+                ) ORDER BY l.created_at)
+             FROM vector_search_logs l
+             WHERE l.message_id = m.message_id AND l.tenant_id = m.tenant_id), '[]'::jsonb) AS searches,
+            COALESCE((SELECT jsonb_agg(jsonb_build_object(
+                    'document_id', s.document_id,
+                    'chunk_index', s.chunk_index,
+                    'similarity', s.similarity,
+                    'filename', s.filename
+                ) ORDER BY s.position)
+             FROM rag_message_sources s
+             WHERE s.rag_message_id = m.id), '[]'::jsonb) AS sources
+         FROM rag_message_feedback f
+         JOIN rag_messages m ON m.id = f.rag_message_id
+         WHERE ${scope} AND f.rating = 'down'
+         ORDER BY f.created_at DESC
+         LIMIT $3`,
+        [...params, limit]
+    );
+
+    // Documents behind rated answers: retrieved for the request or cited by the answer
+    const documentsResult = await db.query(
+        `WITH rated AS (
+            SELECT f.rag_message_id, f.rating, m.message_id, m.tenant_id
+            FROM rag_message_feedback f
+            JOIN rag_messages m ON m.id = f.rag_message_id
+            WHERE ${scope}
+         ),
+         involved AS (
+            SELECT r.rag_message_id, r.rating, r.tenant_id, (result->>'document_id')::uuid AS document_id
+            FROM rated r
+            JOIN vector_search_logs l ON l.message_id = r.message_id AND l.tenant_id = r.tenant_id
+            CROSS JOIN LATERAL jsonb_array_elements(COALESCE(l.results, '[]'::jsonb)) AS result
+            UNION
+            SELECT r.rag_message_id, r.rating, r.tenant_id, s.document_id
+            FROM rated r
+            JOIN rag_message_sources s ON s.rag_message_id = r.rag_message_id
+         )
+         SELECT
+            i.document_id, i.tenant_id,
+            COALESCE(d.original_filename, d.metadata->>'original_filename') AS filename,
+            COUNT(DISTINCT i.rag_message_id) FILTER (WHERE i.rating = 'down') AS down_answers,
+            COUNT(DISTINCT i.rag_message_id) FILTER (WHERE i.rating = 'up') AS up_answers
+         FROM involved i
+         LEFT JOIN rag_documents d ON d.document_id = i.document_id AND d.tenant_id = i.tenant_id
+         GROUP BY i.document_id, i.tenant_id, d.original_filename, d.metadata
+         HAVING COUNT(DISTINCT i.rag_message_id) FILTER (WHERE i.rating = 'down') > 0
+         ORDER BY down_answers DESC, up_answers ASC
+         LIMIT 20`,
+        params
+    );
+
+    const summary = summaryResult.rows[0];
+    const total = parseInt(summary.total);
+    const up = parseInt(summary.up);
+    const down = parseInt(summary.down);
+
+    return {
+        summary: {
+            total,
+            up,
+            down,
+            rated_messages: parseInt(summary.rated_messages),
+            satisfaction_rate: total > 0 ? Math.round((up / total) * 1000) / 10 : null
+        },
+        reasons: reasonsResult.rows.map(row => ({ reason: row.reason, count: parseInt(row.count) })),
+        trend: trendResult.rows.map(row => ({ date: row.date, up: parseInt(row.up), down: parseInt(row.down) })),
+        low_rated: lowRatedResult.rows,
+        documents: documentsResult.rows.map(row => ({
+            ...row,
+            down_answers: parseInt(row.down_answers),
+            up_answers: parseInt(row.up_answers)
+        }))
+    };
+}
+
+module.exports = {
+    FEEDBACK_RATINGS,
+    FEEDBACK_REASONS,
+    validateFeedback,
+    findRatedMessage,
+    submitFeedback,
+    removeFeedback,
+    attachUserFeedback,
+    getQualityReport
+};
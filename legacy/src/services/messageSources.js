@@ -0,0 +1,193 @@
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Citations kept per assistant message; the platform sends them best match first
+const MAX_SOURCES = parseInt(process.env.CHAT_MAX_SOURCES || '10');
+const SNIPPET_LENGTH = 280;
+
+function toSnippet(text) {
+    if (!text) {
+        return null;
+    }
+    const collapsed = text.replace(/\s+/g, ' ').trim();
+    return collapsed.length > SNIPPET_LENGTH ? `${collapsed.substring(0, SNIPPET_LENGTH - 3)}...` : collapsed;
+}
+
+/**
+ * Normalize the `sources` of a chat reply into { document_id, chunk_index, similarity } entries.
+ * Accepts vector-search result objects (`relevance_score` is read as similarity) and bare
+ * document ids; anything without a valid document id is dropped.
+ */
+function normalizeSources(sources) {
+    if (!Array.isArray(sources)) {
+        return [];
+    }
+
+    const seen = new Set();
+    const normalized = [];
+    for (const source of sources) {
+        const entry = typeof source === 'string' ? { document_id: source } : source;
+        if (!entry || typeof entry.document_id !== 'string' || !UUID_PATTERN.test(entry.document_id)) {
+            continue;
+        }
+
+        const chunkIndex = Number.isInteger(entry.chunk_index) && entry.chunk_index >= 0 ? entry.chunk_index : null;
+        const key = `${entry.document_id.toLowerCase()}:${chunkIndex}`;
+        if (seen.has(key)) {
+            continue;
+        }
+        seen.add(key);
+
+        const similarity = Number(entry.similarity !== undefined ? entry.similarity : entry.relevance_score);
+        normalized.push({
+            document_id: entry.document_id.toLowerCase(),
+            chunk_index: chunkIndex,
+            similarity: Number.isFinite(similarity) ? similarity : null
+        });
+        if (normalized.length >= MAX_SOURCES) {
+            break;
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Check reply sources against the tenant's documents and vectors and attach filename and snippet.
+ * Sources pointing at another tenant's or a deleted document (or chunk) are dropped.
+ * @param {Object} db
+ * @param {string} tenantId
+ * @param {Array} sources - As sent by the platform
+ * @returns {Promise<Array>} [{ document_id, chunk_index, similarity, filename, snippet }]
+ */
+async function resolveMessageSources(db, tenantId, sources) {
+    const normalized = normalizeSources(sources);
+    if (normalized.length === 0) {
+        return [];
+    }
+
+    const documentIds = [...new Set(normalized.map(source => source.document_id))];
+    const documentsResult = await db.query(
+        `SELECT document_id, COALESCE(original_filename, metadata->>'original_filename') AS filename
+         FROM rag_documents
+         WHERE tenant_id = $1 AND document_id = ANY($2::uuid[])`,
+        [tenantId, documentIds]
+    );
+    const filenames = new Map(documentsResult.rows.map(row => [row.document_id, row.filename]));
+
+    const chunkIndexes = [...new Set(normalized.filter(source => source.chunk_index !== null).map(source => source.chunk_index))];
+    const chunks = new Map();
+    if (chunkIndexes.length > 0) {
+        const vectorsResult = await db.query(
+            `SELECT DISTINCT ON (document_id, chunk_index) document_id, chunk_index, chunk_text
+             FROM rag_vectors
+             WHERE tenant_id = $1 AND document_id = ANY($2::uuid[]) AND chunk_index = ANY($3::int[])
+             ORDER BY document_id, chunk_index, id`,
+            [tenantId, documentIds, chunkIndexes]
+        );
+        vectorsResult.rows.forEach(row => chunks.set(`${row.document_id}:${row.chunk_index}`, row.chunk_text));
+    }
+
+    const resolved = [];
+    for (const source of normalized) {
+        if (!filenames.has(source.document_id)) {
+            continue;
+        }
+        const chunkKey = `${source.document_id}:${source.chunk_index}`;
+        if (source.chunk_index !== null && !chunks.has(chunkKey)) {
+            continue;
+        }
+        resolved.push({
+            ...source,
+            filename: filenames.get(source.document_id) || null,
+            snippet: source.chunk_index !== null ? toSnippet(chunks.get(chunkKey)) : null
+        });
+    }
+
+    if (resolved.length < normalized.length) {
+        console.warn(`[CHAT SOURCES] Dropped ${normalized.length - resolved.length} source(s) not found for tenant ${tenantId}`);
+    }
+    return resolved;
+}
+
+/**
+ * Persist resolved sources for a stored assistant message
+ * @param {Object} db
+ * @param {number} ragMessageId - rag_messages.id of the assistant message
+ */
+async function storeMessageSources(db, ragMessageId, tenantId, sources) {
+    if (!sources || sources.length === 0) {
+        return;
+    }
+
+    const values = [];
+    const params = [];
+    sources.forEach((source, position) => {
+        const offset = params.length;
+        values.push(`($${offset + 1}, $${offset + 2}, $${offset + 3}, $${offset + 4}, $${offset + 5}, $${offset + 6}, $${offset + 7}, $${offset + 8})`);
+        params.push(ragMessageId, tenantId, source.document_id, source.chunk_index, source.similarity,
+            source.filename, source.snippet, position);
+    });
+
+    await db.query(
+        `INSERT INTO rag_message_sources (rag_message_id, tenant_id, document_id, chunk_index, similarity, filename, snippet, position)
+         VALUES ${values.join(', ')}
+         ON CONFLICT (rag_message_id, position) DO NOTHING`,
+        params
+    );
+}
+
+/**
+ * Load the sources of a set of messages, in citation order
+ * @returns {Promise<Map<number, Array>>} rag_messages.id -> sources
+ */
+async function getMessageSources(db, tenantId, ragMessageIds) {
+    const sourcesByMessage = new Map();
+    if (!ragMessageIds || ragMessageIds.length === 0) {
+        return sourcesByMessage;
+    }
+
+    // The filename follows the document; the stored one is kept for documents deleted since
+    const result = await db.query(
+        `SELECT s.rag_message_id, s.document_id, s.chunk_index, s.similarity, s.snippet,
+                COALESCE(d.original_filename, d.metadata->>'original_filename', s.filename) AS filename,
+                d.document_id IS NOT NULL AS available
+         FROM rag_message_sources s
+         LEFT JOIN rag_documents d ON d.document_id = s.document_id AND d.tenant_id = s.tenant_id
+         WHERE s.tenant_id = $1 AND s.rag_message_id = ANY($2::int[])
+         ORDER BY s.rag_message_id, s.position`,
+        [tenantId, ragMessageIds]
+    );
+
+    for (const row of result.rows) {
+        if (!sourcesByMessage.has(row.rag_message_id)) {
+            sourcesByMessage.set(row.rag_message_id, []);
+        }
+        sourcesByMessage.get(row.rag_message_id).push({
+            document_id: row.document_id,
+            chunk_index: row.chunk_index,
+            similarity: row.similarity,
+            filename: row.filename,
+            snippet: row.snippet,
+            available: row.available
+        });
+    }
+    return sourcesByMessage;
+}
+
+/**
+ * Add a `sources` array to each assistant message row
+ */
+async function attachMessageSources(db, tenantId, messages) {
+    const assistantIds = messages.filter(message => message.role === 'assistant').map(message => message.id);
+    const sourcesByMessage = await getMessageSources(db, tenantId, assistantIds);
+    return messages.map(message => (message.role === 'assistant'
+        ? { ...message, sources: sourcesByMessage.get(message.id) || [] }
+        : message));
+}
+
+module.exports = {
+    normalizeSources,
+    resolveMessageSources,
+    storeMessageSources,
+    getMessageSources,
+    attachMessageSources
+};
@@ -0,0 +1,228 @@
+// Named permissions bundled into per-tenant roles. Built-in roles are defined here and
+// cannot be changed; tenants add custom roles (tenant_roles) with any set of permissions.
+
+const PERMISSIONS = [
+    'knowledge:write',
+    'knowledge:delete',
+    'chat:use',
+    'users:manage',
+    'analytics:view',
+    'settings:edit',
+    'audit:view',
+    'collections:manage',
+    'crawler:manage'
+];
+
+const BUILT_IN_ROLES = {
+    'tenant-admin': {
+        description: 'Full access to the tenant',
+        permissions: PERMISSIONS
+    },
+    'user': {
+        description: 'Chat and manage knowledge',
+        permissions: ['knowledge:write', 'knowledge:delete', 'chat:use']
+    }
+};
+
+// Permissions an API key scope can exercise. A key's requests are limited to these, intersected
+// with the current permissions of the user who created the key; reading knowledge needs none.
+const SCOPE_PERMISSIONS = {
+    'read-knowledge': [],
+    'write-knowledge': ['knowledge:write', 'knowledge:delete'],
+    'chat': ['chat:use'],
+    'scim': ['users:manage'],
+    'admin': PERMISSIONS
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9-]{1,48}[a-z0-9]$/;
+
+// Resolved role permissions and users' roles are cached briefly; edits on this instance clear
+// the cache right away
+const CACHE_TTL_MS = 30 * 1000;
+const permissionCache = new Map();
+const userRoleCache = new Map();
+
+function isBuiltInRole(name) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, name);
+}
+
+function clearRoleCache(tenantId) {
+    for (const key of permissionCache.keys()) {
+        if (key.startsWith(`${tenantId}:`)) {
+            permissionCache.delete(key);
+        }
+    }
+}
+
+function clearUserRoleCache(userId) {
+    userRoleCache.delete(String(userId));
+}
+
+/**
+ * A user's current role in a tenant. Sessions keep the role they signed in with, so requests
+ * resolve it here instead; a role change or deactivation applies within CACHE_TTL_MS on every instance.
+ * @returns {Promise<string|null>} null when the user is gone, disabled or in another tenant
+ */
+async function getUserRole(db, tenantId, userId) {
+    const cacheKey = String(userId);
+    const cached = userRoleCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now() && cached.tenantId === tenantId) {
+        return cached.role;
+    }
+
+    const result = await db.query(
+        'SELECT role, status FROM users WHERE id = $1 AND tenant_id = $2',
+        [userId, tenantId]
+    );
+    const user = result.rows[0];
+    const role = user && user.status !== 'disabled' ? user.role || 'user' : null;
+    userRoleCache.set(cacheKey, { tenantId, role, expiresAt: Date.now() + CACHE_TTL_MS });
+    return role;
+}
+
+/**
+ * Permissions granted by a role in a tenant. Unknown roles grant nothing.
+ * @returns {Promise<string[]>}
+ */
+async function getRolePermissions(db, tenantId, role) {
+    if (!role) {
+        return [];
+    }
+    if (isBuiltInRole(role)) {
+        return [...BUILT_IN_ROLES[role].permissions];
+    }
+    if (!tenantId) {
+        return [];
+    }
+
+    const cacheKey = `${tenantId}:${role}`;
+    const cached = permissionCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        return [...cached.permissions];
+    }
+
+    const result = await db.query(
+        'SELECT permissions FROM tenant_roles WHERE tenant_id = $1 AND name = $2',
+        [tenantId, role]
+    );
+    const permissions = (result.rows[0]?.permissions || []).filter(permission => PERMISSIONS.includes(permission));
+    permissionCache.set(cacheKey, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return [...permissions];
+}
+
+/**
+ * Permissions exercised by a set of API key scopes
+ * @returns {string[]}
+ */
+function scopePermissions(scopes) {
+    return [...new Set((scopes || []).flatMap(scope => SCOPE_PERMISSIONS[scope] || []))];
+}
+
+async function roleExists(db, tenantId, name) {
+    if (isBuiltInRole(name)) {
+        return true;
+    }
+    const result = await db.query(
+        'SELECT 1 FROM tenant_roles WHERE tenant_id = $1 AND name = $2',
+        [tenantId, name]
+    );
+    return result.rows.length > 0;
+}
+
+/**
+ * Built-in and custom roles of a tenant with how many users hold each
+ */
+async function listRoles(db, tenantId) {
+    const [customResult, countResult] = await Promise.all([
+        db.query(
+            `SELECT name, description, permissions, created_by, created_at, updated_at
+             FROM tenant_roles WHERE tenant_id = $1 ORDER BY name`,
+            [tenantId]
+        ),
+        db.query(
+            'SELECT role, COUNT(*) AS count FROM users WHERE tenant_id = $1 GROUP BY role',
+            [tenantId]
+        )
+    ]);
+    const userCounts = new Map(countResult.rows.map(row => [row.role, parseInt(row.count)]));
+
+    const builtIn = Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({
+        name,
+        description: role.description,
+        permissions: role.permissions,
+        built_in: true,
+        user_count: userCounts.get(name) || 0
+    }));
+    const custom = customResult.rows.map(row => ({
+        ...row,
+        built_in: false,
+        user_count: userCounts.get(row.name) || 0
+    }));
+
+    return [...builtIn, ...custom];
+}
+
+async function createRole(db, tenantId, { name, description, permissions, createdBy }) {
+    const result = await db.query(
+        `INSERT INTO tenant_roles (tenant_id, name, description, permissions, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (tenant_id, name) DO NOTHING
+         RETURNING name, description, permissions, created_by, created_at, updated_at`,
+        [tenantId, name, description || null, [...new Set(permissions)], createdBy]
+    );
+    clearRoleCache(tenantId);
+    return result.rows[0] || null;
+}
+
+async function updateRole(db, tenantId, name, { description, permissions }) {
+    const result = await db.query(
+        `UPDATE tenant_roles SET
+            description = COALESCE($3, description),
+            permissions = COALESCE($4, permissions)
+         WHERE tenant_id = $1 AND name = $2
+         RETURNING name, description, permissions, created_by, created_at, updated_at`,
+        [tenantId, name, description === undefined ? null : description,
+            permissions === undefined ? null : [...new Set(permissions)]]
+    );
+    clearRoleCache(tenantId);
+    return result.rows[0] || null;
+}
+
+/**
+ * Delete a custom role that no user holds
+ * @returns {Promise<{ deleted: boolean, userCount?: number }>}
+ */
+async function deleteRole(db, tenantId, name) {
+    const usage = await db.query(
+        'SELECT COUNT(*) AS count FROM users WHERE tenant_id = $1 AND role = $2',
+        [tenantId, name]
+    );
+    const userCount = parseInt(usage.rows[0].count);
+    if (userCount > 0) {
+        return { deleted: false, userCount };
+    }
+
+    const result = await db.query(
+        'DELETE FROM tenant_roles WHERE tenant_id = $1 AND name = $2',
+        [tenantId, name]
+    );
+    clearRoleCache(tenantId);
+    return { deleted: result.rowCount > 0 };
+}
+
+module.exports = {
+    PERMISSIONS,
+    BUILT_IN_ROLES,
+    SCOPE_PERMISSIONS,
+    ROLE_NAME_PATTERN,
+    isBuiltInRole,
+    clearUserRoleCache,
+    getUserRole,
+    getRolePermissions,
+    scopePermissions,
+    roleExists,
+    listRoles,
+    createRole,
+    updateRole,
+    deleteRole
+};
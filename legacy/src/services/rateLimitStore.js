@@ -0,0 +1,201 @@
+const redis = require('redis');
+const crypto = require('crypto');
+
+// Trim the window, then admit the hit only if it fits. Entries are scored by time so the
+// window slides; the key expires once the window has passed without hits.
+const HIT_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local id = ARGV[5]
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - windowMs)
+local count = redis.call('ZCARD', key)
+local allowed = 0
+if limit < 0 or count + cost <= limit then
+    for i = 1, cost do
+        redis.call('ZADD', key, now, id .. ':' .. i)
+    end
+    count = count + cost
+    allowed = 1
+end
+redis.call('PEXPIRE', key, windowMs)
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+return { allowed, count, oldest[2] or tostring(now) }
+`;
+
+/**
+ * Sliding-window counters for rate limits and quotas
+ *
+ * Counters live in Redis sorted sets, so limits hold across PM2 instances and restarts.
+ * Without Redis each process falls back to its own in-memory windows, which is what every
+ * limiter did before.
+ */
+class SlidingWindowStore {
+    constructor() {
+        this.client = null;
+        this.redisConnected = false;
+        this.memory = new Map(); // key -> [{ time, member }]
+
+        this.sweepTimer = setInterval(() => this.sweepMemory(), 5 * 60 * 1000);
+        this.sweepTimer.unref?.();
+    }
+
+    async init() {
+        const redisConfig = {
+            socket: {
+                host: process.env.REDIS_HOST || 'localhost',
+                port: parseInt(process.env.REDIS_PORT || '6379'),
+                reconnectStrategy: (retries) => Math.min(retries * 500, 10000)
+            },
+            database: parseInt(process.env.REDIS_DB || '0')
+        };
+        if (process.env.REDIS_PASSWORD) {
+            redisConfig.password = process.env.REDIS_PASSWORD;
+        }
+
+        try {
+            this.client = redis.createClient(redisConfig);
+            this.client.on('error', (err) => {
+                if (this.redisConnected) {
+                    console.error('[RATE LIMIT] Redis error, limiting per instance:', err.message);
+                }
+                this.redisConnected = false;
+            });
+            this.client.on('ready', () => {
+                this.redisConnected = true;
+            });
+
+            await this.client.connect();
+            this.redisConnected = true;
+            console.log('[RATE LIMIT] Using Redis for rate limits and quotas');
+        } catch (error) {
+            console.error('[RATE LIMIT] Redis unavailable, limiting per instance:', error.message);
+            this.redisConnected = false;
+        }
+    }
+
+    /**
+     * Count a hit of the given cost against a window, unless it would exceed the limit
+     * @param {string} key - e.g. ratelimit:<tenant>:requests
+     * @param {Object} options
+     * @param {number|null} options.limit - null counts without limiting
+     * @param {number} options.windowMs
+     * @param {number} [options.cost=1]
+     * @returns {Promise<{ allowed: boolean, id: string, limit: number|null, count: number, remaining: number|null, resetTime: number }>}
+     *   resetTime is when the oldest hit leaves the window (ms since epoch)
+     */
+    async hit(key, { limit, windowMs, cost = 1 }) {
+        const now = Date.now();
+        const id = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+        let allowed, count, oldest;
+
+        if (this.redisConnected) {
+            try {
+                const reply = await this.client.eval(HIT_SCRIPT, {
+                    keys: [key],
+                    arguments: [String(now), String(windowMs), String(limit ?? -1), String(cost), id]
+                });
+                [allowed, count, oldest] = [reply[0] === 1, Number(reply[1]), Number(reply[2])];
+            } catch (error) {
+                console.error('[RATE LIMIT] Redis hit failed, using local window:', error.message);
+            }
+        }
+
+        if (allowed === undefined) {
+            const entries = this.window(key, now, windowMs);
+            allowed = limit === null || limit === undefined || entries.length + cost <= limit;
+            if (allowed) {
+                for (let i = 1; i <= cost; i++) {
+                    entries.push({ time: now, member: `${id}:${i}` });
+                }
+            }
+            count = entries.length;
+            oldest = entries.length > 0 ? entries[0].time : now;
+        }
+
+        return {
+            allowed,
+            id,
+            limit: limit ?? null,
+            count,
+            remaining: limit === null || limit === undefined ? null : Math.max(0, limit - count),
+            resetTime: oldest + windowMs
+        };
+    }
+
+    /**
+     * Take back a hit, e.g. when the request it admitted failed
+     */
+    async release(key, id, cost = 1) {
+        const members = Array.from({ length: cost }, (_, i) => `${id}:${i + 1}`);
+        if (this.redisConnected) {
+            try {
+                await this.client.zRem(key, members);
+                return;
+            } catch (error) {
+                console.error('[RATE LIMIT] Redis release failed:', error.message);
+            }
+        }
+        const entries = this.memory.get(key);
+        if (entries) {
+            this.memory.set(key, entries.filter(entry => !members.includes(entry.member)));
+        }
+    }
+
+    /**
+     * Hits currently in a window, without counting one
+     * @returns {Promise<number>}
+     */
+    async count(key, windowMs) {
+        const now = Date.now();
+        if (this.redisConnected) {
+            try {
+                return await this.client.zCount(key, now - windowMs, '+inf');
+            } catch (error) {
+                console.error('[RATE LIMIT] Redis count failed:', error.message);
+            }
+        }
+        return this.window(key, now, windowMs).length;
+    }
+
+    window(key, now, windowMs) {
+        const entries = (this.memory.get(key) || []).filter(entry => entry.time > now - windowMs);
+        this.memory.set(key, entries);
+        return entries;
+    }
+
+    // Windows are at most 30 days; drop keys with nothing left in them
+    sweepMemory() {
+        const cutoff = Date.now() - 30 * 24 * 60 * 60 * 1000;
+        for (const [key, entries] of this.memory.entries()) {
+            if (entries.length === 0 || entries[entries.length - 1].time <= cutoff) {
+                this.memory.delete(key);
+            }
+        }
+    }
+
+    async close() {
+        clearInterval(this.sweepTimer);
+        if (this.client?.isOpen) {
+            await this.client.quit().catch(() => {});
+        }
+        this.redisConnected = false;
+    }
+}
+
+let storeInstance = null;
+
+function getRateLimitStore() {
+    if (!storeInstance) {
+        storeInstance = new SlidingWindowStore();
+        storeInstance.init();
+    }
+    return storeInstance;
+}
+
+module.exports = {
+    SlidingWindowStore,
+    getRateLimitStore
+};
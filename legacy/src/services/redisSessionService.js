@@ -84,7 +84,7 @@ class RedisSessionService {
   }
 
   // Create a new session
-  async createSession(user) {
+  async createSession(user, client = {}) {
     const token = this.generateSessionToken();
     const session = {
       userId: user.id,
@@ -95,7 +95,10 @@ class RedisSessionService {
       tier: user.tier,
       role: user.role || 'user',
       status: user.status || 'active',
+      ipAddress: client.ipAddress || null,
+      userAgent: client.userAgent || null,
       createdAt: Date.now(),
+      lastActivityAt: Date.now(),
       expiresAt: Date.now() + this.sessionTimeout,
     };
 
@@ -159,6 +162,7 @@ class RedisSessionService {
       }
 
       // Extend session on activity (sliding expiration)
+      session.lastActivityAt = Date.now();
       session.expiresAt = Date.now() + this.sessionTimeout;
       
       if (this.isConnected) {
@@ -0,0 +1,309 @@
+const config = require('../config');
+
+// SCIM 2.0 (RFC 7643/7644) resources for tenant users and roles. Users map to SCIM Users
+// (userName is the email, active is status != disabled); roles map to SCIM Groups, and a
+// user's membership in a group is their role.
+
+const SCHEMAS = {
+    user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+    group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+    listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+    patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+    error: 'urn:ietf:params:scim:api:messages:2.0:Error',
+    serviceProviderConfig: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+    resourceType: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType'
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Error answered in the SCIM error format; scimType per RFC 7644 section 3.12
+ */
+function scimError(status, detail, scimType) {
+    const error = new Error(detail);
+    error.status = status;
+    error.code = 'SCIM_ERROR';
+    error.scimType = scimType;
+    return error;
+}
+
+function errorBody(error) {
+    return {
+        schemas: [SCHEMAS.error],
+        status: String(error.status),
+        scimType: error.scimType,
+        detail: error.message
+    };
+}
+
+function location(type, id) {
+    return `${config.appUrl.replace(/\/$/, '')}/scim/v2/${type}/${encodeURIComponent(id)}`;
+}
+
+/**
+ * A users row (id, email, full_name, role, status, scim_external_id, created_at, updated_at) as a SCIM User
+ */
+function toScimUser(user) {
+    const fullName = user.full_name || '';
+    const [givenName, ...familyName] = fullName.split(' ');
+    return {
+        schemas: [SCHEMAS.user],
+        id: String(user.id),
+        externalId: user.scim_external_id || undefined,
+        userName: user.email,
+        displayName: fullName || user.email,
+        name: {
+            formatted: fullName || undefined,
+            givenName: givenName || undefined,
+            familyName: familyName.join(' ') || undefined
+        },
+        emails: [{ value: user.email, type: 'work', primary: true }],
+        active: user.status !== 'disabled',
+        roles: user.role ? [{ value: user.role, primary: true }] : [],
+        groups: user.role ? [{ value: user.role, display: user.role, $ref: location('Groups', user.role) }] : [],
+        meta: {
+            resourceType: 'User',
+            created: user.created_at,
+            lastModified: user.updated_at || user.created_at,
+            location: location('Users', user.id)
+        }
+    };
+}
+
+/**
+ * A role (from listRoles) and its users as a SCIM Group; the role name is the group id
+ */
+function toScimGroup(role, members) {
+    return {
+        schemas: [SCHEMAS.group],
+        id: role.name,
+        displayName: role.name,
+        members: members.map(member => ({
+            value: String(member.id),
+            display: member.email,
+            $ref: location('Users', member.id)
+        })),
+        meta: {
+            resourceType: 'Group',
+            created: role.created_at || undefined,
+            lastModified: role.updated_at || undefined,
+            location: location('Groups', role.name)
+        }
+    };
+}
+
+function listResponse(resources, { total, startIndex }) {
+    return {
+        schemas: [SCHEMAS.listResponse],
+        totalResults: total,
+        startIndex,
+        itemsPerPage: resources.length,
+        Resources: resources
+    };
+}
+
+/**
+ * startIndex (1-based) and count from the query string
+ */
+function pagination(query) {
+    const startIndex = Math.max(1, parseInt(query.startIndex) || 1);
+    const count = Math.min(MAX_PAGE_SIZE, Math.max(0, parseInt(query.count ?? DEFAULT_PAGE_SIZE) || 0));
+    return { startIndex, count, offset: startIndex - 1 };
+}
+
+/**
+ * Parse the single-comparison filters identity providers send, e.g. userName eq "jo@acme.com"
+ * @returns {{ attribute: string, value: string }|null} null without a filter
+ */
+function parseFilter(filter, attributes) {
+    if (!filter) {
+        return null;
+    }
+    const match = /^\s*([\w.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i.exec(filter);
+    const attribute = match && attributes.find(name => name.toLowerCase() === match[1].toLowerCase());
+    if (!attribute) {
+        throw scimError(400, `Unsupported filter; use ${attributes.map(name => `${name} eq "..."`).join(' or ')}`, 'invalidFilter');
+    }
+    return { attribute, value: match[2].replace(/\\(.)/g, '$1') };
+}
+
+function parseBoolean(value) {
+    if (typeof value === 'string') {
+        return value.toLowerCase() === 'true';
+    }
+    return !!value;
+}
+
+function primaryValue(values) {
+    if (!Array.isArray(values) || values.length === 0) {
+        return undefined;
+    }
+    const primary = values.find(value => value && value.primary) || values[0];
+    return primary && typeof primary === 'object' ? primary.value : primary;
+}
+
+function fullNameOf(resource) {
+    const name = resource.name || {};
+    return name.formatted ||
+        [name.givenName, name.familyName].filter(Boolean).join(' ') ||
+        resource.displayName ||
+        undefined;
+}
+
+/**
+ * Changes to a user from a full SCIM User resource (POST or PUT)
+ * @returns {{ email?, name?, active?, role?, externalId? }}
+ */
+function userChangesFromResource(resource) {
+    const changes = {
+        email: (resource.userName || primaryValue(resource.emails) || '').trim().toLowerCase() || undefined,
+        name: fullNameOf(resource),
+        externalId: resource.externalId !== undefined ? (resource.externalId || null) : undefined,
+        role: primaryValue(resource.roles)
+    };
+    if (resource.active !== undefined) {
+        changes.active = parseBoolean(resource.active);
+    }
+    return changes;
+}
+
+/**
+ * Changes to a user from a SCIM PatchOp. Attributes this service doesn't store are ignored.
+ */
+function userChangesFromPatch(body) {
+    if (!body || !Array.isArray(body.Operations)) {
+        throw scimError(400, 'PatchOp requires Operations', 'invalidSyntax');
+    }
+
+    const changes = {};
+    const apply = (path, value) => {
+        const attribute = path.toLowerCase();
+        if (attribute === 'active') {
+            changes.active = parseBoolean(value);
+        } else if (attribute === 'username' || attribute.startsWith('emails')) {
+            const email = typeof value === 'string' ? value : primaryValue(value);
+            if (email) {
+                changes.email = email.trim().toLowerCase();
+            }
+        } else if (attribute === 'displayname' || attribute === 'name.formatted') {
+            changes.name = value;
+        } else if (attribute === 'name') {
+            changes.name = fullNameOf({ name: value });
+        } else if (attribute === 'name.givenname' || attribute === 'name.familyname') {
+            changes.nameParts = { ...changes.nameParts, [attribute.split('.')[1]]: value };
+        } else if (attribute === 'externalid') {
+            changes.externalId = value || null;
+        } else if (attribute.startsWith('roles')) {
+            changes.role = typeof value === 'string' ? value : primaryValue(value);
+        }
+    };
+
+    for (const operation of body.Operations) {
+        const op = String(operation.op || '').toLowerCase();
+        if (!['add', 'replace', 'remove'].includes(op)) {
+            throw scimError(400, `Unsupported patch operation: ${operation.op}`, 'invalidSyntax');
+        }
+        if (op === 'remove') {
+            if ((operation.path || '').toLowerCase() === 'externalid') {
+                changes.externalId = null;
+            }
+            continue;
+        }
+        if (operation.path) {
+            apply(operation.path, operation.value);
+        } else if (operation.value && typeof operation.value === 'object') {
+            for (const [path, value] of Object.entries(operation.value)) {
+                apply(path, value);
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * User ids added to and removed from a group by a SCIM PatchOp
+ * @returns {{ add: number[], remove: number[], replace: number[]|null }}
+ */
+function memberChangesFromPatch(body) {
+    if (!body || !Array.isArray(body.Operations)) {
+        throw scimError(400, 'PatchOp requires Operations', 'invalidSyntax');
+    }
+
+    const ids = values => (Array.isArray(values) ? values : [values])
+        .map(member => parseInt(member && typeof member === 'object' ? member.value : member))
+        .filter(Number.isInteger);
+    const result = { add: [], remove: [], replace: null };
+
+    for (const operation of body.Operations) {
+        const op = String(operation.op || '').toLowerCase();
+        const path = operation.path || '';
+        const value = operation.value && !Array.isArray(operation.value) && operation.value.members !== undefined
+            ? operation.value.members
+            : operation.value;
+
+        if (!path.toLowerCase().startsWith('members') && !(operation.value && operation.value.members)) {
+            // displayName and other group attributes are owned by the role
+            continue;
+        }
+        if (op === 'add') {
+            result.add.push(...ids(value));
+        } else if (op === 'replace') {
+            result.replace = ids(value);
+        } else if (op === 'remove') {
+            // members[value eq "42"], or a list of members in value
+            const filtered = /members\[value eq "(\d+)"\]/i.exec(path);
+            result.remove.push(...(filtered ? [parseInt(filtered[1])] : ids(value)));
+        } else {
+            throw scimError(400, `Unsupported patch operation: ${operation.op}`, 'invalidSyntax');
+        }
+    }
+    return result;
+}
+
+function serviceProviderConfig() {
+    return {
+        schemas: [SCHEMAS.serviceProviderConfig],
+        patch: { supported: true },
+        bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+        filter: { supported: true, maxResults: MAX_PAGE_SIZE },
+        changePassword: { supported: false },
+        sort: { supported: false },
+        etag: { supported: false },
+        authenticationSchemes: [{
+            type: 'oauthbearertoken',
+            name: 'Tenant API key',
+            description: 'Authorization: Bearer rslv_... with the scim scope',
+            primary: true
+        }],
+        meta: { resourceType: 'ServiceProviderConfig', location: `${config.appUrl.replace(/\/$/, '')}/scim/v2/ServiceProviderConfig` }
+    };
+}
+
+function resourceTypes() {
+    return [
+        { name: 'User', endpoint: '/Users', schema: SCHEMAS.user },
+        { name: 'Group', endpoint: '/Groups', schema: SCHEMAS.group }
+    ].map(type => ({
+        schemas: [SCHEMAS.resourceType],
+        id: type.name,
+        ...type,
+        meta: { resourceType: 'ResourceType', location: location('ResourceTypes', type.name) }
+    }));
+}
+
+module.exports = {
+    SCHEMAS,
+    scimError,
+    errorBody,
+    toScimUser,
+    toScimGroup,
+    listResponse,
+    pagination,
+    parseFilter,
+    userChangesFromResource,
+    userChangesFromPatch,
+    memberChangesFromPatch,
+    serviceProviderConfig,
+    resourceTypes
+};
@@ -6,7 +6,11 @@ const { createMigrationMiddleware } = require('../../scripts/debug-scripts/migra
 const { runPostgreSQLMigrations } = require('../database/migrations');
 const { initializePgvector } = require('../database/init-pgvector');
 const { generateCallbackToken } = require('../utils/rag');
-const { processWebhookRetryQueue } = require('../workers/webhookRetry');
+const { getOutboxDispatcher } = require('../workers/outboxDispatcher');
+const { getAuditRetentionWorker } = require('../workers/auditRetention');
+const { getUsageRollupWorker } = require('../workers/usageRollup');
+const { getUploadSweeperWorker } = require('../workers/uploadSweeper');
+const { getCrawlSchedulerWorker } = require('../workers/crawlScheduler');
 
 class ServerService {
   constructor() {
@@ -114,9 +118,48 @@ class ServerService {
   }
 
   startWebhookWorker() {
-    // Start webhook retry worker
-    setInterval(() => processWebhookRetryQueue(db), 60000); // Run every minute
-    console.log('RAG webhook retry worker started');
+    // Start outbox dispatcher - delivers all queued outbound webhook events
+    getOutboxDispatcher(db).start();
+  }
+
+  stopWebhookWorker() {
+    getOutboxDispatcher()?.stop();
+  }
+
+  startAuditRetention() {
+    // Purge audit events past each tenant's retention period
+    getAuditRetentionWorker(db).start();
+  }
+
+  stopAuditRetention() {
+    getAuditRetentionWorker()?.stop();
+  }
+
+  startUsageRollup() {
+    // Roll metered usage up into daily per-tenant totals for billing
+    getUsageRollupWorker(db).start();
+  }
+
+  stopUsageRollup() {
+    getUsageRollupWorker()?.stop();
+  }
+
+  startUploadSweeper() {
+    // Delete resumable uploads abandoned before completion
+    getUploadSweeperWorker(db).start();
+  }
+
+  stopUploadSweeper() {
+    getUploadSweeperWorker()?.stop();
+  }
+
+  startCrawlScheduler() {
+    // Crawl web sources into knowledge bases on their cron schedules
+    getCrawlSchedulerWorker(db).start();
+  }
+
+  stopCrawlScheduler() {
+    getCrawlSchedulerWorker()?.stop();
   }
 
   printStartupMessage(port) {
@@ -0,0 +1,353 @@
+const redis = require('redis');
+const crypto = require('crypto');
+
+const REDIS_CHANNEL = 'sse:events';
+
+/**
+ * Server-Sent Events hub
+ *
+ * Clients subscribe to named channels (conversation:<id>, user:<tenant>:<email>,
+ * knowledge:<tenant>). Events are published through Redis pub/sub, so an event raised on
+ * any PM2 instance reaches clients connected to every other instance. Without Redis the
+ * hub keeps working for clients of the local process.
+ *
+ * Every published event gets an id and is kept in a bounded per-channel buffer, so a client
+ * reconnecting with Last-Event-ID is sent the events it missed.
+ */
+class SSEHub {
+    constructor(options = {}) {
+        this.instanceId = crypto.randomBytes(4).toString('hex');
+        this.bufferSize = options.bufferSize || parseInt(process.env.SSE_REPLAY_BUFFER_SIZE || '100');
+        this.bufferTtlMs = options.bufferTtlMs || parseInt(process.env.SSE_REPLAY_BUFFER_TTL || '600000');
+        this.heartbeatMs = options.heartbeatMs || 15000;
+
+        this.clients = new Map();       // clientId -> client
+        this.channels = new Map();      // channel -> Set of clientIds
+        this.buffers = new Map();       // channel -> { events, updatedAt }
+        this.sequence = 0;
+
+        this.publisher = null;
+        this.subscriber = null;
+        this.redisConnected = false;
+
+        this.metrics = {
+            connectionsOpened: 0,
+            connectionsClosed: 0,
+            eventsPublished: 0,
+            eventsReceivedFromRedis: 0,
+            eventsDelivered: 0,
+            eventsReplayed: 0,
+            writeErrors: 0
+        };
+
+        this.sweepTimer = setInterval(() => this.sweepBuffers(), 60000);
+        this.sweepTimer.unref?.();
+    }
+
+    async init() {
+        const redisConfig = {
+            socket: {
+                host: process.env.REDIS_HOST || 'localhost',
+                port: parseInt(process.env.REDIS_PORT || '6379'),
+                reconnectStrategy: (retries) => Math.min(retries * 500, 10000)
+            },
+            database: parseInt(process.env.REDIS_DB || '0')
+        };
+        if (process.env.REDIS_PASSWORD) {
+            redisConfig.password = process.env.REDIS_PASSWORD;
+        }
+
+        try {
+            this.publisher = redis.createClient(redisConfig);
+            this.subscriber = this.publisher.duplicate();
+
+            for (const client of [this.publisher, this.subscriber]) {
+                client.on('error', (err) => {
+                    if (this.redisConnected) {
+                        console.error('[SSE HUB] Redis error, delivering to local clients only:', err.message);
+                    }
+                    this.redisConnected = false;
+                });
+            }
+            this.subscriber.on('ready', () => {
+                this.redisConnected = this.publisher.isReady;
+            });
+            this.publisher.on('ready', () => {
+                this.redisConnected = this.subscriber.isReady;
+            });
+
+            await this.publisher.connect();
+            await this.subscriber.connect();
+            await this.subscriber.subscribe(REDIS_CHANNEL, (message) => this.handleRedisMessage(message));
+
+            this.redisConnected = true;
+            console.log(`[SSE HUB] Connected to Redis, instance ${this.instanceId}`);
+        } catch (error) {
+            console.error('[SSE HUB] Redis unavailable, SSE events stay within this process:', error.message);
+            this.redisConnected = false;
+        }
+    }
+
+    nextEventId() {
+        this.sequence = (this.sequence + 1) % 1000000;
+        return `${Date.now()}-${this.instanceId}-${this.sequence}`;
+    }
+
+    /**
+     * Publish an event to a channel on every instance
+     * @param {string} channel - e.g. SSEHub.conversationChannel(id)
+     * @param {Object} data - Event payload (JSON-serialized)
+     * @param {string|null} eventName - SSE event name; null sends an unnamed 'message' event
+     * @returns {Promise<string>} Event id
+     */
+    async publish(channel, data, eventName = null) {
+        const event = { id: this.nextEventId(), channel, event: eventName, data, origin: this.instanceId };
+        this.metrics.eventsPublished++;
+
+        // Deliver locally right away; the Redis echo of our own event is ignored
+        this.dispatch(event);
+
+        if (this.redisConnected) {
+            try {
+                await this.publisher.publish(REDIS_CHANNEL, JSON.stringify(event));
+            } catch (error) {
+                console.error('[SSE HUB] Failed to publish to Redis:', error.message);
+            }
+        }
+        return event.id;
+    }
+
+    handleRedisMessage(message) {
+        let event;
+        try {
+            event = JSON.parse(message);
+        } catch (error) {
+            console.error('[SSE HUB] Ignoring malformed Redis message');
+            return;
+        }
+        if (event.origin === this.instanceId) {
+            return;
+        }
+        this.metrics.eventsReceivedFromRedis++;
+        this.dispatch(event);
+    }
+
+    dispatch(event) {
+        this.bufferEvent(event);
+
+        const clientIds = this.channels.get(event.channel);
+        if (!clientIds) {
+            return;
+        }
+        for (const clientId of clientIds) {
+            const client = this.clients.get(clientId);
+            if (client) {
+                this.write(client, event);
+                this.metrics.eventsDelivered++;
+            }
+        }
+    }
+
+    bufferEvent(event) {
+        let buffer = this.buffers.get(event.channel);
+        if (!buffer) {
+            buffer = { events: [], updatedAt: 0 };
+            this.buffers.set(event.channel, buffer);
+        }
+        buffer.events.push(event);
+        if (buffer.events.length > this.bufferSize) {
+            buffer.events.shift();
+        }
+        buffer.updatedAt = Date.now();
+    }
+
+    // Drop replay buffers of channels that have been quiet for a while
+    sweepBuffers() {
+        const cutoff = Date.now() - this.bufferTtlMs;
+        for (const [channel, buffer] of this.buffers) {
+            if (buffer.updatedAt < cutoff) {
+                this.buffers.delete(channel);
+            }
+        }
+    }
+
+    write(client, event) {
+        try {
+            let frame = '';
+            if (event.id) {
+                frame += `id: ${event.id}\n`;
+            }
+            if (event.event) {
+                frame += `event: ${event.event}\n`;
+            }
+            frame += `data: ${JSON.stringify(event.data)}\n\n`;
+            client.res.write(frame);
+            if (client.res.flush) {
+                client.res.flush();
+            }
+        } catch (error) {
+            this.metrics.writeErrors++;
+            console.error(`[SSE HUB] Failed to write to client ${client.id}:`, error.message);
+        }
+    }
+
+    /**
+     * Events in the client's channels published after lastEventId, oldest first.
+     * Ids start with the publish timestamp, so an id that has left the buffer still
+     * bounds the replay.
+     */
+    eventsSince(channels, lastEventId) {
+        const lastTimestamp = parseInt(lastEventId.split('-')[0]) || 0;
+        const events = [];
+        for (const channel of channels) {
+            const buffered = this.buffers.get(channel)?.events || [];
+            const index = buffered.findIndex(event => event.id === lastEventId);
+            events.push(...(index >= 0
+                ? buffered.slice(index + 1)
+                : buffered.filter(event => parseInt(event.id.split('-')[0]) > lastTimestamp)));
+        }
+        return events.sort((a, b) => parseInt(a.id.split('-')[0]) - parseInt(b.id.split('-')[0]));
+    }
+
+    /**
+     * Turn a request into an SSE connection subscribed to the given channels
+     * @param {Object} req - Express request (Last-Event-ID header or ?lastEventId= enables replay)
+     * @param {Object} res - Express response
+     * @param {Object} options
+     * @param {string[]} options.channels
+     * @param {string} options.tenantId
+     * @param {string} [options.userEmail]
+     * @param {string} options.kind - Stream kind for metrics ('chat', 'knowledge')
+     * @param {Object} [options.connectedEvent] - Payload of the initial 'connected' message
+     * @returns {string} Client id
+     */
+    subscribe(req, res, { channels, tenantId, userEmail, kind, connectedEvent }) {
+        const clientId = crypto.randomUUID();
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*'
+        });
+
+        const client = { id: clientId, res, channels, tenantId, userEmail, kind, connectedAt: Date.now() };
+        this.clients.set(clientId, client);
+        for (const channel of channels) {
+            if (!this.channels.has(channel)) {
+                this.channels.set(channel, new Set());
+            }
+            this.channels.get(channel).add(clientId);
+        }
+        this.metrics.connectionsOpened++;
+
+        if (connectedEvent) {
+            this.write(client, { data: connectedEvent });
+        }
+
+        const lastEventId = req.headers['last-event-id'] || req.query?.lastEventId;
+        if (lastEventId) {
+            const missed = this.eventsSince(channels, String(lastEventId));
+            missed.forEach(event => this.write(client, event));
+            this.metrics.eventsReplayed += missed.length;
+            if (missed.length > 0) {
+                console.log(`[SSE HUB] Replayed ${missed.length} event(s) to client ${clientId} after ${lastEventId}`);
+            }
+        }
+
+        // Heartbeat keeps proxies from closing idle connections
+        const heartbeatInterval = setInterval(() => {
+            this.write(client, { data: { type: 'heartbeat', timestamp: new Date().toISOString() } });
+        }, this.heartbeatMs);
+
+        req.on('close', () => {
+            clearInterval(heartbeatInterval);
+            this.unsubscribe(clientId);
+        });
+
+        return clientId;
+    }
+
+    unsubscribe(clientId) {
+        const client = this.clients.get(clientId);
+        if (!client) {
+            return;
+        }
+        this.clients.delete(clientId);
+        for (const channel of client.channels) {
+            const clientIds = this.channels.get(channel);
+            if (clientIds) {
+                clientIds.delete(clientId);
+                if (clientIds.size === 0) {
+                    this.channels.delete(channel);
+                }
+            }
+        }
+        this.metrics.connectionsClosed++;
+    }
+
+    getStats() {
+        const byKind = {};
+        const byTenant = {};
+        for (const client of this.clients.values()) {
+            byKind[client.kind] = (byKind[client.kind] || 0) + 1;
+            byTenant[client.tenantId] = (byTenant[client.tenantId] || 0) + 1;
+        }
+
+        return {
+            instanceId: this.instanceId,
+            redisConnected: this.redisConnected,
+            connections: this.clients.size,
+            connectionsByKind: byKind,
+            connectionsByTenant: byTenant,
+            channels: this.channels.size,
+            replayBuffers: this.buffers.size,
+            replayBufferSize: this.bufferSize,
+            ...this.metrics
+        };
+    }
+
+    async close() {
+        for (const client of this.clients.values()) {
+            try {
+                client.res.end();
+            } catch (error) {
+                // Connection already gone
+            }
+        }
+        clearInterval(this.sweepTimer);
+        for (const redisClient of [this.subscriber, this.publisher]) {
+            if (redisClient?.isOpen) {
+                await redisClient.quit().catch(() => {});
+            }
+        }
+        this.redisConnected = false;
+    }
+
+    static conversationChannel(conversationId) {
+        return `conversation:${conversationId}`;
+    }
+
+    static userChannel(tenantId, userEmail) {
+        return `user:${tenantId}:${String(userEmail).toLowerCase()}`;
+    }
+
+    static knowledgeChannel(tenantId) {
+        return `knowledge:${tenantId}`;
+    }
+}
+
+let hubInstance = null;
+
+function getSSEHub() {
+    if (!hubInstance) {
+        hubInstance = new SSEHub();
+        hubInstance.init();
+    }
+    return hubInstance;
+}
+
+module.exports = {
+    SSEHub,
+    getSSEHub
+};
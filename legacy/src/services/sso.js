@@ -0,0 +1,483 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const authService = require('./authService');
+const { encryptSecret, decryptSecret } = require('./twoFactor');
+const { clearUserRoleCache } = require('./permissionService');
+const { createPrivateAddressGuard } = require('../utils/privateNetwork');
+
+// OpenID Connect single sign-on with a tenant's own identity provider: authorization code flow
+// with PKCE, ID token verification against the provider's JWKS, and just-in-time provisioning
+// of users whose email domain the tenant allows.
+
+const SCOPES = 'openid email profile';
+const SIGNING_ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+    ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+const CLOCK_SKEW_SECONDS = 60;
+
+// Discovery documents and key sets, by issuer
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Error for a failed SSO sign-in; code is shown to the user on the sign-in page
+ */
+function ssoError(code, message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function redirectUri() {
+    return `${config.appUrl.replace(/\/$/, '')}/api/auth/sso/callback`;
+}
+
+function normalizeIssuer(issuer) {
+    return (issuer || '').trim().replace(/\/+$/, '');
+}
+
+function emailDomain(email) {
+    return (email || '').split('@').pop().trim().toLowerCase();
+}
+
+function base64url(buffer) {
+    return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function hashState(state) {
+    return crypto.createHash('sha256').update(state).digest('hex');
+}
+
+/**
+ * A tenant's provider settings; the client secret stays encrypted
+ * @returns {Promise<Object|null>}
+ */
+async function getProvider(db, tenantId) {
+    const result = await db.query('SELECT * FROM tenant_sso_providers WHERE tenant_id = $1', [tenantId]);
+    return result.rows[0] || null;
+}
+
+/**
+ * The enabled provider of the tenant that claims an email's domain
+ * @returns {Promise<Object|null>}
+ */
+async function findProviderForEmail(db, email) {
+    const domain = emailDomain(email);
+    if (!domain) {
+        return null;
+    }
+    const result = await db.query(
+        'SELECT * FROM tenant_sso_providers WHERE enabled = true AND $1 = ANY(allowed_domains)',
+        [domain]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Create or replace a tenant's provider. An omitted client_secret keeps the stored one,
+ * an empty one removes it (public client). An email domain can belong to one tenant's
+ * enabled provider only.
+ * @returns {Promise<{ before: Object|null, after: Object }>}
+ */
+async function saveProvider(db, tenantId, settings, updatedBy) {
+    const before = await getProvider(db, tenantId);
+    const domains = [...new Set(settings.allowed_domains.map(domain => domain.trim().toLowerCase()))];
+
+    if (settings.enabled) {
+        const claimed = await db.query(
+            `SELECT unnest(allowed_domains) AS domain FROM tenant_sso_providers
+             WHERE tenant_id <> $1 AND enabled = true AND allowed_domains && $2`,
+            [tenantId, domains]
+        );
+        const taken = claimed.rows.map(row => row.domain).filter(domain => domains.includes(domain));
+        if (taken.length > 0) {
+            throw ssoError('DOMAIN_CLAIMED', `Domain already uses another organization's single sign-on: ${taken.join(', ')}`, 409);
+        }
+    }
+
+    let clientSecret = before ? before.client_secret : null;
+    if (settings.client_secret !== undefined) {
+        clientSecret = settings.client_secret ? encryptSecret(settings.client_secret) : null;
+    }
+
+    const result = await db.query(
+        `INSERT INTO tenant_sso_providers
+             (tenant_id, issuer, client_id, client_secret, allowed_domains, default_role, role_claim, role_mapping, enabled, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (tenant_id) DO UPDATE SET
+             issuer = EXCLUDED.issuer, client_id = EXCLUDED.client_id, client_secret = EXCLUDED.client_secret,
+             allowed_domains = EXCLUDED.allowed_domains, default_role = EXCLUDED.default_role,
+             role_claim = EXCLUDED.role_claim, role_mapping = EXCLUDED.role_mapping, enabled = EXCLUDED.enabled
+         RETURNING *`,
+        [
+            tenantId,
+            normalizeIssuer(settings.issuer),
+            settings.client_id,
+            clientSecret,
+            domains,
+            settings.default_role,
+            settings.role_claim || null,
+            settings.role_mapping || {},
+            settings.enabled,
+            updatedBy
+        ]
+    );
+    return { before, after: result.rows[0] };
+}
+
+/**
+ * @returns {Promise<Object|null>} The removed provider, null when the tenant had none
+ */
+async function deleteProvider(db, tenantId) {
+    const result = await db.query('DELETE FROM tenant_sso_providers WHERE tenant_id = $1 RETURNING *', [tenantId]);
+    return result.rows[0] || null;
+}
+
+// The issuer and the endpoints it publishes are chosen by tenant admins, so requests to them
+// may not reach private addresses unless the host is listed in SSO_PRIVATE_HOSTS
+const privateAddressGuard = createPrivateAddressGuard({
+    privateHosts: () => config.sso.privateHosts,
+    label: 'single sign-on'
+});
+
+/**
+ * axios options for a request to a provider URL
+ * @throws {Error} status 400 when the URL is a private IP address
+ */
+function providerRequestOptions(url) {
+    privateAddressGuard.assertPublicHost(new URL(url).hostname);
+    return { ...privateAddressGuard.requestOptions, timeout: config.sso.httpTimeoutMs };
+}
+
+async function fetchJson(url) {
+    const response = await axios.get(url, {
+        ...providerRequestOptions(url),
+        headers: { Accept: 'application/json' }
+    });
+    return response.data;
+}
+
+/**
+ * The provider's OpenID configuration (cached for discoveryCacheMs)
+ */
+async function discover(issuer) {
+    issuer = normalizeIssuer(issuer);
+    const cached = discoveryCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.document;
+    }
+
+    let document;
+    try {
+        document = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    } catch (error) {
+        throw ssoError('PROVIDER_UNAVAILABLE', `Could not load the OpenID configuration of ${issuer}: ${error.message}`, 502);
+    }
+    if (!document || normalizeIssuer(document.issuer) !== issuer ||
+        !document.authorization_endpoint || !document.token_endpoint || !document.jwks_uri) {
+        throw ssoError('PROVIDER_INVALID', `${issuer} does not publish a valid OpenID configuration for this issuer`, 502);
+    }
+
+    discoveryCache.set(issuer, { document, expiresAt: Date.now() + config.sso.discoveryCacheMs });
+    return document;
+}
+
+/**
+ * Public key for a token's kid, refetching the key set once when the provider rotated keys
+ */
+async function getSigningKey(discovery, kid) {
+    for (const refresh of [false, true]) {
+        let keys = jwksCache.get(discovery.jwks_uri);
+        if (!keys || refresh) {
+            keys = (await fetchJson(discovery.jwks_uri)).keys || [];
+            jwksCache.set(discovery.jwks_uri, keys);
+        }
+        const jwk = keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+        if (jwk) {
+            return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        }
+    }
+    throw ssoError('TOKEN_INVALID', `No signing key ${kid || ''} published by the provider`.trim());
+}
+
+/**
+ * Check an ID token's signature, issuer, audience, lifetime and nonce
+ * @returns {Promise<Object>} The token's claims
+ */
+async function verifyIdToken(idToken, discovery, provider, nonce) {
+    const parts = (idToken || '').split('.');
+    if (parts.length !== 3) {
+        throw ssoError('TOKEN_INVALID', 'Malformed ID token');
+    }
+
+    let header;
+    let claims;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        throw ssoError('TOKEN_INVALID', 'Malformed ID token');
+    }
+
+    const algorithm = SIGNING_ALGORITHMS[header.alg];
+    if (!algorithm) {
+        throw ssoError('TOKEN_INVALID', `Unsupported ID token algorithm ${header.alg}`);
+    }
+    const key = await getSigningKey(discovery, header.kid);
+    const valid = crypto.verify(
+        algorithm.hash,
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        { key, padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding },
+        Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+        throw ssoError('TOKEN_INVALID', 'ID token signature is invalid');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (normalizeIssuer(claims.iss) !== normalizeIssuer(provider.issuer)) {
+        throw ssoError('TOKEN_INVALID', 'ID token was issued by another provider');
+    }
+    if (!audiences.includes(provider.client_id) || (audiences.length > 1 && claims.azp !== provider.client_id)) {
+        throw ssoError('TOKEN_INVALID', 'ID token was issued to another client');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+        throw ssoError('TOKEN_INVALID', 'ID token has expired');
+    }
+    if (typeof claims.iat === 'number' && claims.iat - CLOCK_SKEW_SECONDS > now) {
+        throw ssoError('TOKEN_INVALID', 'ID token was issued in the future');
+    }
+    if (claims.nonce !== nonce) {
+        throw ssoError('TOKEN_INVALID', 'ID token nonce does not match the sign-in');
+    }
+    return claims;
+}
+
+/**
+ * Start a sign-in: remember the PKCE verifier and nonce under a random state
+ * @returns {Promise<{ url: string, state: string }>} Where to send the browser, and the state to bind to it
+ */
+async function beginLogin(db, provider, loginHint) {
+    const discovery = await discover(provider.issuer);
+    const state = crypto.randomBytes(32).toString('hex');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const codeVerifier = base64url(crypto.randomBytes(48));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await db.query('DELETE FROM sso_login_states WHERE expires_at < NOW()');
+    await db.query(
+        `INSERT INTO sso_login_states (state_hash, tenant_id, code_verifier, nonce, expires_at)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [hashState(state), provider.tenant_id, codeVerifier, nonce, new Date(Date.now() + config.sso.stateTtlMs)]
+    );
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.client_id,
+        redirect_uri: redirectUri(),
+        scope: SCOPES,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    });
+    if (loginHint) {
+        params.set('login_hint', loginHint);
+    }
+
+    const separator = discovery.authorization_endpoint.includes('?') ? '&' : '?';
+    return { url: `${discovery.authorization_endpoint}${separator}${params}`, state };
+}
+
+/**
+ * Finish a sign-in at the callback: use up the state, exchange the code and verify the ID token
+ * @returns {Promise<{ provider: Object, claims: Object }>}
+ */
+async function completeLogin(db, state, code) {
+    const result = await db.query(
+        'DELETE FROM sso_login_states WHERE state_hash = $1 AND expires_at > NOW() RETURNING *',
+        [hashState(state)]
+    );
+    const pending = result.rows[0];
+    if (!pending) {
+        throw ssoError('STATE_EXPIRED', 'Your sign-in has expired. Please sign in again.', 401);
+    }
+
+    const provider = await getProvider(db, pending.tenant_id);
+    if (!provider || !provider.enabled) {
+        throw ssoError('SSO_DISABLED', 'Single sign-on is not enabled for your organization', 403);
+    }
+    const discovery = await discover(provider.issuer);
+
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri(),
+        code_verifier: pending.code_verifier,
+        client_id: provider.client_id
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    if (provider.client_secret) {
+        const secret = decryptSecret(provider.client_secret);
+        const methods = discovery.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+        if (methods.includes('client_secret_basic')) {
+            const credentials = `${encodeURIComponent(provider.client_id)}:${encodeURIComponent(secret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        } else {
+            form.set('client_secret', secret);
+        }
+    }
+
+    let tokens;
+    try {
+        tokens = (await axios.post(discovery.token_endpoint, form.toString(), {
+            ...providerRequestOptions(discovery.token_endpoint),
+            headers
+        })).data;
+    } catch (error) {
+        const reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+        throw ssoError('TOKEN_EXCHANGE_FAILED', `The identity provider rejected the sign-in: ${reason}`, 502);
+    }
+
+    const claims = await verifyIdToken(tokens.id_token, discovery, provider, pending.nonce);
+    return { provider, claims };
+}
+
+/**
+ * Values of a claim as strings; path may be dotted for nested claims (e.g. realm_access.roles)
+ */
+function claimValues(claims, path) {
+    const value = path.split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), claims);
+    if (value === undefined || value === null) {
+        return [];
+    }
+    return (Array.isArray(value) ? value : [value]).map(String);
+}
+
+/**
+ * Tenant role for a user's claims: the first role_mapping entry whose claim value the user has,
+ * otherwise the provider's default role
+ */
+function mapRole(provider, claims) {
+    if (!provider.role_claim) {
+        return provider.default_role;
+    }
+    const values = claimValues(claims, provider.role_claim);
+    const match = Object.entries(provider.role_mapping || {}).find(([value]) => values.includes(value));
+    return match ? match[1] : provider.default_role;
+}
+
+const USER_COLUMNS = 'id, email, full_name, company_name, tenant_id, tier, role, status';
+
+/**
+ * Find or create the user for a verified ID token. Users are matched by provider subject,
+ * then by email within the tenant; new users get the mapped role. When the provider has a
+ * role claim the role is synced on every sign-in (the last tenant admin is never demoted).
+ * @returns {Promise<{ user: Object, created: boolean, previousRole: string|null }>}
+ */
+async function provisionUser(db, provider, claims) {
+    const email = (claims.email || '').trim().toLowerCase();
+    if (!email || claims.email_verified === false) {
+        throw ssoError('EMAIL_UNVERIFIED', 'Your identity provider did not share a verified email address', 403);
+    }
+    if (!provider.allowed_domains.includes(emailDomain(email))) {
+        throw ssoError('DOMAIN_NOT_ALLOWED', `${emailDomain(email)} accounts cannot sign in to this organization`, 403);
+    }
+
+    const role = mapRole(provider, claims);
+    const fullName = (claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || '').slice(0, 255) || null;
+
+    let result = await db.query(
+        `SELECT ${USER_COLUMNS} FROM users WHERE sso_issuer = $1 AND sso_subject = $2`,
+        [provider.issuer, String(claims.sub)]
+    );
+    let user = result.rows[0];
+    if (!user) {
+        result = await db.query(`SELECT ${USER_COLUMNS} FROM users WHERE email = $1`, [email]);
+        user = result.rows[0];
+        if (user) {
+            if (user.tenant_id !== provider.tenant_id) {
+                throw ssoError('ACCOUNT_CONFLICT', 'This email address belongs to another organization', 409);
+            }
+            await db.query(
+                'UPDATE users SET sso_issuer = $2, sso_subject = $3 WHERE id = $1',
+                [user.id, provider.issuer, String(claims.sub)]
+            );
+        }
+    }
+    if (user && user.tenant_id !== provider.tenant_id) {
+        throw ssoError('ACCOUNT_CONFLICT', 'This account belongs to another organization', 409);
+    }
+
+    if (!user) {
+        // SSO users have no usable password; they can still set one with a password reset
+        const unusablePassword = await authService.hashPassword(crypto.randomBytes(32).toString('hex'));
+        const tenant = await db.query(
+            'SELECT company_name, tier FROM users WHERE tenant_id = $1 ORDER BY id LIMIT 1',
+            [provider.tenant_id]
+        );
+        result = await db.query(
+            `INSERT INTO users (email, password, full_name, company_name, tier, tenant_id, role, status, sso_issuer, sso_subject)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, 'active', $8, $9)
+             RETURNING ${USER_COLUMNS}`,
+            [
+                email,
+                unusablePassword,
+                fullName,
+                tenant.rows[0]?.company_name || null,
+                tenant.rows[0]?.tier || 'standard',
+                provider.tenant_id,
+                role,
+                provider.issuer,
+                String(claims.sub)
+            ]
+        );
+        console.log(`[SSO] Provisioned ${email} in tenant ${provider.tenant_id} with role ${role}`);
+        return { user: result.rows[0], created: true, previousRole: null };
+    }
+
+    let previousRole = null;
+    if (provider.role_claim && user.role !== role) {
+        const updated = await db.query(
+            `UPDATE users SET role = $2 WHERE id = $1
+             AND NOT (role = 'tenant-admin' AND status = 'active' AND is_last_tenant_admin(id))
+             RETURNING role`,
+            [user.id, role]
+        );
+        if (updated.rows.length > 0) {
+            previousRole = user.role;
+            user.role = role;
+            clearUserRoleCache(user.id);
+        }
+    }
+    return { user, created: false, previousRole };
+}
+
+module.exports = {
+    ssoError,
+    redirectUri,
+    normalizeIssuer,
+    emailDomain,
+    getProvider,
+    findProviderForEmail,
+    saveProvider,
+    deleteProvider,
+    discover,
+    verifyIdToken,
+    beginLogin,
+    completeLogin,
+    claimValues,
+    mapRole,
+    provisionUser
+};
@@ -0,0 +1,151 @@
+const config = require('../config');
+const { getRateLimitStore } = require('./rateLimitStore');
+
+// Plan tiers and the limits they set. null means unlimited. TENANT_PLANS (JSON) overrides
+// or adds plans, e.g. {"standard": {"messagesPerDay": 2000}}. Plan names match users.tier.
+const BUILT_IN_PLANS = {
+    free: { requestsPerMinute: 30, messagesPerDay: 100, searchesPerDay: 500, documentsPerMonth: 50, storageBytes: 100 * 1024 * 1024 },
+    standard: { requestsPerMinute: 120, messagesPerDay: 1000, searchesPerDay: 5000, documentsPerMonth: 500, storageBytes: 1024 * 1024 * 1024 },
+    premium: { requestsPerMinute: 300, messagesPerDay: 10000, searchesPerDay: 50000, documentsPerMonth: 5000, storageBytes: 10 * 1024 * 1024 * 1024 },
+    enterprise: { requestsPerMinute: 600, messagesPerDay: null, searchesPerDay: null, documentsPerMonth: null, storageBytes: null }
+};
+
+const PLANS = Object.fromEntries(
+    [...new Set([...Object.keys(BUILT_IN_PLANS), ...Object.keys(config.rateLimit.plans)])]
+        .map(name => [name, { ...BUILT_IN_PLANS[name], ...config.rateLimit.plans[name] }])
+);
+
+const LIMIT_NAMES = ['requestsPerMinute', 'messagesPerDay', 'searchesPerDay', 'documentsPerMonth', 'storageBytes'];
+
+// Sliding windows counted per tenant; storage is measured from rag_documents instead
+const QUOTAS = {
+    requests: { limit: 'requestsPerMinute', windowMs: 60 * 1000, label: 'API requests per minute' },
+    messages: { limit: 'messagesPerDay', windowMs: 24 * 60 * 60 * 1000, label: 'chat messages per day' },
+    searches: { limit: 'searchesPerDay', windowMs: 24 * 60 * 60 * 1000, label: 'vector searches per day' },
+    documents: { limit: 'documentsPerMonth', windowMs: 30 * 24 * 60 * 60 * 1000, label: 'documents per 30 days' }
+};
+
+const planCache = new Map(); // tenantId -> { plan, expiresAt }
+
+function quotaKey(tenantId, quota) {
+    return `quota:${tenantId}:${quota}`;
+}
+
+// The tier of the tenant's first admin, for tenants that were never put on a plan
+async function getTenantTier(db, tenantId) {
+    const result = await db.query(
+        `SELECT tier FROM users WHERE tenant_id = $1 AND role = 'tenant-admin' ORDER BY id LIMIT 1`,
+        [tenantId]
+    );
+    return result.rows[0]?.tier || null;
+}
+
+/**
+ * A tenant's plan: tenant_settings 'plan' ({ plan, limits }), else the admin's users.tier,
+ * else the default plan. Cached per instance for config.rateLimit.planCacheMs.
+ * @returns {Promise<{ name: string, limits: Object, custom: boolean }>}
+ */
+async function getTenantPlan(db, tenantId) {
+    const cached = planCache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.plan;
+    }
+
+    const setting = await db.tenantSettings.get(tenantId, 'plan');
+    const tier = setting?.plan ? null : await getTenantTier(db, tenantId);
+    const name = [setting?.plan, tier].find(candidate => candidate && PLANS[candidate]) || config.rateLimit.defaultPlan;
+    const overrides = setting?.limits || {};
+    const plan = {
+        name,
+        limits: { ...(PLANS[name] || PLANS.standard), ...overrides },
+        custom: Object.keys(overrides).length > 0
+    };
+
+    planCache.set(tenantId, { plan, expiresAt: Date.now() + config.rateLimit.planCacheMs });
+    return plan;
+}
+
+/**
+ * Put a tenant on a plan, optionally with custom limits
+ */
+async function setTenantPlan(db, tenantId, { plan, limits = {} }, updatedBy) {
+    if (!PLANS[plan]) {
+        const error = new Error(`Unknown plan: ${plan}`);
+        error.status = 400;
+        throw error;
+    }
+    await db.tenantSettings.set(tenantId, 'plan', { plan, limits }, updatedBy);
+    planCache.delete(tenantId);
+    return getTenantPlan(db, tenantId);
+}
+
+/**
+ * Bytes of document content a tenant stores (uploaded files, or the text of ingested content)
+ * @returns {Promise<number>}
+ */
+async function getStorageUsed(db, tenantId) {
+    const result = await db.query(
+        `SELECT COALESCE(SUM(COALESCE(file_size, octet_length(content))), 0) AS bytes
+         FROM rag_documents WHERE tenant_id = $1`,
+        [tenantId]
+    );
+    return parseInt(result.rows[0].bytes);
+}
+
+/**
+ * Current consumption against each limit of the tenant's plan
+ * @returns {Promise<Object>} { plan, usage: { requests, messages, searches, documents, storageBytes } }
+ */
+async function getTenantQuotaUsage(db, tenantId, storageBytes) {
+    const plan = await getTenantPlan(db, tenantId);
+    const store = getRateLimitStore();
+    const usage = {};
+    for (const [quota, { windowMs }] of Object.entries(QUOTAS)) {
+        usage[quota] = await store.count(quotaKey(tenantId, quota), windowMs);
+    }
+    usage.storageBytes = storageBytes ?? await getStorageUsed(db, tenantId);
+    return { plan, usage };
+}
+
+/**
+ * Plan and consumption of every tenant, for the admin panel
+ */
+async function listTenantQuotas(db) {
+    const tenants = await db.query(
+        `SELECT u.tenant_id, MAX(u.company_name) AS company_name, COUNT(*) AS user_count,
+                COALESCE(d.bytes, 0) AS storage_bytes
+         FROM users u
+         LEFT JOIN (
+             SELECT tenant_id, SUM(COALESCE(file_size, octet_length(content))) AS bytes
+             FROM rag_documents GROUP BY tenant_id
+         ) d ON d.tenant_id = u.tenant_id
+         WHERE u.tenant_id IS NOT NULL
+         GROUP BY u.tenant_id, d.bytes
+         ORDER BY MAX(u.company_name) NULLS LAST, u.tenant_id`
+    );
+
+    const results = [];
+    for (const tenant of tenants.rows) {
+        const { plan, usage } = await getTenantQuotaUsage(db, tenant.tenant_id, parseInt(tenant.storage_bytes));
+        results.push({
+            tenant_id: tenant.tenant_id,
+            company_name: tenant.company_name,
+            user_count: parseInt(tenant.user_count),
+            plan,
+            usage
+        });
+    }
+    return results;
+}
+
+module.exports = {
+    PLANS,
+    LIMIT_NAMES,
+    QUOTAS,
+    quotaKey,
+    getTenantPlan,
+    setTenantPlan,
+    getStorageUsed,
+    getTenantQuotaUsage,
+    listTenantQuotas
+};
@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { roleExists } = require('./permissionService');
+const { isValidEmail } = require('../utils/validation');
+
+// Creating users in a tenant, shared by the Users page, CSV bulk import and SCIM provisioning
+
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_COLUMNS = {
+    email: ['email', 'e-mail', 'email address', 'username'],
+    name: ['name', 'full name', 'full_name', 'display name'],
+    role: ['role']
+};
+
+function userError(code, message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+/**
+ * Password reset link for a new or existing user
+ * @returns {Promise<string>}
+ */
+async function createResetLink(db, userId, ttlMs = 24 * 60 * 60 * 1000) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    await db.query(
+        `INSERT INTO password_reset_tokens (user_id, token, expires_at)
+         VALUES ($1, $2, $3)`,
+        [userId, resetToken, new Date(Date.now() + ttlMs)]
+    );
+
+    const baseUrl = process.env.BASE_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${baseUrl}/auth/reset?token=${resetToken}`;
+}
+
+/**
+ * Create a user in a tenant with a random password. Invited users get status 'invited' and a
+ * password reset link to set their own password.
+ * Emails are unique across tenants, so an email used elsewhere is rejected (EMAIL_TAKEN).
+ * @returns {Promise<{ user: Object, resetLink: string|null }>}
+ */
+async function createTenantUser(db, tenantId, { email, name, role, invite = true, active, invitedBy = null, externalId = null }) {
+    if (!(await roleExists(db, tenantId, role))) {
+        throw userError('UNKNOWN_ROLE', `Unknown role: ${role}`);
+    }
+
+    const existing = await db.query('SELECT tenant_id FROM users WHERE email = $1', [email]);
+    if (existing.rows.length > 0) {
+        throw existing.rows[0].tenant_id === tenantId
+            ? userError('USER_EXISTS', 'User already exists in this tenant', 409)
+            : userError('EMAIL_TAKEN', 'Email is already used by another organization', 409);
+    }
+
+    // Generate temporary password for invited users
+    const tempPassword = crypto.randomBytes(16).toString('hex');
+    const hashedPassword = await bcrypt.hash(tempPassword, 10);
+    const status = active === false ? 'disabled' : invite ? 'invited' : 'active';
+
+    const result = await db.query(
+        `INSERT INTO users (
+            email, password, full_name, tenant_id, role, status, invited_at, invited_by, scim_external_id
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id, email, full_name as name, role, status, scim_external_id, created_at, updated_at`,
+        [
+            email,
+            hashedPassword,
+            name,
+            tenantId,
+            role,
+            status,
+            invite ? new Date() : null,
+            invitedBy,
+            externalId
+        ]
+    );
+
+    const user = result.rows[0];
+    const resetLink = invite ? await createResetLink(db, user.id) : null;
+    return { user, resetLink };
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF line ends)
+ * @returns {string[][]} Rows of fields; blank lines are dropped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Check every row of an import file without creating anything
+ * @returns {Promise<Object[]>} { row, email, name, role, errors } per data row (row 1 is the header)
+ */
+async function validateImport(db, tenantId, csv, { defaultRole = 'user' } = {}) {
+    const [header, ...records] = parseCsv(csv.replace(/^\uFEFF/, ''));
+    if (!header) {
+        throw userError('EMPTY_FILE', 'The file is empty');
+    }
+
+    const headings = header.map(heading => heading.trim().toLowerCase());
+    const columns = {};
+    for (const [column, aliases] of Object.entries(IMPORT_COLUMNS)) {
+        const index = headings.findIndex(heading => aliases.includes(heading));
+        if (index >= 0) {
+            columns[column] = index;
+        }
+    }
+    if (columns.email === undefined) {
+        throw userError('MISSING_COLUMN', 'The first row must name the columns and include "email" (and optionally "name" and "role")');
+    }
+    if (records.length === 0) {
+        throw userError('EMPTY_FILE', 'The file has no users');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        throw userError('TOO_MANY_ROWS', `At most ${MAX_IMPORT_ROWS} users can be imported at once`);
+    }
+
+    const rows = records.map((fields, index) => {
+        const value = column => (columns[column] !== undefined ? (fields[columns[column]] || '').trim() : '');
+        const email = value('email').toLowerCase();
+        return {
+            row: index + 2,
+            email,
+            name: value('name') || email.split('@')[0],
+            role: value('role') || defaultRole,
+            errors: []
+        };
+    });
+
+    const emails = rows.map(row => row.email).filter(Boolean);
+    const existing = await db.query('SELECT email, tenant_id FROM users WHERE email = ANY($1)', [emails]);
+    const existingTenants = new Map(existing.rows.map(user => [user.email, user.tenant_id]));
+    const roles = new Map();
+    const seen = new Set();
+
+    for (const row of rows) {
+        if (!isValidEmail(row.email)) {
+            row.errors.push(row.email ? 'Invalid email address' : 'Email is required');
+        } else if (seen.has(row.email)) {
+            row.errors.push('Duplicate email in the file');
+        } else if (existingTenants.has(row.email)) {
+            row.errors.push(existingTenants.get(row.email) === tenantId
+                ? 'User already exists in this tenant'
+                : 'Email is already used by another organization');
+        }
+        seen.add(row.email);
+
+        if (row.name.length > 255) {
+            row.errors.push('Name must be less than 255 characters');
+        }
+
+        if (!roles.has(row.role)) {
+            roles.set(row.role, await roleExists(db, tenantId, row.role));
+        }
+        if (!roles.get(row.role)) {
+            row.errors.push(`Unknown role: ${row.role}`);
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * Import users from CSV. Rows with errors are reported and skipped; the others are created
+ * one by one so a failure on one row does not undo the rest. A dry run only validates.
+ * @returns {Promise<Object>} Batch report: counts and one result per row
+ */
+async function importUsers(db, tenantId, csv, { dryRun = false, invite = true, defaultRole = 'user', invitedBy = null } = {}) {
+    const rows = await validateImport(db, tenantId, csv, { defaultRole });
+    const results = [];
+
+    for (const row of rows) {
+        const result = { row: row.row, email: row.email, name: row.name, role: row.role };
+        if (row.errors.length > 0) {
+            results.push({ ...result, status: 'error', errors: row.errors });
+            continue;
+        }
+        if (dryRun) {
+            results.push({ ...result, status: 'valid' });
+            continue;
+        }
+
+        try {
+            const { user, resetLink } = await createTenantUser(db, tenantId, {
+                email: row.email,
+                name: row.name,
+                role: row.role,
+                invite,
+                invitedBy
+            });
+            results.push({ ...result, status: 'created', userId: user.id, resetLink });
+        } catch (error) {
+            if (!error.code) {
+                console.error(`[USERS IMPORT] Failed to create ${row.email}:`, error);
+            }
+            results.push({ ...result, status: 'error', errors: [error.code ? error.message : 'Failed to create user'] });
+        }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    return {
+        dryRun,
+        total: results.length,
+        valid: dryRun ? count('valid') : undefined,
+        created: dryRun ? 0 : count('created'),
+        failed: count('error'),
+        rows: results
+    };
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    userError,
+    createResetLink,
+    createTenantUser,
+    parseCsv,
+    validateImport,
+    importUsers
+};
@@ -0,0 +1,351 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+// TOTP (RFC 6238: SHA-1, 6 digits, 30 second steps) two-factor authentication with
+// single-use recovery codes and the pre-auth challenges between the password and code steps.
+
+const SECURITY_SETTINGS_KEY = 'security';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept codes one step either side for clock drift
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * The TOTP code of a base32 secret for a time step
+ */
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep() {
+    return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Check a code against the steps around now, skipping steps at or before lastUsedStep
+ * @returns {number|null} The matching step, null when the code is wrong or already used
+ */
+function verifyTotp(secret, code, lastUsedStep = null) {
+    if (!/^\d{6}$/.test(code || '')) {
+        return null;
+    }
+
+    const now = currentStep();
+    for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) {
+            continue;
+        }
+        const expected = totpCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (as a link or QR code)
+ */
+function otpauthUri(secret, email) {
+    const issuer = config.twoFactor.issuer;
+    const label = encodeURIComponent(`${issuer}:${email}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+}
+
+// Production refuses to start without a strong key (src/config); elsewhere 2FA and SSO secrets
+// can't be stored or read until TOTP_ENCRYPTION_KEY or SESSION_SECRET is set
+function encryptionKey() {
+    if (!config.twoFactor.encryptionKey) {
+        const error = new Error('Secret encryption is not configured: set TOTP_ENCRYPTION_KEY or SESSION_SECRET');
+        error.code = 'ENCRYPTION_KEY_MISSING';
+        error.status = 503;
+        throw error;
+    }
+    return crypto.createHash('sha256').update(config.twoFactor.encryptionKey).digest();
+}
+
+// Stored as iv:tag:ciphertext (base64)
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function hashToken(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Recovery codes look like "k3f9q-2mx7p" and are compared case-insensitively without the dash
+function normalizeRecoveryCode(code) {
+    return (code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function generateRecoveryCode() {
+    const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+    const bytes = crypto.randomBytes(10);
+    const chars = [...bytes].map(byte => alphabet[byte % alphabet.length]).join('');
+    return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+/**
+ * Replace a user's recovery codes
+ * @returns {Promise<string[]>} The new codes, shown to the user once
+ */
+async function replaceRecoveryCodes(db, userId) {
+    const codes = Array.from({ length: config.twoFactor.recoveryCodeCount }, generateRecoveryCode);
+    await db.transaction(async (client) => {
+        await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+        for (const code of codes) {
+            await client.query(
+                'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+                [userId, hashToken(normalizeRecoveryCode(code))]
+            );
+        }
+    });
+    return codes;
+}
+
+/**
+ * @returns {Promise<{ enabled: boolean, enabledAt: Date|null, recoveryCodesRemaining: number }>}
+ */
+async function getTwoFactorStatus(db, userId) {
+    const result = await db.query(
+        `SELECT u.totp_enabled, u.totp_enabled_at,
+                (SELECT COUNT(*) FROM user_recovery_codes r WHERE r.user_id = u.id AND r.used_at IS NULL) AS remaining
+         FROM users u WHERE u.id = $1`,
+        [userId]
+    );
+    const row = result.rows[0];
+    return {
+        enabled: !!row?.totp_enabled,
+        enabledAt: row?.totp_enabled_at || null,
+        recoveryCodesRemaining: row ? parseInt(row.remaining) : 0
+    };
+}
+
+/**
+ * Whether a tenant requires every user to use two-factor authentication
+ */
+async function isTwoFactorRequired(db, tenantId) {
+    if (!tenantId) {
+        return false;
+    }
+    const settings = await db.tenantSettings.get(tenantId, SECURITY_SETTINGS_KEY);
+    return !!settings?.require_two_factor;
+}
+
+/**
+ * Start (or restart) enrollment with a new secret. 2FA stays off until confirmEnrollment().
+ * @returns {Promise<{ secret: string, otpauthUri: string }|null>} null when 2FA is already enabled
+ */
+async function beginEnrollment(db, user) {
+    const secret = generateSecret();
+    const result = await db.query(
+        'UPDATE users SET totp_secret = $2, totp_last_used_step = NULL WHERE id = $1 AND totp_enabled = false RETURNING id',
+        [user.id, encryptSecret(secret)]
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+    return { secret, otpauthUri: otpauthUri(secret, user.email) };
+}
+
+/**
+ * Turn 2FA on once the user proves their app has the secret
+ * @returns {Promise<string[]|null>} Recovery codes, null when the code is wrong or no enrollment is pending
+ */
+async function confirmEnrollment(db, userId, code) {
+    const result = await db.query(
+        'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled = false AND totp_secret IS NOT NULL',
+        [userId]
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const step = verifyTotp(decryptSecret(result.rows[0].totp_secret), code);
+    if (step === null) {
+        return null;
+    }
+
+    await db.query(
+        `UPDATE users SET totp_enabled = true, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_used_step = $2
+         WHERE id = $1`,
+        [userId, step]
+    );
+    return replaceRecoveryCodes(db, userId);
+}
+
+/**
+ * Check a second factor: a TOTP code or an unused recovery code (which is then used up)
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code', null when neither matches
+ */
+async function verifySecondFactor(db, userId, code) {
+    const result = await db.query(
+        'SELECT totp_secret, totp_last_used_step FROM users WHERE id = $1 AND totp_enabled = true',
+        [userId]
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const { totp_secret: secret, totp_last_used_step: lastUsedStep } = result.rows[0];
+    const step = verifyTotp(decryptSecret(secret), String(code || '').replace(/\s/g, ''),
+        lastUsedStep === null ? null : parseInt(lastUsedStep));
+    if (step !== null) {
+        // Only a newer step is accepted, so two requests can't both use one code
+        const updated = await db.query(
+            `UPDATE users SET totp_last_used_step = $2
+             WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+             RETURNING id`,
+            [userId, step]
+        );
+        return updated.rows.length > 0 ? 'totp' : null;
+    }
+
+    const recovery = await db.query(
+        `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE id = (
+             SELECT id FROM user_recovery_codes
+             WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+             LIMIT 1
+         ) AND used_at IS NULL
+         RETURNING id`,
+        [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+    return recovery.rows.length > 0 ? 'recovery_code' : null;
+}
+
+/**
+ * Turn 2FA off and drop the secret and recovery codes (user or tenant admin action)
+ * @returns {Promise<boolean>} Whether 2FA was on or an enrollment was pending
+ */
+async function disableTwoFactor(db, userId) {
+    return db.transaction(async (client) => {
+        const result = await client.query(
+            `UPDATE users SET totp_secret = NULL, totp_enabled = false, totp_enabled_at = NULL, totp_last_used_step = NULL
+             WHERE id = $1 AND totp_secret IS NOT NULL
+             RETURNING id`,
+            [userId]
+        );
+        await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+        return result.rows.length > 0;
+    });
+}
+
+/**
+ * Pre-auth token for the second step of a sign-in, valid for config.twoFactor.challengeTtlMs
+ * @returns {Promise<{ token: string, expiresAt: Date }>}
+ */
+async function createChallenge(db, userId, { enrollment = false } = {}) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + config.twoFactor.challengeTtlMs);
+
+    await db.query('DELETE FROM two_factor_challenges WHERE expires_at < NOW()');
+    await db.query(
+        `INSERT INTO two_factor_challenges (token_hash, user_id, enrollment, expires_at)
+         VALUES ($1, $2, $3, $4)`,
+        [hashToken(token), userId, enrollment, expiresAt]
+    );
+    return { token, expiresAt };
+}
+
+/**
+ * Look up a live challenge and count an attempt against it
+ * @returns {Promise<Object|null>} { id, user_id, enrollment }, null when unknown, expired or out of attempts
+ */
+async function useChallengeAttempt(db, token) {
+    const result = await db.query(
+        `UPDATE two_factor_challenges SET attempts = attempts + 1
+         WHERE token_hash = $1 AND expires_at > NOW() AND attempts < $2
+         RETURNING id, user_id, enrollment`,
+        [hashToken(token || ''), MAX_CHALLENGE_ATTEMPTS]
+    );
+    return result.rows[0] || null;
+}
+
+async function deleteChallenge(db, challengeId) {
+    await db.query('DELETE FROM two_factor_challenges WHERE id = $1', [challengeId]);
+}
+
+module.exports = {
+    SECURITY_SETTINGS_KEY,
+    generateSecret,
+    totpCode,
+    verifyTotp,
+    otpauthUri,
+    encryptSecret,
+    decryptSecret,
+    getTwoFactorStatus,
+    isTwoFactorRequired,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    replaceRecoveryCodes,
+    disableTwoFactor,
+    createChallenge,
+    useChallengeAttempt,
+    deleteChallenge
+};
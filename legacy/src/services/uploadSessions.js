@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const { Transform } = require('stream');
+const { pipeline, finished } = require('stream/promises');
+const config = require('../config');
+const { getBlobStore } = require('./blobStore');
+
+// Resumable uploads: the client declares a file (name, size, SHA-256), sends it as numbered
+// parts of part_size bytes, each with its own SHA-256, and can ask which parts arrived after a
+// dropped connection. Parts live in the blob store until the upload is completed; the parts are
+// then assembled into a spooled file, checked against the declared SHA-256 and handed to the
+// regular document upload. Sessions expire after config.storage.uploadSessionTtlHours without
+// a part (see sweepExpiredUploads).
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+const SESSION_COLUMNS = `upload_id, tenant_id, created_by, original_filename, file_type, file_size, part_size,
+    total_parts, sha256, replaces, collection_id, status, document_id, expires_at, created_at, updated_at`;
+
+function uploadError(message, status, details) {
+    const error = new Error(message);
+    error.status = status;
+    if (details) {
+        error.details = details;
+    }
+    return error;
+}
+
+function partBlobKey(tenantId, uploadId, partNumber) {
+    return `uploads/${tenantId}/${uploadId}/${partNumber}`;
+}
+
+function spoolPath() {
+    return path.join(config.storage.uploadDir, 'tmp', `upload-${crypto.randomBytes(12).toString('hex')}`);
+}
+
+/**
+ * Size every part must have: part_size, except a shorter last part
+ */
+function expectedPartSize(session, partNumber) {
+    const fileSize = Number(session.file_size);
+    return partNumber < session.total_parts ? session.part_size : fileSize - session.part_size * (session.total_parts - 1);
+}
+
+/**
+ * Session as returned by the API
+ */
+function formatUploadSession(session) {
+    const parts = session.parts || [];
+    return {
+        upload_id: session.upload_id,
+        filename: session.original_filename,
+        file_size: Number(session.file_size),
+        sha256: session.sha256,
+        part_size: session.part_size,
+        total_parts: session.total_parts,
+        parts_received: parts.map(part => part.part_number),
+        bytes_received: parts.reduce((total, part) => total + part.size, 0),
+        replaces: session.replaces,
+        collection_id: session.collection_id,
+        status: session.status,
+        document_id: session.document_id,
+        expires_at: session.expires_at,
+        created_at: session.created_at
+    };
+}
+
+/**
+ * Start a resumable upload
+ * @param {Object} db
+ * @param {string} tenantId
+ * @param {Object} params
+ * @param {string} params.filename
+ * @param {string} params.fileType - Extension, already validated
+ * @param {number} params.fileSize
+ * @param {string} params.sha256 - Hex SHA-256 of the whole file
+ * @param {string} [params.replaces] - Document the upload is a new version of
+ * @param {string} [params.collectionId] - Collection to file the document in
+ * @param {string} [params.createdBy]
+ * @returns {Promise<Object>} Session row (with an empty parts list)
+ */
+async function createUploadSession(db, tenantId, { filename, fileType, fileSize, sha256, replaces, collectionId, createdBy }) {
+    const partSize = config.storage.uploadPartSize;
+    const result = await db.query(
+        `INSERT INTO rag_upload_sessions (
+            upload_id, tenant_id, created_by, original_filename, file_type, file_size,
+            part_size, total_parts, sha256, replaces, collection_id, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP + make_interval(hours => $12::int))
+        RETURNING ${SESSION_COLUMNS}`,
+        [
+            crypto.randomUUID(),
+            tenantId,
+            createdBy || null,
+            filename,
+            fileType,
+            fileSize,
+            partSize,
+            Math.ceil(fileSize / partSize),
+            sha256.toLowerCase(),
+            replaces || null,
+            collectionId || null,
+            config.storage.uploadSessionTtlHours
+        ]
+    );
+    return { ...result.rows[0], parts: [] };
+}
+
+/**
+ * An unexpired session of the tenant with the parts received so far
+ * @returns {Promise<Object|null>}
+ */
+async function getUploadSession(db, tenantId, uploadId) {
+    const result = await db.query(
+        `SELECT ${SESSION_COLUMNS} FROM rag_upload_sessions
+         WHERE upload_id = $1 AND tenant_id = $2 AND expires_at > CURRENT_TIMESTAMP`,
+        [uploadId, tenantId]
+    );
+    if (result.rows.length === 0) {
+        return null;
+    }
+    const parts = await db.query(
+        'SELECT part_number, size, sha256 FROM rag_upload_parts WHERE upload_id = $1 ORDER BY part_number',
+        [uploadId]
+    );
+    return { ...result.rows[0], parts: parts.rows };
+}
+
+/**
+ * Receive one part. The part is spooled to disk while it is hashed, and only stored once its
+ * size and SHA-256 check out; sending a part again replaces it.
+ * @param {Object} db
+ * @param {Object} session - From getUploadSession
+ * @param {number} partNumber - 1-based
+ * @param {import('stream').Readable} stream - Part bytes
+ * @param {string} sha256 - Hex SHA-256 the client computed for the part
+ * @returns {Promise<{part_number: number, size: number, sha256: string}>}
+ */
+async function storePart(db, session, partNumber, stream, sha256) {
+    if (session.status !== 'uploading') {
+        throw uploadError(`Upload is ${session.status}`, 409);
+    }
+    if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.total_parts) {
+        throw uploadError(`Part number must be between 1 and ${session.total_parts}`, 400);
+    }
+
+    const expected = expectedPartSize(session, partNumber);
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const meter = new Transform({
+        transform(chunk, encoding, callback) {
+            size += chunk.length;
+            if (size > expected) {
+                return callback(uploadError(`Part ${partNumber} must be ${expected} bytes`, 413));
+            }
+            hash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+
+    const spooled = spoolPath();
+    await fs.promises.mkdir(path.dirname(spooled), { recursive: true });
+    try {
+        try {
+            await pipeline(stream, meter, fs.createWriteStream(spooled));
+        } catch (error) {
+            if (error.code === 'ERR_STREAM_PREMATURE_CLOSE' || error.code === 'ECONNRESET') {
+                throw uploadError(`Part ${partNumber} was interrupted`, 400);
+            }
+            throw error;
+        }
+        if (size !== expected) {
+            throw uploadError(`Part ${partNumber} must be ${expected} bytes, received ${size}`, 400);
+        }
+        const digest = hash.digest('hex');
+        if (digest !== sha256.toLowerCase()) {
+            throw uploadError(`Part ${partNumber} failed its SHA-256 check`, 422);
+        }
+
+        await getBlobStore().put(partBlobKey(session.tenant_id, session.upload_id, partNumber), fs.createReadStream(spooled), {
+            size,
+            contentType: 'application/octet-stream'
+        });
+        await db.query(
+            `INSERT INTO rag_upload_parts (upload_id, part_number, size, sha256)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT (upload_id, part_number)
+             DO UPDATE SET size = EXCLUDED.size, sha256 = EXCLUDED.sha256, received_at = CURRENT_TIMESTAMP`,
+            [session.upload_id, partNumber, size, digest]
+        );
+        await db.query(
+            `UPDATE rag_upload_sessions
+             SET updated_at = CURRENT_TIMESTAMP, expires_at = CURRENT_TIMESTAMP + make_interval(hours => $2::int)
+             WHERE upload_id = $1`,
+            [session.upload_id, config.storage.uploadSessionTtlHours]
+        );
+        return { part_number: partNumber, size, sha256: digest };
+    } finally {
+        await fs.promises.rm(spooled, { force: true });
+    }
+}
+
+/**
+ * Claim a session for completion and assemble its parts into a spooled file, checked against
+ * the declared size and SHA-256. The caller removes the file. A session whose parts don't add
+ * up to the declared file is discarded; after any other failure it can be completed again.
+ * @returns {Promise<{path: string, size: number, sha256: string}>}
+ */
+async function assembleUpload(db, session) {
+    const claimed = await db.query(
+        `UPDATE rag_upload_sessions SET status = 'completing', updated_at = CURRENT_TIMESTAMP
+         WHERE upload_id = $1 AND status = 'uploading'
+         RETURNING upload_id`,
+        [session.upload_id]
+    );
+    if (claimed.rows.length === 0) {
+        throw uploadError('Upload is already being completed', 409);
+    }
+
+    const spooled = spoolPath();
+    try {
+        const received = new Set(session.parts.map(part => part.part_number));
+        const missing = [];
+        for (let partNumber = 1; partNumber <= session.total_parts; partNumber++) {
+            if (!received.has(partNumber)) {
+                missing.push(partNumber);
+            }
+        }
+        if (missing.length > 0) {
+            throw uploadError(`${missing.length} of ${session.total_parts} parts have not been uploaded`, 409, { missing_parts: missing });
+        }
+
+        await fs.promises.mkdir(path.dirname(spooled), { recursive: true });
+        const output = fs.createWriteStream(spooled);
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        try {
+            for (let partNumber = 1; partNumber <= session.total_parts; partNumber++) {
+                const key = partBlobKey(session.tenant_id, session.upload_id, partNumber);
+                for await (const chunk of getBlobStore().createReadStream(key)) {
+                    hash.update(chunk);
+                    size += chunk.length;
+                    if (!output.write(chunk)) {
+                        await once(output, 'drain');
+                    }
+                }
+            }
+            output.end();
+            await finished(output);
+        } catch (error) {
+            output.destroy();
+            throw error;
+        }
+
+        const digest = hash.digest('hex');
+        if (size !== Number(session.file_size) || digest !== session.sha256) {
+            throw uploadError('The uploaded parts do not match the file\'s size and SHA-256', 422);
+        }
+        return { path: spooled, size, sha256: digest };
+    } catch (error) {
+        await fs.promises.rm(spooled, { force: true });
+        if (error.status === 422) {
+            await discardUploadSession(db, session);
+        } else {
+            await releaseUploadSession(db, session);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reopen a session claimed by assembleUpload after completing it failed, so it can be retried
+ */
+async function releaseUploadSession(db, session) {
+    await db.query(
+        `UPDATE rag_upload_sessions SET status = 'uploading', updated_at = CURRENT_TIMESTAMP
+         WHERE upload_id = $1 AND status = 'completing'`,
+        [session.upload_id]
+    );
+}
+
+async function deletePartBlobs(session, partNumbers) {
+    const blobStore = getBlobStore();
+    for (const partNumber of partNumbers) {
+        await blobStore.delete(partBlobKey(session.tenant_id, session.upload_id, partNumber)).catch((error) => {
+            console.error(`[UPLOADS] Failed to delete part ${partNumber} of upload ${session.upload_id}:`, error.message);
+        });
+    }
+}
+
+/**
+ * Record the document an upload became and drop its parts. The session is kept until it
+ * expires, so a client that lost the response can still look the document up.
+ */
+async function finishUploadSession(db, session, documentId) {
+    const parts = await db.query('DELETE FROM rag_upload_parts WHERE upload_id = $1 RETURNING part_number', [session.upload_id]);
+    await db.query(
+        `UPDATE rag_upload_sessions SET status = 'completed', document_id = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE upload_id = $1`,
+        [session.upload_id, documentId]
+    );
+    await deletePartBlobs(session, parts.rows.map(row => row.part_number));
+}
+
+/**
+ * Delete a session and its parts
+ */
+async function discardUploadSession(db, session) {
+    const parts = await db.query('SELECT part_number FROM rag_upload_parts WHERE upload_id = $1', [session.upload_id]);
+    await db.query('DELETE FROM rag_upload_sessions WHERE upload_id = $1', [session.upload_id]);
+    await deletePartBlobs(session, parts.rows.map(row => row.part_number));
+}
+
+/**
+ * Discard expired sessions and the parts they left behind
+ * @returns {Promise<number>} Sessions removed
+ */
+async function sweepExpiredUploads(db, { batchSize = 100 } = {}) {
+    const expired = await db.query(
+        `SELECT upload_id, tenant_id FROM rag_upload_sessions
+         WHERE expires_at <= CURRENT_TIMESTAMP
+           AND NOT (status = 'completing' AND updated_at > CURRENT_TIMESTAMP - INTERVAL '1 hour')
+         ORDER BY expires_at
+         LIMIT $1`,
+        [batchSize]
+    );
+    for (const session of expired.rows) {
+        await discardUploadSession(db, session);
+    }
+    return expired.rows.length;
+}
+
+module.exports = {
+    SHA256_PATTERN,
+    formatUploadSession,
+    createUploadSession,
+    getUploadSession,
+    storePart,
+    assembleUpload,
+    releaseUploadSession,
+    finishUploadSession,
+    discardUploadSession,
+    sweepExpiredUploads
+};
@@ -0,0 +1,384 @@
+const axios = require('axios');
+const config = require('../config');
+const { csvValue } = require('./auditLog');
+
+// Billable usage. Events are appended to usage_events as they happen and rolled up per
+// tenant and day into usage_daily (see rollupUsage). Recording never throws: a failed
+// metering write is logged and the request it describes carries on.
+
+const MB = 1024 * 1024;
+
+// aggregation: how a month is built from days. stripeDivisor turns the quantity into
+// the unit reported to Stripe (usage records only take integers).
+const METRICS = {
+    chat_messages: { unit: 'messages', aggregation: 'sum', label: 'Chat messages' },
+    vector_searches: { unit: 'searches', aggregation: 'sum', label: 'Vector searches' },
+    document_pages: { unit: 'pages', aggregation: 'sum', label: 'Document pages processed' },
+    document_bytes: { unit: 'bytes', aggregation: 'sum', label: 'Document bytes processed', stripeUnit: 'MB', stripeDivisor: MB },
+    storage_bytes: { unit: 'bytes', aggregation: 'average', label: 'Storage held (daily average)', stripeUnit: 'MB', stripeDivisor: MB },
+    active_users: { unit: 'users', aggregation: 'distinct', label: 'Monthly active users' }
+};
+
+const BILLING_SETTINGS_KEY = 'billing';
+
+/**
+ * Record a billable event
+ * @param {string} metric - one of the event metrics in METRICS (not storage_bytes or active_users)
+ * @param {Object} [options] - { actorEmail, metadata }
+ */
+async function recordUsage(db, tenantId, metric, quantity = 1, { actorEmail = null, metadata = null } = {}) {
+    if (!tenantId || !Number.isFinite(quantity) || quantity <= 0) {
+        return;
+    }
+    try {
+        await db.query(
+            `INSERT INTO usage_events (tenant_id, metric, quantity, actor_email, metadata)
+             VALUES ($1, $2, $3, $4, $5)`,
+            [tenantId, metric, Math.round(quantity), actorEmail, metadata ? JSON.stringify(metadata) : null]
+        );
+    } catch (error) {
+        console.error(`[USAGE] Failed to record ${metric} for tenant ${tenantId}:`, error.message);
+    }
+}
+
+/**
+ * Roll usage up into usage_daily for the last `days` days (today included). Every step
+ * recomputes whole days, so the rollup is idempotent and several instances can run it.
+ * @returns {Promise<{ counters: number, activeUsers: number, storage: number, purged: number }>}
+ */
+async function rollupUsage(db, { days = 2 } = {}) {
+    const since = days - 1;
+
+    const counters = await db.query(
+        `INSERT INTO usage_daily (tenant_id, day, metric, quantity, updated_at)
+         SELECT tenant_id, occurred_at::date, metric, SUM(quantity), NOW()
+         FROM usage_events
+         WHERE occurred_at >= CURRENT_DATE - $1::int
+         GROUP BY tenant_id, occurred_at::date, metric
+         ON CONFLICT (tenant_id, day, metric)
+         DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW()`,
+        [since]
+    );
+
+    // Active means signed in or used a metered feature that day
+    await db.query(
+        `INSERT INTO usage_active_users (tenant_id, day, email)
+         SELECT tenant_id, occurred_at::date, LOWER(actor_email)
+         FROM usage_events
+         WHERE actor_email IS NOT NULL AND occurred_at >= CURRENT_DATE - $1::int
+         UNION
+         SELECT tenant_id, created_at::date, LOWER(actor_email)
+         FROM audit_log
+         WHERE action = 'auth.signin' AND tenant_id IS NOT NULL AND actor_email IS NOT NULL
+           AND created_at >= CURRENT_DATE - $1::int
+         ON CONFLICT DO NOTHING`,
+        [since]
+    );
+    const activeUsers = await db.query(
+        `INSERT INTO usage_daily (tenant_id, day, metric, quantity, updated_at)
+         SELECT tenant_id, day, 'active_users', COUNT(*), NOW()
+         FROM usage_active_users
+         WHERE day >= CURRENT_DATE - $1::int
+         GROUP BY tenant_id, day
+         ON CONFLICT (tenant_id, day, metric)
+         DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW()`,
+        [since]
+    );
+
+    // Storage is a snapshot of what each tenant holds today
+    const storage = await db.query(
+        `INSERT INTO usage_daily (tenant_id, day, metric, quantity, updated_at)
+         SELECT tenant_id, CURRENT_DATE, 'storage_bytes',
+                SUM(COALESCE(octet_length(file_data), file_size, octet_length(content), 0)), NOW()
+         FROM rag_documents
+         WHERE tenant_id IS NOT NULL
+         GROUP BY tenant_id
+         ON CONFLICT (tenant_id, day, metric)
+         DO UPDATE SET quantity = EXCLUDED.quantity, updated_at = NOW()`
+    );
+
+    const purged = await db.query(
+        `DELETE FROM usage_events WHERE occurred_at < NOW() - make_interval(days => $1)`,
+        [config.billing.eventRetentionDays]
+    );
+
+    return {
+        counters: counters.rowCount,
+        activeUsers: activeUsers.rowCount,
+        storage: storage.rowCount,
+        purged: purged.rowCount
+    };
+}
+
+/**
+ * First and last day of a month
+ * @param {string} [month] - YYYY-MM, defaults to the current month (UTC)
+ * @returns {{ month: string, start: string, end: string }}
+ */
+function monthRange(month) {
+    const value = month || new Date().toISOString().slice(0, 7);
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(value);
+    if (!match) {
+        const error = new Error('month must be in YYYY-MM format');
+        error.status = 400;
+        throw error;
+    }
+    const lastDay = new Date(Date.UTC(Number(match[1]), Number(match[2]), 0)).getUTCDate();
+    return { month: value, start: `${value}-01`, end: `${value}-${String(lastDay).padStart(2, '0')}` };
+}
+
+/**
+ * A tenant's rolled-up usage per day of a month
+ * @returns {Promise<Array<{ day: string, metric: string, quantity: number }>>}
+ */
+async function getDailyUsage(db, tenantId, month) {
+    const { start, end } = monthRange(month);
+    const result = await db.query(
+        `SELECT to_char(day, 'YYYY-MM-DD') AS day, metric, quantity
+         FROM usage_daily
+         WHERE tenant_id = $1 AND day BETWEEN $2 AND $3
+         ORDER BY day, metric`,
+        [tenantId, start, end]
+    );
+    return result.rows.map(row => ({ ...row, quantity: parseInt(row.quantity) }));
+}
+
+/**
+ * Monthly statements built from usage_daily, one per tenant with usage in the month
+ * @param {Object} [options] - { tenantId } to build a single tenant's statement
+ * @returns {Promise<Array<{ tenant_id, company_name, month, period_start, period_end, lines }>>}
+ */
+async function getMonthlyStatements(db, month, { tenantId } = {}) {
+    const range = monthRange(month);
+    const params = [range.start, range.end];
+    let tenantFilter = '';
+    if (tenantId) {
+        params.push(tenantId);
+        tenantFilter = 'AND tenant_id = $3';
+    }
+
+    const totals = await db.query(
+        `SELECT tenant_id, metric, SUM(quantity) AS total, AVG(quantity) AS average
+         FROM usage_daily
+         WHERE day BETWEEN $1 AND $2 AND metric <> 'active_users' ${tenantFilter}
+         GROUP BY tenant_id, metric`,
+        params
+    );
+    const activeUsers = await db.query(
+        `SELECT tenant_id, COUNT(DISTINCT email) AS total
+         FROM usage_active_users
+         WHERE day BETWEEN $1 AND $2 ${tenantFilter}
+         GROUP BY tenant_id`,
+        params
+    );
+
+    const byTenant = new Map();
+    const quantities = (id) => {
+        if (!byTenant.has(id)) {
+            byTenant.set(id, {});
+        }
+        return byTenant.get(id);
+    };
+    for (const row of totals.rows) {
+        if (!METRICS[row.metric]) {
+            continue;
+        }
+        quantities(row.tenant_id)[row.metric] = METRICS[row.metric].aggregation === 'average'
+            ? Math.round(Number(row.average))
+            : parseInt(row.total);
+    }
+    for (const row of activeUsers.rows) {
+        quantities(row.tenant_id).active_users = parseInt(row.total);
+    }
+    if (tenantId && !byTenant.has(tenantId)) {
+        byTenant.set(tenantId, {});
+    }
+
+    const names = byTenant.size === 0 ? { rows: [] } : await db.query(
+        `SELECT tenant_id, MAX(company_name) AS company_name FROM users
+         WHERE tenant_id = ANY($1::uuid[]) GROUP BY tenant_id`,
+        [[...byTenant.keys()]]
+    );
+    const companyNames = new Map(names.rows.map(row => [row.tenant_id, row.company_name]));
+
+    return [...byTenant.entries()]
+        .map(([id, values]) => ({
+            tenant_id: id,
+            company_name: companyNames.get(id) || null,
+            month: range.month,
+            period_start: range.start,
+            period_end: range.end,
+            lines: Object.entries(METRICS).map(([metric, { unit, aggregation }]) => ({
+                metric,
+                quantity: values[metric] || 0,
+                unit,
+                aggregation
+            }))
+        }))
+        .sort((a, b) => (a.company_name || '').localeCompare(b.company_name || '') || a.tenant_id.localeCompare(b.tenant_id));
+}
+
+const STATEMENT_COLUMNS = ['tenant_id', 'company_name', 'month', 'period_start', 'period_end', 'metric', 'quantity', 'unit', 'aggregation'];
+
+function statementsToCsv(statements) {
+    const lines = [STATEMENT_COLUMNS.join(',')];
+    for (const statement of statements) {
+        for (const line of statement.lines) {
+            const row = { ...statement, ...line };
+            lines.push(STATEMENT_COLUMNS.map(column => csvValue(row[column])).join(','));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Stripe usage records for a statement, for the metrics mapped to a subscription item.
+ * Records use action "set" so reporting a month again replaces rather than adds.
+ * @param {Object} subscriptionItems - metric -> Stripe subscription item id (si_...)
+ */
+function toStripeUsageRecords(statement, subscriptionItems = {}) {
+    // Usage is reported at the last second of the month, or now for the current month
+    const periodEnd = Math.floor(Date.parse(`${statement.period_end}T23:59:59Z`) / 1000);
+    const timestamp = Math.min(periodEnd, Math.floor(Date.now() / 1000));
+
+    return statement.lines
+        .filter(line => subscriptionItems[line.metric])
+        .map(line => {
+            const { stripeDivisor = 1, stripeUnit, unit } = METRICS[line.metric];
+            return {
+                metric: line.metric,
+                subscription_item: subscriptionItems[line.metric],
+                quantity: Math.ceil(line.quantity / stripeDivisor),
+                unit: stripeUnit || unit,
+                timestamp,
+                action: 'set'
+            };
+        });
+}
+
+/**
+ * A tenant's Stripe customer and the subscription item billed for each metric
+ * @returns {Promise<{ stripe_customer_id: string|null, subscription_items: Object }>}
+ */
+async function getBillingSettings(db, tenantId) {
+    const settings = await db.tenantSettings.get(tenantId, BILLING_SETTINGS_KEY);
+    return {
+        stripe_customer_id: settings?.stripe_customer_id || null,
+        subscription_items: settings?.subscription_items || {}
+    };
+}
+
+async function setBillingSettings(db, tenantId, { stripe_customer_id = null, subscription_items = {} }, updatedBy) {
+    const unknown = Object.keys(subscription_items).filter(metric => !METRICS[metric]);
+    if (unknown.length > 0) {
+        const error = new Error(`Unknown metrics: ${unknown.join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+    const items = Object.fromEntries(Object.entries(subscription_items).filter(([, item]) => item));
+    await db.tenantSettings.set(tenantId, BILLING_SETTINGS_KEY, { stripe_customer_id, subscription_items: items }, updatedBy);
+    return getBillingSettings(db, tenantId);
+}
+
+/**
+ * What was reported to Stripe for a month
+ */
+async function listUsageExports(db, month, { tenantId } = {}) {
+    const { start } = monthRange(month);
+    const params = [start];
+    if (tenantId) {
+        params.push(tenantId);
+    }
+    const result = await db.query(
+        `SELECT tenant_id, metric, quantity, subscription_item, stripe_usage_record_id, status, error,
+                exported_by, exported_at
+         FROM usage_exports
+         WHERE period = $1 ${tenantId ? 'AND tenant_id = $2' : ''}
+         ORDER BY tenant_id, metric`,
+        params
+    );
+    return result.rows;
+}
+
+/**
+ * Report a statement to Stripe as usage records, one per mapped metric. Each outcome is
+ * kept in usage_exports; a record that fails does not stop the others.
+ * @returns {Promise<Array<{ metric, subscription_item, quantity, status, stripe_usage_record_id, error }>>}
+ */
+async function reportUsageToStripe(db, statement, { exportedBy } = {}) {
+    if (!config.billing.stripeSecretKey) {
+        const error = new Error('Stripe is not configured (STRIPE_SECRET_KEY)');
+        error.code = 'STRIPE_NOT_CONFIGURED';
+        error.status = 503;
+        throw error;
+    }
+
+    const { subscription_items } = await getBillingSettings(db, statement.tenant_id);
+    const records = toStripeUsageRecords(statement, subscription_items);
+    const results = [];
+
+    for (const record of records) {
+        const form = new URLSearchParams({
+            quantity: String(record.quantity),
+            timestamp: String(record.timestamp),
+            action: record.action
+        });
+        const result = { ...record, status: 'sent', stripe_usage_record_id: null, error: null };
+        try {
+            const response = await axios.post(
+                `${config.billing.stripeApiBase}/v1/subscription_items/${encodeURIComponent(record.subscription_item)}/usage_records`,
+                form.toString(),
+                {
+                    headers: {
+                        Authorization: `Bearer ${config.billing.stripeSecretKey}`,
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                        // A closed month always reports at its last second, so resending it reuses the key.
+                        // The current month reports at "now", so each resend is a new record that
+                        // supersedes the last one (action=set) instead of being replayed by Stripe.
+                        'Idempotency-Key': `usage-${statement.tenant_id}-${record.subscription_item}-${statement.month}-${record.metric}-${record.timestamp}-${record.quantity}`
+                    },
+                    timeout: config.billing.stripeTimeoutMs
+                }
+            );
+            result.stripe_usage_record_id = response.data?.id || null;
+        } catch (error) {
+            result.status = 'failed';
+            result.error = error.response?.data?.error?.message || error.message;
+            console.error(`[USAGE] Stripe usage record failed for tenant ${statement.tenant_id} (${record.metric}):`, result.error);
+        }
+
+        await db.query(
+            `INSERT INTO usage_exports
+                 (tenant_id, period, metric, quantity, subscription_item, stripe_usage_record_id, status, error, exported_by, exported_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+             ON CONFLICT (tenant_id, period, metric) DO UPDATE SET
+                 quantity = EXCLUDED.quantity,
+                 subscription_item = EXCLUDED.subscription_item,
+                 stripe_usage_record_id = EXCLUDED.stripe_usage_record_id,
+                 status = EXCLUDED.status,
+                 error = EXCLUDED.error,
+                 exported_by = EXCLUDED.exported_by,
+                 exported_at = NOW()`,
+            [statement.tenant_id, statement.period_start, record.metric, record.quantity, record.subscription_item,
+                result.stripe_usage_record_id, result.status, result.error, exportedBy || null]
+        );
+        results.push(result);
+    }
+
+    return results;
+}
+
+module.exports = {
+    METRICS,
+    recordUsage,
+    rollupUsage,
+    monthRange,
+    getDailyUsage,
+    getMonthlyStatements,
+    statementsToCsv,
+    toStripeUsageRecords,
+    getBillingSettings,
+    setBillingSettings,
+    listUsageExports,
+    reportUsageToStripe
+};
@@ -0,0 +1,916 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+const axios = require('axios');
+const config = require('../config');
+const { parseCron, nextRunTime } = require('../utils/cron');
+const { htmlToMarkdown, decodeEntities } = require('../utils/htmlToMarkdown');
+const { parseRobotsTxt, ALLOW_ALL } = require('../utils/robotsTxt');
+const { hostMatches, createPrivateAddressGuard } = require('../utils/privateNetwork');
+const { generateCallbackToken } = require('../utils/rag');
+const ResolveWebhook = require('../utils/resolve-webhook');
+const IngestionPipeline = require('./ingestionPipeline');
+const documentVersions = require('./documentVersions');
+const { hashContent } = require('./contentDedup');
+const { recordUsage } = require('./usageMetering');
+const { SSEHub, getSSEHub } = require('./sseHub');
+
+// Web crawler knowledge sources (rag_crawl_sources). A source crawls a website breadth-first
+// from its seed URLs and sitemap, staying on their hosts, and stores each page's markdown as a
+// document through the usual pipeline: vectorized in-process when EMBEDDING_PROVIDER is set,
+// otherwise sent to the actions platform like /api/rag/ingest.
+//
+// - Exclude patterns are never fetched; pages outside the include patterns are fetched to follow
+//   their links but not stored. Seeds are always fetched.
+// - Pages are fetched conditionally (ETag / Last-Modified), and a page whose markdown hash
+//   changed is stored as a new version of its document (rag_crawl_pages keeps the lineage).
+// - A page answering 404/410 is retired at once. Once a run has been through the whole site
+//   (not stopped by max_pages), pages it no longer found - unlinked, disallowed by robots.txt,
+//   noindex or excluded - are retired too. Pages failing with other errors are kept.
+
+const SOURCE_COLUMNS = `source_id, tenant_id, name, seed_urls, sitemap_url, include_patterns, exclude_patterns,
+    max_depth, max_pages, respect_robots, schedule, enabled, collection_id, next_run_at, running_since,
+    last_run_at, last_status, last_error, last_stats, created_by, created_at, updated_at`;
+
+const CRAWLER_SOURCE = 'web-crawler';
+const MAX_NAME_LENGTH = 100;
+const MAX_SEED_URLS = 50;
+const MAX_PATTERNS = 50;
+const MAX_PATTERN_LENGTH = 500;
+const DEFAULT_MAX_DEPTH = 3;
+const DEFAULT_MAX_PAGES = 500;
+// Sitemap files (an index and the sitemaps it lists) read per run, and their size once unzipped
+const MAX_SITEMAPS = 50;
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/x-markdown'];
+
+function crawlerError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function isAllowedHost(hostname) {
+    const allowed = config.crawler.allowedHosts;
+    return allowed.length === 0 || hostMatches(hostname, allowed);
+}
+
+// Only hosts listed in CRAWLER_PRIVATE_HOSTS may be reached on a private address
+const { assertPublicHost, httpAgent, httpsAgent } = createPrivateAddressGuard({
+    privateHosts: () => config.crawler.privateHosts,
+    label: 'the crawler'
+});
+
+function parseHttpUrl(value, label) {
+    let url;
+    try {
+        url = new URL(String(value).trim());
+    } catch (error) {
+        throw crawlerError(`${label} must be an http(s) URL`, 400);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw crawlerError(`${label} must be an http(s) URL`, 400);
+    }
+    if (!isAllowedHost(url.hostname)) {
+        throw crawlerError(`${label} is on a host the crawler may not visit`, 400);
+    }
+    assertPublicHost(url.hostname);
+    url.hash = '';
+    return url.href;
+}
+
+// URL globs: * matches any characters, everything else literally, against the whole URL
+function compilePattern(glob) {
+    const source = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Validate crawl source fields from a request body
+ * @param {Object} body
+ * @param {Object} [existing] - Source being updated; fields missing from the body keep its values
+ * @returns {Object} Fields to store
+ * @throws {Error} status 400 when a field is invalid
+ */
+function validateSource(body, existing = null) {
+    const pick = (key, fallback) => {
+        if (body[key] !== undefined) {
+            return body[key];
+        }
+        return existing ? existing[key] : fallback;
+    };
+    const integer = (key, fallback, min, max) => {
+        const value = pick(key, fallback);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw crawlerError(`${key} must be an integer from ${min} to ${max}`, 400);
+        }
+        return value;
+    };
+    const boolean = (key, fallback) => {
+        const value = pick(key, fallback);
+        if (typeof value !== 'boolean') {
+            throw crawlerError(`${key} must be true or false`, 400);
+        }
+        return value;
+    };
+    const patterns = (key) => {
+        const value = pick(key, []);
+        if (!Array.isArray(value) || value.length > MAX_PATTERNS ||
+            value.some(pattern => typeof pattern !== 'string' || !pattern.trim() || pattern.length > MAX_PATTERN_LENGTH)) {
+            throw crawlerError(`${key} must be an array of at most ${MAX_PATTERNS} URL patterns`, 400);
+        }
+        return [...new Set(value.map(pattern => pattern.trim()))];
+    };
+
+    const name = typeof pick('name', '') === 'string' ? pick('name', '').trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw crawlerError(`Name must be 1-${MAX_NAME_LENGTH} characters`, 400);
+    }
+
+    const seedUrls = pick('seed_urls', []);
+    if (!Array.isArray(seedUrls) || seedUrls.length > MAX_SEED_URLS) {
+        throw crawlerError(`seed_urls must be an array of at most ${MAX_SEED_URLS} URLs`, 400);
+    }
+    const seeds = [...new Set(seedUrls.map(url => parseHttpUrl(url, 'Seed URL')))];
+    const sitemapUrl = pick('sitemap_url', null) ? parseHttpUrl(pick('sitemap_url', null), 'sitemap_url') : null;
+    if (seeds.length === 0 && !sitemapUrl) {
+        throw crawlerError('A crawl source needs seed_urls or a sitemap_url', 400);
+    }
+
+    let schedule = pick('schedule', null);
+    if (schedule === null || schedule === '') {
+        schedule = null;
+    } else {
+        schedule = String(schedule).trim().replace(/\s+/g, ' ');
+        try {
+            parseCron(schedule);
+        } catch (error) {
+            throw crawlerError(`Invalid schedule: ${error.message}`, 400);
+        }
+        if (!nextRunTime(schedule)) {
+            throw crawlerError('Invalid schedule: it never runs', 400);
+        }
+    }
+
+    return {
+        name,
+        seed_urls: seeds,
+        sitemap_url: sitemapUrl,
+        include_patterns: patterns('include_patterns'),
+        exclude_patterns: patterns('exclude_patterns'),
+        max_depth: integer('max_depth', DEFAULT_MAX_DEPTH, 0, config.crawler.maxDepth),
+        max_pages: integer('max_pages', Math.min(DEFAULT_MAX_PAGES, config.crawler.maxPages), 1, config.crawler.maxPages),
+        respect_robots: boolean('respect_robots', true),
+        schedule,
+        enabled: boolean('enabled', true),
+        collection_id: pick('collection_id', null) || null
+    };
+}
+
+function scheduledRun(fields) {
+    return fields.enabled && fields.schedule ? nextRunTime(fields.schedule) : null;
+}
+
+function rethrowDuplicateName(error) {
+    if (error.code === '23505') {
+        throw crawlerError('A crawl source with this name already exists', 409);
+    }
+    throw error;
+}
+
+/**
+ * A tenant's crawl sources with their page counts, by name
+ */
+async function listSources(db, tenantId) {
+    const result = await db.query(
+        `SELECT s.*,
+                COALESCE(p.active_pages, 0)::int AS active_pages,
+                COALESCE(p.retired_pages, 0)::int AS retired_pages
+         FROM rag_crawl_sources s
+         LEFT JOIN (
+             SELECT source_id,
+                    COUNT(*) FILTER (WHERE status = 'active') AS active_pages,
+                    COUNT(*) FILTER (WHERE status = 'retired') AS retired_pages
+             FROM rag_crawl_pages
+             WHERE tenant_id = $1
+             GROUP BY source_id
+         ) p ON p.source_id = s.source_id
+         WHERE s.tenant_id = $1
+         ORDER BY LOWER(s.name)`,
+        [tenantId]
+    );
+    return result.rows;
+}
+
+async function getSource(db, tenantId, sourceId) {
+    const result = await db.query(
+        `SELECT ${SOURCE_COLUMNS} FROM rag_crawl_sources WHERE tenant_id = $1 AND source_id = $2`,
+        [tenantId, sourceId]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * @param {Object} fields - validateSource result
+ */
+async function createSource(db, tenantId, fields, createdBy) {
+    try {
+        const result = await db.query(
+            `INSERT INTO rag_crawl_sources (
+                tenant_id, name, seed_urls, sitemap_url, include_patterns, exclude_patterns, max_depth,
+                max_pages, respect_robots, schedule, enabled, collection_id, next_run_at, created_by
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+            RETURNING ${SOURCE_COLUMNS}`,
+            [
+                tenantId, fields.name, fields.seed_urls, fields.sitemap_url, fields.include_patterns,
+                fields.exclude_patterns, fields.max_depth, fields.max_pages, fields.respect_robots,
+                fields.schedule, fields.enabled, fields.collection_id, scheduledRun(fields), createdBy
+            ]
+        );
+        return result.rows[0];
+    } catch (error) {
+        return rethrowDuplicateName(error);
+    }
+}
+
+/**
+ * Replace a source's settings and reschedule it. Pages already crawled are kept; a change of
+ * collection applies to pages stored from now on.
+ * @param {Object} fields - validateSource result
+ * @returns {Promise<Object|null>} null when the source doesn't exist
+ */
+async function updateSource(db, tenantId, sourceId, fields) {
+    try {
+        const result = await db.query(
+            `UPDATE rag_crawl_sources SET
+                name = $3, seed_urls = $4, sitemap_url = $5, include_patterns = $6, exclude_patterns = $7,
+                max_depth = $8, max_pages = $9, respect_robots = $10, schedule = $11, enabled = $12,
+                collection_id = $13, next_run_at = $14
+             WHERE tenant_id = $1 AND source_id = $2
+             RETURNING ${SOURCE_COLUMNS}`,
+            [
+                tenantId, sourceId, fields.name, fields.seed_urls, fields.sitemap_url, fields.include_patterns,
+                fields.exclude_patterns, fields.max_depth, fields.max_pages, fields.respect_robots,
+                fields.schedule, fields.enabled, fields.collection_id, scheduledRun(fields)
+            ]
+        );
+        return result.rows[0] || null;
+    } catch (error) {
+        return rethrowDuplicateName(error);
+    }
+}
+
+/**
+ * Delete a source and the documents of its pages
+ * @returns {Promise<Object|null>} { documents_deleted }, or null when the source doesn't exist
+ * @throws {Error} status 409 while the source is being crawled
+ */
+async function deleteSource(db, tenantId, sourceId) {
+    return db.transaction(async (client) => {
+        const sourceResult = await client.query(
+            `SELECT running_since, running_since > CURRENT_TIMESTAMP - $3::int * INTERVAL '1 millisecond' AS running
+             FROM rag_crawl_sources WHERE tenant_id = $1 AND source_id = $2 FOR UPDATE`,
+            [tenantId, sourceId, config.crawler.staleRunMs]
+        );
+        if (sourceResult.rows.length === 0) {
+            return null;
+        }
+        if (sourceResult.rows[0].running) {
+            throw crawlerError('The source is being crawled; try again when the crawl has finished', 409);
+        }
+
+        const documents = await client.query(
+            `DELETE FROM rag_documents
+             WHERE tenant_id = $1 AND lineage_id IN (
+                 SELECT lineage_id FROM rag_crawl_pages
+                 WHERE source_id = $2 AND status = 'active' AND lineage_id IS NOT NULL
+             )`,
+            [tenantId, sourceId]
+        );
+        await client.query('DELETE FROM rag_crawl_sources WHERE tenant_id = $1 AND source_id = $2', [tenantId, sourceId]);
+        return { documents_deleted: documents.rowCount };
+    });
+}
+
+/**
+ * Pages of a source, most recently crawled first
+ * @param {Object} [options] - { status: 'active' | 'retired', limit, offset }
+ * @returns {Promise<{pages: Array, total: number}>}
+ */
+async function listPages(db, tenantId, sourceId, { status = null, limit = 100, offset = 0 } = {}) {
+    const params = [tenantId, sourceId];
+    let statusClause = '';
+    if (status) {
+        params.push(status);
+        statusClause = `AND p.status = $${params.length}`;
+    }
+    const countResult = await db.query(
+        `SELECT COUNT(*) AS total FROM rag_crawl_pages p WHERE p.tenant_id = $1 AND p.source_id = $2 ${statusClause}`,
+        params
+    );
+    const result = await db.query(
+        `SELECT p.url, p.status, p.lineage_id, p.title, p.http_status, p.last_error, p.last_crawled_at,
+                p.last_changed_at, p.retired_at,
+                (SELECT d.document_id FROM rag_documents d
+                 WHERE d.tenant_id = p.tenant_id AND d.lineage_id = p.lineage_id
+                 ORDER BY d.version DESC LIMIT 1) AS document_id
+         FROM rag_crawl_pages p
+         WHERE p.tenant_id = $1 AND p.source_id = $2 ${statusClause}
+         ORDER BY p.last_crawled_at DESC NULLS LAST, p.url
+         LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+    );
+    return { pages: result.rows, total: parseInt(countResult.rows[0].total) };
+}
+
+/**
+ * Take the next source due to be crawled, across tenants. The source is held (running_since)
+ * until runCrawl releases it, so several app instances can schedule crawls.
+ * @returns {Promise<Object|null>}
+ */
+async function claimDueSource(db) {
+    const result = await db.query(
+        `UPDATE rag_crawl_sources SET running_since = CURRENT_TIMESTAMP
+         WHERE source_id = (
+             SELECT source_id FROM rag_crawl_sources
+             WHERE enabled AND next_run_at <= CURRENT_TIMESTAMP
+             AND (running_since IS NULL OR running_since <= CURRENT_TIMESTAMP - $1::int * INTERVAL '1 millisecond')
+             ORDER BY next_run_at
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING ${SOURCE_COLUMNS}`,
+        [config.crawler.staleRunMs]
+    );
+    return result.rows[0] || null;
+}
+
+/**
+ * Hold a source for a crawl started by hand
+ * @returns {Promise<Object|null>} null when the source doesn't exist
+ * @throws {Error} status 409 while the source is being crawled
+ */
+async function claimSource(db, tenantId, sourceId) {
+    const result = await db.query(
+        `UPDATE rag_crawl_sources SET running_since = CURRENT_TIMESTAMP
+         WHERE tenant_id = $1 AND source_id = $2
+         AND (running_since IS NULL OR running_since <= CURRENT_TIMESTAMP - $3::int * INTERVAL '1 millisecond')
+         RETURNING ${SOURCE_COLUMNS}`,
+        [tenantId, sourceId, config.crawler.staleRunMs]
+    );
+    if (result.rows.length > 0) {
+        return result.rows[0];
+    }
+    if (await getSource(db, tenantId, sourceId)) {
+        throw crawlerError('The source is already being crawled', 409);
+    }
+    return null;
+}
+
+function decodeBody(response, { gunzip = false } = {}) {
+    let data = Buffer.from(response.data || []);
+    if (gunzip && data[0] === 0x1f && data[1] === 0x8b) {
+        data = zlib.gunzipSync(data, { maxOutputLength: MAX_SITEMAP_BYTES });
+    }
+    const charset = /charset=["']?([\w-]+)/i.exec(response.headers['content-type'] || '')?.[1];
+    try {
+        return new TextDecoder(charset || 'utf-8').decode(data);
+    } catch (error) {
+        return data.toString('utf8');
+    }
+}
+
+/**
+ * One run of a source. Pages are fetched one at a time, pausing between requests to a host.
+ */
+class SourceCrawl {
+    constructor(db, source, { pipeline, webhook } = {}) {
+        this.db = db;
+        this.source = source;
+        this.tenantId = source.tenant_id;
+        this.pipeline = pipeline || new IngestionPipeline(db);
+        this.webhook = webhook || new ResolveWebhook(db);
+        this.include = source.include_patterns.map(compilePattern);
+        this.exclude = source.exclude_patterns.map(compilePattern);
+        this.hosts = new Set();
+        this.robots = new Map();
+        this.lastRequestAt = new Map();
+        // Pages found this run; stored pages not among them are retired after a complete run
+        this.seen = new Set();
+        this.appUrl = null;
+        this.stats = {
+            pages_fetched: 0,
+            documents_created: 0,
+            documents_updated: 0,
+            unchanged: 0,
+            retired: 0,
+            skipped: 0,
+            errors: 0,
+            truncated: false
+        };
+    }
+
+    async request(url, { delayMs = null, headers = {} } = {}) {
+        const { host, hostname } = new URL(url);
+        assertPublicHost(hostname);
+        const delay = Math.min(Math.max(config.crawler.requestDelayMs, delayMs || 0), config.crawler.maxCrawlDelayMs);
+        const wait = (this.lastRequestAt.get(host) || 0) + delay - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        this.lastRequestAt.set(host, Date.now());
+
+        return axios.get(url, {
+            headers: {
+                'User-Agent': config.crawler.userAgent,
+                'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.8',
+                ...headers
+            },
+            responseType: 'arraybuffer',
+            timeout: config.crawler.requestTimeoutMs,
+            maxContentLength: config.crawler.maxPageBytes,
+            maxRedirects: 5,
+            validateStatus: () => true,
+            httpAgent,
+            httpsAgent,
+            beforeRedirect: (options) => {
+                if (!isAllowedHost(options.hostname)) {
+                    throw new Error(`Redirected to ${options.hostname}, which the crawler may not visit`);
+                }
+                assertPublicHost(options.hostname);
+            }
+        });
+    }
+
+    // robots.txt per origin; a missing file allows everything, an unreachable one stops the run
+    robotsFor(url) {
+        const { origin } = new URL(url);
+        if (!this.robots.has(origin)) {
+            this.robots.set(origin, (async () => {
+                const response = await this.request(`${origin}/robots.txt`);
+                if (response.status >= 200 && response.status < 300) {
+                    return parseRobotsTxt(decodeBody(response), config.crawler.userAgent);
+                }
+                if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+                    return ALLOW_ALL;
+                }
+                throw new Error(`robots.txt of ${origin} is unavailable (HTTP ${response.status})`);
+            })());
+        }
+        return this.robots.get(origin);
+    }
+
+    async readSitemaps(sitemapUrl) {
+        const urls = new Set();
+        const pending = [sitemapUrl];
+        const read = new Set();
+        while (pending.length > 0 && read.size < MAX_SITEMAPS) {
+            const url = pending.shift();
+            if (read.has(url)) {
+                continue;
+            }
+            read.add(url);
+
+            const response = await this.request(url);
+            if (response.status !== 200) {
+                throw new Error(`Sitemap ${url} answered HTTP ${response.status}`);
+            }
+            const xml = decodeBody(response, { gunzip: true });
+            // A sitemap index lists further sitemaps, a sitemap lists pages
+            for (const [, tag, entry] of xml.matchAll(/<(url|sitemap)\b[^>]*>([\s\S]*?)<\/\1\s*>/gi)) {
+                const loc = /<loc\b[^>]*>([\s\S]*?)<\/loc\s*>/i.exec(entry)?.[1];
+                if (!loc) {
+                    continue;
+                }
+                let location;
+                try {
+                    location = new URL(decodeEntities(loc.replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '').trim()), url);
+                } catch (error) {
+                    continue;
+                }
+                if (location.protocol !== 'http:' && location.protocol !== 'https:') {
+                    continue;
+                }
+                location.hash = '';
+                if (tag.toLowerCase() === 'sitemap') {
+                    pending.push(location.href);
+                } else {
+                    urls.add(location.href);
+                }
+            }
+        }
+        return [...urls];
+    }
+
+    async loadPages() {
+        const result = await this.db.query(
+            `SELECT p.url, p.status, p.lineage_id, p.etag, p.last_modified, p.content_hash, p.links,
+                    EXISTS (
+                        SELECT 1 FROM rag_documents d WHERE d.tenant_id = p.tenant_id AND d.lineage_id = p.lineage_id
+                    ) AS has_document
+             FROM rag_crawl_pages p
+             WHERE p.source_id = $1`,
+            [this.source.source_id]
+        );
+        return new Map(result.rows.map(page => [page.url, page]));
+    }
+
+    inSite(url) {
+        const { host, hostname } = new URL(url);
+        return this.hosts.has(host) && isAllowedHost(hostname) && !this.exclude.some(pattern => pattern.test(url));
+    }
+
+    isIncluded(url) {
+        return this.include.length === 0 || this.include.some(pattern => pattern.test(url));
+    }
+
+    async crawl() {
+        const { source } = this;
+        const queue = [];
+        const queued = new Set();
+        const enqueue = (url, depth) => {
+            if (!queued.has(url)) {
+                queued.add(url);
+                queue.push({ url, depth });
+            }
+        };
+
+        for (const url of [...source.seed_urls, source.sitemap_url].filter(Boolean)) {
+            this.hosts.add(new URL(url).host);
+        }
+        for (const url of source.seed_urls) {
+            enqueue(url, 0);
+        }
+        if (source.sitemap_url) {
+            for (const url of await this.readSitemaps(source.sitemap_url)) {
+                if (this.inSite(url)) {
+                    enqueue(url, 0);
+                }
+            }
+        }
+
+        const pages = await this.loadPages();
+        let fetched = 0;
+        while (queue.length > 0) {
+            if (fetched >= source.max_pages) {
+                this.stats.truncated = true;
+                break;
+            }
+            const { url, depth } = queue.shift();
+            const robots = source.respect_robots ? await this.robotsFor(url) : ALLOW_ALL;
+            const { pathname, search } = new URL(url);
+            if (!robots.isAllowed(pathname + search)) {
+                this.stats.skipped++;
+                continue;
+            }
+
+            fetched++;
+            const links = await this.crawlPage(url, pages.get(url), robots);
+            if (depth < source.max_depth) {
+                for (const link of links) {
+                    if (this.inSite(link)) {
+                        enqueue(link, depth + 1);
+                    }
+                }
+            }
+        }
+
+        // Only a run that got through the whole site knows which pages are gone
+        if (!this.stats.truncated) {
+            for (const [url, page] of pages) {
+                if (page.status === 'active' && !this.seen.has(url)) {
+                    await this.retirePage(url, page);
+                }
+            }
+        }
+    }
+
+    /**
+     * Fetch a page and store it when new or changed
+     * @returns {Promise<string[]>} Links to follow
+     */
+    async crawlPage(url, page, robots) {
+        this.stats.pages_fetched++;
+        const stored = page?.status === 'active' && page.has_document ? page : null;
+        const headers = {};
+        if (stored?.etag) {
+            headers['If-None-Match'] = stored.etag;
+        }
+        if (stored?.last_modified) {
+            headers['If-Modified-Since'] = stored.last_modified;
+        }
+
+        let response;
+        try {
+            response = await this.request(url, { delayMs: robots.crawlDelayMs, headers });
+        } catch (error) {
+            return this.pageFailed(url, page, null, error.message);
+        }
+
+        if (response.status === 304 && stored) {
+            this.seen.add(url);
+            this.stats.unchanged++;
+            await this.updatePage(url, { http_status: 304 });
+            return stored.links;
+        }
+        if (response.status === 404 || response.status === 410) {
+            if (page?.status === 'active') {
+                await this.retirePage(url, page, response.status);
+            }
+            return [];
+        }
+        if (response.status < 200 || response.status >= 300) {
+            return this.pageFailed(url, page, response.status, `HTTP ${response.status}`);
+        }
+
+        const contentType = (response.headers['content-type'] || 'text/html').split(';')[0].trim().toLowerCase();
+        const finalUrl = response.request?.res?.responseUrl || url;
+        let title;
+        let markdown;
+        let links = [];
+        let noindex = false;
+        if (HTML_TYPES.includes(contentType)) {
+            const converted = htmlToMarkdown(decodeBody(response), { baseUrl: finalUrl });
+            ({ title, markdown, noindex } = converted);
+            links = converted.nofollow ? [] : converted.links;
+        } else if (TEXT_TYPES.includes(contentType)) {
+            markdown = decodeBody(response).trim();
+            title = new URL(url).pathname.split('/').filter(Boolean).pop() || url;
+        } else {
+            this.stats.skipped++;
+            return [];
+        }
+
+        if (noindex || !markdown || !this.isIncluded(url)) {
+            this.stats.skipped++;
+            return links;
+        }
+
+        this.seen.add(url);
+        const contentHash = hashContent(markdown);
+        const validators = {
+            etag: response.headers.etag || null,
+            last_modified: response.headers['last-modified'] || null,
+            links,
+            title: title || url,
+            http_status: response.status
+        };
+        if (stored && stored.content_hash === contentHash) {
+            this.stats.unchanged++;
+            await this.updatePage(url, validators);
+            return links;
+        }
+
+        await this.storePage(url, stored, { ...validators, markdown, contentHash });
+        return links;
+    }
+
+    async updatePage(url, fields) {
+        const entries = Object.entries({ ...fields, last_error: null });
+        await this.db.query(
+            `UPDATE rag_crawl_pages SET ${entries.map(([column], i) => `${column} = $${i + 3}`).join(', ')},
+                 last_crawled_at = CURRENT_TIMESTAMP
+             WHERE source_id = $1 AND url = $2`,
+            [this.source.source_id, url, ...entries.map(([, value]) => value)]
+        );
+    }
+
+    // Failures other than 404/410 keep the page and follow its last known links
+    async pageFailed(url, page, httpStatus, message) {
+        this.stats.errors++;
+        console.warn(`[CRAWLER] ${url}: ${message}`);
+        if (!page) {
+            return [];
+        }
+        if (page.status === 'active') {
+            this.seen.add(url);
+        }
+        await this.db.query(
+            `UPDATE rag_crawl_pages SET http_status = $3, last_error = $4, last_crawled_at = CURRENT_TIMESTAMP
+             WHERE source_id = $1 AND url = $2`,
+            [this.source.source_id, url, httpStatus, message.slice(0, 1000)]
+        );
+        return page.links || [];
+    }
+
+    async retirePage(url, page, httpStatus = null) {
+        await this.db.transaction(async (client) => {
+            if (page.lineage_id) {
+                await client.query(
+                    'DELETE FROM rag_documents WHERE tenant_id = $1 AND lineage_id = $2',
+                    [this.tenantId, page.lineage_id]
+                );
+            }
+            await client.query(
+                `UPDATE rag_crawl_pages SET
+                    status = 'retired', lineage_id = NULL, etag = NULL, last_modified = NULL, content_hash = NULL,
+                    links = '{}', http_status = COALESCE($3, http_status), last_error = NULL,
+                    last_crawled_at = CURRENT_TIMESTAMP, retired_at = CURRENT_TIMESTAMP
+                 WHERE source_id = $1 AND url = $2`,
+                [this.source.source_id, url, httpStatus]
+            );
+        });
+        page.status = 'retired';
+        this.stats.retired++;
+        console.log(`[CRAWLER] Retired ${url} from source ${this.source.source_id}`);
+    }
+
+    // Documents go to the actions platform for vectorization like /api/rag/ingest
+    async prepareWebhook() {
+        if (this.appUrl) {
+            return;
+        }
+        const tokenResult = await this.db.query(
+            'SELECT callback_token FROM rag_tenant_tokens WHERE tenant_id = $1',
+            [this.tenantId]
+        );
+        if (tokenResult.rows.length === 0) {
+            await generateCallbackToken(this.db, this.tenantId);
+        }
+        this.appUrl = config.appUrl;
+        try {
+            const configResult = await this.db.query('SELECT value FROM system_config WHERE key = $1', ['app_url']);
+            if (configResult.rows.length > 0) {
+                this.appUrl = configResult.rows[0].value;
+            }
+        } catch (error) {
+            console.log('[CRAWLER] Using environment APP_URL:', this.appUrl);
+        }
+    }
+
+    /**
+     * Store a new or changed page as a document, or as the next version of the page's document
+     */
+    async storePage(url, stored, { markdown, contentHash, ...page }) {
+        const { db, source, tenantId } = this;
+        const vectorizeInProcess = this.pipeline.isEnabled();
+        if (!vectorizeInProcess) {
+            await this.prepareWebhook();
+        }
+
+        const documentId = crypto.randomUUID();
+        const callbackId = crypto.randomBytes(16).toString('hex');
+        const metadata = {
+            title: page.title,
+            url,
+            source: CRAWLER_SOURCE,
+            type: 'web-page',
+            crawl_source_id: source.source_id,
+            crawled_at: new Date().toISOString()
+        };
+
+        let version = 1;
+        await db.transaction(async (client) => {
+            let lineageId = documentId;
+            let collectionId = source.collection_id;
+            if (stored) {
+                version = await documentVersions.nextVersion(client, tenantId, stored.lineage_id);
+                if (version > 1) {
+                    // New versions stay in their document's collection
+                    lineageId = stored.lineage_id;
+                    const lineage = await client.query(
+                        'SELECT collection_id FROM rag_documents WHERE tenant_id = $1 AND lineage_id = $2 LIMIT 1',
+                        [tenantId, lineageId]
+                    );
+                    collectionId = lineage.rows[0]?.collection_id ?? null;
+                }
+            }
+
+            await client.query(
+                `INSERT INTO rag_documents (
+                    tenant_id, document_id, callback_id, content, processed_markdown, metadata, created_by, status,
+                    lineage_id, version, is_current, content_hash, collection_id, original_filename, file_type, file_size
+                ) VALUES ($1, $2, $3, $4, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+                [
+                    tenantId, documentId, callbackId, markdown, metadata, source.created_by || CRAWLER_SOURCE,
+                    vectorizeInProcess ? 'processing' : 'pending', lineageId, version, version === 1, contentHash,
+                    collectionId, page.title.slice(0, 255), 'html', Buffer.byteLength(markdown)
+                ]
+            );
+            await client.query(
+                `INSERT INTO rag_crawl_pages (
+                    source_id, url, tenant_id, status, lineage_id, title, etag, last_modified, content_hash, links,
+                    http_status, last_crawled_at, last_changed_at
+                ) VALUES ($1, $2, $3, 'active', $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                ON CONFLICT (source_id, url) DO UPDATE SET
+                    status = 'active', lineage_id = EXCLUDED.lineage_id, title = EXCLUDED.title, etag = EXCLUDED.etag,
+                    last_modified = EXCLUDED.last_modified, content_hash = EXCLUDED.content_hash, links = EXCLUDED.links,
+                    http_status = EXCLUDED.http_status, last_error = NULL, last_crawled_at = CURRENT_TIMESTAMP,
+                    last_changed_at = CURRENT_TIMESTAMP, retired_at = NULL`,
+                [
+                    source.source_id, url, tenantId, lineageId, page.title, page.etag, page.last_modified,
+                    contentHash, page.links, page.http_status
+                ]
+            );
+
+            if (!vectorizeInProcess) {
+                await this.webhook.sendRagIngestEvent({
+                    tenantId,
+                    documentId,
+                    content: markdown,
+                    metadata,
+                    callbackUrl: `${this.appUrl}/api/rag/callback/${callbackId}`
+                }, { client, idempotencyKey: `rag-ingest-${documentId}` });
+            }
+        });
+
+        if (version > 1) {
+            this.stats.documents_updated++;
+        } else {
+            this.stats.documents_created++;
+        }
+        console.log(`[CRAWLER] Stored ${url} as document ${documentId} (version ${version})`);
+
+        await recordUsage(db, tenantId, 'document_pages', 1, { metadata: { document_id: documentId, crawl_source_id: source.source_id } });
+        await recordUsage(db, tenantId, 'document_bytes', Buffer.byteLength(markdown), { metadata: { document_id: documentId } });
+
+        if (vectorizeInProcess) {
+            await this.vectorize(documentId, markdown);
+        } else {
+            this.webhook.notifyDispatcher();
+        }
+    }
+
+    async vectorize(documentId, markdown) {
+        try {
+            await this.pipeline.processDocument({ tenantId: this.tenantId, documentId, markdown });
+        } catch (error) {
+            this.stats.errors++;
+            console.error(`[CRAWLER] Failed to vectorize document ${documentId}:`, error.message);
+            await this.db.query(
+                `UPDATE rag_documents SET status = 'failed', updated_at = CURRENT_TIMESTAMP
+                 WHERE document_id = $1 AND tenant_id = $2`,
+                [documentId, this.tenantId]
+            );
+        }
+    }
+}
+
+/**
+ * Crawl a source held with claimDueSource or claimSource, then release it and schedule its
+ * next run. A run that fails (sitemap or robots.txt unavailable) retires nothing.
+ * @param {Object} db
+ * @param {Object} source
+ * @param {Object} [options] - { pipeline, webhook } overrides
+ * @returns {Promise<{status: string, error: string|null, stats: Object}>} status is 'succeeded',
+ *   'partial' (some pages failed) or 'failed'
+ */
+async function runCrawl(db, source, options = {}) {
+    const startTime = Date.now();
+    const crawl = new SourceCrawl(db, source, options);
+    let status = 'succeeded';
+    let errorMessage = null;
+    try {
+        await crawl.crawl();
+        if (crawl.stats.errors > 0) {
+            status = 'partial';
+        }
+    } catch (error) {
+        status = 'failed';
+        errorMessage = error.message;
+        console.error(`[CRAWLER] Crawl of source ${source.source_id} failed:`, error.message);
+    }
+
+    const { stats } = crawl;
+    try {
+        // Settings may have changed during the run
+        const current = await getSource(db, source.tenant_id, source.source_id);
+        await db.query(
+            `UPDATE rag_crawl_sources SET
+                running_since = NULL, last_run_at = CURRENT_TIMESTAMP, last_status = $3, last_error = $4,
+                last_stats = $5, next_run_at = $6
+             WHERE tenant_id = $1 AND source_id = $2`,
+            [source.tenant_id, source.source_id, status, errorMessage, stats, current ? scheduledRun(current) : null]
+        );
+    } catch (error) {
+        console.error(`[CRAWLER] Failed to release source ${source.source_id}:`, error.message);
+    }
+
+    console.log(`[CRAWLER] Source ${source.name} (${source.source_id}) ${status} in ${Date.now() - startTime}ms:`, JSON.stringify(stats));
+    if (stats.documents_created + stats.documents_updated + stats.retired > 0) {
+        getSSEHub().publish(SSEHub.knowledgeChannel(source.tenant_id), {
+            type: 'crawl-completed',
+            source_id: source.source_id,
+            status,
+            metadata: { ...stats, timestamp: new Date().toISOString() }
+        }).catch(error => {
+            console.error('[CRAWLER] Failed to publish knowledge SSE event:', error.message);
+        });
+    }
+    return { status, error: errorMessage, stats };
+}
+
+module.exports = {
+    CRAWLER_SOURCE,
+    validateSource,
+    listSources,
+    getSource,
+    createSource,
+    updateSource,
+    deleteSource,
+    listPages,
+    claimDueSource,
+    claimSource,
+    runCrawl
+};
@@ -0,0 +1,153 @@
+// Markdown chunking for the in-process ingestion pipeline
+// Splits processed markdown into heading-scoped sections, then into
+// token-bounded windows with overlap so context carries across chunk boundaries
+
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE_REGEX = /^\s*(```|~~~)/;
+
+/**
+ * Rough token estimate (~4 characters per token, at least 1 per word)
+ * @param {string} word
+ * @returns {number}
+ */
+function estimateWordTokens(word) {
+    return Math.max(1, Math.ceil(word.length / 4));
+}
+
+function estimateTokens(text) {
+    return (text.match(/\S+/g) || []).reduce((sum, word) => sum + estimateWordTokens(word), 0);
+}
+
+/**
+ * Split markdown into sections at ATX headings, ignoring headings inside fenced code blocks
+ * @param {string} markdown
+ * @returns {Array<{headingPath: string[], heading: string|null, body: string}>}
+ */
+function splitByHeadings(markdown) {
+    const sections = [];
+    const headingStack = [];
+    let current = { headingPath: [], heading: null, lines: [] };
+    let inFence = false;
+
+    for (const line of markdown.split(/\r?\n/)) {
+        if (FENCE_REGEX.test(line)) {
+            inFence = !inFence;
+        }
+
+        const match = !inFence && line.match(HEADING_REGEX);
+        if (match) {
+            sections.push(current);
+
+            const level = match[1].length;
+            const title = match[2].trim();
+            while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= level) {
+                headingStack.pop();
+            }
+            headingStack.push({ level, title });
+
+            current = {
+                headingPath: headingStack.map(h => h.title),
+                heading: line.trim(),
+                lines: []
+            };
+        } else {
+            current.lines.push(line);
+        }
+    }
+    sections.push(current);
+
+    return sections
+        .map(section => ({
+            headingPath: section.headingPath,
+            heading: section.heading,
+            body: section.lines.join('\n').trim()
+        }))
+        .filter(section => section.body.length > 0);
+}
+
+/**
+ * Split text into windows of at most maxTokens, each starting overlapTokens before the previous end
+ * @param {string} text
+ * @param {number} maxTokens
+ * @param {number} overlapTokens
+ * @returns {string[]}
+ */
+function windowText(text, maxTokens, overlapTokens) {
+    const words = text.match(/\S+/g) || [];
+    const windows = [];
+    let start = 0;
+
+    while (start < words.length) {
+        let end = start;
+        let tokens = 0;
+        while (end < words.length && (end === start || tokens + estimateWordTokens(words[end]) <= maxTokens)) {
+            tokens += estimateWordTokens(words[end]);
+            end++;
+        }
+        windows.push(words.slice(start, end).join(' '));
+
+        if (end >= words.length) {
+            break;
+        }
+
+        // Step back far enough to repeat roughly overlapTokens of trailing context
+        let next = end;
+        let overlap = 0;
+        while (next > start + 1 && overlap + estimateWordTokens(words[next - 1]) <= overlapTokens) {
+            overlap += estimateWordTokens(words[next - 1]);
+            next--;
+        }
+        start = next;
+    }
+
+    return windows;
+}
+
+/**
+ * Chunk processed markdown by heading, token count and overlap
+ * @param {string} markdown - Document markdown
+ * @param {Object} options
+ * @param {number} [options.maxTokens=400] - Maximum estimated tokens per chunk
+ * @param {number} [options.overlapTokens=50] - Estimated tokens repeated between consecutive chunks of a section
+ * @returns {Array<{chunk_text: string, chunk_index: number, metadata: Object}>}
+ */
+function chunkMarkdown(markdown, { maxTokens = 400, overlapTokens = 50 } = {}) {
+    if (!markdown || typeof markdown !== 'string') {
+        return [];
+    }
+    if (overlapTokens >= maxTokens) {
+        throw new Error('overlapTokens must be smaller than maxTokens');
+    }
+
+    const chunks = [];
+
+    splitByHeadings(markdown).forEach((section, sectionIndex) => {
+        // Keep the heading on every chunk of its section so each chunk is self-describing
+        const prefix = section.heading ? `${section.heading}\n\n` : '';
+        const budget = Math.max(overlapTokens + 1, maxTokens - estimateTokens(prefix));
+        const pieces = estimateTokens(section.body) <= budget
+            ? [section.body]
+            : windowText(section.body, budget, overlapTokens);
+
+        for (const piece of pieces) {
+            const chunkText = prefix + piece;
+            chunks.push({
+                chunk_text: chunkText,
+                chunk_index: chunks.length,
+                metadata: {
+                    heading_path: section.headingPath,
+                    section_index: sectionIndex,
+                    token_count: estimateTokens(chunkText)
+                }
+            });
+        }
+    });
+
+    return chunks;
+}
+
+module.exports = {
+    estimateTokens,
+    splitByHeadings,
+    chunkMarkdown
+};
@@ -0,0 +1,134 @@
+// Full-text search over a user's conversation history (rag_messages.message_tsv)
+// Matches are grouped per conversation, best conversations first, with highlighted
+// snippets of the top matching messages and their position in the conversation
+
+const TEXT_SEARCH_CONFIG = 'english';
+const MATCHES_PER_CONVERSATION = 3;
+
+// ts_headline marks matches with control characters so the snippet can be HTML-escaped safely
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_STOP}", MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "`;
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+/**
+ * Turn a ts_headline result into plain text and HTML with <mark> around matches
+ * @returns {{ text: string, html: string }}
+ */
+function formatHeadline(headline) {
+    const markers = new RegExp(`[${HIGHLIGHT_START}${HIGHLIGHT_STOP}]`, 'g');
+    return {
+        text: headline.replace(markers, ''),
+        html: escapeHtml(headline)
+            .split(HIGHLIGHT_START).join('<mark>')
+            .split(HIGHLIGHT_STOP).join('</mark>')
+    };
+}
+
+/**
+ * Search the conversations of one user
+ * @param {Object} db
+ * @param {Object} params
+ * @param {string} params.tenantId
+ * @param {string} params.userEmail
+ * @param {string} params.query - Web-search syntax: words, "quoted phrases", -excluded, OR
+ * @param {number} params.limit - Conversations per page
+ * @param {number} params.offset
+ * @returns {Promise<{ conversations: Array, total: number }>}
+ */
+async function searchConversations(db, { tenantId, userEmail, query, limit, offset }) {
+    const result = await db.query(
+        `WITH q AS (
+            SELECT websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', $3) AS query
+         ),
+         matches AS (
+            SELECT
+                m.id, m.conversation_id, m.role, m.message, m.created_at,
+                ts_rank(m.message_tsv, q.query) AS rank,
+                ROW_NUMBER() OVER (PARTITION BY m.conversation_id ORDER BY ts_rank(m.message_tsv, q.query) DESC, m.id DESC) AS match_rank
+            FROM rag_messages m
+            JOIN rag_conversations c ON c.conversation_id = m.conversation_id
+            CROSS JOIN q
+            WHERE c.tenant_id = $1 AND c.user_email = $2 AND c.status = 'active'
+            AND m.tenant_id = $1
+            AND m.message_tsv @@ q.query
+         ),
+         ranked AS (
+            SELECT
+                conversation_id,
+                MAX(rank) AS best_rank,
+                COUNT(*) AS match_count,
+                MAX(created_at) AS last_match_time,
+                COUNT(*) OVER () AS total
+            FROM matches
+            GROUP BY conversation_id
+            ORDER BY best_rank DESC, last_match_time DESC
+            LIMIT $4 OFFSET $5
+         )
+         SELECT
+            r.conversation_id, r.match_count, r.total,
+            c.created_at AS conversation_created_at,
+            (SELECT f.message FROM rag_messages f
+             WHERE f.conversation_id = r.conversation_id AND f.role = 'user'
+             ORDER BY f.created_at ASC, f.id ASC LIMIT 1) AS first_user_message,
+            (SELECT MAX(l.created_at) FROM rag_messages l
+             WHERE l.conversation_id = r.conversation_id) AS last_message_time,
+            m.id AS message_id, m.role, m.created_at AS message_created_at,
+            ts_headline('${TEXT_SEARCH_CONFIG}', m.message, q.query, $6) AS headline,
+            (SELECT COUNT(*) FROM rag_messages p
+             WHERE p.conversation_id = m.conversation_id
+             AND (p.created_at < m.created_at OR (p.created_at = m.created_at AND p.id < m.id))) AS message_offset
+         FROM ranked r
+         JOIN rag_conversations c ON c.conversation_id = r.conversation_id
+         JOIN matches m ON m.conversation_id = r.conversation_id AND m.match_rank <= ${MATCHES_PER_CONVERSATION}
+         CROSS JOIN q
+         ORDER BY r.best_rank DESC, r.last_match_time DESC, m.match_rank ASC`,
+        [tenantId, userEmail, query, limit, offset, HEADLINE_OPTIONS]
+    );
+
+    const conversations = [];
+    const byId = new Map();
+    for (const row of result.rows) {
+        let conversation = byId.get(row.conversation_id);
+        if (!conversation) {
+            conversation = {
+                conversation_id: row.conversation_id,
+                created_at: row.conversation_created_at,
+                last_message_time: row.last_message_time,
+                title: row.first_user_message || 'New conversation',
+                match_count: parseInt(row.match_count),
+                matches: []
+            };
+            byId.set(row.conversation_id, conversation);
+            conversations.push(conversation);
+        }
+
+        const snippet = formatHeadline(row.headline);
+        conversation.matches.push({
+            message_id: row.message_id,
+            role: row.role,
+            created_at: row.message_created_at,
+            message_offset: parseInt(row.message_offset),
+            snippet: snippet.text,
+            snippet_html: snippet.html
+        });
+    }
+
+    return {
+        conversations,
+        total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0
+    };
+}
+
+module.exports = {
+    searchConversations,
+    formatHeadline
+};
@@ -0,0 +1,162 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC.
+// Fields take *, numbers, ranges (1-5), steps (*/15, 0-30/10), lists (1,15) and month/day
+// names (jan, mon). As in Vixie cron, when both day fields are restricted a day matching
+// either one matches, and 7 is Sunday like 0.
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+// An expression that matches nothing within this many years (e.g. 30 February) never runs
+const SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+    if (field.names) {
+        const index = field.names.indexOf(text.toLowerCase());
+        if (index !== -1) {
+            return index + field.nameOffset;
+        }
+    }
+    if (!/^\d+$/.test(text)) {
+        throw new Error(`Invalid ${field.name} "${text}"`);
+    }
+    const value = parseInt(text, 10);
+    if (value < field.min || value > field.max) {
+        throw new Error(`${field.name} ${value} is outside ${field.min}-${field.max}`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [range, stepText, extra] = part.split('/');
+        if (extra !== undefined || range === '') {
+            throw new Error(`Invalid ${field.name} "${part}"`);
+        }
+
+        let step = 1;
+        if (stepText !== undefined) {
+            if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+                throw new Error(`Invalid ${field.name} step "${stepText}"`);
+            }
+            step = parseInt(stepText, 10);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const bounds = range.split('-');
+            if (bounds.length !== 2) {
+                throw new Error(`Invalid ${field.name} range "${range}"`);
+            }
+            start = parseValue(bounds[0], field);
+            end = parseValue(bounds[1], field);
+            if (start > end) {
+                throw new Error(`Invalid ${field.name} range "${range}"`);
+            }
+        } else {
+            start = parseValue(range, field);
+            end = stepText !== undefined ? field.max : start;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields, or a macro such as @daily
+ * @returns {Object} Parsed schedule for nextRunTime
+ * @throws {Error} When the expression is invalid
+ */
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    const fields = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+        throw new Error('A cron schedule has five fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) => parseField(field, FIELDS[i]));
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        anyDayOfMonth: fields[2].startsWith('*'),
+        anyDayOfWeek: fields[4].startsWith('*')
+    };
+}
+
+function dayMatches(schedule, date) {
+    const monthDay = schedule.daysOfMonth.has(date.getUTCDate());
+    const weekDay = schedule.daysOfWeek.has(date.getUTCDay());
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return monthDay && weekDay;
+    }
+    return monthDay || weekDay;
+}
+
+/**
+ * The first time after `after` (to the minute) that a schedule runs
+ * @param {string|Object} schedule - Cron expression or parseCron result
+ * @param {Date} [after]
+ * @returns {Date|null} null when the schedule never runs
+ */
+function nextRunTime(schedule, after = new Date()) {
+    const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = new Date(date.getTime());
+    limit.setUTCFullYear(limit.getUTCFullYear() + SEARCH_YEARS);
+
+    while (date < limit) {
+        if (!parsed.months.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!dayMatches(parsed, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0, 0, 0);
+        } else if (!parsed.hours.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+        } else if (!parsed.minutes.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+        } else {
+            return date;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    parseCron,
+    nextRunTime
+};
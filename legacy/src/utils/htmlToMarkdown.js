@@ -0,0 +1,424 @@
+// HTML to markdown for crawled web pages
+// A forgiving parser builds a small element tree (paragraphs, list items and table cells close
+// themselves, stray end tags are ignored), which is rendered as markdown. Scripts, styles, forms
+// and page chrome (nav, footer) are dropped, and when a page marks its content with <main> - or
+// has a single <article> - only that is converted. Links are collected from the whole page.
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+// Elements whose content is text up to the end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp']);
+const SKIPPED_ELEMENTS = new Set([
+    'head', 'title', 'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+    'form', 'button', 'select', 'textarea', 'nav', 'footer', 'dialog'
+]);
+const BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'aside', 'figure', 'figcaption', 'address',
+    'details', 'summary', 'dl', 'dt', 'dd', 'center', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol',
+    'li', 'pre', 'blockquote', 'table', 'hr'
+]);
+// An open element of the key type is closed by a new one before reaching any of its containers
+const SELF_CLOSING_SCOPES = {
+    li: ['ul', 'ol'],
+    dt: ['dl'],
+    dd: ['dl'],
+    tr: ['table', 'thead', 'tbody', 'tfoot'],
+    td: ['tr', 'table'],
+    th: ['tr', 'table'],
+    option: ['select']
+};
+const CLOSED_BY = { dt: ['dt', 'dd'], dd: ['dt', 'dd'], td: ['td', 'th'], th: ['td', 'th'] };
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', copy: '©', reg: '®', trade: '™',
+    hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•',
+    middot: '·', laquo: '«', raquo: '»', times: '×', deg: '°', euro: '€', pound: '£', cent: '¢',
+    sect: '§', para: '¶', rarr: '→', larr: '←'
+};
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+function decodeEntities(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        const decoded = NAMED_ENTITIES[entity] ?? NAMED_ENTITIES[entity.toLowerCase()];
+        return decoded !== undefined ? decoded : match;
+    });
+}
+
+function parseAttributes(text) {
+    const attributes = {};
+    for (const [, name, doubleQuoted, singleQuoted, unquoted] of text.matchAll(ATTRIBUTE_PATTERN)) {
+        const key = name.toLowerCase();
+        if (!(key in attributes)) {
+            attributes[key] = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+        }
+    }
+    return attributes;
+}
+
+/**
+ * Parse HTML into a tree of { tag, attributes, children, parent } elements and { text } nodes
+ */
+function parseHtml(html) {
+    const root = { tag: '#root', attributes: {}, children: [], parent: null };
+    let current = root;
+    let position = 0;
+
+    const addText = (text) => {
+        if (text) {
+            current.children.push({ text: decodeEntities(text) });
+        }
+    };
+    const findOpen = (tag, scopes = []) => {
+        for (let node = current; node !== root; node = node.parent) {
+            if (node.tag === tag) {
+                return node;
+            }
+            if (scopes.includes(node.tag)) {
+                return null;
+            }
+        }
+        return null;
+    };
+    const closeTo = (node) => {
+        current = node.parent;
+    };
+
+    while (position < html.length) {
+        const start = html.indexOf('<', position);
+        if (start === -1) {
+            addText(html.slice(position));
+            break;
+        }
+        addText(html.slice(position, start));
+
+        if (html.startsWith('<!--', start)) {
+            const end = html.indexOf('-->', start + 4);
+            position = end === -1 ? html.length : end + 3;
+            continue;
+        }
+        if (html[start + 1] === '!' || html[start + 1] === '?') {
+            const end = html.indexOf('>', start);
+            position = end === -1 ? html.length : end + 1;
+            continue;
+        }
+
+        TAG_PATTERN.lastIndex = start;
+        const match = TAG_PATTERN.exec(html);
+        if (!match) {
+            addText('<');
+            position = start + 1;
+            continue;
+        }
+        position = TAG_PATTERN.lastIndex;
+        const [, closing, name, attributeText, selfClosing] = match;
+        const tag = name.toLowerCase();
+
+        if (closing) {
+            const open = findOpen(tag);
+            if (open) {
+                closeTo(open);
+            }
+            continue;
+        }
+
+        // Block content ends an open paragraph; list items, terms and cells end their open siblings
+        if (BLOCK_ELEMENTS.has(tag) && current.tag === 'p') {
+            closeTo(current);
+        }
+        if (SELF_CLOSING_SCOPES[tag]) {
+            for (const sibling of CLOSED_BY[tag] || [tag]) {
+                const open = findOpen(sibling, SELF_CLOSING_SCOPES[tag]);
+                if (open) {
+                    closeTo(open);
+                    break;
+                }
+            }
+        }
+
+        const element = { tag, attributes: parseAttributes(attributeText), children: [], parent: current };
+        current.children.push(element);
+        if (VOID_ELEMENTS.has(tag) || selfClosing) {
+            continue;
+        }
+
+        if (RAW_TEXT_ELEMENTS.has(tag)) {
+            const endPattern = new RegExp(`</${tag}\\s*>`, 'ig');
+            endPattern.lastIndex = position;
+            const end = endPattern.exec(html);
+            const text = html.slice(position, end ? end.index : html.length);
+            if (text) {
+                element.children.push({ text: tag === 'script' || tag === 'style' ? text : decodeEntities(text) });
+            }
+            position = end ? endPattern.lastIndex : html.length;
+            continue;
+        }
+        current = element;
+    }
+
+    return root;
+}
+
+function findElements(node, predicate, results = []) {
+    for (const child of node.children || []) {
+        if (child.tag) {
+            if (predicate(child)) {
+                results.push(child);
+            }
+            findElements(child, predicate, results);
+        }
+    }
+    return results;
+}
+
+function textContent(node) {
+    if (node.text !== undefined) {
+        return node.text;
+    }
+    return node.children.map(textContent).join('');
+}
+
+function resolveUrl(href, baseUrl) {
+    if (!href) {
+        return null;
+    }
+    try {
+        const url = new URL(href.trim(), baseUrl);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:' && url.protocol !== 'mailto:') {
+            return null;
+        }
+        url.hash = '';
+        return url.href;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Keep surrounding whitespace outside of emphasis and link markup, which markdown requires
+function wrapInline(content, before, after = before) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${before}${match[2]}${after}${match[3]}` : content;
+}
+
+function inline(content) {
+    return content.replace(/\s*\n\s*/g, ' ').trim();
+}
+
+function block(content) {
+    const trimmed = content.trim();
+    return trimmed ? `\n\n${trimmed}\n\n` : '';
+}
+
+function indentLines(text, firstPrefix, prefix) {
+    return text.split('\n').map((line, i) => (i === 0 ? firstPrefix : line ? prefix : '') + line).join('\n');
+}
+
+function renderChildren(node, context) {
+    let output = '';
+    for (const child of node.children) {
+        let piece = renderNode(child, context);
+        // Whitespace collapses across elements, and text starting a line loses it
+        if (output.endsWith('\n') || output.endsWith(' ')) {
+            piece = piece.replace(/^[ \t]+/, '');
+        }
+        output += piece;
+    }
+    return output;
+}
+
+function renderList(node, context) {
+    const ordered = node.tag === 'ol';
+    let number = ordered ? parseInt(node.attributes.start, 10) || 1 : 1;
+    const items = [];
+    for (const child of node.children) {
+        if (child.text !== undefined && !child.text.trim()) {
+            continue;
+        }
+        const content = (child.tag ? renderChildren(child, context) : renderNode(child, context))
+            .trim()
+            .replace(/\n{2,}/g, '\n');
+        if (!content) {
+            continue;
+        }
+        const marker = ordered ? `${number++}. ` : '- ';
+        items.push(indentLines(content, marker, ' '.repeat(marker.length)));
+    }
+    return items.length > 0 ? `\n\n${items.join('\n')}\n\n` : '';
+}
+
+function renderTable(node, context) {
+    const rows = findElements(node, element => element.tag === 'tr')
+        .map(row => row.children
+            .filter(cell => cell.tag === 'td' || cell.tag === 'th')
+            .map(cell => inline(renderChildren(cell, context)).replace(/\|/g, '\\|')))
+        .filter(cells => cells.length > 0);
+    if (rows.length === 0) {
+        return '';
+    }
+
+    const columns = Math.max(...rows.map(cells => cells.length));
+    const line = cells => `| ${[...cells, ...Array(columns - cells.length).fill('')].join(' | ')} |`;
+    return block([
+        line(rows[0]),
+        line(Array(columns).fill('---')),
+        ...rows.slice(1).map(line)
+    ].join('\n'));
+}
+
+function renderPre(node) {
+    const code = textContent(node).replace(/^\n/, '').replace(/\s+$/, '');
+    if (!code) {
+        return '';
+    }
+    const codeElement = node.children.find(child => child.tag === 'code');
+    const language = (codeElement?.attributes.class || node.attributes.class || '').match(/(?:^|\s)(?:language|lang)-([\w+-]+)/)?.[1] || '';
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `\n\n${fence}${language}\n${code}\n${fence}\n\n`;
+}
+
+function renderNode(node, context) {
+    if (node.text !== undefined) {
+        return node.text.replace(/\s+/g, ' ');
+    }
+
+    const { tag } = node;
+    if (SKIPPED_ELEMENTS.has(tag) || node.attributes.hidden !== undefined || node.attributes['aria-hidden'] === 'true') {
+        return '';
+    }
+
+    switch (tag) {
+        case 'h1':
+        case 'h2':
+        case 'h3':
+        case 'h4':
+        case 'h5':
+        case 'h6': {
+            const text = inline(renderChildren(node, context));
+            return text ? `\n\n${'#'.repeat(Number(tag[1]))} ${text}\n\n` : '';
+        }
+        case 'br':
+            return '\n';
+        case 'hr':
+            return '\n\n---\n\n';
+        case 'strong':
+        case 'b':
+            return wrapInline(renderChildren(node, context), '**');
+        case 'em':
+        case 'i':
+            return wrapInline(renderChildren(node, context), '_');
+        case 'del':
+        case 's':
+        case 'strike':
+            return wrapInline(renderChildren(node, context), '~~');
+        case 'code': {
+            const code = textContent(node).replace(/\s+/g, ' ');
+            if (!code.trim()) {
+                return code;
+            }
+            const ticks = code.includes('`') ? '``' : '`';
+            return `${ticks}${code}${ticks}`;
+        }
+        case 'pre':
+            return renderPre(node);
+        case 'a': {
+            const text = renderChildren(node, context).replace(/\s*\n\s*/g, ' ');
+            const href = resolveUrl(node.attributes.href, context.baseUrl);
+            if (!href || text.trim() === href) {
+                return text;
+            }
+            return wrapInline(text, '[', `](${href})`);
+        }
+        case 'img': {
+            const alt = inline(node.attributes.alt || '');
+            const src = resolveUrl(node.attributes.src, context.baseUrl);
+            return alt && src ? `![${alt.replace(/[[\]]/g, '')}](${src})` : '';
+        }
+        case 'ul':
+        case 'ol':
+            return renderList(node, context);
+        case 'li':
+            return block(`- ${renderChildren(node, context).trim()}`);
+        case 'blockquote': {
+            const quoted = renderChildren(node, context).trim().replace(/\n{3,}/g, '\n\n');
+            return quoted ? `\n\n${quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n` : '';
+        }
+        case 'table':
+            return renderTable(node, context);
+        case 'dt':
+            return block(wrapInline(inline(renderChildren(node, context)), '**'));
+        default:
+            return BLOCK_ELEMENTS.has(tag) ? block(renderChildren(node, context)) : renderChildren(node, context);
+    }
+}
+
+function cleanMarkdown(markdown) {
+    return markdown
+        .split('\n')
+        .map(line => line.replace(/[ \t]+$/, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Convert an HTML page to markdown
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl] - URL of the page, for resolving relative links (<base href> overrides it)
+ * @returns {{ title: string, markdown: string, links: string[], noindex: boolean, nofollow: boolean }}
+ *   links are the page's http(s) links without fragments, excluding rel="nofollow" links
+ */
+function htmlToMarkdown(html, { baseUrl } = {}) {
+    const root = parseHtml(String(html || ''));
+
+    const baseElement = findElements(root, element => element.tag === 'base' && element.attributes.href)[0];
+    const base = (baseElement && resolveUrl(baseElement.attributes.href, baseUrl)) || baseUrl;
+
+    const robots = findElements(root, element => element.tag === 'meta' && (element.attributes.name || '').toLowerCase() === 'robots')
+        .map(element => (element.attributes.content || '').toLowerCase())
+        .join(',');
+    const noindex = /\b(noindex|none)\b/.test(robots);
+    const nofollow = /\b(nofollow|none)\b/.test(robots);
+
+    const titleElement = findElements(root, element => element.tag === 'title')[0];
+    const firstHeading = findElements(root, element => element.tag === 'h1')[0];
+    const title = inline(textContent(titleElement || firstHeading || { text: '' }).replace(/\s+/g, ' '));
+
+    const links = new Set();
+    for (const anchor of findElements(root, element => element.tag === 'a' && element.attributes.href)) {
+        if (/\bnofollow\b/i.test(anchor.attributes.rel || '')) {
+            continue;
+        }
+        const href = resolveUrl(anchor.attributes.href, base);
+        if (href && !href.startsWith('mailto:')) {
+            links.add(href);
+        }
+    }
+
+    const main = findElements(root, element => element.tag === 'main')[0];
+    const articles = main ? [] : findElements(root, element => element.tag === 'article');
+    const content = main || (articles.length === 1 ? articles[0] : root);
+
+    const context = { baseUrl: base };
+    return {
+        title,
+        markdown: cleanMarkdown(content === root ? renderChildren(root, context) : renderNode(content, context)),
+        links: [...links],
+        noindex,
+        nofollow
+    };
+}
+
+module.exports = {
+    htmlToMarkdown,
+    decodeEntities
+};
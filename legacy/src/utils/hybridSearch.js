@@ -0,0 +1,227 @@
+// Hybrid retrieval helpers for RAG vector search
+// Combines pgvector cosine ranking with Postgres full-text ranking using
+// reciprocal rank fusion (RRF): score = sum(weight / (k + rank))
+
+const SEARCH_MODES = ['vector', 'keyword', 'hybrid'];
+const TEXT_SEARCH_CONFIG = 'english';
+const RRF_K = 60;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function toArray(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate the filters object accepted by vector search
+ * @param {Object} filters - { document_id, file_type, category, tags, created_at: { from, to } }
+ * @returns {string[]} List of validation errors (empty when valid)
+ */
+function validateSearchFilters(filters) {
+    const errors = [];
+
+    if (filters === undefined || filters === null) {
+        return errors;
+    }
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+        return ['filters must be an object'];
+    }
+
+    const documentIds = toArray(filters.document_id);
+    if (documentIds.some(id => typeof id !== 'string' || !UUID_REGEX.test(id))) {
+        errors.push('filters.document_id must be a UUID or an array of UUIDs');
+    }
+
+    for (const field of ['file_type', 'category', 'tags']) {
+        if (toArray(filters[field]).some(value => typeof value !== 'string')) {
+            errors.push(`filters.${field} must be a string or an array of strings`);
+        }
+    }
+
+    if (filters.created_at !== undefined) {
+        const range = filters.created_at;
+        if (!range || typeof range !== 'object' || Array.isArray(range)) {
+            errors.push('filters.created_at must be an object with from and/or to');
+        } else {
+            for (const bound of ['from', 'to']) {
+                if (range[bound] !== undefined && isNaN(Date.parse(range[bound]))) {
+                    errors.push(`filters.created_at.${bound} must be a valid date`);
+                }
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Build SQL conditions for the filters, against rag_vectors (v) left joined to rag_documents (d)
+ * @param {Object} filters - Validated filters object
+ * @param {Array} params - Query parameter list, appended to in place
+ * @returns {string} SQL fragment starting with AND (or empty string)
+ */
+function buildFilterClause(filters, params) {
+    if (!filters) {
+        return '';
+    }
+
+    const conditions = [];
+    const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    const documentIds = toArray(filters.document_id);
+    if (documentIds.length > 0) {
+        conditions.push(`v.document_id = ANY(${addParam(documentIds)}::uuid[])`);
+    }
+
+    const fileTypes = toArray(filters.file_type).map(type => type.toLowerCase().replace(/^\./, ''));
+    if (fileTypes.length > 0) {
+        conditions.push(`LOWER(d.file_type) = ANY(${addParam(fileTypes)}::text[])`);
+    }
+
+    const categories = toArray(filters.category);
+    if (categories.length > 0) {
+        conditions.push(`d.metadata->>'category' = ANY(${addParam(categories)}::text[])`);
+    }
+
+    const tags = toArray(filters.tags);
+    if (tags.length > 0) {
+        conditions.push(`d.metadata->'tags' ?| ${addParam(tags)}::text[]`);
+    }
+
+    if (filters.created_at?.from) {
+        conditions.push(`d.created_at >= ${addParam(new Date(filters.created_at.from))}`);
+    }
+    if (filters.created_at?.to) {
+        conditions.push(`d.created_at <= ${addParam(new Date(filters.created_at.to))}`);
+    }
+
+    return conditions.map(condition => ` AND ${condition}`).join('');
+}
+
+/**
+ * Run a vector, keyword or hybrid search over a tenant's rag_vectors
+ * @param {Object} db - Database handle exposing query(text, params)
+ * @param {Object} options
+ * @param {string} options.tenantId - Tenant to search within
+ * @param {string} options.mode - 'vector', 'keyword' or 'hybrid'
+ * @param {string} [options.vectorString] - Query embedding in pgvector literal format
+ * @param {string} [options.queryText] - Keyword query (websearch syntax)
+ * @param {number} options.limit - Maximum results to return
+ * @param {number} options.threshold - Minimum cosine similarity for semantic candidates
+ * @param {Object} [options.filters] - Validated filters object
+ * @param {Object} [options.weights] - { semantic, lexical } RRF weights, default 1 each
+ * @param {string[]|null} [options.collectionIds] - Collections the searcher may read (documents outside
+ *   collections always qualify); null searches every collection
+ * @returns {Promise<Array>} Rows with similarity, lexical_score, ranks and fused_score
+ */
+async function searchChunks(db, { tenantId, mode, vectorString, queryText, limit, threshold, filters, weights = {}, collectionIds = null }) {
+    const params = [tenantId];
+    let filterClause = buildFilterClause(filters, params);
+    if (collectionIds) {
+        params.push(collectionIds);
+        filterClause += ` AND (d.collection_id IS NULL OR d.collection_id = ANY($${params.length}::uuid[]))`;
+    }
+    const useSemantic = mode !== 'keyword';
+    const useLexical = mode !== 'vector';
+
+    // Each branch pulls a wider candidate pool than the final limit so fusion has overlap to work with
+    params.push(mode === 'hybrid' ? Math.max(limit * 4, 20) : limit);
+    const candidateLimitParam = `$${params.length}`;
+
+    // rag_vectors has no foreign key to rag_documents, and vectors stored without a document row
+    // still answer, like documents outside collections; they never match document filters
+    const baseFrom = `FROM rag_vectors v
+            LEFT JOIN rag_documents d ON d.document_id = v.document_id AND d.tenant_id = v.tenant_id`;
+    // Only the current version of each document answers
+    const baseWhere = `WHERE v.tenant_id = $1 AND d.is_current IS NOT FALSE${filterClause}`;
+
+    const ctes = [];
+
+    if (useSemantic) {
+        params.push(vectorString);
+        const vectorParam = `$${params.length}`;
+        params.push(threshold);
+        const thresholdParam = `$${params.length}`;
+        ctes.push(`semantic AS (
+            SELECT v.id,
+                   1 - (v.embedding <=> ${vectorParam}::vector) AS similarity,
+                   ROW_NUMBER() OVER (ORDER BY v.embedding <=> ${vectorParam}::vector) AS semantic_rank
+            ${baseFrom}
+            ${baseWhere}
+                AND 1 - (v.embedding <=> ${vectorParam}::vector) > ${thresholdParam}
+            ORDER BY v.embedding <=> ${vectorParam}::vector
+            LIMIT ${candidateLimitParam}
+        )`);
+    }
+
+    if (useLexical) {
+        params.push(queryText);
+        const textParam = `$${params.length}`;
+        ctes.push(`lexical AS (
+            SELECT v.id,
+                   ts_rank_cd(v.chunk_tsv, q.query) AS lexical_score,
+                   ROW_NUMBER() OVER (ORDER BY ts_rank_cd(v.chunk_tsv, q.query) DESC, v.id) AS lexical_rank
+            ${baseFrom}
+            CROSS JOIN websearch_to_tsquery('${TEXT_SEARCH_CONFIG}', ${textParam}) AS q(query)
+            ${baseWhere}
+                AND v.chunk_tsv @@ q.query
+            ORDER BY lexical_score DESC, v.id
+            LIMIT ${candidateLimitParam}
+        )`);
+    }
+
+    params.push(weights.semantic ?? 1);
+    const semanticWeightParam = `$${params.length}`;
+    params.push(weights.lexical ?? 1);
+    const lexicalWeightParam = `$${params.length}`;
+    params.push(limit);
+    const limitParam = `$${params.length}`;
+
+    let candidates;
+    if (useSemantic && useLexical) {
+        candidates = `SELECT COALESCE(s.id, l.id) AS id, s.similarity, s.semantic_rank, l.lexical_score, l.lexical_rank
+            FROM semantic s FULL OUTER JOIN lexical l ON s.id = l.id`;
+    } else if (useSemantic) {
+        candidates = `SELECT s.id, s.similarity, s.semantic_rank, NULL::real AS lexical_score, NULL::bigint AS lexical_rank
+            FROM semantic s`;
+    } else {
+        candidates = `SELECT l.id, NULL::double precision AS similarity, NULL::bigint AS semantic_rank, l.lexical_score, l.lexical_rank
+            FROM lexical l`;
+    }
+
+    const sql = `
+        WITH ${ctes.join(',\n        ')},
+        candidates AS (${candidates})
+        SELECT
+            v.document_id,
+            v.chunk_text,
+            v.chunk_index,
+            v.metadata,
+            c.similarity,
+            c.semantic_rank,
+            c.lexical_score,
+            c.lexical_rank,
+            COALESCE(${semanticWeightParam}::float / (${RRF_K} + c.semantic_rank), 0)
+                + COALESCE(${lexicalWeightParam}::float / (${RRF_K} + c.lexical_rank), 0) AS fused_score
+        FROM candidates c
+        JOIN rag_vectors v ON v.id = c.id
+        ORDER BY fused_score DESC, c.similarity DESC NULLS LAST
+        LIMIT ${limitParam}
+    `;
+
+    const result = await db.query(sql, params);
+    return result.rows;
+}
+
+module.exports = {
+    SEARCH_MODES,
+    RRF_K,
+    validateSearchFilters,
+    buildFilterClause,
+    searchChunks
+};
@@ -0,0 +1,172 @@
+// Line diff between two versions of a document's processed markdown
+// Myers' shortest edit script over lines, rendered in unified diff format
+
+// Beyond this many edits the middle of the documents is shown as replaced wholesale,
+// which keeps the trace (~MAX_EDIT_DISTANCE² entries) bounded for unrelated versions
+const MAX_EDIT_DISTANCE = 2000;
+
+function splitLines(text) {
+    if (!text) {
+        return [];
+    }
+    return text.replace(/\r\n/g, '\n').split('\n');
+}
+
+/**
+ * Myers' O(ND) diff
+ * @returns {Array<{type: string, line: string}>|null} Edits, or null past maxEdits
+ */
+function shortestEdit(a, b, maxEdits) {
+    const n = a.length;
+    const m = b.length;
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = [];
+
+    for (let d = 0; d <= Math.min(n + m, maxEdits); d++) {
+        // Diagonals -d-1..d+1 as they were before step d, for backtracking
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, a, b);
+            }
+        }
+    }
+    return null;
+}
+
+function backtrack(trace, a, b) {
+    const edits = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const at = k => snapshot[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = d === 0 ? 0 : at(prevK);
+        const prevY = d === 0 ? 0 : prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            edits.push({ type: ' ', line: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            edits.push(x === prevX ? { type: '+', line: b[y - 1] } : { type: '-', line: a[x - 1] });
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return edits.reverse();
+}
+
+/**
+ * Line edits turning oldLines into newLines
+ * @param {string[]} oldLines
+ * @param {string[]} newLines
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>}
+ */
+function diffLines(oldLines, newLines) {
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const removed = oldLines.slice(start, oldEnd);
+    const added = newLines.slice(start, newEnd);
+    const middle = shortestEdit(removed, added, MAX_EDIT_DISTANCE) || [
+        ...removed.map(line => ({ type: '-', line })),
+        ...added.map(line => ({ type: '+', line }))
+    ];
+
+    return [
+        ...oldLines.slice(0, start).map(line => ({ type: ' ', line })),
+        ...middle,
+        ...oldLines.slice(oldEnd).map(line => ({ type: ' ', line }))
+    ];
+}
+
+/**
+ * Unified diff of two markdown texts
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {Object} [options]
+ * @param {string} [options.fromLabel] - Name on the --- line
+ * @param {string} [options.toLabel] - Name on the +++ line
+ * @param {number} [options.context=3] - Unchanged lines around each change
+ * @returns {{diff: string, additions: number, deletions: number, hunks: number}}
+ */
+function unifiedDiff(oldText, newText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) {
+    let oldLine = 1;
+    let newLine = 1;
+    const rows = diffLines(splitLines(oldText), splitLines(newText)).map(edit => {
+        const row = { ...edit, oldLine, newLine };
+        if (edit.type !== '+') {
+            oldLine++;
+        }
+        if (edit.type !== '-') {
+            newLine++;
+        }
+        return row;
+    });
+
+    // Group changes whose context windows touch into hunks
+    const ranges = [];
+    rows.forEach((row, index) => {
+        if (row.type === ' ') {
+            return;
+        }
+        const start = Math.max(0, index - context);
+        const end = Math.min(rows.length, index + context + 1);
+        const last = ranges[ranges.length - 1];
+        if (last && start <= last.end) {
+            last.end = end;
+        } else {
+            ranges.push({ start, end });
+        }
+    });
+
+    const lines = ranges.length > 0 ? [`--- ${fromLabel}`, `+++ ${toLabel}`] : [];
+    for (const { start, end } of ranges) {
+        const hunk = rows.slice(start, end);
+        const oldCount = hunk.filter(row => row.type !== '+').length;
+        const newCount = hunk.filter(row => row.type !== '-').length;
+        // An empty side is numbered from the line before it, as diff -u does
+        const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk[0].oldLine;
+        const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk[0].newLine;
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        lines.push(...hunk.map(row => `${row.type}${row.line}`));
+    }
+
+    return {
+        diff: lines.length > 0 ? `${lines.join('\n')}\n` : '',
+        additions: rows.filter(row => row.type === '+').length,
+        deletions: rows.filter(row => row.type === '-').length,
+        hunks: ranges.length
+    };
+}
+
+module.exports = {
+    diffLines,
+    unifiedDiff
+};
@@ -0,0 +1,95 @@
+// Outbound requests to URLs that users configure (crawl sources, SSO issuers) must not reach
+// internal services or cloud metadata. A guard refuses private addresses both for IP literals
+// and when a host name is resolved - including after a redirect - unless the host is listed.
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+// A host equal to one of the entries or a subdomain of one
+function hostMatches(hostname, entries) {
+    const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+    return entries.some(entry => host === entry || host.endsWith(`.${entry}`));
+}
+
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+function isPrivateAddress(address) {
+    return PRIVATE_NETWORKS.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+}
+
+function privateAddressError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * A guard for one kind of outbound request
+ * @param {Object} options
+ * @param {Function} options.privateHosts - () => hosts (or IP addresses) that may be reached on
+ *   private addresses, read on every check so configuration changes apply
+ * @param {string} options.label - Who is refused, for error messages (e.g. 'the crawler')
+ * @returns {{ assertPublicHost: Function, httpAgent: http.Agent, httpsAgent: https.Agent, requestOptions: Object }}
+ *   requestOptions holds the agents and a beforeRedirect check, to spread into axios options
+ */
+function createPrivateAddressGuard({ privateHosts, label }) {
+    const mayReachPrivate = hostname => hostMatches(hostname, privateHosts());
+
+    /**
+     * Refuse a URL host that is a private IP address. Names are checked when they are resolved,
+     * since the address they resolve to can change.
+     * @throws {Error} status 400
+     */
+    function assertPublicHost(hostname) {
+        const address = String(hostname || '').replace(/^\[|\]$/g, '');
+        if (net.isIP(address) && isPrivateAddress(address) && !mayReachPrivate(address)) {
+            throw privateAddressError(`${hostname} is a private address, which ${label} may not visit`);
+        }
+    }
+
+    function lookup(hostname, options, callback) {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) {
+                return callback(error);
+            }
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            if (!mayReachPrivate(hostname) && addresses.some(entry => isPrivateAddress(entry.address))) {
+                return callback(privateAddressError(`${hostname} resolves to a private address, which ${label} may not visit`));
+            }
+            callback(null, address, family);
+        });
+    }
+
+    const httpAgent = new http.Agent({ lookup });
+    const httpsAgent = new https.Agent({ lookup });
+    return {
+        assertPublicHost,
+        httpAgent,
+        httpsAgent,
+        requestOptions: {
+            httpAgent,
+            httpsAgent,
+            // IP literals are connected to without a lookup
+            beforeRedirect: (options) => assertPublicHost(options.hostname)
+        }
+    };
+}
+
+module.exports = {
+    hostMatches,
+    isPrivateAddress,
+    createPrivateAddressGuard
+};
@@ -1,7 +1,18 @@
 const axios = require('axios');
+const config = require('../config');
 
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Outbound events to the Resolve Actions platform.
+ *
+ * Events are not posted inline: sendEvent (and every send*Event helper) writes them to the
+ * webhook_outbox table, optionally inside the caller's transaction, and the outbox dispatcher
+ * worker delivers them via deliverEvent.
+ */
 class ResolveWebhook {
-    constructor() {
+    constructor(db = null) {
+        this.db = db;
         this.webhookUrl = process.env.AUTOMATION_WEBHOOK_URL || 
             'https://actions-api-staging.resolve.io/api/Webhooks/postEvent/00F4F67D-3B92-4FD2-A574-7BE22C6BE796';
         this.authHeader = process.env.AUTOMATION_AUTH || 
@@ -9,36 +20,111 @@ class ResolveWebhook {
         this.timeout = 10000; // 10 seconds
     }
 
+    getDb() {
+        if (!this.db) {
+            this.db = require('../database/postgres');
+        }
+        return this.db;
+    }
+
+    /**
+     * Find the configured endpoint for an event type
+     * Matches exact keys first, then the longest "prefix-*" wildcard key
+     * @param {string} eventType
+     * @returns {Object|null} { url, auth } or null when the type has no explicit route
+     */
+    findRoute(eventType) {
+        const endpoints = config.webhooks.endpoints || {};
+        let route = endpoints[eventType];
+
+        if (!route) {
+            const wildcard = Object.keys(endpoints)
+                .filter(key => key.endsWith('*') && eventType.startsWith(key.slice(0, -1)))
+                .sort((a, b) => b.length - a.length)[0];
+            route = wildcard ? endpoints[wildcard] : null;
+        }
+
+        if (!route) {
+            return null;
+        }
+        return typeof route === 'string' ? { url: route, auth: this.authHeader } : { auth: this.authHeader, ...route };
+    }
+
+    resolveEndpoint(eventType) {
+        return this.findRoute(eventType) || { url: this.webhookUrl, auth: this.authHeader };
+    }
+
     /**
-     * Send event to Resolve Actions API
-     * @param {Object} payload - Event payload
-     * @returns {Promise} Response from the API
+     * Queue an event in the outbox
+     * @param {Object} payload - Event payload (payload.action is the event type)
+     * @param {Object} [options]
+     * @param {Object} [options.client] - Transaction client; the event commits or rolls back with the caller's writes
+     * @param {string} [options.idempotencyKey] - Deduplicates enqueues and is sent to the receiver (defaults to the event id)
+     * @param {string} [options.eventType] - Overrides payload.action for routing
+     * @returns {Promise} { success, queued, event_id }
      */
-    async sendEvent(payload) {
+    async sendEvent(payload, options = {}) {
+        const { client, idempotencyKey, eventType = payload.action || 'event' } = options;
+        const tenantId = [payload.tenant_id, payload.tenantId, payload.tenantToken].find(id => typeof id === 'string' && UUID_REGEX.test(id)) || null;
+        const executor = client || this.getDb();
+
+        const result = await executor.query(
+            `INSERT INTO webhook_outbox (idempotency_key, tenant_id, event_type, payload, max_attempts)
+             VALUES (COALESCE($1, gen_random_uuid()::text), $2, $3, $4, $5)
+             ON CONFLICT (idempotency_key) DO UPDATE SET idempotency_key = EXCLUDED.idempotency_key
+             RETURNING event_id, (xmax = 0) AS inserted`,
+            [idempotencyKey || null, tenantId, eventType, payload, config.webhooks.outbox.maxAttempts]
+        );
+
+        const { event_id, inserted } = result.rows[0];
+        console.log(`[ResolveWebhook] ${inserted ? 'Queued' : 'Already queued'} event ${event_id} with action: ${eventType}`);
+
+        // Outside a transaction the row is already committed, so the dispatcher can pick it up now
+        if (!client) {
+            this.notifyDispatcher();
+        }
+
+        return { success: true, queued: true, event_id, duplicate: !inserted };
+    }
+
+    /**
+     * Wake the outbox dispatcher (call after committing a transaction that queued events)
+     */
+    notifyDispatcher() {
+        require('../workers/outboxDispatcher').notifyOutbox();
+    }
+
+    /**
+     * Deliver a queued outbox event to its endpoint
+     * @param {Object} event - webhook_outbox row
+     * @returns {Promise} Response from the API; throws on failure
+     */
+    async deliverEvent(event) {
+        const { url, auth } = this.resolveEndpoint(event.event_type);
+        if (!url) {
+            throw new Error(`No endpoint configured for event type ${event.event_type}`);
+        }
+
+        console.log(`[ResolveWebhook] Delivering event ${event.event_id} (${event.event_type}), attempt ${event.attempts}`);
+
         try {
-            console.log(`[ResolveWebhook] Sending event with action: ${payload.action}`);
-            console.log(`[ResolveWebhook] Payload:`, JSON.stringify(payload, null, 2));
-            
-            const response = await axios.post(
-                this.webhookUrl,
-                payload,
-                {
-                    headers: {
-                        'Authorization': this.authHeader,
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: this.timeout
-                }
-            );
-            
-            console.log(`[ResolveWebhook] Response status: ${response.status}`);
-            if (response.data) {
-                console.log(`[ResolveWebhook] Response data:`, response.data);
+            const headers = {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': event.idempotency_key,
+                'X-Event-Id': event.event_id,
+                'X-Event-Type': event.event_type,
+                'X-Delivery-Attempt': String(event.attempts)
+            };
+            if (auth) {
+                headers['Authorization'] = auth;
             }
-            
+
+            const response = await axios.post(url, event.payload, { headers, timeout: this.timeout });
+
+            console.log(`[ResolveWebhook] Response status: ${response.status}`);
             return { success: true, data: response.data, status: response.status };
         } catch (error) {
-            console.error(`[ResolveWebhook] Error sending event:`, error.message);
+            console.error(`[ResolveWebhook] Error delivering event ${event.event_id}:`, error.message);
             if (error.response) {
                 console.error(`[ResolveWebhook] Response status:`, error.response.status);
                 console.error(`[ResolveWebhook] Response data:`, error.response.data);
@@ -50,9 +136,10 @@ class ResolveWebhook {
     /**
      * Send CSV upload event
      * @param {Object} params - Event parameters
-     * @returns {Promise} Response from the API
+     * @param {Object} [options] - Outbox options (see sendEvent)
+     * @returns {Promise} Queued event info
      */
-    async sendCsvUploadEvent({ userEmail, userId, tenantId, callbackUrl, callbackToken, csvContent, ticketsImported }) {
+    async sendCsvUploadEvent({ userEmail, userId, tenantId, callbackUrl, callbackToken, csvContent, ticketsImported }, options = {}) {
         const payload = {
             source: 'Onboarding',
             user_email: userEmail,
@@ -70,15 +157,16 @@ class ResolveWebhook {
             }
         };
 
-        return await this.sendEvent(payload);
+        return await this.sendEvent(payload, options);
     }
 
     /**
      * Send RAG ingest event
      * @param {Object} params - Event parameters
-     * @returns {Promise} Response from the API
+     * @param {Object} [options] - Outbox options (see sendEvent)
+     * @returns {Promise} Queued event info
      */
-    async sendRagIngestEvent({ tenantId, documentId, content, metadata, callbackUrl }) {
+    async sendRagIngestEvent({ tenantId, documentId, content, metadata, callbackUrl }, options = {}) {
         const payload = {
             source: 'RAG_Ingest',
             action: 'vectorize-content',
@@ -98,15 +186,16 @@ class ResolveWebhook {
             }
         };
 
-        return await this.sendEvent(payload);
+        return await this.sendEvent(payload, options);
     }
 
     /**
      * Send document processing event to actions platform
      * @param {Object} params - Event parameters
-     * @returns {Promise} Response from the API
+     * @param {Object} [options] - Outbox options (see sendEvent)
+     * @returns {Promise} Queued event info
      */
-    async sendDocumentProcessingEvent(params) {
+    async sendDocumentProcessingEvent(params, options = {}) {
         const payload = {
             source: params.source || 'onboarding',
             action: params.action || 'document-processing',
@@ -123,15 +212,16 @@ class ResolveWebhook {
             original_filename: params.original_filename
         };
 
-        return await this.sendEvent(payload);
+        return await this.sendEvent(payload, options);
     }
 
     /**
      * Send RAG chat event
      * @param {Object} params - Event parameters
-     * @returns {Promise} Response from the API
+     * @param {Object} [options] - Outbox options (see sendEvent)
+     * @returns {Promise} Queued event info
      */
-    async sendRagChatEvent({ tenantId, conversationId, message, messageHistory, vectorSearchEndpoint, callbackToken, userEmail }) {
+    async sendRagChatEvent({ tenantId, conversationId, message, messageHistory, conversationSummary, vectorSearchEndpoint, callbackToken, userEmail }, options = {}) {
         const payload = {
             source: 'RAG_Chat',
             action: 'rag-response',
@@ -141,6 +231,7 @@ class ResolveWebhook {
             customer_message: message,  // Explicitly named to be clear this is the customer's message
             message: message,  // Keep for backward compatibility
             history: messageHistory,
+            conversation_summary: conversationSummary || null,
             vector_search_endpoint: vectorSearchEndpoint,
             vector_search_auth: callbackToken,
             expected_response_format: {
@@ -149,15 +240,16 @@ class ResolveWebhook {
             }
         };
 
-        return await this.sendEvent(payload);
+        return await this.sendEvent(payload, options);
     }
 
     /**
      * Send generic webhook proxy event
      * @param {Object} params - Event parameters
-     * @returns {Promise} Response from the API
+     * @param {Object} [options] - Outbox options (see sendEvent)
+     * @returns {Promise} Queued event info
      */
-    async sendProxyEvent({ source, action, userEmail, tenantId, ...additionalData }) {
+    async sendProxyEvent({ source, action, userEmail, tenantId, ...additionalData }, options = {}) {
         const payload = {
             source: source || 'Onboarding',
             user_email: userEmail,
@@ -166,18 +258,19 @@ class ResolveWebhook {
             ...additionalData
         };
 
-        return await this.sendEvent(payload);
+        return await this.sendEvent(payload, options);
     }
 
     /**
      * Track action for monitoring/analytics
+     * Queued for delivery only when WEBHOOK_ENDPOINTS routes "track-<action>" (or "track-*");
+     * otherwise the action is just logged
      * @param {Object} params - Action parameters
+     * @param {Object} [options] - Outbox options (see sendEvent)
      */
-    async trackAction({ action, source, userEmail, tenantId, metadata = {} }) {
+    async trackAction({ action, source, userEmail, tenantId, metadata = {} }, options = {}) {
         console.log(`[ResolveWebhook] Tracking action: ${action} from ${source} for user ${userEmail}`);
         
-        // This can be extended to send tracking events to a separate analytics endpoint
-        // or store in a metrics database
         const trackingPayload = {
             source: source,
             action: `track-${action}`,
@@ -187,8 +280,17 @@ class ResolveWebhook {
             metadata: metadata
         };
 
-        // For now, we'll just log it, but this could send to a separate tracking endpoint
-        console.log(`[ResolveWebhook] Tracking payload:`, JSON.stringify(trackingPayload, null, 2));
+        if (!this.findRoute(trackingPayload.action)) {
+            console.log(`[ResolveWebhook] Tracking payload:`, JSON.stringify(trackingPayload, null, 2));
+            return;
+        }
+
+        // Tracking must never fail the request that triggered it
+        try {
+            await this.sendEvent(trackingPayload, options);
+        } catch (error) {
+            console.error(`[ResolveWebhook] Failed to queue tracking event:`, error.message);
+        }
     }
 }
 
@@ -0,0 +1,100 @@
+// robots.txt (RFC 9309): the group for the crawler's product token - or the * group when none
+// names it - decides which paths may be fetched. The longest matching rule wins, Allow on a tie.
+// Rules take * (any characters) and a trailing $ (end of the path).
+
+function compileRule(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = anchored ? pattern.slice(0, -1) : pattern;
+    const source = body.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}${anchored ? '$' : ''}`);
+}
+
+// Paths are compared percent-encoded, as sent in requests
+function normalizePath(path) {
+    try {
+        return encodeURI(decodeURI(path));
+    } catch (error) {
+        return path;
+    }
+}
+
+/**
+ * Parse a robots.txt file
+ * @param {string} text
+ * @param {string} userAgent - The crawler's User-Agent; its product token (before any /) selects the group
+ * @returns {{ isAllowed: function(string): boolean, crawlDelayMs: number|null, sitemaps: string[] }}
+ */
+function parseRobotsTxt(text, userAgent) {
+    const token = String(userAgent).split('/')[0].trim().toLowerCase();
+    const groups = [];
+    const sitemaps = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    for (const rawLine of String(text || '').split(/\r\n|\r|\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) {
+            continue;
+        }
+        const key = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (key === 'user-agent') {
+            // Consecutive User-agent lines share one group
+            if (!lastWasAgent) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            lastWasAgent = true;
+            continue;
+        }
+        lastWasAgent = false;
+
+        if (key === 'sitemap') {
+            sitemaps.push(value);
+        } else if (!group) {
+            continue;
+        } else if (key === 'allow' || key === 'disallow') {
+            // An empty Disallow allows everything
+            if (value) {
+                const path = normalizePath(value);
+                group.rules.push({ allow: key === 'allow', length: path.length, pattern: compileRule(path) });
+            }
+        } else if (key === 'crawl-delay') {
+            const seconds = parseFloat(value);
+            if (Number.isFinite(seconds) && seconds >= 0) {
+                group.crawlDelay = seconds;
+            }
+        }
+    }
+
+    const named = groups.filter(candidate => candidate.agents.some(agent => agent !== '*' && token.includes(agent)));
+    const selected = named.length > 0 ? named : groups.filter(candidate => candidate.agents.includes('*'));
+    const rules = selected.flatMap(candidate => candidate.rules);
+    const crawlDelay = selected.map(candidate => candidate.crawlDelay).find(delay => delay !== null);
+
+    return {
+        isAllowed(path) {
+            const target = normalizePath(path || '/');
+            let best = null;
+            for (const rule of rules) {
+                if (rule.pattern.test(target) && (!best || rule.length > best.length || (rule.length === best.length && rule.allow))) {
+                    best = rule;
+                }
+            }
+            return !best || best.allow;
+        },
+        crawlDelayMs: crawlDelay !== undefined ? crawlDelay * 1000 : null,
+        sitemaps
+    };
+}
+
+// A site without robots.txt (4xx) may be crawled in full
+const ALLOW_ALL = { isAllowed: () => true, crawlDelayMs: null, sitemaps: [] };
+
+module.exports = {
+    parseRobotsTxt,
+    ALLOW_ALL
+};
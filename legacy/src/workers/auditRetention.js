@@ -0,0 +1,28 @@
+const config = require('../config');
+const { purgeExpiredEvents } = require('../services/auditLog');
+const { PeriodicWorker, workerSingleton } = require('./periodicWorker');
+
+/**
+ * Deletes audit events past their tenant's retention on an interval.
+ * Purges are idempotent, so several app instances can run the worker.
+ */
+class AuditRetentionWorker extends PeriodicWorker {
+    constructor(db, options = {}) {
+        super(db, {
+            label: '[AUDIT] Retention worker',
+            intervalMs: options.intervalMs || config.audit.purgeIntervalMs
+        });
+    }
+
+    async runOnce() {
+        const deleted = await purgeExpiredEvents(this.db);
+        if (deleted > 0) {
+            console.log(`[AUDIT] Purged ${deleted} audit events past retention`);
+        }
+    }
+}
+
+module.exports = {
+    AuditRetentionWorker,
+    getAuditRetentionWorker: workerSingleton(db => new AuditRetentionWorker(db))
+};
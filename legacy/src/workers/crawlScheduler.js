@@ -0,0 +1,28 @@
+const config = require('../config');
+const { claimDueSource, runCrawl } = require('../services/webCrawler');
+const { PeriodicWorker, workerSingleton } = require('./periodicWorker');
+
+/**
+ * Crawls web crawler sources whose cron schedule is due, one source at a time.
+ * Sources are claimed with SKIP LOCKED, so several app instances can run the worker.
+ */
+class CrawlSchedulerWorker extends PeriodicWorker {
+    constructor(db, options = {}) {
+        super(db, {
+            label: '[CRAWLER] Scheduler',
+            intervalMs: options.intervalMs || config.crawler.schedulerIntervalMs
+        });
+    }
+
+    async runOnce() {
+        let source;
+        while (this.isStarted() && (source = await claimDueSource(this.db))) {
+            await runCrawl(this.db, source);
+        }
+    }
+}
+
+module.exports = {
+    CrawlSchedulerWorker,
+    getCrawlSchedulerWorker: workerSingleton(db => new CrawlSchedulerWorker(db))
+};
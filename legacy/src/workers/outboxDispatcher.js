@@ -0,0 +1,171 @@
+const config = require('../config');
+const ResolveWebhook = require('../utils/resolve-webhook');
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, half is random,
+ * so retries from many events don't hit the endpoint in lockstep
+ */
+function computeBackoff(attempt, baseDelayMs, maxDelayMs) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.max(0, attempt - 1)));
+    return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+// Client errors won't succeed on retry, except timeouts and rate limiting
+function isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status >= 500 || status === 408 || status === 429;
+}
+
+function retryAfterMs(error) {
+    const header = error.response?.headers?.['retry-after'];
+    const seconds = parseInt(header);
+    return Number.isFinite(seconds) ? seconds * 1000 : 0;
+}
+
+/**
+ * Delivers webhook_outbox events. Polls on an interval and can be woken early with notify().
+ * Claims use FOR UPDATE SKIP LOCKED, so several app instances can run dispatchers safely.
+ */
+class OutboxDispatcher {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.resolveWebhook = options.resolveWebhook || new ResolveWebhook(db);
+        this.settings = { ...config.webhooks.outbox, ...options };
+        this.timer = null;
+        this.isProcessing = false;
+        this.runRequested = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.run(), this.settings.pollIntervalMs);
+        console.log(`[OUTBOX] Dispatcher started (poll every ${this.settings.pollIntervalMs}ms)`);
+        this.run();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('[OUTBOX] Dispatcher stopped');
+        }
+    }
+
+    notify() {
+        if (this.timer) {
+            setImmediate(() => this.run());
+        }
+    }
+
+    async run() {
+        if (this.isProcessing) {
+            this.runRequested = true;
+            return;
+        }
+
+        this.isProcessing = true;
+        try {
+            let claimed;
+            do {
+                claimed = await this.processBatch();
+            } while (claimed === this.settings.batchSize && this.timer);
+        } catch (error) {
+            console.error('[OUTBOX] Dispatch error:', error.message);
+        } finally {
+            this.isProcessing = false;
+            if (this.runRequested) {
+                this.runRequested = false;
+                setImmediate(() => this.run());
+            }
+        }
+    }
+
+    /**
+     * Claim due events (and events whose claim went stale) and deliver them
+     * @returns {Promise<number>} Number of events claimed
+     */
+    async processBatch() {
+        const result = await this.db.query(
+            `UPDATE webhook_outbox
+             SET status = 'delivering', locked_at = CURRENT_TIMESTAMP, attempts = attempts + 1
+             WHERE id IN (
+                 SELECT id FROM webhook_outbox
+                 WHERE (status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                    OR (status = 'delivering' AND locked_at < CURRENT_TIMESTAMP - ($1 || ' milliseconds')::interval)
+                 ORDER BY next_attempt_at
+                 LIMIT $2
+                 FOR UPDATE SKIP LOCKED
+             )
+             RETURNING *`,
+            [String(this.settings.lockTimeoutMs), this.settings.batchSize]
+        );
+
+        await Promise.allSettled(result.rows.map(event => this.deliver(event)));
+        return result.rows.length;
+    }
+
+    async deliver(event) {
+        try {
+            const response = await this.resolveWebhook.deliverEvent(event);
+            await this.db.query(
+                `UPDATE webhook_outbox
+                 SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, locked_at = NULL,
+                     last_status_code = $1, last_error = NULL
+                 WHERE id = $2`,
+                [response.status, event.id]
+            );
+        } catch (error) {
+            const statusCode = error.response?.status || null;
+            const message = statusCode ? `HTTP ${statusCode}: ${error.message}` : error.message;
+
+            if (!isRetryable(error) || event.attempts >= event.max_attempts) {
+                console.error(`[OUTBOX] Event ${event.event_id} (${event.event_type}) dead-lettered after ${event.attempts} attempt(s): ${message}`);
+                await this.db.query(
+                    `UPDATE webhook_outbox
+                     SET status = 'dead', locked_at = NULL, last_status_code = $1, last_error = $2
+                     WHERE id = $3`,
+                    [statusCode, message, event.id]
+                );
+                return;
+            }
+
+            const delay = Math.max(
+                computeBackoff(event.attempts, this.settings.baseDelayMs, this.settings.maxDelayMs),
+                retryAfterMs(error)
+            );
+            console.warn(`[OUTBOX] Event ${event.event_id} failed (attempt ${event.attempts}/${event.max_attempts}), retrying in ${Math.round(delay / 1000)}s: ${message}`);
+            await this.db.query(
+                `UPDATE webhook_outbox
+                 SET status = 'pending', locked_at = NULL, last_status_code = $1, last_error = $2,
+                     next_attempt_at = $3
+                 WHERE id = $4`,
+                [statusCode, message, new Date(Date.now() + delay), event.id]
+            );
+        }
+    }
+}
+
+let dispatcherInstance = null;
+
+function getOutboxDispatcher(db) {
+    if (!dispatcherInstance && db) {
+        dispatcherInstance = new OutboxDispatcher(db);
+    }
+    return dispatcherInstance;
+}
+
+// Wake the running dispatcher, if any (no-op in processes that don't dispatch)
+function notifyOutbox() {
+    if (dispatcherInstance) {
+        dispatcherInstance.notify();
+    }
+}
+
+module.exports = {
+    OutboxDispatcher,
+    getOutboxDispatcher,
+    notifyOutbox,
+    computeBackoff
+};
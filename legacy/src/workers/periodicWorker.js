@@ -0,0 +1,81 @@
+/**
+ * Base class for workers that run one job on an interval. Subclasses implement runOnce().
+ * A run is skipped while the previous one is still going, and a failed run is logged and
+ * retried on the next tick.
+ */
+class PeriodicWorker {
+    /**
+     * @param {Object} db
+     * @param {Object} options
+     * @param {string} options.label - Log prefix and name, e.g. '[USAGE] Rollup worker'
+     * @param {number} options.intervalMs
+     */
+    constructor(db, { label, intervalMs }) {
+        this.db = db;
+        this.label = label;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+        this.timer = setInterval(() => this.run(), this.intervalMs);
+        console.log(`${this.label} started (every ${this.intervalMs}ms)`);
+        this.run();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log(`${this.label} stopped`);
+        }
+    }
+
+    // Long jobs can check this between steps to end early once the worker is stopped
+    isStarted() {
+        return this.timer !== null;
+    }
+
+    async run() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            await this.runOnce();
+        } catch (error) {
+            console.error(`${this.label} error:`, error.message);
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async runOnce() {
+        throw new Error(`${this.constructor.name} must implement runOnce()`);
+    }
+}
+
+/**
+ * Process-wide instance getter for a worker, created on the first call that passes a db
+ * @param {Function} create - db => worker
+ * @returns {Function} db => worker (null before it has been created)
+ */
+function workerSingleton(create) {
+    let instance = null;
+    return (db) => {
+        if (!instance && db) {
+            instance = create(db);
+        }
+        return instance;
+    };
+}
+
+module.exports = {
+    PeriodicWorker,
+    workerSingleton
+};
@@ -0,0 +1,28 @@
+const config = require('../config');
+const { sweepExpiredUploads } = require('../services/uploadSessions');
+const { PeriodicWorker, workerSingleton } = require('./periodicWorker');
+
+/**
+ * Deletes resumable uploads that expired before being completed, and their parts.
+ * Each session is removed in its own statements, so several app instances can run the worker.
+ */
+class UploadSweeperWorker extends PeriodicWorker {
+    constructor(db, options = {}) {
+        super(db, {
+            label: '[UPLOADS] Expired upload sweeper',
+            intervalMs: options.intervalMs || config.storage.uploadSweepIntervalMs
+        });
+    }
+
+    async runOnce() {
+        const removed = await sweepExpiredUploads(this.db);
+        if (removed > 0) {
+            console.log(`[UPLOADS] Removed ${removed} expired uploads`);
+        }
+    }
+}
+
+module.exports = {
+    UploadSweeperWorker,
+    getUploadSweeperWorker: workerSingleton(db => new UploadSweeperWorker(db))
+};
@@ -0,0 +1,28 @@
+const config = require('../config');
+const { rollupUsage } = require('../services/usageMetering');
+const { PeriodicWorker, workerSingleton } = require('./periodicWorker');
+
+/**
+ * Rolls usage events up into daily per-tenant totals on an interval.
+ * Rollups recompute whole days, so several app instances can run the worker.
+ */
+class UsageRollupWorker extends PeriodicWorker {
+    constructor(db, options = {}) {
+        super(db, {
+            label: '[USAGE] Rollup worker',
+            intervalMs: options.intervalMs || config.billing.rollupIntervalMs
+        });
+    }
+
+    async runOnce() {
+        const { purged } = await rollupUsage(this.db);
+        if (purged > 0) {
+            console.log(`[USAGE] Purged ${purged} usage events past retention`);
+        }
+    }
+}
+
+module.exports = {
+    UsageRollupWorker,
+    getUsageRollupWorker: workerSingleton(db => new UsageRollupWorker(db))
+};
@@ -0,0 +1,158 @@
+/**
+ * API helpers for specs that drive the app over HTTP with the `request` fixture,
+ * and stub servers that stand in for the services the app calls out to.
+ * The app is pointed at the stub ports in docker-compose.test.yml.
+ */
+
+const http = require('http');
+
+// Ports of the stub servers; docker-compose.test.yml points the app at the ones it calls by default
+const STUB_PORTS = {
+  actionsPlatform: 5101, // AUTOMATION_WEBHOOK_URL
+  identityProvider: 5102, // issuer of the tenant SSO provider the spec configures; SSO_PRIVATE_HOSTS allows localhost
+  stripe: 5103, // STRIPE_API_BASE
+  website: 5104 // site the crawler spec crawls; CRAWLER_PRIVATE_HOSTS allows localhost
+};
+
+// Sign in over the API; the session cookie stays on the request context
+async function signIn(request, { email, password }) {
+  const response = await request.post('/api/auth/signin', { data: { email, password } });
+  if (!response.ok()) {
+    throw new Error(`Sign in as ${email} failed with status ${response.status()}: ${await response.text()}`);
+  }
+  return (await response.json()).user;
+}
+
+// Register a user in a new tenant and sign in as them
+// @returns the signed-in user, with tenantId
+async function registerUser(request, label = 'spec') {
+  const stamp = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+  const credentials = {
+    email: `${label}${stamp}@example.com`,
+    password: 'TestPassword123!'
+  };
+  const response = await request.post('/api/auth/register', {
+    data: { ...credentials, fullName: `${label} ${stamp}`, company: `${label} Co ${stamp}` }
+  });
+  if (!response.ok()) {
+    throw new Error(`Registering ${credentials.email} failed with status ${response.status()}: ${await response.text()}`);
+  }
+  return signIn(request, credentials);
+}
+
+/**
+ * Invite a user into a tenant and set their password through the invitation's reset link
+ * @param {APIRequestContext} admin - Signed in with users:manage in the tenant
+ * @returns credentials for signIn(), with the user's id and role
+ */
+async function inviteMember(admin, tenantId, { role = 'user', label = 'member' } = {}) {
+  const stamp = `${Date.now()}${Math.floor(Math.random() * 1000)}`;
+  const email = `${label}${stamp}@example.com`;
+  const password = 'TestPassword123!';
+  const response = await admin.post(`/api/tenants/${tenantId}/users`, {
+    data: { name: `${label} ${stamp}`, email, role }
+  });
+  if (!response.ok()) {
+    throw new Error(`Inviting ${email} failed with status ${response.status()}: ${await response.text()}`);
+  }
+  const { user, resetLink } = await response.json();
+
+  const reset = await admin.post('/api/auth/reset-password', {
+    data: { token: new URL(resetLink).searchParams.get('token'), password }
+  });
+  if (!reset.ok()) {
+    throw new Error(`Setting the password of ${email} failed with status ${reset.status()}: ${await reset.text()}`);
+  }
+  return { id: user.id, email, password, role };
+}
+
+// Retry check() until it returns a truthy value
+async function waitFor(check, { timeout = 15000, interval = 250, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error(`Timed out after ${timeout}ms waiting for ${message}`);
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start a server on localhost that records every request and answers with handler
+ * @param {number} port
+ * @param {Function} handler - (req, res, body) => void; requests it leaves unanswered get 404
+ * @returns {Promise<{ url, requests, waitForRequest, close }>}
+ */
+async function startStubServer(port, handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+      try {
+        await handler(req, res, body);
+      } catch (error) {
+        console.log(`   ⚠️ Stub on port ${port} failed: ${error.message}`);
+        if (!res.headersSent) {
+          sendJson(res, 500, { error: error.message });
+        }
+      }
+      if (!res.writableEnded) {
+        sendJson(res, 404, { error: 'Not found' });
+      }
+    });
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    requests,
+    // The first recorded request matching predicate, waiting for it to arrive
+    waitForRequest: (predicate, options = {}) => waitFor(() => requests.find(predicate), {
+      message: `a request to the stub on port ${port}`,
+      ...options
+    }),
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+/**
+ * Actions platform stand-in: accepts the app's outbound webhook events
+ * @returns stub with waitForEvent(predicate) resolving to the event payload
+ */
+async function startActionsPlatform() {
+  const stub = await startStubServer(STUB_PORTS.actionsPlatform, (req, res) => {
+    sendJson(res, 200, { success: true });
+  });
+  stub.waitForEvent = async (predicate, options) => {
+    const request = await stub.waitForRequest(
+      recorded => recorded.method === 'POST' && predicate(JSON.parse(recorded.body)),
+      { message: 'a webhook event', ...options }
+    );
+    return JSON.parse(request.body);
+  };
+  return stub;
+}
+
+module.exports = {
+  STUB_PORTS,
+  signIn,
+  registerUser,
+  inviteMember,
+  waitFor,
+  sendJson,
+  startStubServer,
+  startActionsPlatform
+};
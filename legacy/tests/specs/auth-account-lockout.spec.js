@@ -0,0 +1,123 @@
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { signIn, inviteMember } = require('../fixtures/api-helpers');
+
+// Failed sign-ins that lock an account (LOCKOUT_THRESHOLD, 5 unless the app sets it)
+const THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+
+test.describe('Account lockout', () => {
+  let admin;
+  let tenantId;
+  const contexts = [];
+  const members = [];
+
+  test.beforeAll(async ({ playwright }) => {
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    tenantId = (await signIn(admin, ADMIN_CREDENTIALS)).tenantId;
+    console.log(`\n🚀 ACCOUNT LOCKOUT SPEC: tenant ${tenantId}, threshold ${THRESHOLD}\n`);
+  });
+
+  test.afterAll(async () => {
+    for (const member of members) {
+      await admin.delete(`/api/tenants/${tenantId}/users/${member.id}`);
+    }
+    for (const context of contexts) {
+      await context.dispose();
+    }
+    await admin?.dispose();
+  });
+
+  async function newContext(playwright) {
+    const context = await playwright.request.newContext({ baseURL: BASE_URL });
+    contexts.push(context);
+    return context;
+  }
+
+  async function invite(label, role) {
+    const member = await inviteMember(admin, tenantId, { label, role });
+    members.push(member);
+    return member;
+  }
+
+  const attempt = (context, email, password) =>
+    context.post('/api/auth/signin', { data: { email, password } });
+
+  const lockedUntilOf = async member => {
+    const response = await admin.get(`/api/tenants/${tenantId}/users?q=${encodeURIComponent(member.email)}`);
+    return (await response.json()).data.find(user => user.id === member.id).lockedUntil;
+  };
+
+  test('repeated wrong passwords lock the account until an admin unlocks it', async ({ playwright }) => {
+    const member = await invite('lockout');
+    const context = await newContext(playwright);
+
+    console.log('\n1️⃣ WRONG PASSWORDS BELOW THE THRESHOLD');
+    for (let i = 1; i < THRESHOLD; i++) {
+      const response = await attempt(context, member.email, 'WrongPassword123!');
+      expect(response.status()).toBe(401);
+    }
+    console.log(`   ✅ ${THRESHOLD - 1} attempts answered 401`);
+
+    console.log('\n2️⃣ THE ATTEMPT THAT LOCKS');
+    const locking = await attempt(context, member.email, 'WrongPassword123!');
+    expect(locking.status()).toBe(423);
+    expect(Number(locking.headers()['retry-after'])).toBeGreaterThan(0);
+    const body = await locking.json();
+    expect(body.message).toContain('Too many failed sign-in attempts');
+    expect(new Date(body.lockedUntil).getTime()).toBeGreaterThan(Date.now());
+    console.log(`   ✅ 423, locked until ${body.lockedUntil}`);
+
+    console.log('\n3️⃣ THE RIGHT PASSWORD WHILE LOCKED');
+    const refused = await attempt(context, member.email, member.password);
+    expect(refused.status()).toBe(423);
+    expect(await lockedUntilOf(member)).toBeTruthy();
+    console.log('   ✅ Still 423, and the users list shows the lock');
+
+    console.log('\n4️⃣ ADMIN UNLOCKS');
+    const unlocked = await admin.post(`/api/tenants/${tenantId}/users/${member.id}/unlock`);
+    expect(unlocked.ok()).toBeTruthy();
+    expect(await lockedUntilOf(member)).toBeFalsy();
+    await signIn(context, member);
+    const notices = await (await context.get('/api/security-notices')).json();
+    expect(notices.data.some(notice => notice.type === 'account_locked')).toBeTruthy();
+    console.log('   ✅ Signed in, with an account_locked security notice');
+  });
+
+  test('a successful sign-in resets the failure count', async ({ playwright }) => {
+    const member = await invite('lockreset');
+    const context = await newContext(playwright);
+
+    console.log('\n5️⃣ FAILURES SPLIT BY A GOOD SIGN-IN');
+    for (let i = 1; i < THRESHOLD; i++) {
+      expect((await attempt(context, member.email, 'WrongPassword123!')).status()).toBe(401);
+    }
+    await signIn(context, member);
+    for (let i = 1; i < THRESHOLD; i++) {
+      expect((await attempt(context, member.email, 'WrongPassword123!')).status()).toBe(401);
+    }
+    await signIn(context, member);
+    console.log('   ✅ Never locked');
+  });
+
+  test('unknown emails lock like accounts and only user managers can unlock', async ({ playwright }) => {
+    const context = await newContext(playwright);
+
+    console.log('\n6️⃣ UNKNOWN EMAIL');
+    const email = `nobody${Date.now()}@example.com`;
+    for (let i = 0; i < THRESHOLD; i++) {
+      expect((await attempt(context, email, 'WrongPassword123!')).status()).toBe(401);
+    }
+    expect((await attempt(context, email, 'WrongPassword123!')).status()).toBe(423);
+    console.log('   ✅ 423 after the threshold, as for a real account');
+
+    console.log('\n7️⃣ UNLOCK WITHOUT users:manage');
+    const member = await invite('unlocker', 'user');
+    await signIn(context, member);
+    expect((await context.post(`/api/tenants/${tenantId}/users/${member.id}/unlock`)).status()).toBe(403);
+    console.log('   ✅ 403');
+
+    console.log('\n8️⃣ UNLOCK OUTSIDE THE TENANT');
+    expect((await admin.post(`/api/tenants/${tenantId}/users/999999999/unlock`)).status()).toBe(404);
+    expect((await admin.post(`/api/tenants/00000000-0000-4000-8000-00000000ffff/users/${member.id}/unlock`)).status()).toBe(403);
+    console.log('   ✅ 404 for an unknown user, 403 for another tenant');
+  });
+});
@@ -0,0 +1,148 @@
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { signIn, inviteMember } = require('../fixtures/api-helpers');
+
+// Manages keys and chats, but may not touch knowledge or users
+const KEYMAKER_ROLE = `keymaker-${Date.now()}`;
+const KEYMAKER_PERMISSIONS = ['settings:edit', 'chat:use'];
+
+test.describe('Tenant API keys', () => {
+  let admin;
+  let tenantId;
+  const contexts = [];
+  const members = [];
+
+  test.beforeAll(async ({ playwright }) => {
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    tenantId = (await signIn(admin, ADMIN_CREDENTIALS)).tenantId;
+    console.log(`\n🚀 API KEY SPEC: tenant ${tenantId}\n`);
+
+    const role = await admin.post(`/api/tenants/${tenantId}/roles`, {
+      data: { name: KEYMAKER_ROLE, permissions: KEYMAKER_PERMISSIONS }
+    });
+    expect(role.status()).toBe(201);
+  });
+
+  test.afterAll(async () => {
+    for (const member of members) {
+      await admin.delete(`/api/tenants/${tenantId}/users/${member.id}`);
+    }
+    await admin?.delete(`/api/tenants/${tenantId}/roles/${KEYMAKER_ROLE}`);
+    for (const context of contexts) {
+      await context.dispose();
+    }
+    await admin?.dispose();
+  });
+
+  async function newContext(playwright, headers = {}) {
+    const context = await playwright.request.newContext({ baseURL: BASE_URL, extraHTTPHeaders: headers });
+    contexts.push(context);
+    return context;
+  }
+
+  // Create a key as the signed-in user of creator; returns the response
+  function createKey(creator, scopes) {
+    return creator.post(`/api/tenants/${tenantId}/api-keys`, {
+      data: { name: `Spec key ${scopes.join('+')}`, scopes }
+    });
+  }
+
+  // A request context that authenticates with nothing but the key
+  async function keyClient(playwright, creator, scopes) {
+    const response = await createKey(creator, scopes);
+    expect(response.status()).toBe(201);
+    const { key, data } = await response.json();
+    expect(key).toMatch(/^rslv_/);
+    const client = await newContext(playwright, { Authorization: `Bearer ${key}` });
+    client.keyId = data.id;
+    return client;
+  }
+
+  const chat = client => client.post('/api/rag/chat', { data: { message: 'API key spec question' } });
+  const listDocuments = client => client.get('/api/rag/documents');
+  const emptyIngest = client => client.post('/api/rag/ingest', { data: { documents: [] } });
+
+  async function signedInKeymaker(playwright) {
+    const member = await inviteMember(admin, tenantId, { role: KEYMAKER_ROLE, label: 'keymaker' });
+    members.push(member);
+    member.context = await newContext(playwright);
+    await signIn(member.context, member);
+    return member;
+  }
+
+  test('a key can only do what its scopes allow', async ({ playwright }) => {
+    const reader = await keyClient(playwright, admin, ['read-knowledge']);
+    const chatter = await keyClient(playwright, admin, ['chat']);
+
+    console.log('\n1️⃣ read-knowledge KEY');
+    expect((await listDocuments(reader)).ok()).toBeTruthy();
+    expect((await chat(reader)).status()).toBe(403);
+    expect((await emptyIngest(reader)).status()).toBe(403);
+    console.log('   ✅ Lists documents; chat and ingest answer 403');
+
+    console.log('\n2️⃣ chat KEY');
+    expect((await chat(chatter)).ok()).toBeTruthy();
+    expect((await listDocuments(chatter)).status()).toBe(403);
+    console.log('   ✅ Chats; listing documents answers 403');
+
+    console.log('\n3️⃣ KEYS CANNOT MANAGE KEYS OR USERS');
+    expect((await reader.get(`/api/tenants/${tenantId}/api-keys`)).status()).toBe(401);
+    expect((await reader.get(`/api/tenants/${tenantId}/users`)).status()).toBe(401);
+    console.log('   ✅ 401 without a session');
+
+    console.log('\n4️⃣ UNKNOWN AND REVOKED KEYS');
+    const unknown = await newContext(playwright, { Authorization: 'Bearer rslv_notarealkey' });
+    expect((await listDocuments(unknown)).status()).toBe(401);
+    const revoked = await admin.delete(`/api/tenants/${tenantId}/api-keys/${reader.keyId}`);
+    expect(revoked.ok()).toBeTruthy();
+    expect((await listDocuments(reader)).status()).toBe(401);
+    console.log('   ✅ 401 for both');
+  });
+
+  test('a user cannot create a key with more access than their role', async ({ playwright }) => {
+    const keymaker = await signedInKeymaker(playwright);
+
+    console.log('\n5️⃣ SCOPES BEYOND THE ROLE');
+    for (const scopes of [['admin'], ['write-knowledge'], ['scim'], ['chat', 'admin']]) {
+      const response = await createKey(keymaker.context, scopes);
+      expect(response.status()).toBe(403);
+    }
+    console.log('   ✅ admin, write-knowledge and scim refused');
+
+    console.log('\n6️⃣ SCOPES WITHIN THE ROLE');
+    const chatter = await keyClient(playwright, keymaker.context, ['chat', 'read-knowledge']);
+    expect((await chat(chatter)).ok()).toBeTruthy();
+    expect((await emptyIngest(chatter)).status()).toBe(403);
+    console.log('   ✅ chat and read-knowledge granted');
+  });
+
+  test('keys lose access with their creator', async ({ playwright }) => {
+    const keymaker = await signedInKeymaker(playwright);
+    const chatter = await keyClient(playwright, keymaker.context, ['chat']);
+    expect((await chat(chatter)).ok()).toBeTruthy();
+
+    console.log('\n7️⃣ CREATOR\'S ROLE LOSES chat:use');
+    await admin.put(`/api/tenants/${tenantId}/roles/${KEYMAKER_ROLE}`, { data: { permissions: ['settings:edit'] } });
+    expect((await chat(chatter)).status()).toBe(403);
+    await admin.put(`/api/tenants/${tenantId}/roles/${KEYMAKER_ROLE}`, { data: { permissions: KEYMAKER_PERMISSIONS } });
+    expect((await chat(chatter)).ok()).toBeTruthy();
+    console.log('   ✅ 403 while the role lacks it, allowed again once restored');
+
+    console.log('\n8️⃣ CREATOR DISABLED');
+    const disabled = await admin.patch(`/api/tenants/${tenantId}/users/${keymaker.id}`, { data: { status: 'disabled' } });
+    expect(disabled.ok()).toBeTruthy();
+    expect((await chat(chatter)).status()).toBe(401);
+    await admin.patch(`/api/tenants/${tenantId}/users/${keymaker.id}`, { data: { status: 'active' } });
+    expect((await chat(chatter)).status()).toBe(401);
+    console.log('   ✅ The key was revoked and stays revoked after re-enabling');
+
+    console.log('\n9️⃣ CREATOR DELETED');
+    const other = await signedInKeymaker(playwright);
+    const otherChatter = await keyClient(playwright, other.context, ['chat']);
+    expect((await chat(otherChatter)).ok()).toBeTruthy();
+    expect((await admin.delete(`/api/tenants/${tenantId}/users/${other.id}`)).ok()).toBeTruthy();
+    expect((await chat(otherChatter)).status()).toBe(401);
+    const keys = (await (await admin.get(`/api/tenants/${tenantId}/api-keys`)).json()).data;
+    expect(keys.find(key => key.id === otherChatter.keyId).status).toBe('revoked');
+    console.log('   ✅ 401, and the key is listed as revoked');
+  });
+});
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { STUB_PORTS, signIn, sendJson, startStubServer } = require('../fixtures/api-helpers');
+
+const CLIENT_ID = 'resolve-spec';
+const CLIENT_SECRET = 'spec-client-secret';
+const SSO_DOMAIN = 'sso-spec.example';
+const ADMIN_GROUP = 'it-admins';
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * OpenID provider stand-in: discovery, a JWKS with one RS256 key, and a token endpoint
+ * that checks the client secret and PKCE verifier before issuing a signed ID token.
+ * The spec plays the user at the authorize step by calling approve() with the claims to issue.
+ */
+async function startIdentityProvider() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  // A new kid per run, so the app fetches this run's key instead of using a cached one
+  const kid = `spec-key-${Date.now()}`;
+  const grants = new Map();
+  const issuer = `http://localhost:${STUB_PORTS.identityProvider}`;
+
+  const idp = await startStubServer(STUB_PORTS.identityProvider, (req, res, body) => {
+    const path = req.url.split('?')[0];
+    if (path === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        token_endpoint_auth_methods_supported: ['client_secret_basic'],
+        id_token_signing_alg_values_supported: ['RS256']
+      });
+    }
+    if (path === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    }
+    if (path === '/token' && req.method === 'POST') {
+      const form = new URLSearchParams(body);
+      const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+      if (req.headers.authorization !== expectedAuth) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+      const grant = grants.get(form.get('code'));
+      grants.delete(form.get('code'));
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (!grant || challenge !== grant.codeChallenge || form.get('redirect_uri') !== grant.redirectUri) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const now = Math.floor(Date.now() / 1000);
+      const header = base64url(JSON.stringify({ alg: 'RS256', kid, typ: 'JWT' }));
+      const payload = base64url(JSON.stringify({
+        iss: issuer,
+        aud: CLIENT_ID,
+        iat: now,
+        exp: now + 300,
+        nonce: grant.nonce,
+        email_verified: true,
+        ...grant.claims
+      }));
+      const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), grant.signingKey || privateKey);
+      return sendJson(res, 200, {
+        access_token: crypto.randomBytes(16).toString('hex'),
+        token_type: 'Bearer',
+        id_token: `${header}.${payload}.${base64url(signature)}`
+      });
+    }
+  });
+
+  idp.issuer = issuer;
+  // Approve the sign-in the app sent the browser to; returns the code for the callback
+  idp.approve = (authorizeUrl, claims, options = {}) => {
+    const params = new URL(authorizeUrl).searchParams;
+    const code = crypto.randomBytes(16).toString('hex');
+    grants.set(code, {
+      codeChallenge: params.get('code_challenge'),
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      claims,
+      signingKey: options.signingKey
+    });
+    return code;
+  };
+  return idp;
+}
+
+test.describe('OIDC single sign-on callback', () => {
+  let idp;
+  let admin;
+  let adminUser;
+
+  test.beforeAll(async ({ playwright }) => {
+    idp = await startIdentityProvider();
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    adminUser = await signIn(admin, ADMIN_CREDENTIALS);
+    console.log(`\n🚀 SSO SPEC: tenant ${adminUser.tenantId}, issuer ${idp.issuer}\n`);
+
+    const response = await admin.put(`/api/tenants/${adminUser.tenantId}/settings/sso`, {
+      data: {
+        issuer: idp.issuer,
+        client_id: CLIENT_ID,
+        client_secret: CLIENT_SECRET,
+        allowed_domains: [SSO_DOMAIN],
+        default_role: 'user',
+        role_claim: 'groups',
+        role_mapping: { [ADMIN_GROUP]: 'tenant-admin' },
+        enabled: true
+      }
+    });
+    expect(response.ok()).toBeTruthy();
+    const provider = await response.json();
+    expect(provider.client_secret).toBeUndefined();
+    console.log('   ✅ SSO provider configured');
+  });
+
+  test.afterAll(async () => {
+    await admin?.delete(`/api/tenants/${adminUser?.tenantId}/settings/sso`);
+    await admin?.dispose();
+    await idp?.close();
+  });
+
+  // Act as a fresh browser: start at the app, approve at the provider, come back to the callback
+  async function ssoSignIn(playwright, email, claims, options = {}) {
+    const browser = await playwright.request.newContext({ baseURL: BASE_URL });
+    const start = await browser.get(`/api/auth/sso/start?email=${encodeURIComponent(email)}`, { maxRedirects: 0 });
+    expect(start.status()).toBe(302);
+    const authorizeUrl = start.headers()['location'];
+    expect(authorizeUrl.startsWith(`${idp.issuer}/authorize?`)).toBeTruthy();
+
+    const params = new URL(authorizeUrl).searchParams;
+    expect(params.get('client_id')).toBe(CLIENT_ID);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('redirect_uri')).toMatch(/\/api\/auth\/sso\/callback$/);
+
+    const code = idp.approve(authorizeUrl, { email, ...claims }, options);
+    const state = options.state || params.get('state');
+    const callback = await browser.get(
+      `/api/auth/sso/callback?code=${code}&state=${encodeURIComponent(state)}`,
+      { maxRedirects: 0 }
+    );
+    expect(callback.status()).toBe(302);
+    return { browser, location: callback.headers()['location'] };
+  }
+
+  test('provisions a user with the mapped role and keeps the role in sync', async ({ playwright }) => {
+    const email = `sso${Date.now()}@${SSO_DOMAIN}`;
+    const subject = `sub-${Date.now()}`;
+
+    console.log('\n1️⃣ FIRST SIGN-IN');
+    const first = await ssoSignIn(playwright, email, { sub: subject, name: 'Sso Spec', groups: [ADMIN_GROUP] });
+    expect(first.location).toBe('/signin?sso=complete');
+    const info = await (await first.browser.get('/api/user/info')).json();
+    expect(info.email).toBe(email);
+    expect(info.tenantId).toBe(adminUser.tenantId);
+    expect(info.role).toBe('tenant-admin');
+    console.log(`   ✅ ${email} provisioned as ${info.role}`);
+    await first.browser.dispose();
+
+    console.log('\n2️⃣ SIGN-IN AFTER LEAVING THE ADMIN GROUP');
+    const second = await ssoSignIn(playwright, email, { sub: subject, groups: ['staff'] });
+    expect(second.location).toBe('/signin?sso=complete');
+    const synced = await (await second.browser.get('/api/user/info')).json();
+    expect(synced.role).toBe('user');
+    console.log(`   ✅ Role synced to ${synced.role}`);
+    await second.browser.dispose();
+  });
+
+  test('rejects callbacks that do not belong to the sign-in', async ({ playwright }) => {
+    const email = `sso${Date.now()}@${SSO_DOMAIN}`;
+
+    console.log('\n3️⃣ STATE NOT MATCHING THE BROWSER');
+    const forged = await ssoSignIn(playwright, email, { sub: 'forged' }, { state: crypto.randomBytes(32).toString('hex') });
+    expect(forged.location).toBe('/signin?sso_error=STATE_EXPIRED');
+    // No session was started
+    expect((await forged.browser.get('/api/user/info', { maxRedirects: 0 })).ok()).toBeFalsy();
+    await forged.browser.dispose();
+
+    console.log('\n4️⃣ ID TOKEN SIGNED WITH ANOTHER KEY');
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const unsigned = await ssoSignIn(playwright, email, { sub: 'other-key' }, { signingKey: otherKey });
+    expect(unsigned.location).toBe('/signin?sso_error=TOKEN_INVALID');
+    await unsigned.browser.dispose();
+
+    console.log('\n5️⃣ EMAIL OUTSIDE THE ALLOWED DOMAINS');
+    // The login hint picks the tenant, but the verified email from the provider decides
+    const outsider = await ssoSignIn(playwright, email, { sub: 'outsider', email: `sso${Date.now()}@elsewhere.example` });
+    expect(outsider.location).toBe('/signin?sso_error=DOMAIN_NOT_ALLOWED');
+    await outsider.browser.dispose();
+
+    const unknown = await playwright.request.newContext({ baseURL: BASE_URL });
+    const noProvider = await unknown.get('/api/auth/sso/start?email=someone@no-sso.example', { maxRedirects: 0 });
+    expect(noProvider.headers()['location']).toBe('/signin?sso_error=NO_PROVIDER');
+    await unknown.dispose();
+    console.log('   ✅ Invalid sign-ins rejected');
+  });
+
+  test('refuses an issuer on a private address', async () => {
+    console.log('\n6️⃣ CLOUD METADATA ADDRESS AS THE ISSUER');
+    const response = await admin.put(`/api/tenants/${adminUser.tenantId}/settings/sso`, {
+      data: { issuer: 'http://169.254.169.254/latest', client_id: CLIENT_ID, allowed_domains: [SSO_DOMAIN], default_role: 'user', enabled: true }
+    });
+    expect(response.status()).toBe(400);
+    expect((await response.json()).error).toContain('private address');
+    // The working provider is kept
+    const provider = await (await admin.get(`/api/tenants/${adminUser.tenantId}/settings/sso`)).json();
+    expect(provider.issuer).toBe(idp.issuer);
+    console.log('   ✅ 169.254.169.254 refused');
+  });
+});
@@ -0,0 +1,169 @@
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { signIn, inviteMember } = require('../fixtures/api-helpers');
+// Codes are computed the way an authenticator app does (RFC 6238, 30 second steps)
+const { totpCode } = require('../../src/services/twoFactor');
+
+const currentStep = () => Math.floor(Date.now() / 30000);
+// Wrong codes count towards the account lockout (see auth-account-lockout.spec.js)
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOCKOUT_THRESHOLD) || 5;
+
+test.describe('Two-factor sign-in', () => {
+  let admin;
+  let tenantId;
+  const contexts = [];
+  const members = [];
+
+  test.beforeAll(async ({ playwright }) => {
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    tenantId = (await signIn(admin, ADMIN_CREDENTIALS)).tenantId;
+    console.log(`\n🚀 TWO-FACTOR SPEC: tenant ${tenantId}\n`);
+  });
+
+  test.afterAll(async () => {
+    for (const member of members) {
+      await admin.delete(`/api/tenants/${tenantId}/users/${member.id}`);
+    }
+    for (const context of contexts) {
+      await context.dispose();
+    }
+    await admin?.dispose();
+  });
+
+  async function newContext(playwright) {
+    const context = await playwright.request.newContext({ baseURL: BASE_URL });
+    contexts.push(context);
+    return context;
+  }
+
+  // Invite a member and turn on 2FA for them; the enabling code uses up the current step
+  async function enrolledMember(playwright, label) {
+    const member = await inviteMember(admin, tenantId, { label });
+    members.push(member);
+    const context = await newContext(playwright);
+    await signIn(context, member);
+
+    const setup = await context.post('/api/two-factor/setup');
+    expect(setup.ok()).toBeTruthy();
+    member.secret = (await setup.json()).secret;
+
+    const refused = await context.post('/api/two-factor/enable', { data: { code: '000000' } });
+    expect(refused.status()).toBe(400);
+    member.enabledStep = currentStep();
+    const enabled = await context.post('/api/two-factor/enable', {
+      data: { code: totpCode(member.secret, member.enabledStep) }
+    });
+    expect(enabled.ok()).toBeTruthy();
+    member.recoveryCodes = (await enabled.json()).recovery_codes;
+    expect(member.recoveryCodes.length).toBeGreaterThan(0);
+    return member;
+  }
+
+  // The password step: answers with a challenge and no session
+  async function challengeFor(context, member) {
+    const response = await context.post('/api/auth/signin', {
+      data: { email: member.email, password: member.password }
+    });
+    expect(response.ok()).toBeTruthy();
+    const body = await response.json();
+    expect(body.twoFactorRequired).toBe(true);
+    expect(body.user).toBeUndefined();
+    return body.challengeToken;
+  }
+
+  const answer = (context, challengeToken, code) =>
+    context.post('/api/auth/signin/2fa', { data: { challengeToken, code } });
+
+  test('the password alone only earns a challenge', async ({ playwright }) => {
+    const member = await enrolledMember(playwright, 'totp');
+    const context = await newContext(playwright);
+
+    console.log('\n1️⃣ PASSWORD STEP');
+    const challengeToken = await challengeFor(context, member);
+    expect((await context.get('/api/user/info')).status()).toBe(401);
+    console.log('   ✅ Challenge issued, no session');
+
+    console.log('\n2️⃣ WRONG AND UNKNOWN-CHALLENGE CODES');
+    const wrong = await answer(context, challengeToken, '000000');
+    expect(wrong.status()).toBe(401);
+    expect((await wrong.json()).message).toBe('Invalid verification code');
+    const unknown = await answer(context, '0'.repeat(64), totpCode(member.secret, currentStep()));
+    expect(unknown.status()).toBe(401);
+    expect((await unknown.json()).challengeExpired).toBe(true);
+    console.log('   ✅ Both 401');
+
+    console.log('\n3️⃣ RIGHT CODE');
+    // The enabling code used the current step, so use the next one (accepted for clock drift)
+    const code = totpCode(member.secret, member.enabledStep + 1);
+    const accepted = await answer(context, challengeToken, code);
+    expect(accepted.ok()).toBeTruthy();
+    expect((await context.get('/api/user/info')).ok()).toBeTruthy();
+    console.log('   ✅ Signed in');
+
+    console.log('\n4️⃣ REPLAYED CODE AND USED CHALLENGE');
+    const replayContext = await newContext(playwright);
+    const replay = await answer(replayContext, await challengeFor(replayContext, member), code);
+    expect(replay.status()).toBe(401);
+    expect((await answer(context, challengeToken, code)).status()).toBe(401);
+    expect((await replayContext.get('/api/user/info')).status()).toBe(401);
+    console.log('   ✅ A code works once, and so does a challenge');
+  });
+
+  test('a recovery code signs in once', async ({ playwright }) => {
+    const member = await enrolledMember(playwright, 'recovery');
+    const [recoveryCode] = member.recoveryCodes;
+
+    console.log('\n5️⃣ RECOVERY CODE');
+    const context = await newContext(playwright);
+    expect((await answer(context, await challengeFor(context, member), recoveryCode)).ok()).toBeTruthy();
+    const status = await (await context.get('/api/two-factor')).json();
+    expect(status.recovery_codes_remaining).toBe(member.recoveryCodes.length - 1);
+    console.log(`   ✅ Signed in, ${status.recovery_codes_remaining} codes left`);
+
+    console.log('\n6️⃣ SAME RECOVERY CODE AGAIN');
+    const again = await newContext(playwright);
+    expect((await answer(again, await challengeFor(again, member), recoveryCode)).status()).toBe(401);
+    console.log('   ✅ 401');
+  });
+
+  test('wrong codes lock the account', async ({ playwright }) => {
+    const member = await enrolledMember(playwright, 'totplock');
+    const context = await newContext(playwright);
+    const challengeToken = await challengeFor(context, member);
+
+    console.log('\n7️⃣ WRONG CODES UNTIL THE LOCKOUT');
+    for (let i = 1; i < LOCKOUT_THRESHOLD; i++) {
+      expect((await answer(context, challengeToken, '000000')).status()).toBe(401);
+    }
+    expect((await answer(context, challengeToken, '000000')).status()).toBe(423);
+    console.log(`   ✅ 423 on wrong code ${LOCKOUT_THRESHOLD}`);
+
+    console.log('\n8️⃣ LOCKED: THE CHALLENGE IS GONE AND THE PASSWORD REFUSED');
+    expect((await answer(context, challengeToken, totpCode(member.secret, member.enabledStep + 1))).status()).toBe(401);
+    const password = await context.post('/api/auth/signin', { data: { email: member.email, password: member.password } });
+    expect(password.status()).toBe(423);
+    console.log('   ✅ 401 for the challenge, 423 for the password');
+  });
+
+  test('only user managers can reset a member\'s 2FA', async ({ playwright }) => {
+    const member = await enrolledMember(playwright, 'totpreset');
+    const colleague = await inviteMember(admin, tenantId, { label: 'colleague' });
+    members.push(colleague);
+    const colleagueContext = await newContext(playwright);
+    await signIn(colleagueContext, colleague);
+
+    console.log('\n9️⃣ RESET BY A USER WITHOUT users:manage');
+    const denied = await colleagueContext.post(`/api/tenants/${tenantId}/users/${member.id}/reset-two-factor`);
+    expect(denied.status()).toBe(403);
+    console.log('   ✅ 403');
+
+    console.log('\n🔟 RESET BY THE ADMIN');
+    const reset = await admin.post(`/api/tenants/${tenantId}/users/${member.id}/reset-two-factor`);
+    expect(reset.ok()).toBeTruthy();
+    const context = await newContext(playwright);
+    await signIn(context, member);
+    expect((await (await context.get('/api/two-factor')).json()).enabled).toBe(false);
+    const again = await admin.post(`/api/tenants/${tenantId}/users/${member.id}/reset-two-factor`);
+    expect(again.status()).toBe(400);
+    console.log('   ✅ The password alone signs in again; a second reset answers 400');
+  });
+});
@@ -0,0 +1,98 @@
+const { test, expect, BASE_URL } = require('../fixtures/simple-base');
+const { registerUser, waitFor } = require('../fixtures/api-helpers');
+
+const FILENAME = 'blob-round-trip.txt';
+// Multi-byte characters, so a lossy round trip would change the bytes
+const CONTENT = Buffer.from('Blob storage round trip ✓\nÅngström, naïve café, 日本語\n'.repeat(50));
+
+test.describe('Document blob storage', () => {
+  let owner;
+  let outsider;
+  let anonymous;
+  let documentId;
+
+  test.beforeAll(async ({ playwright }) => {
+    owner = await playwright.request.newContext({ baseURL: BASE_URL });
+    outsider = await playwright.request.newContext({ baseURL: BASE_URL });
+    // Signed URLs are the only credential a download needs
+    anonymous = await playwright.request.newContext({ baseURL: BASE_URL });
+    const user = await registerUser(owner, 'blob');
+    await registerUser(outsider, 'blob-outsider');
+    console.log(`\n🚀 BLOB STORAGE SPEC: ${user.email}\n`);
+
+    const upload = await owner.post('/api/rag/upload-document', {
+      multipart: { document: { name: FILENAME, mimeType: 'text/plain', buffer: CONTENT } }
+    });
+    expect(upload.ok()).toBeTruthy();
+    documentId = (await upload.json()).document_id;
+    console.log(`   📄 Uploaded ${FILENAME} (${documentId}, ${CONTENT.length} bytes)`);
+  });
+
+  test.afterAll(async () => {
+    await owner?.dispose();
+    await outsider?.dispose();
+    await anonymous?.dispose();
+  });
+
+  async function signedUrl() {
+    const response = await owner.get(`/api/documents/${documentId}?redirect=false`);
+    expect(response.ok()).toBeTruthy();
+    const { url, expires_at } = await response.json();
+    expect(new Date(expires_at).getTime()).toBeGreaterThan(Date.now());
+    return url;
+  }
+
+  test('signed URLs return the uploaded bytes', async () => {
+    console.log('\n1️⃣ SIGNED URL AS JSON');
+    const url = await signedUrl();
+    expect(url).toContain('/api/documents/blob?');
+    const download = await anonymous.get(url);
+    expect(download.ok()).toBeTruthy();
+    expect(download.headers()['content-type']).toContain('text/plain');
+    expect(download.headers()['content-disposition']).toContain(FILENAME);
+    expect(Buffer.compare(await download.body(), CONTENT)).toBe(0);
+    console.log('   ✅ Downloaded bytes match the upload');
+
+    console.log('\n2️⃣ REDIRECT TO THE SIGNED URL');
+    const redirect = await owner.get(`/api/documents/${documentId}`, { maxRedirects: 0 });
+    expect(redirect.status()).toBe(302);
+    expect(redirect.headers()['location']).toContain('/api/documents/blob?');
+    const followed = await owner.get(`/api/documents/${documentId}`);
+    expect(Buffer.compare(await followed.body(), CONTENT)).toBe(0);
+    console.log('   ✅ Redirect serves the same bytes');
+  });
+
+  test('rejects tampered links and other tenants', async () => {
+    console.log('\n3️⃣ TAMPERED SIGNED URLS');
+    const url = new URL(await signedUrl());
+    for (const [name, value] of [
+      ['signature', url.searchParams.get('signature').replace(/.$/, c => (c === 'a' ? 'b' : 'a'))],
+      ['filename', 'renamed.html'],
+      ['type', 'text/html'],
+      ['expires', String(Math.floor(Date.now() / 1000) + 86400)]
+    ]) {
+      const tampered = new URL(url);
+      tampered.searchParams.set(name, value);
+      expect((await anonymous.get(tampered.href)).status()).toBe(403);
+    }
+    console.log('   ✅ Changed signature, filename, type and expiry rejected');
+
+    console.log('\n4️⃣ ANOTHER TENANT');
+    const foreign = await outsider.get(`/api/documents/${documentId}?redirect=false`);
+    expect(foreign.status()).toBe(403);
+    console.log('   ✅ Other tenant denied');
+  });
+
+  test('deleting the document removes its blob', async () => {
+    const url = await signedUrl();
+
+    console.log('\n5️⃣ DELETE THE DOCUMENT');
+    const deleted = await owner.delete(`/api/rag/document/${documentId}`);
+    expect(deleted.ok()).toBeTruthy();
+
+    expect((await owner.get(`/api/documents/${documentId}?redirect=false`)).status()).toBe(404);
+    // The blob is removed after the row; a link signed before then stops working
+    await waitFor(async () => (await anonymous.get(url)).status() === 404, { message: 'the blob to be deleted' });
+    console.log('   ✅ Document and blob gone');
+  });
+});
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { test, expect, BASE_URL } = require('../fixtures/simple-base');
+const { registerUser } = require('../fixtures/api-helpers');
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// A text file of two and a half parts; the part size comes from the server (UPLOAD_PART_SIZE)
+function buildFile(partSize, label) {
+  const lines = [];
+  let size = 0;
+  for (let i = 1; size < partSize * 2.5; i++) {
+    const line = `${label} line ${i}: resumable uploads send large files in verified parts.\n`;
+    lines.push(line);
+    size += Buffer.byteLength(line);
+  }
+  return Buffer.from(lines.join(''));
+}
+
+test.describe('Resumable chunked uploads', () => {
+  let api;
+  let partSize;
+
+  test.beforeAll(async ({ playwright }) => {
+    api = await playwright.request.newContext({ baseURL: BASE_URL });
+    const user = await registerUser(api, 'chunked');
+
+    // Learn the server's part size before building files
+    const probe = await api.post('/api/rag/uploads', {
+      data: { filename: 'probe.txt', file_size: 1, sha256: sha256(Buffer.from('p')) }
+    });
+    const { upload_id, part_size } = await probe.json();
+    await api.delete(`/api/rag/uploads/${upload_id}`);
+    partSize = part_size;
+    console.log(`\n🚀 CHUNKED UPLOAD SPEC: ${user.email}, ${partSize} byte parts\n`);
+  });
+
+  test.afterAll(async () => {
+    await api?.dispose();
+  });
+
+  async function startUpload(filename, file, declaredSha256 = sha256(file)) {
+    const response = await api.post('/api/rag/uploads', {
+      data: { filename, file_size: file.length, sha256: declaredSha256 }
+    });
+    expect(response.status()).toBe(201);
+    const session = await response.json();
+    expect(session.part_size).toBe(partSize);
+    expect(session.total_parts).toBe(Math.ceil(file.length / partSize));
+    return session;
+  }
+
+  function partOf(file, partNumber) {
+    return file.subarray((partNumber - 1) * partSize, partNumber * partSize);
+  }
+
+  function putPart(session, partNumber, body, checksum = sha256(body)) {
+    return api.put(`/api/rag/uploads/${session.upload_id}/parts/${partNumber}`, {
+      data: body,
+      headers: { 'Content-Type': 'application/octet-stream', 'X-Content-SHA256': checksum }
+    });
+  }
+
+  async function uploadPart(session, file, partNumber) {
+    const response = await putPart(session, partNumber, partOf(file, partNumber));
+    expect(response.ok()).toBeTruthy();
+    return response.json();
+  }
+
+  test('resumes an interrupted upload from the parts already received', async () => {
+    const file = buildFile(partSize, 'resume');
+
+    console.log('\n1️⃣ UPLOAD INTERRUPTED AFTER PARTS 1 AND 3');
+    const session = await startUpload('resumable-upload.txt', file);
+    expect(session.total_parts).toBe(3);
+    await uploadPart(session, file, 1);
+    await uploadPart(session, file, 3);
+
+    const status = await (await api.get(`/api/rag/uploads/${session.upload_id}`)).json();
+    expect(status.parts_received).toEqual([1, 3]);
+    expect(status.bytes_received).toBe(partOf(file, 1).length + partOf(file, 3).length);
+    expect(status.status).toBe('uploading');
+
+    const early = await api.post(`/api/rag/uploads/${session.upload_id}/complete`);
+    expect(early.status()).toBe(409);
+    expect((await early.json()).missing_parts).toEqual([2]);
+    console.log('   ✅ Completing early lists the missing part');
+
+    console.log('\n2️⃣ RESUME WITH THE MISSING PART');
+    const resumed = await (await api.get(`/api/rag/uploads/${session.upload_id}`)).json();
+    for (let partNumber = 1; partNumber <= resumed.total_parts; partNumber++) {
+      if (!resumed.parts_received.includes(partNumber)) {
+        await uploadPart(session, file, partNumber);
+      }
+    }
+    const complete = await api.post(`/api/rag/uploads/${session.upload_id}/complete`);
+    expect(complete.ok()).toBeTruthy();
+    const { document_id } = await complete.json();
+    expect(document_id).toBeTruthy();
+
+    // Completing again (e.g. after a lost response) returns the same document
+    const again = await (await api.post(`/api/rag/uploads/${session.upload_id}/complete`)).json();
+    expect(again.document_id).toBe(document_id);
+
+    const download = await api.get(`/api/documents/${document_id}`);
+    expect(Buffer.compare(await download.body(), file)).toBe(0);
+    console.log(`   ✅ Assembled document ${document_id} matches the file`);
+  });
+
+  test('rejects parts and files that fail their checksum', async () => {
+    const file = buildFile(partSize, 'checksum');
+
+    console.log('\n3️⃣ CORRUPTED AND MISSIZED PARTS');
+    const session = await startUpload('checksum-upload.txt', file);
+    const part = partOf(file, 1);
+    expect((await putPart(session, 1, part, sha256(Buffer.from('something else')))).status()).toBe(422);
+    expect((await putPart(session, 1, part.subarray(1))).status()).toBe(400);
+    expect((await putPart(session, session.total_parts + 1, part)).status()).toBe(400);
+    const unsigned = await api.put(`/api/rag/uploads/${session.upload_id}/parts/1`, {
+      data: part,
+      headers: { 'Content-Type': 'application/octet-stream' }
+    });
+    expect(unsigned.status()).toBe(400);
+    expect((await (await api.get(`/api/rag/uploads/${session.upload_id}`)).json()).parts_received).toEqual([]);
+    await api.delete(`/api/rag/uploads/${session.upload_id}`);
+    console.log('   ✅ Rejected parts were not stored');
+
+    console.log('\n4️⃣ PARTS THAT DO NOT ADD UP TO THE DECLARED FILE');
+    // Every part is intact, but the file was declared with another checksum
+    const mismatched = await startUpload('mismatched-upload.txt', file, sha256(Buffer.from('another file')));
+    for (let partNumber = 1; partNumber <= mismatched.total_parts; partNumber++) {
+      await uploadPart(mismatched, file, partNumber);
+    }
+    const complete = await api.post(`/api/rag/uploads/${mismatched.upload_id}/complete`);
+    expect(complete.status()).toBe(422);
+    // The parts can never make a valid file, so the upload is discarded
+    expect((await api.get(`/api/rag/uploads/${mismatched.upload_id}`)).status()).toBe(404);
+    console.log('   ✅ Checksum mismatch discarded the upload');
+  });
+
+  test('cancelling an upload deletes it', async () => {
+    const file = buildFile(partSize, 'cancel');
+
+    console.log('\n5️⃣ CANCEL');
+    const session = await startUpload('cancelled-upload.txt', file);
+    await uploadPart(session, file, 1);
+    expect((await api.delete(`/api/rag/uploads/${session.upload_id}`)).ok()).toBeTruthy();
+    expect((await api.get(`/api/rag/uploads/${session.upload_id}`)).status()).toBe(404);
+    expect((await putPart(session, 2, partOf(file, 2))).status()).toBe(404);
+    console.log('   ✅ Cancelled upload is gone');
+  });
+});
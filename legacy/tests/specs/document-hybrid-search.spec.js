@@ -0,0 +1,171 @@
+const { test, expect, BASE_URL } = require('../fixtures/simple-base');
+const { registerUser, waitFor, startActionsPlatform } = require('../fixtures/api-helpers');
+// The app embeds with the same provider (EMBEDDING_PROVIDER=hashing in docker-compose.test.yml)
+const { HashingEmbeddingProvider } = require('../../src/services/embeddingProviders');
+
+const embedder = new HashingEmbeddingProvider({ dimension: parseInt(process.env.VECTOR_DIMENSION) || 1536 });
+
+const DOCUMENTS = {
+  vpn: {
+    filename: 'vpn-password-reset.txt',
+    markdown: '# Resetting your VPN password\n\nOpen the self-service portal, choose VPN access and follow the password reset steps. VPN passwords expire every 90 days.'
+  },
+  printer: {
+    filename: 'office-printers.txt',
+    markdown: '# Adding an office printer\n\nPick the printer closest to your desk from the print queue list and install the driver it offers.'
+  },
+  laptop: {
+    filename: 'laptop-checklist.txt',
+    markdown: '# New laptop checklist\n\nSign in with your company account, enroll the laptop in device management and set a screen lock. Your account password is the one from your welcome email.'
+  }
+};
+
+test.describe('Hybrid search over in-process vectors', () => {
+  let actionsPlatform;
+  let api;
+  let user;
+  const documentIds = {};
+
+  // Upload the documents, act as the actions platform for their markdown, and let the
+  // in-process pipeline chunk and embed them
+  test.beforeAll(async ({ playwright }) => {
+    actionsPlatform = await startActionsPlatform();
+    api = await playwright.request.newContext({ baseURL: BASE_URL });
+    user = await registerUser(api, 'hybrid');
+    console.log(`\n🚀 HYBRID SEARCH SPEC: ${user.email}\n`);
+
+    for (const [key, doc] of Object.entries(DOCUMENTS)) {
+      const upload = await api.post('/api/rag/upload-document', {
+        multipart: {
+          document: { name: doc.filename, mimeType: 'text/plain', buffer: Buffer.from(doc.markdown) }
+        }
+      });
+      expect(upload.ok()).toBeTruthy();
+      const { document_id } = await upload.json();
+      documentIds[key] = document_id;
+
+      const event = await actionsPlatform.waitForEvent(payload =>
+        payload.action === 'document-processing' && payload.document_id === document_id);
+      const callback = await api.post(`/api/rag/document-callback/${document_id}`, {
+        headers: { Authorization: `Bearer ${event.callback_token}` },
+        data: { tenant_id: user.tenantId, markdown: doc.markdown }
+      });
+      expect(callback.ok()).toBeTruthy();
+      expect((await callback.json()).vectorization).toBe('in-process');
+      console.log(`   📄 ${doc.filename} uploaded and processed (${document_id})`);
+    }
+
+    for (const documentId of Object.values(documentIds)) {
+      await waitFor(async () => {
+        const status = await api.get(`/api/rag/document-status/${documentId}`);
+        return (await status.json()).document?.status === 'ready';
+      }, { message: `document ${documentId} to be vectorized` });
+    }
+    console.log('   ✅ All documents vectorized');
+  });
+
+  test.afterAll(async () => {
+    await api?.dispose();
+    await actionsPlatform?.close();
+  });
+
+  // Ask a question so the actions platform receives a message callback token for vector search
+  async function searchCredentials(question) {
+    const chat = await api.post('/api/rag/chat', { data: { message: question } });
+    expect(chat.ok()).toBeTruthy();
+    const { message_id } = await chat.json();
+    const event = await actionsPlatform.waitForEvent(payload => payload.message_id === message_id);
+    return { message_id, callback_token: event.callback_token };
+  }
+
+  async function search(request, credentials, body) {
+    return request.post('/api/rag/vector-search', {
+      headers: { 'X-Callback-Token': credentials.callback_token },
+      data: { tenant_id: user.tenantId, message_id: credentials.message_id, ...body }
+    });
+  }
+
+  test('hybrid mode ranks the document matching both the meaning and the keywords first', async ({ request }) => {
+    const queryText = 'reset VPN password';
+    const credentials = await searchCredentials('How do I reset my VPN password?');
+    const [queryEmbedding] = await embedder.embed([queryText]);
+
+    console.log('\n1️⃣ HYBRID SEARCH');
+    const response = await search(request, credentials, {
+      mode: 'hybrid',
+      query_text: queryText,
+      query_embedding: queryEmbedding,
+      limit: 3,
+      threshold: 0
+    });
+    expect(response.ok()).toBeTruthy();
+    const { mode, results } = await response.json();
+    expect(mode).toBe('hybrid');
+    expect(results.length).toBeGreaterThan(0);
+
+    const top = results[0];
+    console.log(`   🥇 Top result: ${top.document_id} (fused ${top.scores.fused})`);
+    expect(top.document_id).toBe(documentIds.vpn);
+    expect(top.scores.semantic_rank).toBe(1);
+    expect(top.scores.lexical_rank).toBe(1);
+
+    // Fused scores come back in descending order
+    const fused = results.map(result => result.scores.fused);
+    expect(fused).toEqual([...fused].sort((a, b) => b - a));
+
+    // The printer document shares no keyword with the query, so it can only rank semantically
+    const printer = results.find(result => result.document_id === documentIds.printer);
+    if (printer) {
+      expect(printer.scores.lexical_rank).toBeNull();
+    }
+  });
+
+  test('weights shift the fused ranking between semantic and lexical matches', async ({ request }) => {
+    const queryText = 'account password';
+    const credentials = await searchCredentials('Which password does my account use?');
+    const [queryEmbedding] = await embedder.embed([queryText]);
+
+    console.log('\n2️⃣ KEYWORD-ONLY AND WEIGHTED SEARCH');
+    const keyword = await search(request, credentials, { mode: 'keyword', query_text: queryText, limit: 5 });
+    expect(keyword.ok()).toBeTruthy();
+    const keywordResults = (await keyword.json()).results;
+    // Only the laptop checklist mentions both words
+    expect(keywordResults.map(result => result.document_id)).toEqual([documentIds.laptop]);
+
+    const lexicalOnly = await search(request, credentials, {
+      mode: 'hybrid',
+      query_text: queryText,
+      query_embedding: queryEmbedding,
+      weights: { semantic: 0, lexical: 1 },
+      limit: 3,
+      threshold: 0
+    });
+    expect(lexicalOnly.ok()).toBeTruthy();
+    const [first] = (await lexicalOnly.json()).results;
+    expect(first.document_id).toBe(documentIds.laptop);
+    expect(first.scores.lexical_rank).toBe(1);
+    console.log(`   🥇 Lexical-weighted top result: ${first.document_id}`);
+  });
+
+  test('rejects invalid limits and thresholds', async ({ request }) => {
+    const credentials = await searchCredentials('What is the VPN password policy?');
+
+    console.log('\n3️⃣ INPUT VALIDATION');
+    for (const body of [
+      { mode: 'keyword', query_text: 'vpn', limit: 0 },
+      { mode: 'keyword', query_text: 'vpn', limit: '5; DROP TABLE rag_vectors' },
+      { mode: 'keyword', query_text: 'vpn', limit: 1000 },
+      { mode: 'keyword', query_text: 'vpn', threshold: 'high' },
+      { mode: 'hybrid', query_text: 'vpn', query_embedding: [0.1, 0.2] }
+    ]) {
+      const response = await search(request, credentials, body);
+      expect(response.status()).toBe(400);
+    }
+
+    const unauthenticated = await request.post('/api/rag/vector-search', {
+      data: { tenant_id: user.tenantId, mode: 'keyword', query_text: 'vpn' }
+    });
+    expect(unauthenticated.status()).toBe(401);
+    console.log('   ✅ Invalid searches rejected');
+  });
+});
@@ -0,0 +1,90 @@
+const { test, expect, BASE_URL } = require('../fixtures/simple-base');
+const { registerUser, waitFor, startActionsPlatform } = require('../fixtures/api-helpers');
+
+// A name many unrelated files share
+const FILENAME = 'notes.txt';
+
+test.describe('Document versions', () => {
+  let actionsPlatform;
+  let api;
+  let user;
+
+  test.beforeAll(async ({ playwright }) => {
+    actionsPlatform = await startActionsPlatform();
+    api = await playwright.request.newContext({ baseURL: BASE_URL });
+    user = await registerUser(api, 'versions');
+    console.log(`\n🚀 DOCUMENT VERSIONING SPEC: ${user.email}\n`);
+  });
+
+  test.afterAll(async () => {
+    await api?.dispose();
+    await actionsPlatform?.close();
+  });
+
+  // Upload a file and play the actions platform converting it, so the upload becomes current
+  async function upload(text, fields = {}) {
+    const response = await api.post('/api/rag/upload-document', {
+      multipart: {
+        ...fields,
+        document: { name: FILENAME, mimeType: 'text/plain', buffer: Buffer.from(text) }
+      }
+    });
+    expect(response.ok()).toBeTruthy();
+    const body = await response.json();
+    const event = await actionsPlatform.waitForEvent(payload =>
+      payload.action === 'document-processing' && payload.document_id === body.document_id);
+    const callback = await api.post(`/api/rag/document-callback/${body.document_id}`, {
+      headers: { Authorization: `Bearer ${event.callback_token}` },
+      data: { tenant_id: user.tenantId, markdown: text }
+    });
+    expect(callback.ok()).toBeTruthy();
+    await waitFor(async () => {
+      const status = await api.get(`/api/rag/document-status/${body.document_id}`);
+      return (await status.json()).document?.status === 'ready';
+    }, { timeout: 30000, message: `${body.document_id} to be processed` });
+    return body;
+  }
+
+  async function currentDocuments() {
+    const { documents } = await (await api.get('/api/rag/documents')).json();
+    return documents.filter(doc => doc.original_filename === FILENAME);
+  }
+
+  test('unrelated uploads with the same filename stay separate documents', async () => {
+    console.log('\n1️⃣ TWO UNRELATED FILES CALLED notes.txt');
+    const meeting = await upload('Meeting notes: the quarterly review moves to Thursday.');
+    const recipe = await upload('Recipe notes: proof the dough overnight before baking.');
+
+    expect(recipe.version).toBe(1);
+    expect(recipe.replaces).toBeNull();
+    expect(recipe.lineage_id).not.toBe(meeting.lineage_id);
+
+    const documents = await currentDocuments();
+    expect(documents.map(doc => doc.document_id).sort()).toEqual([meeting.document_id, recipe.document_id].sort());
+    expect(documents.every(doc => doc.version_count === 1)).toBeTruthy();
+    console.log('   ✅ Both stay current, each with one version');
+  });
+
+  test('an upload naming the document in replaces becomes its next version', async () => {
+    console.log('\n2️⃣ EXPLICIT REVISION');
+    const original = await upload('Runbook: restart the worker, then clear the queue.');
+    const revision = await upload('Runbook: drain the queue, then restart the worker.', { replaces: original.document_id });
+    expect(revision).toMatchObject({ version: 2, lineage_id: original.lineage_id, replaces: original.document_id });
+
+    const { versions, current_document_id } = await (await api.get(`/api/rag/document/${original.document_id}/versions`)).json();
+    expect(versions.map(version => version.version)).toEqual([2, 1]);
+    expect(current_document_id).toBe(revision.document_id);
+    expect((await currentDocuments()).map(doc => doc.document_id)).not.toContain(original.document_id);
+    console.log('   ✅ Version 2 replaced version 1');
+
+    console.log('\n3️⃣ UNKNOWN DOCUMENT TO REPLACE');
+    const missing = await api.post('/api/rag/upload-document', {
+      multipart: {
+        replaces: '00000000-0000-4000-8000-00000000dead',
+        document: { name: FILENAME, mimeType: 'text/plain', buffer: Buffer.from('Orphan revision.') }
+      }
+    });
+    expect(missing.status()).toBe(404);
+    console.log('   ✅ Rejected');
+  });
+});
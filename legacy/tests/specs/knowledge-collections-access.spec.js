@@ -0,0 +1,156 @@
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { signIn, inviteMember, waitFor, startActionsPlatform } = require('../fixtures/api-helpers');
+// The app embeds with the same provider (EMBEDDING_PROVIDER=hashing in docker-compose.test.yml)
+const { HashingEmbeddingProvider } = require('../../src/services/embeddingProviders');
+
+const embedder = new HashingEmbeddingProvider({ dimension: parseInt(process.env.VECTOR_DIMENSION) || 1536 });
+
+// A word only this run's documents contain, so other specs' documents in the tenant never match
+const KEYWORD = `zebrafinch${Date.now()}`;
+const RESTRICTED_TEXT = `Salary bands and bonus policy for every department. Keyword ${KEYWORD}.`;
+const OPEN_TEXT = `Printer setup guide for the second floor office. Keyword ${KEYWORD}.`;
+
+test.describe('Collection scoping of search', () => {
+  let actionsPlatform;
+  let admin;
+  let tenantId;
+  let collectionId;
+  let hr;
+  let agent;
+  const documentIds = {};
+  const members = {};
+
+  test.beforeAll(async ({ playwright }) => {
+    actionsPlatform = await startActionsPlatform();
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    tenantId = (await signIn(admin, ADMIN_CREDENTIALS)).tenantId;
+    console.log(`\n🚀 COLLECTION ACCESS SPEC: tenant ${tenantId}, keyword ${KEYWORD}\n`);
+
+    hr = await inviteMember(admin, tenantId, { label: 'hr' });
+    agent = await inviteMember(admin, tenantId, { label: 'agent' });
+    for (const member of [hr, agent]) {
+      members[member.email] = await playwright.request.newContext({ baseURL: BASE_URL });
+      await signIn(members[member.email], member);
+    }
+
+    const created = await admin.post(`/api/tenants/${tenantId}/collections`, { data: { name: `HR ${KEYWORD}` } });
+    expect(created.status()).toBe(201);
+    collectionId = (await created.json()).collection.collection_id;
+    const membership = await admin.put(`/api/tenants/${tenantId}/collections/${collectionId}/members`, {
+      data: { members: [{ type: 'user', member: hr.email }] }
+    });
+    expect(membership.ok()).toBeTruthy();
+    console.log(`   ✅ Collection ${collectionId} readable by ${hr.email} only`);
+
+    documentIds.restricted = await upload('salary-bands.txt', RESTRICTED_TEXT, { collection_id: collectionId });
+    documentIds.open = await upload('printer-setup.txt', OPEN_TEXT);
+    console.log(`   ✅ ${documentIds.restricted} filed in the collection, ${documentIds.open} outside it`);
+  });
+
+  test.afterAll(async () => {
+    for (const documentId of Object.values(documentIds)) {
+      await admin.delete(`/api/rag/document/${documentId}`);
+    }
+    if (collectionId) {
+      await admin.delete(`/api/tenants/${tenantId}/collections/${collectionId}`);
+    }
+    for (const member of [hr, agent].filter(Boolean)) {
+      await admin.delete(`/api/tenants/${tenantId}/users/${member.id}`);
+      await members[member.email]?.dispose();
+    }
+    await admin?.dispose();
+    await actionsPlatform?.close();
+  });
+
+  // Upload as the admin and play the actions platform converting the file
+  async function upload(name, text, fields = {}) {
+    const response = await admin.post('/api/rag/upload-document', {
+      multipart: { ...fields, document: { name, mimeType: 'text/plain', buffer: Buffer.from(text) } }
+    });
+    expect(response.ok()).toBeTruthy();
+    const { document_id } = await response.json();
+    const event = await actionsPlatform.waitForEvent(payload =>
+      payload.action === 'document-processing' && payload.document_id === document_id);
+    const callback = await admin.post(`/api/rag/document-callback/${document_id}`, {
+      headers: { Authorization: `Bearer ${event.callback_token}` },
+      data: { tenant_id: tenantId, markdown: text }
+    });
+    expect(callback.ok()).toBeTruthy();
+    await waitFor(async () => {
+      const status = await admin.get(`/api/rag/document-status/${document_id}`);
+      return (await status.json()).document?.status === 'ready';
+    }, { timeout: 30000, message: `${document_id} to be processed` });
+    return document_id;
+  }
+
+  // Vector search as the actions platform answering a member's chat message
+  async function searchForChat(member) {
+    const context = members[member.email];
+    const chat = await context.post('/api/rag/chat', { data: { message: `Where is the ${KEYWORD} policy?` } });
+    expect(chat.ok()).toBeTruthy();
+    const { message_id } = await chat.json();
+    const event = await actionsPlatform.waitForEvent(payload => payload.message_id === message_id);
+
+    const response = await admin.post('/api/rag/vector-search', {
+      headers: { 'X-Callback-Token': event.callback_token },
+      data: { tenant_id: tenantId, message_id, mode: 'keyword', query_text: KEYWORD, limit: 10 }
+    });
+    expect(response.ok()).toBeTruthy();
+    return new Set((await response.json()).results.map(result => result.document_id));
+  }
+
+  // Knowledge search with the member's own session
+  async function knowledgeSearch(member) {
+    const [queryEmbedding] = await embedder.embed([RESTRICTED_TEXT]);
+    const response = await members[member.email].post(`/api/tenant/${tenantId}/knowledge/search-embedding`, {
+      data: { query_embedding: queryEmbedding, threshold: 0.3, limit: 20 }
+    });
+    expect(response.ok()).toBeTruthy();
+    return new Set((await response.json()).documents.map(doc => doc.document_id));
+  }
+
+  test('vector search only returns collections the chat user may read', async () => {
+    console.log('\n1️⃣ CHAT FROM A COLLECTION MEMBER');
+    const hrResults = await searchForChat(hr);
+    expect(hrResults.has(documentIds.restricted)).toBeTruthy();
+    expect(hrResults.has(documentIds.open)).toBeTruthy();
+    console.log('   ✅ Both documents found');
+
+    console.log('\n2️⃣ CHAT FROM A USER OUTSIDE THE COLLECTION');
+    const agentResults = await searchForChat(agent);
+    expect(agentResults.has(documentIds.open)).toBeTruthy();
+    expect(agentResults.has(documentIds.restricted)).toBeFalsy();
+    console.log('   ✅ Only the document outside collections found');
+  });
+
+  test('knowledge search and document routes hide collections the user may not read', async () => {
+    console.log('\n3️⃣ KNOWLEDGE SEARCH');
+    expect((await knowledgeSearch(hr)).has(documentIds.restricted)).toBeTruthy();
+    expect((await knowledgeSearch(agent)).has(documentIds.restricted)).toBeFalsy();
+    console.log('   ✅ The restricted document is found by the member only');
+
+    console.log('\n4️⃣ DOCUMENT ROUTES AND FILING');
+    const agentContext = members[agent.email];
+    expect((await agentContext.get(`/api/rag/document-status/${documentIds.restricted}`)).status()).toBe(404);
+    expect((await agentContext.get(`/api/rag/document-status/${documentIds.open}`)).ok()).toBeTruthy();
+    const filed = await agentContext.post('/api/rag/upload-document', {
+      multipart: {
+        collection_id: collectionId,
+        document: { name: 'sneaky.txt', mimeType: 'text/plain', buffer: Buffer.from('Filed where I cannot read.') }
+      }
+    });
+    expect(filed.status()).toBe(404);
+    console.log('   ✅ 404 for the restricted document and for filing into its collection');
+  });
+
+  test('removing a member takes their access away', async () => {
+    console.log('\n5️⃣ MEMBERSHIP REMOVED');
+    const membership = await admin.put(`/api/tenants/${tenantId}/collections/${collectionId}/members`, {
+      data: { members: [] }
+    });
+    expect(membership.ok()).toBeTruthy();
+    expect((await knowledgeSearch(hr)).has(documentIds.restricted)).toBeFalsy();
+    expect((await searchForChat(hr)).has(documentIds.restricted)).toBeFalsy();
+    console.log('   ✅ The former member no longer finds the restricted document');
+  });
+});
@@ -0,0 +1,181 @@
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { STUB_PORTS, signIn, startStubServer, waitFor } = require('../fixtures/api-helpers');
+
+const SITE = `http://localhost:${STUB_PORTS.website}`;
+const SETUP_ETAG = '"setup-v1"';
+
+function page(title, body, links = []) {
+  const anchors = links.map(link => `<li><a href="${link}">${link}</a></li>`).join('');
+  return `<!DOCTYPE html><html><head><title>${title}</title></head>` +
+    `<body><h1>${title}</h1><p>${body}</p><ul>${anchors}</ul></body></html>`;
+}
+
+/**
+ * A small site whose second version changes one page, removes one and stops linking another.
+ * /guide/* is what the source stores; /private/ is disallowed by robots.txt and /blog/ is excluded.
+ */
+async function startWebsite() {
+  let version = 1;
+  const site = await startStubServer(STUB_PORTS.website, (req, res) => {
+    const path = req.url.split('?')[0];
+    const html = (status, body, headers = {}) => {
+      res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+      res.end(body);
+    };
+
+    if (path === '/robots.txt') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      return res.end('User-agent: *\nDisallow: /private/\n');
+    }
+    if (path === '/') {
+      const links = ['/guide/setup', '/guide/install', '/guide/faq', '/guide/old', '/private/secret', '/blog/post'];
+      if (version === 1) {
+        links.push('/guide/unlinked');
+      }
+      return html(200, page('Spec site', 'Welcome to the crawler spec site.', links));
+    }
+    if (path === '/guide/setup') {
+      // Revalidated with If-None-Match; the page never changes
+      if (req.headers['if-none-match'] === SETUP_ETAG) {
+        res.writeHead(304, { ETag: SETUP_ETAG });
+        return res.end();
+      }
+      return html(200, page('Setup', 'Install the agent and sign in.'), { ETag: SETUP_ETAG });
+    }
+    if (path === '/guide/install') {
+      // No validators, so only the content hash shows it is unchanged
+      return html(200, page('Install', 'Download the installer for your platform.'));
+    }
+    if (path === '/guide/faq') {
+      return html(200, page('FAQ', version === 1 ? 'Answers to common questions.' : 'Answers to common questions, now with billing.'));
+    }
+    if (path === '/guide/old' && version === 1) {
+      return html(200, page('Old guide', 'This guide is about to be removed.'));
+    }
+    if (path === '/guide/unlinked') {
+      return html(200, page('Unlinked guide', 'Only the first version of the site links here.'));
+    }
+    if (path === '/private/secret' || path === '/blog/post') {
+      return html(200, page('Not for the crawler', 'This page should never be fetched.'));
+    }
+  });
+
+  site.publishSecondVersion = () => {
+    version = 2;
+  };
+  site.fetched = (prefix) => site.requests.filter(request => request.path.startsWith(prefix));
+  return site;
+}
+
+test.describe('Web crawler', () => {
+  let site;
+  let admin;
+  let tenantId;
+  let sourceId;
+
+  test.beforeAll(async ({ playwright }) => {
+    site = await startWebsite();
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    tenantId = (await signIn(admin, ADMIN_CREDENTIALS)).tenantId;
+    console.log(`\n🚀 WEB CRAWLER SPEC: tenant ${tenantId}, site ${SITE}\n`);
+
+    const response = await admin.post(`/api/tenants/${tenantId}/crawl-sources`, {
+      data: {
+        name: `Crawler spec ${Date.now()}`,
+        seed_urls: [`${SITE}/`],
+        include_patterns: [`${SITE}/guide/*`],
+        exclude_patterns: ['*/blog/*'],
+        max_depth: 2,
+        respect_robots: true,
+        enabled: true
+      }
+    });
+    expect(response.status()).toBe(201);
+    sourceId = (await response.json()).source.source_id;
+    console.log(`   ✅ Crawl source ${sourceId} created`);
+  });
+
+  test.afterAll(async () => {
+    if (sourceId) {
+      await admin.delete(`/api/tenants/${tenantId}/crawl-sources/${sourceId}`);
+    }
+    await admin?.dispose();
+    await site?.close();
+  });
+
+  // Start a crawl and wait for it to finish; returns the source with the run's outcome
+  async function crawl() {
+    const started = await admin.post(`/api/tenants/${tenantId}/crawl-sources/${sourceId}/run`);
+    expect(started.status()).toBe(202);
+    const previousRun = (await started.json()).source.last_run_at;
+
+    let source;
+    await waitFor(async () => {
+      source = (await (await admin.get(`/api/tenants/${tenantId}/crawl-sources/${sourceId}`)).json()).source;
+      return !source.running_since && source.last_run_at !== previousRun;
+    }, { timeout: 60000, message: 'the crawl to finish' });
+    expect(source.last_status).toBe('succeeded');
+    return source;
+  }
+
+  async function pages(status) {
+    const response = await admin.get(`/api/tenants/${tenantId}/crawl-sources/${sourceId}/pages?status=${status}`);
+    expect(response.ok()).toBeTruthy();
+    return (await response.json()).data.map(row => row.url).sort();
+  }
+
+  test('stores included pages and honours robots.txt and exclusions', async () => {
+    console.log('\n1️⃣ FIRST CRAWL');
+    const { last_stats } = await crawl();
+    expect(last_stats).toMatchObject({
+      documents_created: 5,
+      documents_updated: 0,
+      unchanged: 0,
+      retired: 0,
+      errors: 0,
+      truncated: false
+    });
+    expect(await pages('active')).toEqual(
+      ['/guide/faq', '/guide/install', '/guide/old', '/guide/setup', '/guide/unlinked'].map(path => `${SITE}${path}`)
+    );
+    console.log(`   ✅ Stored 5 guide pages: ${JSON.stringify(last_stats)}`);
+
+    console.log('\n2️⃣ ROBOTS.TXT AND EXCLUDE PATTERNS');
+    expect(site.fetched('/robots.txt').length).toBeGreaterThan(0);
+    expect(site.fetched('/private/')).toHaveLength(0);
+    expect(site.fetched('/blog/')).toHaveLength(0);
+    // The home page is not stored, but it was fetched and its links followed
+    const home = site.requests.find(request => request.path === '/');
+    expect(home.headers['user-agent']).toContain('ResolveCrawler');
+    console.log('   ✅ Disallowed and excluded pages were never requested');
+  });
+
+  test('recrawls only what changed and retires pages that are gone', async () => {
+    site.publishSecondVersion();
+    const setupRequests = site.fetched('/guide/setup').length;
+
+    console.log('\n3️⃣ SECOND CRAWL OF THE CHANGED SITE');
+    const { last_stats } = await crawl();
+    // setup answers 304 and install hashes the same; faq changed; old is 404 and unlinked is no longer linked
+    expect(last_stats).toMatchObject({ documents_created: 0, documents_updated: 1, unchanged: 2, retired: 2, errors: 0 });
+    const revalidation = site.fetched('/guide/setup')[setupRequests];
+    expect(revalidation.headers['if-none-match']).toBe(SETUP_ETAG);
+    console.log(`   ✅ ${JSON.stringify(last_stats)}`);
+
+    console.log('\n4️⃣ PAGES AFTER THE RECRAWL');
+    expect(await pages('active')).toEqual(['/guide/faq', '/guide/install', '/guide/setup'].map(path => `${SITE}${path}`));
+    expect(await pages('retired')).toEqual(['/guide/old', '/guide/unlinked'].map(path => `${SITE}${path}`));
+    expect(site.fetched('/private/')).toHaveLength(0);
+    console.log('   ✅ Removed and unlinked pages retired');
+  });
+
+  test('refuses private addresses that are not allowed', async () => {
+    console.log('\n5️⃣ LOOPBACK ADDRESS AS A SEED');
+    const response = await admin.post(`/api/tenants/${tenantId}/crawl-sources`, {
+      data: { name: `Crawler spec loopback ${Date.now()}`, seed_urls: [`http://127.0.0.1:${STUB_PORTS.website}/`] }
+    });
+    expect(response.status()).toBe(400);
+    expect((await response.json()).error).toContain('private address');
+    console.log('   ✅ 127.0.0.1 refused');
+  });
+});
@@ -0,0 +1,160 @@
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { STUB_PORTS, signIn, registerUser, sendJson, startStubServer } = require('../fixtures/api-helpers');
+
+const SUBSCRIPTION_ITEM = 'si_spec_chat';
+// The Stripe stub declines usage records for this subscription item
+const DECLINED_ITEM = 'si_spec_declined';
+
+/**
+ * Stripe stand-in for POST /v1/subscription_items/:id/usage_records
+ */
+async function startStripe() {
+  let recordCount = 0;
+  return startStubServer(STUB_PORTS.stripe, (req, res) => {
+    const match = /^\/v1\/subscription_items\/([^/]+)\/usage_records$/.exec(req.url);
+    if (!match || req.method !== 'POST') {
+      return;
+    }
+    if (match[1] === DECLINED_ITEM) {
+      return sendJson(res, 402, { error: { type: 'card_error', message: 'Your card was declined.' } });
+    }
+    sendJson(res, 200, { id: `mbur_spec_${++recordCount}`, object: 'usage_record', subscription_item: match[1] });
+  });
+}
+
+test.describe('Usage statements and Stripe reporting', () => {
+  const month = new Date().toISOString().slice(0, 7);
+  let stripe;
+  let admin;
+  let customer;
+  let user;
+
+  test.beforeAll(async ({ playwright }) => {
+    stripe = await startStripe();
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    await signIn(admin, ADMIN_CREDENTIALS);
+    customer = await playwright.request.newContext({ baseURL: BASE_URL });
+    user = await registerUser(customer, 'usage');
+    console.log(`\n🚀 USAGE SPEC: ${user.email} (tenant ${user.tenantId}), month ${month}\n`);
+  });
+
+  test.afterAll(async () => {
+    await admin?.dispose();
+    await customer?.dispose();
+    await stripe?.close();
+  });
+
+  async function sendChats(count) {
+    for (let i = 0; i < count; i++) {
+      const chat = await customer.post('/api/rag/chat', { data: { message: `Usage spec question ${i + 1}` } });
+      expect(chat.ok()).toBeTruthy();
+    }
+  }
+
+  async function rollup() {
+    const response = await admin.post('/api/admin/usage/rollup', { data: { days: 1 } });
+    expect(response.ok()).toBeTruthy();
+  }
+
+  async function chatMessagesLine() {
+    const response = await admin.get(`/api/admin/usage?tenant_id=${user.tenantId}&month=${month}`);
+    expect(response.ok()).toBeTruthy();
+    const { statements } = await response.json();
+    expect(statements).toHaveLength(1);
+    return statements[0].lines.find(line => line.metric === 'chat_messages');
+  }
+
+  async function reportToStripe() {
+    const response = await admin.post('/api/admin/usage/stripe', { data: { tenant_id: user.tenantId, month } });
+    expect(response.ok()).toBeTruthy();
+    return response.json();
+  }
+
+  test('statements count chat messages and export as CSV', async () => {
+    console.log('\n1️⃣ CHAT USAGE ROLLED UP INTO THE STATEMENT');
+    await sendChats(3);
+    await rollup();
+    expect(await chatMessagesLine()).toMatchObject({ quantity: 3, unit: 'messages', aggregation: 'sum' });
+
+    const csv = await admin.get(`/api/admin/usage/export?format=csv&tenant_id=${user.tenantId}&month=${month}`);
+    expect(csv.ok()).toBeTruthy();
+    expect(csv.headers()['content-type']).toContain('text/csv');
+    const rows = (await csv.text()).trim().split('\n');
+    expect(rows[0]).toBe('tenant_id,company_name,month,period_start,period_end,metric,quantity,unit,aggregation');
+    const chatRow = rows.find(row => row.startsWith(user.tenantId) && row.includes(',chat_messages,'));
+    expect(chatRow.endsWith(',chat_messages,3,messages,sum')).toBeTruthy();
+    console.log('   ✅ Statement and CSV show 3 chat messages');
+
+    // Usage belongs to system admins only
+    const forbidden = await customer.get(`/api/admin/usage?tenant_id=${user.tenantId}`, { maxRedirects: 0 });
+    expect(forbidden.ok()).toBeFalsy();
+  });
+
+  test('reports mapped metrics to Stripe and records each outcome', async () => {
+    console.log('\n2️⃣ NOTHING TO REPORT BEFORE THE TENANT IS MAPPED');
+    expect((await reportToStripe()).results).toEqual([]);
+
+    const billing = await admin.put(`/api/admin/tenants/${user.tenantId}/billing`, {
+      data: { stripe_customer_id: 'cus_spec', subscription_items: { chat_messages: SUBSCRIPTION_ITEM } }
+    });
+    expect(billing.ok()).toBeTruthy();
+
+    const preview = await admin.get(`/api/admin/usage/export?format=stripe&tenant_id=${user.tenantId}&month=${month}`);
+    const { usage_records } = await preview.json();
+    expect(usage_records).toHaveLength(1);
+    expect(usage_records[0]).toMatchObject({ metric: 'chat_messages', subscription_item: SUBSCRIPTION_ITEM, action: 'set' });
+
+    console.log('\n3️⃣ USAGE RECORD SENT TO STRIPE');
+    const quantity = (await chatMessagesLine()).quantity;
+    const report = await reportToStripe();
+    expect(report.success).toBeTruthy();
+    const [record] = report.results[0].records;
+    expect(record).toMatchObject({ metric: 'chat_messages', quantity, status: 'sent', stripe_usage_record_id: 'mbur_spec_1' });
+
+    const sent = stripe.requests.filter(request => request.path === `/v1/subscription_items/${SUBSCRIPTION_ITEM}/usage_records`);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].headers['authorization']).toMatch(/^Bearer sk_test_/);
+    const form = new URLSearchParams(sent[0].body);
+    expect(form.get('quantity')).toBe(String(quantity));
+    expect(form.get('action')).toBe('set');
+    expect(parseInt(form.get('timestamp'))).toBeLessThanOrEqual(Math.floor(Date.now() / 1000));
+    const firstKey = sent[0].headers['idempotency-key'];
+    expect(firstKey).toContain(`-${SUBSCRIPTION_ITEM}-${month}-chat_messages-`);
+    expect(firstKey.endsWith(`-${quantity}`)).toBeTruthy();
+    console.log(`   ✅ Reported ${quantity} messages with key ${firstKey}`);
+
+    console.log('\n4️⃣ REPORTING AGAIN AFTER MORE USAGE');
+    await sendChats(1);
+    await rollup();
+    const updated = await reportToStripe();
+    expect(updated.results[0].records[0]).toMatchObject({ quantity: quantity + 1, status: 'sent' });
+    const resent = stripe.requests.filter(request => request.path === `/v1/subscription_items/${SUBSCRIPTION_ITEM}/usage_records`);
+    expect(resent).toHaveLength(2);
+    expect(new URLSearchParams(resent[1].body).get('quantity')).toBe(String(quantity + 1));
+    // A new quantity is a new record, not a replay of the first one
+    expect(resent[1].headers['idempotency-key']).not.toBe(firstKey);
+
+    const { exports } = await (await admin.get(`/api/admin/usage?tenant_id=${user.tenantId}&month=${month}`)).json();
+    const exported = exports.find(row => row.metric === 'chat_messages');
+    expect(exported.status).toBe('sent');
+    expect(Number(exported.quantity)).toBe(quantity + 1);
+    console.log('   ✅ Export updated to the new quantity');
+  });
+
+  test('a record Stripe declines is reported as failed', async () => {
+    console.log('\n5️⃣ STRIPE DECLINES THE USAGE RECORD');
+    const billing = await admin.put(`/api/admin/tenants/${user.tenantId}/billing`, {
+      data: { stripe_customer_id: 'cus_spec', subscription_items: { chat_messages: DECLINED_ITEM } }
+    });
+    expect(billing.ok()).toBeTruthy();
+
+    const report = await reportToStripe();
+    expect(report.success).toBeFalsy();
+    expect(report.failed).toBe(1);
+    expect(report.results[0].records[0]).toMatchObject({ status: 'failed', error: 'Your card was declined.' });
+
+    const { exports } = await (await admin.get(`/api/admin/usage?tenant_id=${user.tenantId}&month=${month}`)).json();
+    expect(exports.find(row => row.metric === 'chat_messages')).toMatchObject({ status: 'failed', subscription_item: DECLINED_ITEM });
+    console.log('   ✅ Declined record kept as failed');
+  });
+});
@@ -0,0 +1,105 @@
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { signIn, registerUser } = require('../fixtures/api-helpers');
+
+test.describe('Tenant plan quotas', () => {
+  let admin;
+  let customer;
+  let user;
+
+  test.beforeAll(async ({ playwright }) => {
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    await signIn(admin, ADMIN_CREDENTIALS);
+    console.log('\n🚀 TENANT QUOTA SPEC\n');
+  });
+
+  // Each test counts from zero in a tenant of its own
+  test.beforeEach(async ({ playwright }) => {
+    customer = await playwright.request.newContext({ baseURL: BASE_URL });
+    user = await registerUser(customer, 'quota');
+    console.log(`   👤 ${user.email} (tenant ${user.tenantId})`);
+  });
+
+  test.afterEach(async () => {
+    await customer?.dispose();
+  });
+
+  test.afterAll(async () => {
+    await admin?.dispose();
+  });
+
+  // Put the test's tenant on the free plan with the given limits
+  async function setPlan(limits) {
+    const response = await admin.put(`/api/admin/tenants/${user.tenantId}/plan`, { data: { plan: 'free', limits } });
+    expect(response.ok()).toBeTruthy();
+    expect((await response.json()).plan.limits).toMatchObject(limits);
+  }
+
+  function rateLimitHeaders(response) {
+    const headers = response.headers();
+    return {
+      limit: Number(headers['x-ratelimit-limit']),
+      remaining: Number(headers['x-ratelimit-remaining']),
+      reset: Number(headers['x-ratelimit-reset'])
+    };
+  }
+
+  test('counts chat messages against the plan and answers 429 once they are used up', async () => {
+    await setPlan({ messagesPerDay: 2 });
+
+    console.log('\n1️⃣ MESSAGES WITHIN THE PLAN');
+    for (const remaining of [1, 0]) {
+      const chat = await customer.post('/api/rag/chat', { data: { message: `Quota spec question ${remaining}` } });
+      expect(chat.ok()).toBeTruthy();
+      const headers = rateLimitHeaders(chat);
+      expect(headers).toMatchObject({ limit: 2, remaining });
+      // Reset is a Unix time in seconds, within the day-long window
+      expect(headers.reset * 1000).toBeGreaterThan(Date.now());
+      expect(headers.reset * 1000).toBeLessThanOrEqual(Date.now() + 24 * 60 * 60 * 1000 + 1000);
+    }
+    console.log('   ✅ X-RateLimit-Limit 2, Remaining 1 then 0');
+
+    console.log('\n2️⃣ MESSAGE OVER THE PLAN');
+    const over = await customer.post('/api/rag/chat', { data: { message: 'One question too many' } });
+    expect(over.status()).toBe(429);
+    expect(Number(over.headers()['retry-after'])).toBeGreaterThan(0);
+    expect(rateLimitHeaders(over)).toMatchObject({ limit: 2, remaining: 0 });
+    const body = await over.json();
+    expect(body).toMatchObject({ error: 'Quota exceeded', quota: 'messages', plan: 'free', limit: 2, used: 2 });
+    expect(new Date(body.resetAt).getTime()).toBeGreaterThan(Date.now());
+    console.log(`   ✅ 429 until ${body.resetAt}`);
+
+    console.log('\n3️⃣ CONSUMPTION IN THE ADMIN QUOTA VIEW');
+    const quotas = await (await admin.get('/api/admin/tenants/quotas')).json();
+    const tenant = quotas.tenants.find(entry => entry.tenant_id === user.tenantId);
+    expect(tenant.plan).toMatchObject({ name: 'free', custom: true });
+    expect(tenant.usage.messages).toBe(2);
+    console.log('   ✅ Two messages counted; the rejected one was not');
+  });
+
+  test('limits requests per minute, including requests that fail', async () => {
+    await setPlan({ requestsPerMinute: 3 });
+
+    console.log('\n4️⃣ REQUESTS WITHIN THE MINUTE');
+    for (const remaining of [2, 1, 0]) {
+      // An empty ingest is rejected, but still counts as a request
+      const ingest = await customer.post('/api/rag/ingest', { data: { documents: [] } });
+      expect(ingest.status()).toBe(400);
+      expect(rateLimitHeaders(ingest)).toMatchObject({ limit: 3, remaining });
+    }
+    console.log('   ✅ Remaining 2, 1, 0');
+
+    console.log('\n5️⃣ REQUEST OVER THE LIMIT');
+    const over = await customer.post('/api/rag/ingest', { data: { documents: [] } });
+    expect(over.status()).toBe(429);
+    const body = await over.json();
+    expect(body).toMatchObject({ error: 'Tenant rate limit exceeded', quota: 'requests', limit: 3 });
+    expect(body.retryAfter).toBeGreaterThan(0);
+    expect(body.retryAfter).toBeLessThanOrEqual(60);
+    console.log(`   ✅ 429, retry after ${body.retryAfter}s`);
+
+    console.log('\n6️⃣ ANOTHER TENANT IS NOT AFFECTED');
+    const other = await admin.post('/api/rag/ingest', { data: { documents: [] } });
+    expect(other.status()).toBe(400);
+    console.log('   ✅ The admin tenant still gets through');
+  });
+});
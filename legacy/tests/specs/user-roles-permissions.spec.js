@@ -0,0 +1,108 @@
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { signIn, inviteMember } = require('../fixtures/api-helpers');
+
+const ROLE = `analyst-${Date.now()}`;
+
+test.describe('Roles and permissions', () => {
+  let admin;
+  let tenantId;
+  const members = [];
+
+  test.beforeAll(async ({ playwright }) => {
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    tenantId = (await signIn(admin, ADMIN_CREDENTIALS)).tenantId;
+    console.log(`\n🚀 ROLES SPEC: tenant ${tenantId}, custom role ${ROLE}\n`);
+
+    const created = await admin.post(`/api/tenants/${tenantId}/roles`, {
+      data: { name: ROLE, description: 'Reads usage and chats', permissions: ['analytics:view', 'chat:use'] }
+    });
+    expect(created.status()).toBe(201);
+  });
+
+  test.afterAll(async () => {
+    for (const member of members) {
+      await admin.delete(`/api/tenants/${tenantId}/users/${member.id}`);
+      await member.context.dispose();
+    }
+    await admin?.delete(`/api/tenants/${tenantId}/roles/${ROLE}`);
+    await admin?.dispose();
+  });
+
+  // Invite a member with the role and sign them in on a context of their own
+  async function signedInMember(playwright, role, label) {
+    const member = await inviteMember(admin, tenantId, { role, label });
+    member.context = await playwright.request.newContext({ baseURL: BASE_URL });
+    await signIn(member.context, member);
+    members.push(member);
+    return member;
+  }
+
+  // An ingest without documents passes the permission check and fails validation
+  const emptyIngest = member => member.context.post('/api/rag/ingest', { data: { documents: [] } });
+
+  test('a custom role grants exactly its permissions', async ({ playwright }) => {
+    const analyst = await signedInMember(playwright, ROLE, 'analyst');
+
+    console.log('\n1️⃣ EFFECTIVE PERMISSIONS');
+    const info = await (await analyst.context.get('/api/user/info')).json();
+    expect(info.role).toBe(ROLE);
+    expect([...info.permissions].sort()).toEqual(['analytics:view', 'chat:use']);
+    console.log(`   ✅ ${info.permissions.join(', ')}`);
+
+    console.log('\n2️⃣ GRANTED');
+    expect((await analyst.context.get(`/api/tenants/${tenantId}/usage`)).ok()).toBeTruthy();
+    expect((await analyst.context.post('/api/rag/chat', { data: { message: 'Roles spec question' } })).ok()).toBeTruthy();
+    console.log('   ✅ Usage and chat allowed');
+
+    console.log('\n3️⃣ DENIED');
+    const denied = [
+      await analyst.context.get(`/api/tenants/${tenantId}/users`),
+      await analyst.context.post(`/api/tenants/${tenantId}/roles`, {
+        data: { name: `${ROLE}-x`, permissions: ['users:manage'] }
+      }),
+      await analyst.context.get(`/api/tenants/${tenantId}/settings/sso`),
+      await emptyIngest(analyst)
+    ];
+    for (const response of denied) {
+      expect(response.status()).toBe(403);
+    }
+    console.log('   ✅ Users, roles, settings and ingest answer 403');
+  });
+
+  test('editing a role applies to its holders without signing in again', async ({ playwright }) => {
+    const analyst = await signedInMember(playwright, ROLE, 'analyst');
+    expect((await emptyIngest(analyst)).status()).toBe(403);
+
+    console.log('\n4️⃣ knowledge:write ADDED TO THE ROLE');
+    const updated = await admin.put(`/api/tenants/${tenantId}/roles/${ROLE}`, {
+      data: { permissions: ['analytics:view', 'chat:use', 'knowledge:write'] }
+    });
+    expect(updated.ok()).toBeTruthy();
+    expect((await emptyIngest(analyst)).status()).toBe(400);
+    console.log('   ✅ Ingest now reaches validation');
+
+    console.log('\n5️⃣ knowledge:write REMOVED AGAIN');
+    await admin.put(`/api/tenants/${tenantId}/roles/${ROLE}`, { data: { permissions: ['analytics:view', 'chat:use'] } });
+    expect((await emptyIngest(analyst)).status()).toBe(403);
+    console.log('   ✅ 403 again');
+  });
+
+  test('a demoted or disabled user loses access in their current session', async ({ playwright }) => {
+    const manager = await signedInMember(playwright, 'tenant-admin', 'manager');
+    expect((await manager.context.get(`/api/tenants/${tenantId}/users`)).ok()).toBeTruthy();
+
+    console.log('\n6️⃣ DEMOTED TO user');
+    const demoted = await admin.patch(`/api/tenants/${tenantId}/users/${manager.id}`, { data: { role: 'user' } });
+    expect(demoted.ok()).toBeTruthy();
+    expect((await manager.context.get(`/api/tenants/${tenantId}/users`)).status()).toBe(403);
+    expect((await (await manager.context.get('/api/user/info')).json()).role).toBe('user');
+    console.log('   ✅ Users list denied, /api/user/info shows the new role');
+
+    console.log('\n7️⃣ DISABLED');
+    const disabled = await admin.patch(`/api/tenants/${tenantId}/users/${manager.id}`, { data: { status: 'disabled' } });
+    expect(disabled.ok()).toBeTruthy();
+    expect((await manager.context.get('/api/user/info')).status()).toBe(401);
+    expect((await manager.context.get('/api/rag/documents')).status()).toBe(401);
+    console.log('   ✅ The session is refused');
+  });
+});
@@ -0,0 +1,153 @@
+const { test, expect, BASE_URL, ADMIN_CREDENTIALS } = require('../fixtures/simple-base');
+const { signIn, registerUser, inviteMember } = require('../fixtures/api-helpers');
+
+// Provisions users through SCIM keys of its own, without the admin's blanket access
+const PROVISIONER_ROLE = `provisioner-${Date.now()}`;
+const PROVISIONER_PERMISSIONS = ['users:manage', 'settings:edit'];
+
+test.describe('SCIM provisioning', () => {
+  let admin;
+  let tenantId;
+  let scim;
+  const contexts = [];
+  const members = [];
+
+  test.beforeAll(async ({ playwright }) => {
+    admin = await playwright.request.newContext({ baseURL: BASE_URL });
+    tenantId = (await signIn(admin, ADMIN_CREDENTIALS)).tenantId;
+    console.log(`\n🚀 SCIM SPEC: tenant ${tenantId}\n`);
+
+    const role = await admin.post(`/api/tenants/${tenantId}/roles`, {
+      data: { name: PROVISIONER_ROLE, permissions: PROVISIONER_PERMISSIONS }
+    });
+    expect(role.status()).toBe(201);
+    scim = await keyClient(playwright, admin, ['scim']);
+  });
+
+  test.afterAll(async () => {
+    for (const member of members) {
+      await admin.delete(`/api/tenants/${tenantId}/users/${member.id}`);
+    }
+    await admin?.delete(`/api/tenants/${tenantId}/roles/${PROVISIONER_ROLE}`);
+    for (const context of contexts) {
+      await context.dispose();
+    }
+    await admin?.dispose();
+  });
+
+  async function newContext(playwright, headers = {}) {
+    const context = await playwright.request.newContext({ baseURL: BASE_URL, extraHTTPHeaders: headers });
+    contexts.push(context);
+    return context;
+  }
+
+  // A SCIM client authenticated with a new key created by creator (a signed-in context)
+  async function keyClient(playwright, creator, scopes) {
+    const response = await creator.post(`/api/tenants/${tenantId}/api-keys`, {
+      data: { name: `SCIM spec ${scopes.join('+')}`, scopes }
+    });
+    expect(response.status()).toBe(201);
+    return newContext(playwright, { Authorization: `Bearer ${(await response.json()).key}` });
+  }
+
+  const listUsers = client => client.get('/scim/v2/Users?count=1');
+
+  async function expectScimError(response, status) {
+    expect(response.status()).toBe(status);
+    expect(response.headers()['content-type']).toContain('application/scim+json');
+    const body = await response.json();
+    expect(body.schemas).toContain('urn:ietf:params:scim:api:messages:2.0:Error');
+    return body.detail;
+  }
+
+  test('only a live key with the scim scope is accepted', async ({ playwright }) => {
+    console.log('\n1️⃣ NO KEY, A SESSION, AN UNKNOWN KEY');
+    await expectScimError(await listUsers(await newContext(playwright)), 401);
+    await expectScimError(await listUsers(admin), 401);
+    await expectScimError(await listUsers(await newContext(playwright, { Authorization: 'Bearer rslv_notarealkey' })), 401);
+    console.log('   ✅ 401 for each');
+
+    console.log('\n2️⃣ A KEY WITHOUT THE scim SCOPE');
+    const chatKey = await keyClient(playwright, admin, ['chat', 'read-knowledge']);
+    expect(await expectScimError(await listUsers(chatKey), 403)).toContain("'scim' scope");
+    console.log('   ✅ 403');
+
+    console.log('\n3️⃣ A scim KEY');
+    const listed = await listUsers(scim);
+    expect(listed.ok()).toBeTruthy();
+    expect((await listed.json()).totalResults).toBeGreaterThan(0);
+    console.log('   ✅ 200');
+  });
+
+  test('a key stops working when its creator can no longer manage users', async ({ playwright }) => {
+    const provisioner = await inviteMember(admin, tenantId, { role: PROVISIONER_ROLE, label: 'provisioner' });
+    members.push(provisioner);
+    const session = await newContext(playwright);
+    await signIn(session, provisioner);
+    const key = await keyClient(playwright, session, ['scim']);
+    expect((await listUsers(key)).ok()).toBeTruthy();
+
+    console.log('\n4️⃣ CREATOR\'S ROLE LOSES users:manage');
+    await admin.put(`/api/tenants/${tenantId}/roles/${PROVISIONER_ROLE}`, { data: { permissions: ['settings:edit'] } });
+    expect(await expectScimError(await listUsers(key), 403)).toContain('can no longer manage users');
+    await admin.put(`/api/tenants/${tenantId}/roles/${PROVISIONER_ROLE}`, { data: { permissions: PROVISIONER_PERMISSIONS } });
+    expect((await listUsers(key)).ok()).toBeTruthy();
+    console.log('   ✅ 403 while the role lacks it');
+
+    console.log('\n5️⃣ CREATOR DISABLED');
+    await admin.patch(`/api/tenants/${tenantId}/users/${provisioner.id}`, { data: { status: 'disabled' } });
+    await expectScimError(await listUsers(key), 401);
+    console.log('   ✅ 401');
+  });
+
+  test('provisioned users stay inside the key\'s tenant', async ({ playwright }) => {
+    console.log('\n6️⃣ PROVISION AND READ BACK');
+    const email = `scim${Date.now()}@example.com`;
+    const created = await scim.post('/scim/v2/Users', {
+      data: {
+        schemas: ['urn:ietf:params:scim:schemas:core:2.0:User'],
+        userName: email,
+        name: { givenName: 'Scim', familyName: 'Spec' },
+        externalId: `ext-${Date.now()}`,
+        active: true
+      }
+    });
+    expect(created.status()).toBe(201);
+    const user = await created.json();
+    members.push({ id: user.id });
+    const filtered = await (await scim.get(`/scim/v2/Users?filter=${encodeURIComponent(`userName eq "${email}"`)}`)).json();
+    expect(filtered.Resources.map(resource => resource.id)).toEqual([user.id]);
+    await expectScimError(await scim.post('/scim/v2/Users', { data: { userName: email } }), 409);
+    console.log(`   ✅ ${email} provisioned as ${user.id}; a second copy answers 409`);
+
+    console.log('\n7️⃣ USERS OF OTHER TENANTS');
+    const outsider = await registerUser(await newContext(playwright), 'scimoutsider');
+    await expectScimError(await scim.get(`/scim/v2/Users/${outsider.id}`), 404);
+    const patched = await scim.patch(`/scim/v2/Users/${outsider.id}`, {
+      data: { Operations: [{ op: 'replace', path: 'active', value: false }] }
+    });
+    await expectScimError(patched, 404);
+    await expectScimError(await scim.delete(`/scim/v2/Users/${outsider.id}`), 404);
+    console.log('   ✅ 404 for reading, deactivating and deleting them');
+
+    console.log('\n8️⃣ DEACTIVATE A SIGNED-IN MEMBER');
+    const member = await inviteMember(admin, tenantId, { label: 'scimmember' });
+    members.push(member);
+    const memberSession = await newContext(playwright);
+    await signIn(memberSession, member);
+    const deactivated = await scim.patch(`/scim/v2/Users/${member.id}`, {
+      data: { Operations: [{ op: 'replace', path: 'active', value: false }] }
+    });
+    expect(deactivated.ok()).toBeTruthy();
+    expect((await deactivated.json()).active).toBe(false);
+    expect((await memberSession.get('/api/user/info')).status()).toBe(401);
+    const signin = await memberSession.post('/api/auth/signin', { data: { email: member.email, password: member.password } });
+    expect(signin.status()).toBe(401);
+    console.log('   ✅ Session and sign-in refused');
+
+    console.log('\n9️⃣ DELETE');
+    expect((await scim.delete(`/scim/v2/Users/${user.id}`)).status()).toBe(204);
+    await expectScimError(await scim.get(`/scim/v2/Users/${user.id}`), 404);
+    console.log('   ✅ 204, then 404');
+  });
+});